@@ -115,7 +115,28 @@ module.exports = {
     timeout: 10000,
     
     // 代理重试次数
-    retries: 3
+    retries: 3,
+
+    // 网络健康检测（通过账号的 session 请求，可指向本地模拟服务）
+    healthCheck: {
+      // IP 信息接口，返回出口 IP 和国家的 JSON
+      ipInfoUrl: process.env.IP_INFO_URL || 'https://ipinfo.io/json',
+
+      // DNS 泄露检测接口（可选），返回 DNS 解析器列表的 JSON
+      dnsLeakUrl: process.env.DNS_LEAK_URL || '',
+
+      // 请求超时（毫秒）
+      timeout: 10000
+    },
+
+    // 代理故障切换（连接监控连续检测到网络故障时切换到下一个备用代理）
+    failover: {
+      // 连续失败多少次后切换
+      failureThreshold: parseInt(process.env.PROXY_FAILURE_THRESHOLD) || 3,
+
+      // 页面加载失败后重试的间隔（毫秒）
+      retryDelay: 15000
+    }
   },
   
   // 翻译配置
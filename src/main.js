@@ -5,9 +5,10 @@
  * 使用 BrowserView 提供完全的会话隔离、存储隔离和网络隔离
  */
 
-const { app } = require('electron');
+const { app, webContents } = require('electron');
 const config = require('./config');
 const path = require('path');
+const Store = require('electron-store');
 
 // 导入单窗口架构组件
 const MainWindow = require('./single-window/MainWindow');
@@ -17,10 +18,18 @@ const SessionManager = require('./managers/SessionManager');
 const TranslationIntegration = require('./managers/TranslationIntegration');
 const NotificationManager = require('./managers/NotificationManager');
 const TrayManager = require('./managers/TrayManager');
+const ConversationSlaTracker = require('./managers/ConversationSlaTracker');
+const ReminderManager = require('./managers/ReminderManager');
+const ProxyProfileManager = require('./managers/ProxyProfileManager');
+const NetworkEventManager = require('./managers/NetworkEventManager');
 
 // 导入 IPC 处理器
 const { registerIPCHandlers: registerSingleWindowIPCHandlers, unregisterIPCHandlers: unregisterSingleWindowIPCHandlers } = require('./single-window/ipcHandlers');
 const { registerIPCHandlers: registerTranslationIPCHandlers, unregisterIPCHandlers: unregisterTranslationIPCHandlers } = require('./translation/ipcHandlers');
+const { setupSlaHandlers, cleanupSlaHandlers } = require('./single-window/slaHandlers');
+const { setupReminderHandlers, cleanupReminderHandlers } = require('./single-window/reminderHandlers');
+const { setupProxyProfileHandlers, cleanupProxyProfileHandlers } = require('./single-window/proxyProfileHandlers');
+const { setupNetworkHandlers, cleanupNetworkHandlers } = require('./single-window/networkHandlers');
 
 // 导入迁移管理器
 const MigrationManager = require('./single-window/migration/MigrationManager');
@@ -41,6 +50,10 @@ let sessionManager = null;
 let translationIntegration = null;
 let notificationManager = null;
 let trayManager = null;
+let slaTracker = null;
+let reminderManager = null;
+let proxyProfileManager = null;
+let networkEventManager = null;
 let migrationManager = null;
 let errorLogger = null;
 
@@ -137,9 +150,38 @@ async function initializeManagers() {
     await ensureTranslationEnabled(accountConfigManager);
     log('info', '翻译配置检查完成');
 
+    // 1.2 初始化代理配置库，并把账号内联的代理配置迁移到代理配置库
+    proxyProfileManager = new ProxyProfileManager({
+      store: new Store({ name: 'proxy-profiles' })
+    });
+    const migratedProxies = await accountConfigManager.migrateInlineProxies(proxyProfileManager);
+    if (migratedProxies > 0) {
+      log('info', `已将 ${migratedProxies} 个账号的代理配置迁移到代理配置库`);
+    }
+    log('info', '代理配置库初始化完成');
+
+    // 1.3 初始化账号网络事件日志（记录代理故障切换）
+    networkEventManager = new NetworkEventManager({
+      store: new Store({ name: 'network-events' })
+    });
+    log('info', '网络事件日志初始化完成');
+
     // 2. 初始化会话管理器
     sessionManager = new SessionManager({
-      userDataPath: app.getPath('userData')
+      userDataPath: app.getPath('userData'),
+      proxyProfileManager,
+      healthCheck: config.proxy.healthCheck,
+      onNetworkStatusChanged: (accountId, status) => {
+        if (mainWindow) {
+          mainWindow.sendToRenderer('network:status-changed', status);
+        }
+      },
+      networkEventManager,
+      onProxySwitched: (accountId, event) => {
+        if (mainWindow) {
+          mainWindow.sendToRenderer('network:proxy-switched', { ...event, accountId });
+        }
+      }
     });
     log('info', '会话管理器初始化完成');
 
@@ -172,7 +214,8 @@ async function initializeManagers() {
     // 6. 初始化 ViewManager
     viewManager = new ViewManager(mainWindow, sessionManager, {
       defaultSidebarWidth: 280,
-      translationIntegration: translationIntegration
+      translationIntegration: translationIntegration,
+      proxyFailover: config.proxy.failover
     });
     log('info', 'ViewManager 初始化完成');
 
@@ -194,6 +237,36 @@ async function initializeManagers() {
       }
     }
 
+    // 9. 初始化会话回复时效跟踪器
+    slaTracker = new ConversationSlaTracker({
+      store: new Store({ name: 'sla-config' }),
+      onAlert: handleSlaAlert,
+      onOverdueChanged: (accountId, overdueCount) => {
+        mainWindow.sendToRenderer('sla:overdue-changed', { accountId, overdueCount });
+        if (trayManager) {
+          trayManager.updateOverdueCount(slaTracker.getTotalOverdueCount());
+        }
+      }
+    });
+    slaTracker.start();
+    log('info', '会话回复时效跟踪器初始化完成');
+
+    // 10. 初始化跟进提醒管理器
+    reminderManager = new ReminderManager({
+      store: new Store({ name: 'reminders' }),
+      onDue: handleReminderDue,
+      onChange: () => {
+        // 通知提醒列表窗口和各账号的客户画像侧边栏刷新
+        webContents.getAllWebContents().forEach(contents => {
+          if (!contents.isDestroyed()) {
+            contents.send('reminder:changed');
+          }
+        });
+      }
+    });
+    reminderManager.start();
+    log('info', '跟进提醒管理器初始化完成');
+
     log('info', '所有管理器初始化完成');
   } catch (error) {
     log('error', '管理器初始化失败:', error);
@@ -201,6 +274,108 @@ async function initializeManagers() {
   }
 }
 
+/**
+ * 会话超时未回复时提醒（点击提醒切换到对应账号）
+ * @param {Object} alert - { accountId, contactId, waitingMs }
+ */
+async function handleSlaAlert({ accountId, contactId, waitingMs }) {
+  try {
+    const account = await accountConfigManager.getAccount(accountId);
+    if (!account) {
+      // 账号已删除，不再跟踪
+      slaTracker.clearAccount(accountId);
+      return;
+    }
+
+    notificationManager.showSlaAlert(accountId, account.name, contactId, Math.floor(waitingMs / 60000), () => {
+      switchToAccount(accountId).catch(error => {
+        log('error', `切换到账号 ${accountId} 失败:`, error);
+      });
+    });
+  } catch (error) {
+    log('error', '显示回复超时提醒失败:', error);
+  }
+}
+
+/**
+ * 跟进提醒到期时发送通知（点击通知切换到对应账号并打开聊天）
+ * @param {Object} reminder - { accountId, contactId, note }
+ */
+async function handleReminderDue(reminder) {
+  try {
+    const account = await accountConfigManager.getAccount(reminder.accountId);
+    if (!account) {
+      // 账号已删除，提醒不再有效
+      reminderManager.clearAccount(reminder.accountId);
+      return;
+    }
+
+    const notification = notificationManager.showSystemNotification(reminder.accountId, {
+      title: `${account.name} - 跟进提醒`,
+      body: reminder.note ? `${reminder.contactId}：${reminder.note}` : `该跟进 ${reminder.contactId} 了`
+    });
+
+    if (notification) {
+      notification.on('click', () => {
+        openReminderChat(reminder).catch(error => {
+          log('error', '打开提醒对应的聊天失败:', error);
+        });
+      });
+    }
+  } catch (error) {
+    log('error', '显示跟进提醒失败:', error);
+  }
+}
+
+/**
+ * 聚焦主窗口并切换到指定账号（视图不存在时自动创建）
+ * @param {string} accountId - 账号 ID
+ * @returns {Promise<Object>} 账号配置
+ */
+async function switchToAccount(accountId) {
+  const account = await accountConfigManager.getAccount(accountId);
+  if (!account) {
+    throw new Error(`Account ${accountId} not found`);
+  }
+
+  mainWindow.focus();
+
+  const result = await viewManager.switchView(accountId, {
+    createIfMissing: true,
+    viewConfig: {
+      url: 'https://web.whatsapp.com',
+      proxy: account.proxy,
+      translation: account.translation
+    }
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to switch view');
+  }
+
+  // 同步侧边栏的当前账号
+  mainWindow.sendToRenderer('account:active-changed', {
+    accountId,
+    previousAccountId: result.previousAccountId
+  });
+
+  return account;
+}
+
+/**
+ * 切换到提醒所属账号并打开对应聊天
+ * 内容脚本加载完成后会取走待打开的聊天，已运行的内容脚本通过 reminder:open-chat 通知立即处理
+ * @param {Object} reminder - { accountId, contactId }
+ */
+async function openReminderChat(reminder) {
+  reminderManager.requestOpenChat(reminder.accountId, reminder.contactId);
+  await switchToAccount(reminder.accountId);
+
+  const view = viewManager.getView(reminder.accountId);
+  if (view && !view.webContents.isDestroyed()) {
+    view.webContents.send('reminder:open-chat');
+  }
+}
+
   /**
    * 注册所有 IPC 处理器
    */
@@ -213,9 +388,25 @@ async function registerAllIPCHandlers() {
     log('info', '单窗口 IPC 处理器注册完成');
 
     // 注册翻译 IPC 处理器
-    await registerTranslationIPCHandlers();
+    await registerTranslationIPCHandlers({ accountConfigManager, proxyProfileManager, sessionManager });
     log('info', '翻译 IPC 处理器注册完成');
 
+    // 注册会话回复时效 IPC 处理器
+    setupSlaHandlers(slaTracker);
+    log('info', '会话回复时效 IPC 处理器注册完成');
+
+    // 注册跟进提醒 IPC 处理器
+    setupReminderHandlers(reminderManager, mainWindow, { openChat: openReminderChat });
+    log('info', '跟进提醒 IPC 处理器注册完成');
+
+    // 注册代理配置库 IPC 处理器
+    setupProxyProfileHandlers(proxyProfileManager, accountConfigManager, sessionManager);
+    log('info', '代理配置库 IPC 处理器注册完成');
+
+    // 注册网络健康检测 IPC 处理器
+    setupNetworkHandlers(sessionManager);
+    log('info', '网络健康检测 IPC 处理器注册完成');
+
     log('info', '所有 IPC 处理器注册完成');
 
     // 通知渲染进程IPC已就绪
@@ -416,6 +607,40 @@ async function cleanup() {
       log('error', '注销翻译 IPC 处理器时出错:', error);
     }
 
+    try {
+      cleanupSlaHandlers();
+      if (slaTracker) {
+        slaTracker.stop();
+      }
+      log('info', '会话回复时效 IPC 处理器已注销');
+    } catch (error) {
+      log('error', '注销会话回复时效 IPC 处理器时出错:', error);
+    }
+
+    try {
+      cleanupReminderHandlers();
+      if (reminderManager) {
+        reminderManager.stop();
+      }
+      log('info', '跟进提醒 IPC 处理器已注销');
+    } catch (error) {
+      log('error', '注销跟进提醒 IPC 处理器时出错:', error);
+    }
+
+    try {
+      cleanupProxyProfileHandlers();
+      log('info', '代理配置库 IPC 处理器已注销');
+    } catch (error) {
+      log('error', '注销代理配置库 IPC 处理器时出错:', error);
+    }
+
+    try {
+      cleanupNetworkHandlers();
+      log('info', '网络健康检测 IPC 处理器已注销');
+    } catch (error) {
+      log('error', '注销网络健康检测 IPC 处理器时出错:', error);
+    }
+
     // 6. 清理翻译集成
     try {
       if (translationIntegration) {
@@ -521,6 +521,46 @@ class AccountConfigManager {
     }
   }
 
+  /**
+   * 把账号内联的代理配置迁移到代理配置库，账号改为引用代理配置 ID
+   * 连接信息相同的账号共用同一个代理配置
+   * @param {ProxyProfileManager} proxyProfileManager - 代理配置库管理器
+   * @returns {Promise<number>} 迁移的账号数量
+   */
+  async migrateInlineProxies(proxyProfileManager) {
+    let migrated = 0;
+
+    for (const account of this.accountsCache.values()) {
+      const proxy = account.proxy || {};
+      if (proxy.profileId || !proxy.host) {
+        continue;
+      }
+
+      try {
+        const profile = proxyProfileManager.importInlineProxy(proxy, `${account.name} 代理`);
+        account.proxy = {
+          enabled: Boolean(proxy.enabled),
+          protocol: 'socks5',
+          host: '',
+          port: 0,
+          username: '',
+          password: '',
+          bypass: '',
+          profileId: profile.id
+        };
+        migrated++;
+      } catch (error) {
+        console.error(`Failed to migrate proxy of account ${account.id}:`, error);
+      }
+    }
+
+    if (migrated > 0) {
+      this._saveCacheToStore();
+    }
+
+    return migrated;
+  }
+
   /**
    * 获取按顺序排列的账号列表
    * @returns {Promise<AccountConfig[]>}
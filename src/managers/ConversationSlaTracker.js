@@ -0,0 +1,225 @@
+/**
+ * ConversationSlaTracker - 会话回复时效跟踪器
+ *
+ * 根据内容脚本上报的聊天最后一条消息（收到 / 发出）计算每个聊天的等待时间，
+ * 客户等待超过设定的时效（SLA）时触发提醒，并统计每个账号的超时会话数
+ */
+
+// 默认设置
+const DEFAULT_SLA_CONFIG = {
+  enabled: true,
+  slaMinutes: 15 // 超过多少分钟未回复视为超时
+};
+
+/**
+ * ConversationSlaTracker 类
+ */
+class ConversationSlaTracker {
+  /**
+   * 创建会话时效跟踪器
+   * @param {Object} [options] - 配置选项
+   * @param {Object} [options.store] - 设置存储（需提供 get / set，如 electron-store 实例）
+   * @param {number} [options.checkInterval] - 超时检查间隔（毫秒）
+   * @param {Function} [options.onAlert] - 会话首次超时时调用 ({ accountId, contactId, waitingSince, waitingMs })
+   * @param {Function} [options.onOverdueChanged] - 账号超时会话数变化时调用 (accountId, overdueCount)
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.checkInterval = options.checkInterval || 60 * 1000;
+    this.onAlert = options.onAlert || null;
+    this.onOverdueChanged = options.onOverdueChanged || null;
+
+    // 等待回复的会话 Map: `${accountId}\n${contactId}` -> { accountId, contactId, waitingSince, alerted }
+    this.waiting = new Map();
+
+    // 上次通知的超时会话数 Map: accountId -> count
+    this.overdueCounts = new Map();
+
+    this.timer = null;
+  }
+
+  /**
+   * 获取设置
+   * @returns {{enabled: boolean, slaMinutes: number}}
+   */
+  getConfig() {
+    const saved = this.store ? this.store.get('sla') : null;
+    return { ...DEFAULT_SLA_CONFIG, ...(saved || {}) };
+  }
+
+  /**
+   * 保存设置（立即按新时效重新检查）
+   * @param {Object} config - { enabled, slaMinutes }
+   * @returns {Object} 保存后的设置（时效限制在 1-1440 分钟之间）
+   */
+  saveConfig(config = {}) {
+    const current = this.getConfig();
+    const slaMinutes = Math.round(Number(config.slaMinutes));
+    const saved = {
+      enabled: config.enabled !== undefined ? Boolean(config.enabled) : current.enabled,
+      slaMinutes: Number.isFinite(slaMinutes) ? Math.min(1440, Math.max(1, slaMinutes)) : current.slaMinutes
+    };
+
+    if (this.store) {
+      this.store.set('sla', saved);
+    }
+
+    // 时效变化后已提醒过的会话按新时效重新判断
+    this.waiting.forEach(entry => {
+      entry.alerted = false;
+    });
+    this.check();
+
+    return saved;
+  }
+
+  /**
+   * 记录聊天的最后一条消息
+   * @param {string} accountId - 账号 ID
+   * @param {Object} activity - { contactId, direction: 'in' | 'out', timestamp }
+   */
+  recordActivity(accountId, activity = {}) {
+    const { contactId, direction } = activity;
+    if (!accountId || !contactId) {
+      throw new Error('Account ID and contact ID are required');
+    }
+
+    const key = `${accountId}\n${contactId}`;
+    const timestamp = Number.isFinite(activity.timestamp) ? activity.timestamp : Date.now();
+
+    if (direction === 'out') {
+      // 已回复，停止计时
+      this.waiting.delete(key);
+    } else if (!this.waiting.has(key)) {
+      // 客户连续发送多条消息时从第一条未回复的消息开始计时
+      this.waiting.set(key, { accountId, contactId, waitingSince: timestamp, alerted: false });
+    }
+
+    this.check();
+  }
+
+  /**
+   * 获取等待回复的会话
+   * @param {string} [accountId] - 账号 ID（为空时返回所有账号）
+   * @param {number} [now] - 当前时间
+   * @returns {Array<{accountId: string, contactId: string, waitingSince: number, waitingMs: number, overdue: boolean}>} 按等待时间倒序
+   */
+  getWaitingChats(accountId, now = Date.now()) {
+    const slaMs = this.getConfig().slaMinutes * 60 * 1000;
+
+    return Array.from(this.waiting.values())
+      .filter(entry => !accountId || entry.accountId === accountId)
+      .map(entry => {
+        const waitingMs = Math.max(0, now - entry.waitingSince);
+        return {
+          accountId: entry.accountId,
+          contactId: entry.contactId,
+          waitingSince: entry.waitingSince,
+          waitingMs,
+          overdue: waitingMs >= slaMs
+        };
+      })
+      .sort((a, b) => b.waitingMs - a.waitingMs);
+  }
+
+  /**
+   * 获取每个账号的超时会话数
+   * @param {number} [now] - 当前时间
+   * @returns {Object} { accountId: count }（没有超时会话的账号不包含在内）
+   */
+  getOverdueCounts(now = Date.now()) {
+    const counts = {};
+    if (!this.getConfig().enabled) {
+      return counts;
+    }
+
+    this.getWaitingChats(null, now).forEach(chat => {
+      if (chat.overdue) {
+        counts[chat.accountId] = (counts[chat.accountId] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * 检查超时会话：首次超时的会话触发提醒，超时会话数变化时通知
+   * @param {number} [now] - 当前时间
+   */
+  check(now = Date.now()) {
+    const config = this.getConfig();
+
+    if (config.enabled) {
+      const slaMs = config.slaMinutes * 60 * 1000;
+      this.waiting.forEach(entry => {
+        const waitingMs = now - entry.waitingSince;
+        if (!entry.alerted && waitingMs >= slaMs) {
+          entry.alerted = true;
+          if (this.onAlert) {
+            this.onAlert({ accountId: entry.accountId, contactId: entry.contactId, waitingSince: entry.waitingSince, waitingMs });
+          }
+        }
+      });
+    }
+
+    const counts = this.getOverdueCounts(now);
+    const accountIds = new Set([...this.overdueCounts.keys(), ...Object.keys(counts)]);
+    accountIds.forEach(accountId => {
+      const count = counts[accountId] || 0;
+      if ((this.overdueCounts.get(accountId) || 0) === count) return;
+
+      if (count > 0) {
+        this.overdueCounts.set(accountId, count);
+      } else {
+        this.overdueCounts.delete(accountId);
+      }
+      if (this.onOverdueChanged) {
+        this.onOverdueChanged(accountId, count);
+      }
+    });
+  }
+
+  /**
+   * 获取所有账号的超时会话总数
+   * @returns {number}
+   */
+  getTotalOverdueCount() {
+    let total = 0;
+    for (const count of this.overdueCounts.values()) {
+      total += count;
+    }
+    return total;
+  }
+
+  /**
+   * 清除账号的跟踪数据（账号删除时调用）
+   * @param {string} accountId - 账号 ID
+   */
+  clearAccount(accountId) {
+    for (const [key, entry] of this.waiting) {
+      if (entry.accountId === accountId) {
+        this.waiting.delete(key);
+      }
+    }
+    this.check();
+  }
+
+  /**
+   * 启动定期检查
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+  }
+
+  /**
+   * 停止定期检查
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = ConversationSlaTracker;
@@ -0,0 +1,101 @@
+/**
+ * NetworkEventManager - 账号网络事件日志
+ *
+ * 记录账号代理的每一次切换：切换到备用代理、回退到直连，以及所有代理都不可用。
+ * 持久化保存，每个账号只保留最近的 MAX_EVENTS_PER_ACCOUNT 条
+ */
+
+const MAX_EVENTS_PER_ACCOUNT = 200;
+
+// 事件类型：切换到备用代理 / 回退到直连 / 没有可用的代理
+const EVENT_TYPES = ['failover', 'direct', 'exhausted'];
+
+/**
+ * NetworkEventManager 类
+ */
+class NetworkEventManager {
+  /**
+   * 创建网络事件日志
+   * @param {Object} [options] - 配置选项
+   * @param {Object} [options.store] - 事件存储（需提供 get / set，如 electron-store 实例）
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+
+    // 事件 Map: accountId -> [{ id, accountId, type, from, to, profileId, reason, timestamp }]，按时间正序
+    this.events = (this.store && this.store.get('events')) || {};
+  }
+
+  /**
+   * 记录事件
+   * @param {string} accountId - 账号ID
+   * @param {Object} event - { type, from, to, profileId, reason }
+   * @returns {Object} 记录的事件
+   */
+  logEvent(accountId, event = {}) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    if (!EVENT_TYPES.includes(event.type)) {
+      throw new Error(`Network event type must be one of: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: `${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      accountId,
+      type: event.type,
+      from: String(event.from || ''),
+      to: String(event.to || ''),
+      profileId: event.profileId || null,
+      reason: String(event.reason || ''),
+      timestamp: now
+    };
+
+    const events = this.events[accountId] || [];
+    events.push(entry);
+    if (events.length > MAX_EVENTS_PER_ACCOUNT) {
+      events.splice(0, events.length - MAX_EVENTS_PER_ACCOUNT);
+    }
+    this.events[accountId] = events;
+    this._save();
+
+    return { ...entry };
+  }
+
+  /**
+   * 获取账号的事件（最新的在前）
+   * @param {string} accountId - 账号ID
+   * @param {number} [limit] - 最多返回条数
+   * @returns {Array<Object>} 事件列表
+   */
+  getEvents(accountId, limit = MAX_EVENTS_PER_ACCOUNT) {
+    return (this.events[accountId] || [])
+      .slice(-limit)
+      .reverse()
+      .map(event => ({ ...event }));
+  }
+
+  /**
+   * 清除账号的事件（删除账号时调用）
+   * @param {string} accountId - 账号ID
+   */
+  clear(accountId) {
+    if (this.events[accountId]) {
+      delete this.events[accountId];
+      this._save();
+    }
+  }
+
+  /**
+   * 保存事件
+   * @private
+   */
+  _save() {
+    if (this.store) {
+      this.store.set('events', this.events);
+    }
+  }
+}
+
+module.exports = NetworkEventManager;
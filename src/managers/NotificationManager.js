@@ -244,6 +244,33 @@ class NotificationManager {
     });
   }
 
+  /**
+   * 显示会话回复超时提醒
+   * @param {string} instanceId - 实例 ID
+   * @param {string} accountName - 账号名称
+   * @param {string} contactId - 联系人
+   * @param {number} waitingMinutes - 已等待分钟数
+   * @param {Function} [onClick] - 点击通知的回调（如切换到对应账号）
+   * @returns {Notification|null}
+   */
+  showSlaAlert(instanceId, accountName, contactId, waitingMinutes, onClick) {
+    const title = `${accountName} - 回复超时`;
+    const body = `${contactId} 已等待 ${waitingMinutes} 分钟未回复`;
+
+    // 如果有托盘管理器，使用它来显示通知
+    if (this.trayManager) {
+      this.trayManager.showNotification(title, body, onClick || instanceId);
+      this._addToHistory(instanceId, { title, body, timestamp: new Date() });
+      return null;
+    }
+
+    const notification = this.showSystemNotification(instanceId, { title, body });
+    if (notification && onClick) {
+      notification.on('click', onClick);
+    }
+    return notification;
+  }
+
   /**
    * 添加到通知历史
    * @private
@@ -0,0 +1,221 @@
+/**
+ * ProxyProfileManager - 代理配置库管理器
+ *
+ * 保存命名的代理配置（协议、主机、端口、认证信息和绕过规则），供多个账号共用。
+ * 账号的代理配置只保存引用的代理配置 ID，认证密码通过 SecureStorage 加密后持久化
+ */
+
+const SecureStorage = require('../translation/utils/SecureStorage');
+const { validateProxyConfig } = require('../utils/ValidationHelper');
+
+const NAME_MAX_LENGTH = 100;
+
+/**
+ * ProxyProfileManager 类
+ */
+class ProxyProfileManager {
+  /**
+   * 创建代理配置库管理器
+   * @param {Object} [options] - 配置选项
+   * @param {Object} [options.store] - 代理配置存储（需提供 get / set，如 electron-store 实例）
+   * @param {Object} [options.secureStorage] - 加密工具（需提供 encryptApiKey / decryptApiKey，默认使用 SecureStorage）
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.secureStorage = options.secureStorage || new SecureStorage();
+
+    // 代理配置列表: [{ id, name, protocol, host, port, username, password(加密), bypass, createdAt, updatedAt }]
+    this.profiles = (this.store && this.store.get('profiles')) || [];
+  }
+
+  /**
+   * 获取代理配置列表（不含密码，按名称排序）
+   * @returns {Array<Object>} 代理配置列表，带 hasPassword 标记
+   */
+  getProfiles() {
+    return this.profiles
+      .map(profile => this._toPublic(profile))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 获取代理配置（含解密后的密码，仅供主进程应用代理时使用）
+   * @param {string} id - 代理配置 ID
+   * @returns {Object|null}
+   */
+  getProfile(id) {
+    const profile = this.profiles.find(item => item.id === id);
+    if (!profile) {
+      return null;
+    }
+
+    return {
+      ...profile,
+      password: this.secureStorage.decryptApiKey(profile.password)
+    };
+  }
+
+  /**
+   * 创建或更新代理配置
+   * 更新时 password 为 undefined 表示保留原密码；清空用户名会同时清除密码
+   * @param {Object} profile - { id, name, protocol, host, port, username, password, bypass }
+   * @returns {Object} 保存后的代理配置（不含密码）
+   */
+  saveProfile(profile = {}) {
+    const existing = profile.id ? this.profiles.find(item => item.id === profile.id) : null;
+    if (profile.id && !existing) {
+      throw new Error(`Proxy profile ${profile.id} not found`);
+    }
+
+    const name = String(profile.name || '').trim().slice(0, NAME_MAX_LENGTH);
+    if (!name) {
+      throw new Error('Proxy profile name is required');
+    }
+    const duplicate = this.profiles.find(item =>
+      item.id !== profile.id && item.name.toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+      throw new Error(`A proxy profile named "${name}" already exists`);
+    }
+
+    const username = String(profile.username || '').trim();
+    let password = '';
+    if (username) {
+      password = profile.password === undefined && existing
+        ? this.secureStorage.decryptApiKey(existing.password)
+        : String(profile.password || '');
+    }
+
+    const connection = {
+      protocol: String(profile.protocol || 'socks5').toLowerCase(),
+      host: String(profile.host || '').trim(),
+      port: Number(profile.port),
+      username,
+      password,
+      bypass: String(profile.bypass || '').trim()
+    };
+
+    const validation = validateProxyConfig({ enabled: true, ...connection });
+    if (!validation.valid) {
+      throw new Error(`Invalid proxy profile: ${validation.errors.join(', ')}`);
+    }
+
+    const now = Date.now();
+    const saved = {
+      id: existing ? existing.id : `pp_${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      ...connection,
+      password: this.secureStorage.encryptApiKey(password),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    if (existing) {
+      this.profiles[this.profiles.indexOf(existing)] = saved;
+    } else {
+      this.profiles.push(saved);
+    }
+    this._save();
+
+    return this._toPublic(saved);
+  }
+
+  /**
+   * 删除代理配置
+   * @param {string} id - 代理配置 ID
+   * @returns {boolean} 是否删除
+   */
+  deleteProfile(id) {
+    const index = this.profiles.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.profiles.splice(index, 1);
+    this._save();
+    return true;
+  }
+
+  /**
+   * 把账号内联的代理配置导入代理配置库（连接信息相同的配置只保存一份）
+   * @param {Object} proxy - 账号内联的代理配置 { protocol, host, port, username, password, bypass }
+   * @param {string} name - 新建代理配置时使用的名称
+   * @returns {Object} 匹配或新建的代理配置（不含密码）
+   */
+  importInlineProxy(proxy, name) {
+    const protocol = String(proxy.protocol || 'socks5').toLowerCase();
+    const host = String(proxy.host || '').trim();
+    const port = Number(proxy.port);
+    const username = String(proxy.username || '').trim();
+
+    const match = this.profiles.find(profile =>
+      profile.protocol === protocol &&
+      profile.host.toLowerCase() === host.toLowerCase() &&
+      profile.port === port &&
+      profile.username === username &&
+      this.secureStorage.decryptApiKey(profile.password) === String(proxy.password || '') &&
+      profile.bypass === String(proxy.bypass || '').trim());
+    if (match) {
+      return this._toPublic(match);
+    }
+
+    // 名称重复时追加序号
+    let uniqueName = String(name || `${host}:${port}`).trim().slice(0, NAME_MAX_LENGTH - 4);
+    const baseName = uniqueName;
+    for (let counter = 2; this.profiles.some(profile => profile.name.toLowerCase() === uniqueName.toLowerCase()); counter++) {
+      uniqueName = `${baseName} ${counter}`;
+    }
+
+    return this.saveProfile({ ...proxy, name: uniqueName });
+  }
+
+  /**
+   * 解析账号的代理配置：引用代理配置库时补全连接信息
+   * 引用的代理配置已删除时返回停用的代理配置
+   * @param {Object} proxy - 账号的代理配置
+   * @returns {Object} 可直接应用的代理配置
+   */
+  resolveProxy(proxy) {
+    if (!proxy || !proxy.profileId) {
+      return proxy;
+    }
+
+    const profile = this.getProfile(proxy.profileId);
+    if (!profile) {
+      console.warn(`[ProxyProfileManager] Proxy profile ${proxy.profileId} not found, proxy disabled`);
+      return { ...proxy, enabled: false };
+    }
+
+    return {
+      ...proxy,
+      protocol: profile.protocol,
+      host: profile.host,
+      port: profile.port,
+      username: profile.username,
+      password: profile.password,
+      bypass: profile.bypass
+    };
+  }
+
+  /**
+   * 转换为可发送到渲染进程的代理配置（不含密码）
+   * @private
+   * @param {Object} profile - 代理配置
+   * @returns {Object}
+   */
+  _toPublic(profile) {
+    const { password, ...rest } = profile;
+    return { ...rest, hasPassword: Boolean(password) };
+  }
+
+  /**
+   * 保存代理配置
+   * @private
+   */
+  _save() {
+    if (this.store) {
+      this.store.set('profiles', this.profiles);
+    }
+  }
+}
+
+module.exports = ProxyProfileManager;
@@ -0,0 +1,227 @@
+/**
+ * ReminderManager - 联系人跟进提醒管理器
+ *
+ * 提醒关联到某个账号下的联系人，带可选备注和到期时间，持久化保存，应用重启后继续生效。
+ * 到期的提醒只触发一次，之后保留在列表中直到完成（删除）或稍后提醒
+ */
+
+const NOTE_MAX_LENGTH = 500;
+
+/**
+ * ReminderManager 类
+ */
+class ReminderManager {
+  /**
+   * 创建提醒管理器
+   * @param {Object} [options] - 配置选项
+   * @param {Object} [options.store] - 提醒存储（需提供 get / set，如 electron-store 实例）
+   * @param {number} [options.checkInterval] - 到期检查间隔（毫秒）
+   * @param {Function} [options.onDue] - 提醒到期时调用 (reminder)
+   * @param {Function} [options.onChange] - 提醒列表变化时调用
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.checkInterval = options.checkInterval || 30 * 1000;
+    this.onDue = options.onDue || null;
+    this.onChange = options.onChange || null;
+
+    // 提醒列表: [{ id, accountId, contactId, note, dueAt, createdAt, firedAt }]
+    this.reminders = (this.store && this.store.get('reminders')) || [];
+
+    // 等待内容脚本打开的聊天 Map: accountId -> contactId
+    this.pendingChats = new Map();
+
+    this.timer = null;
+  }
+
+  /**
+   * 获取提醒（按到期时间正序）
+   * @param {Object} [filter] - { accountId, contactId }
+   * @returns {Array<Object>} 提醒列表
+   */
+  getReminders(filter = {}) {
+    return this.reminders
+      .filter(reminder => !filter.accountId || reminder.accountId === filter.accountId)
+      .filter(reminder => !filter.contactId || reminder.contactId === filter.contactId)
+      .map(reminder => ({ ...reminder }))
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  /**
+   * 获取单个提醒
+   * @param {string} id - 提醒 ID
+   * @returns {Object|null}
+   */
+  getReminder(id) {
+    const reminder = this.reminders.find(item => item.id === id);
+    return reminder ? { ...reminder } : null;
+  }
+
+  /**
+   * 添加提醒
+   * @param {string} accountId - 账号 ID
+   * @param {Object} reminder - { contactId, note, dueAt }
+   * @returns {Object} 新增的提醒
+   */
+  addReminder(accountId, reminder = {}) {
+    const contactId = String(reminder.contactId || '').trim();
+    if (!accountId || !contactId) {
+      throw new Error('Account ID and contact ID are required');
+    }
+
+    const dueAt = Number(reminder.dueAt);
+    if (!Number.isFinite(dueAt) || dueAt <= 0) {
+      throw new Error('Due time is required');
+    }
+
+    const now = Date.now();
+    const saved = {
+      id: `${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      accountId,
+      contactId,
+      note: String(reminder.note || '').trim().slice(0, NOTE_MAX_LENGTH),
+      dueAt,
+      createdAt: now,
+      firedAt: null
+    };
+
+    this.reminders.push(saved);
+    this._save();
+
+    return { ...saved };
+  }
+
+  /**
+   * 稍后提醒
+   * @param {string} id - 提醒 ID
+   * @param {number} minutes - 推迟的分钟数（从现在开始计算）
+   * @param {number} [now] - 当前时间
+   * @returns {Object} 更新后的提醒
+   */
+  snoozeReminder(id, minutes, now = Date.now()) {
+    const reminder = this.reminders.find(item => item.id === id);
+    if (!reminder) {
+      throw new Error(`Reminder ${id} not found`);
+    }
+
+    const delay = Number(minutes);
+    if (!Number.isFinite(delay) || delay <= 0) {
+      throw new Error('Snooze minutes must be positive');
+    }
+
+    reminder.dueAt = now + Math.round(delay * 60 * 1000);
+    reminder.firedAt = null;
+    this._save();
+
+    return { ...reminder };
+  }
+
+  /**
+   * 删除提醒（完成或取消）
+   * @param {string} id - 提醒 ID
+   * @returns {boolean} 是否删除
+   */
+  deleteReminder(id) {
+    const index = this.reminders.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.reminders.splice(index, 1);
+    this._save();
+    return true;
+  }
+
+  /**
+   * 删除账号的所有提醒（账号删除时调用）
+   * @param {string} accountId - 账号 ID
+   * @returns {number} 删除的数量
+   */
+  clearAccount(accountId) {
+    const before = this.reminders.length;
+    this.reminders = this.reminders.filter(reminder => reminder.accountId !== accountId);
+    this.pendingChats.delete(accountId);
+
+    const removed = before - this.reminders.length;
+    if (removed > 0) {
+      this._save();
+    }
+    return removed;
+  }
+
+  /**
+   * 检查到期提醒（应用关闭期间到期的提醒在启动后立即触发）
+   * @param {number} [now] - 当前时间
+   * @returns {Array<Object>} 本次触发的提醒
+   */
+  check(now = Date.now()) {
+    const due = this.reminders.filter(reminder => !reminder.firedAt && reminder.dueAt <= now);
+    if (due.length === 0) {
+      return [];
+    }
+
+    due.forEach(reminder => {
+      reminder.firedAt = now;
+    });
+    this._save();
+
+    if (this.onDue) {
+      due.forEach(reminder => this.onDue({ ...reminder }));
+    }
+    return due.map(reminder => ({ ...reminder }));
+  }
+
+  /**
+   * 记录需要打开的聊天，由账号的内容脚本加载后取走
+   * @param {string} accountId - 账号 ID
+   * @param {string} contactId - 联系人
+   */
+  requestOpenChat(accountId, contactId) {
+    this.pendingChats.set(accountId, contactId);
+  }
+
+  /**
+   * 取走账号等待打开的聊天
+   * @param {string} accountId - 账号 ID
+   * @returns {string|null} 联系人
+   */
+  takePendingChat(accountId) {
+    const contactId = this.pendingChats.get(accountId) || null;
+    this.pendingChats.delete(accountId);
+    return contactId;
+  }
+
+  /**
+   * 启动定期检查
+   */
+  start() {
+    if (this.timer) return;
+    this.check();
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+  }
+
+  /**
+   * 停止定期检查
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 保存提醒并通知变化
+   * @private
+   */
+  _save() {
+    if (this.store) {
+      this.store.set('reminders', this.reminders);
+    }
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
+
+module.exports = ReminderManager;
@@ -6,9 +6,18 @@
  * 支持 BrowserView 会话和代理配置
  */
 
-const { session } = require('electron');
+const { session, net } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { normalizeIpInfo, extractResolvers, getDnsLeakStatus } = require('../utils/networkDiagnostics');
+const { getProxyMode, validateProxyMode, buildProxySettings, describeProxyConfig } = require('../utils/proxyRules');
+
+// 网络健康检测默认配置
+const DEFAULT_HEALTH_CHECK = {
+  ipInfoUrl: 'https://ipinfo.io/json',
+  dnsLeakUrl: '',
+  timeout: 10000
+};
 
 /**
  * SessionManager 类
@@ -18,9 +27,19 @@ class SessionManager {
    * 创建会话管理器
    * @param {Object} [options] - 配置选项
    * @param {string} [options.userDataPath] - 用户数据根目录
+   * @param {ProxyProfileManager} [options.proxyProfileManager] - 代理配置库（解析账号引用的代理配置）
+   * @param {Object} [options.healthCheck] - 网络健康检测配置 { ipInfoUrl, dnsLeakUrl, timeout }
+   * @param {Function} [options.onNetworkStatusChanged] - 账号网络检测结果更新回调 (accountId, status)
+   * @param {NetworkEventManager} [options.networkEventManager] - 账号网络事件日志（记录代理切换）
+   * @param {Function} [options.onProxySwitched] - 账号代理切换后的回调 (accountId, event)
    */
   constructor(options = {}) {
     this.userDataPath = options.userDataPath;
+    this.proxyProfileManager = options.proxyProfileManager || null;
+    this.healthCheck = { ...DEFAULT_HEALTH_CHECK, ...options.healthCheck };
+    this.onNetworkStatusChanged = options.onNetworkStatusChanged || null;
+    this.networkEventManager = options.networkEventManager || null;
+    this.onProxySwitched = options.onProxySwitched || null;
     
     // 登录状态缓存 Map: accountId -> boolean
     this.loginStatusCache = new Map();
@@ -31,6 +50,12 @@ class SessionManager {
     // 代理配置缓存 Map: accountId -> proxyConfig
     this.proxyCache = new Map();
     
+    // 网络检测结果缓存 Map: accountId -> 最近一次检测结果
+    this.networkStatus = new Map();
+    
+    // 代理故障切换状态 Map: accountId -> 当前使用的备用代理序号（没有记录时使用主代理）
+    this.proxyFailover = new Map();
+    
     // 日志函数
     this.log = this._createLogger();
   }
@@ -94,11 +119,6 @@ class SessionManager {
         if (!proxyResult.success) {
           proxyWarning = `Proxy configuration failed: ${proxyResult.error}`;
           this.log('warn', `Failed to configure proxy for account ${accountId}: ${proxyResult.error}`);
-          
-          // 如果应用了回退策略，记录警告
-          if (proxyResult.fallbackApplied) {
-            proxyWarning += ' (using direct connection as fallback)';
-          }
         } else if (proxyResult.fallbackApplied) {
           proxyWarning = proxyResult.error;
         }
@@ -161,13 +181,22 @@ class SessionManager {
    * @param {string} [proxyConfig.username] - 代理用户名（可选）
    * @param {string} [proxyConfig.password] - 代理密码（可选）
    * @param {string} [proxyConfig.bypass] - 代理绕过规则（可选）
+   * @param {string} [proxyConfig.mode] - 代理方式 fixed / rules / pac（可选，默认 fixed）
    * @param {boolean} [proxyConfig.validateConnectivity] - 是否验证代理连接性（可选，默认 false）
-   * @returns {Promise<{success: boolean, error?: string, fallbackApplied?: boolean}>}
+   * @param {string[]} [proxyConfig.backupProfileIds] - 备用代理配置 ID（主代理不可用时按顺序切换）
+   * @param {boolean} [proxyConfig.allowDirectFallback] - 所有代理都不可用时是否允许直连（默认 false）
+   * @returns {Promise<{success: boolean, error?: string, fallbackApplied?: boolean, proxyConfig?: Object|null}>}
    */
   async configureProxy(accountId, proxyConfig) {
     try {
       this.log('info', `Configuring proxy for account ${accountId}`);
       
+      // 重新应用账号的代理配置时从主代理开始
+      this.proxyFailover.delete(accountId);
+      
+      // 引用代理配置库时补全连接信息
+      proxyConfig = this.resolveProxyConfig(proxyConfig);
+      
       // 验证代理配置
       const validation = this._validateProxyConfig(proxyConfig);
       if (!validation.valid) {
@@ -179,20 +208,20 @@ class SessionManager {
         throw new Error(`Session not found for account ${accountId}`);
       }
       
-      // 构建代理 URL
-      const { protocol, host, port, username, password, bypass, validateConnectivity } = proxyConfig;
+      const { username, password, validateConnectivity } = proxyConfig;
       
-      // 构建代理规则字符串
-      let proxyRules = `${protocol}://${host}:${port}`;
+      // 构建代理设置（按域名规则和 PAC 文件转换为 PAC 脚本）
+      const proxySettings = buildProxySettings(proxyConfig);
+      const proxyDescription = describeProxyConfig(proxyConfig);
       
       // 可选：验证代理连接性
       if (validateConnectivity) {
         this.log('info', `Validating proxy connectivity for account ${accountId}`);
-        const isValid = await this._validateProxyConnectivity(accountSession, proxyRules, username, password);
+        const isValid = await this._validateProxyConnectivity(accountSession, proxySettings, username, password);
         if (!isValid) {
           this.log('warn', `Proxy connectivity validation failed for account ${accountId}, applying fallback`);
-          // 应用回退策略：使用直连
-          return await this._applyProxyFallback(accountId, accountSession, 'Proxy connectivity validation failed');
+          // 应用回退策略：切换到备用代理（验证时已应用主代理，没有备用代理时连接失败而不是直连）
+          return await this._applyProxyFallback(accountId, accountSession, proxyConfig, 'Proxy connectivity validation failed');
         }
       }
       
@@ -202,17 +231,12 @@ class SessionManager {
       }
       
       // 设置代理
-      const proxySettings = {
-        proxyRules,
-        proxyBypassRules: bypass || '<local>'
-      };
-      
       await accountSession.setProxy(proxySettings);
       
       // 缓存代理配置
       this.proxyCache.set(accountId, proxyConfig);
       
-      this.log('info', `Proxy configured successfully for account ${accountId}: ${proxyRules}`);
+      this.log('info', `Proxy configured successfully for account ${accountId}: ${proxyDescription}`);
       
       return { success: true };
     } catch (error) {
@@ -222,7 +246,7 @@ class SessionManager {
       try {
         const accountSession = this.getSession(accountId);
         if (accountSession) {
-          return await this._applyProxyFallback(accountId, accountSession, error.message);
+          return await this._applyProxyFallback(accountId, accountSession, proxyConfig, error.message);
         }
       } catch (fallbackError) {
         this.log('error', `Fallback also failed for account ${accountId}:`, fallbackError);
@@ -235,6 +259,18 @@ class SessionManager {
     }
   }
 
+  /**
+   * 解析代理配置：引用代理配置库（profileId）时补全连接信息
+   * @param {Object} proxyConfig - 账号的代理配置
+   * @returns {Object} 可直接应用的代理配置
+   */
+  resolveProxyConfig(proxyConfig) {
+    if (!proxyConfig || !proxyConfig.profileId || !this.proxyProfileManager) {
+      return proxyConfig;
+    }
+    return this.proxyProfileManager.resolveProxy(proxyConfig);
+  }
+
   /**
    * 验证代理配置
    * @private
@@ -246,6 +282,17 @@ class SessionManager {
       return { valid: false, error: 'Proxy config is required' };
     }
     
+    // 验证代理方式、按域名规则和 PAC 脚本
+    const modeValidation = validateProxyMode(proxyConfig);
+    if (!modeValidation.valid) {
+      return { valid: false, error: modeValidation.errors.join(', ') };
+    }
+    
+    // PAC 脚本自行选择代理服务器，不需要连接信息
+    if (getProxyMode(proxyConfig) === 'pac') {
+      return { valid: true };
+    }
+    
     const { protocol, host, port, username, password } = proxyConfig;
     
     // 验证协议
@@ -322,20 +369,15 @@ class SessionManager {
    * 验证代理连接性
    * @private
    * @param {Electron.Session} accountSession - Session 实例
-   * @param {string} proxyRules - 代理规则
+   * @param {Electron.ProxyConfig} proxySettings - 代理设置（见 buildProxySettings）
    * @param {string} [username] - 用户名（可选）
    * @param {string} [password] - 密码（可选）
    * @returns {Promise<boolean>}
    */
-  async _validateProxyConnectivity(accountSession, proxyRules, username, password) {
+  async _validateProxyConnectivity(accountSession, proxySettings, username, password) {
     try {
       // 临时设置代理
-      const tempProxySettings = {
-        proxyRules,
-        proxyBypassRules: '<local>'
-      };
-      
-      await accountSession.setProxy(tempProxySettings);
+      await accountSession.setProxy(proxySettings);
       
       // 如果有认证信息，临时设置
       if (username && password) {
@@ -381,18 +423,117 @@ class SessionManager {
   }
 
   /**
-   * 应用代理回退策略（使用直连）
+   * 账号的代理连接持续失败时切换到下一个备用代理
+   * 由 ViewManager 的连接监控在连续失败达到阈值后调用
+   * @param {string} accountId - 账号 ID
+   * @param {Object} proxyConfig - 账号的代理配置（含 backupProfileIds 和 allowDirectFallback）
+   * @param {string} reason - 切换原因
+   * @returns {Promise<{success: boolean, fallbackApplied: boolean, proxyConfig?: Object|null, error?: string}>}
+   */
+  async failoverProxy(accountId, proxyConfig, reason) {
+    const accountSession = this.getSession(accountId);
+    if (!accountSession) {
+      return {
+        success: false,
+        fallbackApplied: false,
+        error: `Session not found for account ${accountId}`
+      };
+    }
+
+    return await this._applyProxyFallback(accountId, accountSession, this.resolveProxyConfig(proxyConfig), reason);
+  }
+
+  /**
+   * 重置账号的代理故障切换状态（重新应用主代理时调用）
+   * @param {string} accountId - 账号 ID
+   */
+  resetProxyFailover(accountId) {
+    this.proxyFailover.delete(accountId);
+  }
+
+  /**
+   * 应用代理回退策略
+   * 按顺序切换到下一个可用的备用代理；备用代理都不可用时，只有账号允许直连才改为直连，
+   * 否则保留当前的代理设置，连接失败而不暴露本机 IP。每次切换都记录到账号网络事件日志
    * @private
    * @param {string} accountId - 账号 ID
    * @param {Electron.Session} accountSession - Session 实例
+   * @param {Object} proxyConfig - 账号的代理配置（已解析主代理）
    * @param {string} reason - 回退原因
-   * @returns {Promise<{success: boolean, fallbackApplied: boolean, error?: string}>}
+   * @returns {Promise<{success: boolean, fallbackApplied: boolean, proxyConfig?: Object|null, error?: string}>}
    */
-  async _applyProxyFallback(accountId, accountSession, reason) {
+  async _applyProxyFallback(accountId, accountSession, proxyConfig, reason) {
+    const config = proxyConfig || {};
+    const backupIds = Array.isArray(config.backupProfileIds) ? config.backupProfileIds : [];
+    const failedOver = this.proxyFailover.has(accountId);
+
+    // 备用代理已经用尽（或已改为直连），等待重新应用账号的代理配置
+    if (failedOver && this.proxyFailover.get(accountId) >= backupIds.length) {
+      return {
+        success: false,
+        fallbackApplied: false,
+        error: `Proxy failed (${reason}) and no backup proxy is left`
+      };
+    }
+
+    this.log('warn', `Applying proxy fallback for account ${accountId}: ${reason}`);
+    const from = this._describeProxy(failedOver ? this.proxyCache.get(accountId) : config);
+
+    for (let index = failedOver ? this.proxyFailover.get(accountId) + 1 : 0; index < backupIds.length; index++) {
+      const backup = this._resolveBackupProxy(config, backupIds[index]);
+      if (!backup) {
+        this.log('warn', `Backup proxy profile ${backupIds[index]} not found for account ${accountId}, skipped`);
+        continue;
+      }
+
+      try {
+        const proxySettings = buildProxySettings(backup);
+        if (config.validateConnectivity &&
+            !(await this._validateProxyConnectivity(accountSession, proxySettings, backup.username, backup.password))) {
+          this.log('warn', `Backup proxy ${describeProxyConfig(backup)} failed validation for account ${accountId}`);
+          continue;
+        }
+
+        if (backup.username && backup.password) {
+          this._setupProxyAuth(accountSession, backup.username, backup.password);
+        } else {
+          accountSession.webRequest.onBeforeSendHeaders(null);
+        }
+        await accountSession.setProxy(proxySettings);
+
+        this.proxyCache.set(accountId, backup);
+        this.proxyFailover.set(accountId, index);
+
+        const description = describeProxyConfig(backup);
+        this.log('info', `Switched account ${accountId} to backup proxy ${description}`);
+        this._recordNetworkEvent(accountId, { type: 'failover', from, to: description, profileId: backupIds[index], reason });
+
+        return {
+          success: true,
+          fallbackApplied: true,
+          proxyConfig: backup,
+          error: `Proxy failed (${reason}), switched to backup proxy ${description}`
+        };
+      } catch (error) {
+        this.log('warn', `Failed to apply backup proxy ${backupIds[index]} for account ${accountId}:`, error.message);
+      }
+    }
+
+    this.proxyFailover.set(accountId, backupIds.length);
+
+    if (!config.allowDirectFallback) {
+      this.log('warn', `No backup proxy left for account ${accountId}, direct connection is not allowed`);
+      this._recordNetworkEvent(accountId, { type: 'exhausted', from, reason });
+
+      return {
+        success: false,
+        fallbackApplied: false,
+        error: `Proxy failed (${reason}) and no backup proxy is available; direct connection is not allowed for this account`
+      };
+    }
+
     try {
-      this.log('warn', `Applying proxy fallback for account ${accountId}: ${reason}`);
-      
-      // 清除代理设置，使用直连
+      // 账号允许直连：清除代理设置
       await accountSession.setProxy({ proxyRules: 'direct://' });
       
       // 清除代理认证拦截器
@@ -402,10 +543,12 @@ class SessionManager {
       this.proxyCache.delete(accountId);
       
       this.log('info', `Proxy fallback applied for account ${accountId}, using direct connection`);
+      this._recordNetworkEvent(accountId, { type: 'direct', from, to: 'direct', reason });
       
       return {
         success: true,
         fallbackApplied: true,
+        proxyConfig: null,
         error: `Proxy configuration failed (${reason}), using direct connection as fallback`
       };
     } catch (error) {
@@ -414,6 +557,80 @@ class SessionManager {
     }
   }
 
+  /**
+   * 解析备用代理：使用代理配置库中的连接信息，保留账号的代理方式和域名规则
+   * PAC 脚本自行选择代理服务器，备用代理改为全部流量走代理
+   * @private
+   * @param {Object} proxyConfig - 账号的代理配置
+   * @param {string} profileId - 备用代理配置 ID
+   * @returns {Object|null} 可直接应用的代理配置，代理配置已删除时返回 null
+   */
+  _resolveBackupProxy(proxyConfig, profileId) {
+    if (!this.proxyProfileManager) {
+      return null;
+    }
+
+    const mode = getProxyMode(proxyConfig);
+    const backup = this.proxyProfileManager.resolveProxy({
+      ...proxyConfig,
+      enabled: true,
+      profileId,
+      mode: mode === 'pac' ? 'fixed' : mode
+    });
+    return backup.enabled === false ? null : backup;
+  }
+
+  /**
+   * 描述代理（用于网络事件日志，不含认证信息）
+   * @private
+   * @param {Object|null} proxyConfig - 代理配置
+   * @returns {string}
+   */
+  _describeProxy(proxyConfig) {
+    if (!proxyConfig || proxyConfig.enabled === false) {
+      return 'direct';
+    }
+    try {
+      return describeProxyConfig(proxyConfig);
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * 记录代理切换事件并通知渲染进程
+   * 切换后之前的网络检测结果不再有效
+   * @private
+   * @param {string} accountId - 账号 ID
+   * @param {Object} event - { type, from, to, profileId, reason }
+   */
+  _recordNetworkEvent(accountId, event) {
+    let entry = { accountId, ...event, timestamp: Date.now() };
+    if (this.networkEventManager) {
+      try {
+        entry = this.networkEventManager.logEvent(accountId, event);
+      } catch (error) {
+        this.log('error', `Failed to record network event for account ${accountId}:`, error);
+      }
+    }
+
+    this.networkStatus.delete(accountId);
+
+    if (this.onProxySwitched) {
+      this.onProxySwitched(accountId, entry);
+    }
+  }
+
+  /**
+   * 获取账号的网络事件（最新的在前）
+   * @param {string} accountId - 账号 ID
+   * @param {number} [limit] - 最多返回条数
+   * @returns {Array<Object>}
+   */
+  getNetworkEvents(accountId, limit) {
+    return this.networkEventManager ? this.networkEventManager.getEvents(accountId, limit) : [];
+  }
+
   /**
    * 测试代理配置（不实际应用）
    * @param {Object} proxyConfig - 代理配置
@@ -441,12 +658,11 @@ class SessionManager {
       const testPartition = `temp:proxy-test-${Date.now()}`;
       const testSession = session.fromPartition(testPartition);
       
-      const { protocol, host, port, username, password } = proxyConfig;
-      const proxyRules = `${protocol}://${host}:${port}`;
+      const { username, password } = proxyConfig;
       
       // 测试连接性
       const startTime = Date.now();
-      const isValid = await this._validateProxyConnectivity(testSession, proxyRules, username, password);
+      const isValid = await this._validateProxyConnectivity(testSession, buildProxySettings(proxyConfig), username, password);
       const latency = Date.now() - startTime;
       
       // 清理临时 session
@@ -482,6 +698,32 @@ class SessionManager {
     return this.proxyCache.get(accountId) || null;
   }
 
+  /**
+   * 获取账号 session 实际使用的代理（故障切换后为备用代理）
+   * @param {string} accountId - 账号 ID
+   * @returns {Object|null|undefined} 代理配置；故障切换后改为直连时为 null；尚未应用过代理时为 undefined
+   */
+  getAppliedProxyConfig(accountId) {
+    if (this.proxyCache.has(accountId)) {
+      return this.proxyCache.get(accountId);
+    }
+    return this.proxyFailover.has(accountId) ? null : undefined;
+  }
+
+  /**
+   * 记录账号 session 已应用的代理配置（代理由其他模块直接设置到 session 时调用，
+   * 例如 ViewManager 创建视图时），供网络健康检测和故障切换使用
+   * @param {string} accountId - 账号 ID
+   * @param {Object|null} proxyConfig - 已应用的代理配置，为空表示直连
+   */
+  recordProxyConfig(accountId, proxyConfig) {
+    if (proxyConfig && proxyConfig.enabled !== false) {
+      this.proxyCache.set(accountId, proxyConfig);
+    } else {
+      this.proxyCache.delete(accountId);
+    }
+  }
+
   /**
    * 清除账号的代理配置
    * @param {string} accountId - 账号 ID
@@ -517,6 +759,164 @@ class SessionManager {
     }
   }
 
+  /**
+   * 检测账号当前的网络状态（通过账号的 session 请求 IP 信息接口）
+   * @param {string} accountId - 账号 ID
+   * @returns {Promise<Object>} 检测结果 { accountId, success, mode, proxy, latency, ip, country, countryCode, city, org, dnsLeak, error, checkedAt }
+   */
+  async checkNetworkHealth(accountId) {
+    const accountSession = this.getSession(accountId);
+    const result = accountSession
+      ? await this._runNetworkDiagnostics(accountSession, this.getProxyConfig(accountId))
+      : { success: false, mode: 'direct', proxy: null, error: `Session not found for account ${accountId}`, checkedAt: Date.now() };
+    
+    const status = { accountId, ...result };
+    this.networkStatus.set(accountId, status);
+    this.log('info', `Network health for account ${accountId}: ${result.success ? `${result.ip} (${result.countryCode}), ${result.latency}ms, DNS ${result.dnsLeak}` : result.error}`);
+    
+    if (this.onNetworkStatusChanged) {
+      this.onNetworkStatusChanged(accountId, status);
+    }
+    
+    return status;
+  }
+
+  /**
+   * 检测代理配置的网络状态（使用临时 session，不影响账号）
+   * @param {Object|null} proxyConfig - 代理配置，为空时检测本机直连网络
+   * @returns {Promise<Object>} 检测结果（同 checkNetworkHealth，不含 accountId）
+   */
+  async checkProxyHealth(proxyConfig = null) {
+    if (proxyConfig) {
+      const validation = this._validateProxyConfig(proxyConfig);
+      if (!validation.valid) {
+        return { success: false, mode: 'proxy', proxy: null, error: validation.error, checkedAt: Date.now() };
+      }
+    }
+    
+    const testSession = session.fromPartition(`temp:network-check-${Date.now()}`);
+    
+    try {
+      if (proxyConfig) {
+        const { username, password } = proxyConfig;
+        await testSession.setProxy(buildProxySettings(proxyConfig));
+        if (username && password) {
+          this._setupProxyAuth(testSession, username, password);
+        }
+      } else {
+        await testSession.setProxy({ proxyRules: 'direct://' });
+      }
+      
+      return await this._runNetworkDiagnostics(testSession, proxyConfig);
+    } catch (error) {
+      this.log('error', 'Network health check failed:', error);
+      return { success: false, mode: proxyConfig ? 'proxy' : 'direct', proxy: null, error: error.message, checkedAt: Date.now() };
+    } finally {
+      // 清理临时 session
+      await testSession.clearStorageData().catch(() => {});
+    }
+  }
+
+  /**
+   * 获取账号最近一次的网络检测结果
+   * @param {string} [accountId] - 账号 ID（为空时返回所有账号）
+   * @returns {Object|null} 检测结果；不传 accountId 时返回 { accountId: 检测结果 }
+   */
+  getNetworkStatus(accountId) {
+    if (accountId) {
+      return this.networkStatus.get(accountId) || null;
+    }
+    return Object.fromEntries(this.networkStatus);
+  }
+
+  /**
+   * 通过指定 session 执行网络诊断：延迟、出口 IP、国家和 DNS 泄露状态
+   * @private
+   * @param {Electron.Session} targetSession - Session 实例
+   * @param {Object|null} proxyConfig - session 当前使用的代理配置（直连时为空）
+   * @returns {Promise<Object>}
+   */
+  async _runNetworkDiagnostics(targetSession, proxyConfig) {
+    const { ipInfoUrl, dnsLeakUrl, timeout } = this.healthCheck;
+    const base = {
+      mode: proxyConfig ? 'proxy' : 'direct',
+      proxy: proxyConfig ? describeProxyConfig(proxyConfig) : null,
+      checkedAt: Date.now()
+    };
+    
+    try {
+      const startTime = Date.now();
+      const exitInfo = normalizeIpInfo(await this._fetchJson(targetSession, ipInfoUrl, timeout));
+      const latency = Date.now() - startTime;
+      if (!exitInfo.ip) {
+        throw new Error('IP info response does not contain an IP address');
+      }
+      
+      // DNS 泄露检测接口失败时按代理协议判断
+      let resolvers = null;
+      if (dnsLeakUrl) {
+        try {
+          resolvers = extractResolvers(await this._fetchJson(targetSession, dnsLeakUrl, timeout));
+        } catch (error) {
+          this.log('warn', 'DNS leak check failed:', error.message);
+        }
+      }
+      
+      return {
+        success: true,
+        ...base,
+        latency,
+        ...exitInfo,
+        dnsLeak: getDnsLeakStatus(proxyConfig, exitInfo, resolvers)
+      };
+    } catch (error) {
+      return { success: false, ...base, error: error.message };
+    }
+  }
+
+  /**
+   * 通过指定 session 请求 JSON 接口
+   * @private
+   * @param {Electron.Session} targetSession - Session 实例
+   * @param {string} url - 接口地址
+   * @param {number} timeout - 超时时间（毫秒）
+   * @returns {Promise<Object>}
+   */
+  _fetchJson(targetSession, url, timeout) {
+    return new Promise((resolve, reject) => {
+      const request = net.request({ url, session: targetSession, method: 'GET' });
+      
+      const timer = setTimeout(() => {
+        request.abort();
+        reject(new Error(`Request to ${url} timed out after ${timeout}ms`));
+      }, timeout);
+      
+      request.on('response', (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(Buffer.from(chunk)));
+        response.on('end', () => {
+          clearTimeout(timer);
+          if (response.statusCode >= 400) {
+            reject(new Error(`Request to ${url} failed with status ${response.statusCode}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+          } catch (error) {
+            reject(new Error(`Invalid JSON response from ${url}`));
+          }
+        });
+      });
+      
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      
+      request.end();
+    });
+  }
+
   /**
    * 获取实例的 session 对象（向后兼容）
    * @param {string} instanceId - 实例 ID
@@ -771,6 +1171,8 @@ class SessionManager {
     this.loginStatusCache.delete(accountId);
     this.sessionCache.delete(accountId);
     this.proxyCache.delete(accountId);
+    this.networkStatus.delete(accountId);
+    this.proxyFailover.delete(accountId);
     this.log('info', `All caches cleared for account ${accountId}`);
   }
 
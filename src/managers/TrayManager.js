@@ -12,6 +12,7 @@ class TrayManager {
     this.tray = null;
     this.mainWindow = null;
     this.unreadCount = 0;
+    this.overdueCount = 0; // 超时未回复的会话数
     this.minimizeToTray = false;
     
     // 多实例支持
@@ -384,6 +385,15 @@ class TrayManager {
     return null;
   }
 
+  /**
+   * 更新超时未回复的会话数（在提示文本中与未读消息分开显示）
+   * @param {number} count - 超时会话数
+   */
+  updateOverdueCount(count) {
+    this.overdueCount = count;
+    this.updateTrayTooltip();
+  }
+
   /**
    * 更新托盘提示文本
    */
@@ -394,6 +404,9 @@ class TrayManager {
     if (this.unreadCount > 0) {
       tooltip += ` (${this.unreadCount} 条未读消息)`;
     }
+    if (this.overdueCount > 0) {
+      tooltip += ` (${this.overdueCount} 个会话超时未回复)`;
+    }
 
     this.tray.setToolTip(tooltip);
   }
@@ -33,6 +33,31 @@ describe('AccountConfigManager', () => {
     }
   });
 
+  describe('migrateInlineProxies', () => {
+    test('should move inline proxies into the profile library and reference them by ID', async () => {
+      const proxy = { enabled: true, protocol: 'socks5', host: '10.0.0.1', port: 1080, username: 'u', password: 'p' };
+      await manager.createAccount({ name: 'Account 1', proxy });
+      await manager.createAccount({ name: 'Account 2', proxy: { ...proxy, enabled: false } });
+      await manager.createAccount({ name: 'Account 3' });
+
+      const proxyProfileManager = {
+        importInlineProxy: jest.fn(() => ({ id: 'pp_1' }))
+      };
+
+      expect(await manager.migrateInlineProxies(proxyProfileManager)).toBe(2);
+      expect(proxyProfileManager.importInlineProxy).toHaveBeenCalledWith(expect.objectContaining({ host: '10.0.0.1' }), 'Account 1 代理');
+
+      const accounts = await manager.getAccountsSorted();
+      expect(accounts[0].proxy).toMatchObject({ enabled: true, profileId: 'pp_1', host: '', password: '' });
+      expect(accounts[1].proxy).toMatchObject({ enabled: false, profileId: 'pp_1' });
+      expect(accounts[2].proxy.profileId).toBe('');
+      expect(accounts[0].validate().valid).toBe(true);
+
+      // Already migrated accounts are skipped
+      expect(await manager.migrateInlineProxies(proxyProfileManager)).toBe(0);
+    });
+  });
+
   describe('createAccount', () => {
     test('should create a new account with default values', async () => {
       const result = await manager.createAccount({ name: 'Test Account' });
@@ -0,0 +1,85 @@
+/**
+ * ConversationSlaTracker 测试
+ */
+
+const ConversationSlaTracker = require('../ConversationSlaTracker');
+
+const MINUTE = 60 * 1000;
+
+function createStore() {
+  const data = {};
+  return {
+    get: (key) => data[key],
+    set: (key, value) => {
+      data[key] = value;
+    }
+  };
+}
+
+describe('ConversationSlaTracker', () => {
+  let tracker;
+  let onAlert;
+  let onOverdueChanged;
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    onAlert = jest.fn();
+    onOverdueChanged = jest.fn();
+    tracker = new ConversationSlaTracker({ store: createStore(), onAlert, onOverdueChanged });
+  });
+
+  afterEach(() => {
+    tracker.stop();
+  });
+
+  test('应该从第一条未回复的消息开始计时，回复后停止', () => {
+    tracker.recordActivity('acc1', { contactId: 'Alice', direction: 'in', timestamp: now - 10 * MINUTE });
+    tracker.recordActivity('acc1', { contactId: 'Alice', direction: 'in', timestamp: now - 2 * MINUTE });
+    tracker.recordActivity('acc2', { contactId: 'Bob', direction: 'in', timestamp: now - 20 * MINUTE });
+
+    const waiting = tracker.getWaitingChats('acc1', now);
+    expect(waiting).toHaveLength(1);
+    expect(waiting[0]).toMatchObject({ contactId: 'Alice', waitingMs: 10 * MINUTE, overdue: false });
+    expect(tracker.getWaitingChats(null, now).map(chat => chat.contactId)).toEqual(['Bob', 'Alice']);
+
+    tracker.recordActivity('acc1', { contactId: 'Alice', direction: 'out' });
+    expect(tracker.getWaitingChats('acc1', now)).toEqual([]);
+    expect(() => tracker.recordActivity('acc1', { direction: 'in' })).toThrow('contact ID are required');
+  });
+
+  test('应该在超时后只提醒一次并通知超时会话数变化', () => {
+    tracker.recordActivity('acc1', { contactId: 'Alice', direction: 'in', timestamp: now - 20 * MINUTE });
+    tracker.recordActivity('acc1', { contactId: 'Bob', direction: 'in', timestamp: now - 5 * MINUTE });
+
+    expect(onAlert).toHaveBeenCalledTimes(1);
+    expect(onAlert.mock.calls[0][0]).toMatchObject({ accountId: 'acc1', contactId: 'Alice' });
+    expect(onOverdueChanged).toHaveBeenLastCalledWith('acc1', 1);
+
+    tracker.check(now + 11 * MINUTE);
+    expect(onAlert).toHaveBeenCalledTimes(2);
+    expect(onOverdueChanged).toHaveBeenLastCalledWith('acc1', 2);
+    expect(tracker.getTotalOverdueCount()).toBe(2);
+
+    tracker.check(now + 12 * MINUTE);
+    expect(onAlert).toHaveBeenCalledTimes(2);
+    expect(onOverdueChanged).toHaveBeenCalledTimes(2);
+
+    tracker.clearAccount('acc1');
+    expect(onOverdueChanged).toHaveBeenLastCalledWith('acc1', 0);
+    expect(tracker.getTotalOverdueCount()).toBe(0);
+  });
+
+  test('应该保存设置并按新时效重新判断', () => {
+    tracker.recordActivity('acc1', { contactId: 'Alice', direction: 'in', timestamp: now - 10 * MINUTE });
+    expect(onAlert).not.toHaveBeenCalled();
+
+    expect(tracker.saveConfig({ slaMinutes: 5 })).toEqual({ enabled: true, slaMinutes: 5 });
+    expect(onAlert).toHaveBeenCalledTimes(1);
+    expect(tracker.getConfig().slaMinutes).toBe(5);
+
+    expect(tracker.saveConfig({ enabled: false, slaMinutes: 0 })).toEqual({ enabled: false, slaMinutes: 1 });
+    expect(tracker.getOverdueCounts()).toEqual({});
+    expect(onOverdueChanged).toHaveBeenLastCalledWith('acc1', 0);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * NetworkEventManager 测试
+ */
+
+const NetworkEventManager = require('../NetworkEventManager');
+
+function createStore() {
+  const data = {};
+  return {
+    get: (key) => data[key],
+    set: (key, value) => {
+      data[key] = JSON.parse(JSON.stringify(value));
+    }
+  };
+}
+
+describe('NetworkEventManager', () => {
+  let store;
+  let manager;
+
+  beforeEach(() => {
+    store = createStore();
+    manager = new NetworkEventManager({ store });
+  });
+
+  test('应该按账号记录事件并按时间倒序返回', () => {
+    manager.logEvent('acc-1', { type: 'failover', from: 'socks5://10.0.0.1:1080', to: 'http://10.0.0.2:8080', profileId: 'p2', reason: 'ERR_PROXY_CONNECTION_FAILED' });
+    manager.logEvent('acc-1', { type: 'exhausted', from: 'http://10.0.0.2:8080', reason: 'ERR_TIMED_OUT' });
+    manager.logEvent('acc-2', { type: 'direct', from: 'socks5://10.0.0.1:1080', to: 'direct', reason: 'ERR_TIMED_OUT' });
+
+    const events = manager.getEvents('acc-1');
+    expect(events.map(event => event.type)).toEqual(['exhausted', 'failover']);
+    expect(events[1]).toMatchObject({ accountId: 'acc-1', to: 'http://10.0.0.2:8080', profileId: 'p2' });
+    expect(events[0]).toMatchObject({ to: '', profileId: null });
+    expect(manager.getEvents('acc-1', 1)).toHaveLength(1);
+    expect(manager.getEvents('acc-3')).toEqual([]);
+
+    // 重新创建后从存储中恢复
+    expect(new NetworkEventManager({ store }).getEvents('acc-2')[0].type).toBe('direct');
+  });
+
+  test('应该拒绝未知的事件类型并且只保留最近的事件', () => {
+    expect(() => manager.logEvent('acc-1', { type: 'unknown' })).toThrow('Network event type');
+    expect(() => manager.logEvent('', { type: 'failover' })).toThrow('Account ID is required');
+
+    for (let i = 0; i < 205; i++) {
+      manager.logEvent('acc-1', { type: 'failover', reason: `failure ${i}` });
+    }
+    const events = manager.getEvents('acc-1');
+    expect(events).toHaveLength(200);
+    expect(events[0].reason).toBe('failure 204');
+
+    manager.clear('acc-1');
+    expect(manager.getEvents('acc-1')).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * ProxyProfileManager 测试
+ */
+
+jest.mock('electron', () => ({
+  safeStorage: {
+    isEncryptionAvailable: () => false
+  }
+}));
+
+const ProxyProfileManager = require('../ProxyProfileManager');
+
+function createStore() {
+  const data = {};
+  return {
+    get: (key) => data[key],
+    set: (key, value) => {
+      data[key] = JSON.parse(JSON.stringify(value));
+    }
+  };
+}
+
+// 用可识别的前缀模拟加密
+const secureStorage = {
+  encryptApiKey: (value) => (value ? `enc:${value}` : ''),
+  decryptApiKey: (value) => (value ? value.replace(/^enc:/, '') : '')
+};
+
+describe('ProxyProfileManager', () => {
+  let store;
+  let manager;
+
+  beforeEach(() => {
+    store = createStore();
+    manager = new ProxyProfileManager({ store, secureStorage });
+  });
+
+  test('应该加密保存密码并且列表中不返回密码', () => {
+    const profile = manager.saveProfile({
+      name: ' 美国代理 ', protocol: 'SOCKS5', host: ' 10.0.0.1 ', port: '1080', username: 'user', password: 'secret'
+    });
+
+    expect(profile).toMatchObject({ name: '美国代理', protocol: 'socks5', host: '10.0.0.1', port: 1080, hasPassword: true });
+    expect(profile.password).toBeUndefined();
+    expect(store.get('profiles')[0].password).toBe('enc:secret');
+    expect(manager.getProfile(profile.id).password).toBe('secret');
+    expect(manager.getProfiles()[0].password).toBeUndefined();
+
+    const restored = new ProxyProfileManager({ store, secureStorage });
+    expect(restored.getProfile(profile.id).password).toBe('secret');
+  });
+
+  test('应该校验代理配置并在编辑时保留未修改的密码', () => {
+    const profile = manager.saveProfile({ name: 'A', host: 'proxy.example.com', port: 8080, protocol: 'http', username: 'u', password: 'p' });
+
+    expect(() => manager.saveProfile({ name: 'a', host: '1.2.3.4', port: 80 })).toThrow('already exists');
+    expect(() => manager.saveProfile({ name: 'B', host: 'bad host', port: 80 })).toThrow('Invalid proxy profile');
+    expect(() => manager.saveProfile({ name: 'B', host: '1.2.3.4', port: 70000 })).toThrow('Invalid proxy profile');
+    expect(() => manager.saveProfile({ id: 'missing', name: 'B', host: '1.2.3.4', port: 80 })).toThrow('not found');
+
+    manager.saveProfile({ id: profile.id, name: 'A', host: 'proxy.example.com', port: 8081, protocol: 'http', username: 'u' });
+    expect(manager.getProfile(profile.id)).toMatchObject({ port: 8081, password: 'p', createdAt: profile.createdAt });
+
+    manager.saveProfile({ id: profile.id, name: 'A', host: 'proxy.example.com', port: 8081, protocol: 'http', username: '' });
+    expect(manager.getProfile(profile.id).password).toBe('');
+
+    expect(manager.deleteProfile(profile.id)).toBe(true);
+    expect(manager.deleteProfile(profile.id)).toBe(false);
+  });
+
+  test('应该合并相同的内联代理并解析账号引用的代理配置', () => {
+    const inline = { enabled: true, protocol: 'socks5', host: '10.0.0.1', port: 1080, username: 'u', password: 'p', bypass: '' };
+    const first = manager.importInlineProxy(inline, '账号一 代理');
+    const second = manager.importInlineProxy({ ...inline }, '账号二 代理');
+    const other = manager.importInlineProxy({ ...inline, port: 1081 }, '账号一 代理');
+
+    expect(second.id).toBe(first.id);
+    expect(other.name).toBe('账号一 代理 2');
+    expect(manager.getProfiles()).toHaveLength(2);
+
+    expect(manager.resolveProxy({ enabled: true, profileId: first.id })).toMatchObject({
+      enabled: true, profileId: first.id, host: '10.0.0.1', port: 1080, username: 'u', password: 'p'
+    });
+    expect(manager.resolveProxy({ enabled: true, profileId: 'missing' }).enabled).toBe(false);
+    expect(manager.resolveProxy(inline)).toBe(inline);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * ReminderManager 测试
+ */
+
+const ReminderManager = require('../ReminderManager');
+
+const MINUTE = 60 * 1000;
+
+function createStore() {
+  const data = {};
+  return {
+    get: (key) => data[key],
+    set: (key, value) => {
+      data[key] = JSON.parse(JSON.stringify(value));
+    }
+  };
+}
+
+describe('ReminderManager', () => {
+  let store;
+  let manager;
+  let onDue;
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    store = createStore();
+    onDue = jest.fn();
+    manager = new ReminderManager({ store, onDue });
+  });
+
+  afterEach(() => {
+    manager.stop();
+  });
+
+  test('应该按到期时间列出提醒并在重启后保留', () => {
+    manager.addReminder('acc1', { contactId: ' Alice ', note: '回复报价', dueAt: now + 60 * MINUTE });
+    manager.addReminder('acc1', { contactId: 'Bob', dueAt: now + 10 * MINUTE });
+    manager.addReminder('acc2', { contactId: 'Alice', dueAt: now + 30 * MINUTE });
+
+    expect(manager.getReminders({ accountId: 'acc1' }).map(reminder => reminder.contactId)).toEqual(['Bob', 'Alice']);
+    expect(manager.getReminders({ contactId: 'Alice' })).toHaveLength(2);
+    expect(() => manager.addReminder('acc1', { contactId: 'Bob' })).toThrow('Due time is required');
+    expect(() => manager.addReminder('acc1', { dueAt: now })).toThrow('contact ID are required');
+
+    const restored = new ReminderManager({ store });
+    expect(restored.getReminders()).toHaveLength(3);
+    expect(restored.getReminders({ accountId: 'acc1', contactId: 'Alice' })[0].note).toBe('回复报价');
+  });
+
+  test('应该只触发一次到期提醒并支持稍后提醒', () => {
+    const reminder = manager.addReminder('acc1', { contactId: 'Alice', dueAt: now + 5 * MINUTE });
+
+    expect(manager.check(now)).toEqual([]);
+    expect(manager.check(now + 5 * MINUTE)).toHaveLength(1);
+    expect(onDue).toHaveBeenCalledWith(expect.objectContaining({ id: reminder.id, contactId: 'Alice' }));
+    expect(manager.check(now + 6 * MINUTE)).toEqual([]);
+
+    const snoozed = manager.snoozeReminder(reminder.id, 15, now + 6 * MINUTE);
+    expect(snoozed).toMatchObject({ dueAt: now + 21 * MINUTE, firedAt: null });
+    expect(() => manager.snoozeReminder('missing', 15)).toThrow('not found');
+
+    manager.check(now + 21 * MINUTE);
+    expect(onDue).toHaveBeenCalledTimes(2);
+
+    expect(manager.deleteReminder(reminder.id)).toBe(true);
+    expect(manager.deleteReminder(reminder.id)).toBe(false);
+  });
+
+  test('应该记录待打开的聊天并在删除账号时清理', () => {
+    manager.addReminder('acc1', { contactId: 'Alice', dueAt: now });
+    manager.requestOpenChat('acc1', 'Alice');
+
+    expect(manager.takePendingChat('acc1')).toBe('Alice');
+    expect(manager.takePendingChat('acc1')).toBeNull();
+
+    expect(manager.clearAccount('acc1')).toBe(1);
+    expect(manager.getReminders()).toEqual([]);
+  });
+});
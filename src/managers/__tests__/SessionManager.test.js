@@ -16,7 +16,8 @@ jest.mock('electron', () => ({
   },
   net: {
     request: jest.fn()
-  }
+  },
+  BrowserView: jest.fn()
 }));
 
 describe('SessionManager', () => {
@@ -164,6 +165,29 @@ describe('SessionManager', () => {
       expect(cached).toEqual(proxyConfig);
     });
 
+    test('应该以 PAC 脚本应用按域名规则并拒绝无效的 PAC 脚本', async () => {
+      const result = await sessionManager.configureProxy('test-account', {
+        protocol: 'socks5',
+        host: '127.0.0.1',
+        port: 1080,
+        mode: 'rules',
+        rules: [{ pattern: 'whatsapp.net', action: 'proxy' }],
+        defaultAction: 'direct'
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockSession.setProxy).toHaveBeenCalledWith({
+        pacScript: expect.stringMatching(/^data:application\/x-ns-proxy-autoconfig;base64,/)
+      });
+
+      // 没有备用代理且不允许直连时不回退到直连
+      const invalid = await sessionManager.configureProxy('test-account', { mode: 'pac', pacScript: 'var direct = true;' });
+      expect(invalid.success).toBe(false);
+      expect(invalid.fallbackApplied).toBe(false);
+      expect(invalid.error).toContain('FindProxyForURL');
+      expect(mockSession.setProxy).not.toHaveBeenCalledWith({ proxyRules: 'direct://' });
+    });
+
     test('应该成功清除代理配置', async () => {
       const proxyConfig = {
         protocol: 'socks5',
@@ -180,6 +204,210 @@ describe('SessionManager', () => {
     });
   });
 
+  describe('代理故障切换', () => {
+    const profiles = {
+      primary: { id: 'primary', protocol: 'socks5', host: '10.0.0.1', port: 1080 },
+      backup1: { id: 'backup1', protocol: 'http', host: '10.0.0.2', port: 8080, username: 'user', password: 'pass' },
+      backup2: { id: 'backup2', protocol: 'socks5', host: '10.0.0.3', port: 1080 }
+    };
+    let events;
+    let switched;
+
+    beforeEach(async () => {
+      events = [];
+      switched = jest.fn();
+      sessionManager = new SessionManager({
+        userDataPath: tempDir,
+        proxyProfileManager: {
+          resolveProxy: (proxy) => {
+            const profile = profiles[proxy.profileId];
+            return profile
+              ? { ...proxy, protocol: profile.protocol, host: profile.host, port: profile.port, username: profile.username || '', password: profile.password || '' }
+              : { ...proxy, enabled: false };
+          }
+        },
+        networkEventManager: {
+          logEvent: (accountId, event) => {
+            const entry = { accountId, ...event, timestamp: Date.now() };
+            events.push(entry);
+            return entry;
+          },
+          getEvents: () => events.slice().reverse()
+        },
+        onProxySwitched: switched
+      });
+      await sessionManager.createSession('test-account');
+    });
+
+    test('应该按顺序切换到下一个备用代理并记录网络事件', async () => {
+      const proxyConfig = { enabled: true, profileId: 'primary', backupProfileIds: ['missing', 'backup1', 'backup2'] };
+      await sessionManager.configureProxy('test-account', proxyConfig);
+
+      const first = await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_PROXY_CONNECTION_FAILED');
+      expect(first.success).toBe(true);
+      expect(first.fallbackApplied).toBe(true);
+      expect(mockSession.setProxy).toHaveBeenLastCalledWith({
+        proxyRules: 'http://10.0.0.2:8080',
+        proxyBypassRules: '<local>'
+      });
+      expect(sessionManager.getProxyConfig('test-account').host).toBe('10.0.0.2');
+
+      const second = await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_TIMED_OUT');
+      expect(second.proxyConfig.host).toBe('10.0.0.3');
+      expect(mockSession.webRequest.onBeforeSendHeaders).toHaveBeenLastCalledWith(null);
+
+      expect(events.map(event => [event.type, event.from, event.to, event.profileId])).toEqual([
+        ['failover', 'socks5://10.0.0.1:1080', 'http://10.0.0.2:8080', 'backup1'],
+        ['failover', 'http://10.0.0.2:8080', 'socks5://10.0.0.3:1080', 'backup2']
+      ]);
+      expect(switched).toHaveBeenCalledWith('test-account', expect.objectContaining({ type: 'failover', reason: 'ERR_TIMED_OUT' }));
+      expect(sessionManager.getNetworkEvents('test-account')[0].profileId).toBe('backup2');
+    });
+
+    test('应该报告账号 session 实际使用的代理（翻译请求跟随故障切换）', async () => {
+      const proxyConfig = { enabled: true, profileId: 'primary', backupProfileIds: ['backup1'] };
+      expect(sessionManager.getAppliedProxyConfig('test-account')).toBeUndefined();
+
+      await sessionManager.configureProxy('test-account', proxyConfig);
+      expect(sessionManager.getAppliedProxyConfig('test-account').host).toBe('10.0.0.1');
+
+      await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_PROXY_CONNECTION_FAILED');
+      expect(sessionManager.getAppliedProxyConfig('test-account')).toMatchObject({ host: '10.0.0.2', port: 8080 });
+    });
+
+    test('备用代理用尽且未允许直连时应该保持断开而不是直连', async () => {
+      const proxyConfig = { enabled: true, profileId: 'primary', backupProfileIds: ['backup2'] };
+      await sessionManager.configureProxy('test-account', proxyConfig);
+      await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_PROXY_CONNECTION_FAILED');
+
+      const exhausted = await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_PROXY_CONNECTION_FAILED');
+      expect(exhausted.success).toBe(false);
+      expect(exhausted.fallbackApplied).toBe(false);
+      expect(exhausted.error).toContain('direct connection is not allowed');
+      expect(mockSession.setProxy).not.toHaveBeenCalledWith({ proxyRules: 'direct://' });
+
+      // 用尽后只记录一次，重新应用代理配置后从主代理重新开始
+      await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_PROXY_CONNECTION_FAILED');
+      expect(events.map(event => event.type)).toEqual(['failover', 'exhausted']);
+
+      await sessionManager.configureProxy('test-account', proxyConfig);
+      const retried = await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_PROXY_CONNECTION_FAILED');
+      expect(retried.proxyConfig.host).toBe('10.0.0.3');
+    });
+
+    test('允许直连时应该在备用代理用尽后改为直连', async () => {
+      const proxyConfig = { enabled: true, profileId: 'primary', backupProfileIds: [], allowDirectFallback: true };
+      await sessionManager.configureProxy('test-account', proxyConfig);
+
+      const result = await sessionManager.failoverProxy('test-account', proxyConfig, 'ERR_PROXY_CONNECTION_FAILED');
+      expect(result.success).toBe(true);
+      expect(result.fallbackApplied).toBe(true);
+      expect(result.proxyConfig).toBeNull();
+      expect(mockSession.setProxy).toHaveBeenLastCalledWith({ proxyRules: 'direct://' });
+      expect(sessionManager.getProxyConfig('test-account')).toBeNull();
+      expect(sessionManager.getAppliedProxyConfig('test-account')).toBeNull();
+      expect(events).toEqual([expect.objectContaining({ type: 'direct', from: 'socks5://10.0.0.1:1080', to: 'direct' })]);
+    });
+  });
+
+  describe('网络健康检测', () => {
+    const { net } = require('electron');
+    const { EventEmitter } = require('events');
+
+    // 模拟 IP 信息接口：按 URL 返回 JSON
+    function mockResponses(responses) {
+      net.request.mockImplementation(({ url }) => {
+        const request = new EventEmitter();
+        request.abort = jest.fn();
+        request.end = () => {
+          const response = new EventEmitter();
+          response.statusCode = responses[url] ? 200 : 500;
+          request.emit('response', response);
+          response.emit('data', Buffer.from(JSON.stringify(responses[url] || {})));
+          response.emit('end');
+        };
+        return request;
+      });
+    }
+
+    test('应该通过账号 session 检测出口 IP、国家和 DNS 泄露状态', async () => {
+      const onNetworkStatusChanged = jest.fn();
+      sessionManager = new SessionManager({
+        userDataPath: tempDir,
+        healthCheck: { ipInfoUrl: 'http://127.0.0.1:9000/ip', dnsLeakUrl: 'http://127.0.0.1:9000/dns' },
+        onNetworkStatusChanged
+      });
+      mockResponses({
+        'http://127.0.0.1:9000/ip': { ip: '203.0.113.7', country: 'US', city: 'Dallas' },
+        'http://127.0.0.1:9000/dns': { resolvers: [{ ip: '198.51.100.1', country_code: 'CN' }] }
+      });
+      await sessionManager.createSession('test-account');
+      await sessionManager.configureProxy('test-account', { protocol: 'socks5', host: '127.0.0.1', port: 1080 });
+
+      const status = await sessionManager.checkNetworkHealth('test-account');
+
+      expect(net.request).toHaveBeenCalledWith(expect.objectContaining({ url: 'http://127.0.0.1:9000/ip', session: mockSession }));
+      expect(status).toMatchObject({
+        accountId: 'test-account',
+        success: true,
+        mode: 'proxy',
+        proxy: 'socks5://127.0.0.1:1080',
+        ip: '203.0.113.7',
+        countryCode: 'US',
+        dnsLeak: 'leak'
+      });
+      expect(status.latency).toBeGreaterThanOrEqual(0);
+      expect(onNetworkStatusChanged).toHaveBeenCalledWith('test-account', status);
+      expect(sessionManager.getNetworkStatus()).toEqual({ 'test-account': status });
+    });
+
+    test('应该报告 ViewManager 创建视图时应用的账号代理', async () => {
+      const { BrowserView } = require('electron');
+      const ViewManager = require('../../single-window/ViewManager');
+      BrowserView.mockImplementation(({ webPreferences }) => ({
+        webContents: {
+          session: webPreferences.session,
+          setUserAgent: jest.fn(),
+          on: jest.fn(),
+          loadURL: jest.fn().mockResolvedValue(undefined),
+          isDestroyed: () => false
+        }
+      }));
+      sessionManager = new SessionManager({
+        userDataPath: tempDir,
+        healthCheck: { ipInfoUrl: 'http://127.0.0.1:9000/ip', dnsLeakUrl: 'http://127.0.0.1:9000/dns' }
+      });
+      mockResponses({
+        'http://127.0.0.1:9000/ip': { ip: '203.0.113.7', country: 'US' },
+        'http://127.0.0.1:9000/dns': { resolvers: [{ ip: '203.0.113.53', country_code: 'US' }] }
+      });
+      const mainWindow = { getWindow: () => null, getSidebarWidth: () => 280, getStateStore: () => null };
+      const viewManager = new ViewManager(mainWindow, sessionManager, { autoMemoryCleanup: false });
+
+      await viewManager.createView('test-account', {
+        proxy: { enabled: true, protocol: 'http', host: '127.0.0.1', port: 8080 }
+      });
+      const status = await sessionManager.checkNetworkHealth('test-account');
+
+      expect(mockSession.setProxy).toHaveBeenCalled();
+      expect(status).toMatchObject({ success: true, mode: 'proxy', proxy: 'http://127.0.0.1:8080' });
+    });
+
+    test('应该在临时 session 中检测代理配置并报告失败原因', async () => {
+      mockResponses({});
+
+      const invalid = await sessionManager.checkProxyHealth({ protocol: 'ftp', host: '127.0.0.1', port: 21 });
+      expect(invalid.success).toBe(false);
+      expect(invalid.error).toContain('Invalid protocol');
+
+      const failed = await sessionManager.checkProxyHealth({ protocol: 'http', host: '127.0.0.1', port: 8080 });
+      expect(failed).toMatchObject({ success: false, mode: 'proxy' });
+      expect(failed.error).toContain('status 500');
+      expect(session.fromPartition).toHaveBeenCalledWith(expect.stringMatching(/^temp:network-check-/));
+      expect(mockSession.clearStorageData).toHaveBeenCalled();
+    });
+  });
+
   describe('登录状态检测', () => {
     let mockWebContents;
     let mockView;
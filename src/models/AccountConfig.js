@@ -23,6 +23,20 @@ function uuidv4() {
  * @property {string} [username] - 代理认证用户名（可选）
  * @property {string} [password] - 代理认证密码（可选）
  * @property {string} [bypass] - 代理绕过规则（可选）
+ * @property {string} [profileId] - 引用的代理配置 ID（设置后连接信息从代理配置库读取，上面的连接字段为空）
+ * @property {'fixed'|'rules'|'pac'} [mode] - 代理方式：全部走代理 / 按域名规则分流 / PAC 脚本
+ * @property {ProxyRule[]} [rules] - 按域名分流规则（rules 方式，按顺序匹配）
+ * @property {'proxy'|'direct'} [defaultAction] - 未匹配任何规则的域名的处理方式（rules 方式）
+ * @property {string} [pacScript] - PAC 脚本内容（pac 方式）
+ * @property {string} [pacFile] - PAC 文件的绝对路径（pac 方式，优先于 pacScript）
+ * @property {string[]} [backupProfileIds] - 备用代理配置 ID（连接持续失败时按顺序切换）
+ * @property {boolean} [allowDirectFallback] - 所有代理都不可用时是否允许直连（默认不允许）
+ */
+
+/**
+ * @typedef {Object} ProxyRule
+ * @property {string} pattern - 域名（同时匹配子域名）或带 * 通配符的域名
+ * @property {'proxy'|'direct'} action - 走代理或直连
  */
 
 /**
@@ -93,6 +107,14 @@ class AccountConfig {
       username: '',
       password: '',
       bypass: '',
+      profileId: '',
+      mode: 'fixed',
+      rules: [],
+      defaultAction: 'proxy',
+      pacScript: '',
+      pacFile: '',
+      backupProfileIds: [],
+      allowDirectFallback: false,
       ...(config.proxy || {})
     };
     
@@ -183,8 +205,21 @@ class AccountConfig {
       errors.push('Session directory path is required');
     }
 
-    // 验证代理配置
-    if (this.proxy.enabled) {
+    // 验证代理方式（未设置时为全部走代理）
+    const proxyMode = this.proxy.mode || 'fixed';
+    if (this.proxy.enabled && !['fixed', 'rules', 'pac'].includes(proxyMode)) {
+      errors.push('Invalid proxy mode. Must be fixed, rules, or pac');
+    }
+
+    // 验证备用代理（不能包含主代理）
+    if (!Array.isArray(this.proxy.backupProfileIds)) {
+      errors.push('Backup proxy profiles must be an array');
+    } else if (this.proxy.profileId && this.proxy.backupProfileIds.includes(this.proxy.profileId)) {
+      errors.push('Backup proxy profiles must not include the primary proxy profile');
+    }
+
+    // 验证代理配置（引用代理配置库时连接信息由代理配置校验，PAC 脚本自行选择代理服务器）
+    if (this.proxy.enabled && !this.proxy.profileId && proxyMode !== 'pac') {
       if (!['socks5', 'http', 'https'].includes(this.proxy.protocol)) {
         errors.push('Invalid proxy protocol. Must be socks5, http, or https');
       }
@@ -204,6 +204,28 @@ describe('AccountConfig', () => {
       
       expect(validation.valid).toBe(true);
     });
+    test('should default to no backup proxies and no direct fallback', () => {
+      const account = new AccountConfig({ name: 'Default Failover' });
+
+      expect(account.proxy.backupProfileIds).toEqual([]);
+      expect(account.proxy.allowDirectFallback).toBe(false);
+    });
+
+    test('should reject backup proxies that include the primary profile', () => {
+      const account = new AccountConfig({
+        name: 'Backup Proxy',
+        proxy: {
+          enabled: true,
+          profileId: 'profile-1',
+          backupProfileIds: ['profile-2', 'profile-1']
+        }
+      });
+
+      const validation = account.validate();
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors).toContain('Backup proxy profiles must not include the primary proxy profile');
+    });
   });
 
   describe('translation configuration validation', () => {
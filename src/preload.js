@@ -16,6 +16,37 @@ contextBridge.exposeInMainWorld('translationAPI', {
     return ipcRenderer.invoke('translation:translate', request);
   },
 
+  /**
+   * 批量翻译文本
+   * @param {Object} request - 批量翻译请求 { accountId, texts, sourceLang, targetLang, engineName, options }
+   * @returns {Promise<Object>} 与 texts 顺序一致的翻译结果列表
+   */
+  translateBatch: (request) => {
+    return ipcRenderer.invoke('translation:translateBatch', request);
+  },
+
+  /**
+   * 取消流式翻译
+   * @param {string|string[]} requestIds - 请求ID（不传则取消当前页面的全部流式翻译）
+   * @returns {Promise<Object>} 取消结果
+   */
+  cancelTranslation: (requestIds) => {
+    return ipcRenderer.invoke('translation:cancel', requestIds);
+  },
+
+  /**
+   * 监听流式翻译的部分结果
+   * @param {Function} callback - 回调 ({ requestId, accountId, text })
+   * @returns {Function} 取消监听函数
+   */
+  onStreamChunk: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('translation:streamChunk', listener);
+    return () => {
+      ipcRenderer.removeListener('translation:streamChunk', listener);
+    };
+  },
+
   /**
    * 检测语言
    * @param {string} text - 待检测文本
@@ -77,6 +108,646 @@ contextBridge.exposeInMainWorld('translationAPI', {
    */
   getEngineConfig: (engineName) => {
     return ipcRenderer.invoke('translation:getEngineConfig', engineName);
+  },
+
+  /**
+   * 检查引擎健康状态
+   * @param {string} engineName - 引擎名称
+   * @returns {Promise<Object>} { healthy, latency, languageCount, error }
+   */
+  checkEngineHealth: (engineName) => {
+    return ipcRenderer.invoke('translation:checkEngineHealth', engineName);
+  },
+
+  /**
+   * 获取引擎支持的语言列表
+   * @param {string} engineName - 引擎名称
+   * @returns {Promise<Object>} 语言列表
+   */
+  getEngineLanguages: (engineName) => {
+    return ipcRenderer.invoke('translation:getEngineLanguages', engineName);
+  },
+
+  /**
+   * 获取术语表
+   * @param {string|null} accountId - 账号ID（为空时为全局术语表）
+   * @returns {Promise<Object>} 术语表
+   */
+  getGlossary: (accountId) => {
+    return ipcRenderer.invoke('translation:getGlossary', accountId);
+  },
+
+  /**
+   * 保存术语表
+   * @param {string|null} accountId - 账号ID（为空时为全局术语表）
+   * @param {Object} glossary - 术语表 { terms, doNotTranslate }
+   * @returns {Promise<Object>} 保存结果
+   */
+  saveGlossary: (accountId, glossary) => {
+    return ipcRenderer.invoke('translation:saveGlossary', accountId, glossary);
+  },
+
+  /**
+   * 导出术语表为 CSV
+   * @param {string|null} accountId - 账号ID（为空时为全局术语表）
+   * @returns {Promise<Object>} CSV 内容
+   */
+  exportGlossary: (accountId) => {
+    return ipcRenderer.invoke('translation:exportGlossary', accountId);
+  },
+
+  /**
+   * 从 CSV 导入术语表
+   * @param {string|null} accountId - 账号ID（为空时为全局术语表）
+   * @param {string} csv - CSV 内容
+   * @param {Object} options - { replace: boolean }
+   * @returns {Promise<Object>} 导入结果
+   */
+  importGlossary: (accountId, csv, options) => {
+    return ipcRenderer.invoke('translation:importGlossary', accountId, csv, options);
+  },
+
+  /**
+   * 获取快捷回复
+   * @param {string|null} accountId - 账号ID（为空时为全局快捷回复）
+   * @param {boolean} effective - 是否返回账号和全局合并后的可用模板
+   * @returns {Promise<Object>} 快捷回复库 { groups }
+   */
+  getQuickReplies: (accountId, effective) => {
+    return ipcRenderer.invoke('translation:getQuickReplies', accountId, effective);
+  },
+
+  /**
+   * 保存快捷回复
+   * @param {string|null} accountId - 账号ID（为空时为全局快捷回复）
+   * @param {Object} quickReplies - 快捷回复库 { groups }
+   * @returns {Promise<Object>} 保存结果
+   */
+  saveQuickReplies: (accountId, quickReplies) => {
+    return ipcRenderer.invoke('translation:saveQuickReplies', accountId, quickReplies);
+  },
+
+  /**
+   * 导出快捷回复为 JSON
+   * @param {string|null} accountId - 账号ID（为空时为全局快捷回复）
+   * @returns {Promise<Object>} JSON 内容
+   */
+  exportQuickReplies: (accountId) => {
+    return ipcRenderer.invoke('translation:exportQuickReplies', accountId);
+  },
+
+  /**
+   * 从 JSON 导入快捷回复
+   * @param {string|null} accountId - 账号ID（为空时为全局快捷回复）
+   * @param {string} json - JSON 内容
+   * @param {Object} options - { replace: boolean }
+   * @returns {Promise<Object>} 导入结果
+   */
+  importQuickReplies: (accountId, json, options) => {
+    return ipcRenderer.invoke('translation:importQuickReplies', accountId, json, options);
+  },
+
+  /**
+   * 获取账号的回复建议规则
+   * @param {string} accountId - 账号ID
+   * @returns {Promise<Object>} { rules, hits }，hits 为各规则的命中统计
+   */
+  getSuggestionRules: (accountId) => {
+    return ipcRenderer.invoke('translation:getSuggestionRules', accountId);
+  },
+
+  /**
+   * 保存账号的回复建议规则
+   * @param {string} accountId - 账号ID
+   * @param {Array<Object>} rules - 规则列表
+   * @returns {Promise<Object>} 保存结果
+   */
+  saveSuggestionRules: (accountId, rules) => {
+    return ipcRenderer.invoke('translation:saveSuggestionRules', accountId, rules);
+  },
+
+  /**
+   * 匹配收到的消息对应的回复建议
+   * @param {string} accountId - 账号ID
+   * @param {Object} message - { original, translated, contactId }
+   * @returns {Promise<Object>} 建议列表
+   */
+  matchReplySuggestions: (accountId, message) => {
+    return ipcRenderer.invoke('translation:matchReplySuggestions', accountId, message);
+  },
+
+  /**
+   * 记录回复建议被采用
+   * @param {string} accountId - 账号ID
+   * @param {string} ruleId - 规则ID
+   * @returns {Promise<Object>} 记录结果
+   */
+  recordSuggestionUse: (accountId, ruleId) => {
+    return ipcRenderer.invoke('translation:recordSuggestionUse', accountId, ruleId);
+  },
+
+  /**
+   * 获取路由配置（降级链和路由规则）
+   * @param {string|null} accountId - 账号ID（为空时为全局配置）
+   * @returns {Promise<Object>} 路由配置；账号未单独配置时 data 为 null
+   */
+  getRouting: (accountId) => {
+    return ipcRenderer.invoke('translation:getRouting', accountId);
+  },
+
+  /**
+   * 保存路由配置
+   * @param {string|null} accountId - 账号ID（为空时为全局配置）
+   * @param {Object|null} routing - 路由配置；账号传 null 表示恢复使用全局配置
+   * @returns {Promise<Object>} 保存结果
+   */
+  saveRouting: (accountId, routing) => {
+    return ipcRenderer.invoke('translation:saveRouting', accountId, routing);
+  },
+
+  /**
+   * 获取费用汇总（按账号、引擎和日期）
+   * @param {string} month - 月份 (YYYY-MM)，默认当月
+   * @returns {Promise<Object>} 费用汇总
+   */
+  getCostStats: (month) => {
+    return ipcRenderer.invoke('translation:getCostStats', month);
+  },
+
+  /**
+   * 导出每日费用明细
+   * @param {string|null} month - 月份 (YYYY-MM)，为空时导出全部
+   * @returns {Promise<Object>} data 为 CSV 内容
+   */
+  exportCostReport: (month) => {
+    return ipcRenderer.invoke('translation:exportCostReport', month);
+  },
+
+  /**
+   * 获取引擎价格表
+   * @returns {Promise<Object>} 价格表
+   */
+  getPricing: () => {
+    return ipcRenderer.invoke('translation:getPricing');
+  },
+
+  /**
+   * 保存引擎价格表
+   * @param {Object} pricing - { currency, engines }
+   * @returns {Promise<Object>} 保存结果
+   */
+  savePricing: (pricing) => {
+    return ipcRenderer.invoke('translation:savePricing', pricing);
+  },
+
+  /**
+   * 获取账号月度预算及本月已用费用
+   * @param {string} accountId - 账号ID
+   * @returns {Promise<Object>} data 为 { budget, spent, currency }
+   */
+  getBudget: (accountId) => {
+    return ipcRenderer.invoke('translation:getBudget', accountId);
+  },
+
+  /**
+   * 保存账号月度预算
+   * @param {string} accountId - 账号ID
+   * @param {Object|null} budget - { monthlyLimit, fallbackEngine }；传 null 表示取消预算
+   * @returns {Promise<Object>} 保存结果
+   */
+  saveBudget: (accountId, budget) => {
+    return ipcRenderer.invoke('translation:saveBudget', accountId, budget);
+  },
+
+  /**
+   * 获取翻译请求代理设置
+   * @param {string} accountId - 账号ID（用于显示该账号当前使用的代理）
+   * @returns {Promise<Object>} { config: { useAccountProxy, profileId }, profiles, current: { source, description } }
+   */
+  getProxyConfig: (accountId) => {
+    return ipcRenderer.invoke('translation:getProxyConfig', accountId);
+  },
+
+  /**
+   * 保存翻译请求代理设置
+   * @param {Object} config - { useAccountProxy, profileId }
+   * @returns {Promise<Object>} 保存结果
+   */
+  saveProxyConfig: (config) => {
+    return ipcRenderer.invoke('translation:saveProxyConfig', config);
+  },
+
+  /**
+   * 获取翻译记忆库设置
+   * @returns {Promise<Object>} { enabled, autoSave, fuzzyReuse, minSimilarity }
+   */
+  getMemoryConfig: () => {
+    return ipcRenderer.invoke('translation:getMemoryConfig');
+  },
+
+  /**
+   * 保存翻译记忆库设置
+   * @param {Object} config - { enabled, autoSave, fuzzyReuse, minSimilarity }
+   * @returns {Promise<Object>} 保存结果
+   */
+  saveMemoryConfig: (config) => {
+    return ipcRenderer.invoke('translation:saveMemoryConfig', config);
+  },
+
+  /**
+   * 搜索翻译记忆
+   * @param {string|null} accountId - 账号ID（为空时为共享条目）
+   * @param {string} query - 关键词（匹配原文或译文）
+   * @param {Object} options - { sourceLang, targetLang, limit }
+   * @returns {Promise<Object>} { segments, total }
+   */
+  searchMemory: (accountId, query, options) => {
+    return ipcRenderer.invoke('translation:searchMemory', accountId, query, options);
+  },
+
+  /**
+   * 添加或更新翻译记忆
+   * @param {string|null} accountId - 账号ID（为空时为共享条目）
+   * @param {Object} segment - { sourceLang, targetLang, source, target }
+   * @returns {Promise<Object>} 保存结果
+   */
+  addMemorySegment: (accountId, segment) => {
+    return ipcRenderer.invoke('translation:addMemorySegment', accountId, segment);
+  },
+
+  /**
+   * 删除翻译记忆
+   * @param {string} id - 条目ID
+   * @returns {Promise<Object>} 删除结果
+   */
+  removeMemorySegment: (id) => {
+    return ipcRenderer.invoke('translation:removeMemorySegment', id);
+  },
+
+  /**
+   * 导出翻译记忆为 TMX
+   * @param {string|null} accountId - 账号ID（为空时为共享条目）
+   * @returns {Promise<Object>} TMX 内容
+   */
+  exportMemory: (accountId) => {
+    return ipcRenderer.invoke('translation:exportMemory', accountId);
+  },
+
+  /**
+   * 从 TMX 导入翻译记忆
+   * @param {string|null} accountId - 账号ID（为空时为共享条目）
+   * @param {string} xml - TMX 内容
+   * @returns {Promise<Object>} 导入结果 { imported, errors }
+   */
+  importMemory: (accountId, xml) => {
+    return ipcRenderer.invoke('translation:importMemory', accountId, xml);
+  },
+
+  /**
+   * 获取客户资料
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @returns {Promise<Object>} 客户资料，不存在时 data 为 null
+   */
+  getContactProfile: (accountId, contactId) => {
+    return ipcRenderer.invoke('translation:getContactProfile', accountId, contactId);
+  },
+
+  /**
+   * 保存客户资料
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {Object} profile - 客户资料字段
+   * @returns {Promise<Object>} 保存后的客户资料
+   */
+  saveContactProfile: (accountId, contactId, profile) => {
+    return ipcRenderer.invoke('translation:saveContactProfile', accountId, contactId, profile);
+  },
+
+  /**
+   * 删除客户资料
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @returns {Promise<Object>} 删除结果
+   */
+  deleteContactProfile: (accountId, contactId) => {
+    return ipcRenderer.invoke('translation:deleteContactProfile', accountId, contactId);
+  },
+
+  /**
+   * 添加客户备注
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {string} text - 备注内容
+   * @returns {Promise<Object>} 更新后的客户资料
+   */
+  addContactNote: (accountId, contactId, text) => {
+    return ipcRenderer.invoke('translation:addContactNote', accountId, contactId, text);
+  },
+
+  /**
+   * 删除客户备注
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {string} noteId - 备注ID
+   * @returns {Promise<Object>} 更新后的客户资料
+   */
+  removeContactNote: (accountId, contactId, noteId) => {
+    return ipcRenderer.invoke('translation:removeContactNote', accountId, contactId, noteId);
+  },
+
+  /**
+   * 搜索客户资料
+   * @param {string} query - 关键词
+   * @param {Object} options - { accountId, tag, valueTier, salesStage, limit }
+   * @returns {Promise<Object>} { profiles, total }
+   */
+  searchContactProfiles: (query, options) => {
+    return ipcRenderer.invoke('translation:searchContactProfiles', query, options);
+  },
+
+  /**
+   * 导出客户资料
+   * @param {Object} options - { accountId, format: 'csv' | 'json' }
+   * @returns {Promise<Object>} 导出内容
+   */
+  exportContactProfiles: (options) => {
+    return ipcRenderer.invoke('translation:exportContactProfiles', options);
+  },
+
+  /**
+   * 记录打开的联系人并检查是否正在其他账号中跟进
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @returns {Promise<Object>} { phone, duplicates: [{ accountId, accountName, contactId, lastSeenAt }] }
+   */
+  checkDuplicateContact: (accountId, contactId) => {
+    return ipcRenderer.invoke('translation:checkDuplicateContact', accountId, contactId);
+  },
+
+  /**
+   * 获取重复客户报表
+   * @returns {Promise<Object>} [{ phone, accounts, lastSeenAt }]
+   */
+  getDuplicateReport: () => {
+    return ipcRenderer.invoke('translation:getDuplicateReport');
+  },
+
+  /**
+   * 导出重复客户报表为 CSV
+   * @returns {Promise<Object>} CSV 内容
+   */
+  exportDuplicateReport: () => {
+    return ipcRenderer.invoke('translation:exportDuplicateReport');
+  },
+
+  /**
+   * 归档聊天消息
+   * @param {string} accountId - 账号ID
+   * @param {Array<Object>} records - [{ id, contactId, prePlainText, direction, original, translation, sourceLang, targetLang }]
+   * @returns {Promise<Object>} 新增或更新的消息数
+   */
+  archiveMessages: (accountId, records) => {
+    return ipcRenderer.invoke('translation:archiveMessages', accountId, records);
+  },
+
+  /**
+   * 导出聊天记录（含原文和译文）
+   * @param {Object} options - { accountId, contactId, from, to, format: 'html' | 'csv' | 'json', redact }
+   * @returns {Promise<Object>} { content, format, count }
+   */
+  exportTranscript: (options) => {
+    return ipcRenderer.invoke('translation:exportTranscript', options);
+  },
+
+  /**
+   * 获取账号的联系人标签定义和分配
+   * @param {string} accountId - 账号ID
+   * @returns {Promise<Object>} { tags: [{ id, name, color }], assignments: { contactId: [tagId] } }
+   */
+  getContactTags: (accountId) => {
+    return ipcRenderer.invoke('translation:getContactTags', accountId);
+  },
+
+  /**
+   * 创建或更新标签
+   * @param {string} accountId - 账号ID
+   * @param {Object} tag - { id, name, color }
+   * @returns {Promise<Object>} 保存后的标签
+   */
+  saveContactTag: (accountId, tag) => {
+    return ipcRenderer.invoke('translation:saveContactTag', accountId, tag);
+  },
+
+  /**
+   * 删除标签（同时从所有联系人移除）
+   * @param {string} accountId - 账号ID
+   * @param {string} tagId - 标签ID
+   * @returns {Promise<Object>} 是否删除成功
+   */
+  deleteContactTag: (accountId, tagId) => {
+    return ipcRenderer.invoke('translation:deleteContactTag', accountId, tagId);
+  },
+
+  /**
+   * 设置联系人的标签
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {string[]} tagIds - 标签ID列表
+   * @returns {Promise<Object>} 保存后的标签ID列表
+   */
+  setContactTags: (accountId, contactId, tagIds) => {
+    return ipcRenderer.invoke('translation:setContactTags', accountId, contactId, tagIds);
+  },
+
+  /**
+   * 获取标签使用统计
+   * @param {string} [accountId] - 账号ID（为空时统计所有账号）
+   * @returns {Promise<Object>} [{ accountId, id, name, color, count }]
+   */
+  getTagStats: (accountId) => {
+    return ipcRenderer.invoke('translation:getTagStats', accountId);
+  },
+
+  /**
+   * 订阅其他视图对标签的修改
+   * @param {Function} callback - ({ accountId }) => void
+   * @returns {Function} 取消订阅函数
+   */
+  onTagsChanged: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('translation:tagsChanged', listener);
+    return () => {
+      ipcRenderer.removeListener('translation:tagsChanged', listener);
+    };
+  },
+
+  /**
+   * 获取敏感词策略规则（对所有账号生效）
+   * @returns {Promise<Object>} [{ id, name, pattern, isRegex, caseSensitive, action: 'block' | 'warn' | 'log', enabled }]
+   */
+  getPolicyRules: () => {
+    return ipcRenderer.invoke('translation:getPolicyRules');
+  },
+
+  /**
+   * 保存敏感词策略规则
+   * @param {Array<Object>} rules - 规则列表
+   * @returns {Promise<Object>} 规范化后保存的规则列表
+   */
+  savePolicyRules: (rules) => {
+    return ipcRenderer.invoke('translation:savePolicyRules', rules);
+  },
+
+  /**
+   * 记录发送消息触发的策略规则
+   * @param {string} accountId - 账号ID
+   * @param {Object} event - { contactId, rules: [{ id, name, action }], outcome: 'blocked' | 'cancelled' | 'sent' }
+   * @returns {Promise<Object>} 新增的事件
+   */
+  logPolicyEvent: (accountId, event) => {
+    return ipcRenderer.invoke('translation:logPolicyEvent', accountId, event);
+  },
+
+  /**
+   * 查询策略事件（按时间倒序）
+   * @param {Object} [filter] - { accountId, from, to, limit }
+   * @returns {Promise<Object>} 事件列表
+   */
+  getPolicyEvents: (filter) => {
+    return ipcRenderer.invoke('translation:getPolicyEvents', filter);
+  },
+
+  /**
+   * 导出策略事件 CSV
+   * @param {Object} [filter] - { accountId, from, to }
+   * @returns {Promise<Object>} CSV 内容
+   */
+  exportPolicyEvents: (filter) => {
+    return ipcRenderer.invoke('translation:exportPolicyEvents', filter);
+  },
+
+  /**
+   * 清除策略事件
+   * @param {string} [accountId] - 账号ID（为空时清除所有账号）
+   * @returns {Promise<Object>} 清除结果
+   */
+  clearPolicyEvents: (accountId) => {
+    return ipcRenderer.invoke('translation:clearPolicyEvents', accountId);
+  },
+
+  /**
+   * 订阅其他视图对敏感词策略规则的修改
+   * @param {Function} callback - () => void
+   * @returns {Function} 取消订阅函数
+   */
+  onPolicyChanged: (callback) => {
+    const listener = () => callback();
+    ipcRenderer.on('translation:policyChanged', listener);
+    return () => {
+      ipcRenderer.removeListener('translation:policyChanged', listener);
+    };
+  },
+
+  /**
+   * 上报聊天的最后一条消息，用于回复时效跟踪
+   * @param {string} accountId - 账号ID
+   * @param {Object} activity - { contactId, direction: 'in' | 'out', prePlainText }
+   * @returns {Promise<Object>} 上报结果
+   */
+  recordConversationActivity: (accountId, activity) => {
+    return ipcRenderer.invoke('sla:record-activity', accountId, activity);
+  },
+
+  /**
+   * 获取回复时效设置和等待回复的会话
+   * @param {string} [accountId] - 账号ID（为空时返回所有账号）
+   * @returns {Promise<Object>} { config, overdueCounts, waiting: [{ accountId, contactId, waitingSince, waitingMs, overdue }] }
+   */
+  getSlaStatus: (accountId) => {
+    return ipcRenderer.invoke('sla:get-status', accountId);
+  },
+
+  /**
+   * 保存回复时效设置
+   * @param {Object} config - { enabled, slaMinutes }
+   * @returns {Promise<Object>} 保存后的设置
+   */
+  saveSlaConfig: (config) => {
+    return ipcRenderer.invoke('sla:save-config', config);
+  },
+
+  /**
+   * 获取跟进提醒（按到期时间正序）
+   * @param {Object} [filter] - { accountId, contactId }
+   * @returns {Promise<Object>} [{ id, accountId, contactId, note, dueAt, firedAt }]
+   */
+  getReminders: (filter) => {
+    return ipcRenderer.invoke('reminder:list', filter);
+  },
+
+  /**
+   * 添加跟进提醒
+   * @param {string} accountId - 账号ID
+   * @param {Object} reminder - { contactId, note, dueAt }
+   * @returns {Promise<Object>} 新增的提醒
+   */
+  addReminder: (accountId, reminder) => {
+    return ipcRenderer.invoke('reminder:add', accountId, reminder);
+  },
+
+  /**
+   * 稍后提醒
+   * @param {string} id - 提醒ID
+   * @param {number} minutes - 从现在起推迟的分钟数
+   * @returns {Promise<Object>} 更新后的提醒
+   */
+  snoozeReminder: (id, minutes) => {
+    return ipcRenderer.invoke('reminder:snooze', id, minutes);
+  },
+
+  /**
+   * 完成（删除）跟进提醒
+   * @param {string} id - 提醒ID
+   * @returns {Promise<Object>} 是否删除
+   */
+  deleteReminder: (id) => {
+    return ipcRenderer.invoke('reminder:delete', id);
+  },
+
+  /**
+   * 取走点击提醒后需要打开的聊天
+   * @param {string} accountId - 账号ID
+   * @returns {Promise<Object>} 联系人（没有时为 null）
+   */
+  takePendingChat: (accountId) => {
+    return ipcRenderer.invoke('reminder:take-pending-chat', accountId);
+  },
+
+  /**
+   * 订阅跟进提醒列表的变化
+   * @param {Function} callback - () => void
+   * @returns {Function} 取消订阅函数
+   */
+  onRemindersChanged: (callback) => {
+    const listener = () => callback();
+    ipcRenderer.on('reminder:changed', listener);
+    return () => {
+      ipcRenderer.removeListener('reminder:changed', listener);
+    };
+  },
+
+  /**
+   * 订阅打开聊天的请求（点击提醒通知时发出）
+   * @param {Function} callback - () => void
+   * @returns {Function} 取消订阅函数
+   */
+  onOpenChatRequest: (callback) => {
+    const listener = () => callback();
+    ipcRenderer.on('reminder:open-chat', listener);
+    return () => {
+      ipcRenderer.removeListener('reminder:open-chat', listener);
+    };
   }
 });
 
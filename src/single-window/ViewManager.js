@@ -19,6 +19,7 @@ const {
   handleNetworkFailure,
   handleViewCreationFailure
 } = require('../utils/ValidationHelper');
+const { getProxyMode, buildProxySettings, describeProxyConfig } = require('../utils/proxyRules');
 
 /**
  * ViewManager class
@@ -31,6 +32,9 @@ class ViewManager {
    * @param {Object} [options] - Configuration options
    * @param {number} [options.defaultSidebarWidth] - Default sidebar width in pixels
    * @param {TranslationIntegration} [options.translationIntegration] - Translation integration instance
+   * @param {Object} [options.proxyFailover] - Proxy failover settings
+   * @param {number} [options.proxyFailover.failureThreshold] - Consecutive connection failures before switching to a backup proxy
+   * @param {number} [options.proxyFailover.retryDelay] - Delay in ms before reloading a view whose load failed
    */
   constructor(mainWindow, sessionManager, options = {}) {
     if (!mainWindow) {
@@ -49,7 +53,12 @@ class ViewManager {
       lazyLoadViews: options.lazyLoadViews !== false, // Default: true
       maxConcurrentViews: options.maxConcurrentViews || 10,
       viewPoolSize: options.viewPoolSize || 2,
-      ...options
+      ...options,
+      proxyFailover: {
+        failureThreshold: 3,
+        retryDelay: 15000,
+        ...options.proxyFailover
+      }
     };
 
     // Map: accountId -> ViewState
@@ -330,6 +339,11 @@ class ViewManager {
         throw new Error('Account ID is required');
       }
 
+      // Replace a proxy profile reference with the profile's connection settings
+      if (config.proxy && config.proxy.profileId) {
+        config = { ...config, proxy: this.sessionManager.resolveProxyConfig(config.proxy) };
+      }
+
       // Validate view creation parameters
       const validation = validateViewCreationParams(accountId, config);
       if (!validation.valid) {
@@ -357,9 +371,13 @@ class ViewManager {
 
       // Configure proxy if provided
       if (config.proxy && config.proxy.enabled) {
+        this.sessionManager.resetProxyFailover(accountId);
         await this._configureProxy(accountId, accountSession, config.proxy);
       }
 
+      // Record the applied proxy so network health checks report it
+      this.sessionManager.recordProxyConfig(accountId, config.proxy && config.proxy.enabled ? config.proxy : null);
+
       // Create BrowserView with isolated session
       const view = new BrowserView({
         webPreferences: {
@@ -398,7 +416,10 @@ class ViewManager {
         loginStatus: false,
         config: { ...config },
         lastConnectionCheck: null,
-        connectionError: null
+        connectionError: null,
+        connectionFailures: 0, // Consecutive network failures, reset when online
+        failoverPending: false,
+        failureRetryTimer: null
       };
 
       // Store view state
@@ -569,20 +590,15 @@ class ViewManager {
    */
   async _configureProxy(accountId, accountSession, proxyConfig) {
     try {
-      const { protocol, host, port, username, password, bypass } = proxyConfig;
+      const { host, port, username, password } = proxyConfig;
 
-      if (!host || !port) {
+      // A PAC script picks its own proxy servers
+      if (getProxyMode(proxyConfig) !== 'pac' && (!host || !port)) {
         throw new Error('Proxy host and port are required');
       }
 
-      // Build proxy rules
-      let proxyRules = `${protocol || 'http'}://${host}:${port}`;
-      
-      // Set proxy configuration
-      await accountSession.setProxy({
-        proxyRules,
-        proxyBypassRules: bypass || 'localhost,127.0.0.1'
-      });
+      // Set proxy configuration (host rules and PAC files become a PAC script)
+      await accountSession.setProxy(buildProxySettings({ ...proxyConfig, protocol: proxyConfig.protocol || 'http' }));
 
       // Handle proxy authentication if credentials provided
       if (username && password) {
@@ -593,7 +609,7 @@ class ViewManager {
         });
       }
 
-      this.log('info', `Proxy configured for account ${accountId}: ${proxyRules}`);
+      this.log('info', `Proxy configured for account ${accountId}: ${describeProxyConfig(proxyConfig)}`);
     } catch (error) {
       this.log('error', `Failed to configure proxy for account ${accountId}:`, error);
       throw error;
@@ -675,6 +691,11 @@ class ViewManager {
       viewState.errorInfo = viewState.connectionError;
       
       this.log('error', `View load failed for account ${accountId}: ${errorDescription} (${errorCode}) at ${validatedURL}`);
+
+      // Network errors (-100 to -199) and timeouts may mean the proxy is down
+      if ((errorCode <= -100 && errorCode > -200) || errorCode === -7) {
+        this._handleConnectionFailure(accountId, `${errorDescription} (${errorCode})`, true);
+      }
       
       // Notify renderer about error
       this._notifyRenderer('view-error', { 
@@ -927,6 +948,9 @@ class ViewManager {
           // Check for "Phone not connected" or similar messages
           const phoneNotConnected = document.querySelector('[data-testid="alert-phone-connection"]');
           
+          // Check for "Computer not connected" (WhatsApp Web lost its own connection)
+          const computerNotConnected = document.querySelector('[data-testid="alert-computer-connection"]');
+          
           // Check for error messages
           const errorMessage = document.querySelector('[data-testid="alert-error"]') ||
                               document.querySelector('.landing-window.error');
@@ -951,6 +975,10 @@ class ViewManager {
             status = 'error';
             details.hasError = true;
             details.errorText = errorMessage.textContent || 'Unknown error';
+          } else if (computerNotConnected) {
+            status = 'error';
+            details.computerDisconnected = true;
+            details.errorText = computerNotConnected.textContent || 'Computer not connected';
           } else if (phoneNotConnected) {
             status = 'offline';
             details.phoneDisconnected = true;
@@ -989,6 +1017,13 @@ class ViewManager {
 
       this.log('info', `Connection status for account ${accountId}: ${connectionInfo.status}`, connectionInfo.details);
 
+      // Count consecutive failures towards proxy failover
+      if (connectionInfo.status === 'online') {
+        viewState.connectionFailures = 0;
+      } else if (connectionInfo.status === 'error') {
+        this._handleConnectionFailure(accountId, viewState.connectionError.message, false);
+      }
+
       // Notify renderer if status changed
       if (previousStatus !== connectionInfo.status) {
         this._notifyRenderer('connection-status-changed', {
@@ -1023,6 +1058,71 @@ class ViewManager {
     }
   }
 
+  /**
+   * Count a network failure of an account and switch to its next backup proxy
+   * once the failures reach the failover threshold
+   * Only accounts with a proxy are counted. A failed page load is retried after
+   * retryDelay so that a dead proxy keeps producing failures until the threshold
+   * @private
+   * @param {string} accountId - Account ID
+   * @param {string} reason - Failure description
+   * @param {boolean} [retry=false] - Reload the view after retryDelay when below the threshold
+   */
+  async _handleConnectionFailure(accountId, reason, retry = false) {
+    const viewState = this.views.get(accountId);
+    const proxyConfig = viewState && viewState.config.proxy;
+    if (!proxyConfig || !proxyConfig.enabled || viewState.failoverPending) {
+      return;
+    }
+
+    const { failureThreshold, retryDelay } = this.options.proxyFailover;
+    viewState.connectionFailures++;
+    this.log('warn', `Connection failure ${viewState.connectionFailures}/${failureThreshold} for account ${accountId}: ${reason}`);
+
+    if (viewState.connectionFailures < failureThreshold) {
+      if (retry) {
+        this._scheduleFailureRetry(accountId, retryDelay);
+      }
+      return;
+    }
+
+    viewState.connectionFailures = 0;
+    viewState.failoverPending = true;
+    try {
+      const result = await this.sessionManager.failoverProxy(accountId, proxyConfig, reason);
+      if (result.fallbackApplied) {
+        this.log('info', `Proxy failover for account ${accountId}: ${result.error}`);
+        await this.reloadView(accountId, true);
+      } else {
+        this.log('warn', `Proxy failover not applied for account ${accountId}: ${result.error}`);
+      }
+    } catch (error) {
+      this.log('error', `Proxy failover failed for account ${accountId}:`, error);
+    } finally {
+      viewState.failoverPending = false;
+    }
+  }
+
+  /**
+   * Reload a view after a failed load
+   * @private
+   * @param {string} accountId - Account ID
+   * @param {number} delay - Delay in milliseconds
+   */
+  _scheduleFailureRetry(accountId, delay) {
+    const viewState = this.views.get(accountId);
+    if (!viewState || viewState.failureRetryTimer) {
+      return;
+    }
+
+    viewState.failureRetryTimer = setTimeout(() => {
+      viewState.failureRetryTimer = null;
+      if (this.views.get(accountId) === viewState) {
+        this.reloadView(accountId);
+      }
+    }, delay);
+  }
+
   /**
    * Notify renderer process about view events
    * @private
@@ -1216,6 +1316,12 @@ class ViewManager {
         await this.hideView(accountId);
       }
 
+      // Cancel a pending reload after a failed load
+      if (viewState.failureRetryTimer) {
+        clearTimeout(viewState.failureRetryTimer);
+        viewState.failureRetryTimer = null;
+      }
+
       // Destroy the BrowserView
       if (viewState.view && !viewState.view.webContents.isDestroyed()) {
         viewState.view.webContents.destroy();
@@ -50,7 +50,8 @@ describe('State Persistence', () => {
         webRequest: {
           onBeforeSendHeaders: jest.fn()
         }
-      }))
+      })),
+      recordProxyConfig: jest.fn()
     };
 
     viewManager = new ViewManager(mockMainWindow, mockSessionManager);
@@ -40,7 +40,9 @@ describe('ViewManager', () => {
         webRequest: {
           onBeforeSendHeaders: jest.fn()
         }
-      }))
+      })),
+      resetProxyFailover: jest.fn(),
+      recordProxyConfig: jest.fn()
     };
 
     viewManager = new ViewManager(mockMainWindow, mockSessionManager);
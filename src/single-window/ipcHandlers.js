@@ -250,6 +250,53 @@ function registerIPCHandlers(accountManager, viewManager, mainWindow, translatio
     });
   }
 
+  /**
+   * Open chat archive search window
+   * Handler: archive:open
+   */
+  let archiveWindow = null;
+
+  ipcMain.on('archive:open', () => {
+    openArchiveWindow();
+  });
+
+  /**
+   * Open chat archive search window (single instance, non-modal)
+   */
+  function openArchiveWindow() {
+    if (archiveWindow && !archiveWindow.isDestroyed()) {
+      archiveWindow.focus();
+      return;
+    }
+
+    archiveWindow = new BrowserWindow({
+      width: 900,
+      height: 700,
+      minWidth: 700,
+      minHeight: 500,
+      parent: mainWindow.getWindow(),
+      modal: false,
+      show: false,
+      autoHideMenuBar: true,
+      title: '聊天记录搜索',
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'renderer', 'preload-main.js')
+      }
+    });
+
+    archiveWindow.loadURL(`file://${path.join(__dirname, 'renderer', 'archiveSearch.html')}`);
+
+    archiveWindow.once('ready-to-show', () => {
+      archiveWindow.show();
+    });
+
+    archiveWindow.on('closed', () => {
+      archiveWindow = null;
+    });
+  }
+
   /**
    * Create a new account
    * Handler: create-account
@@ -1887,6 +1934,7 @@ function unregisterIPCHandlers() {
   ipcMain.removeHandler('account:stop-all-login-status-monitoring');
   ipcMain.removeAllListeners('account:create');
   ipcMain.removeAllListeners('account:edit');
+  ipcMain.removeAllListeners('archive:open');
   ipcMain.removeAllListeners('sidebar-resized');
   ipcMain.removeAllListeners('window-resize-complete');
   ipcMain.removeAllListeners('toggle-dev-tools');
@@ -0,0 +1,85 @@
+/**
+ * Network Health IPC Handlers
+ *
+ * Handles IPC communication for the per-account network health check:
+ * - Checking latency, exit IP, country and DNS leak status through an account's session
+ * - Checking the local direct network when no account is given
+ * - Reading the last check result of every account
+ * - Reading an account's network event log (proxy failover switches)
+ */
+
+const { ipcMain } = require('electron');
+const { wrapIPCHandler } = require('../utils/ErrorHandler');
+const { ErrorCategory } = require('../utils/ErrorLogger');
+
+/**
+ * Setup network health IPC handlers
+ * @param {SessionManager} sessionManager - SessionManager instance
+ */
+function setupNetworkHandlers(sessionManager) {
+  if (!sessionManager) {
+    throw new Error('SessionManager is required');
+  }
+
+  const handlers = {
+    /**
+     * Check the current network of an account, or the local network without one
+     */
+    'network:check': async (_event, accountId) => {
+      const status = accountId
+        ? await sessionManager.checkNetworkHealth(accountId)
+        : await sessionManager.checkProxyHealth(null);
+
+      return { success: true, data: status };
+    },
+
+    /**
+     * Get the last check result of every account
+     */
+    'network:get-status': async () => {
+      return { success: true, data: sessionManager.getNetworkStatus() };
+    },
+
+    /**
+     * Get the network events of an account, newest first
+     */
+    'network:get-events': async (_event, accountId, limit) => {
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      return { success: true, data: sessionManager.getNetworkEvents(accountId, limit) };
+    }
+  };
+
+  Object.entries(handlers).forEach(([channel, handler]) => {
+    ipcMain.handle(channel, wrapIPCHandler(handler, {
+      channel,
+      category: ErrorCategory.IPC
+    }));
+  });
+
+  console.log('[NetworkHandlers] Network health IPC handlers registered');
+}
+
+/**
+ * Cleanup network health IPC handlers
+ */
+function cleanupNetworkHandlers() {
+  const channels = [
+    'network:check',
+    'network:get-status',
+    'network:get-events'
+  ];
+
+  channels.forEach(channel => {
+    ipcMain.removeHandler(channel);
+  });
+
+  console.log('[NetworkHandlers] Network health IPC handlers cleaned up');
+}
+
+module.exports = {
+  setupNetworkHandlers,
+  cleanupNetworkHandlers
+};
@@ -0,0 +1,197 @@
+/**
+ * Proxy Profile IPC Handlers
+ *
+ * Handles IPC communication for the proxy profile library shared across accounts:
+ * - Listing profiles with the number of accounts using each one
+ * - Creating, editing and deleting profiles
+ * - Health-checking a profile before saving it
+ * - Parsing pasted proxy strings and bulk importing proxy lists
+ * - Re-applying an edited profile to every account that uses it
+ */
+
+const { ipcMain } = require('electron');
+const { wrapIPCHandler } = require('../utils/ErrorHandler');
+const { ErrorCategory } = require('../utils/ErrorLogger');
+const { parseProxyString, parseProxyList } = require('../utils/proxyParser');
+
+/**
+ * Setup proxy profile IPC handlers
+ * @param {ProxyProfileManager} proxyProfileManager - ProxyProfileManager instance
+ * @param {AccountConfigManager} accountManager - AccountConfigManager instance
+ * @param {SessionManager} sessionManager - SessionManager instance
+ */
+function setupProxyProfileHandlers(proxyProfileManager, accountManager, sessionManager) {
+  if (!proxyProfileManager) {
+    throw new Error('ProxyProfileManager is required');
+  }
+  if (!accountManager) {
+    throw new Error('AccountManager is required');
+  }
+  if (!sessionManager) {
+    throw new Error('SessionManager is required');
+  }
+
+  /**
+   * Get the accounts that use a profile as their primary proxy
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<AccountConfig[]>}
+   */
+  async function getAccountsUsingProfile(profileId) {
+    const accounts = await accountManager.loadAccounts();
+    return accounts.filter(account => account.proxy && account.proxy.profileId === profileId);
+  }
+
+  /**
+   * Get the accounts that list a profile as a failover backup
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<AccountConfig[]>}
+   */
+  async function getAccountsUsingProfileAsBackup(profileId) {
+    const accounts = await accountManager.loadAccounts();
+    return accounts.filter(account => account.proxy &&
+      Array.isArray(account.proxy.backupProfileIds) &&
+      account.proxy.backupProfileIds.includes(profileId));
+  }
+
+  const handlers = {
+    /**
+     * List profiles (without passwords) with their usage count
+     */
+    'proxy-profile:list': async () => {
+      const accounts = await accountManager.loadAccounts();
+      const profiles = proxyProfileManager.getProfiles().map(profile => ({
+        ...profile,
+        accountCount: accounts.filter(account => account.proxy && account.proxy.profileId === profile.id).length
+      }));
+
+      return { success: true, data: profiles };
+    },
+
+    /**
+     * Create or edit a profile
+     * Editing re-applies the proxy to every account with the profile enabled
+     */
+    'proxy-profile:save': async (_event, id, profile) => {
+      const saved = proxyProfileManager.saveProfile({ ...profile, id: id || undefined });
+
+      const reapplied = [];
+      if (id) {
+        const accounts = await getAccountsUsingProfile(id);
+        for (const account of accounts.filter(item => item.proxy.enabled)) {
+          const result = await sessionManager.configureProxy(account.id, account.proxy);
+          reapplied.push({ accountId: account.id, success: result.success && !result.fallbackApplied, error: result.error });
+        }
+      }
+
+      return { success: true, data: { profile: saved, reapplied } };
+    },
+
+    /**
+     * Delete a profile that no account uses, as its proxy or as a failover backup
+     */
+    'proxy-profile:delete': async (_event, id) => {
+      const accounts = await getAccountsUsingProfile(id);
+      if (accounts.length > 0) {
+        return {
+          success: false,
+          error: `Proxy profile is used by ${accounts.length} account(s): ${accounts.map(account => account.name).join(', ')}`
+        };
+      }
+
+      const backupAccounts = await getAccountsUsingProfileAsBackup(id);
+      if (backupAccounts.length > 0) {
+        return {
+          success: false,
+          error: `Proxy profile is a backup proxy for ${backupAccounts.length} account(s): ${backupAccounts.map(account => account.name).join(', ')}`
+        };
+      }
+
+      return { success: true, data: proxyProfileManager.deleteProfile(id) };
+    },
+
+    /**
+     * Check a profile without applying it: latency, exit IP, country and DNS leak status
+     * A saved profile's password is used when the form leaves it empty
+     */
+    'proxy-profile:test': async (_event, id, profile = {}) => {
+      const stored = id ? proxyProfileManager.getProfile(id) : null;
+      const username = String(profile.username || '').trim();
+      const result = await sessionManager.checkProxyHealth({
+        protocol: String(profile.protocol || 'socks5').toLowerCase(),
+        host: String(profile.host || '').trim(),
+        port: Number(profile.port),
+        username,
+        password: username ? (profile.password === undefined && stored ? stored.password : String(profile.password || '')) : ''
+      });
+
+      return { success: true, data: result };
+    },
+
+    /**
+     * Parse a pasted proxy string into connection fields
+     */
+    'proxy-profile:parse': async (_event, text, options = {}) => {
+      return { success: true, data: parseProxyString(text, options) };
+    },
+
+    /**
+     * Import a pasted proxy list into the profile library, one profile per line
+     * Lines matching an existing profile reuse it; failures are reported per line
+     */
+    'proxy-profile:import': async (_event, text, options = {}) => {
+      const imported = [];
+      const errors = [];
+
+      parseProxyList(text, options).forEach(entry => {
+        if (!entry.valid) {
+          errors.push({ line: entry.line, input: entry.input, error: entry.errors.join(', ') });
+          return;
+        }
+
+        try {
+          const countBefore = proxyProfileManager.getProfiles().length;
+          const profile = proxyProfileManager.importInlineProxy(entry.proxy, `${entry.proxy.host}:${entry.proxy.port}`);
+          imported.push({ line: entry.line, profile, created: proxyProfileManager.getProfiles().length > countBefore });
+        } catch (error) {
+          errors.push({ line: entry.line, input: entry.input, error: error.message });
+        }
+      });
+
+      return { success: true, data: { imported, errors } };
+    }
+  };
+
+  Object.entries(handlers).forEach(([channel, handler]) => {
+    ipcMain.handle(channel, wrapIPCHandler(handler, {
+      channel,
+      category: ErrorCategory.IPC
+    }));
+  });
+
+  console.log('[ProxyProfileHandlers] Proxy profile IPC handlers registered');
+}
+
+/**
+ * Cleanup proxy profile IPC handlers
+ */
+function cleanupProxyProfileHandlers() {
+  const channels = [
+    'proxy-profile:list',
+    'proxy-profile:save',
+    'proxy-profile:delete',
+    'proxy-profile:test',
+    'proxy-profile:parse',
+    'proxy-profile:import'
+  ];
+
+  channels.forEach(channel => {
+    ipcMain.removeHandler(channel);
+  });
+
+  console.log('[ProxyProfileHandlers] Proxy profile IPC handlers cleaned up');
+}
+
+module.exports = {
+  setupProxyProfileHandlers,
+  cleanupProxyProfileHandlers
+};
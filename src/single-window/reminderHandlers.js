@@ -0,0 +1,161 @@
+/**
+ * Reminder IPC Handlers
+ *
+ * Handles IPC communication for per-contact follow-up reminders:
+ * - Listing, adding, snoozing and completing reminders
+ * - Opening the chat a reminder belongs to
+ * - Opening the upcoming reminders window
+ */
+
+const { ipcMain, BrowserWindow } = require('electron');
+const path = require('path');
+const { wrapIPCHandler } = require('../utils/ErrorHandler');
+const { ErrorCategory } = require('../utils/ErrorLogger');
+
+let remindersWindow = null;
+
+/**
+ * Setup reminder IPC handlers
+ * @param {ReminderManager} reminderManager - ReminderManager instance
+ * @param {MainWindow} mainWindow - MainWindow instance
+ * @param {Object} options - Handler options
+ * @param {Function} options.openChat - (reminder) => Promise, switches to the account and opens the chat
+ */
+function setupReminderHandlers(reminderManager, mainWindow, options = {}) {
+  if (!reminderManager) {
+    throw new Error('ReminderManager is required');
+  }
+  if (!mainWindow) {
+    throw new Error('MainWindow is required');
+  }
+
+  const handlers = {
+    /**
+     * List reminders, optionally filtered by account and contact
+     */
+    'reminder:list': async (_event, filter = {}) => {
+      return { success: true, data: reminderManager.getReminders(filter) };
+    },
+
+    /**
+     * Add a reminder for a contact
+     */
+    'reminder:add': async (_event, accountId, reminder) => {
+      return { success: true, data: reminderManager.addReminder(accountId, reminder) };
+    },
+
+    /**
+     * Snooze a reminder by a number of minutes
+     */
+    'reminder:snooze': async (_event, id, minutes) => {
+      return { success: true, data: reminderManager.snoozeReminder(id, minutes) };
+    },
+
+    /**
+     * Complete (delete) a reminder
+     */
+    'reminder:delete': async (_event, id) => {
+      return { success: true, data: reminderManager.deleteReminder(id) };
+    },
+
+    /**
+     * Switch to the reminder's account and open its chat
+     */
+    'reminder:open-chat': async (_event, id) => {
+      const reminder = reminderManager.getReminder(id);
+      if (!reminder) {
+        return { success: false, error: `Reminder ${id} not found` };
+      }
+
+      await options.openChat(reminder);
+      return { success: true };
+    },
+
+    /**
+     * Take the chat the content script should open after loading
+     */
+    'reminder:take-pending-chat': async (_event, accountId) => {
+      return { success: true, data: reminderManager.takePendingChat(accountId) };
+    }
+  };
+
+  Object.entries(handlers).forEach(([channel, handler]) => {
+    ipcMain.handle(channel, wrapIPCHandler(handler, {
+      channel,
+      category: ErrorCategory.IPC
+    }));
+  });
+
+  /**
+   * Open the upcoming reminders window
+   */
+  ipcMain.on('reminder:open-list', () => {
+    openRemindersWindow(mainWindow);
+  });
+
+  console.log('[ReminderHandlers] Reminder IPC handlers registered');
+}
+
+/**
+ * Open the upcoming reminders window (single instance)
+ * @param {MainWindow} mainWindow - MainWindow instance
+ */
+function openRemindersWindow(mainWindow) {
+  if (remindersWindow && !remindersWindow.isDestroyed()) {
+    remindersWindow.focus();
+    return;
+  }
+
+  remindersWindow = new BrowserWindow({
+    width: 640,
+    height: 600,
+    minWidth: 480,
+    minHeight: 400,
+    parent: mainWindow.getWindow(),
+    modal: false,
+    show: false,
+    autoHideMenuBar: true,
+    title: '跟进提醒',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'renderer', 'preload-main.js')
+    }
+  });
+
+  remindersWindow.loadURL(`file://${path.join(__dirname, 'renderer', 'reminders.html')}`);
+
+  remindersWindow.once('ready-to-show', () => {
+    remindersWindow.show();
+  });
+
+  remindersWindow.on('closed', () => {
+    remindersWindow = null;
+  });
+}
+
+/**
+ * Cleanup reminder IPC handlers
+ */
+function cleanupReminderHandlers() {
+  const channels = [
+    'reminder:list',
+    'reminder:add',
+    'reminder:snooze',
+    'reminder:delete',
+    'reminder:open-chat',
+    'reminder:take-pending-chat'
+  ];
+
+  channels.forEach(channel => {
+    ipcMain.removeHandler(channel);
+  });
+  ipcMain.removeAllListeners('reminder:open-list');
+
+  console.log('[ReminderHandlers] Reminder IPC handlers cleaned up');
+}
+
+module.exports = {
+  setupReminderHandlers,
+  cleanupReminderHandlers
+};
@@ -10,6 +10,8 @@
   let editMode = false;
   let accountId = null;
   let originalData = null;
+  let proxyProfiles = [];
+  let proxyProfileDirty = false;
 
   // DOM elements
   const form = document.getElementById('account-form');
@@ -37,6 +39,45 @@
   const proxyPassword = document.getElementById('proxy-password');
   const proxyBypass = document.getElementById('proxy-bypass');
 
+  // Proxy mode fields (per-host rules and PAC scripts)
+  const proxyMode = document.getElementById('proxy-mode');
+  const proxyRulesList = document.getElementById('proxy-rules-list');
+  const proxyRuleAddBtn = document.getElementById('proxy-rule-add');
+  const proxyDefaultAction = document.getElementById('proxy-default-action');
+  const proxyPacFile = document.getElementById('proxy-pac-file');
+  const proxyPacBrowseBtn = document.getElementById('proxy-pac-browse');
+  const proxyPacPicker = document.getElementById('proxy-pac-picker');
+  const proxyPacScript = document.getElementById('proxy-pac-script');
+
+  // Proxy profile fields
+  const proxyProfile = document.getElementById('proxy-profile');
+  const proxyProfileName = document.getElementById('proxy-profile-name');
+  const proxyProfileSaveBtn = document.getElementById('proxy-profile-save');
+  const proxyProfileTestBtn = document.getElementById('proxy-profile-test');
+  const proxyProfileDeleteBtn = document.getElementById('proxy-profile-delete');
+  const proxyProfileStatus = document.getElementById('proxy-profile-status');
+  const proxyProfileCheckResult = document.getElementById('proxy-profile-check-result');
+
+  // Proxy failover fields
+  const proxyBackupList = document.getElementById('proxy-backup-list');
+  const proxyBackupSelect = document.getElementById('proxy-backup-select');
+  const proxyBackupAddBtn = document.getElementById('proxy-backup-add');
+  const proxyAllowDirect = document.getElementById('proxy-allow-direct');
+
+  // Network health check fields
+  const networkCheckBtn = document.getElementById('network-check');
+  const networkCheckStatus = document.getElementById('network-check-status');
+  const networkCheckResult = document.getElementById('network-check-result');
+  const networkEventsGroup = document.getElementById('network-events-group');
+  const networkEventsList = document.getElementById('network-events');
+
+  // Smart paste fields
+  const proxySmartPaste = document.getElementById('proxy-smart-paste');
+  const proxySmartFillBtn = document.getElementById('proxy-smart-fill');
+  const proxyBulkImportBtn = document.getElementById('proxy-bulk-import');
+  const proxySmartPasteStatus = document.getElementById('proxy-smart-paste-status');
+  const proxyImportErrors = document.getElementById('proxy-import-errors');
+
   // Translation fields - removed from UI but keep references for compatibility
   // Translation is now configured only within WhatsApp Web interface
 
@@ -63,6 +104,46 @@
     proxyEnabled.addEventListener('change', toggleProxyFields);
     proxyAuthEnabled.addEventListener('change', toggleProxyAuthFields);
 
+    // Proxy mode
+    proxyMode.addEventListener('change', toggleProxyMode);
+    proxyRuleAddBtn.addEventListener('click', () => addProxyRuleRow());
+    proxyPacBrowseBtn.addEventListener('click', () => proxyPacPicker.click());
+    proxyPacPicker.addEventListener('change', handlePacFileSelected);
+
+    // Proxy profile library
+    proxyProfile.addEventListener('change', () => {
+      fillProxyProfileFields(getSelectedProxyProfile());
+    });
+    proxyProfileSaveBtn.addEventListener('click', saveProxyProfile);
+    proxyProfileTestBtn.addEventListener('click', testProxyProfile);
+    proxyProfileDeleteBtn.addEventListener('click', deleteProxyProfile);
+    proxyBackupAddBtn.addEventListener('click', () => {
+      if (proxyBackupSelect.value) {
+        addProxyBackupRow(proxyBackupSelect.value);
+        proxyBackupSelect.value = '';
+        clearFieldError('proxy-backup');
+      }
+    });
+    networkCheckBtn.addEventListener('click', checkCurrentNetwork);
+    // Smart paste: a single pasted line fills the fields right away
+    proxySmartPaste.addEventListener('paste', () => {
+      setTimeout(() => {
+        if (getSmartPasteLines().length === 1) {
+          smartFillProxy();
+        } else {
+          updateSmartPasteHint();
+        }
+      }, 0);
+    });
+    proxySmartPaste.addEventListener('input', updateSmartPasteHint);
+    proxySmartFillBtn.addEventListener('click', smartFillProxy);
+    proxyBulkImportBtn.addEventListener('click', bulkImportProxies);
+
+    [proxyProfileName, proxyProtocol, proxyHost, proxyPort, proxyAuthEnabled, proxyUsername, proxyPassword, proxyBypass]
+      .forEach(field => field.addEventListener('input', () => {
+        proxyProfileDirty = true;
+      }));
+
     // Real-time validation
     accountName.addEventListener('input', () => validateField('name'));
     proxyHost.addEventListener('input', () => validateField('proxy-host'));
@@ -81,6 +162,9 @@
       const urlParams = new URLSearchParams(window.location.search);
       accountId = urlParams.get('accountId');
 
+      await loadProxyProfiles();
+      fillProxyProfileFields(null);
+
       if (accountId) {
         editMode = true;
         dialogTitle.textContent = '编辑账号';
@@ -92,6 +176,7 @@
           if (account) {
             originalData = account;
             populateForm(account);
+            loadNetworkEvents();
           } else {
             showError('账号未找到');
           }
@@ -116,19 +201,19 @@
     accountNote.value = account.note || '';
     autoStart.checked = account.autoStart || false;
 
-    // Proxy configuration
+    // Proxy configuration (connection settings come from the referenced profile)
     if (account.proxy) {
       proxyEnabled.checked = account.proxy.enabled || false;
-      proxyProtocol.value = account.proxy.protocol || 'socks5';
-      proxyHost.value = account.proxy.host || '';
-      proxyPort.value = account.proxy.port || '';
-      proxyBypass.value = account.proxy.bypass || '';
-
-      if (account.proxy.username || account.proxy.password) {
-        proxyAuthEnabled.checked = true;
-        proxyUsername.value = account.proxy.username || '';
-        proxyPassword.value = account.proxy.password || '';
-      }
+      proxyProfile.value = account.proxy.profileId || '';
+      fillProxyProfileFields(getSelectedProxyProfile());
+
+      proxyMode.value = account.proxy.mode || 'fixed';
+      renderProxyRules(account.proxy.rules || []);
+      proxyDefaultAction.value = account.proxy.defaultAction || 'proxy';
+      proxyPacFile.value = account.proxy.pacFile || '';
+      proxyPacScript.value = account.proxy.pacScript || '';
+      renderProxyBackups(account.proxy.backupProfileIds || []);
+      proxyAllowDirect.checked = account.proxy.allowDirectFallback === true;
     }
 
     // Translation configuration - removed from UI
@@ -137,6 +222,480 @@
     // Trigger conditional field visibility
     toggleProxyFields();
     toggleProxyAuthFields();
+    toggleProxyMode();
+  }
+
+  /**
+   * Load the proxy profile library into the profile select
+   * @param {string} [selectedId] - Profile to select after loading (default: keep the current selection)
+   */
+  async function loadProxyProfiles(selectedId = proxyProfile.value) {
+    try {
+      const response = await window.electronAPI.listProxyProfiles();
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      proxyProfiles = response.data;
+    } catch (error) {
+      console.error('Failed to load proxy profiles:', error);
+      proxyProfiles = [];
+    }
+
+    proxyProfile.innerHTML = '';
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = '新建代理配置…';
+    proxyProfile.appendChild(newOption);
+
+    proxyProfiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = `${profile.name}（${profile.protocol}://${profile.host}:${profile.port}）· ${profile.accountCount} 个账号使用`;
+      proxyProfile.appendChild(option);
+    });
+
+    proxyProfile.value = proxyProfiles.some(profile => profile.id === selectedId) ? selectedId : '';
+
+    proxyBackupSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '选择代理配置…';
+    proxyBackupSelect.appendChild(placeholder);
+
+    proxyProfiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = describeProxyProfile(profile.id);
+      proxyBackupSelect.appendChild(option);
+    });
+
+    // Refresh the names of the backups already in the list
+    renderProxyBackups(collectProxyBackups());
+  }
+
+  /**
+   * Describe a proxy profile by id for the backup list
+   * @param {string} profileId - Profile ID
+   * @returns {string}
+   */
+  function describeProxyProfile(profileId) {
+    const profile = proxyProfiles.find(item => item.id === profileId);
+    return profile
+      ? `${profile.name}（${profile.protocol}://${profile.host}:${profile.port}）`
+      : `已删除的代理配置（${profileId}）`;
+  }
+
+  /**
+   * Render the ordered backup proxy list
+   * @param {string[]} profileIds - Backup profile ids in failover order
+   */
+  function renderProxyBackups(profileIds) {
+    proxyBackupList.innerHTML = '';
+    profileIds.forEach(profileId => addProxyBackupRow(profileId));
+  }
+
+  /**
+   * Append a profile to the backup proxy list (a profile is listed once)
+   * @param {string} profileId - Profile ID
+   */
+  function addProxyBackupRow(profileId) {
+    if (collectProxyBackups().includes(profileId)) {
+      return;
+    }
+
+    const item = document.createElement('li');
+    item.className = 'proxy-rule-item proxy-backup-item';
+    item.dataset.profileId = profileId;
+
+    const name = document.createElement('span');
+    name.className = 'proxy-backup-name';
+    name.textContent = describeProxyProfile(profileId);
+    item.appendChild(name);
+
+    [['上移', () => item.previousElementSibling && item.parentNode.insertBefore(item, item.previousElementSibling)],
+      ['下移', () => item.nextElementSibling && item.parentNode.insertBefore(item.nextElementSibling, item)],
+      ['删除', () => item.remove()]].forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-secondary';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      item.appendChild(button);
+    });
+
+    proxyBackupList.appendChild(item);
+  }
+
+  /**
+   * Collect the backup profile ids in failover order
+   * @returns {string[]}
+   */
+  function collectProxyBackups() {
+    return Array.from(proxyBackupList.querySelectorAll('.proxy-backup-item'))
+      .map(item => item.dataset.profileId);
+  }
+
+  /**
+   * Load the network event log of the account (proxy failover switches)
+   */
+  async function loadNetworkEvents() {
+    try {
+      const response = await window.electronAPI.getNetworkEvents(accountId, 20);
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const typeText = {
+        failover: '切换到备用代理',
+        direct: '改为直连',
+        exhausted: '没有可用的代理，连接已中断'
+      };
+      networkEventsList.innerHTML = '';
+      response.data.forEach(event => {
+        const item = document.createElement('li');
+        item.classList.toggle('error', event.type === 'exhausted');
+
+        const time = document.createElement('time');
+        time.textContent = new Date(event.timestamp).toLocaleString();
+        item.appendChild(time);
+        item.appendChild(document.createTextNode(
+          `${typeText[event.type] || event.type}：${event.from}${event.to ? ` → ${event.to === 'direct' ? '直连' : event.to}` : ''}（${event.reason}）`
+        ));
+        networkEventsList.appendChild(item);
+      });
+      networkEventsGroup.style.display = response.data.length > 0 ? 'block' : 'none';
+    } catch (error) {
+      console.error('Failed to load network events:', error);
+    }
+  }
+
+  /**
+   * Get the selected proxy profile
+   * @returns {Object|null} Profile without password
+   */
+  function getSelectedProxyProfile() {
+    return proxyProfiles.find(profile => profile.id === proxyProfile.value) || null;
+  }
+
+  /**
+   * Fill the profile editor fields from a profile (or clear them for a new profile)
+   * @param {Object|null} profile - Profile without password
+   */
+  function fillProxyProfileFields(profile) {
+    proxyProfileName.value = profile ? profile.name : '';
+    proxyProtocol.value = profile ? profile.protocol : 'socks5';
+    proxyHost.value = profile ? profile.host : '';
+    proxyPort.value = profile ? profile.port : '';
+    proxyBypass.value = profile ? profile.bypass : '';
+    proxyAuthEnabled.checked = Boolean(profile && profile.username);
+    proxyUsername.value = profile ? profile.username : '';
+    proxyPassword.value = '';
+    proxyPassword.placeholder = profile && profile.hasPassword ? '已保存，留空保持不变' : '代理密码';
+    proxyProfileDeleteBtn.disabled = !profile;
+    proxyProfileStatus.textContent = '';
+    renderNetworkCheckResult(proxyProfileCheckResult, null);
+    proxyProfileDirty = false;
+
+    clearProxyValidation();
+    toggleProxyAuthFields();
+  }
+
+  /**
+   * Collect the profile editor fields
+   * An empty password keeps the saved password of an existing profile
+   * @returns {Object} { name, protocol, host, port, username, password, bypass }
+   */
+  function collectProxyProfileData() {
+    const selected = getSelectedProxyProfile();
+    const useAuth = proxyAuthEnabled.checked;
+    const host = proxyHost.value.trim();
+    const port = parseInt(proxyPort.value, 10) || 0;
+
+    let password = '';
+    if (useAuth) {
+      password = proxyPassword.value || (selected && selected.hasPassword ? undefined : '');
+    }
+
+    return {
+      name: proxyProfileName.value.trim() || `${host}:${port}`,
+      protocol: proxyProtocol.value,
+      host,
+      port,
+      username: useAuth ? proxyUsername.value.trim() : '',
+      password,
+      bypass: proxyBypass.value.trim()
+    };
+  }
+
+  /**
+   * Save the profile editor as a new or existing profile
+   * @returns {Promise<string|null>} Saved profile ID, or null on failure
+   */
+  async function saveProxyProfile() {
+    const hostValid = validateField('proxy-host');
+    const portValid = validateField('proxy-port');
+    if (!hostValid || !portValid) {
+      return null;
+    }
+
+    const selected = getSelectedProxyProfile();
+    proxyProfileStatus.textContent = '正在保存…';
+
+    try {
+      const response = await window.electronAPI.saveProxyProfile(selected ? selected.id : null, collectProxyProfileData());
+      if (!response.success) {
+        proxyProfileStatus.textContent = `保存失败：${response.error}`;
+        return null;
+      }
+
+      const { profile, reapplied } = response.data;
+      await loadProxyProfiles(profile.id);
+      fillProxyProfileFields(getSelectedProxyProfile());
+
+      const failed = reapplied.filter(item => !item.success);
+      proxyProfileStatus.textContent = reapplied.length > 0
+        ? `已保存，已重新应用到 ${reapplied.length} 个账号${failed.length > 0 ? `（${failed.length} 个失败）` : ''}`
+        : '已保存';
+      return profile.id;
+    } catch (error) {
+      console.error('Failed to save proxy profile:', error);
+      proxyProfileStatus.textContent = `保存失败：${error.message}`;
+      return null;
+    }
+  }
+
+  /**
+   * Health-check the profile editor settings without saving
+   */
+  async function testProxyProfile() {
+    const hostValid = validateField('proxy-host');
+    const portValid = validateField('proxy-port');
+    if (!hostValid || !portValid) {
+      return;
+    }
+
+    const selected = getSelectedProxyProfile();
+    proxyProfileTestBtn.disabled = true;
+    proxyProfileStatus.textContent = '正在检测代理服务…';
+    renderNetworkCheckResult(proxyProfileCheckResult, null);
+
+    try {
+      const response = await window.electronAPI.testProxyProfile(selected ? selected.id : null, collectProxyProfileData());
+      if (!response.success) {
+        proxyProfileStatus.textContent = `检测失败：${response.error}`;
+      } else if (response.data.success) {
+        proxyProfileStatus.textContent = '代理可用';
+        renderNetworkCheckResult(proxyProfileCheckResult, response.data);
+      } else {
+        proxyProfileStatus.textContent = `代理不可用：${response.data.error}`;
+      }
+    } catch (error) {
+      console.error('Failed to check proxy profile:', error);
+      proxyProfileStatus.textContent = `检测失败：${error.message}`;
+    } finally {
+      proxyProfileTestBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Check the network the account currently uses (the local network for a new account)
+   */
+  async function checkCurrentNetwork() {
+    networkCheckBtn.disabled = true;
+    networkCheckStatus.textContent = '正在检测当前网络…';
+    renderNetworkCheckResult(networkCheckResult, null);
+
+    try {
+      const response = await window.electronAPI.checkNetwork(editMode ? accountId : undefined);
+      if (!response.success) {
+        networkCheckStatus.textContent = `检测失败：${response.error}`;
+      } else if (response.data.success) {
+        networkCheckStatus.textContent = response.data.mode === 'proxy'
+          ? `账号当前通过代理 ${response.data.proxy} 连接`
+          : (editMode ? '账号当前直连（未应用代理）' : '本机当前网络（直连）');
+        renderNetworkCheckResult(networkCheckResult, response.data);
+      } else {
+        networkCheckStatus.textContent = `网络不可用：${response.data.error}`;
+      }
+    } catch (error) {
+      console.error('Failed to check network:', error);
+      networkCheckStatus.textContent = `检测失败：${error.message}`;
+    } finally {
+      networkCheckBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Render a network check result as a definition list
+   * @param {HTMLElement} container - Result element
+   * @param {Object|null} result - Successful check result, or null to clear
+   */
+  function renderNetworkCheckResult(container, result) {
+    container.innerHTML = '';
+    if (!result) {
+      return;
+    }
+
+    const dnsText = {
+      direct: '直连，不适用',
+      protected: '未泄露（由代理解析）',
+      leak: '存在泄露（本地解析）',
+      unknown: '无法判断'
+    };
+    const location = [result.country, result.city].filter(Boolean).join(' · ');
+    const rows = [
+      ['出口 IP', result.ip, false],
+      ['国家/地区', location || '未知', false],
+      ['运营商', result.org || '未知', false],
+      ['延迟', `${result.latency} ms`, false],
+      ['DNS', dnsText[result.dnsLeak] || result.dnsLeak, result.dnsLeak === 'leak']
+    ];
+
+    rows.forEach(([label, value, warning]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      dd.classList.toggle('warning', warning);
+      container.appendChild(dt);
+      container.appendChild(dd);
+    });
+  }
+
+  /**
+   * Delete the selected profile (only when no account uses it)
+   */
+  async function deleteProxyProfile() {
+    const selected = getSelectedProxyProfile();
+    if (!selected || !confirm(`确定要删除代理配置“${selected.name}”吗？`)) {
+      return;
+    }
+
+    try {
+      const response = await window.electronAPI.deleteProxyProfile(selected.id);
+      if (!response.success) {
+        proxyProfileStatus.textContent = `删除失败：${response.error}`;
+        return;
+      }
+
+      await loadProxyProfiles('');
+      fillProxyProfileFields(null);
+      proxyProfileStatus.textContent = '已删除';
+    } catch (error) {
+      console.error('Failed to delete proxy profile:', error);
+      proxyProfileStatus.textContent = `删除失败：${error.message}`;
+    }
+  }
+
+  /**
+   * Get the non-empty, non-comment lines of the smart paste box
+   * @returns {string[]}
+   */
+  function getSmartPasteLines() {
+    return proxySmartPaste.value.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  /**
+   * Show how many proxies the smart paste box holds
+   */
+  function updateSmartPasteHint() {
+    const count = getSmartPasteLines().length;
+    proxyImportErrors.innerHTML = '';
+    proxySmartPasteStatus.textContent = count > 1 ? `检测到 ${count} 行代理，点击“批量导入”保存到代理配置库` : '';
+  }
+
+  /**
+   * Show per-line import or parse errors
+   * @param {Array<{line: number, input: string, error: string}>} errors - Errors
+   */
+  function renderProxyImportErrors(errors) {
+    proxyImportErrors.innerHTML = '';
+    errors.forEach(({ line, input, error }) => {
+      const item = document.createElement('li');
+      item.textContent = `第 ${line} 行 ${input}：${error}`;
+      proxyImportErrors.appendChild(item);
+    });
+  }
+
+  /**
+   * Parse the first pasted proxy and fill the editor as a new profile
+   */
+  async function smartFillProxy() {
+    const [line] = getSmartPasteLines();
+    if (!line) {
+      proxySmartPasteStatus.textContent = '请先粘贴代理地址';
+      return;
+    }
+
+    try {
+      const response = await window.electronAPI.parseProxyString(line, { defaultProtocol: proxyProtocol.value });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const { valid, proxy, errors } = response.data;
+      if (!proxy) {
+        proxySmartPasteStatus.textContent = '';
+        renderProxyImportErrors([{ line: 1, input: line, error: errors.join(', ') }]);
+        return;
+      }
+
+      // Fill as a new profile so the pasted proxy never overwrites a shared one
+      proxyProfile.value = '';
+      fillProxyProfileFields(null);
+      proxyProtocol.value = proxy.protocol;
+      proxyHost.value = proxy.host;
+      proxyPort.value = Number.isFinite(proxy.port) ? proxy.port : '';
+      proxyAuthEnabled.checked = Boolean(proxy.username);
+      proxyUsername.value = proxy.username;
+      proxyPassword.value = proxy.password;
+      toggleProxyAuthFields();
+      proxyProfileDirty = true;
+
+      validateField('proxy-host');
+      validateField('proxy-port');
+      renderProxyImportErrors(valid ? [] : [{ line: 1, input: line, error: errors.join(', ') }]);
+      proxySmartPasteStatus.textContent = valid ? '已识别并填写代理信息' : '已填写识别到的字段，请检查错误';
+    } catch (error) {
+      console.error('Failed to parse proxy string:', error);
+      proxySmartPasteStatus.textContent = `识别失败：${error.message}`;
+    }
+  }
+
+  /**
+   * Import every pasted line into the proxy profile library
+   */
+  async function bulkImportProxies() {
+    if (getSmartPasteLines().length === 0) {
+      proxySmartPasteStatus.textContent = '请先粘贴代理列表';
+      return;
+    }
+
+    proxyBulkImportBtn.disabled = true;
+    proxySmartPasteStatus.textContent = '正在导入…';
+
+    try {
+      const response = await window.electronAPI.importProxyList(proxySmartPaste.value, { defaultProtocol: proxyProtocol.value });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const { imported, errors } = response.data;
+      const created = imported.filter(item => item.created).length;
+      proxySmartPasteStatus.textContent = `导入完成：新建 ${created} 个，已存在 ${imported.length - created} 个，失败 ${errors.length} 个`;
+      renderProxyImportErrors(errors);
+
+      // Keep only the failed lines so they can be fixed and imported again
+      proxySmartPaste.value = errors.map(error => error.input).join('\n');
+      await loadProxyProfiles();
+    } catch (error) {
+      console.error('Failed to import proxy list:', error);
+      proxySmartPasteStatus.textContent = `导入失败：${error.message}`;
+    } finally {
+      proxyBulkImportBtn.disabled = false;
+    }
   }
 
   /**
@@ -151,6 +710,103 @@
     }
   }
 
+  /**
+   * Show the fields of the selected proxy mode
+   * PAC mode hides the connection settings: the script picks its own proxy servers
+   */
+  function toggleProxyMode() {
+    proxyFields.classList.toggle('mode-rules', proxyMode.value === 'rules');
+    proxyFields.classList.toggle('mode-pac', proxyMode.value === 'pac');
+    clearFieldError('proxy-rules');
+    clearFieldError('proxy-pac-script');
+  }
+
+  /**
+   * Render the per-host rule editor
+   * @param {Array<{pattern: string, action: string}>} rules - Host rules
+   */
+  function renderProxyRules(rules) {
+    proxyRulesList.innerHTML = '';
+    rules.forEach(rule => addProxyRuleRow(rule));
+  }
+
+  /**
+   * Append a row to the per-host rule editor
+   * @param {Object} [rule] - { pattern, action }
+   */
+  function addProxyRuleRow(rule = { pattern: '', action: 'proxy' }) {
+    const item = document.createElement('li');
+    item.className = 'proxy-rule-item';
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'form-input proxy-rule-pattern';
+    pattern.placeholder = '例如：whatsapp.net 或 *.googleapis.com';
+    pattern.autocomplete = 'off';
+    pattern.value = rule.pattern;
+
+    const action = document.createElement('select');
+    action.className = 'form-select proxy-rule-action';
+    [['proxy', '走代理'], ['direct', '直连']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      action.appendChild(option);
+    });
+    action.value = rule.action === 'direct' ? 'direct' : 'proxy';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-secondary';
+    removeBtn.textContent = '删除';
+    removeBtn.addEventListener('click', () => item.remove());
+
+    item.appendChild(pattern);
+    item.appendChild(action);
+    item.appendChild(removeBtn);
+    proxyRulesList.appendChild(item);
+
+    if (!rule.pattern) {
+      pattern.focus();
+    }
+  }
+
+  /**
+   * Collect the per-host rules, skipping empty rows
+   * @returns {Array<{pattern: string, action: string}>}
+   */
+  function collectProxyRules() {
+    return Array.from(proxyRulesList.querySelectorAll('.proxy-rule-item'))
+      .map(item => ({
+        pattern: item.querySelector('.proxy-rule-pattern').value.trim(),
+        action: item.querySelector('.proxy-rule-action').value
+      }))
+      .filter(rule => rule.pattern);
+  }
+
+  /**
+   * Use the picked PAC file by path, or copy its content into the script box
+   * when the path is not available
+   */
+  function handlePacFileSelected() {
+    const file = proxyPacPicker.files[0];
+    if (!file) {
+      return;
+    }
+
+    if (file.path) {
+      proxyPacFile.value = file.path;
+    } else {
+      const reader = new FileReader();
+      reader.onload = () => {
+        proxyPacFile.value = '';
+        proxyPacScript.value = reader.result;
+      };
+      reader.readAsText(file);
+    }
+    proxyPacPicker.value = '';
+  }
+
   /**
    * Toggle proxy authentication fields visibility
    */
@@ -220,8 +876,38 @@
       setFieldError('name', '账号名称不能超过 100 个字符');
     }
 
-    // Validate proxy configuration
-    if (proxyEnabled.checked) {
+    // Validate per-host rules and PAC scripts
+    if (proxyEnabled.checked && proxyMode.value === 'rules') {
+      const rules = collectProxyRules();
+      const invalid = rules.filter(rule => !/^[a-zA-Z0-9.*-]+$/.test(rule.pattern));
+      if (rules.length === 0) {
+        errors.push('按域名规则分流时至少需要一条规则');
+        setFieldError('proxy-rules', '请添加域名规则');
+      } else if (invalid.length > 0) {
+        errors.push(`域名规则格式不正确：${invalid.map(rule => rule.pattern).join('、')}`);
+        setFieldError('proxy-rules', '域名只能包含字母、数字、点、连字符和 * 通配符');
+      }
+    }
+
+    if (proxyEnabled.checked && proxyMode.value === 'pac') {
+      if (!proxyPacFile.value.trim() && !proxyPacScript.value.trim()) {
+        errors.push('使用 PAC 脚本时必须填写 PAC 文件或脚本');
+        setFieldError('proxy-pac-script', 'PAC 文件和脚本不能同时为空');
+      } else if (!proxyPacFile.value.trim() && !/\bFindProxyForURL\b/.test(proxyPacScript.value)) {
+        errors.push('PAC 脚本必须定义 FindProxyForURL(url, host)');
+        setFieldError('proxy-pac-script', '缺少 FindProxyForURL 函数');
+      }
+    }
+
+    // The primary proxy cannot be its own backup
+    if (proxyEnabled.checked && proxyMode.value !== 'pac' && proxyProfile.value &&
+        collectProxyBackups().includes(proxyProfile.value)) {
+      errors.push('备用代理不能与当前代理配置相同');
+      setFieldError('proxy-backup', '请从备用代理中移除当前使用的代理配置');
+    }
+
+    // Validate proxy configuration (a new profile is created from the editor on save)
+    if (proxyEnabled.checked && !proxyProfile.value && proxyMode.value !== 'pac') {
       if (!proxyHost.value.trim()) {
         errors.push('启用代理时必须填写代理主机地址');
         setFieldError('proxy-host', '代理主机地址为必填项');
@@ -313,12 +999,20 @@
       autoStart: autoStart.checked,
       proxy: {
         enabled: proxyEnabled.checked,
-        protocol: proxyProtocol.value,
-        host: proxyHost.value.trim(),
-        port: parseInt(proxyPort.value, 10) || 0,
-        username: proxyAuthEnabled.checked ? proxyUsername.value.trim() : '',
-        password: proxyAuthEnabled.checked ? proxyPassword.value : '',
-        bypass: proxyBypass.value.trim()
+        protocol: 'socks5',
+        host: '',
+        port: 0,
+        username: '',
+        password: '',
+        bypass: '',
+        profileId: proxyMode.value === 'pac' ? '' : proxyProfile.value,
+        mode: proxyMode.value,
+        rules: collectProxyRules(),
+        defaultAction: proxyDefaultAction.value,
+        pacScript: proxyPacScript.value,
+        pacFile: proxyPacFile.value.trim(),
+        backupProfileIds: collectProxyBackups(),
+        allowDirectFallback: proxyAllowDirect.checked
       },
       translation: originalData?.translation || {
         enabled: true,
@@ -359,6 +1053,18 @@
     setFormLoading(true);
 
     try {
+      // Save the profile editor first: a new profile when none is selected,
+      // or the selected profile when its settings were changed and the user confirms
+      if (proxyEnabled.checked && proxyMode.value !== 'pac' && (!proxyProfile.value ||
+          (proxyProfileDirty && confirm('代理配置已修改，是否保存并应用到所有使用它的账号？')))) {
+        const profileId = await saveProxyProfile();
+        if (!profileId) {
+          showFormErrors([proxyProfileStatus.textContent || '保存代理配置失败']);
+          setFormLoading(false);
+          return;
+        }
+      }
+
       const formData = collectFormData();
 
       // Send to main process
@@ -0,0 +1,267 @@
+/**
+ * Chat Archive Search Window
+ * Searches archived messages across accounts and manages archive retention
+ */
+
+(function() {
+  'use strict';
+
+  const PAGE_SIZE = 100;
+
+  // State
+  let currentOffset = 0;
+
+  // DOM elements
+  const filtersForm = document.getElementById('archive-filters');
+  const queryInput = document.getElementById('archive-query');
+  const accountSelect = document.getElementById('archive-account');
+  const contactInput = document.getElementById('archive-contact');
+  const fromInput = document.getElementById('archive-from');
+  const toInput = document.getElementById('archive-to');
+  const languageSelect = document.getElementById('archive-language');
+  const directionSelect = document.getElementById('archive-direction');
+  const deleteBtn = document.getElementById('delete-btn');
+  const exportFormat = document.getElementById('export-format');
+  const exportRedact = document.getElementById('export-redact');
+  const exportBtn = document.getElementById('export-btn');
+  const retentionInput = document.getElementById('archive-retention');
+  const enabledCheckbox = document.getElementById('archive-enabled');
+  const closeBtn = document.getElementById('close-btn');
+  const summary = document.getElementById('archive-summary');
+  const results = document.getElementById('archive-results');
+  const moreBtn = document.getElementById('more-btn');
+
+  /**
+   * Initialize the window
+   */
+  async function init() {
+    filtersForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      search(false);
+    });
+    moreBtn.addEventListener('click', () => search(true));
+    deleteBtn.addEventListener('click', handleDelete);
+    exportBtn.addEventListener('click', handleExport);
+    retentionInput.addEventListener('change', saveConfig);
+    enabledCheckbox.addEventListener('change', saveConfig);
+    closeBtn.addEventListener('click', () => window.close());
+
+    await Promise.all([loadAccounts(), loadConfig()]);
+    search(false);
+  }
+
+  /**
+   * Fill the account filter
+   */
+  async function loadAccounts() {
+    try {
+      const accounts = await window.electronAPI.getAccounts();
+      (accounts || []).forEach(account => {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = account.name || account.id;
+        accountSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('[ArchiveSearch] Failed to load accounts:', error);
+    }
+  }
+
+  /**
+   * Load archive settings
+   */
+  async function loadConfig() {
+    try {
+      const response = await window.electronAPI.getArchiveConfig();
+      if (response.success) {
+        retentionInput.value = response.data.retentionDays;
+        enabledCheckbox.checked = response.data.enabled;
+      }
+    } catch (error) {
+      console.error('[ArchiveSearch] Failed to load archive config:', error);
+    }
+  }
+
+  /**
+   * Save archive settings (shortening retention purges older messages immediately)
+   */
+  async function saveConfig() {
+    try {
+      const response = await window.electronAPI.saveArchiveConfig({
+        enabled: enabledCheckbox.checked,
+        retentionDays: Number(retentionInput.value)
+      });
+      if (response.success) {
+        retentionInput.value = response.data.retentionDays;
+        search(false);
+      } else {
+        alert('保存失败：' + response.error);
+      }
+    } catch (error) {
+      console.error('[ArchiveSearch] Failed to save archive config:', error);
+    }
+  }
+
+  /**
+   * Build filter options from the form
+   * @returns {Object} { accountId, contactId, from, to, language, direction }
+   */
+  function getFilters() {
+    const filters = {};
+    if (accountSelect.value) filters.accountId = accountSelect.value;
+    if (contactInput.value.trim()) filters.contactId = contactInput.value.trim();
+    if (languageSelect.value) filters.language = languageSelect.value;
+    if (directionSelect.value) filters.direction = directionSelect.value;
+
+    // Date inputs are local dates; the "to" date includes the whole day
+    if (fromInput.value) filters.from = new Date(`${fromInput.value}T00:00:00`).getTime();
+    if (toInput.value) filters.to = new Date(`${toInput.value}T23:59:59.999`).getTime();
+
+    return filters;
+  }
+
+  /**
+   * Run a search
+   * @param {boolean} append - Load the next page instead of replacing results
+   */
+  async function search(append) {
+    currentOffset = append ? currentOffset + PAGE_SIZE : 0;
+
+    try {
+      const response = await window.electronAPI.searchArchive(queryInput.value, {
+        ...getFilters(),
+        limit: PAGE_SIZE,
+        offset: currentOffset
+      });
+
+      if (!response.success) {
+        summary.textContent = '搜索失败：' + response.error;
+        return;
+      }
+
+      const { messages, total } = response.data;
+      if (!append) {
+        results.innerHTML = '';
+      }
+      messages.forEach(message => results.appendChild(renderMessage(message)));
+
+      const shown = currentOffset + messages.length;
+      summary.textContent = total > 0 ? `共 ${total} 条，已显示 ${shown} 条` : '没有匹配的聊天记录';
+      moreBtn.style.display = shown < total ? '' : 'none';
+    } catch (error) {
+      console.error('[ArchiveSearch] Search failed:', error);
+      summary.textContent = '搜索失败：' + error.message;
+    }
+  }
+
+  /**
+   * Render one archived message
+   * @param {Object} message - Archived message with accountName
+   * @returns {HTMLElement} Message element
+   */
+  function renderMessage(message) {
+    const item = document.createElement('div');
+    item.className = `archive-message ${message.direction}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'archive-message-meta';
+    [
+      new Date(message.timestamp).toLocaleString(),
+      message.accountName,
+      message.contactId,
+      message.sender || (message.direction === 'out' ? '我' : ''),
+      message.sourceLang && message.targetLang ? `${message.sourceLang} → ${message.targetLang}` : message.sourceLang
+    ].filter(Boolean).forEach(text => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      meta.appendChild(span);
+    });
+    item.appendChild(meta);
+
+    const original = document.createElement('div');
+    original.className = 'archive-message-original';
+    original.textContent = message.original;
+    item.appendChild(original);
+
+    if (message.translation) {
+      const translation = document.createElement('div');
+      translation.className = 'archive-message-translation';
+      translation.textContent = message.translation;
+      item.appendChild(translation);
+    }
+
+    return item;
+  }
+
+  /**
+   * Delete all messages matching the current filters
+   */
+  async function handleDelete() {
+    const filters = { ...getFilters(), query: queryInput.value };
+    const scope = Object.keys(filters).some(key => filters[key]) ? '当前筛选结果中的' : '全部';
+    if (!confirm(`确定要删除${scope}聊天记录吗？此操作无法撤销。`)) {
+      return;
+    }
+
+    try {
+      const response = await window.electronAPI.deleteArchive(filters);
+      if (response.success) {
+        alert(`已删除 ${response.data} 条聊天记录`);
+        search(false);
+      } else {
+        alert('删除失败：' + response.error);
+      }
+    } catch (error) {
+      console.error('[ArchiveSearch] Delete failed:', error);
+    }
+  }
+
+  /**
+   * Export a transcript of the current account/contact/date filters
+   * Keyword, language and direction filters are not applied so chats stay complete
+   */
+  async function handleExport() {
+    const { accountId, contactId, from, to } = getFilters();
+    const format = exportFormat.value;
+
+    try {
+      const response = await window.electronAPI.exportTranscript({
+        accountId,
+        contactId,
+        from,
+        to,
+        format,
+        redact: exportRedact.checked
+      });
+      if (!response.success) {
+        alert('导出失败：' + response.error);
+        return;
+      }
+      if (response.data.count === 0) {
+        alert('没有可导出的聊天记录');
+        return;
+      }
+
+      const types = { html: 'text/html', csv: 'text/csv', json: 'application/json' };
+      // Prepend a BOM so Excel detects UTF-8 in CSV files
+      const content = format === 'csv' ? '\uFEFF' + response.data.content : response.data.content;
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([content], { type: `${types[format]};charset=utf-8` }));
+      link.download = `transcript-${contactId || accountId || 'all'}-${new Date().toISOString().slice(0, 10)}.${format}`
+        .replace(/[\\/:*?"<>|@]/g, '_');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+      console.error('[ArchiveSearch] Export failed:', error);
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,182 @@
+/**
+ * Follow-up Reminders Window
+ * Lists upcoming reminders across accounts with open, snooze and complete actions
+ */
+
+(function() {
+  'use strict';
+
+  const SNOOZE_OPTIONS = [
+    { minutes: 15, label: '15 分钟' },
+    { minutes: 60, label: '1 小时' },
+    { minutes: 180, label: '3 小时' },
+    { minutes: 1440, label: '明天' }
+  ];
+
+  // State
+  const accountNames = {};
+
+  // DOM elements
+  const accountSelect = document.getElementById('reminder-account');
+  const list = document.getElementById('reminder-list');
+  const closeBtn = document.getElementById('close-btn');
+
+  /**
+   * Initialize the window
+   */
+  async function init() {
+    accountSelect.addEventListener('change', loadReminders);
+    closeBtn.addEventListener('click', () => window.close());
+    window.electronAPI.on('reminder:changed', loadReminders);
+
+    await loadAccounts();
+    loadReminders();
+
+    // Keep the due highlighting current while the window stays open
+    setInterval(loadReminders, 60 * 1000);
+  }
+
+  /**
+   * Fill the account filter
+   */
+  async function loadAccounts() {
+    try {
+      const accounts = await window.electronAPI.getAccounts();
+      (accounts || []).forEach(account => {
+        accountNames[account.id] = account.name || account.id;
+
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = accountNames[account.id];
+        accountSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('[Reminders] Failed to load accounts:', error);
+    }
+  }
+
+  /**
+   * Load and render reminders
+   */
+  async function loadReminders() {
+    try {
+      const response = await window.electronAPI.listReminders({ accountId: accountSelect.value || undefined });
+      if (!response.success) {
+        list.textContent = '加载失败：' + response.error;
+        return;
+      }
+
+      list.innerHTML = '';
+      if (response.data.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'reminder-empty';
+        empty.textContent = '没有待跟进的提醒';
+        list.appendChild(empty);
+        return;
+      }
+
+      response.data.forEach(reminder => list.appendChild(renderReminder(reminder)));
+    } catch (error) {
+      console.error('[Reminders] Failed to load reminders:', error);
+    }
+  }
+
+  /**
+   * Render one reminder
+   * @param {Object} reminder - { id, accountId, contactId, note, dueAt }
+   * @returns {HTMLElement} Reminder element
+   */
+  function renderReminder(reminder) {
+    const item = document.createElement('div');
+    item.className = 'reminder-item';
+    if (reminder.dueAt <= Date.now()) {
+      item.classList.add('due');
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'reminder-meta';
+    [
+      { className: 'reminder-due', text: new Date(reminder.dueAt).toLocaleString() + (item.classList.contains('due') ? '（已到期）' : '') },
+      { className: 'reminder-account', text: accountNames[reminder.accountId] || reminder.accountId }
+    ].forEach(({ className, text }) => {
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = text;
+      meta.appendChild(span);
+    });
+    item.appendChild(meta);
+
+    const contact = document.createElement('div');
+    contact.className = 'reminder-contact';
+    contact.textContent = reminder.contactId;
+    item.appendChild(contact);
+
+    if (reminder.note) {
+      const note = document.createElement('div');
+      note.className = 'reminder-note';
+      note.textContent = reminder.note;
+      item.appendChild(note);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'reminder-actions';
+
+    const openBtn = document.createElement('button');
+    openBtn.className = 'btn btn-primary';
+    openBtn.textContent = '打开聊天';
+    openBtn.addEventListener('click', () => runAction(window.electronAPI.openReminderChat(reminder.id), '打开聊天失败'));
+
+    const snoozeSelect = document.createElement('select');
+    snoozeSelect.className = 'form-select';
+    SNOOZE_OPTIONS.forEach(({ minutes, label }) => {
+      const option = document.createElement('option');
+      option.value = minutes;
+      option.textContent = label;
+      snoozeSelect.appendChild(option);
+    });
+
+    const snoozeBtn = document.createElement('button');
+    snoozeBtn.className = 'btn btn-secondary';
+    snoozeBtn.textContent = '稍后提醒';
+    snoozeBtn.addEventListener('click', () => {
+      runAction(window.electronAPI.snoozeReminder(reminder.id, Number(snoozeSelect.value)), '稍后提醒失败');
+    });
+
+    const doneBtn = document.createElement('button');
+    doneBtn.className = 'btn btn-secondary';
+    doneBtn.textContent = '完成';
+    doneBtn.addEventListener('click', () => runAction(window.electronAPI.deleteReminder(reminder.id), '操作失败'));
+
+    actions.appendChild(openBtn);
+    actions.appendChild(snoozeSelect);
+    actions.appendChild(snoozeBtn);
+    actions.appendChild(doneBtn);
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Wait for a reminder action and report failures
+   * The list refreshes through the reminder:changed event
+   * @param {Promise<Object>} request - IPC request
+   * @param {string} failureMessage - Message prefix shown on failure
+   */
+  async function runAction(request, failureMessage) {
+    try {
+      const response = await request;
+      if (!response.success) {
+        alert(`${failureMessage}：${response.error}`);
+      }
+    } catch (error) {
+      console.error('[Reminders] Action failed:', error);
+    }
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -9,11 +9,15 @@
   // State
   let accounts = [];
   let activeAccountId = null;
+  let overdueCounts = {}; // accountId -> chats waiting longer than the reply SLA
+  let networkStatus = {}; // accountId -> last network health check result
 
   // DOM elements
   const accountList = document.getElementById('account-list');
   const emptyState = document.getElementById('empty-state');
   const addAccountBtn = document.getElementById('add-account');
+  const searchArchiveBtn = document.getElementById('search-archive');
+  const openRemindersBtn = document.getElementById('open-reminders');
 
   // OPTIMIZATION: Debounce timers for high-frequency updates
   const updateTimers = new Map();
@@ -36,6 +40,16 @@
       addAccountBtn.addEventListener('click', handleAddAccount);
     }
 
+    // Chat archive search button
+    if (searchArchiveBtn && window.electronAPI) {
+      searchArchiveBtn.addEventListener('click', () => window.electronAPI.openArchiveSearch());
+    }
+
+    // Follow-up reminders button
+    if (openRemindersBtn && window.electronAPI) {
+      openRemindersBtn.addEventListener('click', () => window.electronAPI.openReminders());
+    }
+
     // Listen for account updates from main process
   if (window.electronAPI) {
     window.electronAPI.on('accounts-updated', handleAccountsUpdated);
@@ -56,6 +70,15 @@
     window.electronAPI.on('view-manager:login-status-changed', handleLoginStatusChanged);
     window.electronAPI.on('view-manager:view-crashed', handleViewCrashed);
     window.electronAPI.on('view-manager:connection-status-changed', handleConnectionStatusChanged);
+
+    // Listen for reply SLA overdue count changes
+    window.electronAPI.on('sla:overdue-changed', handleOverdueChanged);
+
+    // Listen for network health check results
+    window.electronAPI.on('network:status-changed', handleNetworkStatusChanged);
+
+    // Listen for proxy failover switches
+    window.electronAPI.on('network:proxy-switched', handleProxySwitched);
   }
   }
 
@@ -83,6 +106,9 @@
           activeAccountId = activeResult.accountId;
         }
         
+        await loadOverdueCounts();
+        await loadNetworkStatus();
+
         console.log('[Sidebar] Initial render after loadAccounts');
         renderAccountList();
       } else {
@@ -251,6 +277,22 @@
     
     info.appendChild(status);
 
+    // Add reply SLA overdue badge (separate from unread messages)
+    const overdueBadge = document.createElement('div');
+    overdueBadge.className = 'account-overdue-badge';
+    info.appendChild(overdueBadge);
+    renderOverdueBadge(overdueBadge, overdueCounts[account.id] || 0);
+
+    // Add network status indicator (tooltip shows the last health check, click to re-check)
+    const network = document.createElement('div');
+    network.className = 'account-network';
+    network.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleCheckNetwork(account.id);
+    });
+    info.appendChild(network);
+    renderNetworkIndicator(network, networkStatus[account.id] || null);
+
     // Create actions section
     const actions = document.createElement('div');
     actions.className = 'account-actions';
@@ -500,6 +542,186 @@
     setActiveAccount(accountId);
   }
 
+  /**
+   * Load reply SLA overdue counts for all accounts
+   */
+  async function loadOverdueCounts() {
+    try {
+      const response = await window.electronAPI.getSlaStatus();
+      if (response && response.success) {
+        overdueCounts = response.data.overdueCounts || {};
+      }
+    } catch (error) {
+      console.error('[Sidebar] Failed to load SLA status:', error);
+    }
+  }
+
+  /**
+   * Handle reply SLA overdue count changed event from main process
+   */
+  function handleOverdueChanged(data) {
+    const { accountId, overdueCount } = data;
+    overdueCounts[accountId] = overdueCount;
+
+    const item = accountList.querySelector(`[data-account-id="${accountId}"]`);
+    if (item) {
+      const badge = item.querySelector('.account-overdue-badge');
+      if (badge) {
+        renderOverdueBadge(badge, overdueCount);
+      }
+    }
+  }
+
+  /**
+   * Render the overdue badge of an account item
+   * @param {HTMLElement} badge - Badge element
+   * @param {number} count - Number of chats waiting longer than the SLA
+   */
+  function renderOverdueBadge(badge, count) {
+    badge.textContent = count > 0 ? `⏱ ${count} 个会话超时未回` : '';
+    badge.title = count > 0 ? `${count} 个会话等待回复超过设定时效` : '';
+    badge.classList.toggle('hidden', count === 0);
+  }
+
+  /**
+   * Load the last network health check result of all accounts
+   */
+  async function loadNetworkStatus() {
+    try {
+      const response = await window.electronAPI.getNetworkStatus();
+      if (response && response.success) {
+        networkStatus = response.data || {};
+      }
+    } catch (error) {
+      console.error('[Sidebar] Failed to load network status:', error);
+    }
+  }
+
+  /**
+   * Run a network health check through an account's session
+   * The result arrives through the network:status-changed event
+   * @param {string} accountId - Account ID
+   */
+  async function handleCheckNetwork(accountId) {
+    const item = accountList.querySelector(`[data-account-id="${accountId}"]`);
+    const indicator = item && item.querySelector('.account-network');
+    if (indicator) {
+      indicator.classList.add('checking');
+      indicator.textContent = '🌐 检测中…';
+    }
+
+    try {
+      const response = await window.electronAPI.checkNetwork(accountId);
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response');
+      }
+    } catch (error) {
+      console.error(`[Sidebar] Failed to check network for account ${accountId}:`, error);
+      if (indicator) {
+        renderNetworkIndicator(indicator, networkStatus[accountId] || null);
+      }
+    }
+  }
+
+  /**
+   * Handle network health check result from main process
+   */
+  function handleNetworkStatusChanged(status) {
+    if (!status || !status.accountId) {
+      return;
+    }
+    networkStatus[status.accountId] = status;
+
+    const item = accountList.querySelector(`[data-account-id="${status.accountId}"]`);
+    if (item) {
+      const indicator = item.querySelector('.account-network');
+      if (indicator) {
+        renderNetworkIndicator(indicator, status);
+      }
+    }
+  }
+
+  /**
+   * Render the network status indicator of an account item
+   * @param {HTMLElement} indicator - Indicator element
+   * @param {Object|null} status - Last network health check result
+   */
+  function renderNetworkIndicator(indicator, status) {
+    indicator.classList.remove('checking', 'ok', 'warning', 'error');
+
+    if (!status) {
+      indicator.textContent = '🌐 未检测';
+      indicator.title = '网络状态未检测，点击检测出口 IP、延迟和 DNS 泄露';
+      return;
+    }
+
+    const checkedAt = new Date(status.checkedAt).toLocaleTimeString();
+    const connection = status.mode === 'proxy' ? `代理 ${status.proxy}` : '直连';
+
+    if (!status.success) {
+      indicator.classList.add('error');
+      indicator.textContent = '🌐 网络异常';
+      indicator.title = [`连接方式：${connection}`, `错误：${status.error}`, `检测时间：${checkedAt}`, '点击重新检测'].join('\n');
+      return;
+    }
+
+    const dnsText = {
+      direct: '直连，不适用',
+      protected: '未泄露',
+      leak: '存在泄露',
+      unknown: '无法判断'
+    };
+    const leaking = status.dnsLeak === 'leak';
+
+    indicator.classList.add(leaking ? 'warning' : 'ok');
+    indicator.textContent = `🌐 ${status.countryCode || status.ip} · ${status.latency} ms`;
+    indicator.title = [
+      `连接方式：${connection}`,
+      `出口 IP：${status.ip}`,
+      `国家/地区：${[status.country, status.city].filter(Boolean).join(' · ') || '未知'}`,
+      `延迟：${status.latency} ms`,
+      `DNS：${dnsText[status.dnsLeak] || status.dnsLeak}`,
+      `检测时间：${checkedAt}`,
+      '点击重新检测'
+    ].join('\n');
+  }
+
+  /**
+   * Handle a proxy failover switch from main process
+   * The last check result no longer applies, so the indicator shows the switch until the next check
+   * @param {Object} event - Network event { accountId, type, from, to, reason, timestamp }
+   */
+  function handleProxySwitched(event) {
+    if (!event || !event.accountId) {
+      return;
+    }
+    delete networkStatus[event.accountId];
+
+    const item = accountList.querySelector(`[data-account-id="${event.accountId}"]`);
+    const indicator = item && item.querySelector('.account-network');
+    if (!indicator) {
+      return;
+    }
+
+    const labels = {
+      failover: { text: '🌐 已切换备用代理', level: 'warning' },
+      direct: { text: '🌐 已改为直连', level: 'warning' },
+      exhausted: { text: '🌐 代理不可用', level: 'error' }
+    };
+    const label = labels[event.type] || labels.failover;
+
+    indicator.classList.remove('checking', 'ok', 'warning', 'error');
+    indicator.classList.add(label.level);
+    indicator.textContent = label.text;
+    indicator.title = [
+      `原代理：${event.from}`,
+      event.to ? `切换到：${event.to === 'direct' ? '直连' : event.to}` : '没有可用的备用代理，连接已中断',
+      `原因：${event.reason}`,
+      `时间：${new Date(event.timestamp).toLocaleTimeString()}`,
+      '点击重新检测'
+    ].join('\n');
+  }
+
   /**
    * Handle account status changed event from main process
    */
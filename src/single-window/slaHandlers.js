@@ -0,0 +1,106 @@
+/**
+ * Conversation SLA IPC Handlers
+ *
+ * Handles IPC communication for the unanswered-conversation tracker:
+ * - Recording the last inbound/outbound message of a chat (from the content script)
+ * - Querying waiting chats and per-account overdue counts
+ * - Reading and saving the SLA settings
+ */
+
+const { ipcMain } = require('electron');
+const { wrapIPCHandler } = require('../utils/ErrorHandler');
+const { ErrorCategory } = require('../utils/ErrorLogger');
+const { parsePrePlainText } = require('../translation/utils/archiveUtils');
+
+/**
+ * Setup SLA IPC handlers
+ * @param {ConversationSlaTracker} slaTracker - ConversationSlaTracker instance
+ */
+function setupSlaHandlers(slaTracker) {
+  if (!slaTracker) {
+    throw new Error('ConversationSlaTracker is required');
+  }
+
+  /**
+   * Record the last message of a chat
+   * The message time comes from WhatsApp's data-pre-plain-text when available
+   */
+  ipcMain.handle('sla:record-activity', wrapIPCHandler(
+    async (_event, accountId, activity = {}) => {
+      const { timestamp } = parsePrePlainText(activity.prePlainText);
+
+      slaTracker.recordActivity(accountId, {
+        contactId: activity.contactId,
+        direction: activity.direction === 'out' ? 'out' : 'in',
+        // Clamp future times caused by clock or date-format mismatches
+        timestamp: timestamp ? Math.min(timestamp, Date.now()) : undefined
+      });
+
+      return { success: true };
+    },
+    {
+      channel: 'sla:record-activity',
+      category: ErrorCategory.IPC
+    }
+  ));
+
+  /**
+   * Get SLA settings, overdue counts and waiting chats
+   */
+  ipcMain.handle('sla:get-status', wrapIPCHandler(
+    async (_event, accountId) => {
+      return {
+        success: true,
+        data: {
+          config: slaTracker.getConfig(),
+          overdueCounts: slaTracker.getOverdueCounts(),
+          waiting: slaTracker.getWaitingChats(accountId || null)
+        }
+      };
+    },
+    {
+      channel: 'sla:get-status',
+      category: ErrorCategory.IPC
+    }
+  ));
+
+  /**
+   * Save SLA settings
+   */
+  ipcMain.handle('sla:save-config', wrapIPCHandler(
+    async (_event, config) => {
+      return {
+        success: true,
+        data: slaTracker.saveConfig(config)
+      };
+    },
+    {
+      channel: 'sla:save-config',
+      category: ErrorCategory.IPC
+    }
+  ));
+
+  console.log('[SlaHandlers] SLA IPC handlers registered');
+}
+
+/**
+ * Cleanup SLA IPC handlers
+ */
+function cleanupSlaHandlers() {
+  const channels = [
+    'sla:record-activity',
+    'sla:get-status',
+    'sla:save-config'
+  ];
+
+  channels.forEach(channel => {
+    ipcMain.removeHandler(channel);
+  });
+
+  console.log('[SlaHandlers] SLA IPC handlers cleaned up');
+}
+
+module.exports = {
+  setupSlaHandlers,
+  cleanupSlaHandlers
+};
@@ -1,10 +1,16 @@
 /**
  * AI 翻译适配器
- * 支持 OpenAI GPT-4, Google Gemini, DeepSeek 等兼容 OpenAI API 格式的服务
+ * 支持 OpenAI GPT-4、Google Gemini、DeepSeek、Anthropic、Ollama 等服务
+ * 请求/响应格式由适配器类型对应的编解码器（codecs）决定
  */
 
 const TranslationAdapter = require('./TranslationAdapter');
+const { getCodec } = require('./codecs');
+const { buildGlossaryPrompt } = require('../utils/glossaryUtils');
+const { estimateTokens } = require('../utils/costUtils');
+const { getProxyAgent } = require('../utils/proxyAgentUtils');
 const https = require('https');
+const http = require('http');
 const { URL } = require('url');
 
 class AITranslationAdapter extends TranslationAdapter {
@@ -16,6 +22,9 @@ class AITranslationAdapter extends TranslationAdapter {
     this.model = config.model || 'gpt-4';
     this.maxTokens = config.maxTokens || 2000;
     this.temperature = config.temperature || 0.3;
+    this.contextTokenBudget = config.contextTokenBudget || 500; // 对话上下文的 token 预算
+    // 自定义 API 可通过 apiFormat 指定服务商格式，其余按适配器类型选择
+    this.codec = getCodec(config.apiFormat || this.type);
   }
 
   /**
@@ -41,13 +50,20 @@ class AITranslationAdapter extends TranslationAdapter {
       const target = this.normalizeLanguageCode(targetLang);
 
       // 构建提示词
-      console.log('[AITranslation] 收到的 options:', JSON.stringify(options));
+      // 代理配置包含认证信息，不写入日志
+      console.log('[AITranslation] 收到的 options:', JSON.stringify({ ...options, proxy: undefined }));
       const style = options.style || '通用';
       console.log(`[AITranslation] 最终使用风格: ${style}`);
       console.log(`[AITranslation] API端点: ${this.apiEndpoint}`);
       console.log(`[AITranslation] 模型: ${this.model}`);
       
-      const prompt = this.buildPrompt(text, source, target, style);
+      // 对话上下文按 token 预算裁剪，保留最近的消息
+      const context = this.trimContextToBudget(
+        options.context,
+        options.contextTokenBudget || this.contextTokenBudget
+      );
+      
+      const prompt = this.buildPrompt(text, source, target, style, options.glossary, context);
       
       // 调试：显示提示词预览（仅在非通用风格时显示）
       if (style !== '通用') {
@@ -56,13 +72,20 @@ class AITranslationAdapter extends TranslationAdapter {
         console.log(`[AITranslation] 提示词预览（通用风格）: ${prompt.substring(0, 200)}...`);
       }
 
-      // 调用 AI API
-      const translatedText = await this.callAIAPI(prompt, style);
+      // 调用 AI API（流式模式下逐段回传部分译文）
+      const completion = options.stream && typeof options.onChunk === 'function'
+        ? await this.requestCompletionStream(prompt, style, {
+          onChunk: options.onChunk,
+          signal: options.signal,
+          proxy: options.proxy
+        })
+        : await this.requestCompletion(prompt, style, { proxy: options.proxy });
 
       return {
-        translatedText: translatedText.trim(),
+        translatedText: completion.text.trim(),
         detectedLang: source,
-        engineUsed: this.name
+        engineUsed: this.name,
+        usage: completion.usage
       };
 
     } catch (error) {
@@ -70,15 +93,129 @@ class AITranslationAdapter extends TranslationAdapter {
     }
   }
 
+  /**
+   * 批量翻译文本
+   * 以 JSON 数组形式放入同一个提示词，要求模型按相同顺序返回 JSON 数组
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async translateBatch(texts, sourceLang, targetLang, options = {}) {
+    if (!this.validateConfig()) {
+      throw this.handleError(new Error('Invalid API configuration'));
+    }
+
+    const source = this.normalizeLanguageCode(sourceLang);
+    const target = this.normalizeLanguageCode(targetLang);
+    const style = options.style || '通用';
+    const context = this.trimContextToBudget(
+      options.context,
+      options.contextTokenBudget || this.contextTokenBudget
+    );
+    const results = [];
+
+    for (const group of this.groupBatchTexts(texts, 5000)) {
+      if (group.length === 1) {
+        results.push(await this.translate(group[0], sourceLang, targetLang, options));
+        continue;
+      }
+
+      // 请求失败（鉴权、配额、网络等）直接抛出，逐条重试只会得到同样的错误
+      let completion;
+      try {
+        const prompt = this.buildBatchPrompt(group, source, target, style, options.glossary, context);
+        completion = await this.requestCompletion(prompt, style, { proxy: options.proxy });
+      } catch (error) {
+        throw this.handleError(error);
+      }
+
+      let translations;
+      try {
+        translations = this.parseBatchResponse(completion.text, group.length);
+      } catch (error) {
+        // 模型返回格式不符时逐条翻译该组
+        console.warn(`[${this.name}] Batch response mismatch, translating individually:`, error.message);
+        for (const text of group) {
+          results.push(await this.translate(text, sourceLang, targetLang, options));
+        }
+        continue;
+      }
+
+      // 整组的 token 用量记在第一条结果上，汇总时不会重复计算
+      translations.forEach((translatedText, index) => {
+        results.push({
+          translatedText: translatedText.trim(),
+          detectedLang: source,
+          engineUsed: this.name,
+          usage: index === 0 ? completion.usage : null
+        });
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * 构建批量翻译提示词
+   * @param {string[]} texts - 文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {string} style - 翻译风格
+   * @param {Object} glossary - 文本中匹配到的术语（可选）
+   * @param {string[]} context - 第一条消息之前的最近消息（可选，仅供理解，不翻译）
+   * @returns {string} 提示词
+   */
+  buildBatchPrompt(texts, sourceLang, targetLang, style, glossary = null, context = null) {
+    const basePrompt = this.buildPrompt('{{BATCH}}', sourceLang, targetLang, style, glossary, context);
+    const [instruction] = basePrompt.split('\n\n原文：');
+
+    return `${instruction}
+
+下面是一个 JSON 字符串数组，每一项是一条独立的消息：
+${JSON.stringify(texts)}
+
+翻译要求：
+1. 逐项翻译，输出一个 JSON 字符串数组，长度必须为 ${texts.length}，顺序与输入一致
+2. 只输出 JSON 数组，不要包含任何解释、说明、代码块标记或额外内容
+3. 严格遵守上述风格要求，保持每条消息的完整意思`;
+  }
+
+  /**
+   * 解析批量翻译响应
+   * @param {string} response - 模型输出
+   * @param {number} expectedLength - 期望的数组长度
+   * @returns {string[]} 译文列表
+   * @throws {Error} 格式不符时抛出错误
+   */
+  parseBatchResponse(response, expectedLength) {
+    const start = response.indexOf('[');
+    const end = response.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+      throw new Error('Batch response is not a JSON array');
+    }
+
+    const parsed = JSON.parse(response.slice(start, end + 1));
+    if (!Array.isArray(parsed) || parsed.length !== expectedLength ||
+        parsed.some(item => typeof item !== 'string')) {
+      throw new Error(`Batch response length mismatch: expected ${expectedLength}`);
+    }
+
+    return parsed;
+  }
+
   /**
    * 构建翻译提示词
    * @param {string} text - 文本
    * @param {string} sourceLang - 源语言
    * @param {string} targetLang - 目标语言
    * @param {string} style - 翻译风格
+   * @param {Object} glossary - 文本中匹配到的术语（可选）
+   * @param {string[]} context - 当前聊天的最近消息（可选，仅供理解，不翻译）
    * @returns {string} 提示词
    */
-  buildPrompt(text, sourceLang, targetLang, style) {
+  buildPrompt(text, sourceLang, targetLang, style, glossary = null, context = null) {
     const stylePrompts = {
       '通用': {
         instruction: '你是一个专业的翻译助手。请将以下文本翻译成{targetLang}，准确传达原意，保持自然流畅。',
@@ -136,6 +273,16 @@ class AITranslationAdapter extends TranslationAdapter {
       prompt += '\n\n' + styleConfig.emphasis;
     }
 
+    const glossaryPrompt = buildGlossaryPrompt(glossary);
+    if (glossaryPrompt) {
+      prompt += '\n\n' + glossaryPrompt;
+    }
+
+    if (context && context.length > 0) {
+      prompt += '\n\n对话上下文（按时间顺序，仅用于理解指代、省略和语气，不要翻译）：\n' +
+        context.map((message, index) => `${index + 1}. ${message}`).join('\n');
+    }
+
     prompt += `
 
 原文：
@@ -149,6 +296,44 @@ ${text}
     return prompt;
   }
 
+  /**
+   * 估算文本的 token 数
+   * 中日韩字符约 1 token/字，其他文字约 4 字符/token
+   * @param {string} text - 文本
+   * @returns {number} 估算的 token 数
+   */
+  estimateTokens(text) {
+    return estimateTokens(text);
+  }
+
+  /**
+   * 按 token 预算裁剪对话上下文（从最近的消息开始保留）
+   * @param {string[]} context - 上下文消息（按时间顺序）
+   * @param {number} budget - token 预算
+   * @returns {string[]} 裁剪后的上下文
+   */
+  trimContextToBudget(context, budget) {
+    if (!Array.isArray(context) || context.length === 0 || !(budget > 0)) {
+      return [];
+    }
+
+    const kept = [];
+    let used = 0;
+
+    for (let i = context.length - 1; i >= 0; i--) {
+      const message = typeof context[i] === 'string' ? context[i].trim() : '';
+      if (!message) continue;
+
+      const tokens = this.estimateTokens(message);
+      if (used + tokens > budget) break;
+
+      kept.unshift(message);
+      used += tokens;
+    }
+
+    return kept;
+  }
+
   /**
    * 获取语言名称
    * @param {string} langCode - 语言代码
@@ -179,8 +364,114 @@ ${text}
    * @returns {Promise<string>} 翻译结果
    */
   async callAIAPI(prompt, style = '通用') {
-    const url = new URL(this.apiEndpoint);
-    
+    const completion = await this.requestCompletion(prompt, style);
+    return completion.text;
+  }
+
+  /**
+   * 以流式方式调用 AI API
+   * @param {string} prompt - 提示词
+   * @param {string} style - 翻译风格
+   * @param {Object} streamOptions - 流式选项 { onChunk, signal }
+   * @returns {Promise<string>} 完整翻译结果
+   */
+  async callAIAPIStream(prompt, style = '通用', streamOptions = {}) {
+    const completion = await this.requestCompletionStream(prompt, style, streamOptions);
+    return completion.text;
+  }
+
+  /**
+   * 获取 token 用量；服务商未返回时按提示词和输出估算
+   * @param {Object|null} usage - 服务商返回的用量
+   * @param {string} prompt - 提示词
+   * @param {string} text - 模型输出
+   * @returns {{promptTokens: number, completionTokens: number, estimated: boolean}}
+   */
+  resolveUsage(usage, prompt, text) {
+    if (usage && (usage.promptTokens || usage.completionTokens)) {
+      return {
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        estimated: false
+      };
+    }
+
+    return {
+      promptTokens: this.estimateTokens(prompt),
+      completionTokens: this.estimateTokens(text),
+      estimated: true
+    };
+  }
+
+  /**
+   * 发送非流式请求
+   * @param {string} prompt - 提示词
+   * @param {string} style - 翻译风格（用于调整 temperature）
+   * @param {Object} requestOptions - 请求选项
+   * @param {Object} [requestOptions.proxy] - 请求使用的代理，为空时直连
+   * @returns {Promise<{text: string, usage: Object}>} 模型输出和 token 用量
+   */
+  async requestCompletion(prompt, style = '通用', { proxy } = {}) {
+    const request = this.buildRequestPayload(prompt, style);
+    const url = new URL(request.url);
+    const requestBody = JSON.stringify(request.body);
+
+    return new Promise((resolve, reject) => {
+      const options = this.buildRequestOptions(url, requestBody, request.headers, proxy);
+
+      const req = this.getTransport(url).request(options, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(this.codec.mapError(res.statusCode, data));
+            return;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch (error) {
+            reject(new Error(`Failed to parse response: ${error.message}`));
+            return;
+          }
+
+          try {
+            // 解码 HTML 实体
+            const text = this.decodeHTMLEntities(this.codec.parseResponse(parsed));
+            resolve({ text, usage: this.resolveUsage(this.codec.parseUsage(parsed), prompt, text) });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Network error: ${error.message}`));
+      });
+
+      req.setTimeout(30000, () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+
+      req.write(requestBody);
+      req.end();
+    });
+  }
+
+  /**
+   * 按服务商格式构建请求
+   * @param {string} prompt - 提示词
+   * @param {string} style - 翻译风格（用于调整 temperature）
+   * @param {boolean} stream - 是否流式请求
+   * @returns {{url: string, headers: Object, body: Object}} 请求地址、认证请求头和请求体
+   */
+  buildRequestPayload(prompt, style = '通用', stream = false) {
     // 根据风格调整 temperature：需要创造性的风格使用更高的值
     const temperatureMap = {
       '通用': 0.5,
@@ -195,86 +486,208 @@ ${text}
       '中立': 0.3,
       '专业': 0.4
     };
-    
-    const temperature = temperatureMap[style] || 0.5;
-    
-    const requestBody = JSON.stringify({
+
+    return this.codec.buildRequest({
+      endpoint: this.apiEndpoint,
+      apiKey: this.apiKey,
       model: this.model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a professional translator. Follow the style instructions precisely and only output the translation result without any explanations.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: this.maxTokens,
-      temperature: temperature
+      systemPrompt: 'You are a professional translator. Follow the style instructions precisely and only output the translation result without any explanations.',
+      prompt,
+      maxTokens: this.maxTokens,
+      temperature: temperatureMap[style] || 0.5,
+      stream
     });
+  }
+
+  /**
+   * 构建 HTTP 请求选项
+   * @param {URL} url - API 地址
+   * @param {string} requestBody - 请求体
+   * @param {Object} extraHeaders - 额外请求头（认证等）
+   * @param {Object|null} proxy - 请求使用的代理，为空时直连
+   * @returns {Object} 请求选项
+   */
+  buildRequestOptions(url, requestBody, extraHeaders = {}, proxy = null) {
+    return {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname + url.search,
+      method: 'POST',
+      agent: getProxyAgent(proxy, url),
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody),
+        ...extraHeaders
+      }
+    };
+  }
+
+  /**
+   * 根据协议选择请求模块（本地部署或测试服务可能使用 http）
+   * @param {URL} url - API 地址
+   * @returns {Object} http 或 https 模块
+   */
+  getTransport(url) {
+    return url.protocol === 'http:' ? http : https;
+  }
+
+  /**
+   * 发送流式请求（SSE 或 Ollama 的逐行 JSON）
+   * 每收到一段增量内容就通过 onChunk 回传当前累计的译文
+   * @param {string} prompt - 提示词
+   * @param {string} style - 翻译风格
+   * @param {Object} streamOptions - 流式选项
+   * @param {Function} streamOptions.onChunk - 回调 (partialText, delta)
+   * @param {AbortSignal} streamOptions.signal - 取消信号
+   * @param {Object} [streamOptions.proxy] - 请求使用的代理，为空时直连
+   * @returns {Promise<{text: string, usage: Object}>} 完整翻译结果和 token 用量
+   */
+  async requestCompletionStream(prompt, style = '通用', { onChunk, signal, proxy } = {}) {
+    const request = this.buildRequestPayload(prompt, style, true);
+    const url = new URL(request.url);
+    const requestBody = JSON.stringify(request.body);
+    const ndjson = this.codec.streamFormat === 'ndjson';
 
     return new Promise((resolve, reject) => {
-      const options = {
-        hostname: url.hostname,
-        port: url.port || 443,
-        path: url.pathname + url.search,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Length': Buffer.byteLength(requestBody)
+      if (signal && signal.aborted) {
+        reject(this.createCancelledError());
+        return;
+      }
+
+      let settled = false;
+      let fullText = '';
+      let buffer = '';
+      let streamUsage = null;
+      let req = null;
+
+      const onAbort = () => {
+        if (req) {
+          req.destroy();
         }
+        finish(this.createCancelledError());
       };
 
-      const req = https.request(options, (res) => {
-        let data = '';
+      const finish = (error, text) => {
+        if (settled) return;
+        settled = true;
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ text, usage: this.resolveUsage(streamUsage, prompt, text) });
+        }
+      };
 
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
+      // 处理一行流式数据，返回 true 表示流已结束
+      const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!ndjson && !trimmed.startsWith('data:')) {
+          return false;
+        }
 
-        res.on('end', () => {
-          try {
-            if (res.statusCode !== 200) {
-              reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-              return;
-            }
+        const payload = ndjson ? trimmed : trimmed.slice(5).trim();
+        if (!payload) {
+          return false;
+        }
+        if (payload === '[DONE]') {
+          return true;
+        }
 
-            const parsed = JSON.parse(data);
-            
-            if (parsed.error) {
-              reject(new Error(`API Error: ${parsed.error.message}`));
-              return;
-            }
+        let parsed;
+        try {
+          parsed = JSON.parse(payload);
+        } catch (error) {
+          // 忽略无法解析的心跳或不完整片段
+          return false;
+        }
 
-            let translatedText = parsed.choices?.[0]?.message?.content;
-            
-            if (!translatedText) {
-              reject(new Error('No translation result in response'));
-              return;
-            }
+        const { delta, done, usage } = this.codec.parseStreamEvent(parsed);
+        if (usage) {
+          // 各服务商在不同事件中分别给出输入和输出 token
+          streamUsage = { ...streamUsage, ...usage };
+        }
+        if (delta) {
+          fullText += delta;
+          onChunk(this.decodeHTMLEntities(fullText), delta);
+        }
 
-            // 解码 HTML 实体
-            translatedText = this.decodeHTMLEntities(translatedText);
+        return done;
+      };
+
+      const options = this.buildRequestOptions(url, requestBody, {
+        ...request.headers,
+        'Accept': ndjson ? 'application/x-ndjson' : 'text/event-stream'
+      }, proxy);
+
+      req = this.getTransport(url).request(options, (res) => {
+        res.setEncoding('utf8');
+
+        if (res.statusCode !== 200) {
+          let data = '';
+          res.on('data', (chunk) => {
+            data += chunk;
+          });
+          res.on('end', () => {
+            finish(this.codec.mapError(res.statusCode, data));
+          });
+          return;
+        }
 
-            resolve(translatedText);
+        res.on('data', (chunk) => {
+          if (settled) return;
+
+          buffer += chunk;
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
 
+          try {
+            for (const line of lines) {
+              if (handleLine(line)) {
+                finish(null, this.decodeHTMLEntities(fullText));
+                req.destroy();
+                return;
+              }
+            }
           } catch (error) {
-            reject(new Error(`Failed to parse response: ${error.message}`));
+            req.destroy();
+            finish(error);
+          }
+        });
+
+        res.on('end', () => {
+          try {
+            if (buffer) {
+              handleLine(buffer);
+            }
+          } catch (error) {
+            finish(error);
+            return;
           }
+
+          if (!fullText) {
+            finish(new Error('No translation result in response'));
+            return;
+          }
+
+          finish(null, this.decodeHTMLEntities(fullText));
         });
       });
 
       req.on('error', (error) => {
-        reject(new Error(`Network error: ${error.message}`));
+        finish(new Error(`Network error: ${error.message}`));
       });
 
       req.setTimeout(30000, () => {
         req.destroy();
-        reject(new Error('Request timeout'));
+        finish(new Error('Request timeout'));
       });
 
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
       req.write(requestBody);
       req.end();
     });
@@ -321,7 +734,7 @@ ${text}
    * @returns {boolean} 配置是否有效
    */
   validateConfig() {
-    if (!this.apiKey || this.apiKey.trim() === '') {
+    if (this.codec.requiresApiKey && (!this.apiKey || this.apiKey.trim() === '')) {
       console.error(`[${this.name}] API key is required`);
       return false;
     }
@@ -334,6 +747,14 @@ ${text}
     return true;
   }
 
+  /**
+   * AI 引擎通过提示词遵守术语表
+   * @returns {boolean}
+   */
+  supportsGlossaryPrompt() {
+    return true;
+  }
+
   /**
    * 检查引擎是否可用
    * @returns {boolean} 是否可用
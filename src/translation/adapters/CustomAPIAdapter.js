@@ -1,6 +1,6 @@
 /**
  * 自定义 API 适配器
- * 支持用户配置自定义翻译 API（兼容 OpenAI 格式）
+ * 支持用户配置自定义翻译 API（默认兼容 OpenAI 格式，可通过 apiFormat 选择 Gemini/Anthropic/Ollama 格式）
  */
 
 const AITranslationAdapter = require('./AITranslationAdapter');
@@ -21,7 +21,7 @@ class CustomAPIAdapter extends AITranslationAdapter {
    * @returns {boolean} 配置是否有效
    */
   validateConfig() {
-    if (!this.apiKey || this.apiKey.trim() === '') {
+    if (this.codec.requiresApiKey && (!this.apiKey || this.apiKey.trim() === '')) {
       console.error(`[${this.name}] API key is required`);
       return false;
     }
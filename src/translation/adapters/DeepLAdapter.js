@@ -0,0 +1,255 @@
+/**
+ * DeepL 翻译适配器
+ * 使用 DeepL API v2，支持正式程度、术语表 ID 和用量查询
+ */
+
+const TranslationAdapter = require('./TranslationAdapter');
+const https = require('https');
+const http = require('http');
+const { getProxyAgent } = require('../utils/proxyAgentUtils');
+
+// DeepL 目标语言需要区分变体
+const TARGET_LANGUAGE_MAP = {
+  'zh-CN': 'ZH-HANS',
+  'zh-TW': 'ZH-HANT',
+  'en': 'EN-US',
+  'pt': 'PT-BR'
+};
+
+// DeepL 单次请求最多 50 条文本
+const MAX_TEXTS_PER_REQUEST = 50;
+
+class DeepLAdapter extends TranslationAdapter {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: config.name || 'DeepL',
+      type: 'deepl'
+    });
+
+    this.apiKey = config.apiKey || '';
+    // 免费版密钥以 :fx 结尾，使用独立的域名
+    this.endpoint = (config.endpoint || (this.apiKey.endsWith(':fx')
+      ? 'https://api-free.deepl.com'
+      : 'https://api.deepl.com')).replace(/\/+$/, '');
+    // 术语表 ID，键为 "源语言:目标语言"，如 { 'en:zh-CN': 'xxxx' }
+    this.glossaryIds = config.glossaryIds || {};
+    this.timeout = config.timeout || 15000;
+  }
+
+  /**
+   * 翻译文本
+   * @param {string} text - 待翻译文本
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项（style 映射为 formality）
+   * @returns {Promise<Object>} 翻译结果
+   */
+  async translate(text, sourceLang, targetLang, options = {}) {
+    try {
+      this.validateTextLength(text, 5000);
+      const [result] = await this.requestTranslations([text], sourceLang, targetLang, options);
+      return result;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * 批量翻译文本（text 参数为数组，每次最多 50 条）
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async translateBatch(texts, sourceLang, targetLang, options = {}) {
+    const results = [];
+
+    for (let i = 0; i < texts.length; i += MAX_TEXTS_PER_REQUEST) {
+      const chunk = texts.slice(i, i + MAX_TEXTS_PER_REQUEST);
+      try {
+        results.push(...await this.requestTranslations(chunk, sourceLang, targetLang, options));
+      } catch (error) {
+        throw this.handleError(error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 调用 /v2/translate
+   * @param {string[]} texts - 文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async requestTranslations(texts, sourceLang, targetLang, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error('Invalid API configuration');
+    }
+
+    const source = this.normalizeLanguageCode(sourceLang);
+    const target = this.normalizeLanguageCode(targetLang);
+    const body = {
+      text: texts,
+      target_lang: this.toTargetLanguageCode(target)
+    };
+
+    if (source !== 'auto') {
+      body.source_lang = this.toSourceLanguageCode(source);
+
+      // 术语表要求明确的源语言
+      const glossaryId = this.glossaryIds[`${source}:${target}`];
+      if (glossaryId) {
+        body.glossary_id = glossaryId;
+      }
+    }
+
+    const formality = this.getFormality(options.style);
+    if (formality) {
+      // prefer_* 在目标语言不支持正式程度时不会报错
+      body.formality = formality === 'formal' ? 'prefer_more' : 'prefer_less';
+    }
+
+    const response = await this.request('POST', '/v2/translate', body, options.proxy);
+    const translations = response.translations;
+
+    if (!Array.isArray(translations) || translations.length !== texts.length) {
+      throw new Error('No translation result in response');
+    }
+
+    return translations.map(item => ({
+      translatedText: item.text,
+      detectedLang: this.fromLanguageCode(item.detected_source_language) || source,
+      engineUsed: this.name
+    }));
+  }
+
+  /**
+   * 获取用量配额（/v2/usage）
+   * @param {Object} [options] - 查询选项
+   * @param {Object} [options.proxy] - 请求使用的代理（全局翻译代理）
+   * @returns {Promise<{characterCount: number, characterLimit: number}>}
+   */
+  async getUsage(options = {}) {
+    const usage = await this.request('GET', '/v2/usage', null, options.proxy);
+    return {
+      characterCount: usage.character_count,
+      characterLimit: usage.character_limit
+    };
+  }
+
+  /**
+   * 验证配置
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    if (!this.apiKey || this.apiKey.trim() === '') {
+      console.error(`[${this.name}] API key is required`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 转换为 DeepL 目标语言代码
+   * @param {string} lang - 标准化后的语言代码
+   * @returns {string} DeepL 语言代码
+   */
+  toTargetLanguageCode(lang) {
+    return TARGET_LANGUAGE_MAP[lang] || lang.toUpperCase();
+  }
+
+  /**
+   * 转换为 DeepL 源语言代码（源语言不区分变体）
+   * @param {string} lang - 标准化后的语言代码
+   * @returns {string} DeepL 语言代码
+   */
+  toSourceLanguageCode(lang) {
+    return lang.split('-')[0].toUpperCase();
+  }
+
+  /**
+   * 将 DeepL 返回的语言代码转换为应用内语言代码
+   * @param {string} code - DeepL 语言代码
+   * @returns {string|null} 语言代码
+   */
+  fromLanguageCode(code) {
+    if (!code) return null;
+    const lower = code.toLowerCase();
+    return lower === 'zh' ? 'zh-CN' : lower;
+  }
+
+  /**
+   * 发送请求到 DeepL API
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 接口路径
+   * @param {Object} body - 请求体（POST）
+   * @param {Object|null} proxy - 请求使用的代理，为空时直连
+   * @returns {Promise<Object>} 解析后的 JSON 响应
+   */
+  request(method, path, body = null, proxy = null) {
+    const url = new URL(this.endpoint + path);
+    const payload = body ? JSON.stringify(body) : null;
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const headers = { 'Authorization': `DeepL-Auth-Key ${this.apiKey}` };
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(payload);
+      }
+
+      const req = transport.request({
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: url.pathname + url.search,
+        method,
+        headers,
+        agent: getProxyAgent(proxy, url)
+      }, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode === 456) {
+            reject(new Error('Quota exceeded'));
+            return;
+          }
+          if (res.statusCode !== 200) {
+            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Failed to parse response: ${error.message}`));
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Network error: ${error.message}`));
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+}
+
+module.exports = DeepLAdapter;
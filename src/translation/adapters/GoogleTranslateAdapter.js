@@ -6,6 +6,11 @@
 const TranslationAdapter = require('./TranslationAdapter');
 const https = require('https');
 const querystring = require('querystring');
+const { getProxyAgent } = require('../utils/proxyAgentUtils');
+
+// 批量翻译时拼接多条消息的分隔符（Google 会原样保留）
+const BATCH_DELIMITER = '\n|||\n';
+const BATCH_SPLIT_PATTERN = /\s*\|\|\|\s*/;
 
 class GoogleTranslateAdapter extends TranslationAdapter {
   constructor(config = {}) {
@@ -25,6 +30,7 @@ class GoogleTranslateAdapter extends TranslationAdapter {
    * @param {string} sourceLang - 源语言
    * @param {string} targetLang - 目标语言
    * @param {Object} options - 翻译选项
+   * @param {Object} [options.proxy] - 请求使用的代理（账号代理或全局翻译代理）
    * @returns {Promise<Object>} 翻译结果
    */
   async translate(text, sourceLang, targetLang, options = {}) {
@@ -46,7 +52,7 @@ class GoogleTranslateAdapter extends TranslationAdapter {
       }
 
       // 调用 Google Translate API
-      const result = await this.callGoogleTranslateAPI(text, source, target);
+      const result = await this.callGoogleTranslateAPI(text, source, target, options.proxy);
 
       return {
         translatedText: result.translatedText,
@@ -59,14 +65,78 @@ class GoogleTranslateAdapter extends TranslationAdapter {
     }
   }
 
+  /**
+   * 批量翻译文本
+   * 使用分隔符拼接成一次请求，再按分隔符拆分结果
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async translateBatch(texts, sourceLang, targetLang, options = {}) {
+    const source = this.normalizeLanguageCode(sourceLang);
+    const target = this.normalizeLanguageCode(targetLang);
+
+    if (source !== 'auto' && source === target) {
+      return texts.map(text => ({
+        translatedText: text,
+        detectedLang: source,
+        engineUsed: this.name
+      }));
+    }
+
+    const results = [];
+    const groups = this.groupBatchTexts(texts, 5000, BATCH_DELIMITER.length);
+
+    for (const group of groups) {
+      if (group.length === 1) {
+        results.push(await this.translate(group[0], sourceLang, targetLang, options));
+        continue;
+      }
+
+      // 请求失败（网络、限流等）直接抛出，逐条重试只会得到同样的错误
+      let response;
+      try {
+        response = await this.callGoogleTranslateAPI(group.join(BATCH_DELIMITER), source, target, options.proxy);
+      } catch (error) {
+        throw this.handleError(error);
+      }
+
+      const parts = typeof response.translatedText === 'string'
+        ? response.translatedText.split(BATCH_SPLIT_PATTERN)
+        : [];
+
+      if (parts.length !== group.length) {
+        // 拆分失败时逐条翻译该组
+        console.warn(`[${this.name}] Batch split mismatch: expected ${group.length}, got ${parts.length}, translating individually`);
+        for (const text of group) {
+          results.push(await this.translate(text, sourceLang, targetLang, options));
+        }
+        continue;
+      }
+
+      parts.forEach((part) => {
+        results.push({
+          translatedText: part.trim(),
+          detectedLang: response.detectedSourceLanguage || source,
+          engineUsed: this.name
+        });
+      });
+    }
+
+    return results;
+  }
+
   /**
    * 调用 Google Translate API
    * @param {string} text - 文本
    * @param {string} source - 源语言
    * @param {string} target - 目标语言
+   * @param {Object|null} proxy - 请求使用的代理，为空时直连
    * @returns {Promise<Object>} API 响应
    */
-  async callGoogleTranslateAPI(text, source, target) {
+  async callGoogleTranslateAPI(text, source, target, proxy = null) {
     const params = {
       client: 'gtx',
       sl: source === 'auto' ? 'auto' : source,
@@ -82,6 +152,7 @@ class GoogleTranslateAdapter extends TranslationAdapter {
         hostname: this.baseUrl,
         path: path,
         method: 'GET',
+        agent: getProxyAgent(proxy, `https://${this.baseUrl}`),
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         }
@@ -0,0 +1,296 @@
+/**
+ * LibreTranslate 适配器
+ * 对接自建的 LibreTranslate / Argos Translate 兼容服务，消息文本不离开内网
+ */
+
+const TranslationAdapter = require('./TranslationAdapter');
+const https = require('https');
+const http = require('http');
+
+// 与 LibreTranslate 语言代码不一致的映射
+const LANGUAGE_CODE_MAP = {
+  'zh-CN': 'zh',
+  'zh-TW': 'zt'
+};
+
+class LibreTranslateAdapter extends TranslationAdapter {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: config.name || 'LibreTranslate',
+      type: 'libretranslate'
+    });
+
+    this.endpoint = (config.endpoint || 'http://localhost:5000').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || '';
+    this.timeout = config.timeout || 15000;
+    this.maxBatchLength = config.maxBatchLength || 5000;
+
+    // 语言列表缓存（服务端语言模型很少变化）
+    this._languages = null;
+  }
+
+  /**
+   * 翻译文本
+   * @param {string} text - 待翻译文本
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object>} 翻译结果
+   */
+  async translate(text, sourceLang, targetLang, options = {}) {
+    try {
+      this.validateTextLength(text, this.maxBatchLength);
+
+      const source = this.toServiceLanguageCode(sourceLang);
+      const target = this.toServiceLanguageCode(targetLang);
+
+      if (source !== 'auto' && source === target) {
+        return {
+          translatedText: text,
+          detectedLang: this.normalizeLanguageCode(sourceLang),
+          engineUsed: this.name
+        };
+      }
+
+      const response = await this.request('POST', '/translate', {
+        q: text,
+        source,
+        target,
+        format: 'text'
+      });
+
+      if (typeof response.translatedText !== 'string') {
+        throw new Error('No translation result in response');
+      }
+
+      return {
+        translatedText: response.translatedText,
+        detectedLang: this.fromServiceLanguageCode(response.detectedLanguage?.language || source),
+        engineUsed: this.name
+      };
+
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * 批量翻译文本
+   * LibreTranslate 的 q 参数支持数组，按长度分组后每组一次请求
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async translateBatch(texts, sourceLang, targetLang, options = {}) {
+    const source = this.toServiceLanguageCode(sourceLang);
+    const target = this.toServiceLanguageCode(targetLang);
+    const results = [];
+
+    for (const group of this.groupBatchTexts(texts, this.maxBatchLength)) {
+      if (group.length === 1) {
+        results.push(await this.translate(group[0], sourceLang, targetLang, options));
+        continue;
+      }
+
+      try {
+        const response = await this.request('POST', '/translate', {
+          q: group,
+          source,
+          target,
+          format: 'text'
+        });
+
+        const translations = response.translatedText;
+        if (!Array.isArray(translations) || translations.length !== group.length) {
+          throw new Error(`Batch size mismatch: expected ${group.length}`);
+        }
+
+        const detected = Array.isArray(response.detectedLanguage) ? response.detectedLanguage : [];
+        translations.forEach((translatedText, index) => {
+          results.push({
+            translatedText,
+            detectedLang: this.fromServiceLanguageCode(detected[index]?.language || source),
+            engineUsed: this.name
+          });
+        });
+      } catch (error) {
+        // 旧版本服务不支持数组参数时逐条翻译该组
+        console.warn(`[${this.name}] Batch translation failed, translating individually:`, error.message);
+        for (const text of group) {
+          results.push(await this.translate(text, sourceLang, targetLang, options));
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 检测语言
+   * @param {string} text - 待检测文本
+   * @returns {Promise<string>} 语言代码
+   */
+  async detectLanguage(text) {
+    try {
+      const response = await this.request('POST', '/detect', { q: text });
+      const best = Array.isArray(response) ? response[0] : null;
+      return best && best.language ? this.fromServiceLanguageCode(best.language) : 'auto';
+    } catch (error) {
+      console.warn(`[${this.name}] Language detection failed, using fallback:`, error.message);
+      return super.detectLanguage(text);
+    }
+  }
+
+  /**
+   * 获取服务端支持的语言列表
+   * @param {boolean} refresh - 是否忽略缓存重新获取
+   * @returns {Promise<Array<{code: string, name: string, targets: string[]}>>} 语言列表
+   */
+  async getLanguages(refresh = false) {
+    if (this._languages && !refresh) {
+      return this._languages;
+    }
+
+    const response = await this.request('GET', '/languages');
+    if (!Array.isArray(response)) {
+      throw new Error('Invalid languages response');
+    }
+
+    this._languages = response.map(lang => ({
+      code: this.fromServiceLanguageCode(lang.code),
+      name: lang.name,
+      targets: (lang.targets || []).map(code => this.fromServiceLanguageCode(code))
+    }));
+    return this._languages;
+  }
+
+  /**
+   * 健康检查（请求语言列表并记录延迟）
+   * @returns {Promise<{healthy: boolean, latency: number, languageCount: number, error?: string}>}
+   */
+  async checkHealth() {
+    const startTime = Date.now();
+    try {
+      const languages = await this.getLanguages(true);
+      return {
+        healthy: languages.length > 0,
+        latency: Date.now() - startTime,
+        languageCount: languages.length
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        latency: Date.now() - startTime,
+        languageCount: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 本地部署引擎，失败时不降级到云端引擎
+   * @returns {boolean}
+   */
+  isLocal() {
+    return true;
+  }
+
+  /**
+   * 验证配置
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    try {
+      const url = new URL(this.endpoint);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      console.error(`[${this.name}] Invalid endpoint: ${this.endpoint}`);
+      return false;
+    }
+  }
+
+  /**
+   * 转换为 LibreTranslate 语言代码
+   * @param {string} lang - 语言代码
+   * @returns {string} 服务端语言代码
+   */
+  toServiceLanguageCode(lang) {
+    const normalized = this.normalizeLanguageCode(lang);
+    return LANGUAGE_CODE_MAP[normalized] || normalized;
+  }
+
+  /**
+   * 将 LibreTranslate 语言代码转换回应用内语言代码
+   * @param {string} code - 服务端语言代码
+   * @returns {string} 语言代码
+   */
+  fromServiceLanguageCode(code) {
+    const entry = Object.entries(LANGUAGE_CODE_MAP).find(([, serviceCode]) => serviceCode === code);
+    return entry ? entry[0] : code;
+  }
+
+  /**
+   * 发送请求到 LibreTranslate 服务
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 接口路径
+   * @param {Object} body - 请求体（POST）
+   * @returns {Promise<*>} 解析后的 JSON 响应
+   */
+  request(method, path, body = null) {
+    const url = new URL(this.endpoint + path);
+    const payload = body ? JSON.stringify(this.apiKey ? { ...body, api_key: this.apiKey } : body) : null;
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const options = {
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: url.pathname + url.search,
+        method,
+        headers: payload
+          ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+          : {}
+      };
+
+      const req = transport.request(options, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Failed to parse response: ${error.message}`));
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Network error: ${error.message}`));
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+}
+
+module.exports = LibreTranslateAdapter;
@@ -0,0 +1,249 @@
+/**
+ * Microsoft Translator 适配器
+ * 使用 Azure Translator Text API v3
+ * 正式程度通过 Custom Translator 类别（category）实现，用量按本地统计的字符数计算
+ */
+
+const TranslationAdapter = require('./TranslationAdapter');
+const https = require('https');
+const http = require('http');
+const { getProxyAgent } = require('../utils/proxyAgentUtils');
+
+// Microsoft 使用脚本后缀区分简繁中文
+const LANGUAGE_CODE_MAP = {
+  'zh-CN': 'zh-Hans',
+  'zh-TW': 'zh-Hant'
+};
+
+// 单次请求最多 100 条文本、50000 字符
+const MAX_TEXTS_PER_REQUEST = 100;
+const MAX_CHARS_PER_REQUEST = 50000;
+
+// 免费层（F0）每月 200 万字符
+const DEFAULT_MONTHLY_LIMIT = 2000000;
+
+class MicrosoftTranslatorAdapter extends TranslationAdapter {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: config.name || 'Microsoft Translator',
+      type: 'microsoft'
+    });
+
+    this.apiKey = config.apiKey || '';
+    this.region = config.region || '';
+    this.endpoint = (config.endpoint || 'https://api.cognitive.microsofttranslator.com').replace(/\/+$/, '');
+    // Custom Translator 类别 ID：默认类别以及正式/非正式风格对应的类别
+    this.category = config.category || '';
+    this.formalCategory = config.formalCategory || '';
+    this.informalCategory = config.informalCategory || '';
+    this.monthlyCharLimit = config.monthlyCharLimit || DEFAULT_MONTHLY_LIMIT;
+    this.timeout = config.timeout || 15000;
+  }
+
+  /**
+   * 翻译文本
+   * @param {string} text - 待翻译文本
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项（style 映射为类别）
+   * @returns {Promise<Object>} 翻译结果
+   */
+  async translate(text, sourceLang, targetLang, options = {}) {
+    try {
+      this.validateTextLength(text, 5000);
+      const [result] = await this.requestTranslations([text], sourceLang, targetLang, options);
+      return result;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * 批量翻译文本（请求体为数组）
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async translateBatch(texts, sourceLang, targetLang, options = {}) {
+    const results = [];
+
+    for (const group of this.groupBatchTexts(texts, MAX_CHARS_PER_REQUEST)) {
+      for (let i = 0; i < group.length; i += MAX_TEXTS_PER_REQUEST) {
+        try {
+          results.push(...await this.requestTranslations(
+            group.slice(i, i + MAX_TEXTS_PER_REQUEST), sourceLang, targetLang, options
+          ));
+        } catch (error) {
+          throw this.handleError(error);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 调用 /translate
+   * @param {string[]} texts - 文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async requestTranslations(texts, sourceLang, targetLang, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error('Invalid API configuration');
+    }
+
+    const source = this.normalizeLanguageCode(sourceLang);
+    const target = this.normalizeLanguageCode(targetLang);
+    const params = new URLSearchParams({ 'api-version': '3.0', to: this.toLanguageCode(target) });
+
+    if (source !== 'auto') {
+      params.set('from', this.toLanguageCode(source));
+    }
+
+    const category = this.getCategory(options.style);
+    if (category) {
+      params.set('category', category);
+    }
+
+    const response = await this.request(`/translate?${params.toString()}`, texts.map(text => ({ Text: text })), options.proxy);
+
+    if (!Array.isArray(response) || response.length !== texts.length) {
+      throw new Error('No translation result in response');
+    }
+
+    return response.map(item => ({
+      translatedText: item.translations?.[0]?.text || '',
+      detectedLang: this.fromLanguageCode(item.detectedLanguage?.language) || source,
+      engineUsed: this.name
+    }));
+  }
+
+  /**
+   * 根据翻译风格选择 Custom Translator 类别
+   * @param {string} style - 翻译风格
+   * @returns {string} 类别 ID（未配置时为空字符串）
+   */
+  getCategory(style) {
+    const formality = this.getFormality(style);
+    if (formality === 'formal' && this.formalCategory) return this.formalCategory;
+    if (formality === 'informal' && this.informalCategory) return this.informalCategory;
+    return this.category;
+  }
+
+  /**
+   * 获取用量配额
+   * Translator API 不提供用量查询，已用字符数由 StatsManager 按月统计
+   * @returns {Promise<{characterCount: null, characterLimit: number}>}
+   */
+  async getUsage() {
+    return {
+      characterCount: null,
+      characterLimit: this.monthlyCharLimit
+    };
+  }
+
+  /**
+   * 验证配置
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    if (!this.apiKey || this.apiKey.trim() === '') {
+      console.error(`[${this.name}] API key is required`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 转换为 Microsoft 语言代码
+   * @param {string} lang - 标准化后的语言代码
+   * @returns {string} Microsoft 语言代码
+   */
+  toLanguageCode(lang) {
+    return LANGUAGE_CODE_MAP[lang] || lang;
+  }
+
+  /**
+   * 将 Microsoft 语言代码转换为应用内语言代码
+   * @param {string} code - Microsoft 语言代码
+   * @returns {string|null} 语言代码
+   */
+  fromLanguageCode(code) {
+    if (!code) return null;
+    const entry = Object.entries(LANGUAGE_CODE_MAP).find(([, msCode]) => msCode === code);
+    if (entry) return entry[0];
+    return code === 'zh' ? 'zh-CN' : code;
+  }
+
+  /**
+   * 发送请求到 Translator API
+   * @param {string} path - 接口路径（含查询参数）
+   * @param {Array} body - 请求体
+   * @param {Object|null} proxy - 请求使用的代理，为空时直连
+   * @returns {Promise<Array>} 解析后的 JSON 响应
+   */
+  request(path, body, proxy = null) {
+    const url = new URL(this.endpoint + path);
+    const payload = JSON.stringify(body);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const headers = {
+        'Ocp-Apim-Subscription-Key': this.apiKey,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      };
+      if (this.region) {
+        headers['Ocp-Apim-Subscription-Region'] = this.region;
+      }
+
+      const req = transport.request({
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: url.pathname + url.search,
+        method: 'POST',
+        headers,
+        agent: getProxyAgent(proxy, url)
+      }, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Failed to parse response: ${error.message}`));
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Network error: ${error.message}`));
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+
+      req.write(payload);
+      req.end();
+    });
+  }
+}
+
+module.exports = MicrosoftTranslatorAdapter;
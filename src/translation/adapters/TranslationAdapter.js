@@ -5,6 +5,16 @@
 
 const { normalizeLanguageCode, detectLanguageSimple } = require('../utils/languageUtils');
 
+// 输入框翻译风格对应的正式程度（机器翻译引擎只能区分正式/非正式）
+const STYLE_FORMALITY = {
+  '正式': 'formal',
+  '礼貌': 'formal',
+  '专业': 'formal',
+  '口语化': 'informal',
+  '亲切': 'informal',
+  '幽默': 'informal'
+};
+
 class TranslationAdapter {
   constructor(config = {}) {
     this.config = config;
@@ -24,6 +34,53 @@ class TranslationAdapter {
     throw new Error('translate() must be implemented by subclass');
   }
 
+  /**
+   * 批量翻译文本
+   * 默认逐条调用 translate()，子类可覆盖为单次引擎调用
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 与输入顺序一致的翻译结果列表
+   */
+  async translateBatch(texts, sourceLang, targetLang, options = {}) {
+    const results = [];
+    for (const text of texts) {
+      results.push(await this.translate(text, sourceLang, targetLang, options));
+    }
+    return results;
+  }
+
+  /**
+   * 将文本列表按长度上限分组（用于批量请求）
+   * @param {string[]} texts - 文本列表
+   * @param {number} maxLength - 每组拼接后的最大长度
+   * @param {number} separatorLength - 分隔符长度
+   * @returns {string[][]} 分组后的文本
+   */
+  groupBatchTexts(texts, maxLength = 5000, separatorLength = 0) {
+    const groups = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const text of texts) {
+      const addedLength = text.length + (current.length > 0 ? separatorLength : 0);
+      if (current.length > 0 && currentLength + addedLength > maxLength) {
+        groups.push(current);
+        current = [];
+        currentLength = 0;
+      }
+      currentLength += current.length > 0 ? text.length + separatorLength : text.length;
+      current.push(text);
+    }
+
+    if (current.length > 0) {
+      groups.push(current);
+    }
+
+    return groups;
+  }
+
   /**
    * 检测语言
    * @param {string} text - 待检测文本
@@ -42,6 +99,43 @@ class TranslationAdapter {
     return this.config.enabled !== false;
   }
 
+  /**
+   * 是否支持在提示词中携带术语表
+   * 不支持的引擎由 TranslationManager 使用占位符遮蔽术语
+   * @returns {boolean}
+   */
+  supportsGlossaryPrompt() {
+    return false;
+  }
+
+  /**
+   * 将翻译风格映射为正式程度
+   * @param {string} style - 翻译风格
+   * @returns {string|null} 'formal' | 'informal'，无对应时返回 null
+   */
+  getFormality(style) {
+    return STYLE_FORMALITY[style] || null;
+  }
+
+  /**
+   * 获取用量配额
+   * 不支持查询的引擎返回 null
+   * @param {Object} [options] - 查询选项 { proxy }
+   * @returns {Promise<{characterCount: number|null, characterLimit: number}|null>}
+   */
+  async getUsage() {
+    return null;
+  }
+
+  /**
+   * 是否为本地部署的引擎
+   * 本地引擎翻译失败时不降级到云端引擎，保证消息不离开内网
+   * @returns {boolean}
+   */
+  isLocal() {
+    return false;
+  }
+
   /**
    * 验证配置
    * @returns {boolean} 配置是否有效
@@ -71,6 +165,16 @@ class TranslationAdapter {
     }
   }
 
+  /**
+   * 创建"翻译已取消"错误（流式翻译被中止时使用，不触发重试和降级）
+   * @returns {Error} 取消错误
+   */
+  createCancelledError() {
+    const error = new Error('Translation cancelled');
+    error.code = 'TRANSLATION_CANCELLED';
+    return error;
+  }
+
   /**
    * 处理翻译错误
    * @param {Error} error - 错误对象
@@ -0,0 +1,273 @@
+/**
+ * AITranslationAdapter 流式翻译测试
+ * 使用本地模拟 SSE 服务器
+ */
+
+const http = require('http');
+const AITranslationAdapter = require('../AITranslationAdapter');
+const { clearProxyAgents } = require('../../utils/proxyAgentUtils');
+
+/**
+ * 启动模拟 SSE 服务器
+ * @param {Function} handler - 请求处理函数 (req, res, body)
+ * @returns {Promise<{server: http.Server, endpoint: string, requests: Object[]}>}
+ */
+function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: parsed });
+      handler(req, res, parsed);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        server,
+        endpoint: `http://127.0.0.1:${port}/v1/chat/completions`,
+        requests
+      });
+    });
+  });
+}
+
+function sseChunk(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+}
+
+describe('AITranslationAdapter 流式翻译', () => {
+  let mock;
+
+  afterEach((done) => {
+    if (mock) {
+      mock.server.close(() => done());
+      mock = null;
+    } else {
+      done();
+    }
+  });
+
+  function createAdapter(endpoint) {
+    return new AITranslationAdapter({
+      name: 'Mock AI',
+      type: 'openai',
+      apiKey: 'test-key',
+      endpoint,
+      model: 'mock-model'
+    });
+  }
+
+  test('应该逐段回传部分译文并返回完整结果', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(sseChunk('你好'));
+      // 拆分到两个 TCP 包中的一行
+      const split = sseChunk('，世界');
+      res.write(split.slice(0, 10));
+      setTimeout(() => {
+        res.write(split.slice(10));
+        res.write('data: [DONE]\n\n');
+        res.end();
+      }, 20);
+    });
+
+    const adapter = createAdapter(mock.endpoint);
+    const chunks = [];
+    const result = await adapter.translate('Hello, world', 'en', 'zh-CN', {
+      stream: true,
+      onChunk: (partialText, delta) => chunks.push({ partialText, delta })
+    });
+
+    expect(result.translatedText).toBe('你好，世界');
+    expect(chunks).toEqual([
+      { partialText: '你好', delta: '你好' },
+      { partialText: '你好，世界', delta: '，世界' }
+    ]);
+    expect(mock.requests[0].body.stream).toBe(true);
+    expect(mock.requests[0].headers.authorization).toBe('Bearer test-key');
+  });
+
+  test('未开启流式时应该使用普通请求', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'Bonjour' } }] }));
+    });
+
+    const adapter = createAdapter(mock.endpoint);
+    const result = await adapter.translate('Hello', 'en', 'fr');
+
+    expect(result.translatedText).toBe('Bonjour');
+    expect(mock.requests[0].body.stream).toBeUndefined();
+  });
+
+  test('应该在取消信号触发时中止请求', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(sseChunk('部分'));
+      // 不结束响应，等待客户端取消
+    });
+
+    const adapter = createAdapter(mock.endpoint);
+    const abortController = new AbortController();
+
+    const promise = adapter.translate('Hello', 'en', 'zh-CN', {
+      stream: true,
+      signal: abortController.signal,
+      onChunk: () => abortController.abort()
+    });
+
+    await expect(promise).rejects.toMatchObject({ code: 'TRANSLATION_CANCELLED' });
+  });
+
+  test('应该在流中返回错误时拒绝', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ error: { message: 'quota exceeded' } })}\n\n`);
+      res.end();
+    });
+
+    const adapter = createAdapter(mock.endpoint);
+
+    await expect(adapter.translate('Hello', 'en', 'zh-CN', {
+      stream: true,
+      onChunk: () => {}
+    })).rejects.toThrow('API Error: quota exceeded');
+  });
+
+  test('应该在 HTTP 错误时拒绝', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(401);
+      res.end('unauthorized');
+    });
+
+    const adapter = createAdapter(mock.endpoint);
+
+    await expect(adapter.translate('Hello', 'en', 'zh-CN', {
+      stream: true,
+      onChunk: () => {}
+    })).rejects.toThrow('HTTP 401: unauthorized');
+  });
+});
+
+describe('AITranslationAdapter 代理', () => {
+  let mock;
+
+  afterEach((done) => {
+    clearProxyAgents();
+    mock.server.close(() => done());
+  });
+
+  test('应该通过账号代理发送请求', async () => {
+    // 模拟 HTTP 代理：收到的请求路径是完整的目标地址
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'Bonjour' } }] }));
+    });
+    const { port } = mock.server.address();
+
+    const adapter = new AITranslationAdapter({
+      name: 'Mock AI',
+      type: 'openai',
+      apiKey: 'test-key',
+      endpoint: 'http://translation.invalid/v1/chat/completions',
+      model: 'mock-model'
+    });
+    const result = await adapter.translate('Hello', 'en', 'fr', {
+      proxy: { enabled: true, protocol: 'http', host: '127.0.0.1', port, username: 'user', password: 'p@ss' }
+    });
+
+    expect(result.translatedText).toBe('Bonjour');
+    expect(mock.requests[0].url).toBe('http://translation.invalid/v1/chat/completions');
+    expect(mock.requests[0].headers['proxy-authorization']).toBe(`Basic ${Buffer.from('user:p@ss').toString('base64')}`);
+  });
+
+  test('本机地址应该直连', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'Bonjour' } }] }));
+    });
+
+    const adapter = new AITranslationAdapter({
+      name: 'Mock AI',
+      type: 'openai',
+      apiKey: 'test-key',
+      endpoint: mock.endpoint,
+      model: 'mock-model'
+    });
+    const result = await adapter.translate('Hello', 'en', 'fr', {
+      proxy: { enabled: true, protocol: 'socks5', host: '127.0.0.2', port: 1 }
+    });
+
+    expect(result.translatedText).toBe('Bonjour');
+    expect(mock.requests[0].url).toBe('/v1/chat/completions');
+  });
+});
+
+describe('AITranslationAdapter 对话上下文', () => {
+  const adapter = new AITranslationAdapter({ apiKey: 'k', endpoint: 'http://localhost/v1', model: 'm' });
+
+  test('应该按 token 预算保留最近的上下文消息', () => {
+    const context = ['对方: ' + 'a'.repeat(400), '我: 好的', '对方: 它什么时候到？'];
+
+    expect(adapter.trimContextToBudget(context, 50)).toEqual(['我: 好的', '对方: 它什么时候到？']);
+    expect(adapter.trimContextToBudget(context, 0)).toEqual([]);
+    expect(adapter.trimContextToBudget(null, 500)).toEqual([]);
+  });
+
+  test('提示词应该包含上下文并说明不要翻译上下文', () => {
+    const prompt = adapter.buildPrompt('When will it arrive?', 'en', 'zh-CN', '通用', null, ['对方: I ordered the blue one']);
+
+    expect(prompt).toContain('不要翻译');
+    expect(prompt).toContain('1. 对方: I ordered the blue one');
+    expect(adapter.buildPrompt('hi', 'en', 'zh-CN', '通用')).not.toContain('对话上下文');
+  });
+
+  test('批量提示词应该包含第一条消息之前的上下文', () => {
+    const prompt = adapter.buildBatchPrompt(['Yes', 'The second one'], 'en', 'zh-CN', '通用', null, ['我: Which color do you want?']);
+
+    expect(prompt).toContain('1. 我: Which color do you want?');
+    expect(prompt).toContain(JSON.stringify(['Yes', 'The second one']));
+  });
+});
+
+describe('AITranslationAdapter 批量翻译', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new AITranslationAdapter({ apiKey: 'k', endpoint: 'http://localhost/v1', model: 'm' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('返回条数不符时应该逐条翻译该组', async () => {
+    const requestCompletion = jest.spyOn(adapter, 'requestCompletion')
+      .mockResolvedValueOnce({ text: '["一"]', usage: null })
+      .mockResolvedValueOnce({ text: '一', usage: null })
+      .mockResolvedValueOnce({ text: '二', usage: null });
+
+    const results = await adapter.translateBatch(['one', 'two'], 'en', 'zh-CN');
+
+    expect(requestCompletion).toHaveBeenCalledTimes(3);
+    expect(results.map(result => result.translatedText)).toEqual(['一', '二']);
+  });
+
+  test('请求失败时应该直接抛出而不是逐条重试', async () => {
+    const error = Object.assign(new Error('Unauthorized'), { status: 401 });
+    const requestCompletion = jest.spyOn(adapter, 'requestCompletion').mockRejectedValue(error);
+
+    await expect(adapter.translateBatch(['one', 'two'], 'en', 'zh-CN')).rejects.toBe(error);
+    expect(requestCompletion).toHaveBeenCalledTimes(1);
+  });
+});
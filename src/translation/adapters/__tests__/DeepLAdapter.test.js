@@ -0,0 +1,146 @@
+/**
+ * DeepLAdapter 测试
+ * 使用本地模拟 DeepL 服务器
+ */
+
+const http = require('http');
+const DeepLAdapter = require('../DeepLAdapter');
+const { clearProxyAgents } = require('../../utils/proxyAgentUtils');
+
+/**
+ * 启动模拟 DeepL 服务器
+ * @param {Function} handler - 请求处理函数 (req, res, body)
+ * @returns {Promise<{server: http.Server, endpoint: string, requests: Object[]}>}
+ */
+function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: parsed });
+      handler(req, res, parsed);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, endpoint: `http://127.0.0.1:${port}`, requests });
+    });
+  });
+}
+
+function sendJSON(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+describe('DeepLAdapter', () => {
+  let mock;
+
+  afterEach((done) => {
+    clearProxyAgents();
+    if (mock) {
+      mock.server.close(() => done());
+      mock = null;
+    } else {
+      done();
+    }
+  });
+
+  test('免费版密钥应该使用 api-free 域名', () => {
+    expect(new DeepLAdapter({ apiKey: 'abc:fx' }).endpoint).toBe('https://api-free.deepl.com');
+    expect(new DeepLAdapter({ apiKey: 'abc' }).endpoint).toBe('https://api.deepl.com');
+  });
+
+  test('应该映射语言代码、正式程度和术语表 ID', async () => {
+    mock = await startMockServer((req, res, body) => {
+      sendJSON(res, { translations: body.text.map(text => ({ detected_source_language: 'EN', text: `[${text}]` })) });
+    });
+    const adapter = new DeepLAdapter({
+      apiKey: 'key',
+      endpoint: mock.endpoint,
+      glossaryIds: { 'en:zh-CN': 'gls-1' }
+    });
+
+    const result = await adapter.translate('Hello', 'en', 'zh-CN', { style: '正式' });
+
+    expect(mock.requests[0].headers.authorization).toBe('DeepL-Auth-Key key');
+    expect(mock.requests[0].body).toEqual({
+      text: ['Hello'],
+      target_lang: 'ZH-HANS',
+      source_lang: 'EN',
+      glossary_id: 'gls-1',
+      formality: 'prefer_more'
+    });
+    expect(result).toEqual({ translatedText: '[Hello]', detectedLang: 'en', engineUsed: 'DeepL' });
+  });
+
+  test('自动检测源语言时不应该携带术语表，口语化应该映射为 prefer_less', async () => {
+    mock = await startMockServer((req, res, body) => {
+      sendJSON(res, { translations: body.text.map(text => ({ detected_source_language: 'ZH', text })) });
+    });
+    const adapter = new DeepLAdapter({ apiKey: 'key', endpoint: mock.endpoint, glossaryIds: { 'auto:en': 'x' } });
+
+    const result = await adapter.translate('你好', 'auto', 'en', { style: '口语化' });
+
+    expect(mock.requests[0].body).toEqual({ text: ['你好'], target_lang: 'EN-US', formality: 'prefer_less' });
+    expect(result.detectedLang).toBe('zh-CN');
+  });
+
+  test('批量翻译应该按 50 条分组请求', async () => {
+    mock = await startMockServer((req, res, body) => {
+      sendJSON(res, { translations: body.text.map(text => ({ text: `[${text}]` })) });
+    });
+    const adapter = new DeepLAdapter({ apiKey: 'key', endpoint: mock.endpoint });
+    const texts = Array.from({ length: 60 }, (_, i) => `t${i}`);
+
+    const results = await adapter.translateBatch(texts, 'en', 'de');
+
+    expect(mock.requests).toHaveLength(2);
+    expect(mock.requests[1].body.text).toHaveLength(10);
+    expect(results[59].translatedText).toBe('[t59]');
+  });
+
+  test('应该查询用量并识别配额耗尽错误', async () => {
+    mock = await startMockServer((req, res) => {
+      if (req.url === '/v2/usage') {
+        sendJSON(res, { character_count: 1200, character_limit: 500000 });
+      } else {
+        sendJSON(res, { message: 'Quota exceeded' }, 456);
+      }
+    });
+    const adapter = new DeepLAdapter({ apiKey: 'key', endpoint: mock.endpoint });
+
+    expect(await adapter.getUsage()).toEqual({ characterCount: 1200, characterLimit: 500000 });
+    await expect(adapter.translate('Hello', 'en', 'de')).rejects.toThrow('Quota exceeded');
+  });
+
+  test('翻译和用量查询应该通过指定的代理发送', async () => {
+    // 模拟 HTTP 代理：收到的请求路径是完整的目标地址
+    mock = await startMockServer((req, res, body) => {
+      if (req.url.endsWith('/v2/usage')) {
+        sendJSON(res, { character_count: 10, character_limit: 500000 });
+      } else {
+        sendJSON(res, { translations: body.text.map(text => ({ detected_source_language: 'EN', text: `[${text}]` })) });
+      }
+    });
+    const { port } = mock.server.address();
+    const proxy = { enabled: true, protocol: 'http', host: '127.0.0.1', port };
+    const adapter = new DeepLAdapter({ apiKey: 'key', endpoint: 'http://deepl.invalid' });
+
+    const result = await adapter.translate('Hello', 'en', 'de', { proxy });
+    const usage = await adapter.getUsage({ proxy });
+
+    expect(result.translatedText).toBe('[Hello]');
+    expect(usage.characterCount).toBe(10);
+    expect(mock.requests.map(request => request.url)).toEqual([
+      'http://deepl.invalid/v2/translate',
+      'http://deepl.invalid/v2/usage'
+    ]);
+  });
+});
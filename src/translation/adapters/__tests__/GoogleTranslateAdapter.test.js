@@ -0,0 +1,52 @@
+/**
+ * GoogleTranslateAdapter 测试
+ */
+
+const GoogleTranslateAdapter = require('../GoogleTranslateAdapter');
+
+describe('GoogleTranslateAdapter 批量翻译', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new GoogleTranslateAdapter();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('应该拼接成一次请求并按分隔符拆分结果', async () => {
+    const callAPI = jest.spyOn(adapter, 'callGoogleTranslateAPI')
+      .mockResolvedValue({ translatedText: '你好\n||| \n世界', detectedSourceLanguage: 'en' });
+
+    const results = await adapter.translateBatch(['Hello', 'World'], 'auto', 'zh-CN');
+
+    expect(callAPI).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([
+      { translatedText: '你好', detectedLang: 'en', engineUsed: 'Google Translate' },
+      { translatedText: '世界', detectedLang: 'en', engineUsed: 'Google Translate' }
+    ]);
+  });
+
+  test('拆分结果条数不符时应该逐条翻译该组', async () => {
+    const callAPI = jest.spyOn(adapter, 'callGoogleTranslateAPI')
+      .mockResolvedValueOnce({ translatedText: '你好世界' })
+      .mockResolvedValueOnce({ translatedText: '你好' })
+      .mockResolvedValueOnce({ translatedText: '世界' });
+
+    const results = await adapter.translateBatch(['Hello', 'World'], 'en', 'zh-CN');
+
+    expect(callAPI).toHaveBeenCalledTimes(3);
+    expect(results.map(result => result.translatedText)).toEqual(['你好', '世界']);
+  });
+
+  test('请求失败时应该直接抛出而不是逐条重试', async () => {
+    const error = new Error('HTTP 429');
+    const callAPI = jest.spyOn(adapter, 'callGoogleTranslateAPI').mockRejectedValue(error);
+
+    await expect(adapter.translateBatch(['Hello', 'World'], 'en', 'zh-CN')).rejects.toBe(error);
+    expect(callAPI).toHaveBeenCalledTimes(1);
+  });
+});
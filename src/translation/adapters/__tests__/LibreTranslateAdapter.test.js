@@ -0,0 +1,124 @@
+/**
+ * LibreTranslateAdapter 测试
+ * 使用本地模拟 LibreTranslate 服务器
+ */
+
+const http = require('http');
+const LibreTranslateAdapter = require('../LibreTranslateAdapter');
+
+/**
+ * 启动模拟 LibreTranslate 服务器
+ * @param {Function} handler - 请求处理函数 (req, res, body)
+ * @returns {Promise<{server: http.Server, endpoint: string, requests: Object[]}>}
+ */
+function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, url: req.url, body: parsed });
+      handler(req, res, parsed);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, endpoint: `http://127.0.0.1:${port}/`, requests });
+    });
+  });
+}
+
+function sendJSON(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+describe('LibreTranslateAdapter', () => {
+  let mock;
+
+  afterEach((done) => {
+    if (mock) {
+      mock.server.close(() => done());
+      mock = null;
+    } else {
+      done();
+    }
+  });
+
+  test('应该转换语言代码并携带 API 密钥', async () => {
+    mock = await startMockServer((req, res, body) => {
+      sendJSON(res, { translatedText: `[${body.q}]`, detectedLanguage: { language: 'zh', confidence: 90 } });
+    });
+    const adapter = new LibreTranslateAdapter({ endpoint: mock.endpoint, apiKey: 'secret' });
+
+    const result = await adapter.translate('你好', 'auto', 'zh-TW');
+
+    expect(mock.requests[0].url).toBe('/translate');
+    expect(mock.requests[0].body).toEqual({ q: '你好', source: 'auto', target: 'zt', format: 'text', api_key: 'secret' });
+    expect(result).toEqual({ translatedText: '[你好]', detectedLang: 'zh-CN', engineUsed: 'LibreTranslate' });
+  });
+
+  test('批量翻译应该用数组参数一次请求', async () => {
+    mock = await startMockServer((req, res, body) => {
+      sendJSON(res, { translatedText: body.q.map(text => `[${text}]`) });
+    });
+    const adapter = new LibreTranslateAdapter({ endpoint: mock.endpoint });
+
+    const results = await adapter.translateBatch(['a', 'b'], 'en', 'zh-CN');
+
+    expect(mock.requests).toHaveLength(1);
+    expect(results.map(r => r.translatedText)).toEqual(['[a]', '[b]']);
+  });
+
+  test('服务不支持数组参数时应该逐条翻译', async () => {
+    mock = await startMockServer((req, res, body) => {
+      if (Array.isArray(body.q)) {
+        sendJSON(res, { error: 'Invalid request' }, 400);
+      } else {
+        sendJSON(res, { translatedText: `[${body.q}]` });
+      }
+    });
+    const adapter = new LibreTranslateAdapter({ endpoint: mock.endpoint });
+
+    const results = await adapter.translateBatch(['a', 'b'], 'en', 'zh-CN');
+
+    expect(mock.requests).toHaveLength(3);
+    expect(results.map(r => r.translatedText)).toEqual(['[a]', '[b]']);
+  });
+
+  test('应该检测语言并列出支持的语言', async () => {
+    mock = await startMockServer((req, res) => {
+      if (req.url === '/detect') {
+        sendJSON(res, [{ language: 'zh', confidence: 95 }]);
+      } else {
+        sendJSON(res, [{ code: 'en', name: 'English', targets: ['zh', 'zt'] }]);
+      }
+    });
+    const adapter = new LibreTranslateAdapter({ endpoint: mock.endpoint });
+
+    expect(await adapter.detectLanguage('你好')).toBe('zh-CN');
+    expect(await adapter.getLanguages()).toEqual([{ code: 'en', name: 'English', targets: ['zh-CN', 'zh-TW'] }]);
+    expect(mock.requests[1].method).toBe('GET');
+  });
+
+  test('健康检查应该报告服务不可用而不抛出异常', async () => {
+    mock = await startMockServer((req, res) => {
+      sendJSON(res, { error: 'down' }, 500);
+    });
+    const adapter = new LibreTranslateAdapter({ endpoint: mock.endpoint });
+
+    const health = await adapter.checkHealth();
+
+    expect(health.healthy).toBe(false);
+    expect(health.error).toContain('HTTP 500');
+  });
+
+  test('本地引擎应该标记为 isLocal', () => {
+    expect(new LibreTranslateAdapter().isLocal()).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * MicrosoftTranslatorAdapter 测试
+ * 使用本地模拟 Translator 服务器
+ */
+
+const http = require('http');
+const MicrosoftTranslatorAdapter = require('../MicrosoftTranslatorAdapter');
+const { clearProxyAgents } = require('../../utils/proxyAgentUtils');
+
+/**
+ * 启动模拟 Translator 服务器
+ * @param {Function} handler - 请求处理函数 (req, res, body)
+ * @returns {Promise<{server: http.Server, endpoint: string, requests: Object[]}>}
+ */
+function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      requests.push({ url: new URL(req.url, 'http://localhost'), headers: req.headers, body: parsed });
+      handler(req, res, parsed);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, endpoint: `http://127.0.0.1:${port}`, requests });
+    });
+  });
+}
+
+function echoTranslations(res, body) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body.map(item => ({
+    detectedLanguage: { language: 'zh-Hans', score: 1 },
+    translations: [{ text: `[${item.Text}]`, to: 'en' }]
+  }))));
+}
+
+describe('MicrosoftTranslatorAdapter', () => {
+  let mock;
+
+  afterEach((done) => {
+    clearProxyAgents();
+    if (mock) {
+      mock.server.close(() => done());
+      mock = null;
+    } else {
+      done();
+    }
+  });
+
+  test('应该携带密钥和区域并转换语言代码', async () => {
+    mock = await startMockServer((req, res, body) => echoTranslations(res, body));
+    const adapter = new MicrosoftTranslatorAdapter({ apiKey: 'key', region: 'eastasia', endpoint: mock.endpoint });
+
+    const result = await adapter.translate('你好', 'auto', 'zh-TW');
+    const request = mock.requests[0];
+
+    expect(request.headers['ocp-apim-subscription-key']).toBe('key');
+    expect(request.headers['ocp-apim-subscription-region']).toBe('eastasia');
+    expect(request.url.searchParams.get('to')).toBe('zh-Hant');
+    expect(request.url.searchParams.has('from')).toBe(false);
+    expect(result).toEqual({ translatedText: '[你好]', detectedLang: 'zh-CN', engineUsed: 'Microsoft Translator' });
+  });
+
+  test('应该按风格选择 Custom Translator 类别', async () => {
+    mock = await startMockServer((req, res, body) => echoTranslations(res, body));
+    const adapter = new MicrosoftTranslatorAdapter({
+      apiKey: 'key',
+      endpoint: mock.endpoint,
+      category: 'general-id',
+      formalCategory: 'formal-id'
+    });
+
+    await adapter.translate('hi', 'en', 'de', { style: '正式' });
+    await adapter.translate('hi', 'en', 'de', { style: '口语化' });
+
+    expect(mock.requests[0].url.searchParams.get('category')).toBe('formal-id');
+    expect(mock.requests[1].url.searchParams.get('category')).toBe('general-id');
+  });
+
+  test('批量翻译应该一次请求并保持顺序', async () => {
+    mock = await startMockServer((req, res, body) => echoTranslations(res, body));
+    const adapter = new MicrosoftTranslatorAdapter({ apiKey: 'key', endpoint: mock.endpoint });
+
+    const results = await adapter.translateBatch(['a', 'b', 'c'], 'en', 'de');
+
+    expect(mock.requests).toHaveLength(1);
+    expect(results.map(r => r.translatedText)).toEqual(['[a]', '[b]', '[c]']);
+  });
+
+  test('应该通过请求指定的代理发送翻译请求', async () => {
+    // 模拟 HTTP 代理：收到的请求路径是完整的目标地址
+    mock = await startMockServer((req, res, body) => echoTranslations(res, body));
+    const { port } = mock.server.address();
+    const adapter = new MicrosoftTranslatorAdapter({ apiKey: 'key', endpoint: 'http://translator.invalid' });
+
+    const result = await adapter.translate('你好', 'auto', 'en', {
+      proxy: { enabled: true, protocol: 'http', host: '127.0.0.1', port }
+    });
+
+    expect(result.translatedText).toBe('[你好]');
+    expect(mock.requests[0].url.host).toBe('translator.invalid');
+    expect(mock.requests[0].url.pathname).toBe('/translate');
+  });
+
+  test('用量应该交由本地统计并返回月度上限', async () => {
+    const adapter = new MicrosoftTranslatorAdapter({ apiKey: 'key', monthlyCharLimit: 1000 });
+    expect(await adapter.getUsage()).toEqual({ characterCount: null, characterLimit: 1000 });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * AI 服务商编解码器契约测试
+ * 使用 fixtures/aiProviders 中录制的请求/响应，验证各服务商的请求格式、响应解析、流式解析和错误映射
+ */
+
+const http = require('http');
+const AITranslationAdapter = require('../AITranslationAdapter');
+
+const PROVIDERS = ['openai', 'gemini', 'anthropic', 'ollama'];
+
+/**
+ * 启动模拟服务商服务器
+ * @param {Function} handler - 请求处理函数 (req, res, body)
+ * @returns {Promise<{server: http.Server, baseUrl: string, requests: Object[]}>}
+ */
+function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      handler(req, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, baseUrl: `http://127.0.0.1:${port}`, requests });
+    });
+  });
+}
+
+describe.each(PROVIDERS)('%s 编解码器', (provider) => {
+  const fixture = require(`./fixtures/aiProviders/${provider}.json`);
+  let mock;
+
+  afterEach((done) => {
+    if (mock) {
+      mock.server.close(() => done());
+      mock = null;
+    } else {
+      done();
+    }
+  });
+
+  function createAdapter() {
+    return new AITranslationAdapter({
+      name: provider,
+      type: fixture.config.type,
+      apiKey: fixture.config.apiKey,
+      model: fixture.config.model,
+      endpoint: mock.baseUrl + fixture.config.endpointPath
+    });
+  }
+
+  function expectRequest(request, expected) {
+    expect(request.url).toBe(expected.path);
+    Object.entries(expected.headers || {}).forEach(([name, value]) => {
+      expect(request.headers[name]).toBe(value);
+    });
+    (expected.absentHeaders || []).forEach((name) => {
+      expect(request.headers[name]).toBeUndefined();
+    });
+    expect(request.body).toMatchObject(expected.body);
+    expect(JSON.stringify(request.body)).toContain('Hello, world');
+  }
+
+  test('应该按服务商格式发送请求并解析录制的响应', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(fixture.translate.response));
+    });
+
+    const result = await createAdapter().translate('Hello, world', 'en', 'zh-CN');
+
+    expectRequest(mock.requests[0], fixture.translate.request);
+    expect(result.translatedText).toBe(fixture.translate.expectedText);
+    expect(result.usage).toEqual(fixture.translate.expectedUsage);
+  });
+
+  test('应该解析录制的流式响应', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': fixture.stream.contentType });
+      fixture.stream.chunks.forEach(chunk => res.write(chunk));
+      res.end();
+    });
+    const partials = [];
+
+    const result = await createAdapter().translate('Hello, world', 'en', 'zh-CN', {
+      stream: true,
+      onChunk: (partial) => partials.push(partial)
+    });
+
+    expect(mock.requests[0].url).toBe(fixture.stream.request.path);
+    expect(mock.requests[0].body).toMatchObject(fixture.stream.request.body);
+    expect(result.translatedText).toBe(fixture.stream.expectedText);
+    expect(partials[partials.length - 1]).toBe(fixture.stream.expectedText);
+    expect(result.usage).toEqual(fixture.stream.expectedUsage);
+  });
+
+  test.each(fixture.errors.map(error => [error.status, error]))('应该映射 HTTP %i 错误', async (status, error) => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(error.body));
+    });
+
+    const promise = createAdapter().translate('Hello, world', 'en', 'zh-CN');
+
+    await expect(promise).rejects.toMatchObject({
+      message: error.expectedMessage,
+      code: error.expectedCode,
+      provider,
+      statusCode: status,
+      providerCode: error.expectedProviderCode
+    });
+  });
+});
+
+describe('gemini 安全拦截', () => {
+  const fixture = require('./fixtures/aiProviders/gemini.json');
+  let mock;
+
+  afterEach((done) => {
+    mock.server.close(() => done());
+  });
+
+  test('提示词被拦截时应该返回 CONTENT_BLOCKED 错误', async () => {
+    mock = await startMockServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(fixture.blocked.response));
+    });
+    const adapter = new AITranslationAdapter({
+      type: 'gemini',
+      apiKey: 'AIza-test',
+      model: 'gemini-1.5-flash',
+      endpoint: `${mock.baseUrl}/v1beta`
+    });
+
+    await expect(adapter.translate('Hello, world', 'en', 'zh-CN')).rejects.toMatchObject({
+      code: fixture.blocked.expectedCode
+    });
+    expect(mock.requests[0].url).toBe('/v1beta/models/gemini-1.5-flash:generateContent');
+  });
+});
+
+describe('编解码器选择', () => {
+  test('DeepSeek 和自定义 API 默认使用 OpenAI 格式，apiFormat 可以覆盖', () => {
+    expect(new AITranslationAdapter({ type: 'deepseek' }).codec.type).toBe('openai');
+    expect(new AITranslationAdapter({ type: 'custom', apiFormat: 'ollama' }).codec.type).toBe('ollama');
+  });
+
+  test('Ollama 不需要 API 密钥', () => {
+    const adapter = new AITranslationAdapter({ type: 'ollama', endpoint: 'http://localhost:11434/api/chat' });
+    expect(adapter.validateConfig()).toBe(true);
+  });
+});
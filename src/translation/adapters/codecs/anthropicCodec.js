@@ -0,0 +1,115 @@
+/**
+ * Anthropic Messages API 编解码器
+ */
+
+const { createProviderError, parseErrorBody } = require('./providerError');
+
+const TYPE = 'anthropic';
+const API_VERSION = '2023-06-01';
+
+module.exports = {
+  type: TYPE,
+  requiresApiKey: true,
+  streamFormat: 'sse',
+
+  /**
+   * 构建请求（系统提示词使用顶层 system 字段）
+   * @param {Object} params - { endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest({ endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }) {
+    const body = {
+      model,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: endpoint,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body
+    };
+  },
+
+  /**
+   * 解析非流式响应
+   * @param {Object} parsed - 响应 JSON
+   * @returns {string} 模型输出
+   */
+  parseResponse(parsed) {
+    if (parsed.type === 'error') {
+      throw createProviderError(TYPE, null, parsed.error?.message, { providerCode: parsed.error?.type });
+    }
+
+    const text = (parsed.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (!text) {
+      throw new Error('No translation result in response');
+    }
+    return text;
+  },
+
+  /**
+   * 解析 token 用量
+   * @param {Object} parsed - 响应 JSON
+   * @returns {{promptTokens: number, completionTokens: number}|null}
+   */
+  parseUsage(parsed) {
+    if (!parsed.usage) return null;
+    return {
+      promptTokens: parsed.usage.input_tokens || 0,
+      completionTokens: parsed.usage.output_tokens || 0
+    };
+  },
+
+  /**
+   * 解析一个流式事件（只有 content_block_delta 携带文本）
+   * 输入 token 在 message_start 中，输出 token 在 message_delta 中（累计值）
+   * @param {Object} event - 事件 JSON
+   * @returns {{delta: string, done: boolean, usage: Object|null}}
+   */
+  parseStreamEvent(event) {
+    if (event.type === 'error') {
+      throw createProviderError(TYPE, null, event.error?.message, {
+        code: event.error?.type === 'overloaded_error' ? 'OVERLOADED' : undefined,
+        providerCode: event.error?.type
+      });
+    }
+
+    let usage = null;
+    if (event.type === 'message_start') {
+      usage = { promptTokens: event.message?.usage?.input_tokens || 0 };
+    } else if (event.type === 'message_delta' && event.usage) {
+      usage = { completionTokens: event.usage.output_tokens || 0 };
+    }
+
+    return {
+      delta: event.type === 'content_block_delta' && event.delta?.type === 'text_delta' ? event.delta.text : '',
+      done: event.type === 'message_stop',
+      usage
+    };
+  },
+
+  /**
+   * 映射 HTTP 错误（错误体为 { type: 'error', error: { type, message } }）
+   * @param {number} statusCode - HTTP 状态码
+   * @param {string} data - 响应体
+   * @returns {Error} 错误对象
+   */
+  mapError(statusCode, data) {
+    const error = parseErrorBody(data)?.error;
+    return createProviderError(TYPE, statusCode, error?.message || data, {
+      providerCode: error?.type
+    });
+  }
+};
@@ -0,0 +1,159 @@
+/**
+ * Google Gemini generateContent 编解码器
+ * 流式请求使用 streamGenerateContent?alt=sse
+ */
+
+const { createProviderError, parseErrorBody } = require('./providerError');
+
+const TYPE = 'gemini';
+
+/**
+ * 根据配置的端点和模型生成请求地址
+ * 端点中的模型名以配置的 model 为准，流式请求切换为 streamGenerateContent
+ * @param {string} endpoint - 配置的端点
+ * @param {string} model - 模型名称
+ * @param {boolean} stream - 是否流式
+ * @returns {string} 请求地址
+ */
+function buildUrl(endpoint, model, stream) {
+  const method = stream ? 'streamGenerateContent' : 'generateContent';
+  const url = new URL(endpoint);
+
+  if (/\/models\/[^/]+$/.test(url.pathname)) {
+    url.pathname = url.pathname.replace(/\/models\/[^/]+$/, `/models/${model}:${method}`);
+  } else {
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}/models/${model}:${method}`;
+  }
+  if (stream) {
+    url.searchParams.set('alt', 'sse');
+  }
+  return url.toString();
+}
+
+/**
+ * 提取候选结果中的文本
+ * @param {Object} parsed - 响应 JSON（或流式分片）
+ * @returns {string} 文本
+ */
+function extractText(parsed) {
+  const parts = parsed.candidates?.[0]?.content?.parts || [];
+  return parts.map(part => part.text || '').join('');
+}
+
+/**
+ * 检查内容是否被安全策略拦截
+ * @param {Object} parsed - 响应 JSON
+ * @throws {Error} 被拦截时抛出 CONTENT_BLOCKED 错误
+ */
+function assertNotBlocked(parsed) {
+  const blockReason = parsed.promptFeedback?.blockReason;
+  const finishReason = parsed.candidates?.[0]?.finishReason;
+
+  if (blockReason || (finishReason === 'SAFETY' && !extractText(parsed))) {
+    throw createProviderError(TYPE, null, `Content blocked: ${blockReason || finishReason}`, {
+      code: 'CONTENT_BLOCKED',
+      providerCode: blockReason || finishReason
+    });
+  }
+}
+
+module.exports = {
+  type: TYPE,
+  requiresApiKey: true,
+  streamFormat: 'sse',
+
+  /**
+   * 构建请求（系统提示词放在用户内容之前，兼容 v1 与 v1beta）
+   * @param {Object} params - { endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest({ endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }) {
+    return {
+      url: buildUrl(endpoint, model, stream),
+      headers: { 'x-goog-api-key': apiKey },
+      body: {
+        contents: [
+          {
+            role: 'user',
+            parts: [{ text: `${systemPrompt}\n\n${prompt}` }]
+          }
+        ],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens
+        }
+      }
+    };
+  },
+
+  /**
+   * 解析非流式响应
+   * @param {Object} parsed - 响应 JSON
+   * @returns {string} 模型输出
+   */
+  parseResponse(parsed) {
+    if (parsed.error) {
+      throw createProviderError(TYPE, null, parsed.error.message, { providerCode: parsed.error.status });
+    }
+    assertNotBlocked(parsed);
+
+    const text = extractText(parsed);
+    if (!text) {
+      throw new Error('No translation result in response');
+    }
+    return text;
+  },
+
+  /**
+   * 解析 token 用量（流式分片中的 usageMetadata 为累计值）
+   * @param {Object} parsed - 响应 JSON 或流式分片
+   * @returns {{promptTokens: number, completionTokens: number}|null}
+   */
+  parseUsage(parsed) {
+    if (!parsed.usageMetadata) return null;
+    return {
+      promptTokens: parsed.usageMetadata.promptTokenCount || 0,
+      completionTokens: parsed.usageMetadata.candidatesTokenCount || 0
+    };
+  },
+
+  /**
+   * 解析一个流式事件（每个事件是一个完整的 GenerateContentResponse 分片）
+   * @param {Object} event - 事件 JSON
+   * @returns {{delta: string, done: boolean, usage: Object|null}}
+   */
+  parseStreamEvent(event) {
+    if (event.error) {
+      throw createProviderError(TYPE, null, event.error.message, { providerCode: event.error.status });
+    }
+    assertNotBlocked(event);
+
+    return {
+      delta: extractText(event),
+      done: false,
+      usage: this.parseUsage(event)
+    };
+  },
+
+  /**
+   * 映射 HTTP 错误（错误体为 { error: { code, message, status } }）
+   * @param {number} statusCode - HTTP 状态码
+   * @param {string} data - 响应体
+   * @returns {Error} 错误对象
+   */
+  mapError(statusCode, data) {
+    let body = parseErrorBody(data);
+    // 流式接口的错误体可能是数组
+    if (Array.isArray(body)) {
+      body = body[0];
+    }
+    const error = body?.error;
+    // Gemini 对无效密钥返回 400 API_KEY_INVALID
+    const keyInvalid = error?.details?.some(detail => detail.reason === 'API_KEY_INVALID');
+
+    return createProviderError(TYPE, statusCode, error?.message || data, {
+      code: keyInvalid ? 'AUTH_FAILED' : undefined,
+      providerCode: error?.status
+    });
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * AI 服务商编解码器
+ * 按适配器类型选择请求/响应格式
+ */
+
+const openaiChatCodec = require('./openaiChatCodec');
+const geminiCodec = require('./geminiCodec');
+const anthropicCodec = require('./anthropicCodec');
+const ollamaCodec = require('./ollamaCodec');
+
+const CODECS = {
+  openai: openaiChatCodec,
+  gemini: geminiCodec,
+  anthropic: anthropicCodec,
+  ollama: ollamaCodec
+};
+
+// 兼容 OpenAI 格式的适配器类型
+const TYPE_ALIASES = {
+  deepseek: 'openai',
+  custom: 'openai'
+};
+
+/**
+ * 获取适配器类型对应的编解码器（未知类型按 OpenAI 格式处理）
+ * @param {string} type - 适配器类型或 API 格式
+ * @returns {Object} 编解码器
+ */
+function getCodec(type) {
+  return CODECS[type] || CODECS[TYPE_ALIASES[type]] || openaiChatCodec;
+}
+
+module.exports = {
+  getCodec,
+  API_FORMATS: Object.keys(CODECS)
+};
@@ -0,0 +1,101 @@
+/**
+ * Ollama /api/chat 编解码器
+ * 流式响应为逐行 JSON（NDJSON），本地服务默认不需要密钥
+ */
+
+const { createProviderError, parseErrorBody } = require('./providerError');
+
+const TYPE = 'ollama';
+
+module.exports = {
+  type: TYPE,
+  requiresApiKey: false,
+  streamFormat: 'ndjson',
+
+  /**
+   * 构建请求（Ollama 默认流式输出，非流式必须显式传 stream: false）
+   * @param {Object} params - { endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest({ endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }) {
+    return {
+      url: endpoint,
+      // 经反向代理暴露的服务可能需要密钥
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      body: {
+        model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: prompt }
+        ],
+        stream: Boolean(stream),
+        options: {
+          temperature,
+          num_predict: maxTokens
+        }
+      }
+    };
+  },
+
+  /**
+   * 解析非流式响应
+   * @param {Object} parsed - 响应 JSON
+   * @returns {string} 模型输出
+   */
+  parseResponse(parsed) {
+    if (parsed.error) {
+      throw createProviderError(TYPE, null, parsed.error);
+    }
+
+    const text = parsed.message?.content;
+    if (!text) {
+      throw new Error('No translation result in response');
+    }
+    return text;
+  },
+
+  /**
+   * 解析 token 用量（只在最后一个响应中返回）
+   * @param {Object} parsed - 响应 JSON
+   * @returns {{promptTokens: number, completionTokens: number}|null}
+   */
+  parseUsage(parsed) {
+    if (!parsed.done || (parsed.prompt_eval_count === undefined && parsed.eval_count === undefined)) {
+      return null;
+    }
+    return {
+      promptTokens: parsed.prompt_eval_count || 0,
+      completionTokens: parsed.eval_count || 0
+    };
+  },
+
+  /**
+   * 解析一行流式输出
+   * @param {Object} event - 行 JSON
+   * @returns {{delta: string, done: boolean, usage: Object|null}}
+   */
+  parseStreamEvent(event) {
+    if (event.error) {
+      throw createProviderError(TYPE, null, event.error);
+    }
+
+    return {
+      delta: event.message?.content || '',
+      done: event.done === true,
+      usage: this.parseUsage(event)
+    };
+  },
+
+  /**
+   * 映射 HTTP 错误（错误体为 { error: "..." }，模型未下载时返回 404）
+   * @param {number} statusCode - HTTP 状态码
+   * @param {string} data - 响应体
+   * @returns {Error} 错误对象
+   */
+  mapError(statusCode, data) {
+    const message = parseErrorBody(data)?.error || data;
+    return createProviderError(TYPE, statusCode, message, {
+      code: statusCode === 404 ? 'MODEL_NOT_FOUND' : undefined
+    });
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * OpenAI chat-completions 编解码器
+ * 同时用于 DeepSeek 及其他兼容 OpenAI 格式的服务
+ */
+
+const { createProviderError, parseErrorBody } = require('./providerError');
+
+const TYPE = 'openai';
+
+module.exports = {
+  type: TYPE,
+  requiresApiKey: true,
+  streamFormat: 'sse',
+
+  /**
+   * 构建请求
+   * @param {Object} params - { endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest({ endpoint, apiKey, model, systemPrompt, prompt, maxTokens, temperature, stream }) {
+    const body = {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (stream) {
+      body.stream = true;
+      // 让最后一个分片携带 token 用量
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: endpoint,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      body
+    };
+  },
+
+  /**
+   * 解析非流式响应
+   * @param {Object} parsed - 响应 JSON
+   * @returns {string} 模型输出
+   */
+  parseResponse(parsed) {
+    if (parsed.error) {
+      throw createProviderError(TYPE, null, parsed.error.message, { providerCode: parsed.error.code || parsed.error.type });
+    }
+
+    const text = parsed.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('No translation result in response');
+    }
+    return text;
+  },
+
+  /**
+   * 解析 token 用量
+   * @param {Object} parsed - 响应 JSON 或携带 usage 的流式分片
+   * @returns {{promptTokens: number, completionTokens: number}|null}
+   */
+  parseUsage(parsed) {
+    if (!parsed.usage) return null;
+    return {
+      promptTokens: parsed.usage.prompt_tokens || 0,
+      completionTokens: parsed.usage.completion_tokens || 0
+    };
+  },
+
+  /**
+   * 解析一个流式事件（SSE data 行的 JSON）
+   * @param {Object} event - 事件 JSON
+   * @returns {{delta: string, done: boolean, usage: Object|null}}
+   */
+  parseStreamEvent(event) {
+    if (event.error) {
+      throw createProviderError(TYPE, null, event.error.message, { providerCode: event.error.code || event.error.type });
+    }
+
+    const choice = event.choices?.[0];
+    return {
+      delta: choice?.delta?.content ?? choice?.message?.content ?? '',
+      done: false,
+      usage: this.parseUsage(event)
+    };
+  },
+
+  /**
+   * 映射 HTTP 错误
+   * @param {number} statusCode - HTTP 状态码
+   * @param {string} data - 响应体
+   * @returns {Error} 错误对象
+   */
+  mapError(statusCode, data) {
+    const error = parseErrorBody(data)?.error;
+    return createProviderError(TYPE, statusCode, error?.message || data, {
+      providerCode: error?.code || error?.type
+    });
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * AI 服务商错误映射
+ * 将各服务商的 HTTP 状态码和错误体统一为带 code 的 Error
+ */
+
+/**
+ * 根据 HTTP 状态码推断统一错误码
+ * @param {number} statusCode - HTTP 状态码
+ * @returns {string} 错误码
+ */
+function getErrorCode(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return 'AUTH_FAILED';
+  if (statusCode === 404) return 'NOT_FOUND';
+  if (statusCode === 429) return 'RATE_LIMITED';
+  if (statusCode === 529 || statusCode === 503) return 'OVERLOADED';
+  if (statusCode >= 500) return 'SERVER_ERROR';
+  return 'INVALID_REQUEST';
+}
+
+/**
+ * 创建服务商错误
+ * @param {string} provider - 服务商（codec 类型）
+ * @param {number|null} statusCode - HTTP 状态码（响应体内的错误为 null）
+ * @param {string} message - 错误信息
+ * @param {Object} extra - 附加字段 { code, providerCode }
+ * @returns {Error} 错误对象（message 保留 "HTTP 状态码:" 前缀以兼容重试判断）
+ */
+function createProviderError(provider, statusCode, message, extra = {}) {
+  const error = new Error(statusCode ? `HTTP ${statusCode}: ${message}` : `API Error: ${message}`);
+  error.provider = provider;
+  error.statusCode = statusCode;
+  error.code = extra.code || (statusCode ? getErrorCode(statusCode) : 'API_ERROR');
+  error.providerCode = extra.providerCode || null;
+  return error;
+}
+
+/**
+ * 尝试解析 JSON 错误体
+ * @param {string} data - 响应体
+ * @returns {Object|null} 解析结果
+ */
+function parseErrorBody(data) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  createProviderError,
+  parseErrorBody
+};
@@ -8,6 +8,11 @@
 
   console.log('[Translation] Content script initializing...');
 
+  // AI 引擎（支持翻译风格、流式输出和对话上下文），其余为机器翻译引擎
+  const AI_ENGINES = ['gpt4', 'gemini', 'deepseek', 'custom'];
+  // 支持正式程度的机器翻译引擎（风格仅区分正式/口语化）
+  const FORMALITY_ENGINES = ['deepl', 'microsoft'];
+
   // 翻译系统对象
   const WhatsAppTranslation = {
     config: null,
@@ -16,6 +21,7 @@
     initialized: false,
     accountId: 'default',
     isTranslating: false, // 防止重复翻译
+    BATCH_SIZE: 20, // 批量翻译每次请求的最大消息数
     
     // 优化：添加初始化标志，防止重复初始化
     _chineseBlockInitialized: false,
@@ -29,6 +35,37 @@
     _messageCache: new Map(), // 消息缓存
     _groupStats: new Map(), // 群组语言统计
 
+    // 流式翻译：requestId -> 消息节点
+    _pendingStreams: new Map(),
+    _streamUnsubscribe: null,
+
+    // 联系人标签（主进程数据的缓存）和聊天列表筛选
+    _contactTags: { tags: [], assignments: {} },
+    _tagsUnsubscribe: null,
+    _chatFilterObserver: null,
+    _chatFilterResults: [],
+    _chatFilterTimer: null,
+
+    // 跟进提醒的订阅
+    _remindersUnsubscribe: null,
+    _openChatUnsubscribe: null,
+
+    // 发送消息合规策略：规则缓存（主进程数据）和最近一次检查结果（同一次发送会触发多个事件）
+    _policyRules: [],
+    _policyUnsubscribe: null,
+    _policyLastCheck: null,
+    POLICY_DEDUPE_WINDOW: 1000, // 同一次发送的事件合并窗口（毫秒）
+
+    // 回复时效跟踪：已上报的聊天状态 contactId -> 'in' | 'out'
+    _slaReported: new Map(),
+    _slaTimer: null,
+    SLA_REPORT_INTERVAL: 10000, // 扫描聊天状态的间隔（毫秒）
+
+    // 聊天记录归档：待发送的消息队列
+    _archiveQueue: [],
+    _archiveTimer: null,
+    ARCHIVE_FLUSH_DELAY: 2000, // 合并发送归档消息的间隔（毫秒）
+
     /**
      * 初始化翻译系统
      */
@@ -50,6 +87,9 @@
         // 注入样式
         this.injectStyles();
 
+        // 订阅流式翻译的部分结果
+        this.setupStreamListener();
+
         // 开始监听消息
         this.observeMessages();
 
@@ -59,9 +99,24 @@
         // 设置中文拦截
         this.setupChineseBlock();
 
+        // 发送消息合规策略
+        this.setupOutgoingPolicy();
+
         // 监听聊天窗口切换
         this.observeChatSwitch();
 
+        // 客户画像侧边栏
+        this.setupContactPanel();
+
+        // 联系人标签和聊天列表筛选
+        this.setupContactTags();
+
+        // 回复时效跟踪
+        this.setupConversationTracking();
+
+        // 跟进提醒
+        this.setupReminders();
+
         // 启动定期检查新消息
         this.startPeriodicCheck();
 
@@ -132,7 +187,8 @@
           engine: 'google', // 聊天窗口翻译引擎（接收消息）
           sourceLang: 'auto',
           targetLang: 'zh-CN',
-          groupTranslation: false
+          groupTranslation: false,
+          streaming: false // AI 引擎流式显示译文
         },
         inputBox: {
           enabled: false,
@@ -146,7 +202,11 @@
           realtime: false,
           reverseTranslation: false,
           voiceTranslation: false,
-          imageTranslation: false
+          imageTranslation: false,
+          contextAware: false,
+          contextMessages: 5,
+          contextTokenBudget: 500,
+          contextInCacheKey: false
         },
         friendConfigs: {}
       };
@@ -220,16 +280,102 @@
 
     /**
      * 翻译已存在的消息
+     * 同一目标语言的消息合并为一次批量请求，减少打开聊天时的请求数量
      */
-    translateExistingMessages() {
-      const existingMessages = document.querySelectorAll('.message-in, .message-out');
+    async translateExistingMessages() {
+      const existingMessages = Array.from(document.querySelectorAll('.message-in, .message-out'))
+        .filter(msg => !msg.querySelector('.wa-translation-result') && !msg.dataset.translationPending);
       console.log(`[Translation] Found ${existingMessages.length} existing messages`);
-      
+
+      if (!window.translationAPI || typeof window.translationAPI.translateBatch !== 'function') {
+        existingMessages.forEach(msg => this.handleNewMessage(msg));
+        return;
+      }
+
+      // 防止批量请求进行中时被观察器重复翻译
       existingMessages.forEach(msg => {
-        if (!msg.querySelector('.wa-translation-result')) {
-          this.handleNewMessage(msg);
-        }
+        msg.dataset.translationPending = 'true';
       });
+
+      try {
+        // 按目标语言分组
+        const groups = new Map();
+        for (const msg of existingMessages) {
+          const prepared = await this.prepareMessageTranslation(msg);
+          if (!prepared) {
+            delete msg.dataset.translationPending;
+            this.archiveMessage(msg);
+            continue;
+          }
+
+          if (!groups.has(prepared.targetLang)) {
+            groups.set(prepared.targetLang, []);
+          }
+          groups.get(prepared.targetLang).push({ node: msg, text: prepared.text });
+        }
+
+        for (const [targetLang, items] of groups) {
+          for (let i = 0; i < items.length; i += this.BATCH_SIZE) {
+            await this.translateMessageBatch(items.slice(i, i + this.BATCH_SIZE), targetLang);
+          }
+        }
+      } catch (error) {
+        console.error('[Translation] Error translating existing messages:', error);
+      } finally {
+        existingMessages.forEach(msg => {
+          delete msg.dataset.translationPending;
+        });
+      }
+    },
+
+    /**
+     * 批量翻译一组消息
+     * @param {Array<{node: Element, text: string}>} items - 消息节点和文本
+     * @param {string} targetLang - 目标语言
+     */
+    async translateMessageBatch(items, targetLang) {
+      if (items.length === 1) {
+        await this.translateMessage(items[0].node, items[0].text, targetLang);
+        return;
+      }
+
+      const engineName = this.config.global.engine;
+      console.log(`[Translation] 📦 批量翻译 ${items.length} 条消息，引擎: ${engineName}, 目标语言: ${targetLang}`);
+
+      try {
+        const response = await window.translationAPI.translateBatch({
+          accountId: this.accountId,
+          texts: items.map(item => item.text),
+          sourceLang: this.config.global.sourceLang || 'auto',
+          targetLang,
+          engineName,
+          // 同一批消息按时间顺序排列，上下文取第一条之前的消息
+          options: {
+            ...this.getRoutingOptions('inbound'),
+            ...(await this.getConversationContextOptions(engineName, items[0].node))
+          }
+        });
+
+        if (!response.success) {
+          console.error('[Translation] Batch translation failed:', response.error);
+          items.forEach(item => this.displayError(item.node, response.error));
+          return;
+        }
+
+        response.data.forEach((result, index) => {
+          const { node } = items[index];
+          if (!node.isConnected) return;
+
+          if (result && !result.error) {
+            this.displayTranslation(node, result);
+          } else {
+            this.displayError(node, result ? result.error : '翻译失败');
+          }
+        });
+      } catch (error) {
+        console.error('[Translation] Batch translation error:', error);
+        items.forEach(item => this.displayError(item.node, error.message));
+      }
     },
 
     /**
@@ -251,57 +397,236 @@
      */
     async handleNewMessage(messageNode) {
       try {
-        // 检查配置是否加载
-        if (!this.config || !this.config.global) {
-          console.log('[Translation] Config not loaded yet, skipping');
+        // 批量翻译进行中的消息由批量流程处理
+        if (messageNode.dataset && messageNode.dataset.translationPending) {
           return;
         }
 
-        // 检查是否已经翻译过
-        if (messageNode.querySelector('.wa-translation-result')) {
-          console.log('[Translation] Message already translated, skipping');
-          return;
+        const prepared = await this.prepareMessageTranslation(messageNode);
+        let translatedText = null;
+        if (prepared) {
+          // 翻译消息（聊天窗口翻译，不使用风格）
+          translatedText = await this.translateMessage(messageNode, prepared.text, prepared.targetLang);
         }
 
-        // 检查自动翻译是否启用
-        if (!this.config.global.autoTranslate) {
-          console.log('[Translation] Auto translate disabled, skipping');
-          return;
+        // 已翻译的消息在显示译文时归档
+        if (!translatedText) {
+          this.archiveMessage(messageNode);
         }
 
-        // 检查是否是群组消息
-        const isGroup = this.isGroupChat();
-        if (isGroup) {
-          console.log('[Translation] This is a group chat, groupTranslation config:', this.config.global.groupTranslation);
-          if (!this.config.global.groupTranslation) {
-            console.log('[Translation] Group translation disabled, skipping');
-            return;
-          }
+        // 回复建议不依赖自动翻译开关，未翻译时只匹配原文
+        await this.checkReplySuggestions(messageNode, translatedText);
+
+      } catch (error) {
+        console.error('[Translation] Error handling message:', error);
+      }
+    },
+
+    /**
+     * 按回复建议规则匹配收到的最新消息，命中时在输入框上方显示建议
+     * @param {Element} messageNode - 消息节点
+     * @param {string|null} translatedText - 译文（未翻译时为 null）
+     */
+    async checkReplySuggestions(messageNode, translatedText) {
+      if (!window.translationAPI || typeof window.translationAPI.matchReplySuggestions !== 'function') {
+        return;
+      }
+
+      // 只处理收到的消息，且每条消息只匹配一次
+      if (!messageNode.classList || !messageNode.classList.contains('message-in') ||
+          messageNode.dataset.suggestionChecked) {
+        return;
+      }
+      messageNode.dataset.suggestionChecked = 'true';
+
+      // 历史消息（重新翻译、定期检查补翻）不再触发建议
+      const incomingMessages = document.querySelectorAll('.message-in');
+      if (incomingMessages[incomingMessages.length - 1] !== messageNode) {
+        return;
+      }
+
+      const original = this.getMessageText(messageNode);
+      if (!original) {
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.matchReplySuggestions(this.accountId, {
+          original,
+          translated: translatedText || '',
+          contactId: this.getCurrentContactId()
+        });
+        if (response.success && response.data.length > 0) {
+          this.showReplySuggestions(response.data);
         }
+      } catch (error) {
+        console.error('[Translation] Failed to match reply suggestions:', error);
+      }
+    },
 
-        // 提取消息文本和发送者信息
-        const { text, senderInfo } = await this.extractMessageInfo(messageNode);
-        if (!text) {
-          console.log('[Translation] No text found in message, skipping');
-          return;
+    /**
+     * 把消息加入归档队列（带译文的消息会补充到已归档的原文记录上）
+     * @param {Element} messageNode - 消息节点
+     * @param {Object} [result] - 翻译结果 { translatedText, detectedLang }
+     */
+    archiveMessage(messageNode, result = null) {
+      if (!window.translationAPI || typeof window.translationAPI.archiveMessages !== 'function') {
+        return;
+      }
+
+      // 每条消息只归档一次原文、一次译文
+      const state = result ? 'translated' : 'original';
+      if (messageNode.dataset.archived === 'translated' || messageNode.dataset.archived === state) {
+        return;
+      }
+
+      const original = this.getMessageText(messageNode);
+      const contactId = this.getCurrentContactId();
+      if (!original || !contactId) {
+        return;
+      }
+      messageNode.dataset.archived = state;
+
+      const isOwn = this.isOwnMessage(messageNode);
+      const idElement = messageNode.closest('[data-id]') || messageNode.querySelector('[data-id]');
+      const metaElement = messageNode.querySelector('.copyable-text[data-pre-plain-text]');
+      const detectedLang = result && result.detectedLang && result.detectedLang !== 'auto' ? result.detectedLang : '';
+
+      this._archiveQueue.push({
+        id: idElement ? idElement.getAttribute('data-id') : '',
+        contactId,
+        // 发送时间和发送者由主进程解析
+        prePlainText: metaElement ? metaElement.getAttribute('data-pre-plain-text') : '',
+        sender: isOwn ? '我' : '',
+        direction: isOwn ? 'out' : 'in',
+        original,
+        translation: result ? this.decodeHTMLEntitiesInBrowser(result.translatedText || '') : '',
+        sourceLang: detectedLang,
+        targetLang: result ? this.config.global.targetLang : ''
+      });
+
+      if (!this._archiveTimer) {
+        this._archiveTimer = setTimeout(() => this.flushArchiveQueue(), this.ARCHIVE_FLUSH_DELAY);
+      }
+    },
+
+    /**
+     * 发送归档队列中的消息
+     */
+    async flushArchiveQueue() {
+      clearTimeout(this._archiveTimer);
+      this._archiveTimer = null;
+
+      const records = this._archiveQueue.splice(0);
+      if (records.length === 0) {
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.archiveMessages(this.accountId, records);
+        if (!response.success) {
+          console.error('[Translation] Failed to archive messages:', response.error);
         }
+      } catch (error) {
+        console.error('[Translation] Failed to archive messages:', error);
+      }
+    },
 
-        // 智能翻译：使用动态目标语言
-        const targetLang = await this.getSmartTargetLang(senderInfo.contactId, text, senderInfo);
-        
-        // 改进的中文检测
-        if (targetLang.startsWith('zh') && this.isAdvancedChinese(text)) {
-          console.log('[Translation] Smart Chinese detection: skipping Chinese message');
-          messageNode.setAttribute('data-translation-skipped', 'true');
-          return;
+    /**
+     * 在输入框上方显示回复建议（只插入输入框，不会自动发送）
+     * @param {Array<Object>} suggestions - [{ ruleId, ruleName, matchedOn, reply }]
+     */
+    showReplySuggestions(suggestions) {
+      this.clearReplySuggestions();
+
+      const container = document.createElement('div');
+      container.id = 'wa-suggestion-chips';
+      container.className = 'wa-suggestion-chips';
+      container.innerHTML = suggestions.map((suggestion, index) => `
+        <div class="wa-suggestion-chip">
+          <button type="button" class="wa-suggestion-insert" data-action="original" data-index="${index}">💡 ${this.escapeHtml(suggestion.reply.title)}</button>
+          <button type="button" class="wa-suggestion-translate" data-action="translate" data-index="${index}">译</button>
+        </div>
+      `).join('') + '<button type="button" class="wa-suggestion-dismiss" data-action="dismiss">×</button>';
+
+      container.addEventListener('click', async (e) => {
+        const actionBtn = e.target.closest('[data-action]');
+        if (!actionBtn) return;
+
+        this.clearReplySuggestions();
+        if (actionBtn.dataset.action === 'dismiss') return;
+
+        const suggestion = suggestions[Number(actionBtn.dataset.index)];
+        await this.applyQuickReply(null, suggestion.reply, actionBtn.dataset.action);
+        window.translationAPI.recordSuggestionUse(this.accountId, suggestion.ruleId).catch(error => {
+          console.error('[Translation] Failed to record suggestion use:', error);
+        });
+      });
+
+      document.body.appendChild(container);
+    },
+
+    /**
+     * 移除回复建议
+     */
+    clearReplySuggestions() {
+      const container = document.getElementById('wa-suggestion-chips');
+      if (container) {
+        container.remove();
+      }
+    },
+
+    /**
+     * 检查消息是否需要翻译，并确定文本和目标语言
+     * @returns {Promise<{text: string, targetLang: string}|null>} 不需要翻译时返回 null
+     */
+    async prepareMessageTranslation(messageNode) {
+      // 检查配置是否加载
+      if (!this.config || !this.config.global) {
+        console.log('[Translation] Config not loaded yet, skipping');
+        return null;
+      }
+
+      // 检查是否已经翻译过
+      if (messageNode.querySelector('.wa-translation-result')) {
+        console.log('[Translation] Message already translated, skipping');
+        return null;
+      }
+
+      // 检查自动翻译是否启用
+      if (!this.config.global.autoTranslate) {
+        console.log('[Translation] Auto translate disabled, skipping');
+        return null;
+      }
+
+      // 检查是否是群组消息
+      const isGroup = this.isGroupChat();
+      if (isGroup) {
+        console.log('[Translation] This is a group chat, groupTranslation config:', this.config.global.groupTranslation);
+        if (!this.config.global.groupTranslation) {
+          console.log('[Translation] Group translation disabled, skipping');
+          return null;
         }
+      }
 
-        // 翻译消息（聊天窗口翻译，不使用风格）
-        await this.translateMessage(messageNode, text, targetLang);
+      // 提取消息文本和发送者信息
+      const { text, senderInfo } = await this.extractMessageInfo(messageNode);
+      if (!text) {
+        console.log('[Translation] No text found in message, skipping');
+        return null;
+      }
 
-      } catch (error) {
-        console.error('[Translation] Error handling message:', error);
+      // 智能翻译：使用动态目标语言
+      const targetLang = await this.getSmartTargetLang(senderInfo.contactId, text, senderInfo);
+      
+      // 改进的中文检测
+      if (targetLang.startsWith('zh') && this.isAdvancedChinese(text)) {
+        console.log('[Translation] Smart Chinese detection: skipping Chinese message');
+        messageNode.setAttribute('data-translation-skipped', 'true');
+        return null;
       }
+
+      return { text, targetLang };
     },
 
     /**
@@ -439,11 +764,7 @@
     async extractMessageInfo(messageNode) {
       try {
         // 提取消息文本
-        const textElement = messageNode.querySelector('.selectable-text[dir="ltr"], .selectable-text[dir="rtl"]') ||
-                           messageNode.querySelector('.selectable-text') ||
-                           messageNode.querySelector('[data-testid="conversation-text"]');
-
-        const text = textElement ? textElement.textContent.trim() : '';
+        const text = this.getMessageText(messageNode);
 
         // 提取发送者信息
         let senderInfo = {
@@ -472,6 +793,17 @@
       }
     },
 
+    /**
+     * 获取消息文本
+     */
+    getMessageText(messageNode) {
+      const textElement = messageNode.querySelector('.selectable-text[dir="ltr"], .selectable-text[dir="rtl"]') ||
+                         messageNode.querySelector('.selectable-text') ||
+                         messageNode.querySelector('[data-testid="conversation-text"]');
+
+      return textElement ? textElement.textContent.trim() : '';
+    },
+
     /**
      * 提取群组发言人名称
      */
@@ -797,18 +1129,29 @@
 
     /**
      * 获取对方最近消息
+     * @param {string} contactId - 联系人ID
+     * @param {number} count - 消息条数
+     * @param {Object} [options] - 选项
+     * @param {Element} [options.before] - 只取该消息之前的消息（不含该消息本身）
+     * @param {boolean} [options.includeOutgoing] - 同时包含自己发送的消息
+     * @returns {Promise<Array<{text: string, outgoing: boolean, timestamp: number}>>} 按时间顺序
      */
-    async getRecentMessages(contactId, count = 10) {
+    async getRecentMessages(contactId, count = 10, options = {}) {
       try {
+        const { before = null, includeOutgoing = false } = options;
+        // 指定位置或包含自己消息的结果不缓存
+        const cacheable = !before && !includeOutgoing;
         const cacheKey = `recent_${contactId}`;
-        const cached = this._messageCache.get(cacheKey);
+        const cached = cacheable && this._messageCache.get(cacheKey);
         
         if (cached && Date.now() - cached.timestamp < 30000) { // 30秒缓存
           return cached.messages;
         }
 
         // 从DOM中获取最近的接收消息
-        const incomingMessages = Array.from(document.querySelectorAll('.message-in'))
+        const incomingMessages = Array.from(document.querySelectorAll(includeOutgoing ? '#main .message-in, #main .message-out' : '.message-in'))
+          .filter(msg => !before || (msg !== before && !msg.contains(before) &&
+            (msg.compareDocumentPosition(before) & Node.DOCUMENT_POSITION_FOLLOWING)))
           .slice(-count * 2) // 获取更多消息以确保有足够的接收消息
           .filter(msg => {
             const textElement = msg.querySelector('.selectable-text');
@@ -818,14 +1161,17 @@
 
         const messages = incomingMessages.map(msg => ({
           text: msg.querySelector('.selectable-text').textContent.trim(),
+          outgoing: msg.classList.contains('message-out'),
           timestamp: Date.now() // 简化处理，实际应该从DOM获取时间戳
         }));
 
         // 缓存结果
-        this._messageCache.set(cacheKey, {
-          messages,
-          timestamp: Date.now()
-        });
+        if (cacheable) {
+          this._messageCache.set(cacheKey, {
+            messages,
+            timestamp: Date.now()
+          });
+        }
 
         return messages;
       } catch (error) {
@@ -834,6 +1180,53 @@
       }
     },
 
+    /**
+     * 获取 AI 翻译使用的对话上下文选项
+     * 仅在开启上下文翻译且使用 AI 引擎时携带当前聊天中该消息之前的最近消息（双方）
+     * @param {string} engineName - 使用的翻译引擎
+     * @param {Element|null} [messageNode] - 正在翻译的消息节点，为空时（输入框翻译）取聊天最后的消息
+     * @returns {Promise<Object>} 需要合并进 options 的上下文字段
+     */
+    async getConversationContextOptions(engineName, messageNode = null) {
+      const advanced = this.config.advanced || {};
+      if (!advanced.contextAware || !AI_ENGINES.includes(engineName)) {
+        return {};
+      }
+
+      try {
+        const messages = await this.getRecentMessages(this.getCurrentContactId(), advanced.contextMessages || 5, {
+          before: messageNode,
+          includeOutgoing: true
+        });
+        const context = messages.map(message => `${message.outgoing ? '我' : '对方'}: ${message.text}`);
+
+        if (context.length === 0) {
+          return {};
+        }
+
+        return {
+          context,
+          contextTokenBudget: advanced.contextTokenBudget || 500,
+          contextInCacheKey: advanced.contextInCacheKey === true
+        };
+      } catch (error) {
+        console.error('[Translation] Error collecting conversation context:', error);
+        return {};
+      }
+    },
+
+    /**
+     * 获取路由规则匹配所需的请求信息
+     * @param {string} direction - 'inbound'（接收的消息）或 'outbound'（输入框）
+     * @returns {{direction: string, chatType: string}}
+     */
+    getRoutingOptions(direction) {
+      return {
+        direction,
+        chatType: this.isGroupChat() ? 'group' : 'private'
+      };
+    },
+
     /**
      * 获取相反语言
      */
@@ -883,12 +1276,13 @@
     /**
      * 翻译消息（聊天窗口接收的消息）
      * 注意：聊天窗口翻译不使用风格参数，只做正常翻译
+     * @returns {Promise<string|null>} 译文，翻译失败或取消时返回 null
      */
     async translateMessage(messageNode, text, targetLang = null) {
       try {
         if (!window.translationAPI) {
           console.error('[Translation] translationAPI not available');
-          return;
+          return null;
         }
 
         // 使用智能选择的目标语言
@@ -898,18 +1292,49 @@
         const engineName = this.config.global.engine;
         console.log(`[Translation] 🔄 智能聊天窗口翻译，使用引擎: ${engineName}, 目标语言: ${finalTargetLang}`);
         
+        // AI 引擎可开启流式显示，Google 翻译一次性返回
+        const useStreaming = this.config.global.streaming &&
+                            AI_ENGINES.includes(engineName) &&
+                            typeof window.translationAPI.onStreamChunk === 'function';
+        const requestId = useStreaming
+          ? `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+          : null;
+
+        if (requestId) {
+          this._pendingStreams.set(requestId, messageNode);
+        }
+
         const response = await window.translationAPI.translate({
           accountId: this.accountId,
           text: text,
           sourceLang: this.config.global.sourceLang || 'auto',
           targetLang: finalTargetLang,
           engineName: engineName,
-          options: {} // 聊天窗口翻译不传递风格参数
+          requestId,
+          options: {
+            ...(useStreaming ? { stream: true } : {}),
+            ...this.getRoutingOptions('inbound'),
+            ...(await this.getConversationContextOptions(engineName, messageNode))
+          } // 聊天窗口翻译不传递风格参数
         });
 
+        if (requestId) {
+          this._pendingStreams.delete(requestId);
+        }
+
+        if (response.cancelled) {
+          // 切换聊天时取消的流式翻译：移除部分译文，回到该聊天时重新翻译
+          const partial = messageNode.querySelector('.wa-translation-streaming');
+          if (partial) {
+            partial.remove();
+          }
+          return null;
+        }
+
         if (response.success) {
           console.log(`[Translation] ✅ 智能翻译成功，使用引擎: ${response.data.engineName || engineName}`);
           this.displayTranslation(messageNode, response.data);
+          return response.data.translatedText;
         } else {
           console.error('[Translation] Translation failed:', response.error);
           this.displayError(messageNode, response.error);
@@ -919,6 +1344,7 @@
         console.error('[Translation] Translation error:', error);
         this.displayError(messageNode, error.message);
       }
+      return null;
     },
 
     /**
@@ -946,14 +1372,17 @@
         'gpt4': '🤖',
         'gemini': '✨',
         'deepseek': '🧠',
-        'custom': '⚙️'
+        'custom': '⚙️',
+        'deepl': '🔷',
+        'microsoft': '🪟',
+        'libretranslate': '🏠'
       };
       const engineIcon = engineIcons[engineName] || '🌐';
       
       // 优化：简化 HTML 结构，从 4-5 个节点减少到 2-3 个
       translationDiv.innerHTML = `
         <div class="translation-header">
-          ${engineIcon} ${detectedLang} → ${targetLang}${result.cached ? ' 📦' : ''} [${engineName}]
+          ${engineIcon} ${detectedLang} → ${targetLang}${result.memoryMatch ? ` 🗂️ ${Math.round(result.memoryMatch.similarity * 100)}%` : (result.cached ? ' 📦' : '')} [${engineName}]
         </div>
         <div class="translation-text"></div>
       `;
@@ -968,6 +1397,15 @@
       
       textDiv.textContent = decodedText;
 
+      // 记忆库中只是相似的译文仅作参考，不替代引擎译文
+      if (result.memorySuggestion) {
+        const suggestionDiv = document.createElement('div');
+        suggestionDiv.className = 'translation-memory-suggestion';
+        suggestionDiv.textContent = `🗂️ 记忆库相似译文（${Math.round(result.memorySuggestion.similarity * 100)}%）：${this.decodeHTMLEntitiesInBrowser(result.memorySuggestion.target)}`;
+        suggestionDiv.title = result.memorySuggestion.source;
+        translationDiv.appendChild(suggestionDiv);
+      }
+
       // 找到消息内容容器
       const messageContent = messageNode.querySelector('.copyable-text') ||
                             messageNode.querySelector('[data-testid="msg-text"]') ||
@@ -979,9 +1417,81 @@
       } else {
         messageNode.appendChild(translationDiv);
       }
+
+      this.archiveMessage(messageNode, result);
+    },
+
+
+
+    /**
+     * 订阅流式翻译的部分结果
+     */
+    setupStreamListener() {
+      if (this._streamUnsubscribe || !window.translationAPI ||
+          typeof window.translationAPI.onStreamChunk !== 'function') {
+        return;
+      }
+
+      this._streamUnsubscribe = window.translationAPI.onStreamChunk(({ requestId, text }) => {
+        const messageNode = this._pendingStreams.get(requestId);
+        if (messageNode && messageNode.isConnected) {
+          this.displayStreamingTranslation(messageNode, text);
+        }
+      });
+    },
+
+    /**
+     * 显示流式翻译的部分译文
+     * 最终结果由 displayTranslation 替换
+     */
+    displayStreamingTranslation(messageNode, partialText) {
+      let translationDiv = messageNode.querySelector('.wa-translation-streaming');
+
+      if (!translationDiv) {
+        translationDiv = document.createElement('div');
+        translationDiv.className = 'wa-translation-result wa-translation-streaming';
+        translationDiv.innerHTML = `
+          <div class="translation-header">⏳ 翻译中... [${this.escapeHtml(this.config.global.engine)}]</div>
+          <div class="translation-text"></div>
+        `;
+
+        const messageContent = messageNode.querySelector('.copyable-text') ||
+                              messageNode.querySelector('[data-testid="msg-text"]') ||
+                              messageNode;
+
+        if (messageContent.parentNode) {
+          messageContent.parentNode.appendChild(translationDiv);
+        } else {
+          messageNode.appendChild(translationDiv);
+        }
+      }
+
+      translationDiv.querySelector('.translation-text').textContent =
+        this.decodeHTMLEntitiesInBrowser(partialText);
     },
 
+    /**
+     * 取消所有进行中的流式翻译（切换聊天时调用）
+     */
+    cancelPendingStreams() {
+      if (this._pendingStreams.size === 0) return;
+
+      const requestIds = Array.from(this._pendingStreams.keys());
+      this._pendingStreams.forEach((messageNode) => {
+        const partial = messageNode.querySelector('.wa-translation-streaming');
+        if (partial) {
+          partial.remove();
+        }
+      });
+      this._pendingStreams.clear();
 
+      console.log(`[Translation] Cancelling ${requestIds.length} streaming translations`);
+      if (window.translationAPI && typeof window.translationAPI.cancelTranslation === 'function') {
+        window.translationAPI.cancelTranslation(requestIds).catch((error) => {
+          console.error('[Translation] Failed to cancel streaming translations:', error);
+        });
+      }
+    },
 
     /**
      * 显示错误信息
@@ -1169,11 +1679,13 @@
      * 优化：清理旧的监听器，避免重复初始化，添加重试限制
      */
     async initInputBoxTranslation(retryCount = 0) {
-      // 先移除旧的翻译按钮（如果存在）
+      // 先移除旧的翻译按钮和快捷回复按钮（如果存在）
       const oldButton = document.getElementById('wa-translate-btn');
       if (oldButton) {
         oldButton.remove();
       }
+      this.removeQuickReplyButton();
+      this.clearReplySuggestions();
       
       // 查找输入框 - 使用多个选择器尝试，优先查找 #main 中的
       const inputBox = document.querySelector('#main footer [contenteditable="true"]') ||
@@ -1199,6 +1711,9 @@
         console.log('[Translation] Input box translation disabled in config');
       }
 
+      // 添加快捷回复按钮（不依赖输入框翻译开关）
+      this.addQuickReplyButton(inputBox);
+
       // 设置实时翻译（会自动清理旧的监听器）
       if (this.config && this.config.advanced && this.config.advanced.realtime) {
         this.setupRealtimeTranslation(inputBox);
@@ -1395,40 +1910,218 @@
     },
 
     /**
-     * 检测当前聊天对方使用的语言
+     * 添加快捷回复按钮（位于翻译按钮左侧）
      */
-    async detectChatLanguage() {
-      try {
-        // 获取最近的对方消息（接收的消息）
-        const incomingMessages = document.querySelectorAll('.message-in');
-        
-        if (incomingMessages.length === 0) {
-          console.log('[Translation] No incoming messages found');
-          return 'en'; // 默认英文
-        }
-        
-        // 从最新的消息开始检测
-        for (let i = incomingMessages.length - 1; i >= Math.max(0, incomingMessages.length - 5); i--) {
-          const msg = incomingMessages[i];
-          const textElement = msg.querySelector('.selectable-text');
-          
-          if (textElement && textElement.textContent.trim()) {
-            const text = textElement.textContent.trim();
-            
-            // 调用语言检测 API
-            const result = await window.translationAPI.detectLanguage(text);
-            
-            if (result.success && result.data.language) {
-              const detectedLang = result.data.language;
-              console.log('[Translation] Detected language from message:', detectedLang, 'Text:', text.substring(0, 50));
-              
-              // 如果检测到的语言不是中文，就用这个语言
-              if (!detectedLang.startsWith('zh')) {
-                return detectedLang;
-              }
-            }
-          }
-        }
+    addQuickReplyButton(inputBox) {
+      if (document.getElementById('wa-quick-reply-btn')) {
+        return;
+      }
+
+      const button = document.createElement('button');
+      button.id = 'wa-quick-reply-btn';
+      button.className = 'wa-translate-btn wa-quick-reply-btn';
+      button.innerHTML = '⚡';
+      button.title = '快捷回复';
+      button.type = 'button';
+      button.style.right = document.getElementById('wa-translate-btn') ? '76px' : '20px';
+
+      button.onclick = () => {
+        this.toggleQuickReplyPicker(inputBox);
+      };
+
+      document.body.appendChild(button);
+    },
+
+    /**
+     * 移除快捷回复按钮和选择器
+     */
+    removeQuickReplyButton() {
+      this.closeQuickReplyPicker();
+      const button = document.getElementById('wa-quick-reply-btn');
+      if (button) {
+        button.remove();
+      }
+    },
+
+    /**
+     * 打开或关闭快捷回复选择器
+     */
+    async toggleQuickReplyPicker(inputBox) {
+      if (document.getElementById('wa-quick-reply-picker')) {
+        this.closeQuickReplyPicker();
+        return;
+      }
+
+      const picker = document.createElement('div');
+      picker.id = 'wa-quick-reply-picker';
+      picker.className = 'wa-quick-reply-picker';
+      picker.innerHTML = `
+        <input type="text" class="wa-quick-reply-search" placeholder="搜索快捷回复">
+        <div class="wa-quick-reply-list"><div class="wa-quick-reply-empty">加载中...</div></div>
+      `;
+      document.body.appendChild(picker);
+
+      let groups = [];
+      const searchInput = picker.querySelector('.wa-quick-reply-search');
+      searchInput.addEventListener('input', () => {
+        this.renderQuickReplyPicker(picker, groups, searchInput.value);
+      });
+
+      picker.addEventListener('click', async (e) => {
+        const actionBtn = e.target.closest('[data-action]');
+        if (!actionBtn) return;
+
+        const reply = groups[Number(actionBtn.dataset.group)].replies[Number(actionBtn.dataset.reply)];
+        this.closeQuickReplyPicker();
+        await this.applyQuickReply(inputBox, reply, actionBtn.dataset.action);
+      });
+
+      // 点击选择器外部时关闭
+      this._quickReplyOutsideHandler = (e) => {
+        if (!picker.contains(e.target) && e.target.id !== 'wa-quick-reply-btn') {
+          this.closeQuickReplyPicker();
+        }
+      };
+      document.addEventListener('mousedown', this._quickReplyOutsideHandler);
+
+      try {
+        const response = await window.translationAPI.getQuickReplies(this.accountId, true);
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        groups = response.data.groups;
+        this.renderQuickReplyPicker(picker, groups, '');
+        searchInput.focus();
+      } catch (error) {
+        console.error('[Translation] Failed to load quick replies:', error);
+        picker.querySelector('.wa-quick-reply-list').innerHTML = '<div class="wa-quick-reply-empty">加载快捷回复失败</div>';
+      }
+    },
+
+    /**
+     * 渲染快捷回复选择器列表
+     */
+    renderQuickReplyPicker(picker, groups, query) {
+      const keyword = query.trim().toLowerCase();
+      const list = picker.querySelector('.wa-quick-reply-list');
+
+      const html = groups.map((group, groupIndex) => {
+        const replies = group.replies
+          .map((reply, replyIndex) => ({ reply, replyIndex }))
+          .filter(({ reply }) => !keyword ||
+            reply.title.toLowerCase().includes(keyword) ||
+            reply.text.toLowerCase().includes(keyword));
+        if (replies.length === 0) return '';
+
+        return `
+          <div class="wa-quick-reply-group">${this.escapeHtml(group.name)}${group.scope === 'global' ? ' · 全局' : ''}</div>
+          ${replies.map(({ reply, replyIndex }) => `
+            <div class="wa-quick-reply-item">
+              <div class="wa-quick-reply-title">${this.escapeHtml(reply.title)}</div>
+              <div class="wa-quick-reply-actions">
+                <button type="button" data-action="original" data-group="${groupIndex}" data-reply="${replyIndex}">插入原文</button>
+                <button type="button" data-action="translate" data-group="${groupIndex}" data-reply="${replyIndex}">翻译后插入</button>
+              </div>
+            </div>
+          `).join('')}
+        `;
+      }).join('');
+
+      list.innerHTML = html || `<div class="wa-quick-reply-empty">${groups.length === 0 ? '暂无快捷回复，请在翻译设置中添加' : '没有匹配的快捷回复'}</div>`;
+    },
+
+    /**
+     * 关闭快捷回复选择器
+     */
+    closeQuickReplyPicker() {
+      const picker = document.getElementById('wa-quick-reply-picker');
+      if (picker) {
+        picker.remove();
+      }
+      if (this._quickReplyOutsideHandler) {
+        document.removeEventListener('mousedown', this._quickReplyOutsideHandler);
+        this._quickReplyOutsideHandler = null;
+      }
+    },
+
+    /**
+     * 插入快捷回复（original 插入原文；translate 插入后翻译成聊天语言）
+     */
+    async applyQuickReply(inputBox, reply, mode) {
+      const currentInputBox = inputBox && inputBox.isConnected
+        ? inputBox
+        : document.querySelector('#main footer [contenteditable="true"]');
+      if (!currentInputBox) {
+        this.showToast('找不到输入框', 'error');
+        return;
+      }
+
+      const text = this.fillQuickReplyVariables(reply.text);
+      await this.setInputBoxText(currentInputBox, text);
+
+      if (mode === 'translate') {
+        await this.translateInputBox(currentInputBox);
+      }
+    },
+
+    /**
+     * 替换快捷回复中的变量：{name} 联系人名称、{date} 日期、{time} 时间
+     */
+    fillQuickReplyVariables(text) {
+      const now = new Date();
+      const variables = {
+        name: this.getCurrentContactName(),
+        date: now.toLocaleDateString(),
+        time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      };
+
+      return text.replace(/\{(name|date|time)\}/g, (match, key) => variables[key] || '');
+    },
+
+    /**
+     * 获取当前聊天的联系人名称（聊天标题）
+     */
+    getCurrentContactName() {
+      const title = document.querySelector('#main header [data-testid="conversation-info-header-chat-title"]') ||
+                    document.querySelector('#main header span[dir="auto"]');
+      return title ? (title.getAttribute('title') || title.textContent || '').trim() : '';
+    },
+
+    /**
+     * 检测当前聊天对方使用的语言
+     */
+    async detectChatLanguage() {
+      try {
+        // 获取最近的对方消息（接收的消息）
+        const incomingMessages = document.querySelectorAll('.message-in');
+        
+        if (incomingMessages.length === 0) {
+          console.log('[Translation] No incoming messages found');
+          return 'en'; // 默认英文
+        }
+        
+        // 从最新的消息开始检测
+        for (let i = incomingMessages.length - 1; i >= Math.max(0, incomingMessages.length - 5); i--) {
+          const msg = incomingMessages[i];
+          const textElement = msg.querySelector('.selectable-text');
+          
+          if (textElement && textElement.textContent.trim()) {
+            const text = textElement.textContent.trim();
+            
+            // 调用语言检测 API
+            const result = await window.translationAPI.detectLanguage(text);
+            
+            if (result.success && result.data.language) {
+              const detectedLang = result.data.language;
+              console.log('[Translation] Detected language from message:', detectedLang, 'Text:', text.substring(0, 50));
+              
+              // 如果检测到的语言不是中文，就用这个语言
+              if (!detectedLang.startsWith('zh')) {
+                return detectedLang;
+              }
+            }
+          }
+        }
         
         // 如果对方也是中文，默认翻译成英文
         return 'en';
@@ -1911,6 +2604,49 @@
       return this.config.advanced.blockChinese || false;
     },
 
+    /**
+     * 获取聊天输入框
+     * @returns {Element|null}
+     */
+    getComposeBox() {
+      return document.querySelector('footer [contenteditable="true"]') ||
+             document.querySelector('[data-testid="conversation-compose-box-input"]') ||
+             document.querySelector('#main footer div[contenteditable="true"]');
+    },
+
+    /**
+     * 获取输入框中的文本（Lexical 编辑器按段落拼接）
+     * @param {Element|null} inputBox - 输入框
+     * @returns {string}
+     */
+    getComposeText(inputBox) {
+      if (!inputBox) return '';
+
+      if (inputBox.hasAttribute('data-lexical-editor')) {
+        const textNodes = inputBox.querySelectorAll('p, span[data-text="true"]');
+        if (textNodes.length > 0) {
+          return Array.from(textNodes).map(node => node.textContent).join('\n');
+        }
+      }
+
+      return inputBox.textContent || inputBox.innerText || '';
+    },
+
+    /**
+     * 查找事件目标所在的发送按钮
+     * @param {Element} target - 事件目标
+     * @returns {Element|null} 发送按钮，不是发送按钮时为 null
+     */
+    findSendButton(target) {
+      if (!target || typeof target.closest !== 'function') return null;
+
+      return target.closest('[data-testid="send"]') ||
+             target.closest('button[aria-label*="发送"]') ||
+             target.closest('button[aria-label*="Send"]') ||
+             target.closest('span[data-icon="send"]')?.parentElement ||
+             null;
+    },
+
     /**
      * 设置中文拦截 - 多层防御方案
      * 优化：添加初始化标志，避免重复设置
@@ -1940,36 +2676,14 @@
       
       console.log('[Translation] Setting up Chinese blocking with multi-layer defense');
       
-      // 获取输入框的辅助函数
-      const getInputBox = () => {
-        return document.querySelector('footer [contenteditable="true"]') ||
-               document.querySelector('[data-testid="conversation-compose-box-input"]') ||
-               document.querySelector('#main footer div[contenteditable="true"]');
-      };
-      
-      // 获取输入框文本的辅助函数
-      const getInputText = (inputBox) => {
-        if (!inputBox) return '';
-        
-        // 尝试多种方式获取文本
-        if (inputBox.hasAttribute('data-lexical-editor')) {
-          const textNodes = inputBox.querySelectorAll('p, span[data-text="true"]');
-          if (textNodes.length > 0) {
-            return Array.from(textNodes).map(node => node.textContent).join('\n');
-          }
-        }
-        
-        return inputBox.textContent || inputBox.innerText || '';
-      };
-      
       // 检查并拦截的核心函数
       const checkAndBlock = (e, source) => {
-        const inputBox = getInputBox();
+        const inputBox = this.getComposeBox();
         if (!inputBox) {
           return false;
         }
         
-        const text = getInputText(inputBox);
+        const text = this.getComposeText(inputBox);
         
         if (this.containsChinese(text)) {
           e.preventDefault();
@@ -2002,26 +2716,14 @@
       
       // 第3层：拦截 mousedown 事件（比 click 更早）
       this.chineseBlockMouseDownHandler = (e) => {
-        const target = e.target;
-        const sendButton = target.closest('[data-testid="send"]') || 
-                          target.closest('button[aria-label*="发送"]') ||
-                          target.closest('button[aria-label*="Send"]') ||
-                          target.closest('span[data-icon="send"]')?.parentElement;
-        
-        if (sendButton) {
+        if (this.findSendButton(e.target)) {
           checkAndBlock(e, 'mousedown on send button');
         }
       };
       
       // 第4层：拦截 click 事件（双重保险）
       this.chineseBlockClickHandler = (e) => {
-        const target = e.target;
-        const sendButton = target.closest('[data-testid="send"]') || 
-                          target.closest('button[aria-label*="发送"]') ||
-                          target.closest('button[aria-label*="Send"]') ||
-                          target.closest('span[data-icon="send"]')?.parentElement;
-        
-        if (sendButton) {
+        if (this.findSendButton(e.target)) {
           checkAndBlock(e, 'click on send button');
         }
       };
@@ -2030,10 +2732,10 @@
       this.chineseBlockInputMonitor = setInterval(() => {
         if (!this.shouldBlockChinese()) return;
         
-        const inputBox = getInputBox();
+        const inputBox = this.getComposeBox();
         if (!inputBox) return;
         
-        const text = getInputText(inputBox);
+        const text = this.getComposeText(inputBox);
         const hasChinese = this.containsChinese(text);
         
         // 查找发送按钮
@@ -2098,6 +2800,166 @@
       }
     },
 
+    /**
+     * 初始化发送消息合规策略：加载规则，并在回车和发送按钮上拦截命中规则的消息
+     * 规则在本地缓存，以便在事件处理中同步判断是否拦截
+     */
+    setupOutgoingPolicy() {
+      if (!window.translationAPI || typeof window.translationAPI.getPolicyRules !== 'function') {
+        return;
+      }
+
+      this.loadPolicyRules();
+      this._policyUnsubscribe = window.translationAPI.onPolicyChanged(() => this.loadPolicyRules());
+
+      this.policyKeydownHandler = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          this.enforceOutgoingPolicy(e, 'Enter key');
+        }
+      };
+      this.policyKeypressHandler = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          this.enforceOutgoingPolicy(e, 'Enter keypress');
+        }
+      };
+      this.policyMouseDownHandler = (e) => {
+        if (this.findSendButton(e.target)) {
+          this.enforceOutgoingPolicy(e, 'mousedown on send button');
+        }
+      };
+      this.policyClickHandler = (e) => {
+        if (this.findSendButton(e.target)) {
+          this.enforceOutgoingPolicy(e, 'click on send button');
+        }
+      };
+
+      document.addEventListener('keydown', this.policyKeydownHandler, true);
+      document.addEventListener('keypress', this.policyKeypressHandler, true);
+      document.addEventListener('mousedown', this.policyMouseDownHandler, true);
+      document.addEventListener('click', this.policyClickHandler, true);
+    },
+
+    /**
+     * 加载合规策略规则
+     */
+    async loadPolicyRules() {
+      try {
+        const response = await window.translationAPI.getPolicyRules();
+        if (response.success) {
+          this._policyRules = response.data || [];
+        }
+      } catch (error) {
+        console.error('[Translation] Failed to load policy rules:', error);
+      }
+    },
+
+    /**
+     * 判断文本是否命中策略规则（与主进程 suggestionUtils.matchesPattern 的规则一致）
+     * @param {Object} rule - 规则 { pattern, isRegex, caseSensitive }
+     * @param {string} text - 消息文本
+     * @returns {boolean}
+     */
+    matchesPolicyRule(rule, text) {
+      if (rule.isRegex) {
+        try {
+          return new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i').test(text);
+        } catch (error) {
+          return false;
+        }
+      }
+
+      const haystack = rule.caseSensitive ? text : text.toLowerCase();
+      return rule.pattern.split(',')
+        .map(keyword => keyword.trim())
+        .filter(Boolean)
+        .some(keyword => haystack.includes(rule.caseSensitive ? keyword : keyword.toLowerCase()));
+    },
+
+    /**
+     * 检查即将发送的消息，按命中规则中最严重的动作拦截、提醒或放行并记录
+     * @param {Event} e - 发送事件
+     * @param {string} source - 事件来源（日志用）
+     * @returns {boolean} 是否拦截
+     */
+    enforceOutgoingPolicy(e, source) {
+      const text = this.getComposeText(this.getComposeBox()).trim();
+      if (!text || this._policyRules.length === 0) {
+        return false;
+      }
+
+      // 同一次发送（keydown/keypress、mousedown/click）只检查和记录一次
+      const last = this._policyLastCheck;
+      if (last && last.text === text && Date.now() - last.time < this.POLICY_DEDUPE_WINDOW) {
+        if (!last.allowed) {
+          e.preventDefault();
+          e.stopPropagation();
+          e.stopImmediatePropagation();
+        }
+        return !last.allowed;
+      }
+
+      // 中文拦截会阻止这次发送，由它处理
+      if (this.shouldBlockChinese() && this.containsChinese(text)) {
+        return false;
+      }
+
+      const matched = this._policyRules.filter(rule => rule.enabled && this.matchesPolicyRule(rule, text));
+      if (matched.length === 0) {
+        return false;
+      }
+
+      const action = ['block', 'warn', 'log'].find(item => matched.some(rule => rule.action === item));
+      const ruleNames = matched.map(rule => rule.name || rule.pattern).join('、');
+      let outcome = 'sent';
+
+      if (action === 'block') {
+        outcome = 'blocked';
+        this.showToast(`消息包含敏感词（${ruleNames}），已阻止发送`, 'error');
+      } else if (action === 'warn' && !confirm(`消息包含敏感词（${ruleNames}），确定要发送吗？`)) {
+        outcome = 'cancelled';
+      }
+
+      const allowed = outcome === 'sent';
+      if (!allowed) {
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+      }
+
+      this._policyLastCheck = { text, time: Date.now(), allowed };
+      console.log(`[Translation] Outgoing policy ${outcome} via ${source}`);
+
+      window.translationAPI.logPolicyEvent(this.accountId, {
+        contactId: this.getCurrentContactId(),
+        rules: matched.map(rule => ({ id: rule.id, name: rule.name || rule.pattern, action: rule.action })),
+        outcome
+      }).catch(error => console.error('[Translation] Failed to log policy event:', error));
+
+      return !allowed;
+    },
+
+    /**
+     * 清理发送消息合规策略的监听器
+     */
+    cleanupOutgoingPolicy() {
+      [
+        ['keydown', 'policyKeydownHandler'],
+        ['keypress', 'policyKeypressHandler'],
+        ['mousedown', 'policyMouseDownHandler'],
+        ['click', 'policyClickHandler']
+      ].forEach(([type, key]) => {
+        if (this[key]) {
+          document.removeEventListener(type, this[key], true);
+          this[key] = null;
+        }
+      });
+
+      if (this._policyUnsubscribe) {
+        this._policyUnsubscribe();
+        this._policyUnsubscribe = null;
+      }
+    },
+
     /**
      * 显示非阻塞提示消息
      */
@@ -2336,7 +3198,9 @@
           targetLang: targetLang,
           engineName: config.engine,
           options: {
-            style: config.style // 输入框翻译使用风格参数
+            style: config.style, // 输入框翻译使用风格参数
+            ...this.getRoutingOptions('outbound'),
+            ...(await this.getConversationContextOptions(config.engine))
           }
         });
 
@@ -2670,7 +3534,8 @@
               targetLang: targetLang,
               engineName: config.engine,
               options: {
-                style: config.style // 实时翻译使用风格参数
+                style: config.style, // 实时翻译使用风格参数
+                ...this.getRoutingOptions('outbound')
               }
             });
             
@@ -2843,12 +3708,13 @@
 
     /**
      * 计算两个文本的相似度（用于反向翻译验证）
+     * 翻译记忆库的模糊匹配（utils/similarityUtils.js）使用相同的算法，修改时需保持一致
      */
     calculateSimilarity(text1, text2) {
       // 转换为小写并去除标点符号
       const normalize = (text) => {
         return text.toLowerCase()
-          .replace(/[^\w\s\u4e00-\u9fa5]/g, '')
+          .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
           .replace(/\s+/g, ' ')
           .trim();
       };
@@ -3012,1794 +3878,5434 @@
     },
 
     /**
-     * 监听聊天窗口切换
-     * 优化：添加防抖，避免频繁触发
+     * 创建客户画像侧边栏（默认折叠，点击右侧 👤 按钮展开）
      */
-    observeChatSwitch() {
-      console.log('[Translation] Setting up chat switch observer');
-      
-      // 监听 URL 变化（WhatsApp Web 使用 hash 路由）
-      let lastUrl = location.href;
-      let urlChangeTimer = null;
-      
-      const urlObserver = new MutationObserver(() => {
-        const currentUrl = location.href;
-        if (currentUrl !== lastUrl) {
-          lastUrl = currentUrl;
-          console.log('[Translation] Chat switched, re-translating messages');
-          
-          // 清除之前的定时器
-          if (urlChangeTimer) {
-            clearTimeout(urlChangeTimer);
-          }
-          
-          // 延迟一下，等待新聊天加载
-          urlChangeTimer = setTimeout(() => {
-            this.translateExistingMessages();
-            
-            // 重置初始化标志，允许重新初始化
-            this._chineseBlockInitialized = false;
-            this._realtimeInitialized = false;
-            
-            this.observeInputBox(); // 重新设置输入框
-            this.setupChineseBlock(); // 重新设置中文拦截
-            this.showFriendConfigIndicator(); // 显示独立配置标识
-          }, 500);
-        }
-      });
-
-      // 观察 document.body 的变化
-      urlObserver.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
+    setupContactPanel() {
+      if (!window.translationAPI || typeof window.translationAPI.getContactProfile !== 'function' ||
+          document.getElementById('wa-contact-panel')) {
+        return;
+      }
 
-      // 也监听 #main 容器的变化
-      const mainContainer = document.querySelector('#main');
-      if (mainContainer) {
-        let chatChangeTimer = null;
-        
-        const chatObserver = new MutationObserver((mutations) => {
-          // 清除之前的定时器
-          if (chatChangeTimer) {
-            clearTimeout(chatChangeTimer);
-          }
-          
-          // 500ms 防抖
-          chatChangeTimer = setTimeout(() => {
-            // 检查是否有大的 DOM 变化（可能是切换聊天）
-            const hasSignificantChange = mutations.some(m => 
-              m.addedNodes.length > 5 || m.removedNodes.length > 5
-            );
-            
-            if (hasSignificantChange) {
-              console.log('[Translation] Significant DOM change detected');
-              setTimeout(() => {
-                this.translateExistingMessages();
-                
-                // 重置初始化标志，允许重新初始化
-                this._chineseBlockInitialized = false;
-                this._realtimeInitialized = false;
-                
-                this.observeInputBox(); // 重新设置输入框和翻译按钮
-                this.setupChineseBlock(); // 重新设置中文拦截
-                this.showFriendConfigIndicator(); // 显示独立配置标识
-              }, 300);
-            }
-          }, 500);
-        });
+      const toggle = document.createElement('button');
+      toggle.id = 'wa-contact-panel-toggle';
+      toggle.className = 'wa-contact-panel-toggle';
+      toggle.type = 'button';
+      toggle.innerHTML = '👤';
+      toggle.title = '客户画像';
+
+      const panel = document.createElement('div');
+      panel.id = 'wa-contact-panel';
+      panel.className = 'wa-contact-panel';
+      panel.style.display = 'none';
+      panel.innerHTML = `
+        <div class="wa-contact-panel-header">
+          <span>👤 客户画像</span>
+          <button type="button" class="wa-contact-panel-close" title="收起">›</button>
+        </div>
+        <div class="wa-contact-panel-id"></div>
+        <div class="wa-contact-panel-body">
+          <div class="wa-contact-group">标签（点击切换）</div>
+          <div class="wa-contact-tag-chips"></div>
+          <div class="wa-contact-tag-add">
+            <input type="text" class="wa-contact-tag-name" maxlength="32" placeholder="新标签名称">
+            <input type="color" class="wa-contact-tag-color" value="#1e88e5">
+            <button type="button" data-action="create-tag">添加</button>
+          </div>
 
-        chatObserver.observe(mainContainer, {
-          childList: true,
-          subtree: false // 只观察直接子节点
-        });
-      }
-      
-      // 初始显示标识
-      setTimeout(() => {
-        this.showFriendConfigIndicator();
-      }, 1000);
-    },
+          <div class="wa-contact-group">跟进提醒</div>
+          <div class="wa-contact-reminders"></div>
+          <input type="datetime-local" class="wa-contact-reminder-due" title="提醒时间">
+          <input type="text" class="wa-contact-reminder-note" maxlength="500" placeholder="提醒备注（可选），如 明天回复报价">
+          <div class="wa-contact-actions">
+            <button type="button" data-action="add-reminder">添加提醒</button>
+          </div>
 
-    /**
-     * 注入样式
-     */
-    injectStyles() {
-      const style = document.createElement('style');
-      style.id = 'wa-translation-styles';
-      style.textContent = `
-        /* 翻译结果样式 */
-        .wa-translation-result {
-          margin-top: 8px;
-          padding: 8px 12px;
-          background: rgba(0, 0, 0, 0.05);
-          border-radius: 8px;
-          font-size: 14px;
-          line-height: 1.5;
-          animation: fadeIn 0.3s ease-in;
-        }
+          <div class="wa-contact-group">客户信息</div>
+          <input type="text" data-field="nickname" maxlength="100" placeholder="昵称备注">
+          <input type="text" data-field="phone" maxlength="32" placeholder="电话">
+          <input type="text" data-field="address" maxlength="200" placeholder="地址">
+          <label>生日 <input type="date" data-field="birthday"></label>
+          <select data-field="gender">
+            <option value="">性别</option>
+            <option value="female">女</option>
+            <option value="male">男</option>
+            <option value="other">其他</option>
+          </select>
+          <input type="text" data-field="country" maxlength="64" placeholder="国家">
+          <input type="text" data-field="tags" placeholder="客户标签，用逗号分隔">
+          <textarea data-field="remark" maxlength="200" rows="2" placeholder="备注（200 字）"></textarea>
+
+          <div class="wa-contact-group">销售信息</div>
+          <select data-field="valueTier">
+            <option value="">客户价值</option>
+            <option value="high">高价值</option>
+            <option value="medium">中等</option>
+            <option value="low">低价值</option>
+          </select>
+          <select data-field="salesStage">
+            <option value="">销售阶段</option>
+            <option value="initial">初步接触</option>
+            <option value="following">跟进中</option>
+            <option value="closed">成交</option>
+            <option value="repurchase">复购</option>
+          </select>
+          <select data-field="source">
+            <option value="">社媒来源</option>
+            <option value="whatsapp">WhatsApp</option>
+            <option value="facebook">Facebook</option>
+            <option value="telegram">Telegram</option>
+            <option value="twitter">Twitter</option>
+            <option value="tiktok">TikTok</option>
+            <option value="other">其他</option>
+          </select>
+
+          <div class="wa-contact-group">公司信息</div>
+          <input type="text" data-field="company" maxlength="100" placeholder="公司名称">
+          <input type="text" data-field="department" maxlength="100" placeholder="部门">
+          <input type="text" data-field="position" maxlength="100" placeholder="职位">
+
+          <div class="wa-contact-actions">
+            <button type="button" data-action="save">保存</button>
+            <button type="button" data-action="delete">删除资料</button>
+            <button type="button" data-action="export">导出 CSV</button>
+          </div>
 
-        @keyframes fadeIn {
-          from {
-            opacity: 0;
-            transform: translateY(-5px);
-          }
-          to {
-            opacity: 1;
-            transform: translateY(0);
-          }
-        }
+          <div class="wa-contact-group">备注录</div>
+          <textarea class="wa-contact-note-input" maxlength="300" rows="2" placeholder="跟进记录（300 字）"></textarea>
+          <div class="wa-contact-actions">
+            <button type="button" data-action="add-note">添加备注</button>
+          </div>
+          <div class="wa-contact-notes"></div>
+        </div>
+      `;
 
-        .wa-translation-result.wa-translation-error {
-          background: rgba(255, 0, 0, 0.1);
-          border-left: 3px solid #ff4444;
+      toggle.onclick = () => {
+        const open = panel.style.display === 'none';
+        panel.style.display = open ? 'flex' : 'none';
+        if (open) {
+          this.refreshContactPanel();
         }
+      };
 
-        .translation-header {
-          display: flex;
-          align-items: center;
-          gap: 6px;
-          margin-bottom: 4px;
-          font-size: 12px;
-          color: #667781;
-          font-weight: 500;
+      panel.addEventListener('click', (e) => {
+        if (e.target.closest('.wa-contact-panel-close')) {
+          panel.style.display = 'none';
+          return;
         }
 
-        .translation-icon {
-          font-size: 14px;
-        }
+        const actionBtn = e.target.closest('[data-action]');
+        if (!actionBtn) return;
+
+        const actions = {
+          save: () => this.saveContactPanel(),
+          delete: () => this.deleteContactProfile(),
+          export: () => this.exportContactProfiles(),
+          'add-note': () => this.addContactNote(),
+          'remove-note': () => this.removeContactNote(actionBtn.dataset.note),
+          'toggle-tag': () => this.toggleContactTag(Number(actionBtn.dataset.index)),
+          'create-tag': () => this.createContactTag(),
+          'add-reminder': () => this.addContactReminder(),
+          'snooze-reminder': () => this.updateContactReminder('snoozeReminder', actionBtn.dataset.reminder, 60),
+          'done-reminder': () => this.updateContactReminder('deleteReminder', actionBtn.dataset.reminder)
+        };
+        actions[actionBtn.dataset.action]();
+      });
 
-        .translation-cached {
-          margin-left: auto;
-          font-size: 12px;
-          opacity: 0.7;
-        }
+      document.body.appendChild(toggle);
+      document.body.appendChild(panel);
+    },
 
-        .translation-text {
-          color: #111b21;
-          word-wrap: break-word;
-          white-space: pre-wrap;
-        }
+    /**
+     * 加载当前联系人的客户资料（侧边栏折叠时跳过）
+     */
+    async refreshContactPanel() {
+      const panel = document.getElementById('wa-contact-panel');
+      if (!panel || panel.style.display === 'none') {
+        return;
+      }
 
-        /* 翻译按钮样式 */
-        .wa-translate-btn {
-          padding: 8px;
-          background: transparent;
-          border: none;
-          cursor: pointer;
-          font-size: 20px;
-          border-radius: 50%;
-          transition: all 0.2s ease;
-          display: inline-flex;
-          align-items: center;
-          justify-content: center;
-          width: 40px;
-          height: 40px;
-        }
+      const contactId = this.getCurrentContactId();
+      panel.dataset.contactId = contactId || '';
+      panel.querySelector('.wa-contact-panel-id').textContent = contactId || '请先打开一个聊天';
+      panel.querySelector('.wa-contact-panel-body').style.display = contactId ? '' : 'none';
+      if (!contactId) {
+        return;
+      }
 
-        .wa-translate-btn:hover {
-          background: rgba(0, 0, 0, 0.05);
-          transform: scale(1.1);
+      try {
+        const response = await window.translationAPI.getContactProfile(this.accountId, contactId);
+        if (!response.success) {
+          throw new Error(response.error);
         }
-
-        .wa-translate-btn:active {
-          transform: scale(0.95);
+        // 加载期间已切换到其他聊天
+        if (panel.dataset.contactId !== contactId) {
+          return;
         }
+        this.renderContactPanel(panel, response.data, contactId);
+        this.renderContactTagChips();
+        this.loadContactReminders();
+      } catch (error) {
+        console.error('[Translation] Failed to load contact profile:', error);
+        this.showToast('加载客户资料失败', 'error');
+      }
+    },
 
-        .wa-translate-btn:disabled {
-          opacity: 0.5;
-          cursor: not-allowed;
+    /**
+     * 填充客户资料表单（新联系人的 ID 是电话号码时预填电话）
+     */
+    renderContactPanel(panel, profile, contactId) {
+      panel.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        if (!profile) {
+          input.value = field === 'phone' && /^\+?[\d\s()-]{6,}$/.test(contactId) ? contactId : '';
+        } else {
+          input.value = field === 'tags' ? profile.tags.join(', ') : (profile[field] || '');
         }
+      });
 
-        /* 实时翻译预览 */
-        .wa-realtime-preview {
-          padding: 12px;
-          background: rgba(0, 150, 255, 0.1);
-          border-left: 3px solid #0096ff;
-          margin: 8px 0;
-          border-radius: 8px;
-          font-size: 14px;
-        }
+      const notes = profile ? profile.notes : [];
+      panel.querySelector('.wa-contact-notes').innerHTML = notes.length > 0
+        ? notes.map(note => `
+          <div class="wa-contact-note">
+            <div class="wa-contact-note-time">${new Date(note.createdAt).toLocaleString()}
+              <button type="button" data-action="remove-note" data-note="${note.id}" title="删除">×</button>
+            </div>
+            <div>${this.escapeHtml(note.text)}</div>
+          </div>
+        `).join('')
+        : '<div class="wa-contact-note-empty">暂无备注</div>';
+    },
 
-        .wa-realtime-preview .translation-header {
-          color: #0096ff;
-          margin-bottom: 8px;
-        }
+    /**
+     * 保存侧边栏中的客户资料
+     */
+    async saveContactPanel() {
+      const panel = document.getElementById('wa-contact-panel');
+      const contactId = panel.dataset.contactId;
+      if (!contactId) return;
+
+      const profile = {};
+      panel.querySelectorAll('[data-field]').forEach(input => {
+        profile[input.dataset.field] = input.dataset.field === 'tags'
+          ? input.value.split(/[,，]/).map(tag => tag.trim()).filter(Boolean)
+          : input.value;
+      });
 
-        .wa-realtime-preview .translation-loading {
-          color: #667781;
-          font-style: italic;
-        }
+      const response = await window.translationAPI.saveContactProfile(this.accountId, contactId, profile);
+      if (response.success) {
+        this.renderContactPanel(panel, response.data, contactId);
+        this.showToast('客户资料已保存', 'success');
+        // 电话可能刚刚填写，重新检查重复客户
+        this.checkDuplicateContact();
+      } else {
+        this.showToast('保存客户资料失败：' + response.error, 'error');
+      }
+    },
 
+    /**
+     * 删除当前联系人的客户资料
+     */
+    async deleteContactProfile() {
+      const panel = document.getElementById('wa-contact-panel');
+      const contactId = panel.dataset.contactId;
+      if (!contactId || !confirm('确定删除该联系人的客户资料和备注录吗？')) return;
+
+      const response = await window.translationAPI.deleteContactProfile(this.accountId, contactId);
+      if (response.success) {
+        this.renderContactPanel(panel, null, contactId);
+        this.showToast('客户资料已删除', 'success');
+      } else {
+        this.showToast('删除客户资料失败：' + response.error, 'error');
+      }
+    },
 
+    /**
+     * 添加备注录
+     */
+    async addContactNote() {
+      const panel = document.getElementById('wa-contact-panel');
+      const contactId = panel.dataset.contactId;
+      const input = panel.querySelector('.wa-contact-note-input');
+      if (!contactId || !input.value.trim()) return;
+
+      const response = await window.translationAPI.addContactNote(this.accountId, contactId, input.value);
+      if (response.success) {
+        input.value = '';
+        this.renderContactPanel(panel, response.data, contactId);
+      } else {
+        this.showToast('添加备注失败：' + response.error, 'error');
+      }
+    },
 
-        /* 输入框反向翻译样式 */
-        .wa-input-reverse-translation {
-          animation: slideDown 0.3s ease;
-        }
+    /**
+     * 删除备注录
+     */
+    async removeContactNote(noteId) {
+      const panel = document.getElementById('wa-contact-panel');
+      const contactId = panel.dataset.contactId;
 
-        @keyframes slideDown {
-          from {
-            opacity: 0;
-            transform: translateY(-10px);
-          }
-          to {
-            opacity: 1;
-            transform: translateY(0);
-          }
-        }
+      const response = await window.translationAPI.removeContactNote(this.accountId, contactId, noteId);
+      if (response.success) {
+        this.renderContactPanel(panel, response.data, contactId);
+      } else {
+        this.showToast('删除备注失败：' + response.error, 'error');
+      }
+    },
 
-        @keyframes slideUp {
-          from {
-            opacity: 1;
-            transform: translateY(0);
-          }
-          to {
-            opacity: 0;
-            transform: translateY(-10px);
-          }
-        }
+    /**
+     * 导出当前账号的客户资料为 CSV 文件
+     */
+    async exportContactProfiles() {
+      const response = await window.translationAPI.exportContactProfiles({ accountId: this.accountId, format: 'csv' });
+      if (!response.success) {
+        this.showToast('导出失败：' + response.error, 'error');
+        return;
+      }
 
-        .reverse-header {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          margin-bottom: 12px;
-          font-weight: 500;
-        }
+      // 添加 BOM 便于 Excel 正确识别 UTF-8
+      const blob = new Blob(['\uFEFF' + response.data], { type: 'text/csv;charset=utf-8' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `contact-profiles-${this.accountId}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
 
-        .reverse-icon {
-          font-size: 16px;
-        }
+    /**
+     * 初始化跟进提醒：订阅提醒修改和打开聊天的请求，并打开切换账号前请求的聊天
+     */
+    setupReminders() {
+      if (!window.translationAPI || typeof window.translationAPI.getReminders !== 'function') {
+        return;
+      }
 
-        .reverse-title {
-          color: #9c27b0;
-          font-size: 13px;
+      this._remindersUnsubscribe = window.translationAPI.onRemindersChanged(() => this.loadContactReminders());
+      this._openChatUnsubscribe = window.translationAPI.onOpenChatRequest(() => this.openPendingChat());
+      this.openPendingChat();
+    },
+
+    /**
+     * 加载当前联系人的跟进提醒（侧边栏折叠时跳过）
+     */
+    async loadContactReminders() {
+      const panel = document.getElementById('wa-contact-panel');
+      const contactId = panel && panel.style.display !== 'none' ? panel.dataset.contactId : '';
+      if (!contactId || !window.translationAPI.getReminders) {
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.getReminders({ accountId: this.accountId, contactId });
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        if (panel.dataset.contactId !== contactId) {
+          return;
         }
 
-        .reverse-close {
-          margin-left: auto;
-          background: transparent;
-          border: none;
-          font-size: 20px;
-          color: #667781;
-          cursor: pointer;
-          padding: 0;
-          width: 24px;
-          height: 24px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          border-radius: 50%;
-          transition: background 0.2s;
-        }
+        const now = Date.now();
+        panel.querySelector('.wa-contact-reminders').innerHTML = response.data.length > 0
+          ? response.data.map(reminder => `
+            <div class="wa-contact-note wa-contact-reminder${reminder.dueAt <= now ? ' due' : ''}">
+              <div class="wa-contact-note-time">${new Date(reminder.dueAt).toLocaleString()}${reminder.dueAt <= now ? '（已到期）' : ''}
+                <span>
+                  <button type="button" data-action="snooze-reminder" data-reminder="${reminder.id}" title="1 小时后再提醒">稍后</button>
+                  <button type="button" data-action="done-reminder" data-reminder="${reminder.id}" title="完成">✓</button>
+                </span>
+              </div>
+              ${reminder.note ? `<div>${this.escapeHtml(reminder.note)}</div>` : ''}
+            </div>
+          `).join('')
+          : '<div class="wa-contact-note-empty">暂无提醒</div>';
+      } catch (error) {
+        console.error('[Translation] Failed to load reminders:', error);
+      }
+    },
 
-        .reverse-close:hover {
-          background: rgba(0, 0, 0, 0.05);
-        }
+    /**
+     * 为当前联系人添加跟进提醒
+     */
+    async addContactReminder() {
+      const panel = document.getElementById('wa-contact-panel');
+      const contactId = panel.dataset.contactId;
+      const dueInput = panel.querySelector('.wa-contact-reminder-due');
+      const noteInput = panel.querySelector('.wa-contact-reminder-note');
+      if (!contactId) return;
+
+      // datetime-local 的值按本地时间解析
+      const dueAt = dueInput.value ? new Date(dueInput.value).getTime() : NaN;
+      if (!Number.isFinite(dueAt)) {
+        this.showToast('请选择提醒时间', 'error');
+        return;
+      }
 
-        .reverse-content {
-          display: flex;
-          flex-direction: column;
-          gap: 8px;
-        }
+      const response = await window.translationAPI.addReminder(this.accountId, { contactId, note: noteInput.value, dueAt });
+      if (response.success) {
+        dueInput.value = '';
+        noteInput.value = '';
+        this.showToast('提醒已添加', 'success');
+      } else {
+        this.showToast('添加提醒失败：' + response.error, 'error');
+      }
+    },
 
-        .reverse-item {
-          background: rgba(255, 255, 255, 0.5);
-          padding: 8px;
-          border-radius: 4px;
-        }
+    /**
+     * 稍后提醒或完成提醒（列表通过 reminder:changed 刷新）
+     * @param {string} method - 'snoozeReminder' | 'deleteReminder'
+     * @param {string} reminderId - 提醒 ID
+     * @param {...*} args - 额外参数（稍后提醒的分钟数）
+     */
+    async updateContactReminder(method, reminderId, ...args) {
+      const response = await window.translationAPI[method](reminderId, ...args);
+      if (!response.success) {
+        this.showToast('操作失败：' + response.error, 'error');
+      }
+    },
 
-        .reverse-label {
-          font-size: 11px;
-          color: #667781;
-          font-weight: 600;
-          margin-bottom: 4px;
+    /**
+     * 打开点击提醒后请求的聊天
+     */
+    async openPendingChat() {
+      try {
+        const response = await window.translationAPI.takePendingChat(this.accountId);
+        if (response.success && response.data) {
+          this.openChatByContactId(response.data);
         }
+      } catch (error) {
+        console.error('[Translation] Failed to get pending chat:', error);
+      }
+    },
 
-        .reverse-text {
-          font-size: 13px;
-          color: #111b21;
-          line-height: 1.4;
-        }
+    /**
+     * 在聊天列表中找到联系人并打开聊天
+     * @param {string} contactId - 联系人（聊天标题）
+     * @param {number} [attempt] - 当前重试次数（聊天列表可能还在加载）
+     */
+    openChatByContactId(contactId, attempt = 0) {
+      if (this.getCurrentContactId() === contactId) {
+        return;
+      }
 
-        .reverse-error {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          color: #ef4444;
-          font-size: 12px;
-        }
+      const chat = Array.from(document.querySelectorAll('#pane-side [role="listitem"], #pane-side [role="row"]'))
+        .map(row => this.parseChatRow(row))
+        .find(item => item && item.contactId === contactId);
 
+      if (chat) {
+        this.openFilteredChat(chat);
+      } else if (attempt < 10) {
+        setTimeout(() => this.openChatByContactId(contactId, attempt + 1), 1000);
+      } else {
+        this.showToast(`聊天列表中未找到 ${contactId}，请手动搜索`, 'error');
+      }
+    },
 
+    /**
+     * 初始化联系人标签：加载主进程中的标签，订阅其他视图的修改，并添加聊天列表筛选入口
+     */
+    setupContactTags() {
+      if (!window.translationAPI || typeof window.translationAPI.getContactTags !== 'function' ||
+          document.getElementById('wa-chat-filter-toggle')) {
+        return;
+      }
 
-        /* 深色模式支持 */
-        [data-theme="dark"] .wa-translation-result {
-          background: rgba(255, 255, 255, 0.1);
-        }
+      this.loadContactTags();
 
-        [data-theme="dark"] .translation-text {
-          color: #e9edef;
-        }
+      if (!this._tagsUnsubscribe && typeof window.translationAPI.onTagsChanged === 'function') {
+        this._tagsUnsubscribe = window.translationAPI.onTagsChanged(({ accountId }) => {
+          if (accountId === this.accountId) {
+            this.loadContactTags();
+          }
+        });
+      }
 
-        [data-theme="dark"] .translation-header {
-          color: #8696a0;
+      const toggle = document.createElement('button');
+      toggle.id = 'wa-chat-filter-toggle';
+      toggle.className = 'wa-chat-filter-toggle';
+      toggle.type = 'button';
+      toggle.textContent = '🏷️';
+      toggle.title = '联系人筛选';
+      toggle.onclick = () => {
+        if (document.getElementById('wa-chat-filter')) {
+          this.closeChatFilter();
+        } else {
+          this.openChatFilter();
         }
+      };
+      document.body.appendChild(toggle);
+    },
 
-        [data-theme="dark"] .wa-translate-btn:hover {
-          background: rgba(255, 255, 255, 0.1);
+    /**
+     * 从主进程加载标签，并刷新侧边栏和筛选面板
+     */
+    async loadContactTags() {
+      try {
+        const response = await window.translationAPI.getContactTags(this.accountId);
+        if (!response.success) {
+          throw new Error(response.error);
         }
+        this._contactTags = response.data;
+        this.renderContactTagChips();
+        this.renderChatFilter();
+      } catch (error) {
+        console.error('[Translation] Failed to load contact tags:', error);
+      }
+    },
 
-        [data-theme="dark"] .wa-realtime-preview {
-          background: rgba(0, 150, 255, 0.15);
-        }
+    /**
+     * 在客户画像侧边栏中显示所有标签，已分配给当前联系人的标签实心显示
+     */
+    renderContactTagChips() {
+      const panel = document.getElementById('wa-contact-panel');
+      if (!panel || !panel.dataset.contactId) return;
+
+      const assigned = this._contactTags.assignments[panel.dataset.contactId] || [];
+      const container = panel.querySelector('.wa-contact-tag-chips');
+      container.innerHTML = this._contactTags.tags.length > 0
+        ? this._contactTags.tags.map((tag, index) => `
+          <button type="button" class="wa-tag-chip${assigned.includes(tag.id) ? ' active' : ''}" data-action="toggle-tag" data-index="${index}">${this.escapeHtml(tag.name)}</button>
+        `).join('')
+        : '<div class="wa-contact-note-empty">暂无标签</div>';
+
+      // 颜色来自主进程规范化后的 #rrggbb 值，通过样式属性设置而不是拼接到 HTML
+      container.querySelectorAll('.wa-tag-chip').forEach(chip => {
+        chip.style.setProperty('--tag-color', this._contactTags.tags[Number(chip.dataset.index)].color);
+      });
+    },
 
-        [data-theme="dark"] .wa-translation-result.wa-translation-error {
-          background: rgba(255, 68, 68, 0.15);
-        }
+    /**
+     * 切换当前联系人的标签
+     * @param {number} index - 标签序号
+     */
+    async toggleContactTag(index) {
+      const panel = document.getElementById('wa-contact-panel');
+      const contactId = panel.dataset.contactId;
+      const tag = this._contactTags.tags[index];
+      if (!contactId || !tag) return;
+
+      const current = this._contactTags.assignments[contactId] || [];
+      const tagIds = current.includes(tag.id) ? current.filter(id => id !== tag.id) : [...current, tag.id];
+
+      const response = await window.translationAPI.setContactTags(this.accountId, contactId, tagIds);
+      if (response.success) {
+        this._contactTags.assignments[contactId] = response.data;
+        this.renderContactTagChips();
+        this.renderChatFilter();
+      } else {
+        this.showToast('保存标签失败：' + response.error, 'error');
+      }
+    },
 
-        /* 响应式设计 */
-        @media (max-width: 768px) {
-          .wa-translation-result {
-            font-size: 13px;
-            padding: 6px 10px;
-          }
+    /**
+     * 从侧边栏创建标签并分配给当前联系人
+     */
+    async createContactTag() {
+      const panel = document.getElementById('wa-contact-panel');
+      const nameInput = panel.querySelector('.wa-contact-tag-name');
+      const name = nameInput.value.trim();
+      if (!name) return;
+
+      const response = await window.translationAPI.saveContactTag(this.accountId, {
+        name,
+        color: panel.querySelector('.wa-contact-tag-color').value
+      });
+      if (!response.success) {
+        this.showToast('添加标签失败：' + response.error, 'error');
+        return;
+      }
 
-          .translation-header {
-            font-size: 11px;
-          }
+      nameInput.value = '';
+      this._contactTags.tags.push(response.data);
+      await this.toggleContactTag(this._contactTags.tags.length - 1);
+    },
 
-          .wa-translate-btn {
-            width: 36px;
-            height: 36px;
-            font-size: 18px;
-          }
-        }
+    /**
+     * 解析聊天列表中的一行
+     * 行内没有联系人 JID，标签按行标题（与未保存 URL 时 getCurrentContactId 返回的聊天名称一致）匹配
+     * @param {Element} row - 聊天列表行
+     * @returns {Object|null} { row, contactId, isGroup, unread, lastFromMe }
+     */
+    parseChatRow(row) {
+      const title = row.querySelector('span[title]');
+      const contactId = title ? title.getAttribute('title').trim() : '';
+      if (!contactId) return null;
 
-        /* 打印样式 */
-        @media print {
-          .wa-translate-btn {
-            display: none;
-          }
+      return {
+        row,
+        contactId,
+        isGroup: Boolean(row.querySelector('[data-icon="default-group"], [data-icon="group"], [data-testid="default-group"]')),
+        unread: Boolean(row.querySelector('[aria-label*="unread" i], [aria-label*="未读"], [data-testid="icon-unread-count"]')),
+        // 最后一条消息是自己发出的会显示发送状态图标
+        lastFromMe: Boolean(row.querySelector(
+          '[data-icon="status-check"], [data-icon="status-dblcheck"], [data-icon="status-time"], ' +
+          '[data-icon="msg-check"], [data-icon="msg-dblcheck"], [data-icon="msg-time"], [data-testid="last-msg-status"]'
+        ))
+      };
+    },
 
-          .wa-translation-result {
-            background: #f5f5f5;
-            border: 1px solid #ddd;
-          }
-        }
+    /**
+     * 判断聊天是否匹配筛选条件
+     * @param {Object} chat - parseChatRow 的结果
+     * @param {Object} filter - { tagId, type: '' | 'private' | 'group', status: '' | 'unread' | 'unanswered' | 'read-unanswered' }
+     * @returns {boolean}
+     */
+    matchesChatFilter(chat, filter) {
+      if (filter.tagId && !(this._contactTags.assignments[chat.contactId] || []).includes(filter.tagId)) return false;
+      if (filter.type === 'private' && chat.isGroup) return false;
+      if (filter.type === 'group' && !chat.isGroup) return false;
+      if (filter.status === 'unread') return chat.unread;
+      if (filter.status === 'unanswered') return !chat.lastFromMe;
+      if (filter.status === 'read-unanswered') return !chat.lastFromMe && !chat.unread;
+      return true;
+    },
 
-        /* ==================== 设置面板样式 ==================== */
-        
-        .wa-translation-settings {
-          position: fixed;
-          top: 0;
-          left: 0;
-          width: 100%;
-          height: 100%;
-          background: rgba(0, 0, 0, 0.5);
-          display: none;
-          justify-content: center;
-          align-items: center;
-          z-index: 999999;
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-          opacity: 0;
-          transition: opacity 0.3s ease;
-        }
+    /**
+     * 打开聊天列表筛选面板（覆盖在聊天列表上方）
+     */
+    openChatFilter() {
+      const overlay = document.createElement('div');
+      overlay.id = 'wa-chat-filter';
+      overlay.className = 'wa-chat-filter';
+      overlay.innerHTML = `
+        <div class="wa-chat-filter-header">
+          <span>🏷️ 联系人筛选</span>
+          <button type="button" class="wa-chat-filter-close" title="关闭">×</button>
+        </div>
+        <div class="wa-chat-filter-controls">
+          <select data-filter="tagId"></select>
+          <select data-filter="type">
+            <option value="">全部会话</option>
+            <option value="private">私聊</option>
+            <option value="group">群聊</option>
+          </select>
+          <select data-filter="status">
+            <option value="">全部消息</option>
+            <option value="unread">未读</option>
+            <option value="unanswered">未回</option>
+            <option value="read-unanswered">已读未回</option>
+          </select>
+        </div>
+        <div class="wa-chat-filter-results"></div>
+        <div class="wa-chat-filter-hint">只包含聊天列表中已加载的聊天，向下滚动列表可加载更多</div>
+      `;
 
-        .wa-translation-settings.show {
-          opacity: 1;
-        }
+      // 覆盖在聊天列表区域上
+      const pane = document.querySelector('#pane-side');
+      if (pane) {
+        const rect = pane.getBoundingClientRect();
+        Object.assign(overlay.style, {
+          top: `${rect.top}px`,
+          left: `${rect.left}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+      }
 
-        .settings-overlay {
-          position: absolute;
-          top: 0;
-          left: 0;
-          width: 100%;
-          height: 100%;
-          background: transparent;
-          cursor: pointer;
+      overlay.querySelector('.wa-chat-filter-close').onclick = () => this.closeChatFilter();
+      overlay.querySelectorAll('[data-filter]').forEach(select => {
+        select.onchange = () => this.renderChatFilter();
+      });
+      overlay.querySelector('.wa-chat-filter-results').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-index]');
+        if (item) {
+          this.openFilteredChat(this._chatFilterResults[Number(item.dataset.index)]);
         }
+      });
+      document.body.appendChild(overlay);
 
-        .settings-container {
-          position: relative;
-          width: 90%;
-          max-width: 600px;
-          max-height: 90vh;
-          background: #ffffff;
-          border-radius: 12px;
-          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-          display: flex;
-          flex-direction: column;
-          transform: scale(0.9);
-          transition: transform 0.3s ease;
-        }
+      // 聊天列表变化（新消息、滚动加载）时刷新结果
+      if (pane) {
+        this._chatFilterObserver = new MutationObserver(() => {
+          clearTimeout(this._chatFilterTimer);
+          this._chatFilterTimer = setTimeout(() => this.renderChatFilter(), 300);
+        });
+        this._chatFilterObserver.observe(pane, { childList: true, subtree: true, characterData: true });
+      }
 
-        .wa-translation-settings.show .settings-container {
-          transform: scale(1);
-        }
+      this.renderChatFilter();
+    },
 
-        .settings-header {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: 20px 24px;
-          border-bottom: 1px solid #e5e7eb;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
-          border-radius: 12px 12px 0 0;
-        }
+    /**
+     * 关闭聊天列表筛选面板
+     */
+    closeChatFilter() {
+      if (this._chatFilterObserver) {
+        this._chatFilterObserver.disconnect();
+        this._chatFilterObserver = null;
+      }
+      clearTimeout(this._chatFilterTimer);
 
-        .settings-header h2 {
-          margin: 0;
-          font-size: 20px;
-          font-weight: 600;
-        }
+      const overlay = document.getElementById('wa-chat-filter');
+      if (overlay) {
+        overlay.remove();
+      }
+    },
 
-        .settings-close {
-          background: rgba(255, 255, 255, 0.2);
-          border: none;
-          color: white;
-          font-size: 24px;
-          width: 32px;
-          height: 32px;
-          border-radius: 50%;
-          cursor: pointer;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          transition: background 0.2s;
-        }
+    /**
+     * 按当前条件刷新筛选结果（面板未打开时跳过）
+     */
+    renderChatFilter() {
+      const overlay = document.getElementById('wa-chat-filter');
+      if (!overlay) return;
+
+      // 标签列表可能已被其他视图修改，保留当前选择
+      const tagSelect = overlay.querySelector('[data-filter="tagId"]');
+      const selectedTag = tagSelect.value;
+      tagSelect.innerHTML = '<option value="">全部标签</option>';
+      this._contactTags.tags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag.id;
+        option.textContent = tag.name;
+        tagSelect.appendChild(option);
+      });
+      tagSelect.value = this._contactTags.tags.some(tag => tag.id === selectedTag) ? selectedTag : '';
 
-        .settings-close:hover {
-          background: rgba(255, 255, 255, 0.3);
-        }
+      const filter = {};
+      overlay.querySelectorAll('[data-filter]').forEach(select => {
+        filter[select.dataset.filter] = select.value;
+      });
 
-        .settings-content {
-          flex: 1;
-          overflow-y: auto;
-          padding: 0;
-        }
+      const seen = new Set();
+      this._chatFilterResults = Array.from(document.querySelectorAll('#pane-side [role="listitem"], #pane-side [role="row"]'))
+        .map(row => this.parseChatRow(row))
+        .filter(chat => chat && !seen.has(chat.contactId) && seen.add(chat.contactId))
+        .filter(chat => this.matchesChatFilter(chat, filter));
+
+      const tagsById = new Map(this._contactTags.tags.map(tag => [tag.id, tag]));
+      const results = overlay.querySelector('.wa-chat-filter-results');
+      results.innerHTML = this._chatFilterResults.length > 0
+        ? this._chatFilterResults.map((chat, index) => `
+          <div class="wa-chat-filter-item" data-index="${index}">
+            <span class="wa-chat-filter-name">${chat.isGroup ? '👥 ' : ''}${this.escapeHtml(chat.contactId)}</span>
+            <span class="wa-chat-filter-tags">${(this._contactTags.assignments[chat.contactId] || [])
+              .filter(tagId => tagsById.has(tagId))
+              .map(tagId => `<span class="wa-tag-chip active" data-tag-index="${this._contactTags.tags.indexOf(tagsById.get(tagId))}">${this.escapeHtml(tagsById.get(tagId).name)}</span>`)
+              .join('')}</span>
+            ${chat.unread ? '<span class="wa-chat-filter-unread">未读</span>' : ''}
+          </div>
+        `).join('')
+        : '<div class="wa-contact-note-empty">没有匹配的聊天</div>';
 
-        .settings-section {
-          padding: 20px 24px;
-          border-bottom: 1px solid #f3f4f6;
-        }
+      results.querySelectorAll('[data-tag-index]').forEach(chip => {
+        chip.style.setProperty('--tag-color', this._contactTags.tags[Number(chip.dataset.tagIndex)].color);
+      });
+    },
 
-        .settings-section:last-child {
-          border-bottom: none;
+    /**
+     * 打开筛选结果中的聊天（模拟点击聊天列表中的对应行）
+     * @param {Object} chat - parseChatRow 的结果
+     */
+    openFilteredChat(chat) {
+      if (!chat || !chat.row.isConnected) {
+        this.showToast('该聊天已不在列表中，请重新筛选', 'error');
+        return;
+      }
+
+      const target = chat.row.querySelector('[tabindex]') || chat.row;
+      ['mousedown', 'mouseup', 'click'].forEach(type => {
+        target.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+      });
+    },
+
+    /**
+     * 启动回复时效跟踪：定期上报聊天的最后一条消息是收到的还是发出的
+     */
+    setupConversationTracking() {
+      if (!window.translationAPI || !window.translationAPI.recordConversationActivity) {
+        return;
+      }
+
+      this.reportConversationActivity();
+      this._slaTimer = setInterval(() => this.reportConversationActivity(), this.SLA_REPORT_INTERVAL);
+    },
+
+    /**
+     * 收集聊天状态并上报有变化的部分
+     * 当前打开的聊天以最后一条消息为准（带消息时间）；聊天列表中有未读消息的私聊视为等待回复，
+     * 最后一条消息是自己发出的视为已回复；群聊不跟踪
+     */
+    reportConversationActivity() {
+      const activities = new Map();
+
+      const contactId = this.getCurrentContactId();
+      const messages = document.querySelectorAll('#main .message-in, #main .message-out');
+      const lastMessage = messages[messages.length - 1];
+      if (contactId && lastMessage && !this.isGroupChat()) {
+        const copyable = lastMessage.querySelector('.copyable-text[data-pre-plain-text]');
+        activities.set(contactId, {
+          contactId,
+          direction: lastMessage.classList.contains('message-out') ? 'out' : 'in',
+          prePlainText: copyable ? copyable.getAttribute('data-pre-plain-text') : ''
+        });
+      }
+
+      document.querySelectorAll('#pane-side [role="listitem"], #pane-side [role="row"]').forEach(row => {
+        const chat = this.parseChatRow(row);
+        if (!chat || chat.isGroup || activities.has(chat.contactId)) return;
+        if (chat.lastFromMe) {
+          activities.set(chat.contactId, { contactId: chat.contactId, direction: 'out' });
+        } else if (chat.unread) {
+          activities.set(chat.contactId, { contactId: chat.contactId, direction: 'in' });
         }
+      });
 
-        .settings-section h3 {
-          margin: 0 0 16px 0;
-          font-size: 16px;
-          font-weight: 600;
-          color: #374151;
+      activities.forEach(async activity => {
+        if (this._slaReported.get(activity.contactId) === activity.direction) return;
+        this._slaReported.set(activity.contactId, activity.direction);
+
+        try {
+          const response = await window.translationAPI.recordConversationActivity(this.accountId, activity);
+          if (!response.success) {
+            throw new Error(response.error);
+          }
+        } catch (error) {
+          // 上报失败时允许下次重试
+          this._slaReported.delete(activity.contactId);
+          console.error('[Translation] Failed to record conversation activity:', error);
         }
+      });
+    },
 
-        .setting-item {
-          margin-bottom: 20px;
+    /**
+     * 检查当前联系人是否正在其他账号中跟进，是则在聊天标题下方显示提醒
+     */
+    async checkDuplicateContact() {
+      const oldBanner = document.getElementById('wa-duplicate-banner');
+      if (oldBanner) {
+        oldBanner.remove();
+      }
+
+      if (!window.translationAPI || typeof window.translationAPI.checkDuplicateContact !== 'function') {
+        return;
+      }
+
+      const contactId = this.getCurrentContactId();
+      if (!contactId) {
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.checkDuplicateContact(this.accountId, contactId);
+        if (!response.success) {
+          throw new Error(response.error);
         }
 
-        .setting-item:last-child {
-          margin-bottom: 0;
+        const { phone, duplicates } = response.data;
+        const header = document.querySelector('#main header');
+        // 检查期间已切换到其他聊天
+        if (duplicates.length === 0 || !header || this.getCurrentContactId() !== contactId ||
+            document.getElementById('wa-duplicate-banner')) {
+          return;
         }
 
-        .setting-label {
-          display: flex;
-          align-items: center;
-          gap: 12px;
-          cursor: pointer;
-          font-weight: 500;
-          color: #374151;
+        const accounts = duplicates.map(item =>
+          `${this.escapeHtml(item.accountName)}（最近联系 ${new Date(item.lastSeenAt).toLocaleString()}）`
+        ).join('、');
+
+        const banner = document.createElement('div');
+        banner.id = 'wa-duplicate-banner';
+        banner.className = 'wa-duplicate-banner';
+        banner.innerHTML = `
+          <span>⚠️ 该客户 ${this.escapeHtml(phone)} 正在其他账号跟进：${accounts}</span>
+          <button type="button" title="关闭">×</button>
+        `;
+        banner.querySelector('button').onclick = () => banner.remove();
+        header.insertAdjacentElement('afterend', banner);
+      } catch (error) {
+        console.error('[Translation] Failed to check duplicate contact:', error);
+      }
+    },
+
+    /**
+     * 监听聊天窗口切换
+     * 优化：添加防抖，避免频繁触发
+     */
+    observeChatSwitch() {
+      console.log('[Translation] Setting up chat switch observer');
+      
+      // 监听 URL 变化（WhatsApp Web 使用 hash 路由）
+      let lastUrl = location.href;
+      let urlChangeTimer = null;
+      
+      const urlObserver = new MutationObserver(() => {
+        const currentUrl = location.href;
+        if (currentUrl !== lastUrl) {
+          lastUrl = currentUrl;
+          console.log('[Translation] Chat switched, re-translating messages');
+
+          // 旧聊天中未完成的流式翻译不再需要
+          this.cancelPendingStreams();
+          
+          // 清除之前的定时器
+          if (urlChangeTimer) {
+            clearTimeout(urlChangeTimer);
+          }
+          
+          // 延迟一下，等待新聊天加载
+          urlChangeTimer = setTimeout(() => {
+            this.translateExistingMessages();
+            
+            // 重置初始化标志，允许重新初始化
+            this._chineseBlockInitialized = false;
+            this._realtimeInitialized = false;
+            
+            this.observeInputBox(); // 重新设置输入框
+            this.setupChineseBlock(); // 重新设置中文拦截
+            this.showFriendConfigIndicator(); // 显示独立配置标识
+            this.refreshContactPanel(); // 加载新联系人的客户资料
+            this.checkDuplicateContact(); // 检查是否有其他账号在跟进同一客户
+            this.reportConversationActivity(); // 上报新聊天的回复状态
+          }, 500);
         }
+      });
 
-        .setting-title {
-          display: block;
-          font-weight: 500;
-          color: #374151;
-          margin-bottom: 8px;
+      // 观察 document.body 的变化
+      urlObserver.observe(document.body, {
+        childList: true,
+        subtree: true
+      });
+
+      // 也监听 #main 容器的变化
+      const mainContainer = document.querySelector('#main');
+      if (mainContainer) {
+        let chatChangeTimer = null;
+        
+        const chatObserver = new MutationObserver((mutations) => {
+          // 清除之前的定时器
+          if (chatChangeTimer) {
+            clearTimeout(chatChangeTimer);
+          }
+          
+          // 500ms 防抖
+          chatChangeTimer = setTimeout(() => {
+            // 检查是否有大的 DOM 变化（可能是切换聊天）
+            const hasSignificantChange = mutations.some(m => 
+              m.addedNodes.length > 5 || m.removedNodes.length > 5
+            );
+            
+            if (hasSignificantChange) {
+              console.log('[Translation] Significant DOM change detected');
+              this.cancelPendingStreams();
+              setTimeout(() => {
+                this.translateExistingMessages();
+                
+                // 重置初始化标志，允许重新初始化
+                this._chineseBlockInitialized = false;
+                this._realtimeInitialized = false;
+                
+                this.observeInputBox(); // 重新设置输入框和翻译按钮
+                this.setupChineseBlock(); // 重新设置中文拦截
+                this.showFriendConfigIndicator(); // 显示独立配置标识
+                this.refreshContactPanel(); // 加载新联系人的客户资料
+                this.checkDuplicateContact(); // 检查是否有其他账号在跟进同一客户
+                this.reportConversationActivity(); // 上报新聊天的回复状态
+              }, 300);
+            }
+          }, 500);
+        });
+
+        chatObserver.observe(mainContainer, {
+          childList: true,
+          subtree: false // 只观察直接子节点
+        });
+      }
+      
+      // 初始显示标识
+      setTimeout(() => {
+        this.showFriendConfigIndicator();
+        this.checkDuplicateContact();
+      }, 1000);
+    },
+
+    /**
+     * 注入样式
+     */
+    injectStyles() {
+      const style = document.createElement('style');
+      style.id = 'wa-translation-styles';
+      style.textContent = `
+        /* 翻译结果样式 */
+        .wa-translation-result {
+          margin-top: 8px;
+          padding: 8px 12px;
+          background: rgba(0, 0, 0, 0.05);
+          border-radius: 8px;
+          font-size: 14px;
+          line-height: 1.5;
+          animation: fadeIn 0.3s ease-in;
         }
 
-        .setting-desc {
-          margin: 6px 0 0 0;
-          font-size: 13px;
-          color: #6b7280;
-          line-height: 1.4;
+        @keyframes fadeIn {
+          from {
+            opacity: 0;
+            transform: translateY(-5px);
+          }
+          to {
+            opacity: 1;
+            transform: translateY(0);
+          }
         }
 
-        .setting-checkbox {
-          width: 18px;
-          height: 18px;
-          accent-color: #667eea;
-          cursor: pointer;
+        .wa-translation-result.wa-translation-streaming .translation-text::after {
+          content: '▍';
+          margin-left: 2px;
+          animation: blink 1s step-start infinite;
         }
 
-        .setting-select,
-        .setting-input {
-          width: 100%;
-          padding: 10px 12px;
-          border: 1px solid #d1d5db;
-          border-radius: 6px;
-          font-size: 14px;
-          background: #ffffff;
-          transition: border-color 0.2s, box-shadow 0.2s;
+        @keyframes blink {
+          50% {
+            opacity: 0;
+          }
         }
 
-        .setting-select:focus,
-        .setting-input:focus {
-          outline: none;
-          border-color: #667eea;
-          box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+        .wa-translation-result.wa-translation-error {
+          background: rgba(255, 0, 0, 0.1);
+          border-left: 3px solid #ff4444;
         }
 
-        .setting-button {
-          padding: 10px 20px;
-          border: none;
-          border-radius: 6px;
-          font-size: 14px;
+        .translation-header {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin-bottom: 4px;
+          font-size: 12px;
+          color: #667781;
           font-weight: 500;
-          cursor: pointer;
-          transition: all 0.2s;
-          margin-right: 12px;
         }
 
-        .setting-button:last-child {
-          margin-right: 0;
+        .translation-icon {
+          font-size: 14px;
         }
 
-        .setting-button.primary {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
+        .translation-cached {
+          margin-left: auto;
+          font-size: 12px;
+          opacity: 0.7;
         }
 
-        .setting-button.primary:hover {
-          transform: translateY(-1px);
-          box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3);
+        .translation-text {
+          color: #111b21;
+          word-wrap: break-word;
+          white-space: pre-wrap;
         }
 
-        .setting-button.secondary {
-          background: #f3f4f6;
-          color: #374151;
-          border: 1px solid #d1d5db;
+        .translation-memory-suggestion {
+          margin-top: 4px;
+          font-size: 12px;
+          color: #667781;
+          word-wrap: break-word;
+          white-space: pre-wrap;
         }
 
-        .setting-button.secondary:hover {
-          background: #e5e7eb;
+        /* 翻译按钮样式 */
+        .wa-translate-btn {
+          padding: 8px;
+          background: transparent;
+          border: none;
+          cursor: pointer;
+          font-size: 20px;
+          border-radius: 50%;
+          transition: all 0.2s ease;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          width: 40px;
+          height: 40px;
         }
 
-        .setting-button:disabled {
-          opacity: 0.6;
+        .wa-translate-btn:hover {
+          background: rgba(0, 0, 0, 0.05);
+          transform: scale(1.1);
+        }
+
+        .wa-translate-btn:active {
+          transform: scale(0.95);
+        }
+
+        .wa-translate-btn:disabled {
+          opacity: 0.5;
           cursor: not-allowed;
-          transform: none !important;
         }
 
-        .settings-footer {
-          padding: 20px 24px;
-          border-top: 1px solid #e5e7eb;
-          display: flex;
-          justify-content: flex-end;
-          gap: 12px;
-          background: #f9fafb;
-          border-radius: 0 0 12px 12px;
+        /* 快捷回复 */
+        .wa-quick-reply-btn {
+          position: fixed;
+          bottom: 80px;
+          width: 48px;
+          height: 48px;
+          background: rgba(255, 255, 255, 0.95);
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+          z-index: 1000;
         }
 
-        .stats-content {
-          background: #f9fafb;
-          padding: 16px;
+        .wa-quick-reply-picker {
+          position: fixed;
+          bottom: 136px;
+          right: 20px;
+          width: 320px;
+          max-height: 360px;
+          display: flex;
+          flex-direction: column;
+          background: #fff;
           border-radius: 8px;
-          margin-bottom: 16px;
+          box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+          z-index: 1001;
+          overflow: hidden;
         }
 
-        .stat-item {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: 8px 0;
-          border-bottom: 1px solid #e5e7eb;
+        .wa-quick-reply-search {
+          margin: 8px;
+          padding: 6px 8px;
+          border: 1px solid #e5e7eb;
+          border-radius: 6px;
+          font-size: 13px;
         }
 
-        .stat-item:last-child {
-          border-bottom: none;
+        .wa-quick-reply-list {
+          overflow-y: auto;
+          padding-bottom: 8px;
         }
 
-        .stat-label {
-          font-size: 14px;
+        .wa-quick-reply-group {
+          padding: 6px 12px 2px;
+          font-size: 11px;
           color: #6b7280;
         }
 
-        .stat-value {
-          font-size: 14px;
-          font-weight: 600;
-          color: #374151;
+        .wa-quick-reply-item {
+          padding: 6px 12px;
+          border-bottom: 1px solid #f3f4f6;
         }
 
-        .settings-message {
+        .wa-quick-reply-title {
+          font-size: 13px;
+          color: #111b21;
+          margin-bottom: 4px;
+        }
+
+        .wa-quick-reply-actions {
+          display: flex;
+          gap: 6px;
+        }
+
+        .wa-quick-reply-actions button {
+          border: 1px solid #667eea;
+          background: transparent;
+          color: #667eea;
+          border-radius: 4px;
+          padding: 2px 8px;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .wa-quick-reply-actions button:hover {
+          background: #667eea;
+          color: #fff;
+        }
+
+        .wa-suggestion-chips {
           position: fixed;
-          top: 20px;
+          bottom: 136px;
           right: 20px;
-          padding: 12px 20px;
-          border-radius: 8px;
-          color: white;
-          font-weight: 500;
-          z-index: 10000000;
-          animation: slideInRight 0.3s ease;
+          max-width: 420px;
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: flex-end;
+          align-items: center;
+          gap: 6px;
+          z-index: 1000;
         }
 
-        .settings-message.success {
-          background: #10b981;
+        .wa-suggestion-chip {
+          display: flex;
+          background: #fff;
+          border: 1px solid #667eea;
+          border-radius: 16px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+          overflow: hidden;
         }
 
-        .settings-message.error {
-          background: #ef4444;
+        .wa-suggestion-chip button,
+        .wa-suggestion-dismiss {
+          border: none;
+          background: transparent;
+          color: #667eea;
+          padding: 4px 10px;
+          font-size: 13px;
+          cursor: pointer;
         }
 
-        .settings-message.info {
-          background: #3b82f6;
+        .wa-suggestion-chip button:hover {
+          background: #667eea;
+          color: #fff;
         }
 
-        @keyframes slideInRight {
-          from {
-            transform: translateX(400px);
-            opacity: 0;
-          }
-          to {
-            transform: translateX(0);
-            opacity: 1;
-          }
+        .wa-suggestion-translate {
+          border-left: 1px solid #667eea !important;
         }
 
-        @keyframes fadeOut {
-          from {
-            opacity: 1;
-          }
-          to {
-            opacity: 0;
-          }
+        .wa-suggestion-dismiss {
+          color: #6b7280;
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 50%;
         }
 
-        /* 设置按钮样式 */
-        .wa-settings-btn {
-          padding: 8px;
+        /* 重复客户提醒 */
+        .wa-duplicate-banner {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 12px;
+          background: #fff7e6;
+          border-bottom: 1px solid #ffd591;
+          color: #ad6800;
+          font-size: 13px;
+          z-index: 100;
+        }
+
+        .wa-duplicate-banner button {
+          border: none;
           background: transparent;
+          color: #ad6800;
+          font-size: 16px;
+          cursor: pointer;
+        }
+
+        /* 客户画像侧边栏 */
+        .wa-contact-panel-toggle {
+          position: fixed;
+          top: 50%;
+          right: 0;
+          width: 32px;
+          height: 40px;
           border: none;
+          border-radius: 8px 0 0 8px;
+          background: rgba(102, 126, 234, 0.9);
+          font-size: 16px;
           cursor: pointer;
-          font-size: 20px;
-          border-radius: 50%;
-          transition: all 0.2s ease;
-          display: inline-flex;
+          z-index: 1000;
+        }
+
+        .wa-contact-panel {
+          position: fixed;
+          top: 60px;
+          right: 0;
+          bottom: 140px;
+          width: 300px;
+          flex-direction: column;
+          background: #fff;
+          border-radius: 8px 0 0 8px;
+          box-shadow: -4px 0 16px rgba(0, 0, 0, 0.15);
+          font-size: 13px;
+          z-index: 1001;
+        }
+
+        .wa-contact-panel-header {
+          display: flex;
+          justify-content: space-between;
           align-items: center;
-          justify-content: center;
-          width: 40px;
-          height: 40px;
+          padding: 10px 12px;
+          font-weight: 600;
+          color: #111b21;
+          border-bottom: 1px solid #f3f4f6;
         }
 
-        .wa-settings-btn:hover {
-          background: rgba(0, 0, 0, 0.05);
-          transform: scale(1.1);
+        .wa-contact-panel-close {
+          border: none;
+          background: transparent;
+          font-size: 20px;
+          cursor: pointer;
         }
 
-        .wa-settings-btn:active {
-          transform: scale(0.95);
+        .wa-contact-panel-id {
+          padding: 6px 12px;
+          color: #6b7280;
+          font-size: 12px;
+          word-break: break-all;
         }
 
-        /* 响应式设计 */
-        @media (max-width: 768px) {
-          .settings-container {
-            width: 95%;
-            max-height: 95vh;
-          }
-          
-          .settings-header {
-            padding: 16px 20px;
-          }
-          
-          .settings-section {
-            padding: 16px 20px;
-          }
-          
-          .settings-footer {
-            padding: 16px 20px;
-            flex-direction: column;
-          }
-          
-          .setting-button {
-            width: 100%;
-            margin-right: 0;
-            margin-bottom: 8px;
-          }
-          
-          .setting-button:last-child {
-            margin-bottom: 0;
-          }
+        .wa-contact-panel-body {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          padding: 0 12px 12px;
+          overflow-y: auto;
         }
 
-        /* 滚动条样式 */
-        .settings-content::-webkit-scrollbar {
-          width: 6px;
+        .wa-contact-panel-body input,
+        .wa-contact-panel-body select,
+        .wa-contact-panel-body textarea {
+          padding: 5px 8px;
+          border: 1px solid #e5e7eb;
+          border-radius: 6px;
+          font-size: 13px;
+          font-family: inherit;
         }
 
-        .settings-content::-webkit-scrollbar-track {
-          background: #f1f5f9;
+        .wa-contact-group {
+          margin-top: 8px;
+          font-size: 11px;
+          color: #6b7280;
         }
 
-        .settings-content::-webkit-scrollbar-thumb {
-          background: #cbd5e1;
-          border-radius: 3px;
+        .wa-contact-actions {
+          display: flex;
+          gap: 6px;
         }
 
-        .settings-content::-webkit-scrollbar-thumb:hover {
-          background: #94a3b8;
+        .wa-contact-actions button,
+        .wa-contact-note-time button {
+          border: 1px solid #667eea;
+          background: transparent;
+          color: #667eea;
+          border-radius: 4px;
+          padding: 2px 8px;
+          font-size: 12px;
+          cursor: pointer;
         }
-      `;
 
-      document.head.appendChild(style);
-      console.log('[Translation] Styles injected');
-    },
+        .wa-contact-note {
+          padding: 6px 0;
+          border-bottom: 1px solid #f3f4f6;
+          white-space: pre-wrap;
+          word-break: break-word;
+        }
 
-    /**
-     * 清理资源
-     * 优化：完善清理机制，清理所有监听器和定时器
-     */
-    cleanup() {
-      // 清理消息观察器
-      if (this.messageObserver) {
-        this.messageObserver.disconnect();
-        this.messageObserver = null;
-      }
+        .wa-contact-note-time {
+          display: flex;
+          justify-content: space-between;
+          color: #6b7280;
+          font-size: 11px;
+          margin-bottom: 2px;
+        }
 
-      // 清理输入框观察器
-      if (this.inputObserver) {
-        this.inputObserver.disconnect();
-        this.inputObserver = null;
-      }
+        .wa-contact-reminder.due .wa-contact-note-time {
+          color: #d32f2f;
+          font-weight: 600;
+        }
 
-      // 清理按钮监控
-      if (this.buttonMonitor) {
-        this.buttonMonitor.disconnect();
-        this.buttonMonitor = null;
-      }
+        .wa-contact-note-empty {
+          color: #6b7280;
+          text-align: center;
+        }
 
-      if (this.buttonCheckInterval) {
-        clearInterval(this.buttonCheckInterval);
-        this.buttonCheckInterval = null;
-      }
+        /* 联系人标签 */
+        .wa-contact-tag-chips,
+        .wa-chat-filter-tags {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+        }
 
-      // 清理消息发送监控
-      if (this.messageSentObserver) {
-        this.messageSentObserver.disconnect();
-        this.messageSentObserver = null;
-      }
+        .wa-tag-chip {
+          --tag-color: #667eea;
+          border: 1px solid var(--tag-color);
+          background: transparent;
+          color: var(--tag-color);
+          border-radius: 10px;
+          padding: 1px 8px;
+          font-size: 11px;
+          cursor: pointer;
+        }
 
-      // 清理中文拦截
-      this.cleanupChineseBlock();
-      
-      // 清理实时翻译
-      this.cleanupRealtimeTranslation();
+        .wa-tag-chip.active {
+          background: var(--tag-color);
+          color: #fff;
+        }
 
-      // 清理样式
-      const styles = document.getElementById('wa-translation-styles');
-      if (styles) {
-        styles.remove();
-      }
-      
-      // 清理翻译按钮
-      const button = document.getElementById('wa-translate-btn');
-      if (button) {
-        button.remove();
-      }
+        .wa-contact-tag-add {
+          display: grid;
+          grid-template-columns: 1fr 32px auto;
+          gap: 4px;
+        }
 
-      // 重置初始化标志
-      this.initialized = false;
-      this._chineseBlockInitialized = false;
-      this._realtimeInitialized = false;
-      this._buttonMonitorInitialized = false;
-      this._lastContactId = null;
-      this._lastLogTime = {};
-      
-      console.log('[Translation] Cleaned up');
-    }
-  };
+        .wa-contact-tag-add input[type="color"] {
+          width: 32px;
+          height: 28px;
+          padding: 0;
+          border: none;
+        }
 
-  // 初始化
-  WhatsAppTranslation.init();
+        .wa-contact-tag-add button {
+          border: 1px solid #667eea;
+          background: transparent;
+          color: #667eea;
+          border-radius: 4px;
+          font-size: 12px;
+          cursor: pointer;
+        }
 
-  // 暴露到全局（用于调试和手动触发）
-  window.WhatsAppTranslation = WhatsAppTranslation;
+        /* 聊天列表筛选 */
+        .wa-chat-filter-toggle {
+          position: fixed;
+          left: 12px;
+          bottom: 12px;
+          width: 36px;
+          height: 36px;
+          border: none;
+          border-radius: 50%;
+          background: rgba(102, 126, 234, 0.9);
+          font-size: 16px;
+          cursor: pointer;
+          z-index: 1000;
+        }
 
-  // 添加全局快捷函数
-  window.translateCurrentChat = function() {
-    console.log('[Translation] Manually translating current chat...');
-    WhatsAppTranslation.translateExistingMessages();
-  };
+        .wa-chat-filter {
+          position: fixed;
+          top: 60px;
+          left: 0;
+          width: 360px;
+          height: calc(100% - 60px);
+          display: flex;
+          flex-direction: column;
+          background: #fff;
+          box-shadow: 2px 0 12px rgba(0, 0, 0, 0.15);
+          font-size: 13px;
+          color: #111827;
+          z-index: 999;
+        }
 
-  // 监听点击事件（点击聊天列表时）
-  document.addEventListener('click', function(e) {
-    // 检查是否点击了聊天列表项
-    const chatItem = e.target.closest('[data-testid="cell-frame-container"]') ||
-                     e.target.closest('._ak8l') ||
-                     e.target.closest('[role="listitem"]');
-    
-    if (chatItem) {
-      console.log('[Translation] Chat item clicked, will translate after delay');
-      // 延迟翻译，等待聊天加载
-      setTimeout(() => {
-        WhatsAppTranslation.translateExistingMessages();
-      }, 1000);
-    }
-  }, true);
+        .wa-chat-filter-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 10px 12px;
+          font-weight: 600;
+          border-bottom: 1px solid #e5e7eb;
+        }
 
-  console.log('[Translation] Global functions exposed: window.translateCurrentChat()');
+        .wa-chat-filter-close {
+          border: none;
+          background: transparent;
+          font-size: 18px;
+          cursor: pointer;
+        }
 
-  // ==================== 设置面板 ====================
-  
-  /**
-   * 翻译设置面板类
-   */
-  class TranslationSettingsPanel {
-    constructor() {
-      this.panel = null;
-      this.config = null;
-      this.isVisible = false;
-      this.accountId = null;
-      this.currentEngine = null; // 跟踪当前选择的引擎
-    }
+        .wa-chat-filter-controls {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 6px;
+          padding: 8px 12px;
+        }
 
-    /**
-     * 创建设置面板
-     */
-    createPanel() {
-      if (this.panel) {
-        return this.panel;
-      }
+        .wa-chat-filter-results {
+          flex: 1;
+          overflow-y: auto;
+        }
 
-      // 创建面板容器
-      this.panel = document.createElement('div');
-      this.panel.id = 'wa-translation-settings';
-      this.panel.className = 'wa-translation-settings';
-      
-      this.panel.innerHTML = `
-        <div class="settings-overlay"></div>
-        <div class="settings-container">
-          <div class="settings-header">
-            <h2>🌐 翻译设置</h2>
-            <button class="settings-close">×</button>
-          </div>
-          
-          <div class="settings-content">
-            <!-- 基础设置 -->
-            <div class="settings-section">
-              <h3>📝 基础设置</h3>
-              
-              <div class="setting-item" style="background: #e3f2fd; padding: 12px; border-radius: 8px; margin-bottom: 16px;">
-                <div style="display: flex; align-items: start; gap: 8px;">
-                  <span style="font-size: 20px;">💡</span>
-                  <div>
-                    <strong style="color: #1976d2;">成本优化建议</strong>
-                    <p style="margin: 4px 0 0 0; font-size: 13px; color: #424242; line-height: 1.5;">
-                      • <strong>聊天窗口翻译</strong>（接收消息）：推荐使用谷歌翻译（免费），用于理解对方在说什么<br>
-                      • <strong>输入框翻译</strong>（发送消息）：可选 AI 翻译 + 风格，用于以合适的语气回复对方<br>
-                      • 这样配置可降低 <strong>70-90%</strong> 的翻译成本！
-                    </p>
-                  </div>
-                </div>
-              </div>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="autoTranslate" class="setting-checkbox">
-                  <span class="setting-title">自动翻译消息</span>
-                </label>
-                <p class="setting-desc">接收到新消息时自动显示翻译</p>
-              </div>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="groupTranslation" class="setting-checkbox">
-                  <span class="setting-title">群组消息翻译</span>
-                </label>
-                <p class="setting-desc">在群组聊天中也显示翻译</p>
-              </div>
-              
-              <div class="setting-item">
-                <label class="setting-title">聊天窗口翻译引擎（接收消息）</label>
-                <select id="translationEngine" class="setting-select">
-                  <option value="google">Google 翻译 - 免费，无需API</option>
-                  <option value="gpt4">GPT-4 - 需API密钥</option>
-                  <option value="gemini">Google Gemini - 需API密钥</option>
-                  <option value="deepseek">DeepSeek - 需API密钥</option>
-                  <option value="custom">自定义 API - 需配置</option>
-                </select>
-                <p class="setting-desc">💡 用于翻译对方发来的消息，推荐使用谷歌翻译（免费，无需API）节省成本</p>
-              </div>
-              
-              <div class="setting-item">
-                <label class="setting-title">目标语言</label>
-                <select id="targetLanguage" class="setting-select">
-                  <option value="zh-CN">🇨🇳 中文简体</option>
-                  <option value="zh-TW">🇹🇼 中文繁体</option>
-                  <option value="en">🇬🇧 英语</option>
-                  <option value="vi">🇻🇳 越南语</option>
-                  <option value="ja">🇯🇵 日语</option>
-                  <option value="ko">🇰🇷 韩语</option>
-                  <option value="th">🇹🇭 泰语</option>
-                  <option value="id">🇮🇩 印尼语</option>
-                  <option value="ms">🇲🇾 马来语</option>
-                  <option value="tl">🇵🇭 菲律宾语</option>
-                  <option value="my">🇲🇲 缅甸语</option>
-                  <option value="km">🇰🇭 高棉语</option>
-                  <option value="lo">🇱🇦 老挝语</option>
-                  <option value="es">🇪🇸 西班牙语</option>
-                  <option value="fr">🇫🇷 法语</option>
-                  <option value="de">🇩🇪 德语</option>
-                  <option value="it">🇮🇹 意大利语</option>
-                  <option value="pt">🇵🇹 葡萄牙语</option>
-                  <option value="ru">🇷🇺 俄语</option>
-                  <option value="ar">🇸🇦 阿拉伯语</option>
-                  <option value="hi">🇮🇳 印地语</option>
-                  <option value="bn">🇧🇩 孟加拉语</option>
-                  <option value="ur">🇵🇰 乌尔都语</option>
-                  <option value="tr">🇹🇷 土耳其语</option>
-                  <option value="fa">🇮🇷 波斯语</option>
-                  <option value="he">🇮🇱 希伯来语</option>
-                  <option value="nl">🇳🇱 荷兰语</option>
-                  <option value="pl">🇵🇱 波兰语</option>
-                  <option value="uk">🇺🇦 乌克兰语</option>
-                  <option value="cs">🇨🇿 捷克语</option>
-                  <option value="ro">🇷🇴 罗马尼亚语</option>
-                  <option value="sv">🇸🇪 瑞典语</option>
-                  <option value="da">🇩🇰 丹麦语</option>
-                  <option value="no">🇳🇴 挪威语</option>
-                  <option value="fi">🇫🇮 芬兰语</option>
-                  <option value="el">🇬🇷 希腊语</option>
-                  <option value="hu">🇭🇺 匈牙利语</option>
-                  <option value="bg">🇧🇬 保加利亚语</option>
-                  <option value="sr">🇷🇸 塞尔维亚语</option>
-                  <option value="hr">🇭🇷 克罗地亚语</option>
-                  <option value="sk">🇸🇰 斯洛伐克语</option>
-                  <option value="sl">🇸🇮 斯洛文尼亚语</option>
-                  <option value="lt">🇱🇹 立陶宛语</option>
-                  <option value="lv">🇱🇻 拉脱维亚语</option>
-                  <option value="et">🇪🇪 爱沙尼亚语</option>
-                  <option value="sw">🇰🇪 斯瓦希里语</option>
-                  <option value="af">🇿🇦 南非荷兰语</option>
-                  <option value="am">🇪🇹 阿姆哈拉语</option>
-                </select>
-                <p class="setting-desc">消息翻译的目标语言</p>
-              </div>
-            </div>
-            
-            <!-- 输入框设置 -->
-            <div class="settings-section">
-              <h3>✏️ 输入框翻译</h3>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="inputBoxEnabled" class="setting-checkbox">
+        .wa-chat-filter-item {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 8px 12px;
+          border-bottom: 1px solid #f3f4f6;
+          cursor: pointer;
+        }
+
+        .wa-chat-filter-item:hover {
+          background: #f3f4f6;
+        }
+
+        .wa-chat-filter-name {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .wa-chat-filter-unread {
+          background: #25d366;
+          color: #fff;
+          border-radius: 8px;
+          padding: 0 6px;
+          font-size: 11px;
+        }
+
+        .wa-chat-filter-hint {
+          padding: 6px 12px;
+          font-size: 11px;
+          color: #6b7280;
+          border-top: 1px solid #e5e7eb;
+        }
+
+        .wa-quick-reply-empty {
+          padding: 12px;
+          font-size: 13px;
+          color: #6b7280;
+          text-align: center;
+        }
+
+        /* 实时翻译预览 */
+        .wa-realtime-preview {
+          padding: 12px;
+          background: rgba(0, 150, 255, 0.1);
+          border-left: 3px solid #0096ff;
+          margin: 8px 0;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+
+        .wa-realtime-preview .translation-header {
+          color: #0096ff;
+          margin-bottom: 8px;
+        }
+
+        .wa-realtime-preview .translation-loading {
+          color: #667781;
+          font-style: italic;
+        }
+
+
+
+        /* 输入框反向翻译样式 */
+        .wa-input-reverse-translation {
+          animation: slideDown 0.3s ease;
+        }
+
+        @keyframes slideDown {
+          from {
+            opacity: 0;
+            transform: translateY(-10px);
+          }
+          to {
+            opacity: 1;
+            transform: translateY(0);
+          }
+        }
+
+        @keyframes slideUp {
+          from {
+            opacity: 1;
+            transform: translateY(0);
+          }
+          to {
+            opacity: 0;
+            transform: translateY(-10px);
+          }
+        }
+
+        .reverse-header {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 12px;
+          font-weight: 500;
+        }
+
+        .reverse-icon {
+          font-size: 16px;
+        }
+
+        .reverse-title {
+          color: #9c27b0;
+          font-size: 13px;
+        }
+
+        .reverse-close {
+          margin-left: auto;
+          background: transparent;
+          border: none;
+          font-size: 20px;
+          color: #667781;
+          cursor: pointer;
+          padding: 0;
+          width: 24px;
+          height: 24px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          border-radius: 50%;
+          transition: background 0.2s;
+        }
+
+        .reverse-close:hover {
+          background: rgba(0, 0, 0, 0.05);
+        }
+
+        .reverse-content {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .reverse-item {
+          background: rgba(255, 255, 255, 0.5);
+          padding: 8px;
+          border-radius: 4px;
+        }
+
+        .reverse-label {
+          font-size: 11px;
+          color: #667781;
+          font-weight: 600;
+          margin-bottom: 4px;
+        }
+
+        .reverse-text {
+          font-size: 13px;
+          color: #111b21;
+          line-height: 1.4;
+        }
+
+        .reverse-error {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          color: #ef4444;
+          font-size: 12px;
+        }
+
+
+
+        /* 深色模式支持 */
+        [data-theme="dark"] .wa-translation-result {
+          background: rgba(255, 255, 255, 0.1);
+        }
+
+        [data-theme="dark"] .translation-text {
+          color: #e9edef;
+        }
+
+        [data-theme="dark"] .translation-header,
+        [data-theme="dark"] .translation-memory-suggestion {
+          color: #8696a0;
+        }
+
+        [data-theme="dark"] .wa-translate-btn:hover {
+          background: rgba(255, 255, 255, 0.1);
+        }
+
+        [data-theme="dark"] .wa-realtime-preview {
+          background: rgba(0, 150, 255, 0.15);
+        }
+
+        [data-theme="dark"] .wa-translation-result.wa-translation-error {
+          background: rgba(255, 68, 68, 0.15);
+        }
+
+        /* 响应式设计 */
+        @media (max-width: 768px) {
+          .wa-translation-result {
+            font-size: 13px;
+            padding: 6px 10px;
+          }
+
+          .translation-header {
+            font-size: 11px;
+          }
+
+          .wa-translate-btn {
+            width: 36px;
+            height: 36px;
+            font-size: 18px;
+          }
+        }
+
+        /* 打印样式 */
+        @media print {
+          .wa-translate-btn {
+            display: none;
+          }
+
+          .wa-translation-result {
+            background: #f5f5f5;
+            border: 1px solid #ddd;
+          }
+        }
+
+        /* ==================== 设置面板样式 ==================== */
+        
+        .wa-translation-settings {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background: rgba(0, 0, 0, 0.5);
+          display: none;
+          justify-content: center;
+          align-items: center;
+          z-index: 999999;
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+          opacity: 0;
+          transition: opacity 0.3s ease;
+        }
+
+        .wa-translation-settings.show {
+          opacity: 1;
+        }
+
+        .settings-overlay {
+          position: absolute;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background: transparent;
+          cursor: pointer;
+        }
+
+        .settings-container {
+          position: relative;
+          width: 90%;
+          max-width: 600px;
+          max-height: 90vh;
+          background: #ffffff;
+          border-radius: 12px;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+          display: flex;
+          flex-direction: column;
+          transform: scale(0.9);
+          transition: transform 0.3s ease;
+        }
+
+        .wa-translation-settings.show .settings-container {
+          transform: scale(1);
+        }
+
+        .settings-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 20px 24px;
+          border-bottom: 1px solid #e5e7eb;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          border-radius: 12px 12px 0 0;
+        }
+
+        .settings-header h2 {
+          margin: 0;
+          font-size: 20px;
+          font-weight: 600;
+        }
+
+        .settings-close {
+          background: rgba(255, 255, 255, 0.2);
+          border: none;
+          color: white;
+          font-size: 24px;
+          width: 32px;
+          height: 32px;
+          border-radius: 50%;
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          transition: background 0.2s;
+        }
+
+        .settings-close:hover {
+          background: rgba(255, 255, 255, 0.3);
+        }
+
+        .settings-content {
+          flex: 1;
+          overflow-y: auto;
+          padding: 0;
+        }
+
+        .settings-section {
+          padding: 20px 24px;
+          border-bottom: 1px solid #f3f4f6;
+        }
+
+        .settings-section:last-child {
+          border-bottom: none;
+        }
+
+        .settings-section h3 {
+          margin: 0 0 16px 0;
+          font-size: 16px;
+          font-weight: 600;
+          color: #374151;
+        }
+
+        .setting-item {
+          margin-bottom: 20px;
+        }
+
+        .setting-item:last-child {
+          margin-bottom: 0;
+        }
+
+        .setting-label {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          cursor: pointer;
+          font-weight: 500;
+          color: #374151;
+        }
+
+        .setting-title {
+          display: block;
+          font-weight: 500;
+          color: #374151;
+          margin-bottom: 8px;
+        }
+
+        .setting-desc {
+          margin: 6px 0 0 0;
+          font-size: 13px;
+          color: #6b7280;
+          line-height: 1.4;
+        }
+
+        .setting-checkbox {
+          width: 18px;
+          height: 18px;
+          accent-color: #667eea;
+          cursor: pointer;
+        }
+
+        .setting-select,
+        .setting-input {
+          width: 100%;
+          padding: 10px 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 14px;
+          background: #ffffff;
+          transition: border-color 0.2s, box-shadow 0.2s;
+        }
+
+        .setting-select:focus,
+        .setting-input:focus {
+          outline: none;
+          border-color: #667eea;
+          box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+        }
+
+        .setting-button {
+          padding: 10px 20px;
+          border: none;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+          transition: all 0.2s;
+          margin-right: 12px;
+        }
+
+        .setting-button:last-child {
+          margin-right: 0;
+        }
+
+        .setting-button.primary {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+        }
+
+        .setting-button.primary:hover {
+          transform: translateY(-1px);
+          box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3);
+        }
+
+        .setting-button.secondary {
+          background: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .setting-button.secondary:hover {
+          background: #e5e7eb;
+        }
+
+        .setting-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+          transform: none !important;
+        }
+
+        .settings-footer {
+          padding: 20px 24px;
+          border-top: 1px solid #e5e7eb;
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          background: #f9fafb;
+          border-radius: 0 0 12px 12px;
+        }
+
+        .stats-content {
+          background: #f9fafb;
+          padding: 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .glossary-list {
+          max-height: 180px;
+          overflow-y: auto;
+          margin-bottom: 12px;
+        }
+
+        .glossary-item {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 8px;
+          border-bottom: 1px solid #f3f4f6;
+          font-size: 13px;
+        }
+
+        .glossary-tag {
+          padding: 2px 6px;
+          border-radius: 4px;
+          background: #e0e7ff;
+          color: #4338ca;
+          font-size: 11px;
+          flex-shrink: 0;
+        }
+
+        .glossary-tag.dnt {
+          background: #fef3c7;
+          color: #b45309;
+        }
+
+        .glossary-text {
+          flex: 1;
+          word-break: break-all;
+        }
+
+        .glossary-remove {
+          border: none;
+          background: transparent;
+          color: #9ca3af;
+          font-size: 16px;
+          cursor: pointer;
+        }
+
+        .glossary-remove:hover {
+          color: #ef4444;
+        }
+
+        .glossary-add-row {
+          display: flex;
+          gap: 8px;
+        }
+
+        .glossary-add-row .setting-select {
+          width: 100px;
+          flex-shrink: 0;
+        }
+
+        .routing-add-row,
+        .memory-add-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px;
+        }
+
+        .routing-add-row .setting-button,
+        .memory-add-row .setting-button,
+        .memory-add-row .quick-reply-text {
+          grid-column: span 2;
+        }
+
+        .pricing-row {
+          display: grid;
+          grid-template-columns: 1.2fr 1fr 1fr 1fr;
+          gap: 6px;
+          align-items: center;
+          margin-bottom: 6px;
+          font-size: 12px;
+        }
+
+        .pricing-row.pricing-header {
+          color: #6b7280;
+        }
+
+        .pricing-row .setting-input {
+          padding: 4px 6px;
+        }
+
+        .stat-item {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 8px 0;
+          border-bottom: 1px solid #e5e7eb;
+        }
+
+        .stat-item:last-child {
+          border-bottom: none;
+        }
+
+        .stat-label {
+          font-size: 14px;
+          color: #6b7280;
+        }
+
+        .stat-value {
+          font-size: 14px;
+          font-weight: 600;
+          color: #374151;
+        }
+
+        .settings-message {
+          position: fixed;
+          top: 20px;
+          right: 20px;
+          padding: 12px 20px;
+          border-radius: 8px;
+          color: white;
+          font-weight: 500;
+          z-index: 10000000;
+          animation: slideInRight 0.3s ease;
+        }
+
+        .settings-message.success {
+          background: #10b981;
+        }
+
+        .settings-message.error {
+          background: #ef4444;
+        }
+
+        .settings-message.info {
+          background: #3b82f6;
+        }
+
+        @keyframes slideInRight {
+          from {
+            transform: translateX(400px);
+            opacity: 0;
+          }
+          to {
+            transform: translateX(0);
+            opacity: 1;
+          }
+        }
+
+        @keyframes fadeOut {
+          from {
+            opacity: 1;
+          }
+          to {
+            opacity: 0;
+          }
+        }
+
+        /* 设置按钮样式 */
+        .wa-settings-btn {
+          padding: 8px;
+          background: transparent;
+          border: none;
+          cursor: pointer;
+          font-size: 20px;
+          border-radius: 50%;
+          transition: all 0.2s ease;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          width: 40px;
+          height: 40px;
+        }
+
+        .wa-settings-btn:hover {
+          background: rgba(0, 0, 0, 0.05);
+          transform: scale(1.1);
+        }
+
+        .wa-settings-btn:active {
+          transform: scale(0.95);
+        }
+
+        /* 响应式设计 */
+        @media (max-width: 768px) {
+          .settings-container {
+            width: 95%;
+            max-height: 95vh;
+          }
+          
+          .settings-header {
+            padding: 16px 20px;
+          }
+          
+          .settings-section {
+            padding: 16px 20px;
+          }
+          
+          .settings-footer {
+            padding: 16px 20px;
+            flex-direction: column;
+          }
+          
+          .setting-button {
+            width: 100%;
+            margin-right: 0;
+            margin-bottom: 8px;
+          }
+          
+          .setting-button:last-child {
+            margin-bottom: 0;
+          }
+        }
+
+        /* 滚动条样式 */
+        .settings-content::-webkit-scrollbar {
+          width: 6px;
+        }
+
+        .settings-content::-webkit-scrollbar-track {
+          background: #f1f5f9;
+        }
+
+        .settings-content::-webkit-scrollbar-thumb {
+          background: #cbd5e1;
+          border-radius: 3px;
+        }
+
+        .settings-content::-webkit-scrollbar-thumb:hover {
+          background: #94a3b8;
+        }
+      `;
+
+      document.head.appendChild(style);
+      console.log('[Translation] Styles injected');
+    },
+
+    /**
+     * 清理资源
+     * 优化：完善清理机制，清理所有监听器和定时器
+     */
+    cleanup() {
+      // 清理消息观察器
+      if (this.messageObserver) {
+        this.messageObserver.disconnect();
+        this.messageObserver = null;
+      }
+
+      // 清理输入框观察器
+      if (this.inputObserver) {
+        this.inputObserver.disconnect();
+        this.inputObserver = null;
+      }
+
+      // 清理按钮监控
+      if (this.buttonMonitor) {
+        this.buttonMonitor.disconnect();
+        this.buttonMonitor = null;
+      }
+
+      if (this.buttonCheckInterval) {
+        clearInterval(this.buttonCheckInterval);
+        this.buttonCheckInterval = null;
+      }
+
+      // 清理消息发送监控
+      if (this.messageSentObserver) {
+        this.messageSentObserver.disconnect();
+        this.messageSentObserver = null;
+      }
+
+      // 发送剩余的归档消息
+      this.flushArchiveQueue();
+
+      // 移除发送消息合规策略
+      this.cleanupOutgoingPolicy();
+
+      // 停止回复时效跟踪
+      if (this._slaTimer) {
+        clearInterval(this._slaTimer);
+        this._slaTimer = null;
+      }
+
+      // 停止订阅跟进提醒
+      if (this._remindersUnsubscribe) {
+        this._remindersUnsubscribe();
+        this._remindersUnsubscribe = null;
+      }
+      if (this._openChatUnsubscribe) {
+        this._openChatUnsubscribe();
+        this._openChatUnsubscribe = null;
+      }
+
+      // 关闭聊天列表筛选并停止订阅标签修改
+      this.closeChatFilter();
+      if (this._tagsUnsubscribe) {
+        this._tagsUnsubscribe();
+        this._tagsUnsubscribe = null;
+      }
+
+      // 取消流式翻译并停止订阅
+      this.cancelPendingStreams();
+      if (this._streamUnsubscribe) {
+        this._streamUnsubscribe();
+        this._streamUnsubscribe = null;
+      }
+
+      // 清理中文拦截
+      this.cleanupChineseBlock();
+      
+      // 清理实时翻译
+      this.cleanupRealtimeTranslation();
+
+      // 清理样式
+      const styles = document.getElementById('wa-translation-styles');
+      if (styles) {
+        styles.remove();
+      }
+      
+      // 清理翻译按钮、快捷回复和回复建议
+      const button = document.getElementById('wa-translate-btn');
+      if (button) {
+        button.remove();
+      }
+      this.removeQuickReplyButton();
+      this.clearReplySuggestions();
+
+      // 清理客户画像侧边栏、重复客户提醒和聊天筛选入口
+      ['wa-contact-panel', 'wa-contact-panel-toggle', 'wa-duplicate-banner', 'wa-chat-filter-toggle'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+          element.remove();
+        }
+      });
+
+      // 重置初始化标志
+      this.initialized = false;
+      this._chineseBlockInitialized = false;
+      this._realtimeInitialized = false;
+      this._buttonMonitorInitialized = false;
+      this._lastContactId = null;
+      this._lastLogTime = {};
+      
+      console.log('[Translation] Cleaned up');
+    }
+  };
+
+  // 初始化
+  WhatsAppTranslation.init();
+
+  // 暴露到全局（用于调试和手动触发）
+  window.WhatsAppTranslation = WhatsAppTranslation;
+
+  // 添加全局快捷函数
+  window.translateCurrentChat = function() {
+    console.log('[Translation] Manually translating current chat...');
+    WhatsAppTranslation.translateExistingMessages();
+  };
+
+  // 监听点击事件（点击聊天列表时）
+  document.addEventListener('click', function(e) {
+    // 检查是否点击了聊天列表项
+    const chatItem = e.target.closest('[data-testid="cell-frame-container"]') ||
+                     e.target.closest('._ak8l') ||
+                     e.target.closest('[role="listitem"]');
+    
+    if (chatItem) {
+      console.log('[Translation] Chat item clicked, will translate after delay');
+      // 延迟翻译，等待聊天加载
+      setTimeout(() => {
+        WhatsAppTranslation.translateExistingMessages();
+      }, 1000);
+    }
+  }, true);
+
+  console.log('[Translation] Global functions exposed: window.translateCurrentChat()');
+
+  // ==================== 设置面板 ====================
+  
+  /**
+   * 翻译设置面板类
+   */
+  class TranslationSettingsPanel {
+    constructor() {
+      this.panel = null;
+      this.config = null;
+      this.isVisible = false;
+      this.accountId = null;
+      this.currentEngine = null; // 跟踪当前选择的引擎
+    }
+
+    /**
+     * 创建设置面板
+     */
+    createPanel() {
+      if (this.panel) {
+        return this.panel;
+      }
+
+      // 创建面板容器
+      this.panel = document.createElement('div');
+      this.panel.id = 'wa-translation-settings';
+      this.panel.className = 'wa-translation-settings';
+      
+      this.panel.innerHTML = `
+        <div class="settings-overlay"></div>
+        <div class="settings-container">
+          <div class="settings-header">
+            <h2>🌐 翻译设置</h2>
+            <button class="settings-close">×</button>
+          </div>
+          
+          <div class="settings-content">
+            <!-- 基础设置 -->
+            <div class="settings-section">
+              <h3>📝 基础设置</h3>
+              
+              <div class="setting-item" style="background: #e3f2fd; padding: 12px; border-radius: 8px; margin-bottom: 16px;">
+                <div style="display: flex; align-items: start; gap: 8px;">
+                  <span style="font-size: 20px;">💡</span>
+                  <div>
+                    <strong style="color: #1976d2;">成本优化建议</strong>
+                    <p style="margin: 4px 0 0 0; font-size: 13px; color: #424242; line-height: 1.5;">
+                      • <strong>聊天窗口翻译</strong>（接收消息）：推荐使用谷歌翻译（免费），用于理解对方在说什么<br>
+                      • <strong>输入框翻译</strong>（发送消息）：可选 AI 翻译 + 风格，用于以合适的语气回复对方<br>
+                      • 这样配置可降低 <strong>70-90%</strong> 的翻译成本！
+                    </p>
+                  </div>
+                </div>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="autoTranslate" class="setting-checkbox">
+                  <span class="setting-title">自动翻译消息</span>
+                </label>
+                <p class="setting-desc">接收到新消息时自动显示翻译</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="groupTranslation" class="setting-checkbox">
+                  <span class="setting-title">群组消息翻译</span>
+                </label>
+                <p class="setting-desc">在群组聊天中也显示翻译</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="streamingTranslation" class="setting-checkbox">
+                  <span class="setting-title">流式显示译文</span>
+                </label>
+                <p class="setting-desc">使用 AI 引擎时逐字显示翻译结果，长消息无需等待完整响应</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">聊天窗口翻译引擎（接收消息）</label>
+                <select id="translationEngine" class="setting-select">
+                  <option value="google">Google 翻译 - 免费，无需API</option>
+                  <option value="gpt4">GPT-4 - 需API密钥</option>
+                  <option value="gemini">Google Gemini - 需API密钥</option>
+                  <option value="deepseek">DeepSeek - 需API密钥</option>
+                  <option value="custom">自定义 API - 需配置</option>
+                  <option value="deepl">DeepL - 需API密钥</option>
+                  <option value="microsoft">Microsoft Translator - 需API密钥</option>
+                  <option value="libretranslate">LibreTranslate - 本地部署，消息不出内网</option>
+                </select>
+                <p class="setting-desc">💡 用于翻译对方发来的消息，推荐使用谷歌翻译（免费，无需API）节省成本</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">目标语言</label>
+                <select id="targetLanguage" class="setting-select">
+                  <option value="zh-CN">🇨🇳 中文简体</option>
+                  <option value="zh-TW">🇹🇼 中文繁体</option>
+                  <option value="en">🇬🇧 英语</option>
+                  <option value="vi">🇻🇳 越南语</option>
+                  <option value="ja">🇯🇵 日语</option>
+                  <option value="ko">🇰🇷 韩语</option>
+                  <option value="th">🇹🇭 泰语</option>
+                  <option value="id">🇮🇩 印尼语</option>
+                  <option value="ms">🇲🇾 马来语</option>
+                  <option value="tl">🇵🇭 菲律宾语</option>
+                  <option value="my">🇲🇲 缅甸语</option>
+                  <option value="km">🇰🇭 高棉语</option>
+                  <option value="lo">🇱🇦 老挝语</option>
+                  <option value="es">🇪🇸 西班牙语</option>
+                  <option value="fr">🇫🇷 法语</option>
+                  <option value="de">🇩🇪 德语</option>
+                  <option value="it">🇮🇹 意大利语</option>
+                  <option value="pt">🇵🇹 葡萄牙语</option>
+                  <option value="ru">🇷🇺 俄语</option>
+                  <option value="ar">🇸🇦 阿拉伯语</option>
+                  <option value="hi">🇮🇳 印地语</option>
+                  <option value="bn">🇧🇩 孟加拉语</option>
+                  <option value="ur">🇵🇰 乌尔都语</option>
+                  <option value="tr">🇹🇷 土耳其语</option>
+                  <option value="fa">🇮🇷 波斯语</option>
+                  <option value="he">🇮🇱 希伯来语</option>
+                  <option value="nl">🇳🇱 荷兰语</option>
+                  <option value="pl">🇵🇱 波兰语</option>
+                  <option value="uk">🇺🇦 乌克兰语</option>
+                  <option value="cs">🇨🇿 捷克语</option>
+                  <option value="ro">🇷🇴 罗马尼亚语</option>
+                  <option value="sv">🇸🇪 瑞典语</option>
+                  <option value="da">🇩🇰 丹麦语</option>
+                  <option value="no">🇳🇴 挪威语</option>
+                  <option value="fi">🇫🇮 芬兰语</option>
+                  <option value="el">🇬🇷 希腊语</option>
+                  <option value="hu">🇭🇺 匈牙利语</option>
+                  <option value="bg">🇧🇬 保加利亚语</option>
+                  <option value="sr">🇷🇸 塞尔维亚语</option>
+                  <option value="hr">🇭🇷 克罗地亚语</option>
+                  <option value="sk">🇸🇰 斯洛伐克语</option>
+                  <option value="sl">🇸🇮 斯洛文尼亚语</option>
+                  <option value="lt">🇱🇹 立陶宛语</option>
+                  <option value="lv">🇱🇻 拉脱维亚语</option>
+                  <option value="et">🇪🇪 爱沙尼亚语</option>
+                  <option value="sw">🇰🇪 斯瓦希里语</option>
+                  <option value="af">🇿🇦 南非荷兰语</option>
+                  <option value="am">🇪🇹 阿姆哈拉语</option>
+                </select>
+                <p class="setting-desc">消息翻译的目标语言</p>
+              </div>
+            </div>
+            
+            <!-- 输入框设置 -->
+            <div class="settings-section">
+              <h3>✏️ 输入框翻译</h3>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="inputBoxEnabled" class="setting-checkbox">
                   <span class="setting-title">启用输入框翻译按钮</span>
                 </label>
-                <p class="setting-desc">在输入框旁显示翻译按钮</p>
+                <p class="setting-desc">在输入框旁显示翻译按钮</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">输入框翻译引擎（发送消息）</label>
+                <select id="inputBoxEngine" class="setting-select">
+                  <option value="google">Google 翻译 - 免费，无需API，无风格</option>
+                  <option value="gpt4">GPT-4 - 需API密钥，支持风格</option>
+                  <option value="gemini">Google Gemini - 需API密钥，支持风格</option>
+                  <option value="deepseek">DeepSeek - 需API密钥，支持风格</option>
+                  <option value="custom">自定义 API - 需配置，支持风格</option>
+                  <option value="deepl">DeepL - 需API密钥，支持正式/口语化</option>
+                  <option value="microsoft">Microsoft Translator - 需API密钥，支持正式/口语化</option>
+                  <option value="libretranslate">LibreTranslate - 本地部署，无风格</option>
+                </select>
+                <p class="setting-desc">💡 用于翻译你要发送的消息，AI 引擎支持风格定制，谷歌翻译为机器翻译（无风格选项）</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">输入框翻译目标语言</label>
+                <select id="inputBoxTargetLang" class="setting-select">
+                  <option value="auto">🤖 自动检测（根据对方语言）</option>
+                  <option value="zh-CN">🇨🇳 中文简体</option>
+                  <option value="zh-TW">🇹🇼 中文繁体</option>
+                  <option value="en">🇬🇧 英语</option>
+                  <option value="vi">🇻🇳 越南语</option>
+                  <option value="ja">🇯🇵 日语</option>
+                  <option value="ko">🇰🇷 韩语</option>
+                  <option value="th">🇹🇭 泰语</option>
+                  <option value="id">🇮🇩 印尼语</option>
+                  <option value="ms">🇲🇾 马来语</option>
+                  <option value="tl">🇵🇭 菲律宾语</option>
+                  <option value="my">🇲🇲 缅甸语</option>
+                  <option value="km">🇰🇭 高棉语</option>
+                  <option value="lo">🇱🇦 老挝语</option>
+                  <option value="es">🇪🇸 西班牙语</option>
+                  <option value="fr">🇫🇷 法语</option>
+                  <option value="de">🇩🇪 德语</option>
+                  <option value="it">🇮🇹 意大利语</option>
+                  <option value="pt">🇵🇹 葡萄牙语</option>
+                  <option value="ru">🇷🇺 俄语</option>
+                  <option value="ar">🇸🇦 阿拉伯语</option>
+                  <option value="hi">🇮🇳 印地语</option>
+                  <option value="bn">🇧🇩 孟加拉语</option>
+                  <option value="ur">🇵🇰 乌尔都语</option>
+                  <option value="tr">🇹🇷 土耳其语</option>
+                  <option value="fa">🇮🇷 波斯语</option>
+                  <option value="he">🇮🇱 希伯来语</option>
+                  <option value="nl">🇳🇱 荷兰语</option>
+                  <option value="pl">🇵🇱 波兰语</option>
+                  <option value="uk">🇺🇦 乌克兰语</option>
+                  <option value="cs">🇨🇿 捷克语</option>
+                  <option value="ro">🇷🇴 罗马尼亚语</option>
+                  <option value="sv">🇸🇪 瑞典语</option>
+                  <option value="da">🇩🇰 丹麦语</option>
+                  <option value="no">🇳🇴 挪威语</option>
+                  <option value="fi">🇫🇮 芬兰语</option>
+                  <option value="el">🇬🇷 希腊语</option>
+                  <option value="hu">🇭🇺 匈牙利语</option>
+                  <option value="bg">🇧🇬 保加利亚语</option>
+                  <option value="sr">🇷🇸 塞尔维亚语</option>
+                  <option value="hr">🇭🇷 克罗地亚语</option>
+                  <option value="sk">🇸🇰 斯洛伐克语</option>
+                  <option value="sl">🇸🇮 斯洛文尼亚语</option>
+                  <option value="lt">🇱🇹 立陶宛语</option>
+                  <option value="lv">🇱🇻 拉脱维亚语</option>
+                  <option value="et">🇪🇪 爱沙尼亚语</option>
+                  <option value="sw">🇰🇪 斯瓦希里语</option>
+                  <option value="af">🇿🇦 南非荷兰语</option>
+                  <option value="am">🇪🇹 阿姆哈拉语</option>
+                </select>
+                <p class="setting-desc">点击翻译按钮时将输入框内容翻译成的目标语言</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">翻译风格（仅输入框 AI 引擎）</label>
+                <select id="translationStyle" class="setting-select">
+                  <option value="通用">通用 - 自然流畅的表达</option>
+                  <option value="正式">正式 - 商务沟通、正式场合</option>
+                  <option value="口语化">口语化 - 朋友聊天、轻松场合</option>
+                  <option value="亲切">亲切 - 客户服务、关怀问候</option>
+                  <option value="幽默">幽默 - 风趣俏皮、营销推广</option>
+                  <option value="礼貌">礼貌 - 初次接触、正式请求</option>
+                  <option value="强硬">强硬 - 谈判维权、坚定表达</option>
+                  <option value="简洁">简洁 - 快速沟通、精炼直接</option>
+                  <option value="激励">激励 - 团队激励、销售推广</option>
+                  <option value="中立">中立 - 客观陈述、不带情绪</option>
+                  <option value="专业">专业 - 技术讨论、专业领域</option>
+                </select>
+                <p class="setting-desc">⚠️ 风格仅在输入框翻译时生效，且需要使用 AI 引擎（GPT-4、Gemini、DeepSeek）；DeepL 和 Microsoft Translator 仅区分正式与口语化</p>
+              </div>
+            </div>
+            
+            <!-- 高级设置 -->
+            <div class="settings-section">
+              <h3>⚙️ 高级设置</h3>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="blockChinese" class="setting-checkbox">
+                  <span class="setting-title">禁发中文</span>
+                </label>
+                <p class="setting-desc">拦截包含中文的消息发送</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="friendIndependent" class="setting-checkbox">
+                  <span class="setting-title">好友独立配置</span>
+                </label>
+                <p class="setting-desc">为不同联系人设置独立的翻译配置</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="realtimeTranslation" class="setting-checkbox">
+                  <span class="setting-title">实时翻译预览</span>
+                </label>
+                <p class="setting-desc">输入时实时显示翻译预览</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="reverseTranslation" class="setting-checkbox">
+                  <span class="setting-title">反向翻译验证</span>
+                </label>
+                <p class="setting-desc">显示反向翻译以验证准确性</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="contextAware" class="setting-checkbox">
+                  <span class="setting-title">上下文感知翻译</span>
+                </label>
+                <p class="setting-desc">AI 翻译时附带当前聊天最近的消息，改善代词和省略句的翻译（仅 AI 引擎）</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">上下文消息条数</label>
+                <input type="number" id="contextMessages" class="setting-input" min="1" max="20" step="1">
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">上下文 Token 上限</label>
+                <input type="number" id="contextTokenBudget" class="setting-input" min="50" step="50">
+                <p class="setting-desc">超出上限时丢弃较早的消息</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="contextInCacheKey" class="setting-checkbox">
+                  <span class="setting-title">上下文参与缓存</span>
+                </label>
+                <p class="setting-desc">开启后相同原文在不同上下文中分别缓存，缓存命中率会降低</p>
+              </div>
+            </div>
+            
+            <!-- 好友独立配置 -->
+            <div class="settings-section" id="friendConfigSection" style="display: none;">
+              <h3>👥 当前联系人配置</h3>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="currentFriendEnabled" class="setting-checkbox">
+                  <span class="setting-title">为当前联系人启用独立配置</span>
+                </label>
+                <p class="setting-desc" id="currentContactName">当前联系人：未知</p>
+              </div>
+              
+              <div id="friendConfigOptions" style="display: none;">
+                <div class="setting-item">
+                  <label class="setting-title">目标语言</label>
+                  <select id="friendTargetLang" class="setting-select">
+                    <option value="zh-CN">🇨🇳 中文简体</option>
+                    <option value="zh-TW">🇹🇼 中文繁体</option>
+                    <option value="en">🇬🇧 英语</option>
+                    <option value="vi">🇻🇳 越南语</option>
+                    <option value="ja">🇯🇵 日语</option>
+                    <option value="ko">🇰🇷 韩语</option>
+                    <option value="th">🇹🇭 泰语</option>
+                    <option value="id">🇮🇩 印尼语</option>
+                    <option value="ms">🇲🇾 马来语</option>
+                    <option value="tl">🇵🇭 菲律宾语</option>
+                    <option value="my">🇲🇲 缅甸语</option>
+                    <option value="km">🇰🇭 高棉语</option>
+                    <option value="lo">🇱🇦 老挝语</option>
+                    <option value="es">🇪🇸 西班牙语</option>
+                    <option value="fr">🇫🇷 法语</option>
+                    <option value="de">🇩🇪 德语</option>
+                    <option value="it">🇮🇹 意大利语</option>
+                    <option value="pt">🇵🇹 葡萄牙语</option>
+                    <option value="ru">🇷🇺 俄语</option>
+                    <option value="ar">🇸🇦 阿拉伯语</option>
+                    <option value="hi">🇮🇳 印地语</option>
+                    <option value="bn">🇧🇩 孟加拉语</option>
+                    <option value="ur">🇵🇰 乌尔都语</option>
+                    <option value="tr">🇹🇷 土耳其语</option>
+                    <option value="fa">🇮🇷 波斯语</option>
+                    <option value="he">🇮🇱 希伯来语</option>
+                    <option value="nl">🇳🇱 荷兰语</option>
+                    <option value="pl">🇵🇱 波兰语</option>
+                    <option value="uk">🇺🇦 乌克兰语</option>
+                    <option value="cs">🇨🇿 捷克语</option>
+                    <option value="ro">🇷🇴 罗马尼亚语</option>
+                    <option value="sv">🇸🇪 瑞典语</option>
+                    <option value="da">🇩🇰 丹麦语</option>
+                    <option value="no">🇳🇴 挪威语</option>
+                    <option value="fi">🇫🇮 芬兰语</option>
+                    <option value="el">🇬🇷 希腊语</option>
+                    <option value="hu">🇭🇺 匈牙利语</option>
+                    <option value="bg">🇧🇬 保加利亚语</option>
+                    <option value="sr">🇷🇸 塞尔维亚语</option>
+                    <option value="hr">🇭🇷 克罗地亚语</option>
+                    <option value="sk">🇸🇰 斯洛伐克语</option>
+                    <option value="sl">🇸🇮 斯洛文尼亚语</option>
+                    <option value="lt">🇱🇹 立陶宛语</option>
+                    <option value="lv">🇱🇻 拉脱维亚语</option>
+                    <option value="et">🇪🇪 爱沙尼亚语</option>
+                    <option value="sw">🇰🇪 斯瓦希里语</option>
+                    <option value="af">🇿🇦 南非荷兰语</option>
+                    <option value="am">🇪🇹 阿姆哈拉语</option>
+                  </select>
+                  <p class="setting-desc">该联系人消息的翻译目标语言</p>
+                </div>
+                
+                <div class="setting-item">
+                  <label class="setting-label">
+                    <input type="checkbox" id="friendBlockChinese" class="setting-checkbox">
+                    <span class="setting-title">对该联系人禁发中文</span>
+                  </label>
+                  <p class="setting-desc">向该联系人发送消息时拦截中文</p>
+                </div>
+              </div>
+              
+              <div class="setting-item">
+                <button id="manageFriendsBtn" class="setting-button secondary">管理所有联系人配置</button>
+              </div>
+            </div>
+            
+            <!-- 机器翻译服务 -->
+            <div class="settings-section" id="mtEngineSection" style="display: none;">
+              <h3>🌍 机器翻译服务</h3>
+              
+              <div id="deeplConfigItems">
+                <div class="setting-item">
+                  <label class="setting-title">DeepL API 密钥</label>
+                  <input type="password" id="deeplApiKey" class="setting-input" placeholder="免费版密钥以 :fx 结尾">
+                </div>
+                
+                <div class="setting-item">
+                  <label class="setting-title">DeepL 术语表 ID（可选）</label>
+                  <textarea id="deeplGlossaryIds" class="setting-input" rows="3" placeholder="en:zh-CN=术语表ID"></textarea>
+                  <p class="setting-desc">每行一个语言对，格式为 源语言:目标语言=术语表ID；仅在源语言明确时生效</p>
+                </div>
+              </div>
+              
+              <div id="microsoftConfigItems">
+                <div class="setting-item">
+                  <label class="setting-title">Microsoft Translator 密钥</label>
+                  <input type="password" id="msApiKey" class="setting-input" placeholder="Azure 翻译资源密钥">
+                </div>
+                
+                <div class="setting-item">
+                  <label class="setting-title">区域</label>
+                  <input type="text" id="msRegion" class="setting-input" placeholder="如 eastasia，全局资源留空">
+                </div>
+                
+                <div class="setting-item">
+                  <label class="setting-title">Custom Translator 类别（可选）</label>
+                  <input type="text" id="msCategory" class="setting-input" placeholder="默认类别 ID">
+                  <input type="text" id="msFormalCategory" class="setting-input" placeholder="正式风格类别 ID">
+                  <input type="text" id="msInformalCategory" class="setting-input" placeholder="口语化风格类别 ID">
+                  <p class="setting-desc">Microsoft 没有正式程度参数，正式/口语化风格通过训练好的自定义类别实现</p>
+                </div>
+              </div>
+            </div>
+            
+            <!-- 本地翻译服务 -->
+            <div class="settings-section" id="localEngineSection" style="display: none;">
+              <h3>🏠 本地翻译服务（LibreTranslate）</h3>
+              
+              <div class="setting-item">
+                <label class="setting-title">服务地址</label>
+                <input type="text" id="libreEndpoint" class="setting-input" placeholder="http://localhost:5000">
+                <p class="setting-desc">自建的 LibreTranslate / Argos Translate 兼容服务地址</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">API 密钥（可选）</label>
+                <input type="password" id="libreApiKey" class="setting-input" placeholder="服务未开启密钥验证时留空">
+              </div>
+              
+              <button id="testLibreBtn" class="setting-button">检测服务</button>
+              <p class="setting-desc" id="libreStatus"></p>
+            </div>
+            
+            <!-- API 配置 -->
+            <div class="settings-section" id="apiConfigSection" style="display: none;">
+              <h3>🔑 API 配置</h3>
+              
+              <div class="setting-item">
+                <label class="setting-title">API 密钥</label>
+                <input type="password" id="apiKey" class="setting-input" placeholder="输入 API 密钥">
+                <p class="setting-desc">翻译服务的 API 密钥（仅本地存储）</p>
+              </div>
+              
+              <div class="setting-item" id="customEndpointItem" style="display: none;">
+                <label class="setting-title">API 端点</label>
+                <input type="text" id="apiEndpoint" class="setting-input" placeholder="https://api.example.com/v1/chat/completions">
+                <p class="setting-desc">自定义 API 的端点地址</p>
+              </div>
+              
+              <div class="setting-item" id="customFormatItem" style="display: none;">
+                <label class="setting-title">API 格式</label>
+                <select id="apiFormat" class="setting-select">
+                  <option value="openai">OpenAI Chat Completions（兼容格式）</option>
+                  <option value="gemini">Gemini generateContent</option>
+                  <option value="anthropic">Anthropic Messages</option>
+                  <option value="ollama">Ollama /api/chat</option>
+                </select>
+                <p class="setting-desc">端点使用的请求格式；Ollama 本地服务无需密钥，可填写任意值</p>
+              </div>
+              
+              <div class="setting-item" id="customModelItem" style="display: none;">
+                <label class="setting-title">模型名称</label>
+                <input type="text" id="apiModel" class="setting-input" placeholder="gpt-4">
+                <p class="setting-desc">使用的模型名称</p>
+              </div>
+              
+              <button id="testApiBtn" class="setting-button">测试连接</button>
+            </div>
+            
+            <!-- 术语表 -->
+            <div class="settings-section" id="glossarySection">
+              <h3>📖 术语表</h3>
+              
+              <div class="setting-item">
+                <label class="setting-title">术语表范围</label>
+                <select id="glossaryScope" class="setting-select">
+                  <option value="account">当前账号</option>
+                  <option value="global">全局（所有账号）</option>
+                </select>
+                <p class="setting-desc">产品名、SKU 等术语按指定译法翻译；禁译词保持原样。账号术语优先于全局术语</p>
+              </div>
+              
+              <div id="glossaryList" class="glossary-list"></div>
+              
+              <div class="setting-item glossary-add-row">
+                <select id="glossaryType" class="setting-select">
+                  <option value="term">术语</option>
+                  <option value="dnt">禁译词</option>
+                </select>
+                <input type="text" id="glossarySource" class="setting-input" placeholder="原文">
+                <input type="text" id="glossaryTarget" class="setting-input" placeholder="译文">
+                <button id="glossaryAddBtn" class="setting-button secondary">添加</button>
+              </div>
+              
+              <div class="setting-item">
+                <button id="glossaryImportBtn" class="setting-button secondary">导入 CSV</button>
+                <button id="glossaryExportBtn" class="setting-button secondary">导出 CSV</button>
+                <input type="file" id="glossaryImportFile" accept=".csv,text/csv" style="display: none;">
+              </div>
+            </div>
+            
+            <!-- 翻译记忆库 -->
+            <div class="settings-section" id="memorySection">
+              <h3>🗂️ 翻译记忆库</h3>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="memoryEnabled" class="setting-checkbox">
+                  <span class="setting-title">复用翻译记忆</span>
+                </label>
+                <p class="setting-desc">相同的消息直接使用记忆库中的译文，缓存清理后仍然有效</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="memoryFuzzyReuse" class="setting-checkbox">
+                  <span class="setting-title">直接复用相似译文</span>
+                </label>
+                <p class="setting-desc">关闭时相似译文只显示在引擎译文下方作为参考（数字、日期不同的消息可能被误用）</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="memoryAutoSave" class="setting-checkbox">
+                  <span class="setting-title">自动保存引擎译文</span>
+                </label>
+                <p class="setting-desc">人工添加和导入的条目不会被自动保存的译文覆盖</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">最低相似度（%）</label>
+                <input type="number" id="memoryMinSimilarity" class="setting-input" min="50" max="100" step="1">
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">记忆范围</label>
+                <select id="memoryScope" class="setting-select">
+                  <option value="account">当前账号</option>
+                  <option value="global">共享（所有账号）</option>
+                </select>
+                <p class="setting-desc">查找时同时使用当前账号和共享的条目，相似度相同时账号条目优先</p>
+              </div>
+              
+              <input type="text" id="memorySearch" class="setting-input" placeholder="搜索原文或译文">
+              <div id="memoryList" class="glossary-list"></div>
+              
+              <div class="setting-item memory-add-row">
+                <input type="text" id="memorySourceLang" class="setting-input" placeholder="源语言，如 en">
+                <input type="text" id="memoryTargetLang" class="setting-input" placeholder="目标语言，如 zh-CN">
+                <input type="text" id="memorySource" class="setting-input" placeholder="原文">
+                <input type="text" id="memoryTarget" class="setting-input" placeholder="译文">
+                <button id="memoryAddBtn" class="setting-button secondary">添加</button>
+              </div>
+              
+              <div class="setting-item">
+                <button id="memoryImportBtn" class="setting-button secondary">导入 TMX</button>
+                <button id="memoryExportBtn" class="setting-button secondary">导出 TMX</button>
+                <input type="file" id="memoryImportFile" accept=".tmx,.xml" style="display: none;">
+              </div>
+            </div>
+            
+            <!-- 快捷回复 -->
+            <div class="settings-section" id="quickReplySection">
+              <h3>⚡ 快捷回复</h3>
+              
+              <div class="setting-item">
+                <label class="setting-title">快捷回复范围</label>
+                <select id="quickReplyScope" class="setting-select">
+                  <option value="account">当前账号</option>
+                  <option value="global">全局（所有账号）</option>
+                </select>
+                <p class="setting-desc">点击输入框旁的 ⚡ 按钮选择模板，可插入原文或翻译成聊天语言后插入。模板中的 {name}、{date}、{time} 会替换为联系人名称、日期和时间</p>
+              </div>
+              
+              <div id="quickReplyList" class="glossary-list"></div>
+              
+              <div class="setting-item memory-add-row">
+                <input type="text" id="quickReplyGroup" class="setting-input" placeholder="分组，如 售后">
+                <input type="text" id="quickReplyTitle" class="setting-input" placeholder="标题（可选）">
+                <textarea id="quickReplyText" class="setting-input quick-reply-text" rows="3" placeholder="回复内容，如 您好 {name}，您的订单已于 {date} 发货"></textarea>
+                <button id="quickReplyAddBtn" class="setting-button secondary">添加</button>
+              </div>
+              
+              <div class="setting-item">
+                <button id="quickReplyImportBtn" class="setting-button secondary">导入 JSON</button>
+                <button id="quickReplyExportBtn" class="setting-button secondary">导出 JSON</button>
+                <input type="file" id="quickReplyImportFile" accept=".json,application/json" style="display: none;">
+              </div>
+            </div>
+            
+            <!-- 回复建议 -->
+            <div class="settings-section" id="suggestionSection">
+              <h3>💡 回复建议</h3>
+              <p class="setting-desc">收到的消息（原文或译文）匹配关键词或正则时，在输入框上方建议对应的快捷回复模板，点击后只插入输入框，不会自动发送。多个关键词用英文逗号分隔</p>
+              
+              <div id="suggestionList" class="glossary-list"></div>
+              
+              <div class="setting-item memory-add-row">
+                <input type="text" id="suggestionPattern" class="setting-input" placeholder="关键词，如 价格,多少钱">
+                <select id="suggestionReply" class="setting-select"></select>
+                <select id="suggestionMatchOn" class="setting-select">
+                  <option value="any">匹配原文或译文</option>
+                  <option value="original">只匹配原文</option>
+                  <option value="translated">只匹配译文</option>
+                </select>
+                <select id="suggestionContactScope" class="setting-select">
+                  <option value="account">当前账号的所有聊天</option>
+                  <option value="contact">仅当前聊天</option>
+                </select>
+                <label class="setting-label">
+                  <input type="checkbox" id="suggestionIsRegex" class="setting-checkbox">
+                  <span class="setting-title">正则表达式</span>
+                </label>
+                <label class="setting-label">
+                  <input type="checkbox" id="suggestionCaseSensitive" class="setting-checkbox">
+                  <span class="setting-title">区分大小写</span>
+                </label>
+                <button id="suggestionAddBtn" class="setting-button secondary">添加规则</button>
+              </div>
+            </div>
+            
+            <!-- 重复客户 -->
+            <div class="settings-section" id="duplicateSection">
+              <h3>👥 重复客户</h3>
+              <p class="setting-desc">按规范化后的电话号码识别在多个账号中联系过的同一客户。已保存的联系人显示为名称时，使用客户画像中填写的电话</p>
+              
+              <div id="duplicateList" class="glossary-list"></div>
+              
+              <div class="setting-item">
+                <button id="duplicateRefreshBtn" class="setting-button secondary">刷新</button>
+                <button id="duplicateExportBtn" class="setting-button secondary">导出 CSV</button>
+              </div>
+            </div>
+            
+            <!-- 联系人标签 -->
+            <div class="settings-section" id="tagSection">
+              <h3>🏷️ 联系人标签</h3>
+              <p class="setting-desc">在客户画像侧边栏中给联系人打标签，点击左下角 🏷️ 按钮可按标签、会话类型和消息状态筛选聊天。标签按账号保存，同一账号的所有窗口共用</p>
+              
+              <div id="tagList" class="glossary-list"></div>
+              
+              <div class="setting-item memory-add-row">
+                <input type="text" id="tagName" class="setting-input" maxlength="32" placeholder="标签名称，如 意向客户">
+                <input type="color" id="tagColor" class="setting-input" value="#1e88e5">
+                <button id="tagAddBtn" class="setting-button secondary">添加标签</button>
+              </div>
+            </div>
+            
+            <!-- 回复时效提醒 -->
+            <div class="settings-section" id="slaSection">
+              <h3>⏱️ 回复时效提醒</h3>
+              <p class="setting-desc">客户消息超过设定时间未回复时发送系统通知，并在账号列表中显示超时会话数。群聊不计入，设置对所有账号生效</p>
+              
+              <div class="setting-item memory-add-row">
+                <label class="setting-label">
+                  <input type="checkbox" id="slaEnabled" class="setting-checkbox">
+                  <span class="setting-title">启用提醒</span>
+                </label>
+                <input type="number" id="slaMinutes" class="setting-input" min="1" max="1440" title="超时时间（分钟）">
+                <span class="setting-desc">分钟未回复视为超时</span>
+                <button id="slaSaveBtn" class="setting-button secondary">保存</button>
+              </div>
+              
+              <div id="slaWaitingList" class="glossary-list"></div>
+            </div>
+            
+            <!-- 敏感词监控 -->
+            <div class="settings-section" id="policySection">
+              <h3>🛡️ 敏感词监控</h3>
+              <p class="setting-desc">发出的消息匹配关键词或正则时，按规则阻止发送、弹出确认或放行并记录。规则对所有账号生效，事件日志只记录账号、联系人、时间和规则，不保存消息内容。多个关键词用英文逗号分隔</p>
+              
+              <div id="policyRuleList" class="glossary-list"></div>
+              
+              <div class="setting-item memory-add-row">
+                <input type="text" id="policyName" class="setting-input" placeholder="规则名称（可选）">
+                <input type="text" id="policyPattern" class="setting-input" placeholder="关键词，如 转账,银行卡">
+                <select id="policyAction" class="setting-select">
+                  <option value="block">阻止发送</option>
+                  <option value="warn">提醒确认</option>
+                  <option value="log">放行并记录</option>
+                </select>
+                <label class="setting-label">
+                  <input type="checkbox" id="policyIsRegex" class="setting-checkbox">
+                  <span class="setting-title">正则表达式</span>
+                </label>
+                <label class="setting-label">
+                  <input type="checkbox" id="policyCaseSensitive" class="setting-checkbox">
+                  <span class="setting-title">区分大小写</span>
+                </label>
+                <button id="policyAddBtn" class="setting-button secondary">添加规则</button>
               </div>
               
-              <div class="setting-item">
-                <label class="setting-title">输入框翻译引擎（发送消息）</label>
-                <select id="inputBoxEngine" class="setting-select">
-                  <option value="google">Google 翻译 - 免费，无需API，无风格</option>
-                  <option value="gpt4">GPT-4 - 需API密钥，支持风格</option>
-                  <option value="gemini">Google Gemini - 需API密钥，支持风格</option>
-                  <option value="deepseek">DeepSeek - 需API密钥，支持风格</option>
-                  <option value="custom">自定义 API - 需配置，支持风格</option>
+              <div class="setting-item memory-add-row">
+                <select id="policyEventScope" class="setting-select">
+                  <option value="account">当前账号的事件</option>
+                  <option value="all">所有账号的事件</option>
                 </select>
-                <p class="setting-desc">💡 用于翻译你要发送的消息，AI 引擎支持风格定制，谷歌翻译为机器翻译（无风格选项）</p>
+                <button id="policyExportBtn" class="setting-button secondary">导出 CSV</button>
+                <button id="policyClearBtn" class="setting-button secondary">清除事件</button>
+              </div>
+              
+              <div id="policyEventList" class="glossary-list"></div>
+            </div>
+            
+            <!-- 聊天记录导出 -->
+            <div class="settings-section" id="transcriptSection">
+              <h3>🗂️ 聊天记录导出</h3>
+              <p class="setting-desc">导出本地归档的聊天记录（含原文和译文），用于合规和客服质检。HTML 为气泡布局，译文显示在原文下方</p>
+              
+              <div class="setting-item memory-add-row">
+                <select id="transcriptScope" class="setting-select">
+                  <option value="contact">当前聊天</option>
+                  <option value="account">当前账号的所有聊天</option>
+                </select>
+                <select id="transcriptFormat" class="setting-select">
+                  <option value="html">HTML</option>
+                  <option value="csv">CSV</option>
+                  <option value="json">JSON</option>
+                </select>
+                <input type="date" id="transcriptFrom" class="setting-input" title="开始日期">
+                <input type="date" id="transcriptTo" class="setting-input" title="结束日期">
+                <label class="setting-label">
+                  <input type="checkbox" id="transcriptRedact" class="setting-checkbox">
+                  <span class="setting-title">隐藏敏感信息（电话、邮箱、卡号等）</span>
+                </label>
+                <button id="transcriptExportBtn" class="setting-button secondary">导出</button>
               </div>
+            </div>
+            
+            <!-- 引擎路由 -->
+            <div class="settings-section" id="routingSection">
+              <h3>🔀 引擎路由</h3>
               
               <div class="setting-item">
-                <label class="setting-title">输入框翻译目标语言</label>
-                <select id="inputBoxTargetLang" class="setting-select">
-                  <option value="auto">🤖 自动检测（根据对方语言）</option>
-                  <option value="zh-CN">🇨🇳 中文简体</option>
-                  <option value="zh-TW">🇹🇼 中文繁体</option>
-                  <option value="en">🇬🇧 英语</option>
-                  <option value="vi">🇻🇳 越南语</option>
-                  <option value="ja">🇯🇵 日语</option>
-                  <option value="ko">🇰🇷 韩语</option>
-                  <option value="th">🇹🇭 泰语</option>
-                  <option value="id">🇮🇩 印尼语</option>
-                  <option value="ms">🇲🇾 马来语</option>
-                  <option value="tl">🇵🇭 菲律宾语</option>
-                  <option value="my">🇲🇲 缅甸语</option>
-                  <option value="km">🇰🇭 高棉语</option>
-                  <option value="lo">🇱🇦 老挝语</option>
-                  <option value="es">🇪🇸 西班牙语</option>
-                  <option value="fr">🇫🇷 法语</option>
-                  <option value="de">🇩🇪 德语</option>
-                  <option value="it">🇮🇹 意大利语</option>
-                  <option value="pt">🇵🇹 葡萄牙语</option>
-                  <option value="ru">🇷🇺 俄语</option>
-                  <option value="ar">🇸🇦 阿拉伯语</option>
-                  <option value="hi">🇮🇳 印地语</option>
-                  <option value="bn">🇧🇩 孟加拉语</option>
-                  <option value="ur">🇵🇰 乌尔都语</option>
-                  <option value="tr">🇹🇷 土耳其语</option>
-                  <option value="fa">🇮🇷 波斯语</option>
-                  <option value="he">🇮🇱 希伯来语</option>
-                  <option value="nl">🇳🇱 荷兰语</option>
-                  <option value="pl">🇵🇱 波兰语</option>
-                  <option value="uk">🇺🇦 乌克兰语</option>
-                  <option value="cs">🇨🇿 捷克语</option>
-                  <option value="ro">🇷🇴 罗马尼亚语</option>
-                  <option value="sv">🇸🇪 瑞典语</option>
-                  <option value="da">🇩🇰 丹麦语</option>
-                  <option value="no">🇳🇴 挪威语</option>
-                  <option value="fi">🇫🇮 芬兰语</option>
-                  <option value="el">🇬🇷 希腊语</option>
-                  <option value="hu">🇭🇺 匈牙利语</option>
-                  <option value="bg">🇧🇬 保加利亚语</option>
-                  <option value="sr">🇷🇸 塞尔维亚语</option>
-                  <option value="hr">🇭🇷 克罗地亚语</option>
-                  <option value="sk">🇸🇰 斯洛伐克语</option>
-                  <option value="sl">🇸🇮 斯洛文尼亚语</option>
-                  <option value="lt">🇱🇹 立陶宛语</option>
-                  <option value="lv">🇱🇻 拉脱维亚语</option>
-                  <option value="et">🇪🇪 爱沙尼亚语</option>
-                  <option value="sw">🇰🇪 斯瓦希里语</option>
-                  <option value="af">🇿🇦 南非荷兰语</option>
-                  <option value="am">🇪🇹 阿姆哈拉语</option>
+                <label class="setting-title">路由范围</label>
+                <select id="routingScope" class="setting-select">
+                  <option value="account">当前账号</option>
+                  <option value="global">全局（所有账号）</option>
                 </select>
-                <p class="setting-desc">点击翻译按钮时将输入框内容翻译成的目标语言</p>
+                <p class="setting-desc" id="routingScopeDesc">按语言对、文本长度、聊天类型和方向选择引擎，从上到下使用第一条匹配的规则；未匹配时使用所选引擎</p>
               </div>
               
               <div class="setting-item">
-                <label class="setting-title">翻译风格（仅输入框 AI 引擎）</label>
-                <select id="translationStyle" class="setting-select">
-                  <option value="通用">通用 - 自然流畅的表达</option>
-                  <option value="正式">正式 - 商务沟通、正式场合</option>
-                  <option value="口语化">口语化 - 朋友聊天、轻松场合</option>
-                  <option value="亲切">亲切 - 客户服务、关怀问候</option>
-                  <option value="幽默">幽默 - 风趣俏皮、营销推广</option>
-                  <option value="礼貌">礼貌 - 初次接触、正式请求</option>
-                  <option value="强硬">强硬 - 谈判维权、坚定表达</option>
-                  <option value="简洁">简洁 - 快速沟通、精炼直接</option>
-                  <option value="激励">激励 - 团队激励、销售推广</option>
-                  <option value="中立">中立 - 客观陈述、不带情绪</option>
-                  <option value="专业">专业 - 技术讨论、专业领域</option>
+                <label class="setting-title">降级链</label>
+                <input type="text" id="routingFallbackChain" class="setting-input" placeholder="google, deepl, microsoft, gpt4, gemini, deepseek">
+                <p class="setting-desc">引擎失败或连续失败被熔断时按顺序尝试，用逗号分隔</p>
+              </div>
+              
+              <div id="routingList" class="glossary-list routing-list"></div>
+              
+              <div class="setting-item routing-add-row">
+                <input type="text" id="routingSourceLang" class="setting-input" placeholder="源语言（如 ja，留空为任意）">
+                <input type="text" id="routingTargetLang" class="setting-input" placeholder="目标语言（留空为任意）">
+                <select id="routingDirection" class="setting-select">
+                  <option value="any">任意方向</option>
+                  <option value="inbound">接收的消息</option>
+                  <option value="outbound">发送（输入框）</option>
+                </select>
+                <select id="routingChatType" class="setting-select">
+                  <option value="any">任意聊天</option>
+                  <option value="private">私聊</option>
+                  <option value="group">群聊</option>
                 </select>
-                <p class="setting-desc">⚠️ 风格仅在输入框翻译时生效，且需要使用 AI 引擎（GPT-4、Gemini、DeepSeek）</p>
+                <input type="number" id="routingMinLength" class="setting-input" min="0" placeholder="最短字数">
+                <input type="number" id="routingMaxLength" class="setting-input" min="0" placeholder="最长字数">
+                <select id="routingEngine" class="setting-select"></select>
+                <button id="routingAddBtn" class="setting-button secondary">添加规则</button>
+              </div>
+              
+              <div class="setting-item">
+                <button id="routingSaveBtn" class="setting-button secondary">保存降级链</button>
+                <button id="routingResetBtn" class="setting-button secondary">恢复使用全局路由</button>
+              </div>
+            </div>
+            
+            <!-- 费用与预算 -->
+            <div class="settings-section" id="costSection">
+              <h3>💰 费用与预算</h3>
+              
+              <div class="setting-item">
+                <label class="setting-title">当前账号月度预算</label>
+                <input type="number" id="budgetMonthlyLimit" class="setting-input" min="0" step="0.01" placeholder="不限制">
+                <p class="setting-desc" id="budgetSpent">本月已用：加载中...</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">超出预算后使用</label>
+                <select id="budgetFallbackEngine" class="setting-select"></select>
+                <p class="setting-desc">达到预算后，收费引擎的翻译自动切换到此引擎，降级时只使用免费引擎</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">引擎价格</label>
+                <div id="pricingTable"></div>
+                <p class="setting-desc">AI 引擎按每百万输入/输出 token 计价，机器翻译按每百万字符计价；服务商未返回用量时按估算的 token 计费</p>
+              </div>
+              
+              <div class="setting-item">
+                <button id="budgetSaveBtn" class="setting-button secondary">保存预算和价格</button>
+                <button id="costExportBtn" class="setting-button secondary">导出费用明细 CSV</button>
+              </div>
+            </div>
+            
+            <!-- 翻译网络代理 -->
+            <div class="settings-section" id="translationProxySection">
+              <h3>🌐 翻译网络代理</h3>
+              
+              <div class="setting-item">
+                <label class="setting-label">
+                  <input type="checkbox" id="translationProxyUseAccount" class="setting-checkbox">
+                  <span class="setting-title">通过账号代理发送翻译请求</span>
+                </label>
+                <p class="setting-desc">翻译请求与账号使用同一出口，按域名规则直连的翻译接口仍然直连</p>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-title">全局翻译代理</label>
+                <select id="translationProxyProfile" class="setting-select"></select>
+                <p class="setting-desc">未配置代理或使用 PAC 脚本的账号通过此代理发送翻译请求，可在账号设置中管理代理配置库</p>
+              </div>
+              
+              <p class="setting-desc" id="translationProxyCurrent"></p>
+            </div>
+            
+            <!-- 统计信息 -->
+            <div class="settings-section">
+              <h3>📊 使用统计</h3>
+              <div id="statsContent" class="stats-content">
+                <p>加载中...</p>
               </div>
+              <button id="clearCacheBtn" class="setting-button secondary">清除缓存</button>
             </div>
+          </div>
+          
+          <div class="settings-footer">
+            <button id="resetBtn" class="setting-button secondary">重置设置</button>
+            <button id="saveBtn" class="setting-button primary">保存设置</button>
+          </div>
+        </div>
+      `;
+
+      // 添加到页面
+      document.body.appendChild(this.panel);
+      
+      // 绑定事件
+      this.bindEvents();
+      
+      return this.panel;
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+      // 关闭按钮
+      const closeBtn = this.panel.querySelector('.settings-close');
+      closeBtn.onclick = () => this.hide();
+
+      // 遮罩层点击关闭
+      const overlay = this.panel.querySelector('.settings-overlay');
+      overlay.onclick = () => this.hide();
+
+      // 聊天窗口翻译引擎变化
+      const engineSelect = this.panel.querySelector('#translationEngine');
+      engineSelect.addEventListener('change', async (e) => {
+        const previousEngine = this.currentEngine || this.config?.global?.engine;
+        const newEngine = e.target.value;
+        
+        console.log(`[Settings] 聊天引擎切换: ${previousEngine} → ${newEngine}`);
+        
+        // 在切换前，保存当前引擎的配置（如果有输入）
+        if (previousEngine && previousEngine !== 'google') {
+          await this.saveCurrentEngineConfig(previousEngine);
+        }
+        
+        // 更新当前引擎
+        this.currentEngine = newEngine;
+        
+        // 确保预加载配置已准备好
+        if (!this.preloadedConfigs) {
+          await this.preloadAllEngineConfigs();
+        }
+        
+        // 立即刷新配置显示
+        await this.refreshAPIConfigDisplay();
+        
+        // 更新界面显示
+        this.updateAPIConfigVisibility();
+        this.updateTranslationStyleVisibility();
+        
+        // 显示切换提示
+        this.showEngineSwitchToast(newEngine);
+      });
+
+      // 输入框翻译引擎变化
+      const inputBoxEngineSelect = this.panel.querySelector('#inputBoxEngine');
+      inputBoxEngineSelect.addEventListener('change', async (e) => {
+        const newEngine = e.target.value;
+        console.log(`[Settings] 输入框引擎切换: → ${newEngine}`);
+        
+        // 确保预加载配置已准备好
+        if (!this.preloadedConfigs) {
+          await this.preloadAllEngineConfigs();
+        }
+        
+        // 立即刷新配置显示
+        await this.refreshAPIConfigDisplay();
+        
+        // 更新界面显示
+        this.updateAPIConfigVisibility();
+        this.updateTranslationStyleVisibility();
+        
+        // 显示切换提示
+        this.showEngineSwitchToast(newEngine, true);
+      });
+
+      // 测试 API 按钮
+      const testApiBtn = this.panel.querySelector('#testApiBtn');
+      testApiBtn.addEventListener('click', () => {
+        this.testAPI();
+      });
+
+      // 检测本地翻译服务
+      this.panel.querySelector('#testLibreBtn').addEventListener('click', () => {
+        this.testLocalEngine();
+      });
+
+      // 保存按钮
+      const saveBtn = this.panel.querySelector('#saveBtn');
+      saveBtn.addEventListener('click', () => {
+        this.saveSettings();
+      });
+
+      // 重置按钮
+      const resetBtn = this.panel.querySelector('#resetBtn');
+      resetBtn.addEventListener('click', () => {
+        this.resetSettings();
+      });
+
+      // 清除缓存按钮
+      const clearCacheBtn = this.panel.querySelector('#clearCacheBtn');
+      clearCacheBtn.addEventListener('click', () => {
+        this.clearCache();
+      });
+      
+      // 好友独立配置开关
+      const friendIndependentCheckbox = this.panel.querySelector('#friendIndependent');
+      friendIndependentCheckbox.addEventListener('change', () => {
+        this.updateFriendConfigVisibility();
+      });
+      
+      // 当前好友配置开关
+      const currentFriendCheckbox = this.panel.querySelector('#currentFriendEnabled');
+      currentFriendCheckbox.addEventListener('change', () => {
+        this.updateFriendConfigOptions();
+      });
+      
+      // 管理所有联系人配置按钮
+      const manageFriendsBtn = this.panel.querySelector('#manageFriendsBtn');
+      manageFriendsBtn.addEventListener('click', () => {
+        this.showFriendConfigManager();
+      });
+
+      // 术语表
+      this.panel.querySelector('#glossaryScope').addEventListener('change', () => {
+        this.loadGlossary();
+      });
+
+      this.panel.querySelector('#glossaryType').addEventListener('change', (e) => {
+        this.panel.querySelector('#glossaryTarget').style.display = e.target.value === 'dnt' ? 'none' : '';
+      });
+
+      this.panel.querySelector('#glossaryAddBtn').addEventListener('click', () => {
+        this.addGlossaryEntry();
+      });
+
+      this.panel.querySelector('#glossaryList').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.glossary-remove');
+        if (removeBtn) {
+          this.removeGlossaryEntry(removeBtn.dataset.type, Number(removeBtn.dataset.index));
+        }
+      });
+
+      const importFile = this.panel.querySelector('#glossaryImportFile');
+      this.panel.querySelector('#glossaryImportBtn').addEventListener('click', () => {
+        importFile.click();
+      });
+      importFile.addEventListener('change', () => {
+        if (importFile.files && importFile.files[0]) {
+          this.importGlossary(importFile.files[0]);
+        }
+        importFile.value = '';
+      });
+
+      this.panel.querySelector('#glossaryExportBtn').addEventListener('click', () => {
+        this.exportGlossary();
+      });
+
+      // 翻译记忆库
+      ['#memoryEnabled', '#memoryAutoSave', '#memoryFuzzyReuse', '#memoryMinSimilarity'].forEach(selector => {
+        this.panel.querySelector(selector).addEventListener('change', () => {
+          this.saveMemoryConfig();
+        });
+      });
+
+      this.panel.querySelector('#memoryScope').addEventListener('change', () => {
+        this.searchMemory();
+      });
+
+      let memorySearchTimer = null;
+      this.panel.querySelector('#memorySearch').addEventListener('input', () => {
+        clearTimeout(memorySearchTimer);
+        memorySearchTimer = setTimeout(() => this.searchMemory(), 300);
+      });
+
+      this.panel.querySelector('#memoryAddBtn').addEventListener('click', () => {
+        this.addMemorySegment();
+      });
+
+      this.panel.querySelector('#memoryList').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.glossary-remove');
+        if (removeBtn) {
+          this.removeMemorySegment(removeBtn.dataset.id);
+        }
+      });
+
+      const memoryImportFile = this.panel.querySelector('#memoryImportFile');
+      this.panel.querySelector('#memoryImportBtn').addEventListener('click', () => {
+        memoryImportFile.click();
+      });
+      memoryImportFile.addEventListener('change', () => {
+        if (memoryImportFile.files && memoryImportFile.files[0]) {
+          this.importMemory(memoryImportFile.files[0]);
+        }
+        memoryImportFile.value = '';
+      });
+
+      this.panel.querySelector('#memoryExportBtn').addEventListener('click', () => {
+        this.exportMemory();
+      });
+
+      // 快捷回复
+      this.panel.querySelector('#quickReplyScope').addEventListener('change', () => {
+        this.loadQuickReplies();
+      });
+
+      this.panel.querySelector('#quickReplyAddBtn').addEventListener('click', () => {
+        this.addQuickReply();
+      });
+
+      this.panel.querySelector('#quickReplyList').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.glossary-remove');
+        if (removeBtn) {
+          this.removeQuickReply(Number(removeBtn.dataset.group), Number(removeBtn.dataset.index));
+        }
+      });
+
+      const quickReplyImportFile = this.panel.querySelector('#quickReplyImportFile');
+      this.panel.querySelector('#quickReplyImportBtn').addEventListener('click', () => {
+        quickReplyImportFile.click();
+      });
+      quickReplyImportFile.addEventListener('change', () => {
+        if (quickReplyImportFile.files && quickReplyImportFile.files[0]) {
+          this.importQuickReplies(quickReplyImportFile.files[0]);
+        }
+        quickReplyImportFile.value = '';
+      });
+
+      this.panel.querySelector('#quickReplyExportBtn').addEventListener('click', () => {
+        this.exportQuickReplies();
+      });
+
+      // 重复客户
+      this.panel.querySelector('#duplicateRefreshBtn').addEventListener('click', () => {
+        this.loadDuplicateReport();
+      });
+
+      this.panel.querySelector('#duplicateExportBtn').addEventListener('click', () => {
+        this.exportDuplicateReport();
+      });
+
+      // 联系人标签
+      this.panel.querySelector('#tagAddBtn').addEventListener('click', () => {
+        this.addTag();
+      });
+
+      this.panel.querySelector('#tagList').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.glossary-remove');
+        if (removeBtn) {
+          this.removeTag(Number(removeBtn.dataset.index));
+        }
+      });
+
+      this.panel.querySelector('#tagList').addEventListener('change', (e) => {
+        if (e.target.matches('input[type="color"]')) {
+          this.updateTagColor(Number(e.target.dataset.index), e.target.value);
+        }
+      });
+
+      // 回复时效提醒
+      this.panel.querySelector('#slaSaveBtn').addEventListener('click', () => {
+        this.saveSlaSettings();
+      });
+
+      // 敏感词监控
+      this.panel.querySelector('#policyAddBtn').addEventListener('click', () => {
+        this.addPolicyRule();
+      });
+
+      this.panel.querySelector('#policyRuleList').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.glossary-remove');
+        if (removeBtn) {
+          this.removePolicyRule(Number(removeBtn.dataset.index));
+        }
+      });
+
+      this.panel.querySelector('#policyRuleList').addEventListener('change', (e) => {
+        if (e.target.matches('input[type="checkbox"]')) {
+          this.togglePolicyRule(Number(e.target.dataset.index), e.target.checked);
+        }
+      });
+
+      this.panel.querySelector('#policyEventScope').addEventListener('change', () => {
+        this.loadPolicyEvents();
+      });
+
+      this.panel.querySelector('#policyExportBtn').addEventListener('click', () => {
+        this.exportPolicyEvents();
+      });
+
+      this.panel.querySelector('#policyClearBtn').addEventListener('click', () => {
+        this.clearPolicyEvents();
+      });
+
+      // 聊天记录导出
+      this.panel.querySelector('#transcriptExportBtn').addEventListener('click', () => {
+        this.exportTranscript();
+      });
+
+      // 回复建议
+      this.panel.querySelector('#suggestionAddBtn').addEventListener('click', () => {
+        this.addSuggestionRule();
+      });
+
+      this.panel.querySelector('#suggestionList').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.glossary-remove');
+        if (removeBtn) {
+          this.removeSuggestionRule(Number(removeBtn.dataset.index));
+        }
+      });
+
+      // 引擎路由（规则引擎选项与翻译引擎选项保持一致）
+      this.panel.querySelector('#routingEngine').innerHTML = this.panel.querySelector('#translationEngine').innerHTML;
+
+      this.panel.querySelector('#routingScope').addEventListener('change', () => {
+        this.loadRouting();
+      });
+
+      this.panel.querySelector('#routingAddBtn').addEventListener('click', () => {
+        this.addRoutingRule();
+      });
+
+      this.panel.querySelector('#routingList').addEventListener('click', (e) => {
+        const upBtn = e.target.closest('.routing-up');
+        if (upBtn) {
+          this.moveRoutingRuleUp(Number(upBtn.dataset.index));
+          return;
+        }
+        const removeBtn = e.target.closest('.glossary-remove');
+        if (removeBtn) {
+          this.removeRoutingRule(Number(removeBtn.dataset.index));
+        }
+      });
+
+      this.panel.querySelector('#routingSaveBtn').addEventListener('click', async () => {
+        if (await this.saveRouting()) {
+          this.showMessage('降级链已保存', 'success');
+        }
+      });
+
+      this.panel.querySelector('#routingResetBtn').addEventListener('click', () => {
+        this.resetRouting();
+      });
+
+      // 费用与预算
+      this.panel.querySelector('#budgetFallbackEngine').innerHTML = this.panel.querySelector('#translationEngine').innerHTML;
+
+      this.panel.querySelector('#budgetSaveBtn').addEventListener('click', () => {
+        this.saveCostSettings();
+      });
+
+      this.panel.querySelector('#costExportBtn').addEventListener('click', () => {
+        this.exportCostReport();
+      });
+
+      // 翻译网络代理
+      ['#translationProxyUseAccount', '#translationProxyProfile'].forEach(selector => {
+        this.panel.querySelector(selector).addEventListener('change', () => {
+          this.saveProxySettings();
+        });
+      });
+    }
+
+    /**
+     * 显示设置面板
+     */
+    async show() {
+      if (!this.panel) {
+        this.createPanel();
+      }
+
+      // 设置 accountId
+      this.accountId = window.WhatsAppTranslation.accountId;
+      
+      // translationAPI 由 preload 脚本提供
+
+      console.log('[Settings] Opening settings panel, loading configurations...');
+      
+      // 加载当前配置
+      await this.loadSettings();
+      
+      // 预加载所有引擎配置（确保显示时有完整信息）
+      await this.preloadAllEngineConfigs();
+      
+      // 确保UI更新完成
+      this.updateUI();
+      
+      // 显示面板
+      this.panel.style.display = 'flex';
+      this.isVisible = true;
+      
+      // 添加动画
+      setTimeout(() => {
+        this.panel.classList.add('show');
+      }, 10);
+      
+      console.log('[Settings] ✅ Settings panel opened and configured');
+    }
+
+    /**
+     * 隐藏设置面板
+     */
+    hide() {
+      if (!this.panel || !this.isVisible) return;
+      
+      this.panel.classList.remove('show');
+      
+      setTimeout(() => {
+        this.panel.style.display = 'none';
+        this.isVisible = false;
+      }, 300);
+    }
+
+    /**
+     * 加载设置
+     */
+    async loadSettings() {
+      try {
+        const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+        const response = await window.translationAPI.getConfig(accountId);
+        if (response.success && (response.config || response.data)) {
+          this.config = response.config || response.data;
+          
+          // 先更新UI（设置当前引擎）
+          this.updateUI();
+          
+          // 然后加载引擎配置（需要当前引擎信息）
+          await this.loadEngineConfig();
+          
+          console.log('[Settings] ✅ Settings loaded successfully');
+        } else {
+          console.warn('[Settings] ⚠️ Failed to load config, using defaults');
+        }
+      } catch (error) {
+        console.error('[Settings] Failed to load settings:', error);
+      }
+    }
+
+    /**
+     * 保存当前引擎配置
+     */
+    async saveCurrentEngineConfig(engineName) {
+      try {
+        // 只保存 AI 引擎的配置
+        if (!['custom', 'gpt4', 'gemini', 'deepseek'].includes(engineName)) {
+          return;
+        }
+        
+        console.log(`[Settings] Saving config for engine: ${engineName}`);
+        
+        // 获取当前输入的值
+        const apiKeyInput = this.panel.querySelector('#apiKey')?.value;
+        const apiEndpointInput = this.panel.querySelector('#apiEndpoint')?.value;
+        const apiModelInput = this.panel.querySelector('#apiModel')?.value;
+        
+        // 获取已保存的配置
+        const savedConfigResponse = await window.translationAPI.getEngineConfig(engineName);
+        const savedConfig = savedConfigResponse.success ? savedConfigResponse.data : {};
+        
+        // 合并配置：优先使用新输入的值，如果没有则保留已保存的值
+        const engineConfig = {
+          enabled: true,
+          apiKey: (apiKeyInput && apiKeyInput.trim()) || savedConfig.apiKey || '',
+          endpoint: '',
+          model: ''
+        };
+        
+        // 根据引擎类型设置默认值
+        if (engineName === 'custom') {
+          engineConfig.endpoint = (apiEndpointInput && apiEndpointInput.trim()) || savedConfig.endpoint || '';
+          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'gpt-4';
+          engineConfig.apiFormat = this.panel.querySelector('#apiFormat')?.value || savedConfig.apiFormat || 'openai';
+          engineConfig.name = 'Custom API';
+        } else if (engineName === 'gpt4') {
+          engineConfig.endpoint = 'https://api.openai.com/v1/chat/completions';
+          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'gpt-4';
+        } else if (engineName === 'gemini') {
+          engineConfig.endpoint = 'https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent';
+          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'gemini-pro';
+        } else if (engineName === 'deepseek') {
+          engineConfig.endpoint = 'https://api.deepseek.com/v1/chat/completions';
+          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'deepseek-chat';
+        }
+        
+        // 如果没有任何配置信息，则不保存
+        if (!engineConfig.apiKey) {
+          console.log(`[Settings] No API key for ${engineName}, skipping save`);
+          return;
+        }
+        
+        // 保存配置
+        await window.translationAPI.saveEngineConfig(engineName, engineConfig);
+        console.log(`[Settings] ✅ Auto-saved config for ${engineName} (API key: ${engineConfig.apiKey.substring(0, 8)}...)`);
+      } catch (error) {
+        console.error('[Settings] ❌ Failed to auto-save engine config:', error);
+      }
+    }
+
+    /**
+     * 预加载所有AI引擎配置
+     */
+    async preloadAllEngineConfigs() {
+      try {
+        const aiEngines = ['gpt4', 'gemini', 'deepseek', 'custom'];
+        const configs = {};
+        
+        console.log('[Settings] Preloading all AI engine configs...');
+        
+        // 并行加载所有引擎的配置
+        const loadPromises = aiEngines.map(async (engineName) => {
+          try {
+            const response = await window.translationAPI.getEngineConfig(engineName);
+            if (response.success && response.data) {
+              configs[engineName] = response.data;
+              if (response.data.apiKey) {
+                console.log(`[Settings] ✅ Preloaded config for ${engineName} (with API key)`);
+              } else {
+                console.log(`[Settings] ⚠️ Preloaded config for ${engineName} (no API key)`);
+              }
+            } else {
+              console.log(`[Settings] ⚠️ No config response for ${engineName}`);
+            }
+          } catch (error) {
+            console.warn(`[Settings] Failed to preload config for ${engineName}:`, error);
+          }
+        });
+        
+        await Promise.all(loadPromises);
+        
+        // 存储预加载的配置
+        this.preloadedConfigs = configs;
+        console.log('[Settings] ✅ Preloaded configs summary:', Object.keys(configs).map(k => `${k}:${configs[k].apiKey ? '✅' : '❌'}`).join(', '));
+        
+        // 立即更新API配置显示
+        await this.refreshAPIConfigDisplay();
+        
+      } catch (error) {
+        console.error('[Settings] Failed to preload engine configs:', error);
+      }
+    }
+
+    /**
+     * 刷新API配置显示（智能显示当前引擎配置）
+     */
+    async refreshAPIConfigDisplay() {
+      try {
+        if (!this.panel || !this.isVisible) {
+          return;
+        }
+        
+        const chatEngine = this.panel.querySelector('#translationEngine')?.value;
+        const inputBoxEngine = this.panel.querySelector('#inputBoxEngine')?.value;
+        
+        // 确定当前应该显示哪个引擎的配置
+        let displayEngine = null;
+        let displayLocation = '';
+        
+        if (AI_ENGINES.includes(chatEngine)) {
+          displayEngine = chatEngine;
+          displayLocation = '聊天窗口';
+        } else if (AI_ENGINES.includes(inputBoxEngine)) {
+          displayEngine = inputBoxEngine;
+          displayLocation = '输入框';
+        }
+        
+        if (!displayEngine) {
+          console.log('[Settings] No AI engine selected, clearing API config fields');
+          this.clearAPIConfigFields();
+          return;
+        }
+        
+        console.log(`[Settings] Refreshing API config display for ${displayLocation} engine: ${displayEngine}`);
+        
+        // 确保引擎配置已加载
+        if (!this.preloadedConfigs) {
+          console.log('[Settings] No preloaded configs available, loading...');
+          await this.preloadAllEngineConfigs();
+        }
+        
+        const engineConfig = this.preloadedConfigs[displayEngine];
+        const apiKeyField = this.panel.querySelector('#apiKey');
+        const apiEndpointField = this.panel.querySelector('#apiEndpoint');
+        const apiModelField = this.panel.querySelector('#apiModel');
+        
+        if (apiKeyField && apiEndpointField && apiModelField) {
+          if (engineConfig && engineConfig.apiKey) {
+            // 显示已保存的配置
+            apiKeyField.value = engineConfig.apiKey;
+            apiModelField.value = engineConfig.model || this.getDefaultModel(displayEngine);
             
-            <!-- 高级设置 -->
-            <div class="settings-section">
-              <h3>⚙️ 高级设置</h3>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="blockChinese" class="setting-checkbox">
-                  <span class="setting-title">禁发中文</span>
-                </label>
-                <p class="setting-desc">拦截包含中文的消息发送</p>
-              </div>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="friendIndependent" class="setting-checkbox">
-                  <span class="setting-title">好友独立配置</span>
-                </label>
-                <p class="setting-desc">为不同联系人设置独立的翻译配置</p>
-              </div>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="realtimeTranslation" class="setting-checkbox">
-                  <span class="setting-title">实时翻译预览</span>
-                </label>
-                <p class="setting-desc">输入时实时显示翻译预览</p>
-              </div>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="reverseTranslation" class="setting-checkbox">
-                  <span class="setting-title">反向翻译验证</span>
-                </label>
-                <p class="setting-desc">显示反向翻译以验证准确性</p>
-              </div>
-            </div>
+            if (displayEngine === 'custom') {
+              apiEndpointField.value = engineConfig.endpoint || '';
+            } else {
+              apiEndpointField.value = '';
+            }
             
-            <!-- 好友独立配置 -->
-            <div class="settings-section" id="friendConfigSection" style="display: none;">
-              <h3>👥 当前联系人配置</h3>
-              
-              <div class="setting-item">
-                <label class="setting-label">
-                  <input type="checkbox" id="currentFriendEnabled" class="setting-checkbox">
-                  <span class="setting-title">为当前联系人启用独立配置</span>
-                </label>
-                <p class="setting-desc" id="currentContactName">当前联系人：未知</p>
-              </div>
-              
-              <div id="friendConfigOptions" style="display: none;">
-                <div class="setting-item">
-                  <label class="setting-title">目标语言</label>
-                  <select id="friendTargetLang" class="setting-select">
-                    <option value="zh-CN">🇨🇳 中文简体</option>
-                    <option value="zh-TW">🇹🇼 中文繁体</option>
-                    <option value="en">🇬🇧 英语</option>
-                    <option value="vi">🇻🇳 越南语</option>
-                    <option value="ja">🇯🇵 日语</option>
-                    <option value="ko">🇰🇷 韩语</option>
-                    <option value="th">🇹🇭 泰语</option>
-                    <option value="id">🇮🇩 印尼语</option>
-                    <option value="ms">🇲🇾 马来语</option>
-                    <option value="tl">🇵🇭 菲律宾语</option>
-                    <option value="my">🇲🇲 缅甸语</option>
-                    <option value="km">🇰🇭 高棉语</option>
-                    <option value="lo">🇱🇦 老挝语</option>
-                    <option value="es">🇪🇸 西班牙语</option>
-                    <option value="fr">🇫🇷 法语</option>
-                    <option value="de">🇩🇪 德语</option>
-                    <option value="it">🇮🇹 意大利语</option>
-                    <option value="pt">🇵🇹 葡萄牙语</option>
-                    <option value="ru">🇷🇺 俄语</option>
-                    <option value="ar">🇸🇦 阿拉伯语</option>
-                    <option value="hi">🇮🇳 印地语</option>
-                    <option value="bn">🇧🇩 孟加拉语</option>
-                    <option value="ur">🇵🇰 乌尔都语</option>
-                    <option value="tr">🇹🇷 土耳其语</option>
-                    <option value="fa">🇮🇷 波斯语</option>
-                    <option value="he">🇮🇱 希伯来语</option>
-                    <option value="nl">🇳🇱 荷兰语</option>
-                    <option value="pl">🇵🇱 波兰语</option>
-                    <option value="uk">🇺🇦 乌克兰语</option>
-                    <option value="cs">🇨🇿 捷克语</option>
-                    <option value="ro">🇷🇴 罗马尼亚语</option>
-                    <option value="sv">🇸🇪 瑞典语</option>
-                    <option value="da">🇩🇰 丹麦语</option>
-                    <option value="no">🇳🇴 挪威语</option>
-                    <option value="fi">🇫🇮 芬兰语</option>
-                    <option value="el">🇬🇷 希腊语</option>
-                    <option value="hu">🇭🇺 匈牙利语</option>
-                    <option value="bg">🇧🇬 保加利亚语</option>
-                    <option value="sr">🇷🇸 塞尔维亚语</option>
-                    <option value="hr">🇭🇷 克罗地亚语</option>
-                    <option value="sk">🇸🇰 斯洛伐克语</option>
-                    <option value="sl">🇸🇮 斯洛文尼亚语</option>
-                    <option value="lt">🇱🇹 立陶宛语</option>
-                    <option value="lv">🇱🇻 拉脱维亚语</option>
-                    <option value="et">🇪🇪 爱沙尼亚语</option>
-                    <option value="sw">🇰🇪 斯瓦希里语</option>
-                    <option value="af">🇿🇦 南非荷兰语</option>
-                    <option value="am">🇪🇹 阿姆哈拉语</option>
-                  </select>
-                  <p class="setting-desc">该联系人消息的翻译目标语言</p>
-                </div>
-                
-                <div class="setting-item">
-                  <label class="setting-label">
-                    <input type="checkbox" id="friendBlockChinese" class="setting-checkbox">
-                    <span class="setting-title">对该联系人禁发中文</span>
-                  </label>
-                  <p class="setting-desc">向该联系人发送消息时拦截中文</p>
-                </div>
-              </div>
-              
-              <div class="setting-item">
-                <button id="manageFriendsBtn" class="setting-button secondary">管理所有联系人配置</button>
-              </div>
-            </div>
+            console.log(`[Settings] ✅ Displaying ${displayLocation} config for ${displayEngine}`);
+          } else {
+            // 清空API密钥，设置默认模型
+            apiKeyField.value = '';
+            apiModelField.value = this.getDefaultModel(displayEngine);
+            
+            if (displayEngine === 'custom') {
+              apiEndpointField.value = '';
+            } else {
+              apiEndpointField.value = '';
+            }
+            
+            console.log(`[Settings] ⚠️ No saved config for ${displayLocation} ${displayEngine}, using defaults`);
+          }
+          
+          // 添加视觉提示，显示当前显示的是哪个引擎的配置
+          this.updateAPIConfigHeader(displayLocation, displayEngine);
+        }
+        
+      } catch (error) {
+        console.error('[Settings] Failed to refresh API config display:', error);
+      }
+    }
+
+    /**
+     * 更新API配置区域标题，显示当前配置的是哪个引擎
+     */
+    updateAPIConfigHeader(location, engine) {
+      try {
+        const apiSection = this.panel.querySelector('#apiConfigSection');
+        if (!apiSection) return;
+        
+        let header = apiSection.querySelector('h3');
+        if (!header) {
+          // 如果没有h3标题，创建一个
+          header = document.createElement('h3');
+          apiSection.insertBefore(header, apiSection.firstChild);
+        }
+        
+        const engineNames = {
+          'gpt4': 'GPT-4',
+          'gemini': 'Google Gemini',
+          'deepseek': 'DeepSeek',
+          'custom': '自定义 API'
+        };
+        
+        const displayName = engineNames[engine] || engine;
+        header.innerHTML = `🔑 AI 引擎 API 配置 <small style="font-size: 12px; color: #666;">（${location}：${displayName}）</small>`;
+      } catch (error) {
+        console.error('[Settings] Failed to update API config header:', error);
+      }
+    }
+
+    /**
+     * 加载引擎配置
+     */
+    async loadEngineConfig() {
+      try {
+        const selectedEngine = this.config?.global?.engine;
+        
+        if (!selectedEngine) {
+          console.log('[Settings] No engine selected in config, skipping engine config load');
+          return;
+        }
+        
+        console.log(`[Settings] Loading config for engine: ${selectedEngine}`);
+        
+        // 确保预加载的配置已准备就绪
+        if (!this.preloadedConfigs) {
+          console.log('[Settings] Preloading configs before loading specific engine...');
+          await this.preloadAllEngineConfigs();
+        }
+        
+        // 只为 AI 引擎加载配置
+        if (!['custom', 'gpt4', 'gemini', 'deepseek'].includes(selectedEngine)) {
+          console.log('[Settings] Google engine selected, clearing API config fields');
+          // 谷歌翻译不需要API配置，清空相关字段
+          this.clearAPIConfigFields();
+          return;
+        }
+        
+        // 使用预加载的配置
+        let engineConfig = this.preloadedConfigs?.[selectedEngine];
+        
+        if (!engineConfig) {
+          console.log(`[Settings] Config not found in preloaded, loading directly for ${selectedEngine}...`);
+          try {
+            const engineConfigResponse = await window.translationAPI.getEngineConfig(selectedEngine);
+            if (engineConfigResponse.success && engineConfigResponse.data) {
+              engineConfig = engineConfigResponse.data;
+              // 更新预加载的缓存
+              this.preloadedConfigs[selectedEngine] = engineConfig;
+              console.log(`[Settings] ✅ Directly loaded config for ${selectedEngine}`);
+            }
+          } catch (error) {
+            console.warn(`[Settings] Direct load failed for ${selectedEngine}:`, error);
+          }
+        }
+        
+        // 显示配置到界面
+        const apiKeyField = this.panel.querySelector('#apiKey');
+        const apiEndpointField = this.panel.querySelector('#apiEndpoint');
+        const apiModelField = this.panel.querySelector('#apiModel');
+        
+        if (apiKeyField && apiModelField) {
+          if (engineConfig && engineConfig.apiKey) {
+            // 填充输入框
+            apiKeyField.value = engineConfig.apiKey;
+            apiModelField.value = engineConfig.model || this.getDefaultModel(selectedEngine);
             
-            <!-- API 配置 -->
-            <div class="settings-section" id="apiConfigSection" style="display: none;">
-              <h3>🔑 API 配置</h3>
-              
-              <div class="setting-item">
-                <label class="setting-title">API 密钥</label>
-                <input type="password" id="apiKey" class="setting-input" placeholder="输入 API 密钥">
-                <p class="setting-desc">翻译服务的 API 密钥（仅本地存储）</p>
-              </div>
-              
-              <div class="setting-item" id="customEndpointItem" style="display: none;">
-                <label class="setting-title">API 端点</label>
-                <input type="text" id="apiEndpoint" class="setting-input" placeholder="https://api.example.com/v1/chat/completions">
-                <p class="setting-desc">自定义 API 的端点地址</p>
-              </div>
-              
-              <div class="setting-item" id="customModelItem" style="display: none;">
-                <label class="setting-title">模型名称</label>
-                <input type="text" id="apiModel" class="setting-input" placeholder="gpt-4">
-                <p class="setting-desc">使用的模型名称</p>
-              </div>
-              
-              <button id="testApiBtn" class="setting-button">测试连接</button>
-            </div>
+            if (selectedEngine === 'custom' && apiEndpointField) {
+              apiEndpointField.value = engineConfig.endpoint || '';
+              this.panel.querySelector('#apiFormat').value = engineConfig.apiFormat || 'openai';
+              console.log(`[Settings] ✅ Loaded custom config for ${selectedEngine}`);
+            }
             
-            <!-- 统计信息 -->
-            <div class="settings-section">
-              <h3>📊 使用统计</h3>
-              <div id="statsContent" class="stats-content">
-                <p>加载中...</p>
-              </div>
-              <button id="clearCacheBtn" class="setting-button secondary">清除缓存</button>
-            </div>
+            console.log(`[Settings] ✅ Successfully displayed engine config for: ${selectedEngine}`);
+          } else {
+            // 使用默认值
+            apiKeyField.value = '';
+            apiModelField.value = this.getDefaultModel(selectedEngine);
+            
+            if (selectedEngine === 'custom' && apiEndpointField) {
+              apiEndpointField.value = '';
+              this.panel.querySelector('#apiFormat').value = 'openai';
+            }
+            
+            console.log(`[Settings] ⚠️ No saved config found for ${selectedEngine}, using defaults`);
+          }
+        } else {
+          console.error('[Settings] API config fields not found in panel');
+        }
+      } catch (error) {
+        console.error('[Settings] ❌ Failed to load engine config:', error);
+        // 出错时清空字段
+        this.clearAPIConfigFields();
+      }
+    }
+
+    /**
+     * 清空API配置字段
+     */
+    clearAPIConfigFields() {
+      const apiKeyField = this.panel.querySelector('#apiKey');
+      const apiEndpointField = this.panel.querySelector('#apiEndpoint');
+      const apiModelField = this.panel.querySelector('#apiModel');
+      
+      if (apiKeyField) apiKeyField.value = '';
+      if (apiEndpointField) apiEndpointField.value = '';
+      if (apiModelField) apiModelField.value = '';
+    }
+
+    /**
+     * 获取默认模型
+     */
+    getDefaultModel(engineName) {
+      const defaultModels = {
+        'gpt4': 'gpt-4',
+        'gemini': 'gemini-pro',
+        'deepseek': 'deepseek-chat',
+        'custom': 'gpt-4'
+      };
+      return defaultModels[engineName] || 'gpt-4';
+    }
+
+    /**
+     * 设置默认引擎配置
+     */
+    setDefaultEngineConfig(engineName) {
+      const defaultModels = this.getDefaultModel(engineName);
+      this.panel.querySelector('#apiModel').value = defaultModels;
+      
+      if (engineName === 'custom') {
+        this.panel.querySelector('#apiEndpoint').value = '';
+      }
+      
+      console.log(`[Settings] Set default config for ${engineName}: model=${defaultModels}`);
+    }
+
+    /**
+     * 更新 UI
+     */
+    updateUI() {
+      if (!this.config) return;
+
+      // 基础设置
+      this.panel.querySelector('#autoTranslate').checked = this.config.global.autoTranslate;
+      this.panel.querySelector('#groupTranslation').checked = this.config.global.groupTranslation;
+      this.panel.querySelector('#streamingTranslation').checked = this.config.global.streaming || false;
+      this.panel.querySelector('#translationEngine').value = this.config.global.engine;
+      this.panel.querySelector('#targetLanguage').value = this.config.global.targetLang;
+      
+      // 初始化当前引擎
+      this.currentEngine = this.config.global.engine;
+
+      // 输入框设置
+      this.panel.querySelector('#inputBoxEnabled').checked = this.config.inputBox.enabled;
+      this.panel.querySelector('#inputBoxEngine').value = this.config.inputBox.engine || this.config.global.engine;
+      this.panel.querySelector('#inputBoxTargetLang').value = this.config.inputBox.targetLang || 'auto';
+      this.panel.querySelector('#translationStyle').value = this.config.inputBox.style;
+
+      // 高级设置
+      this.panel.querySelector('#blockChinese').checked = this.config.advanced.blockChinese;
+      this.panel.querySelector('#friendIndependent').checked = this.config.advanced.friendIndependent;
+      this.panel.querySelector('#realtimeTranslation').checked = this.config.advanced.realtime || false;
+      this.panel.querySelector('#reverseTranslation').checked = this.config.advanced.reverseTranslation || false;
+      this.panel.querySelector('#contextAware').checked = this.config.advanced.contextAware || false;
+      this.panel.querySelector('#contextMessages').value = this.config.advanced.contextMessages || 5;
+      this.panel.querySelector('#contextTokenBudget').value = this.config.advanced.contextTokenBudget || 500;
+      this.panel.querySelector('#contextInCacheKey').checked = this.config.advanced.contextInCacheKey || false;
+
+      // 更新好友配置显示
+      this.updateFriendConfigVisibility();
+      this.loadCurrentFriendConfig();
+      
+      // 更新翻译风格显示（仅 AI 引擎可用）
+      this.updateTranslationStyleVisibility();
+      
+      // 更新API配置显示
+      this.updateAPIConfigVisibility();
+      // 确保配置显示正确
+      setTimeout(async () => {
+        if (this.preloadedConfigs) {
+          await this.refreshAPIConfigDisplay();
+        }
+      }, 100); // 稍微延迟以确保UI更新完成
+
+      // 加载统计信息
+      this.loadStats();
+
+      // 加载术语表、翻译记忆库、快捷回复、回复建议、重复客户、标签、回复时效、敏感词监控、路由规则、费用和翻译代理设置
+      this.loadGlossary();
+      this.loadMemory();
+      this.loadQuickReplies();
+      this.loadSuggestionRules();
+      this.loadDuplicateReport();
+      this.loadTags();
+      this.loadSlaSettings();
+      this.loadPolicy();
+      this.loadRouting();
+      this.loadCostSettings();
+      this.loadProxySettings();
+
+      if (!window.translationAPI || typeof window.translationAPI.exportTranscript !== 'function') {
+        this.panel.querySelector('#transcriptSection').style.display = 'none';
+      }
+
+      // 加载机器翻译服务和本地翻译服务配置
+      this.loadMTEngineConfigs();
+      this.loadLocalEngineConfig();
+    }
+
+    /**
+     * 获取术语表范围对应的账号ID（全局术语表为 null）
+     */
+    getGlossaryAccountId() {
+      const scope = this.panel.querySelector('#glossaryScope').value;
+      return scope === 'global' ? null : (this.accountId || window.WhatsAppTranslation.accountId);
+    }
+
+    /**
+     * 加载术语表
+     */
+    async loadGlossary() {
+      if (!window.translationAPI || typeof window.translationAPI.getGlossary !== 'function') {
+        this.panel.querySelector('#glossarySection').style.display = 'none';
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.getGlossary(this.getGlossaryAccountId());
+        if (response.success) {
+          this.glossary = response.data;
+          this.renderGlossary();
+        } else {
+          console.error('[Settings] Failed to load glossary:', response.error);
+        }
+      } catch (error) {
+        console.error('[Settings] Failed to load glossary:', error);
+      }
+    }
+
+    /**
+     * 渲染术语表列表
+     */
+    renderGlossary() {
+      const list = this.panel.querySelector('#glossaryList');
+      const glossary = this.glossary || { terms: [], doNotTranslate: [] };
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+
+      if (glossary.terms.length === 0 && glossary.doNotTranslate.length === 0) {
+        list.innerHTML = '<p class="setting-desc">暂无术语</p>';
+        return;
+      }
+
+      list.innerHTML = [
+        ...glossary.terms.map((term, index) => `
+          <div class="glossary-item">
+            <span class="glossary-tag">术语</span>
+            <span class="glossary-text">${escape(term.source)} → ${escape(term.target)}${term.targetLang ? ` (${escape(term.targetLang)})` : ''}</span>
+            <button class="glossary-remove" data-type="term" data-index="${index}" title="删除">×</button>
           </div>
-          
-          <div class="settings-footer">
-            <button id="resetBtn" class="setting-button secondary">重置设置</button>
-            <button id="saveBtn" class="setting-button primary">保存设置</button>
+        `),
+        ...glossary.doNotTranslate.map((token, index) => `
+          <div class="glossary-item">
+            <span class="glossary-tag dnt">禁译</span>
+            <span class="glossary-text">${escape(token)}</span>
+            <button class="glossary-remove" data-type="dnt" data-index="${index}" title="删除">×</button>
+          </div>
+        `)
+      ].join('');
+    }
+
+    /**
+     * 保存术语表
+     */
+    async saveGlossary() {
+      const response = await window.translationAPI.saveGlossary(this.getGlossaryAccountId(), this.glossary);
+      if (response.success) {
+        this.glossary = response.data;
+        this.renderGlossary();
+      } else {
+        this.showMessage('保存术语表失败：' + response.error, 'error');
+      }
+      return response.success;
+    }
+
+    /**
+     * 添加术语或禁译词
+     */
+    async addGlossaryEntry() {
+      const type = this.panel.querySelector('#glossaryType').value;
+      const sourceInput = this.panel.querySelector('#glossarySource');
+      const targetInput = this.panel.querySelector('#glossaryTarget');
+      const source = sourceInput.value.trim();
+      const target = targetInput.value.trim();
+
+      if (!source || (type === 'term' && !target)) {
+        this.showMessage(type === 'term' ? '请填写术语原文和译文' : '请填写禁译词', 'error');
+        return;
+      }
+
+      this.glossary = this.glossary || { terms: [], doNotTranslate: [] };
+      if (type === 'dnt') {
+        this.glossary.doNotTranslate.push(source);
+      } else {
+        this.glossary.terms.push({ source, target, targetLang: '', caseSensitive: false });
+      }
+
+      if (await this.saveGlossary()) {
+        sourceInput.value = '';
+        targetInput.value = '';
+      }
+    }
+
+    /**
+     * 删除术语或禁译词
+     */
+    async removeGlossaryEntry(type, index) {
+      if (!this.glossary) return;
+
+      if (type === 'dnt') {
+        this.glossary.doNotTranslate.splice(index, 1);
+      } else {
+        this.glossary.terms.splice(index, 1);
+      }
+
+      await this.saveGlossary();
+    }
+
+    /**
+     * 获取路由范围对应的账号ID（全局路由为 null）
+     */
+    getRoutingAccountId() {
+      const scope = this.panel.querySelector('#routingScope').value;
+      return scope === 'global' ? null : (this.accountId || window.WhatsAppTranslation.accountId);
+    }
+
+    /**
+     * 加载路由配置（账号未单独配置时显示全局配置，修改后另存为账号配置）
+     */
+    async loadRouting() {
+      if (!window.translationAPI || typeof window.translationAPI.getRouting !== 'function') {
+        this.panel.querySelector('#routingSection').style.display = 'none';
+        return;
+      }
+
+      try {
+        const accountId = this.getRoutingAccountId();
+        let response = await window.translationAPI.getRouting(accountId);
+        this.routingInherited = Boolean(accountId) && response.success && !response.data;
+        if (this.routingInherited) {
+          response = await window.translationAPI.getRouting(null);
+        }
+
+        if (response.success) {
+          this.routing = response.data;
+          this.renderRouting();
+        } else {
+          console.error('[Settings] Failed to load routing:', response.error);
+        }
+      } catch (error) {
+        console.error('[Settings] Failed to load routing:', error);
+      }
+    }
+
+    /**
+     * 渲染路由规则列表
+     */
+    renderRouting() {
+      const routing = this.routing || { fallbackChain: [], rules: [] };
+      const list = this.panel.querySelector('#routingList');
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+      const directionLabels = { inbound: '接收', outbound: '发送' };
+      const chatTypeLabels = { private: '私聊', group: '群聊' };
+
+      this.panel.querySelector('#routingFallbackChain').value = routing.fallbackChain.join(', ');
+      this.panel.querySelector('#routingResetBtn').style.display =
+        this.getRoutingAccountId() && !this.routingInherited ? '' : 'none';
+      this.panel.querySelector('#routingScopeDesc').textContent = this.routingInherited
+        ? '当前账号使用全局路由，修改后将另存为当前账号的路由'
+        : '按语言对、文本长度、聊天类型和方向选择引擎，从上到下使用第一条匹配的规则；未匹配时使用所选引擎';
+
+      if (routing.rules.length === 0) {
+        list.innerHTML = '<p class="setting-desc">暂无路由规则</p>';
+        return;
+      }
+
+      list.innerHTML = routing.rules.map((rule, index) => {
+        const { match } = rule;
+        const conditions = [
+          `${match.sourceLang || '任意'} → ${match.targetLang || '任意'}`,
+          directionLabels[match.direction],
+          chatTypeLabels[match.chatType],
+          match.minLength || match.maxLength ? `${match.minLength || 0}-${match.maxLength || '∞'} 字` : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+          <div class="glossary-item">
+            <span class="glossary-tag">${escape(rule.engine)}</span>
+            <span class="glossary-text">${escape(conditions)}</span>
+            ${index > 0 ? `<button class="glossary-remove routing-up" data-index="${index}" title="上移">↑</button>` : ''}
+            <button class="glossary-remove" data-index="${index}" title="删除">×</button>
           </div>
+        `;
+      }).join('');
+    }
+
+    /**
+     * 保存路由配置（降级链取自输入框）
+     */
+    async saveRouting() {
+      const routing = this.routing || { fallbackChain: [], rules: [] };
+      routing.fallbackChain = this.panel.querySelector('#routingFallbackChain').value
+        .split(/[,，]/)
+        .map(name => name.trim())
+        .filter(Boolean);
+
+      const response = await window.translationAPI.saveRouting(this.getRoutingAccountId(), routing);
+      if (response.success) {
+        this.routing = response.data;
+        this.routingInherited = false;
+        this.renderRouting();
+      } else {
+        this.showMessage('保存路由失败：' + response.error, 'error');
+      }
+      return response.success;
+    }
+
+    /**
+     * 添加路由规则
+     */
+    async addRoutingRule() {
+      const field = (id) => this.panel.querySelector(id);
+      const minLength = parseInt(field('#routingMinLength').value, 10);
+      const maxLength = parseInt(field('#routingMaxLength').value, 10);
+
+      if (minLength && maxLength && minLength > maxLength) {
+        this.showMessage('最短字数不能大于最长字数', 'error');
+        return;
+      }
+
+      const engine = field('#routingEngine').value;
+      const sourceLang = field('#routingSourceLang').value.trim();
+      const targetLang = field('#routingTargetLang').value.trim();
+
+      this.routing = this.routing || { fallbackChain: [], rules: [] };
+      this.routing.rules.push({
+        id: `rule_${Date.now().toString(36)}`,
+        name: `${sourceLang || '任意'}→${targetLang || '任意'} ${engine}`,
+        engine,
+        match: {
+          sourceLang,
+          targetLang,
+          minLength: minLength || null,
+          maxLength: maxLength || null,
+          chatType: field('#routingChatType').value,
+          direction: field('#routingDirection').value
+        }
+      });
+
+      if (await this.saveRouting()) {
+        ['#routingSourceLang', '#routingTargetLang', '#routingMinLength', '#routingMaxLength']
+          .forEach(id => { field(id).value = ''; });
+      }
+    }
+
+    /**
+     * 删除路由规则
+     */
+    async removeRoutingRule(index) {
+      if (!this.routing) return;
+      this.routing.rules.splice(index, 1);
+      await this.saveRouting();
+    }
+
+    /**
+     * 上移路由规则（规则按顺序匹配）
+     */
+    async moveRoutingRuleUp(index) {
+      if (!this.routing || index <= 0) return;
+      const [rule] = this.routing.rules.splice(index, 1);
+      this.routing.rules.splice(index - 1, 0, rule);
+      await this.saveRouting();
+    }
+
+    /**
+     * 删除账号路由配置，恢复使用全局路由
+     */
+    async resetRouting() {
+      const accountId = this.getRoutingAccountId();
+      if (!accountId) return;
+
+      const response = await window.translationAPI.saveRouting(accountId, null);
+      if (response.success) {
+        this.showMessage('已恢复使用全局路由', 'success');
+        await this.loadRouting();
+      } else {
+        this.showMessage('操作失败：' + response.error, 'error');
+      }
+    }
+
+    /**
+     * 加载当前账号预算和引擎价格表
+     */
+    async loadCostSettings() {
+      if (!window.translationAPI || typeof window.translationAPI.getPricing !== 'function') {
+        this.panel.querySelector('#costSection').style.display = 'none';
+        return;
+      }
+
+      try {
+        const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+        const [pricingResponse, budgetResponse] = await Promise.all([
+          window.translationAPI.getPricing(),
+          window.translationAPI.getBudget(accountId)
+        ]);
+
+        if (pricingResponse.success) {
+          this.pricing = pricingResponse.data;
+          this.renderPricing();
+        }
+
+        if (budgetResponse.success) {
+          const { budget, spent, currency } = budgetResponse.data;
+          this.panel.querySelector('#budgetMonthlyLimit').value = budget ? budget.monthlyLimit : '';
+          this.panel.querySelector('#budgetFallbackEngine').value = budget ? budget.fallbackEngine : 'google';
+          this.panel.querySelector('#budgetSpent').textContent = budget
+            ? `本月已用：${spent.toFixed(4)} / ${budget.monthlyLimit} ${currency}${spent >= budget.monthlyLimit ? '（已超出，正在使用备用引擎）' : ''}`
+            : `本月已用：${spent.toFixed(4)} ${currency}`;
+        }
+      } catch (error) {
+        console.error('[Settings] Failed to load cost settings:', error);
+      }
+    }
+
+    /**
+     * 渲染引擎价格表
+     */
+    renderPricing() {
+      const fields = ['inputPerMillion', 'outputPerMillion', 'perMillionChars'];
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+
+      this.panel.querySelector('#pricingTable').innerHTML = `
+        <div class="pricing-row pricing-header">
+          <span>引擎（${escape(this.pricing.currency)}）</span><span>输入 token</span><span>输出 token</span><span>字符</span>
         </div>
+        ${Object.entries(this.pricing.engines).map(([engineName, price]) => `
+        <div class="pricing-row">
+          <span>${escape(engineName)}</span>
+          ${fields.map(field => `<input type="number" class="setting-input" min="0" step="0.01" data-engine="${escape(engineName)}" data-field="${field}" value="${price[field]}">`).join('')}
+        </div>`).join('')}
       `;
+    }
 
-      // 添加到页面
-      document.body.appendChild(this.panel);
-      
-      // 绑定事件
-      this.bindEvents();
-      
-      return this.panel;
+    /**
+     * 保存当前账号预算和引擎价格表
+     */
+    async saveCostSettings() {
+      try {
+        const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+        const pricing = { currency: this.pricing ? this.pricing.currency : 'USD', engines: {} };
+        this.panel.querySelectorAll('#pricingTable input[data-engine]').forEach(input => {
+          const { engine, field } = input.dataset;
+          pricing.engines[engine] = pricing.engines[engine] || {};
+          pricing.engines[engine][field] = parseFloat(input.value) || 0;
+        });
+
+        const monthlyLimit = parseFloat(this.panel.querySelector('#budgetMonthlyLimit').value);
+        const [pricingResponse, budgetResponse] = await Promise.all([
+          window.translationAPI.savePricing(pricing),
+          window.translationAPI.saveBudget(accountId, monthlyLimit > 0 ? {
+            monthlyLimit,
+            fallbackEngine: this.panel.querySelector('#budgetFallbackEngine').value
+          } : null)
+        ]);
+
+        const failed = [pricingResponse, budgetResponse].find(response => !response.success);
+        if (failed) {
+          this.showMessage('保存失败：' + failed.error, 'error');
+          return;
+        }
+
+        this.showMessage('预算和价格已保存', 'success');
+        this.loadCostSettings();
+      } catch (error) {
+        this.showMessage('保存失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 加载翻译网络代理设置和当前账号使用的代理
+     */
+    async loadProxySettings() {
+      if (!window.translationAPI || typeof window.translationAPI.getProxyConfig !== 'function') {
+        this.panel.querySelector('#translationProxySection').style.display = 'none';
+        return;
+      }
+
+      try {
+        const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+        const response = await window.translationAPI.getProxyConfig(accountId);
+        if (!response.success) {
+          console.error('[Settings] Failed to load proxy settings:', response.error);
+          return;
+        }
+
+        const { config, profiles, current } = response.data;
+        const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+        const sourceLabels = { account: '账号代理', global: '全局翻译代理', direct: '直连' };
+
+        this.panel.querySelector('#translationProxyUseAccount').checked = config.useAccountProxy;
+        this.panel.querySelector('#translationProxyProfile').innerHTML = `
+          <option value="">不使用（直连）</option>
+          ${profiles.map(profile => `<option value="${escape(profile.id)}">${escape(profile.name)}（${escape(profile.protocol)}://${escape(profile.host)}:${profile.port}）</option>`).join('')}
+        `;
+        this.panel.querySelector('#translationProxyProfile').value = profiles.some(profile => profile.id === config.profileId)
+          ? config.profileId
+          : '';
+        this.panel.querySelector('#translationProxyCurrent').textContent = current.source === 'direct'
+          ? '当前账号的翻译请求：直连'
+          : `当前账号的翻译请求：${sourceLabels[current.source]} ${current.description}`;
+      } catch (error) {
+        console.error('[Settings] Failed to load proxy settings:', error);
+      }
+    }
+
+    /**
+     * 保存翻译网络代理设置
+     */
+    async saveProxySettings() {
+      try {
+        const response = await window.translationAPI.saveProxyConfig({
+          useAccountProxy: this.panel.querySelector('#translationProxyUseAccount').checked,
+          profileId: this.panel.querySelector('#translationProxyProfile').value
+        });
+
+        if (!response.success) {
+          this.showMessage('保存失败：' + response.error, 'error');
+          return;
+        }
+        this.loadProxySettings();
+      } catch (error) {
+        this.showMessage('保存失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 导出每日费用明细 CSV
+     */
+    async exportCostReport() {
+      try {
+        const response = await window.translationAPI.exportCostReport(null);
+        if (!response.success) {
+          this.showMessage('导出失败：' + response.error, 'error');
+          return;
+        }
+
+        // 添加 BOM 便于 Excel 正确识别 UTF-8
+        const blob = new Blob(['\uFEFF' + response.data], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `translation-costs-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      } catch (error) {
+        this.showMessage('导出失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 从 CSV 文件导入术语表
+     */
+    async importGlossary(file) {
+      try {
+        const csv = await file.text();
+        const response = await window.translationAPI.importGlossary(this.getGlossaryAccountId(), csv);
+
+        if (!response.success) {
+          this.showMessage('导入失败：' + response.error, 'error');
+          return;
+        }
+
+        const { glossary, imported, errors } = response.data;
+        this.glossary = glossary;
+        this.renderGlossary();
+
+        if (errors.length > 0) {
+          console.warn('[Settings] Glossary import errors:', errors);
+          this.showMessage(`已导入 ${imported} 条，${errors.length} 行有误：${errors[0]}`, 'error');
+        } else {
+          this.showMessage(`已导入 ${imported} 条术语`, 'success');
+        }
+      } catch (error) {
+        this.showMessage('导入失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 导出术语表为 CSV 文件
+     */
+    async exportGlossary() {
+      try {
+        const response = await window.translationAPI.exportGlossary(this.getGlossaryAccountId());
+        if (!response.success) {
+          this.showMessage('导出失败：' + response.error, 'error');
+          return;
+        }
+
+        // 添加 BOM 便于 Excel 正确识别 UTF-8
+        const blob = new Blob(['\uFEFF' + response.data], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `glossary-${this.getGlossaryAccountId() || 'global'}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      } catch (error) {
+        this.showMessage('导出失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 获取记忆范围对应的账号ID（共享条目为 null）
+     */
+    getMemoryAccountId() {
+      const scope = this.panel.querySelector('#memoryScope').value;
+      return scope === 'global' ? null : (this.accountId || window.WhatsAppTranslation.accountId);
+    }
+
+    /**
+     * 加载翻译记忆库设置和条目
+     */
+    async loadMemory() {
+      if (!window.translationAPI || typeof window.translationAPI.getMemoryConfig !== 'function') {
+        this.panel.querySelector('#memorySection').style.display = 'none';
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.getMemoryConfig();
+        if (response.success) {
+          const config = response.data;
+          this.panel.querySelector('#memoryEnabled').checked = config.enabled;
+          this.panel.querySelector('#memoryAutoSave').checked = config.autoSave;
+          this.panel.querySelector('#memoryFuzzyReuse').checked = Boolean(config.fuzzyReuse);
+          this.panel.querySelector('#memoryMinSimilarity').value = Math.round(config.minSimilarity * 100);
+        } else {
+          console.error('[Settings] Failed to load memory config:', response.error);
+        }
+      } catch (error) {
+        console.error('[Settings] Failed to load memory config:', error);
+      }
+
+      this.searchMemory();
+    }
+
+    /**
+     * 保存翻译记忆库设置
+     */
+    async saveMemoryConfig() {
+      try {
+        const response = await window.translationAPI.saveMemoryConfig({
+          enabled: this.panel.querySelector('#memoryEnabled').checked,
+          autoSave: this.panel.querySelector('#memoryAutoSave').checked,
+          fuzzyReuse: this.panel.querySelector('#memoryFuzzyReuse').checked,
+          minSimilarity: (parseInt(this.panel.querySelector('#memoryMinSimilarity').value, 10) || 90) / 100
+        });
+
+        if (!response.success) {
+          this.showMessage('保存失败：' + response.error, 'error');
+          return;
+        }
+        this.panel.querySelector('#memoryMinSimilarity').value = Math.round(response.data.minSimilarity * 100);
+      } catch (error) {
+        this.showMessage('保存失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 搜索并渲染翻译记忆条目
+     */
+    async searchMemory() {
+      const list = this.panel.querySelector('#memoryList');
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+      const originLabels = { manual: '人工', tmx: '导入', auto: '自动' };
+
+      try {
+        const query = this.panel.querySelector('#memorySearch').value;
+        const response = await window.translationAPI.searchMemory(this.getMemoryAccountId(), query, { limit: 50 });
+        if (!response.success) {
+          console.error('[Settings] Failed to search memory:', response.error);
+          return;
+        }
+
+        const { segments, total } = response.data;
+        if (segments.length === 0) {
+          list.innerHTML = '<p class="setting-desc">暂无翻译记忆</p>';
+          return;
+        }
+
+        list.innerHTML = segments.map(segment => `
+          <div class="glossary-item">
+            <span class="glossary-tag${segment.origin === 'auto' ? ' dnt' : ''}">${originLabels[segment.origin] || escape(segment.origin)}</span>
+            <span class="glossary-text">${escape(segment.source)} → ${escape(segment.target)} (${escape(segment.sourceLang)}→${escape(segment.targetLang)})</span>
+            <button class="glossary-remove" data-id="${escape(segment.id)}" title="删除">×</button>
+          </div>
+        `).join('') + (total > segments.length ? `<p class="setting-desc">共 ${total} 条，仅显示最近 ${segments.length} 条</p>` : '');
+      } catch (error) {
+        console.error('[Settings] Failed to search memory:', error);
+      }
+    }
+
+    /**
+     * 人工添加翻译记忆
+     */
+    async addMemorySegment() {
+      const fields = ['#memorySourceLang', '#memoryTargetLang', '#memorySource', '#memoryTarget']
+        .map(selector => this.panel.querySelector(selector));
+      const [sourceLang, targetLang, source, target] = fields.map(input => input.value.trim());
+
+      if (!sourceLang || !targetLang || !source || !target) {
+        this.showMessage('请填写语言对、原文和译文', 'error');
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.addMemorySegment(this.getMemoryAccountId(), {
+          sourceLang, targetLang, source, target
+        });
+        if (!response.success) {
+          this.showMessage('添加失败：' + response.error, 'error');
+          return;
+        }
+
+        fields[2].value = '';
+        fields[3].value = '';
+        this.searchMemory();
+      } catch (error) {
+        this.showMessage('添加失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 删除翻译记忆
+     */
+    async removeMemorySegment(id) {
+      try {
+        const response = await window.translationAPI.removeMemorySegment(id);
+        if (!response.success) {
+          this.showMessage('删除失败：' + response.error, 'error');
+          return;
+        }
+        this.searchMemory();
+      } catch (error) {
+        this.showMessage('删除失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 从 TMX 文件导入翻译记忆
+     */
+    async importMemory(file) {
+      try {
+        const xml = await file.text();
+        const response = await window.translationAPI.importMemory(this.getMemoryAccountId(), xml);
+
+        if (!response.success) {
+          this.showMessage('导入失败：' + response.error, 'error');
+          return;
+        }
+
+        const { imported, errors } = response.data;
+        this.searchMemory();
+
+        if (errors.length > 0) {
+          console.warn('[Settings] Memory import errors:', errors);
+          this.showMessage(`已导入 ${imported} 条，${errors.length} 条有误：${errors[0]}`, 'error');
+        } else {
+          this.showMessage(`已导入 ${imported} 条翻译记忆`, 'success');
+        }
+      } catch (error) {
+        this.showMessage('导入失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 导出翻译记忆为 TMX 文件
+     */
+    async exportMemory() {
+      try {
+        const response = await window.translationAPI.exportMemory(this.getMemoryAccountId());
+        if (!response.success) {
+          this.showMessage('导出失败：' + response.error, 'error');
+          return;
+        }
+
+        const blob = new Blob([response.data], { type: 'application/x-tmx+xml;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `translation-memory-${this.getMemoryAccountId() || 'shared'}.tmx`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      } catch (error) {
+        this.showMessage('导出失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 获取快捷回复范围对应的账号ID（全局快捷回复为 null）
+     */
+    getQuickReplyAccountId() {
+      const scope = this.panel.querySelector('#quickReplyScope').value;
+      return scope === 'global' ? null : (this.accountId || window.WhatsAppTranslation.accountId);
+    }
+
+    /**
+     * 加载快捷回复
+     */
+    async loadQuickReplies() {
+      if (!window.translationAPI || typeof window.translationAPI.getQuickReplies !== 'function') {
+        this.panel.querySelector('#quickReplySection').style.display = 'none';
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.getQuickReplies(this.getQuickReplyAccountId(), false);
+        if (response.success) {
+          this.quickReplies = response.data;
+          this.renderQuickReplies();
+        } else {
+          console.error('[Settings] Failed to load quick replies:', response.error);
+        }
+      } catch (error) {
+        console.error('[Settings] Failed to load quick replies:', error);
+      }
     }
 
     /**
-     * 绑定事件
+     * 渲染快捷回复列表
      */
-    bindEvents() {
-      // 关闭按钮
-      const closeBtn = this.panel.querySelector('.settings-close');
-      closeBtn.onclick = () => this.hide();
+    renderQuickReplies() {
+      const list = this.panel.querySelector('#quickReplyList');
+      const groups = (this.quickReplies || { groups: [] }).groups;
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
 
-      // 遮罩层点击关闭
-      const overlay = this.panel.querySelector('.settings-overlay');
-      overlay.onclick = () => this.hide();
+      if (groups.every(group => group.replies.length === 0)) {
+        list.innerHTML = '<p class="setting-desc">暂无快捷回复</p>';
+        return;
+      }
 
-      // 聊天窗口翻译引擎变化
-      const engineSelect = this.panel.querySelector('#translationEngine');
-      engineSelect.addEventListener('change', async (e) => {
-        const previousEngine = this.currentEngine || this.config?.global?.engine;
-        const newEngine = e.target.value;
-        
-        console.log(`[Settings] 聊天引擎切换: ${previousEngine} → ${newEngine}`);
-        
-        // 在切换前，保存当前引擎的配置（如果有输入）
-        if (previousEngine && previousEngine !== 'google') {
-          await this.saveCurrentEngineConfig(previousEngine);
-        }
-        
-        // 更新当前引擎
-        this.currentEngine = newEngine;
-        
-        // 确保预加载配置已准备好
-        if (!this.preloadedConfigs) {
-          await this.preloadAllEngineConfigs();
-        }
-        
-        // 立即刷新配置显示
-        await this.refreshAPIConfigDisplay();
-        
-        // 更新界面显示
-        this.updateAPIConfigVisibility();
-        this.updateTranslationStyleVisibility();
-        
-        // 显示切换提示
-        this.showEngineSwitchToast(newEngine);
-      });
+      list.innerHTML = groups.map((group, groupIndex) => group.replies.map((reply, index) => `
+        <div class="glossary-item">
+          <span class="glossary-tag">${escape(group.name)}</span>
+          <span class="glossary-text">${escape(reply.title)}：${escape(reply.text)}</span>
+          <button class="glossary-remove" data-group="${groupIndex}" data-index="${index}" title="删除">×</button>
+        </div>
+      `).join('')).join('');
+    }
 
-      // 输入框翻译引擎变化
-      const inputBoxEngineSelect = this.panel.querySelector('#inputBoxEngine');
-      inputBoxEngineSelect.addEventListener('change', async (e) => {
-        const newEngine = e.target.value;
-        console.log(`[Settings] 输入框引擎切换: → ${newEngine}`);
-        
-        // 确保预加载配置已准备好
-        if (!this.preloadedConfigs) {
-          await this.preloadAllEngineConfigs();
-        }
-        
-        // 立即刷新配置显示
-        await this.refreshAPIConfigDisplay();
-        
-        // 更新界面显示
-        this.updateAPIConfigVisibility();
-        this.updateTranslationStyleVisibility();
-        
-        // 显示切换提示
-        this.showEngineSwitchToast(newEngine, true);
-      });
+    /**
+     * 保存快捷回复
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async saveQuickReplies() {
+      const response = await window.translationAPI.saveQuickReplies(this.getQuickReplyAccountId(), this.quickReplies);
+      if (response.success) {
+        this.quickReplies = response.data;
+        this.renderQuickReplies();
+        this.loadSuggestionRules();
+        return true;
+      }
 
-      // 测试 API 按钮
-      const testApiBtn = this.panel.querySelector('#testApiBtn');
-      testApiBtn.addEventListener('click', () => {
-        this.testAPI();
-      });
+      this.showMessage('保存快捷回复失败：' + response.error, 'error');
+      this.loadQuickReplies();
+      return false;
+    }
 
-      // 保存按钮
-      const saveBtn = this.panel.querySelector('#saveBtn');
-      saveBtn.addEventListener('click', () => {
-        this.saveSettings();
-      });
+    /**
+     * 添加快捷回复（分组不存在时自动创建）
+     */
+    async addQuickReply() {
+      const groupInput = this.panel.querySelector('#quickReplyGroup');
+      const titleInput = this.panel.querySelector('#quickReplyTitle');
+      const textInput = this.panel.querySelector('#quickReplyText');
+      const groupName = groupInput.value.trim() || '默认';
+      const text = textInput.value.trim();
 
-      // 重置按钮
-      const resetBtn = this.panel.querySelector('#resetBtn');
-      resetBtn.addEventListener('click', () => {
-        this.resetSettings();
-      });
+      if (!text) {
+        this.showMessage('请填写回复内容', 'error');
+        return;
+      }
 
-      // 清除缓存按钮
-      const clearCacheBtn = this.panel.querySelector('#clearCacheBtn');
-      clearCacheBtn.addEventListener('click', () => {
-        this.clearCache();
-      });
-      
-      // 好友独立配置开关
-      const friendIndependentCheckbox = this.panel.querySelector('#friendIndependent');
-      friendIndependentCheckbox.addEventListener('change', () => {
-        this.updateFriendConfigVisibility();
-      });
-      
-      // 当前好友配置开关
-      const currentFriendCheckbox = this.panel.querySelector('#currentFriendEnabled');
-      currentFriendCheckbox.addEventListener('change', () => {
-        this.updateFriendConfigOptions();
-      });
-      
-      // 管理所有联系人配置按钮
-      const manageFriendsBtn = this.panel.querySelector('#manageFriendsBtn');
-      manageFriendsBtn.addEventListener('click', () => {
-        this.showFriendConfigManager();
-      });
+      this.quickReplies = this.quickReplies || { groups: [] };
+      let group = this.quickReplies.groups.find(item => item.name === groupName);
+      if (!group) {
+        group = { name: groupName, replies: [] };
+        this.quickReplies.groups.push(group);
+      }
+      group.replies.push({ title: titleInput.value.trim(), text });
+
+      if (await this.saveQuickReplies()) {
+        titleInput.value = '';
+        textInput.value = '';
+      }
     }
 
     /**
-     * 显示设置面板
+     * 删除快捷回复（分组为空时一并删除）
      */
-    async show() {
-      if (!this.panel) {
-        this.createPanel();
-      }
-
-      // 设置 accountId
-      this.accountId = window.WhatsAppTranslation.accountId;
-      
-      // translationAPI 由 preload 脚本提供
+    async removeQuickReply(groupIndex, index) {
+      if (!this.quickReplies) return;
 
-      console.log('[Settings] Opening settings panel, loading configurations...');
-      
-      // 加载当前配置
-      await this.loadSettings();
-      
-      // 预加载所有引擎配置（确保显示时有完整信息）
-      await this.preloadAllEngineConfigs();
-      
-      // 确保UI更新完成
-      this.updateUI();
-      
-      // 显示面板
-      this.panel.style.display = 'flex';
-      this.isVisible = true;
-      
-      // 添加动画
-      setTimeout(() => {
-        this.panel.classList.add('show');
-      }, 10);
-      
-      console.log('[Settings] ✅ Settings panel opened and configured');
+      const group = this.quickReplies.groups[groupIndex];
+      group.replies.splice(index, 1);
+      if (group.replies.length === 0) {
+        this.quickReplies.groups.splice(groupIndex, 1);
+      }
+      await this.saveQuickReplies();
     }
 
     /**
-     * 隐藏设置面板
+     * 从 JSON 文件导入快捷回复
      */
-    hide() {
-      if (!this.panel || !this.isVisible) return;
-      
-      this.panel.classList.remove('show');
-      
-      setTimeout(() => {
-        this.panel.style.display = 'none';
-        this.isVisible = false;
-      }, 300);
+    async importQuickReplies(file) {
+      try {
+        const json = await file.text();
+        const response = await window.translationAPI.importQuickReplies(this.getQuickReplyAccountId(), json);
+
+        if (!response.success) {
+          this.showMessage('导入失败：' + response.error, 'error');
+          return;
+        }
+
+        this.quickReplies = response.data.quickReplies;
+        this.renderQuickReplies();
+        this.loadSuggestionRules();
+        this.showMessage(`已导入 ${response.data.imported} 条快捷回复`, 'success');
+      } catch (error) {
+        this.showMessage('导入失败：' + error.message, 'error');
+      }
     }
 
     /**
-     * 加载设置
+     * 导出快捷回复为 JSON 文件
      */
-    async loadSettings() {
+    async exportQuickReplies() {
       try {
-        const accountId = this.accountId || window.WhatsAppTranslation.accountId;
-        const response = await window.translationAPI.getConfig(accountId);
-        if (response.success && (response.config || response.data)) {
-          this.config = response.config || response.data;
-          
-          // 先更新UI（设置当前引擎）
-          this.updateUI();
-          
-          // 然后加载引擎配置（需要当前引擎信息）
-          await this.loadEngineConfig();
-          
-          console.log('[Settings] ✅ Settings loaded successfully');
-        } else {
-          console.warn('[Settings] ⚠️ Failed to load config, using defaults');
+        const response = await window.translationAPI.exportQuickReplies(this.getQuickReplyAccountId());
+        if (!response.success) {
+          this.showMessage('导出失败：' + response.error, 'error');
+          return;
         }
+
+        const blob = new Blob([response.data], { type: 'application/json;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `quick-replies-${this.getQuickReplyAccountId() || 'global'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
       } catch (error) {
-        console.error('[Settings] Failed to load settings:', error);
+        this.showMessage('导出失败：' + error.message, 'error');
       }
     }
 
     /**
-     * 保存当前引擎配置
+     * 加载回复建议规则、命中统计和可选的快捷回复模板
      */
-    async saveCurrentEngineConfig(engineName) {
+    async loadSuggestionRules() {
+      if (!window.translationAPI || typeof window.translationAPI.getSuggestionRules !== 'function') {
+        this.panel.querySelector('#suggestionSection').style.display = 'none';
+        return;
+      }
+
       try {
-        // 只保存 AI 引擎的配置
-        if (!['custom', 'gpt4', 'gemini', 'deepseek'].includes(engineName)) {
+        const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+        const [rulesResponse, repliesResponse] = await Promise.all([
+          window.translationAPI.getSuggestionRules(accountId),
+          window.translationAPI.getQuickReplies(accountId, true)
+        ]);
+        if (!rulesResponse.success || !repliesResponse.success) {
+          console.error('[Settings] Failed to load suggestion rules:', rulesResponse.error || repliesResponse.error);
           return;
         }
-        
-        console.log(`[Settings] Saving config for engine: ${engineName}`);
-        
-        // 获取当前输入的值
-        const apiKeyInput = this.panel.querySelector('#apiKey')?.value;
-        const apiEndpointInput = this.panel.querySelector('#apiEndpoint')?.value;
-        const apiModelInput = this.panel.querySelector('#apiModel')?.value;
-        
-        // 获取已保存的配置
-        const savedConfigResponse = await window.translationAPI.getEngineConfig(engineName);
-        const savedConfig = savedConfigResponse.success ? savedConfigResponse.data : {};
-        
-        // 合并配置：优先使用新输入的值，如果没有则保留已保存的值
-        const engineConfig = {
-          enabled: true,
-          apiKey: (apiKeyInput && apiKeyInput.trim()) || savedConfig.apiKey || '',
-          endpoint: '',
-          model: ''
-        };
-        
-        // 根据引擎类型设置默认值
-        if (engineName === 'custom') {
-          engineConfig.endpoint = (apiEndpointInput && apiEndpointInput.trim()) || savedConfig.endpoint || '';
-          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'gpt-4';
-          engineConfig.name = 'Custom API';
-        } else if (engineName === 'gpt4') {
-          engineConfig.endpoint = 'https://api.openai.com/v1/chat/completions';
-          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'gpt-4';
-        } else if (engineName === 'gemini') {
-          engineConfig.endpoint = 'https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent';
-          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'gemini-pro';
-        } else if (engineName === 'deepseek') {
-          engineConfig.endpoint = 'https://api.deepseek.com/v1/chat/completions';
-          engineConfig.model = (apiModelInput && apiModelInput.trim()) || savedConfig.model || 'deepseek-chat';
+
+        this.suggestionRules = rulesResponse.data.rules;
+        this.suggestionHits = rulesResponse.data.hits;
+        this.suggestionReplies = repliesResponse.data.groups.flatMap(group => group.replies.map(reply => ({
+          ...reply,
+          groupName: group.scope === 'global' ? `${group.name} · 全局` : group.name
+        })));
+        this.renderSuggestionRules();
+      } catch (error) {
+        console.error('[Settings] Failed to load suggestion rules:', error);
+      }
+    }
+
+    /**
+     * 渲染回复建议规则列表和模板选项
+     */
+    renderSuggestionRules() {
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+      const replies = this.suggestionReplies || [];
+
+      this.panel.querySelector('#suggestionReply').innerHTML = replies.length > 0
+        ? replies.map(reply => `<option value="${reply.id}">${escape(reply.groupName)} / ${escape(reply.title)}</option>`).join('')
+        : '<option value="">请先添加快捷回复</option>';
+
+      const list = this.panel.querySelector('#suggestionList');
+      const rules = this.suggestionRules || [];
+      if (rules.length === 0) {
+        list.innerHTML = '<p class="setting-desc">暂无回复建议规则</p>';
+        return;
+      }
+
+      const matchOnLabels = { any: '', original: '（原文）', translated: '（译文）' };
+      list.innerHTML = rules.map((rule, index) => {
+        const reply = replies.find(item => item.id === rule.replyId);
+        const hits = (this.suggestionHits || {})[rule.id] || { hits: 0, uses: 0 };
+        return `
+          <div class="glossary-item">
+            <span class="glossary-tag${rule.contactId ? ' dnt' : ''}">${rule.contactId ? escape(rule.contactId) : '所有聊天'}</span>
+            <span class="glossary-text">${rule.isRegex ? '/' + escape(rule.pattern) + '/' : escape(rule.pattern)}${matchOnLabels[rule.matchOn]} → ${reply ? escape(reply.title) : '（模板已删除）'} · 命中 ${hits.hits} 次，采用 ${hits.uses} 次</span>
+            <button class="glossary-remove" data-index="${index}" title="删除">×</button>
+          </div>
+        `;
+      }).join('');
+    }
+
+    /**
+     * 保存回复建议规则
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async saveSuggestionRules() {
+      const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+      const response = await window.translationAPI.saveSuggestionRules(accountId, this.suggestionRules);
+      if (response.success) {
+        this.suggestionRules = response.data;
+        this.renderSuggestionRules();
+        return true;
+      }
+
+      this.showMessage('保存回复建议规则失败：' + response.error, 'error');
+      this.loadSuggestionRules();
+      return false;
+    }
+
+    /**
+     * 添加回复建议规则
+     */
+    async addSuggestionRule() {
+      const patternInput = this.panel.querySelector('#suggestionPattern');
+      const replyId = this.panel.querySelector('#suggestionReply').value;
+      const isRegex = this.panel.querySelector('#suggestionIsRegex').checked;
+      const pattern = isRegex ? patternInput.value : patternInput.value.trim();
+
+      if (!pattern || !replyId) {
+        this.showMessage('请填写关键词并选择快捷回复模板', 'error');
+        return;
+      }
+      if (isRegex) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          this.showMessage('正则表达式无效：' + error.message, 'error');
+          return;
         }
-        
-        // 如果没有任何配置信息，则不保存
-        if (!engineConfig.apiKey) {
-          console.log(`[Settings] No API key for ${engineName}, skipping save`);
+      }
+
+      let contactId = '';
+      if (this.panel.querySelector('#suggestionContactScope').value === 'contact') {
+        contactId = window.WhatsAppTranslation.getCurrentContactId() || '';
+        if (!contactId) {
+          this.showMessage('请先打开要设置规则的聊天', 'error');
           return;
         }
-        
-        // 保存配置
-        await window.translationAPI.saveEngineConfig(engineName, engineConfig);
-        console.log(`[Settings] ✅ Auto-saved config for ${engineName} (API key: ${engineConfig.apiKey.substring(0, 8)}...)`);
-      } catch (error) {
-        console.error('[Settings] ❌ Failed to auto-save engine config:', error);
+      }
+
+      this.suggestionRules = this.suggestionRules || [];
+      this.suggestionRules.push({
+        pattern,
+        isRegex,
+        caseSensitive: this.panel.querySelector('#suggestionCaseSensitive').checked,
+        matchOn: this.panel.querySelector('#suggestionMatchOn').value,
+        replyId,
+        contactId
+      });
+
+      if (await this.saveSuggestionRules()) {
+        patternInput.value = '';
       }
     }
 
     /**
-     * 预加载所有AI引擎配置
+     * 删除回复建议规则
      */
-    async preloadAllEngineConfigs() {
+    async removeSuggestionRule(index) {
+      if (!this.suggestionRules) return;
+
+      this.suggestionRules.splice(index, 1);
+      await this.saveSuggestionRules();
+    }
+
+    /**
+     * 加载敏感词规则和事件日志
+     */
+    async loadPolicy() {
+      if (!window.translationAPI || typeof window.translationAPI.getPolicyRules !== 'function') {
+        this.panel.querySelector('#policySection').style.display = 'none';
+        return;
+      }
+
       try {
-        const aiEngines = ['gpt4', 'gemini', 'deepseek', 'custom'];
-        const configs = {};
-        
-        console.log('[Settings] Preloading all AI engine configs...');
-        
-        // 并行加载所有引擎的配置
-        const loadPromises = aiEngines.map(async (engineName) => {
-          try {
-            const response = await window.translationAPI.getEngineConfig(engineName);
-            if (response.success && response.data) {
-              configs[engineName] = response.data;
-              if (response.data.apiKey) {
-                console.log(`[Settings] ✅ Preloaded config for ${engineName} (with API key)`);
-              } else {
-                console.log(`[Settings] ⚠️ Preloaded config for ${engineName} (no API key)`);
-              }
-            } else {
-              console.log(`[Settings] ⚠️ No config response for ${engineName}`);
-            }
-          } catch (error) {
-            console.warn(`[Settings] Failed to preload config for ${engineName}:`, error);
-          }
-        });
-        
-        await Promise.all(loadPromises);
-        
-        // 存储预加载的配置
-        this.preloadedConfigs = configs;
-        console.log('[Settings] ✅ Preloaded configs summary:', Object.keys(configs).map(k => `${k}:${configs[k].apiKey ? '✅' : '❌'}`).join(', '));
-        
-        // 立即更新API配置显示
-        await this.refreshAPIConfigDisplay();
-        
+        const response = await window.translationAPI.getPolicyRules();
+        if (!response.success) {
+          console.error('[Settings] Failed to load policy rules:', response.error);
+          return;
+        }
+
+        this.policyRules = response.data;
+        this.renderPolicyRules();
+        this.loadPolicyEvents();
       } catch (error) {
-        console.error('[Settings] Failed to preload engine configs:', error);
+        console.error('[Settings] Failed to load policy rules:', error);
       }
     }
 
     /**
-     * 刷新API配置显示（智能显示当前引擎配置）
+     * 渲染敏感词规则列表
      */
-    async refreshAPIConfigDisplay() {
-      try {
-        if (!this.panel || !this.isVisible) {
+    renderPolicyRules() {
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+      const list = this.panel.querySelector('#policyRuleList');
+      const rules = this.policyRules || [];
+      if (rules.length === 0) {
+        list.innerHTML = '<p class="setting-desc">暂无敏感词规则</p>';
+        return;
+      }
+
+      const actionLabels = { block: '阻止发送', warn: '提醒确认', log: '放行并记录' };
+      list.innerHTML = rules.map((rule, index) => `
+        <div class="glossary-item">
+          <input type="checkbox" data-index="${index}" title="启用"${rule.enabled ? ' checked' : ''}>
+          <span class="glossary-tag${rule.action === 'block' ? '' : ' dnt'}">${actionLabels[rule.action]}</span>
+          <span class="glossary-text">${rule.name ? escape(rule.name) + '：' : ''}${rule.isRegex ? '/' + escape(rule.pattern) + '/' : escape(rule.pattern)}${rule.caseSensitive ? '（区分大小写）' : ''}</span>
+          <button class="glossary-remove" data-index="${index}" title="删除">×</button>
+        </div>
+      `).join('');
+    }
+
+    /**
+     * 保存敏感词规则
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async savePolicyRules() {
+      const response = await window.translationAPI.savePolicyRules(this.policyRules);
+      if (response.success) {
+        this.policyRules = response.data;
+        this.renderPolicyRules();
+        return true;
+      }
+
+      this.showMessage('保存敏感词规则失败：' + response.error, 'error');
+      this.loadPolicy();
+      return false;
+    }
+
+    /**
+     * 添加敏感词规则
+     */
+    async addPolicyRule() {
+      const nameInput = this.panel.querySelector('#policyName');
+      const patternInput = this.panel.querySelector('#policyPattern');
+      const isRegex = this.panel.querySelector('#policyIsRegex').checked;
+      const pattern = isRegex ? patternInput.value : patternInput.value.trim();
+
+      if (!pattern) {
+        this.showMessage('请填写关键词或正则表达式', 'error');
+        return;
+      }
+      if (isRegex) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          this.showMessage('正则表达式无效：' + error.message, 'error');
           return;
         }
-        
-        const chatEngine = this.panel.querySelector('#translationEngine')?.value;
-        const inputBoxEngine = this.panel.querySelector('#inputBoxEngine')?.value;
-        
-        // 确定当前应该显示哪个引擎的配置
-        let displayEngine = null;
-        let displayLocation = '';
-        
-        if (chatEngine !== 'google') {
-          displayEngine = chatEngine;
-          displayLocation = '聊天窗口';
-        } else if (inputBoxEngine !== 'google') {
-          displayEngine = inputBoxEngine;
-          displayLocation = '输入框';
-        }
-        
-        if (!displayEngine) {
-          console.log('[Settings] No AI engine selected, clearing API config fields');
-          this.clearAPIConfigFields();
+      }
+
+      this.policyRules = this.policyRules || [];
+      this.policyRules.push({
+        name: nameInput.value.trim(),
+        pattern,
+        isRegex,
+        caseSensitive: this.panel.querySelector('#policyCaseSensitive').checked,
+        action: this.panel.querySelector('#policyAction').value,
+        enabled: true
+      });
+
+      if (await this.savePolicyRules()) {
+        nameInput.value = '';
+        patternInput.value = '';
+      }
+    }
+
+    /**
+     * 启用或停用敏感词规则
+     */
+    async togglePolicyRule(index, enabled) {
+      if (!this.policyRules || !this.policyRules[index]) return;
+
+      this.policyRules[index].enabled = enabled;
+      await this.savePolicyRules();
+    }
+
+    /**
+     * 删除敏感词规则
+     */
+    async removePolicyRule(index) {
+      if (!this.policyRules) return;
+
+      this.policyRules.splice(index, 1);
+      await this.savePolicyRules();
+    }
+
+    /**
+     * 获取敏感词事件的查询条件（当前账号或所有账号）
+     * @returns {Object} { accountId }
+     */
+    getPolicyEventFilter() {
+      return this.panel.querySelector('#policyEventScope').value === 'account'
+        ? { accountId: this.accountId || window.WhatsAppTranslation.accountId }
+        : {};
+    }
+
+    /**
+     * 加载最近的敏感词事件
+     */
+    async loadPolicyEvents() {
+      const list = this.panel.querySelector('#policyEventList');
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+
+      try {
+        const response = await window.translationAPI.getPolicyEvents({ ...this.getPolicyEventFilter(), limit: 50 });
+        if (!response.success) {
+          console.error('[Settings] Failed to load policy events:', response.error);
           return;
         }
-        
-        console.log(`[Settings] Refreshing API config display for ${displayLocation} engine: ${displayEngine}`);
-        
-        // 确保引擎配置已加载
-        if (!this.preloadedConfigs) {
-          console.log('[Settings] No preloaded configs available, loading...');
-          await this.preloadAllEngineConfigs();
-        }
-        
-        const engineConfig = this.preloadedConfigs[displayEngine];
-        const apiKeyField = this.panel.querySelector('#apiKey');
-        const apiEndpointField = this.panel.querySelector('#apiEndpoint');
-        const apiModelField = this.panel.querySelector('#apiModel');
-        
-        if (apiKeyField && apiEndpointField && apiModelField) {
-          if (engineConfig && engineConfig.apiKey) {
-            // 显示已保存的配置
-            apiKeyField.value = engineConfig.apiKey;
-            apiModelField.value = engineConfig.model || this.getDefaultModel(displayEngine);
-            
-            if (displayEngine === 'custom') {
-              apiEndpointField.value = engineConfig.endpoint || '';
-            } else {
-              apiEndpointField.value = '';
-            }
-            
-            console.log(`[Settings] ✅ Displaying ${displayLocation} config for ${displayEngine}`);
-          } else {
-            // 清空API密钥，设置默认模型
-            apiKeyField.value = '';
-            apiModelField.value = this.getDefaultModel(displayEngine);
-            
-            if (displayEngine === 'custom') {
-              apiEndpointField.value = '';
-            } else {
-              apiEndpointField.value = '';
-            }
-            
-            console.log(`[Settings] ⚠️ No saved config for ${displayLocation} ${displayEngine}, using defaults`);
-          }
-          
-          // 添加视觉提示，显示当前显示的是哪个引擎的配置
-          this.updateAPIConfigHeader(displayLocation, displayEngine);
-        }
-        
+
+        const outcomeLabels = { blocked: '已阻止', cancelled: '已取消', sent: '已发送' };
+        list.innerHTML = response.data.length > 0
+          ? response.data.map(event => `
+            <div class="glossary-item">
+              <span class="glossary-tag${event.outcome === 'sent' ? ' dnt' : ''}">${outcomeLabels[event.outcome]}</span>
+              <span class="glossary-text">${new Date(event.timestamp).toLocaleString()} · ${escape(event.accountName || event.accountId)} · ${escape(event.contactId || '未知联系人')} · ${escape(event.ruleName)}</span>
+            </div>
+          `).join('')
+          : '<p class="setting-desc">暂无敏感词事件</p>';
       } catch (error) {
-        console.error('[Settings] Failed to refresh API config display:', error);
+        console.error('[Settings] Failed to load policy events:', error);
       }
     }
 
     /**
-     * 更新API配置区域标题，显示当前配置的是哪个引擎
+     * 导出敏感词事件为 CSV 文件
      */
-    updateAPIConfigHeader(location, engine) {
+    async exportPolicyEvents() {
       try {
-        const apiSection = this.panel.querySelector('#apiConfigSection');
-        if (!apiSection) return;
-        
-        let header = apiSection.querySelector('h3');
-        if (!header) {
-          // 如果没有h3标题，创建一个
-          header = document.createElement('h3');
-          apiSection.insertBefore(header, apiSection.firstChild);
+        const response = await window.translationAPI.exportPolicyEvents(this.getPolicyEventFilter());
+        if (!response.success) {
+          this.showMessage('导出失败：' + response.error, 'error');
+          return;
         }
-        
-        const engineNames = {
-          'gpt4': 'GPT-4',
-          'gemini': 'Google Gemini',
-          'deepseek': 'DeepSeek',
-          'custom': '自定义 API'
-        };
-        
-        const displayName = engineNames[engine] || engine;
-        header.innerHTML = `🔑 AI 引擎 API 配置 <small style="font-size: 12px; color: #666;">（${location}：${displayName}）</small>`;
+
+        // 添加 BOM 便于 Excel 正确识别 UTF-8
+        const blob = new Blob(['\uFEFF' + response.data], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `policy-events-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
       } catch (error) {
-        console.error('[Settings] Failed to update API config header:', error);
+        this.showMessage('导出失败：' + error.message, 'error');
       }
     }
 
     /**
-     * 加载引擎配置
+     * 清除敏感词事件
      */
-    async loadEngineConfig() {
+    async clearPolicyEvents() {
+      const { accountId } = this.getPolicyEventFilter();
+      if (!confirm(accountId ? '确定要清除当前账号的敏感词事件吗？' : '确定要清除所有账号的敏感词事件吗？')) {
+        return;
+      }
+
+      const response = await window.translationAPI.clearPolicyEvents(accountId);
+      if (response.success) {
+        this.showMessage('事件已清除', 'success');
+        this.loadPolicyEvents();
+      } else {
+        this.showMessage('清除失败：' + response.error, 'error');
+      }
+    }
+
+    /**
+     * 加载重复客户报表
+     */
+    async loadDuplicateReport() {
+      if (!window.translationAPI || typeof window.translationAPI.getDuplicateReport !== 'function') {
+        this.panel.querySelector('#duplicateSection').style.display = 'none';
+        return;
+      }
+
+      const list = this.panel.querySelector('#duplicateList');
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+
       try {
-        const selectedEngine = this.config?.global?.engine;
-        
-        if (!selectedEngine) {
-          console.log('[Settings] No engine selected in config, skipping engine config load');
-          return;
-        }
-        
-        console.log(`[Settings] Loading config for engine: ${selectedEngine}`);
-        
-        // 确保预加载的配置已准备就绪
-        if (!this.preloadedConfigs) {
-          console.log('[Settings] Preloading configs before loading specific engine...');
-          await this.preloadAllEngineConfigs();
-        }
-        
-        // 只为 AI 引擎加载配置
-        if (!['custom', 'gpt4', 'gemini', 'deepseek'].includes(selectedEngine)) {
-          console.log('[Settings] Google engine selected, clearing API config fields');
-          // 谷歌翻译不需要API配置，清空相关字段
-          this.clearAPIConfigFields();
+        const response = await window.translationAPI.getDuplicateReport();
+        if (!response.success) {
+          console.error('[Settings] Failed to load duplicate report:', response.error);
           return;
         }
-        
-        // 使用预加载的配置
-        let engineConfig = this.preloadedConfigs?.[selectedEngine];
-        
-        if (!engineConfig) {
-          console.log(`[Settings] Config not found in preloaded, loading directly for ${selectedEngine}...`);
-          try {
-            const engineConfigResponse = await window.translationAPI.getEngineConfig(selectedEngine);
-            if (engineConfigResponse.success && engineConfigResponse.data) {
-              engineConfig = engineConfigResponse.data;
-              // 更新预加载的缓存
-              this.preloadedConfigs[selectedEngine] = engineConfig;
-              console.log(`[Settings] ✅ Directly loaded config for ${selectedEngine}`);
-            }
-          } catch (error) {
-            console.warn(`[Settings] Direct load failed for ${selectedEngine}:`, error);
-          }
+
+        list.innerHTML = response.data.length > 0
+          ? response.data.map(item => `
+            <div class="glossary-item">
+              <span class="glossary-tag">${escape(item.phone)}</span>
+              <span class="glossary-text">${item.accounts.map(account =>
+                `${escape(account.accountName)}（${new Date(account.lastSeenAt).toLocaleString()}）`).join('、')}</span>
+            </div>
+          `).join('')
+          : '<p class="setting-desc">暂无重复客户</p>';
+      } catch (error) {
+        console.error('[Settings] Failed to load duplicate report:', error);
+      }
+    }
+
+    /**
+     * 导出重复客户报表为 CSV 文件
+     */
+    async exportDuplicateReport() {
+      try {
+        const response = await window.translationAPI.exportDuplicateReport();
+        if (!response.success) {
+          this.showMessage('导出失败：' + response.error, 'error');
+          return;
         }
-        
-        // 显示配置到界面
-        const apiKeyField = this.panel.querySelector('#apiKey');
-        const apiEndpointField = this.panel.querySelector('#apiEndpoint');
-        const apiModelField = this.panel.querySelector('#apiModel');
-        
-        if (apiKeyField && apiModelField) {
-          if (engineConfig && engineConfig.apiKey) {
-            // 填充输入框
-            apiKeyField.value = engineConfig.apiKey;
-            apiModelField.value = engineConfig.model || this.getDefaultModel(selectedEngine);
-            
-            if (selectedEngine === 'custom' && apiEndpointField) {
-              apiEndpointField.value = engineConfig.endpoint || '';
-              console.log(`[Settings] ✅ Loaded custom config for ${selectedEngine}`);
-            }
-            
-            console.log(`[Settings] ✅ Successfully displayed engine config for: ${selectedEngine}`);
-          } else {
-            // 使用默认值
-            apiKeyField.value = '';
-            apiModelField.value = this.getDefaultModel(selectedEngine);
-            
-            if (selectedEngine === 'custom' && apiEndpointField) {
-              apiEndpointField.value = '';
-            }
-            
-            console.log(`[Settings] ⚠️ No saved config found for ${selectedEngine}, using defaults`);
-          }
-        } else {
-          console.error('[Settings] API config fields not found in panel');
+
+        // 添加 BOM 便于 Excel 正确识别 UTF-8
+        const blob = new Blob(['\uFEFF' + response.data], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `duplicate-customers-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      } catch (error) {
+        this.showMessage('导出失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 加载联系人标签及使用统计
+     */
+    async loadTags() {
+      if (!window.translationAPI || typeof window.translationAPI.getTagStats !== 'function') {
+        this.panel.querySelector('#tagSection').style.display = 'none';
+        return;
+      }
+
+      const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+      try {
+        const response = await window.translationAPI.getTagStats(accountId);
+        if (!response.success) {
+          console.error('[Settings] Failed to load tags:', response.error);
+          return;
         }
+        this.tags = response.data;
+        this.renderTags();
       } catch (error) {
-        console.error('[Settings] ❌ Failed to load engine config:', error);
-        // 出错时清空字段
-        this.clearAPIConfigFields();
+        console.error('[Settings] Failed to load tags:', error);
       }
     }
 
     /**
-     * 清空API配置字段
+     * 渲染标签列表（按使用次数倒序）
      */
-    clearAPIConfigFields() {
-      const apiKeyField = this.panel.querySelector('#apiKey');
-      const apiEndpointField = this.panel.querySelector('#apiEndpoint');
-      const apiModelField = this.panel.querySelector('#apiModel');
-      
-      if (apiKeyField) apiKeyField.value = '';
-      if (apiEndpointField) apiEndpointField.value = '';
-      if (apiModelField) apiModelField.value = '';
+    renderTags() {
+      const list = this.panel.querySelector('#tagList');
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+
+      list.innerHTML = this.tags.length > 0
+        ? this.tags.map((tag, index) => `
+          <div class="glossary-item">
+            <input type="color" data-index="${index}" title="修改颜色">
+            <span class="glossary-text">${escape(tag.name)}</span>
+            <span class="glossary-tag">${tag.count} 个联系人</span>
+            <button class="glossary-remove" data-index="${index}" title="删除">×</button>
+          </div>
+        `).join('')
+        : '<p class="setting-desc">暂无标签</p>';
+
+      list.querySelectorAll('input[type="color"]').forEach(input => {
+        input.value = this.tags[Number(input.dataset.index)].color;
+      });
     }
 
     /**
-     * 获取默认模型
+     * 添加标签
      */
-    getDefaultModel(engineName) {
-      const defaultModels = {
-        'gpt4': 'gpt-4',
-        'gemini': 'gemini-pro',
-        'deepseek': 'deepseek-chat',
-        'custom': 'gpt-4'
-      };
-      return defaultModels[engineName] || 'gpt-4';
+    async addTag() {
+      const nameInput = this.panel.querySelector('#tagName');
+      const name = nameInput.value.trim();
+      if (!name) {
+        this.showMessage('请输入标签名称', 'error');
+        return;
+      }
+
+      const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+      const response = await window.translationAPI.saveContactTag(accountId, {
+        name,
+        color: this.panel.querySelector('#tagColor').value
+      });
+      if (!response.success) {
+        this.showMessage('添加标签失败：' + response.error, 'error');
+        return;
+      }
+
+      nameInput.value = '';
+      this.afterTagsChanged();
     }
 
     /**
-     * 设置默认引擎配置
+     * 修改标签颜色
+     * @param {number} index - 标签序号
+     * @param {string} color - 颜色（#rrggbb）
      */
-    setDefaultEngineConfig(engineName) {
-      const defaultModels = this.getDefaultModel(engineName);
-      this.panel.querySelector('#apiModel').value = defaultModels;
-      
-      if (engineName === 'custom') {
-        this.panel.querySelector('#apiEndpoint').value = '';
+    async updateTagColor(index, color) {
+      const tag = this.tags[index];
+      if (!tag) return;
+
+      const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+      const response = await window.translationAPI.saveContactTag(accountId, { id: tag.id, name: tag.name, color });
+      if (!response.success) {
+        this.showMessage('保存标签失败：' + response.error, 'error');
+        return;
       }
-      
-      console.log(`[Settings] Set default config for ${engineName}: model=${defaultModels}`);
+      this.afterTagsChanged();
     }
 
     /**
-     * 更新 UI
+     * 删除标签（同时从所有联系人移除）
+     * @param {number} index - 标签序号
      */
-    updateUI() {
-      if (!this.config) return;
+    async removeTag(index) {
+      const tag = this.tags[index];
+      if (!tag || !confirm(`确定删除标签"${tag.name}"吗？已分配的 ${tag.count} 个联系人将不再带有此标签`)) return;
+
+      const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+      const response = await window.translationAPI.deleteContactTag(accountId, tag.id);
+      if (!response.success) {
+        this.showMessage('删除标签失败：' + response.error, 'error');
+        return;
+      }
+      this.afterTagsChanged();
+    }
 
-      // 基础设置
-      this.panel.querySelector('#autoTranslate').checked = this.config.global.autoTranslate;
-      this.panel.querySelector('#groupTranslation').checked = this.config.global.groupTranslation;
-      this.panel.querySelector('#translationEngine').value = this.config.global.engine;
-      this.panel.querySelector('#targetLanguage').value = this.config.global.targetLang;
-      
-      // 初始化当前引擎
-      this.currentEngine = this.config.global.engine;
+    /**
+     * 标签修改后刷新设置面板和当前页面的侧边栏、筛选面板
+     */
+    afterTagsChanged() {
+      this.loadTags();
+      window.WhatsAppTranslation.loadContactTags();
+    }
 
-      // 输入框设置
-      this.panel.querySelector('#inputBoxEnabled').checked = this.config.inputBox.enabled;
-      this.panel.querySelector('#inputBoxEngine').value = this.config.inputBox.engine || this.config.global.engine;
-      this.panel.querySelector('#inputBoxTargetLang').value = this.config.inputBox.targetLang || 'auto';
-      this.panel.querySelector('#translationStyle').value = this.config.inputBox.style;
+    /**
+     * 加载回复时效设置和当前账号等待回复的会话
+     */
+    async loadSlaSettings() {
+      if (!window.translationAPI || typeof window.translationAPI.getSlaStatus !== 'function') {
+        this.panel.querySelector('#slaSection').style.display = 'none';
+        return;
+      }
 
-      // 高级设置
-      this.panel.querySelector('#blockChinese').checked = this.config.advanced.blockChinese;
-      this.panel.querySelector('#friendIndependent').checked = this.config.advanced.friendIndependent;
-      this.panel.querySelector('#realtimeTranslation').checked = this.config.advanced.realtime || false;
-      this.panel.querySelector('#reverseTranslation').checked = this.config.advanced.reverseTranslation || false;
+      try {
+        const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+        const response = await window.translationAPI.getSlaStatus(accountId);
+        if (!response.success) {
+          console.error('[Settings] Failed to load SLA status:', response.error);
+          return;
+        }
 
-      // 更新好友配置显示
-      this.updateFriendConfigVisibility();
-      this.loadCurrentFriendConfig();
-      
-      // 更新翻译风格显示（仅 AI 引擎可用）
-      this.updateTranslationStyleVisibility();
-      
-      // 更新API配置显示
-      this.updateAPIConfigVisibility();
-      // 确保配置显示正确
-      setTimeout(async () => {
-        if (this.preloadedConfigs) {
-          await this.refreshAPIConfigDisplay();
+        const { config, waiting } = response.data;
+        this.panel.querySelector('#slaEnabled').checked = config.enabled;
+        this.panel.querySelector('#slaMinutes').value = config.slaMinutes;
+        this.renderSlaWaiting(waiting);
+      } catch (error) {
+        console.error('[Settings] Failed to load SLA status:', error);
+      }
+    }
+
+    /**
+     * 渲染等待回复的会话
+     * @param {Array<Object>} waiting - [{ contactId, waitingMs, overdue }]，按等待时间倒序
+     */
+    renderSlaWaiting(waiting) {
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(text);
+
+      this.panel.querySelector('#slaWaitingList').innerHTML = waiting.length > 0
+        ? waiting.map(chat => `
+          <div class="glossary-item">
+            <span class="glossary-text">${escape(chat.contactId)}</span>
+            <span class="glossary-tag">${chat.overdue ? '已超时 · ' : ''}等待 ${Math.floor(chat.waitingMs / 60000)} 分钟</span>
+          </div>
+        `).join('')
+        : '<p class="setting-desc">当前账号没有等待回复的会话</p>';
+    }
+
+    /**
+     * 保存回复时效设置
+     */
+    async saveSlaSettings() {
+      try {
+        const response = await window.translationAPI.saveSlaConfig({
+          enabled: this.panel.querySelector('#slaEnabled').checked,
+          slaMinutes: Number(this.panel.querySelector('#slaMinutes').value)
+        });
+        if (!response.success) {
+          this.showMessage('保存失败：' + response.error, 'error');
+          return;
         }
-      }, 100); // 稍微延迟以确保UI更新完成
 
-      // 加载统计信息
-      this.loadStats();
+        this.showMessage('回复时效设置已保存', 'success');
+        this.loadSlaSettings();
+      } catch (error) {
+        this.showMessage('保存失败：' + error.message, 'error');
+      }
+    }
+
+    /**
+     * 导出当前聊天或当前账号的聊天记录
+     */
+    async exportTranscript() {
+      const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+      const scope = this.panel.querySelector('#transcriptScope').value;
+      const format = this.panel.querySelector('#transcriptFormat').value;
+      const fromValue = this.panel.querySelector('#transcriptFrom').value;
+      const toValue = this.panel.querySelector('#transcriptTo').value;
+
+      const contactId = scope === 'contact' ? window.WhatsAppTranslation.getCurrentContactId() : null;
+      if (scope === 'contact' && !contactId) {
+        this.showMessage('请先打开一个聊天', 'error');
+        return;
+      }
+
+      try {
+        const response = await window.translationAPI.exportTranscript({
+          accountId,
+          contactId,
+          // 日期按本地时间计算，结束日期包含当天
+          from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+          to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+          format,
+          redact: this.panel.querySelector('#transcriptRedact').checked
+        });
+        if (!response.success) {
+          this.showMessage('导出失败：' + response.error, 'error');
+          return;
+        }
+        if (response.data.count === 0) {
+          this.showMessage('没有可导出的聊天记录', 'error');
+          return;
+        }
+
+        const types = { html: 'text/html', csv: 'text/csv', json: 'application/json' };
+        // 添加 BOM 便于 Excel 正确识别 UTF-8
+        const content = format === 'csv' ? '\uFEFF' + response.data.content : response.data.content;
+        const blob = new Blob([content], { type: `${types[format]};charset=utf-8` });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `transcript-${contactId || accountId}-${new Date().toISOString().slice(0, 10)}.${format}`
+          .replace(/[\\/:*?"<>|@]/g, '_');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        this.showMessage(`已导出 ${response.data.count} 条聊天记录`, 'success');
+      } catch (error) {
+        this.showMessage('导出失败：' + error.message, 'error');
+      }
     }
 
     /**
@@ -4812,7 +9318,7 @@
       const styleDesc = this.panel.querySelector('#translationStyle').nextElementSibling;
       
       // 只有输入框使用 AI 引擎时才显示翻译风格选项
-      if (inputBoxEngine === 'google') {
+      if (!AI_ENGINES.includes(inputBoxEngine) && !FORMALITY_ENGINES.includes(inputBoxEngine)) {
         styleItem.style.display = 'none';
         console.log('[Settings] 谷歌翻译不支持风格选项，已隐藏');
       } else {
@@ -4830,18 +9336,29 @@
       const apiSection = this.panel.querySelector('#apiConfigSection');
       const customEndpoint = this.panel.querySelector('#customEndpointItem');
       const customModel = this.panel.querySelector('#customModelItem');
+      const customFormat = this.panel.querySelector('#customFormatItem');
       const apiDesc = apiSection.querySelector('.setting-desc');
 
       // 只有使用了AI引擎才显示API配置
-      const needsAPI = chatEngine !== 'google' || inputBoxEngine !== 'google';
+      const chatUsesAI = AI_ENGINES.includes(chatEngine);
+      const inputBoxUsesAI = AI_ENGINES.includes(inputBoxEngine);
+      const needsAPI = chatUsesAI || inputBoxUsesAI;
+      
+      // 机器翻译服务和本地翻译服务使用独立的配置区域
+      const usesEngine = (engine) => chatEngine === engine || inputBoxEngine === engine;
+      this.panel.querySelector('#localEngineSection').style.display = usesEngine('libretranslate') ? 'block' : 'none';
+      this.panel.querySelector('#mtEngineSection').style.display =
+        (usesEngine('deepl') || usesEngine('microsoft')) ? 'block' : 'none';
+      this.panel.querySelector('#deeplConfigItems').style.display = usesEngine('deepl') ? 'block' : 'none';
+      this.panel.querySelector('#microsoftConfigItems').style.display = usesEngine('microsoft') ? 'block' : 'none';
       
       if (needsAPI) {
         apiSection.style.display = 'block';
         
         // 更新描述文字
-        if (chatEngine !== 'google' && inputBoxEngine !== 'google') {
+        if (chatUsesAI && inputBoxUsesAI) {
           apiDesc.textContent = '⚠️ 需要配置 AI 引擎的 API 密钥。聊天窗口和输入框都使用了AI引擎。';
-        } else if (chatEngine !== 'google') {
+        } else if (chatUsesAI) {
           apiDesc.textContent = '⚠️ 需要配置 AI 引擎的 API 密钥。仅聊天窗口使用了AI引擎。';
         } else {
           apiDesc.textContent = '⚠️ 需要配置 AI 引擎的 API 密钥。仅输入框使用了AI引擎。';
@@ -4851,9 +9368,11 @@
         if (chatEngine === 'custom' || inputBoxEngine === 'custom') {
           customEndpoint.style.display = 'block';
           customModel.style.display = 'block';
+          customFormat.style.display = 'block';
         } else {
           customEndpoint.style.display = 'none';
           customModel.style.display = 'none';
+          customFormat.style.display = 'none';
         }
         
         console.log(`[Settings] 显示API配置: 聊天=${chatEngine}, 输入框=${inputBoxEngine}`);
@@ -4895,6 +9414,129 @@
       }
     }
 
+    /**
+     * 加载 DeepL / Microsoft Translator 配置
+     */
+    async loadMTEngineConfigs() {
+      try {
+        const [deeplResponse, msResponse] = await Promise.all([
+          window.translationAPI.getEngineConfig('deepl'),
+          window.translationAPI.getEngineConfig('microsoft')
+        ]);
+        const deepl = deeplResponse.success && deeplResponse.data ? deeplResponse.data : {};
+        const microsoft = msResponse.success && msResponse.data ? msResponse.data : {};
+
+        this.panel.querySelector('#deeplApiKey').value = deepl.apiKey || '';
+        this.panel.querySelector('#deeplGlossaryIds').value = Object.entries(deepl.glossaryIds || {})
+          .map(([pair, id]) => `${pair}=${id}`)
+          .join('\n');
+        this.panel.querySelector('#msApiKey').value = microsoft.apiKey || '';
+        this.panel.querySelector('#msRegion').value = microsoft.region || '';
+        this.panel.querySelector('#msCategory').value = microsoft.category || '';
+        this.panel.querySelector('#msFormalCategory').value = microsoft.formalCategory || '';
+        this.panel.querySelector('#msInformalCategory').value = microsoft.informalCategory || '';
+      } catch (error) {
+        console.error('[Settings] Failed to load machine translation configs:', error);
+      }
+    }
+
+    /**
+     * 保存 DeepL / Microsoft Translator 配置（未填写密钥时不保存）
+     */
+    async saveMTEngineConfigs() {
+      const deeplApiKey = this.panel.querySelector('#deeplApiKey').value.trim();
+      if (deeplApiKey) {
+        const glossaryIds = {};
+        this.panel.querySelector('#deeplGlossaryIds').value.split('\n').forEach(line => {
+          const [pair, id] = line.split('=').map(part => (part || '').trim());
+          if (pair && id && pair.includes(':')) {
+            glossaryIds[pair] = id;
+          }
+        });
+
+        await window.translationAPI.saveEngineConfig('deepl', {
+          enabled: true,
+          apiKey: deeplApiKey,
+          glossaryIds
+        });
+      }
+
+      const msApiKey = this.panel.querySelector('#msApiKey').value.trim();
+      if (msApiKey) {
+        await window.translationAPI.saveEngineConfig('microsoft', {
+          enabled: true,
+          apiKey: msApiKey,
+          region: this.panel.querySelector('#msRegion').value.trim(),
+          category: this.panel.querySelector('#msCategory').value.trim(),
+          formalCategory: this.panel.querySelector('#msFormalCategory').value.trim(),
+          informalCategory: this.panel.querySelector('#msInformalCategory').value.trim()
+        });
+      }
+    }
+
+    /**
+     * 加载本地翻译服务配置
+     */
+    async loadLocalEngineConfig() {
+      try {
+        const response = await window.translationAPI.getEngineConfig('libretranslate');
+        const engineConfig = response.success && response.data ? response.data : {};
+        this.panel.querySelector('#libreEndpoint').value = engineConfig.endpoint || '';
+        this.panel.querySelector('#libreApiKey').value = engineConfig.apiKey || '';
+      } catch (error) {
+        console.error('[Settings] Failed to load LibreTranslate config:', error);
+      }
+    }
+
+    /**
+     * 保存本地翻译服务配置（未填写地址时不保存）
+     */
+    async saveLocalEngineConfig() {
+      const endpoint = this.panel.querySelector('#libreEndpoint').value.trim();
+      if (!endpoint) {
+        return;
+      }
+
+      await window.translationAPI.saveEngineConfig('libretranslate', {
+        enabled: true,
+        endpoint,
+        apiKey: this.panel.querySelector('#libreApiKey').value.trim()
+      });
+    }
+
+    /**
+     * 检测本地翻译服务（保存当前地址后进行健康检查）
+     */
+    async testLocalEngine() {
+      const testBtn = this.panel.querySelector('#testLibreBtn');
+      const status = this.panel.querySelector('#libreStatus');
+      const originalText = testBtn.textContent;
+
+      if (!this.panel.querySelector('#libreEndpoint').value.trim()) {
+        this.showMessage('请先填写服务地址', 'error');
+        return;
+      }
+
+      testBtn.textContent = '检测中...';
+      testBtn.disabled = true;
+
+      try {
+        await this.saveLocalEngineConfig();
+        const result = await window.translationAPI.checkEngineHealth('libretranslate');
+
+        if (result.success && result.data.healthy) {
+          status.textContent = `✅ 服务正常，支持 ${result.data.languageCount} 种语言，延迟 ${result.data.latency}ms`;
+        } else {
+          status.textContent = `❌ 服务不可用：${result.success ? result.data.error : result.error}`;
+        }
+      } catch (error) {
+        status.textContent = `❌ 服务不可用：${error.message}`;
+      } finally {
+        testBtn.textContent = originalText;
+        testBtn.disabled = false;
+      }
+    }
+
     /**
      * 保存设置
      */
@@ -4930,7 +9572,8 @@
             engine: this.panel.querySelector('#translationEngine').value,
             sourceLang: 'auto',
             targetLang: this.panel.querySelector('#targetLanguage').value,
-            groupTranslation: this.panel.querySelector('#groupTranslation').checked
+            groupTranslation: this.panel.querySelector('#groupTranslation').checked,
+            streaming: this.panel.querySelector('#streamingTranslation').checked
           },
           inputBox: {
             enabled: this.panel.querySelector('#inputBoxEnabled').checked,
@@ -4944,7 +9587,11 @@
             realtime: this.panel.querySelector('#realtimeTranslation').checked,
             reverseTranslation: this.panel.querySelector('#reverseTranslation').checked,
             voiceTranslation: false,
-            imageTranslation: false
+            imageTranslation: false,
+            contextAware: this.panel.querySelector('#contextAware').checked,
+            contextMessages: Math.min(Math.max(parseInt(this.panel.querySelector('#contextMessages').value, 10) || 5, 1), 20),
+            contextTokenBudget: Math.max(parseInt(this.panel.querySelector('#contextTokenBudget').value, 10) || 500, 50),
+            contextInCacheKey: this.panel.querySelector('#contextInCacheKey').checked
           },
           friendConfigs: this.config.friendConfigs || {}
         };
@@ -4961,6 +9608,8 @@
         
         // 保存所有引擎配置（改进版本）
         await this.saveAllEngineConfigs();
+        await this.saveMTEngineConfigs();
+        await this.saveLocalEngineConfig();
         
         // 保存账号配置
         const response = await window.translationAPI.saveConfig(accountId, newConfig);
@@ -5010,7 +9659,8 @@
             engine: 'google',
             sourceLang: 'auto',
             targetLang: 'zh-CN',
-            groupTranslation: false
+            groupTranslation: false,
+            streaming: false
           },
           inputBox: {
             enabled: false,
@@ -5023,7 +9673,11 @@
             realtime: false,
             reverseTranslation: false,
             voiceTranslation: false,
-            imageTranslation: false
+            imageTranslation: false,
+            contextAware: false,
+            contextMessages: 5,
+            contextTokenBudget: 500,
+            contextInCacheKey: false
           },
           friendConfigs: {}
         };
@@ -5089,6 +9743,7 @@
               if (engineName === 'custom') {
                 engineConfig.endpoint = currentApiEndpoint?.trim() || savedConfig.endpoint || '';
                 engineConfig.model = currentApiModel?.trim() || savedConfig.model || 'gpt-4';
+                engineConfig.apiFormat = this.panel.querySelector('#apiFormat')?.value || savedConfig.apiFormat || 'openai';
                 engineConfig.name = 'Custom API';
               } else if (engineName === 'gpt4') {
                 engineConfig.endpoint = 'https://api.openai.com/v1/chat/completions';
@@ -5109,6 +9764,9 @@
                 engineConfig.endpoint = savedConfig.endpoint || '';
                 engineConfig.model = savedConfig.model || this.getDefaultModel(engineName);
                 engineConfig.name = savedConfig.name;
+                if (savedConfig.apiFormat) {
+                  engineConfig.apiFormat = savedConfig.apiFormat;
+                }
                 
                 console.log(`[Settings] ✅ Keeping saved config for ${engineName}`);
               } else {
@@ -5144,7 +9802,10 @@
         'gpt4': 'GPT-4（需API密钥，支持风格）',
         'gemini': 'Google Gemini（需API密钥，支持风格）',
         'deepseek': 'DeepSeek（需API密钥，支持风格）',
-        'custom': '自定义 API（需配置，支持风格）'
+        'custom': '自定义 API（需配置，支持风格）',
+        'deepl': 'DeepL（需API密钥，支持正式/口语化）',
+        'microsoft': 'Microsoft Translator（需API密钥，支持正式/口语化）',
+        'libretranslate': 'LibreTranslate（本地部署，无风格）'
       };
       
       const engineDisplayName = engineNames[engineName] || engineName;
@@ -5155,6 +9816,13 @@
       // 根据引擎类型添加额外提示
       if (engineName === 'google') {
         message += '\n💡 谷歌翻译为免费机器翻译，无需配置';
+      } else if (engineName === 'libretranslate') {
+        message += '\n🏠 需要配置本地翻译服务地址，消息不会发送到云端';
+      } else if (FORMALITY_ENGINES.includes(engineName)) {
+        message += '\n⚠️ 需要配置相应的API密钥';
+        if (isInputBox) {
+          message += '\n🎨 支持正式/口语化风格';
+        }
       } else {
         message += '\n⚠️ 需要配置相应的API密钥';
         if (isInputBox) {
@@ -5192,6 +9860,13 @@
               <span class="stat-label">缓存大小：</span>
               <span class="stat-value">${stats.translation.cacheStats?.memorySize || 0} 条</span>
             </div>
+            ${Object.entries(stats.quota || {}).map(([engine, quota]) => `
+            <div class="stat-item">
+              <span class="stat-label">${engine} 本月用量：</span>
+              <span class="stat-value">${quota.characterCount.toLocaleString()} / ${quota.characterLimit ? quota.characterLimit.toLocaleString() : '不限'} 字符${quota.source === 'local' ? '（本地统计）' : ''}</span>
+            </div>`).join('')}
+            ${this.renderRoutingStats(stats.routing, stats.translation.circuitBreakers)}
+            ${this.renderCostStats(stats.costs)}
           `;
         }
       } catch (error) {
@@ -5199,6 +9874,75 @@
       }
     }
 
+    /**
+     * 渲染路由统计（规则命中、降级次数和熔断中的引擎）
+     * @param {Object} routing - 路由统计
+     * @param {Object} circuitBreakers - 各引擎熔断器状态
+     * @returns {string} HTML
+     */
+    renderRoutingStats(routing, circuitBreakers) {
+      if (!routing) return '';
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(String(text));
+
+      const ruleHits = Object.entries(routing.rules || {})
+        .map(([rule, count]) => `${escape(rule)} ${count}`)
+        .join('，');
+      const openEngines = Object.entries(circuitBreakers || {})
+        .filter(([, snapshot]) => snapshot.state !== 'closed')
+        .map(([engine, snapshot]) => `${escape(engine)}（${snapshot.state === 'open' ? '熔断中' : '试探中'}）`)
+        .join('，');
+      const latest = (routing.recent || [])[0];
+
+      return `
+            <div class="stat-item">
+              <span class="stat-label">路由规则命中：</span>
+              <span class="stat-value">${ruleHits || '暂无'}</span>
+            </div>
+            <div class="stat-item">
+              <span class="stat-label">降级次数：</span>
+              <span class="stat-value">${routing.fallbacks || 0}</span>
+            </div>
+            ${openEngines ? `
+            <div class="stat-item">
+              <span class="stat-label">熔断引擎：</span>
+              <span class="stat-value">${openEngines}</span>
+            </div>` : ''}
+            ${latest ? `
+            <div class="stat-item">
+              <span class="stat-label">最近路由：</span>
+              <span class="stat-value">${escape(latest.rule)} → ${escape(latest.engine)}${latest.fallback ? '（降级）' : ''}</span>
+            </div>` : ''}
+      `;
+    }
+
+    /**
+     * 渲染本月费用统计（总计、当前账号和各引擎）
+     * @param {Object} costs - 费用汇总
+     * @returns {string} HTML
+     */
+    renderCostStats(costs) {
+      if (!costs) return '';
+      const escape = (text) => window.WhatsAppTranslation.escapeHtml(String(text));
+      const accountId = this.accountId || window.WhatsAppTranslation.accountId;
+      const accountCost = costs.accounts[accountId] ? costs.accounts[accountId].cost : 0;
+      const engineCosts = Object.entries(costs.engines)
+        .filter(([, entry]) => entry.cost > 0)
+        .map(([engine, entry]) => `${escape(engine)} ${entry.cost.toFixed(4)}`)
+        .join('，');
+
+      return `
+            <div class="stat-item">
+              <span class="stat-label">本月费用：</span>
+              <span class="stat-value">${costs.total.toFixed(4)} ${escape(costs.currency)}（当前账号 ${accountCost.toFixed(4)}）</span>
+            </div>
+            ${engineCosts ? `
+            <div class="stat-item">
+              <span class="stat-label">按引擎：</span>
+              <span class="stat-value">${engineCosts}</span>
+            </div>` : ''}
+      `;
+    }
+
     /**
      * 更新好友配置区域显示
      */
@@ -9,6 +9,9 @@ const TranslationAdapter = require('./adapters/TranslationAdapter');
 const GoogleTranslateAdapter = require('./adapters/GoogleTranslateAdapter');
 const AITranslationAdapter = require('./adapters/AITranslationAdapter');
 const CustomAPIAdapter = require('./adapters/CustomAPIAdapter');
+const LibreTranslateAdapter = require('./adapters/LibreTranslateAdapter');
+const DeepLAdapter = require('./adapters/DeepLAdapter');
+const MicrosoftTranslatorAdapter = require('./adapters/MicrosoftTranslatorAdapter');
 
 module.exports = {
   TranslationManager,
@@ -17,5 +20,8 @@ module.exports = {
   TranslationAdapter,
   GoogleTranslateAdapter,
   AITranslationAdapter,
-  CustomAPIAdapter
+  CustomAPIAdapter,
+  LibreTranslateAdapter,
+  DeepLAdapter,
+  MicrosoftTranslatorAdapter
 };
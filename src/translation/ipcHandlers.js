@@ -3,13 +3,55 @@
  * 处理渲染进程的翻译请求
  */
 
-const { ipcMain } = require('electron');
+const { ipcMain, webContents } = require('electron');
 const translationService = require('./translationService');
 
+// 进行中的流式翻译请求：`${webContentsId}:${requestId}` -> AbortController
+const activeStreams = new Map();
+
+/**
+ * 生成流式请求的唯一键（按发起请求的 webContents 隔离）
+ * @param {number} webContentsId - 发起请求的 webContents ID
+ * @param {string} requestId - 渲染进程生成的请求ID
+ * @returns {string} 唯一键
+ */
+function getStreamKey(webContentsId, requestId) {
+  return `${webContentsId}:${requestId}`;
+}
+
+/**
+ * 通知其他视图账号的标签已变化（同一账号可能在多个视图中打开）
+ * @param {Electron.WebContents} sender - 发起修改的 webContents
+ * @param {string} accountId - 账号ID
+ */
+function notifyTagsChanged(sender, accountId) {
+  webContents.getAllWebContents().forEach(contents => {
+    if (contents !== sender && !contents.isDestroyed()) {
+      contents.send('translation:tagsChanged', { accountId });
+    }
+  });
+}
+
+/**
+ * 通知其他视图敏感词策略规则已变化（规则对所有账号生效）
+ * @param {Electron.WebContents} sender - 发起修改的 webContents
+ */
+function notifyPolicyChanged(sender) {
+  webContents.getAllWebContents().forEach(contents => {
+    if (contents !== sender && !contents.isDestroyed()) {
+      contents.send('translation:policyChanged');
+    }
+  });
+}
+
 /**
  * 注册所有 IPC 处理器
+ * @param {Object} [options]
+ * @param {AccountConfigManager} [options.accountConfigManager] - 账号配置管理器（用于显示账号名称和读取账号代理）
+ * @param {ProxyProfileManager} [options.proxyProfileManager] - 代理配置库（翻译请求使用账号代理或全局翻译代理）
+ * @param {SessionManager} [options.sessionManager] - 会话管理器（翻译请求跟随账号 session 实际使用的代理）
  */
-async function registerIPCHandlers() {
+async function registerIPCHandlers(options = {}) {
   // 初始化翻译服务
   if (!translationService.initialized) {
     try {
@@ -19,11 +61,42 @@ async function registerIPCHandlers() {
       console.error('[IPC] Failed to initialize translation service:', error);
     }
   }
+
+  if (options.accountConfigManager) {
+    translationService.setAccountNameResolver(async (accountId) => {
+      const account = await options.accountConfigManager.getAccount(accountId);
+      return account ? account.name : null;
+    });
+  }
+
+  if (options.accountConfigManager && options.proxyProfileManager) {
+    const { accountConfigManager, proxyProfileManager, sessionManager } = options;
+    translationService.setProxyResolver({
+      account: async (accountId) => {
+        // 账号 session 故障切换到备用代理（或改为直连）后，翻译请求跟随切换
+        const applied = sessionManager ? sessionManager.getAppliedProxyConfig(accountId) : undefined;
+        if (applied !== undefined) {
+          return applied;
+        }
+
+        const account = await accountConfigManager.getAccount(accountId);
+        return account && account.proxy && account.proxy.enabled
+          ? proxyProfileManager.resolveProxy(account.proxy)
+          : null;
+      },
+      profile: (profileId) => (proxyProfileManager.getProfile(profileId)
+        ? proxyProfileManager.resolveProxy({ enabled: true, profileId })
+        : null),
+      profiles: () => proxyProfileManager.getProfiles().map(({ id, name, protocol, host, port }) => ({ id, name, protocol, host, port }))
+    });
+  }
   
   // 翻译请求 (with account routing)
   ipcMain.handle('translation:translate', async (event, request) => {
+    let streamKey = null;
+
     try {
-      const { accountId, text, sourceLang, targetLang, engineName, options } = request;
+      const { accountId, text, sourceLang, targetLang, engineName, options, requestId } = request;
       
       // Validate accountId
       if (!accountId) {
@@ -56,6 +129,27 @@ async function registerIPCHandlers() {
         engine: mergedOptions.engine
       });
       
+      // 流式翻译：部分译文通过 translation:streamChunk 推送给发起请求的页面
+      if (options?.stream && requestId) {
+        const sender = event.sender;
+        const abortController = new AbortController();
+        streamKey = getStreamKey(sender.id, requestId);
+        activeStreams.set(streamKey, abortController);
+
+        mergedOptions.stream = true;
+        mergedOptions.requestId = requestId;
+        mergedOptions.signal = abortController.signal;
+        mergedOptions.onChunk = (partialText) => {
+          if (!sender.isDestroyed()) {
+            sender.send('translation:streamChunk', {
+              requestId,
+              accountId,
+              text: partialText
+            });
+          }
+        };
+      }
+      
       // Use account-specific engine if not specified
       const effectiveEngine = engineName || accountConfig.engine || 'google';
       const effectiveTargetLang = targetLang || accountConfig.targetLanguage || 'zh-CN';
@@ -74,12 +168,105 @@ async function registerIPCHandlers() {
         accountId
       };
     } catch (error) {
+      if (error.code === 'TRANSLATION_CANCELLED') {
+        console.log(`[IPC] Streaming translation cancelled: ${request.requestId}`);
+        return {
+          success: false,
+          cancelled: true,
+          error: error.message,
+          accountId: request.accountId
+        };
+      }
+
       console.error(`[IPC] Translation error for account ${request.accountId}:`, error);
       return {
         success: false,
         error: error.message,
         accountId: request.accountId
       };
+    } finally {
+      if (streamKey) {
+        activeStreams.delete(streamKey);
+      }
+    }
+  });
+
+  // 批量翻译请求（打开聊天时翻译已有消息）
+  ipcMain.handle('translation:translateBatch', async (event, request) => {
+    try {
+      const { accountId, texts, sourceLang, targetLang, engineName, options } = request;
+
+      if (!accountId) {
+        throw new Error('Account ID is required for translation requests');
+      }
+
+      if (!Array.isArray(texts) || texts.length === 0) {
+        throw new Error('Texts must be a non-empty array');
+      }
+
+      const accountConfig = translationService.getConfig(accountId);
+      const mergedOptions = {
+        accountId,
+        ...accountConfig,
+        ...options
+      };
+
+      const effectiveEngine = engineName || accountConfig.engine || 'google';
+      const effectiveTargetLang = targetLang || accountConfig.targetLanguage || 'zh-CN';
+
+      console.log(`[IPC] Batch translation request: ${texts.length} texts, engine ${effectiveEngine}, account ${accountId}`);
+
+      const results = await translationService.translateBatch(
+        texts,
+        sourceLang || 'auto',
+        effectiveTargetLang,
+        effectiveEngine,
+        mergedOptions
+      );
+
+      return {
+        success: true,
+        data: results,
+        accountId
+      };
+    } catch (error) {
+      console.error(`[IPC] Batch translation error for account ${request.accountId}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        accountId: request.accountId
+      };
+    }
+  });
+
+  // 取消流式翻译（不传 requestIds 时取消该页面的全部流式请求）
+  ipcMain.handle('translation:cancel', async (event, requestIds = null) => {
+    try {
+      const senderPrefix = `${event.sender.id}:`;
+      const keys = requestIds
+        ? [].concat(requestIds).map(requestId => getStreamKey(event.sender.id, requestId))
+        : Array.from(activeStreams.keys()).filter(key => key.startsWith(senderPrefix));
+
+      let cancelled = 0;
+      for (const key of keys) {
+        const abortController = activeStreams.get(key);
+        if (abortController) {
+          abortController.abort();
+          activeStreams.delete(key);
+          cancelled++;
+        }
+      }
+
+      return {
+        success: true,
+        cancelled
+      };
+    } catch (error) {
+      console.error('[IPC] Cancel translation error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
     }
   });
 
@@ -153,6 +340,7 @@ async function registerIPCHandlers() {
   // 获取统计信息
   ipcMain.handle('translation:getStats', async (event) => {
     try {
+      await translationService.refreshUsageQuota();
       const stats = translationService.getStats();
       return {
         success: true,
@@ -236,16 +424,16 @@ async function registerIPCHandlers() {
     }
   });
 
-  // 隐私保护：清除翻译历史
-  ipcMain.handle('translation:clearHistory', async (event) => {
+  // 检查引擎健康状态（用于本地部署的引擎）
+  ipcMain.handle('translation:checkEngineHealth', async (event, engineName) => {
     try {
-      await translationService.clearTranslationHistory();
+      const health = await translationService.checkEngineHealth(engineName);
       return {
         success: true,
-        message: 'Translation history cleared successfully'
+        data: health
       };
     } catch (error) {
-      console.error('[IPC] Clear history error:', error);
+      console.error('[IPC] Check engine health error:', error);
       return {
         success: false,
         error: error.message
@@ -253,16 +441,16 @@ async function registerIPCHandlers() {
     }
   });
 
-  // 隐私保护：清除用户数据
-  ipcMain.handle('translation:clearUserData', async (event) => {
+  // 获取引擎支持的语言列表
+  ipcMain.handle('translation:getEngineLanguages', async (event, engineName) => {
     try {
-      await translationService.clearAllUserData();
+      const languages = await translationService.getEngineLanguages(engineName);
       return {
         success: true,
-        message: 'User data cleared successfully'
+        data: languages
       };
     } catch (error) {
-      console.error('[IPC] Clear user data error:', error);
+      console.error('[IPC] Get engine languages error:', error);
       return {
         success: false,
         error: error.message
@@ -270,57 +458,80 @@ async function registerIPCHandlers() {
     }
   });
 
-  // 隐私保护：清除所有数据
-  ipcMain.handle('translation:clearAllData', async (event) => {
+  // 获取术语表（accountId 为空时为全局术语表）
+  ipcMain.handle('translation:getGlossary', async (event, accountId = null) => {
     try {
-      await translationService.clearAllData();
+      const glossary = translationService.configManager.getGlossary(accountId);
       return {
         success: true,
-        message: 'All data cleared successfully'
+        data: glossary,
+        accountId
       };
     } catch (error) {
-      console.error('[IPC] Clear all data error:', error);
+      console.error('[IPC] Get glossary error:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        accountId
       };
     }
   });
 
-  // 隐私保护：获取隐私报告
-  ipcMain.handle('translation:getPrivacyReport', async (event) => {
+  // 保存术语表
+  ipcMain.handle('translation:saveGlossary', async (event, accountId, glossary) => {
     try {
-      const report = translationService.getPrivacyReport();
+      const saved = translationService.configManager.saveGlossary(accountId || null, glossary);
+      console.log(`[IPC] Glossary saved for ${accountId || 'global'}: ${saved.terms.length} terms, ${saved.doNotTranslate.length} protected tokens`);
       return {
         success: true,
-        data: report
+        data: saved,
+        accountId
       };
     } catch (error) {
-      console.error('[IPC] Get privacy report error:', error);
+      console.error('[IPC] Save glossary error:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        accountId
       };
     }
   });
 
-  // 获取账号的翻译统计
-  ipcMain.handle('translation:getAccountStats', async (event, accountId) => {
+  // 导出术语表（CSV）
+  ipcMain.handle('translation:exportGlossary', async (event, accountId = null) => {
     try {
-      if (!accountId) {
-        throw new Error('Account ID is required to get translation stats');
+      const csv = translationService.configManager.exportGlossaryCSV(accountId);
+      return {
+        success: true,
+        data: csv,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Export glossary error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 导入术语表（CSV）
+  ipcMain.handle('translation:importGlossary', async (event, accountId, csv, options = {}) => {
+    try {
+      if (typeof csv !== 'string' || csv.trim() === '') {
+        throw new Error('CSV content is required');
       }
-      
-      // Get overall stats (could be extended to track per-account stats)
-      const stats = translationService.getStats();
-      
+
+      const result = translationService.configManager.importGlossaryCSV(accountId || null, csv, options);
+      console.log(`[IPC] Imported ${result.imported} glossary entries for ${accountId || 'global'}`);
       return {
         success: true,
-        data: stats,
+        data: result,
         accountId
       };
     } catch (error) {
-      console.error(`[IPC] Get account stats error for account ${accountId}:`, error);
+      console.error('[IPC] Import glossary error:', error);
       return {
         success: false,
         error: error.message,
@@ -329,26 +540,1149 @@ async function registerIPCHandlers() {
     }
   });
 
-  console.log('[IPC] Translation handlers registered');
-}
+  // 获取快捷回复（effective 为 true 时返回账号和全局合并后的可用模板）
+  ipcMain.handle('translation:getQuickReplies', async (event, accountId = null, effective = false) => {
+    try {
+      const quickReplies = effective
+        ? translationService.configManager.getEffectiveQuickReplies(accountId)
+        : translationService.configManager.getQuickReplies(accountId);
+      return {
+        success: true,
+        data: quickReplies,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get quick replies error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
 
-/**
- * 注销所有 IPC 处理器
- */
-function unregisterIPCHandlers() {
-  ipcMain.removeHandler('translation:translate');
-  ipcMain.removeHandler('translation:detectLanguage');
-  ipcMain.removeHandler('translation:getConfig');
-  ipcMain.removeHandler('translation:saveConfig');
-  ipcMain.removeHandler('translation:getStats');
-  ipcMain.removeHandler('translation:clearCache');
-  ipcMain.removeHandler('translation:saveEngineConfig');
-  ipcMain.removeHandler('translation:getEngineConfig');
-  ipcMain.removeHandler('translation:clearHistory');
-  ipcMain.removeHandler('translation:clearUserData');
-  ipcMain.removeHandler('translation:clearAllData');
-  ipcMain.removeHandler('translation:getPrivacyReport');
-  ipcMain.removeHandler('translation:getAccountStats');
+  // 保存快捷回复
+  ipcMain.handle('translation:saveQuickReplies', async (event, accountId, quickReplies) => {
+    try {
+      const saved = translationService.configManager.saveQuickReplies(accountId || null, quickReplies);
+      console.log(`[IPC] Quick replies saved for ${accountId || 'global'}: ${saved.groups.length} groups`);
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Save quick replies error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 导出快捷回复（JSON）
+  ipcMain.handle('translation:exportQuickReplies', async (event, accountId = null) => {
+    try {
+      return {
+        success: true,
+        data: translationService.configManager.exportQuickRepliesJSON(accountId),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Export quick replies error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 导入快捷回复（JSON）
+  ipcMain.handle('translation:importQuickReplies', async (event, accountId, json, options = {}) => {
+    try {
+      if (typeof json !== 'string' || json.trim() === '') {
+        throw new Error('JSON content is required');
+      }
+
+      const result = translationService.configManager.importQuickRepliesJSON(accountId || null, json, options);
+      console.log(`[IPC] Imported ${result.imported} quick replies for ${accountId || 'global'}`);
+      return {
+        success: true,
+        data: result,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Import quick replies error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取回复建议规则（附带各规则的命中统计）
+  ipcMain.handle('translation:getSuggestionRules', async (event, accountId) => {
+    try {
+      return {
+        success: true,
+        data: {
+          rules: translationService.configManager.getSuggestionRules(accountId),
+          hits: translationService.statsManager.getSuggestionStats(accountId)
+        },
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get suggestion rules error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 保存回复建议规则
+  ipcMain.handle('translation:saveSuggestionRules', async (event, accountId, rules) => {
+    try {
+      const saved = translationService.configManager.saveSuggestionRules(accountId, rules);
+      console.log(`[IPC] Suggestion rules saved for ${accountId}: ${saved.length} rules`);
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Save suggestion rules error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 匹配收到的消息对应的回复建议（记录规则命中）
+  ipcMain.handle('translation:matchReplySuggestions', async (event, accountId, message) => {
+    try {
+      return {
+        success: true,
+        data: translationService.matchReplySuggestions(accountId, message),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Match reply suggestions error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 记录回复建议被采用
+  ipcMain.handle('translation:recordSuggestionUse', async (event, accountId, ruleId) => {
+    try {
+      translationService.statsManager.recordSuggestionUse(accountId, ruleId);
+      return {
+        success: true,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Record suggestion use error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取路由配置（accountId 为空时为全局配置；账号未单独配置时 data 为 null）
+  ipcMain.handle('translation:getRouting', async (event, accountId = null) => {
+    try {
+      const routing = translationService.configManager.getRouting(accountId);
+      return {
+        success: true,
+        data: routing,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get routing error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 保存路由配置（账号传 null 配置表示恢复使用全局配置）
+  ipcMain.handle('translation:saveRouting', async (event, accountId, routing) => {
+    try {
+      const saved = translationService.configManager.saveRouting(accountId || null, routing);
+      console.log(`[IPC] Routing saved for ${accountId || 'global'}: ${saved ? saved.rules.length : 0} rules`);
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Save routing error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取费用汇总（按账号、引擎和日期）
+  ipcMain.handle('translation:getCostStats', async (event, month) => {
+    try {
+      return {
+        success: true,
+        data: translationService.getCostStats(month || undefined)
+      };
+    } catch (error) {
+      console.error('[IPC] Get cost stats error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 导出每日费用明细（CSV）
+  ipcMain.handle('translation:exportCostReport', async (event, month = null) => {
+    try {
+      return {
+        success: true,
+        data: translationService.exportCostReport(month)
+      };
+    } catch (error) {
+      console.error('[IPC] Export cost report error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 获取引擎价格表
+  ipcMain.handle('translation:getPricing', async () => {
+    try {
+      return {
+        success: true,
+        data: translationService.configManager.getPricing()
+      };
+    } catch (error) {
+      console.error('[IPC] Get pricing error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 保存引擎价格表
+  ipcMain.handle('translation:savePricing', async (event, pricing) => {
+    try {
+      const saved = translationService.configManager.savePricing(pricing);
+      console.log('[IPC] Pricing saved');
+      return {
+        success: true,
+        data: saved
+      };
+    } catch (error) {
+      console.error('[IPC] Save pricing error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 获取账号月度预算及本月已用费用
+  ipcMain.handle('translation:getBudget', async (event, accountId) => {
+    try {
+      return {
+        success: true,
+        data: {
+          budget: translationService.configManager.getBudget(accountId),
+          spent: translationService.statsManager.getAccountMonthlyCost(accountId),
+          currency: translationService.configManager.getPricing().currency
+        },
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get budget error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 保存账号月度预算（传 null 或上限为 0 表示取消预算）
+  ipcMain.handle('translation:saveBudget', async (event, accountId, budget) => {
+    try {
+      const saved = translationService.configManager.saveBudget(accountId, budget);
+      console.log(`[IPC] Budget saved for ${accountId}:`, saved);
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Save budget error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取翻译记忆库设置
+  ipcMain.handle('translation:getMemoryConfig', async () => {
+    try {
+      return {
+        success: true,
+        data: translationService.configManager.getMemoryConfig()
+      };
+    } catch (error) {
+      console.error('[IPC] Get memory config error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 保存翻译记忆库设置
+  ipcMain.handle('translation:saveMemoryConfig', async (event, config) => {
+    try {
+      return {
+        success: true,
+        data: translationService.configManager.saveMemoryConfig(config)
+      };
+    } catch (error) {
+      console.error('[IPC] Save memory config error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 搜索翻译记忆（accountId 为空时为共享条目）
+  ipcMain.handle('translation:searchMemory', async (event, accountId, query = '', options = {}) => {
+    try {
+      return {
+        success: true,
+        data: translationService.memoryManager.search(query, { ...options, accountId: accountId || null }),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Search memory error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 添加或更新翻译记忆
+  ipcMain.handle('translation:addMemorySegment', async (event, accountId, segment) => {
+    try {
+      const saved = translationService.memoryManager.addSegment({
+        ...segment,
+        accountId: accountId || null,
+        origin: 'manual'
+      });
+      translationService.memoryManager.saveSegments();
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Add memory segment error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 删除翻译记忆
+  ipcMain.handle('translation:removeMemorySegment', async (event, id) => {
+    try {
+      const removed = translationService.memoryManager.removeSegment(id);
+      if (!removed) {
+        throw new Error('Memory segment not found');
+      }
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('[IPC] Remove memory segment error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 导出翻译记忆（TMX）
+  ipcMain.handle('translation:exportMemory', async (event, accountId = null) => {
+    try {
+      return {
+        success: true,
+        data: translationService.memoryManager.exportTMX({ accountId: accountId || null }),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Export memory error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 导入翻译记忆（TMX）
+  ipcMain.handle('translation:importMemory', async (event, accountId, xml) => {
+    try {
+      if (typeof xml !== 'string' || xml.trim() === '') {
+        throw new Error('TMX content is required');
+      }
+
+      const result = translationService.memoryManager.importTMX(xml, accountId || null);
+      console.log(`[IPC] Imported ${result.imported} translation memory segments for ${accountId || 'shared'}`);
+      return {
+        success: true,
+        data: result,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Import memory error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取客户资料
+  ipcMain.handle('translation:getContactProfile', async (event, accountId, contactId) => {
+    try {
+      return {
+        success: true,
+        data: translationService.contactProfileManager.getProfile(accountId, contactId),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get contact profile error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 保存客户资料
+  ipcMain.handle('translation:saveContactProfile', async (event, accountId, contactId, profile) => {
+    try {
+      const saved = translationService.contactProfileManager.saveProfile(accountId, contactId, profile);
+      console.log(`[IPC] Contact profile saved for ${accountId}/${contactId}`);
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Save contact profile error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 删除客户资料
+  ipcMain.handle('translation:deleteContactProfile', async (event, accountId, contactId) => {
+    try {
+      return {
+        success: true,
+        data: translationService.contactProfileManager.deleteProfile(accountId, contactId),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Delete contact profile error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 添加客户备注
+  ipcMain.handle('translation:addContactNote', async (event, accountId, contactId, text) => {
+    try {
+      return {
+        success: true,
+        data: translationService.contactProfileManager.addNote(accountId, contactId, text),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Add contact note error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 删除客户备注
+  ipcMain.handle('translation:removeContactNote', async (event, accountId, contactId, noteId) => {
+    try {
+      const profile = translationService.contactProfileManager.removeNote(accountId, contactId, noteId);
+      if (!profile) {
+        throw new Error('Note not found');
+      }
+      return {
+        success: true,
+        data: profile,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Remove contact note error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 记录打开的联系人并检查是否正在其他账号中跟进
+  ipcMain.handle('translation:checkDuplicateContact', async (event, accountId, contactId) => {
+    try {
+      if (!accountId || !contactId) {
+        throw new Error('Account ID and contact ID are required');
+      }
+
+      return {
+        success: true,
+        data: await translationService.checkDuplicateContact(accountId, contactId),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Check duplicate contact error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取重复客户报表
+  ipcMain.handle('translation:getDuplicateReport', async (event) => {
+    try {
+      return {
+        success: true,
+        data: await translationService.getDuplicateReport()
+      };
+    } catch (error) {
+      console.error('[IPC] Get duplicate report error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 导出重复客户报表（CSV）
+  ipcMain.handle('translation:exportDuplicateReport', async (event) => {
+    try {
+      return {
+        success: true,
+        data: await translationService.exportDuplicateReport()
+      };
+    } catch (error) {
+      console.error('[IPC] Export duplicate report error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 搜索客户资料
+  ipcMain.handle('translation:searchContactProfiles', async (event, query = '', options = {}) => {
+    try {
+      return {
+        success: true,
+        data: translationService.contactProfileManager.search(query, options)
+      };
+    } catch (error) {
+      console.error('[IPC] Search contact profiles error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 导出客户资料（CSV 或 JSON）
+  ipcMain.handle('translation:exportContactProfiles', async (event, options = {}) => {
+    try {
+      return {
+        success: true,
+        data: translationService.contactProfileManager.exportProfiles(options)
+      };
+    } catch (error) {
+      console.error('[IPC] Export contact profiles error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 获取账号的联系人标签定义和分配
+  ipcMain.handle('translation:getContactTags', async (event, accountId) => {
+    try {
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      return {
+        success: true,
+        data: translationService.contactTagManager.getTags(accountId),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get contact tags error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 创建或更新标签
+  ipcMain.handle('translation:saveContactTag', async (event, accountId, tag) => {
+    try {
+      const saved = translationService.contactTagManager.saveTag(accountId, tag);
+      notifyTagsChanged(event.sender, accountId);
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Save contact tag error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 删除标签
+  ipcMain.handle('translation:deleteContactTag', async (event, accountId, tagId) => {
+    try {
+      const deleted = translationService.contactTagManager.deleteTag(accountId, tagId);
+      notifyTagsChanged(event.sender, accountId);
+      return {
+        success: true,
+        data: deleted,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Delete contact tag error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 设置联系人的标签
+  ipcMain.handle('translation:setContactTags', async (event, accountId, contactId, tagIds) => {
+    try {
+      const saved = translationService.contactTagManager.setContactTags(accountId, contactId, tagIds);
+      notifyTagsChanged(event.sender, accountId);
+      return {
+        success: true,
+        data: saved,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Set contact tags error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取标签使用统计
+  ipcMain.handle('translation:getTagStats', async (event, accountId) => {
+    try {
+      return {
+        success: true,
+        data: translationService.contactTagManager.getTagStats(accountId),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get tag stats error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 获取敏感词策略规则
+  ipcMain.handle('translation:getPolicyRules', async (event) => {
+    try {
+      return {
+        success: true,
+        data: translationService.configManager.getPolicyRules()
+      };
+    } catch (error) {
+      console.error('[IPC] Get policy rules error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 保存敏感词策略规则（通知所有账号的视图重新加载）
+  ipcMain.handle('translation:savePolicyRules', async (event, rules) => {
+    try {
+      const saved = translationService.configManager.savePolicyRules(rules);
+      notifyPolicyChanged(event.sender);
+      return {
+        success: true,
+        data: saved
+      };
+    } catch (error) {
+      console.error('[IPC] Save policy rules error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 记录发送消息触发的策略规则
+  ipcMain.handle('translation:logPolicyEvent', async (event, accountId, policyEvent) => {
+    try {
+      return {
+        success: true,
+        data: translationService.policyEventManager.logEvent(accountId, policyEvent),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Log policy event error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 查询策略事件
+  ipcMain.handle('translation:getPolicyEvents', async (event, filter = {}) => {
+    try {
+      return {
+        success: true,
+        data: await translationService.getPolicyEvents(filter)
+      };
+    } catch (error) {
+      console.error('[IPC] Get policy events error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 导出策略事件（CSV）
+  ipcMain.handle('translation:exportPolicyEvents', async (event, filter = {}) => {
+    try {
+      return {
+        success: true,
+        data: await translationService.exportPolicyEvents(filter)
+      };
+    } catch (error) {
+      console.error('[IPC] Export policy events error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 清除策略事件
+  ipcMain.handle('translation:clearPolicyEvents', async (event, accountId) => {
+    try {
+      translationService.policyEventManager.clear(accountId);
+      return {
+        success: true,
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Clear policy events error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 归档聊天消息
+  ipcMain.handle('translation:archiveMessages', async (event, accountId, records) => {
+    try {
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      return {
+        success: true,
+        data: translationService.archiveMessages(accountId, records),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Archive messages error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 搜索归档消息（可跨账号）
+  ipcMain.handle('translation:searchArchive', async (event, query = '', options = {}) => {
+    try {
+      return {
+        success: true,
+        data: await translationService.searchArchive(query, options)
+      };
+    } catch (error) {
+      console.error('[IPC] Search archive error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 删除匹配条件的归档消息
+  ipcMain.handle('translation:deleteArchive', async (event, filter = {}) => {
+    try {
+      return {
+        success: true,
+        data: translationService.archiveManager.deleteMessages(filter)
+      };
+    } catch (error) {
+      console.error('[IPC] Delete archive error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 导出聊天记录（HTML / CSV / JSON）
+  ipcMain.handle('translation:exportTranscript', async (event, options = {}) => {
+    try {
+      return {
+        success: true,
+        data: await translationService.exportTranscript(options)
+      };
+    } catch (error) {
+      console.error('[IPC] Export transcript error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 获取聊天记录归档设置
+  ipcMain.handle('translation:getArchiveConfig', async () => {
+    try {
+      return {
+        success: true,
+        data: translationService.configManager.getArchiveConfig()
+      };
+    } catch (error) {
+      console.error('[IPC] Get archive config error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 保存聊天记录归档设置（缩短保留期限时立即清理）
+  ipcMain.handle('translation:saveArchiveConfig', async (event, config) => {
+    try {
+      const saved = translationService.configManager.saveArchiveConfig(config);
+      translationService.purgeArchive();
+      return {
+        success: true,
+        data: saved
+      };
+    } catch (error) {
+      console.error('[IPC] Save archive config error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 获取翻译请求代理设置和账号当前使用的代理
+  ipcMain.handle('translation:getProxyConfig', async (event, accountId) => {
+    try {
+      return {
+        success: true,
+        data: await translationService.getProxySettings(accountId),
+        accountId
+      };
+    } catch (error) {
+      console.error('[IPC] Get proxy config error:', error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  // 保存翻译请求代理设置
+  ipcMain.handle('translation:saveProxyConfig', async (event, config) => {
+    try {
+      return {
+        success: true,
+        data: translationService.saveProxySettings(config)
+      };
+    } catch (error) {
+      console.error('[IPC] Save proxy config error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 隐私保护：清除翻译历史
+  ipcMain.handle('translation:clearHistory', async (event) => {
+    try {
+      await translationService.clearTranslationHistory();
+      return {
+        success: true,
+        message: 'Translation history cleared successfully'
+      };
+    } catch (error) {
+      console.error('[IPC] Clear history error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 隐私保护：清除用户数据
+  ipcMain.handle('translation:clearUserData', async (event) => {
+    try {
+      await translationService.clearAllUserData();
+      return {
+        success: true,
+        message: 'User data cleared successfully'
+      };
+    } catch (error) {
+      console.error('[IPC] Clear user data error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 隐私保护：清除所有数据
+  ipcMain.handle('translation:clearAllData', async (event) => {
+    try {
+      await translationService.clearAllData();
+      return {
+        success: true,
+        message: 'All data cleared successfully'
+      };
+    } catch (error) {
+      console.error('[IPC] Clear all data error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 隐私保护：获取隐私报告
+  ipcMain.handle('translation:getPrivacyReport', async (event) => {
+    try {
+      const report = translationService.getPrivacyReport();
+      return {
+        success: true,
+        data: report
+      };
+    } catch (error) {
+      console.error('[IPC] Get privacy report error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  });
+
+  // 获取账号的翻译统计
+  ipcMain.handle('translation:getAccountStats', async (event, accountId) => {
+    try {
+      if (!accountId) {
+        throw new Error('Account ID is required to get translation stats');
+      }
+      
+      // Get overall stats (could be extended to track per-account stats)
+      const stats = translationService.getStats();
+      
+      return {
+        success: true,
+        data: stats,
+        accountId
+      };
+    } catch (error) {
+      console.error(`[IPC] Get account stats error for account ${accountId}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        accountId
+      };
+    }
+  });
+
+  console.log('[IPC] Translation handlers registered');
+}
+
+/**
+ * 注销所有 IPC 处理器
+ */
+function unregisterIPCHandlers() {
+  ipcMain.removeHandler('translation:translate');
+  ipcMain.removeHandler('translation:translateBatch');
+  ipcMain.removeHandler('translation:cancel');
+  ipcMain.removeHandler('translation:detectLanguage');
+  ipcMain.removeHandler('translation:getConfig');
+  ipcMain.removeHandler('translation:saveConfig');
+  ipcMain.removeHandler('translation:getStats');
+  ipcMain.removeHandler('translation:clearCache');
+  ipcMain.removeHandler('translation:saveEngineConfig');
+  ipcMain.removeHandler('translation:getEngineConfig');
+  ipcMain.removeHandler('translation:checkEngineHealth');
+  ipcMain.removeHandler('translation:getEngineLanguages');
+  ipcMain.removeHandler('translation:getGlossary');
+  ipcMain.removeHandler('translation:saveGlossary');
+  ipcMain.removeHandler('translation:exportGlossary');
+  ipcMain.removeHandler('translation:importGlossary');
+  ipcMain.removeHandler('translation:getQuickReplies');
+  ipcMain.removeHandler('translation:saveQuickReplies');
+  ipcMain.removeHandler('translation:exportQuickReplies');
+  ipcMain.removeHandler('translation:importQuickReplies');
+  ipcMain.removeHandler('translation:getSuggestionRules');
+  ipcMain.removeHandler('translation:saveSuggestionRules');
+  ipcMain.removeHandler('translation:matchReplySuggestions');
+  ipcMain.removeHandler('translation:recordSuggestionUse');
+  ipcMain.removeHandler('translation:getRouting');
+  ipcMain.removeHandler('translation:saveRouting');
+  ipcMain.removeHandler('translation:getCostStats');
+  ipcMain.removeHandler('translation:exportCostReport');
+  ipcMain.removeHandler('translation:getPricing');
+  ipcMain.removeHandler('translation:savePricing');
+  ipcMain.removeHandler('translation:getBudget');
+  ipcMain.removeHandler('translation:saveBudget');
+  ipcMain.removeHandler('translation:getMemoryConfig');
+  ipcMain.removeHandler('translation:saveMemoryConfig');
+  ipcMain.removeHandler('translation:searchMemory');
+  ipcMain.removeHandler('translation:addMemorySegment');
+  ipcMain.removeHandler('translation:removeMemorySegment');
+  ipcMain.removeHandler('translation:exportMemory');
+  ipcMain.removeHandler('translation:importMemory');
+  ipcMain.removeHandler('translation:getContactProfile');
+  ipcMain.removeHandler('translation:saveContactProfile');
+  ipcMain.removeHandler('translation:deleteContactProfile');
+  ipcMain.removeHandler('translation:addContactNote');
+  ipcMain.removeHandler('translation:removeContactNote');
+  ipcMain.removeHandler('translation:searchContactProfiles');
+  ipcMain.removeHandler('translation:checkDuplicateContact');
+  ipcMain.removeHandler('translation:getDuplicateReport');
+  ipcMain.removeHandler('translation:exportDuplicateReport');
+  ipcMain.removeHandler('translation:exportContactProfiles');
+  ipcMain.removeHandler('translation:getContactTags');
+  ipcMain.removeHandler('translation:saveContactTag');
+  ipcMain.removeHandler('translation:deleteContactTag');
+  ipcMain.removeHandler('translation:setContactTags');
+  ipcMain.removeHandler('translation:getTagStats');
+  ipcMain.removeHandler('translation:getPolicyRules');
+  ipcMain.removeHandler('translation:savePolicyRules');
+  ipcMain.removeHandler('translation:logPolicyEvent');
+  ipcMain.removeHandler('translation:getPolicyEvents');
+  ipcMain.removeHandler('translation:exportPolicyEvents');
+  ipcMain.removeHandler('translation:clearPolicyEvents');
+  ipcMain.removeHandler('translation:archiveMessages');
+  ipcMain.removeHandler('translation:searchArchive');
+  ipcMain.removeHandler('translation:deleteArchive');
+  ipcMain.removeHandler('translation:exportTranscript');
+  ipcMain.removeHandler('translation:getArchiveConfig');
+  ipcMain.removeHandler('translation:saveArchiveConfig');
+  ipcMain.removeHandler('translation:getProxyConfig');
+  ipcMain.removeHandler('translation:saveProxyConfig');
+  ipcMain.removeHandler('translation:clearHistory');
+  ipcMain.removeHandler('translation:clearUserData');
+  ipcMain.removeHandler('translation:clearAllData');
+  ipcMain.removeHandler('translation:getPrivacyReport');
+  ipcMain.removeHandler('translation:getAccountStats');
+
+  // 中止所有进行中的流式翻译
+  for (const abortController of activeStreams.values()) {
+    abortController.abort();
+  }
+  activeStreams.clear();
   
   console.log('[IPC] Translation handlers unregistered');
 }
@@ -0,0 +1,299 @@
+/**
+ * 聊天记录归档管理器
+ * 按账号把 contentScript 看到的消息（原文、译文、发送者、时间）保存到本地，支持跨账号全文搜索
+ * 每个账号一个文件：userData/chat-archive/<accountId>.json，首次访问时加载
+ * 新归档的消息延迟合并写入，删除和清除立即写入
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const {
+  normalizeArchiveRecord,
+  matchesArchiveRecord,
+  splitSearchTerms
+} = require('../utils/archiveUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ChatArchiveManager {
+  constructor(options = {}) {
+    this.saveDelay = options.saveDelay || 2000;
+
+    try {
+      this.archiveDir = path.join(app.getPath('userData'), 'chat-archive');
+    } catch (error) {
+      console.warn('[ChatArchiveManager] Could not get userData path:', error.message);
+      this.archiveDir = null;
+    }
+
+    // { accountId: Map<messageId, record> }
+    this.accounts = new Map();
+    // 磁盘上有归档文件的账号ID（首次列出时扫描目录，之后随保存和删除更新）
+    this.archivedAccountIds = null;
+    // 等待延迟写入的账号ID
+    this.pendingSaves = new Set();
+    this.saveTimer = null;
+  }
+
+  /**
+   * 获取账号归档文件路径
+   * @param {string} accountId - 账号ID
+   * @returns {string|null} 文件路径
+   */
+  getArchiveFile(accountId) {
+    if (!this.archiveDir) return null;
+    return path.join(this.archiveDir, `${String(accountId).replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  /**
+   * 列出有归档记录的账号
+   * @returns {string[]} 账号ID列表
+   */
+  listAccountIds() {
+    return Array.from(new Set([...this.accounts.keys(), ...this.getArchivedAccountIds()]));
+  }
+
+  /**
+   * 获取磁盘上有归档文件的账号ID
+   * 文件名经过转义无法还原账号ID，只在首次调用时读取各文件，之后使用内存索引
+   * @returns {Set<string>} 账号ID集合
+   */
+  getArchivedAccountIds() {
+    if (this.archivedAccountIds) {
+      return this.archivedAccountIds;
+    }
+
+    const ids = new Set();
+    if (this.archiveDir && fs.existsSync(this.archiveDir)) {
+      try {
+        fs.readdirSync(this.archiveDir)
+          .filter(file => file.endsWith('.json'))
+          .forEach(file => {
+            try {
+              const data = JSON.parse(fs.readFileSync(path.join(this.archiveDir, file), 'utf8'));
+              if (data.accountId) ids.add(data.accountId);
+            } catch (error) {
+              console.error(`[ChatArchiveManager] Failed to read ${file}:`, error);
+            }
+          });
+      } catch (error) {
+        console.error('[ChatArchiveManager] Failed to list archive files:', error);
+      }
+    }
+
+    this.archivedAccountIds = ids;
+    return ids;
+  }
+
+  /**
+   * 加载账号归档（已加载时直接返回）
+   * @param {string} accountId - 账号ID
+   * @returns {Map<string, Object>} 消息ID → 归档消息
+   */
+  loadAccount(accountId) {
+    if (this.accounts.has(accountId)) {
+      return this.accounts.get(accountId);
+    }
+
+    const messages = new Map();
+    const file = this.getArchiveFile(accountId);
+    try {
+      if (file && fs.existsSync(file)) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        (Array.isArray(data.messages) ? data.messages : []).forEach(record => {
+          messages.set(record.id, record);
+        });
+      }
+    } catch (error) {
+      console.error(`[ChatArchiveManager] Failed to load archive for ${accountId}:`, error);
+    }
+
+    this.accounts.set(accountId, messages);
+    return messages;
+  }
+
+  /**
+   * 保存账号归档（没有消息时删除文件）
+   * @param {string} accountId - 账号ID
+   */
+  saveAccount(accountId) {
+    this.pendingSaves.delete(accountId);
+    const file = this.getArchiveFile(accountId);
+    if (!file) return;
+
+    try {
+      const messages = this.accounts.get(accountId);
+      if (!messages || messages.size === 0) {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+        if (this.archivedAccountIds) this.archivedAccountIds.delete(accountId);
+        return;
+      }
+
+      fs.mkdirSync(this.archiveDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        version: 1,
+        accountId,
+        messages: Array.from(messages.values())
+      }));
+      if (this.archivedAccountIds) this.archivedAccountIds.add(accountId);
+    } catch (error) {
+      console.error(`[ChatArchiveManager] Failed to save archive for ${accountId}:`, error);
+    }
+  }
+
+  /**
+   * 延迟保存（消息持续到达时合并为一次磁盘写入）
+   * @param {string} accountId - 账号ID
+   */
+  scheduleSave(accountId) {
+    if (!this.archiveDir) return;
+
+    this.pendingSaves.add(accountId);
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    if (typeof this.saveTimer.unref === 'function') {
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * 立即写入所有等待保存的账号归档
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    Array.from(this.pendingSaves).forEach(accountId => this.saveAccount(accountId));
+  }
+
+  /**
+   * 归档消息（同一消息再次出现时合并，已有的译文不会被空译文覆盖）
+   * @param {string} accountId - 账号ID
+   * @param {Array<Object>} records - 消息列表
+   * @returns {number} 新增或更新的消息数
+   */
+  addMessages(accountId, records) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+
+    const messages = this.loadAccount(accountId);
+    let changed = 0;
+
+    (Array.isArray(records) ? records : []).forEach(raw => {
+      const record = normalizeArchiveRecord(raw);
+      if (!record) return;
+
+      const existing = messages.get(record.id);
+      if (existing) {
+        if (!record.translation || record.translation === existing.translation) return;
+        messages.set(record.id, {
+          ...existing,
+          translation: record.translation,
+          sourceLang: record.sourceLang || existing.sourceLang,
+          targetLang: record.targetLang || existing.targetLang
+        });
+      } else {
+        messages.set(record.id, { ...record, archivedAt: Date.now() });
+      }
+      changed++;
+    });
+
+    if (changed > 0) {
+      this.scheduleSave(accountId);
+    }
+    return changed;
+  }
+
+  /**
+   * 搜索归档消息
+   * @param {string} query - 关键词（空格分隔，需全部匹配原文、译文或发送者）
+   * @param {Object} options - { accountId, contactId, from, to, language, direction, limit, offset }
+   * @returns {{messages: Array<Object>, total: number}} 按时间倒序的消息（含 accountId）及匹配总数
+   */
+  search(query = '', options = {}) {
+    const terms = splitSearchTerms(query);
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+    const accountIds = options.accountId ? [options.accountId] : this.listAccountIds();
+
+    const matched = accountIds.flatMap(accountId => Array.from(this.loadAccount(accountId).values())
+      .filter(record => matchesArchiveRecord(record, terms, options))
+      .map(record => ({ ...record, accountId })));
+
+    return {
+      messages: matched.sort((a, b) => b.timestamp - a.timestamp).slice(offset, offset + limit),
+      total: matched.length
+    };
+  }
+
+  /**
+   * 删除匹配条件的归档消息
+   * @param {Object} filter - { accountId, contactId, from, to, language, direction, query }
+   * @returns {number} 删除的消息数
+   */
+  deleteMessages(filter = {}) {
+    const terms = splitSearchTerms(filter.query);
+    const accountIds = filter.accountId ? [filter.accountId] : this.listAccountIds();
+    let removed = 0;
+
+    accountIds.forEach(accountId => {
+      const messages = this.loadAccount(accountId);
+      const before = messages.size;
+      messages.forEach((record, id) => {
+        if (matchesArchiveRecord(record, terms, filter)) {
+          messages.delete(id);
+        }
+      });
+
+      if (messages.size !== before) {
+        removed += before - messages.size;
+        this.saveAccount(accountId);
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * 清理超过保留期限的消息
+   * @param {number} retentionDays - 保留天数
+   * @param {number} [now] - 当前时间
+   * @returns {number} 删除的消息数
+   */
+  purgeExpired(retentionDays, now = Date.now()) {
+    if (!Number.isFinite(retentionDays) || retentionDays <= 0) {
+      return 0;
+    }
+    return this.deleteMessages({ to: now - retentionDays * DAY_MS });
+  }
+
+  /**
+   * 获取归档统计
+   * @returns {{accounts: number, messages: number}}
+   */
+  getStats() {
+    const accountIds = this.listAccountIds();
+    return {
+      accounts: accountIds.length,
+      messages: accountIds.reduce((sum, accountId) => sum + this.loadAccount(accountId).size, 0)
+    };
+  }
+
+  /**
+   * 清除归档
+   * @param {string} [accountId] - 账号ID（为空时清除全部）
+   */
+  clear(accountId) {
+    const accountIds = accountId ? [accountId] : this.listAccountIds();
+    accountIds.forEach(id => {
+      this.accounts.set(id, new Map());
+      this.saveAccount(id);
+    });
+  }
+}
+
+module.exports = ChatArchiveManager;
@@ -5,6 +5,54 @@
 
 const Store = require('electron-store');
 const SecureStorage = require('../utils/SecureStorage');
+const {
+  createEmptyGlossary,
+  normalizeGlossary,
+  mergeGlossaries,
+  parseGlossaryCSV,
+  formatGlossaryCSV
+} = require('../utils/glossaryUtils');
+const {
+  createDefaultRouting,
+  normalizeRouting,
+  resolveRoute
+} = require('../utils/routingUtils');
+const {
+  createEmptyQuickReplies,
+  normalizeQuickReplies,
+  mergeQuickReplies,
+  formatQuickRepliesJSON,
+  parseQuickRepliesJSON
+} = require('../utils/quickReplyUtils');
+const {
+  validateSuggestionPattern,
+  normalizeSuggestionRules
+} = require('../utils/suggestionUtils');
+const { normalizePolicyRules } = require('../utils/policyUtils');
+const {
+  createDefaultPricing,
+  normalizePricing
+} = require('../utils/costUtils');
+
+// 翻译记忆库默认设置
+const DEFAULT_MEMORY_CONFIG = {
+  enabled: true,
+  autoSave: true, // 自动保存引擎译文
+  fuzzyReuse: false, // 相似条目直接替代引擎译文（关闭时只作为参考译文显示）
+  minSimilarity: 0.9 // 模糊匹配最低相似度
+};
+
+// 聊天记录归档默认设置
+const DEFAULT_ARCHIVE_CONFIG = {
+  enabled: true,
+  retentionDays: 30 // 保留天数
+};
+
+// 翻译请求代理默认设置
+const DEFAULT_PROXY_CONFIG = {
+  useAccountProxy: false, // 通过账号的代理发送翻译请求
+  profileId: '' // 全局翻译代理（代理配置库中的配置），为空时直连
+};
 
 class ConfigManager {
   constructor() {
@@ -17,6 +65,31 @@ class ConfigManager {
             type: 'google',
             enabled: true
           }
+        },
+        glossary: {
+          global: createEmptyGlossary(),
+          accounts: {}
+        },
+        routing: {
+          global: createDefaultRouting(),
+          accounts: {}
+        },
+        pricing: createDefaultPricing(),
+        budgets: {
+          accounts: {}
+        },
+        memory: { ...DEFAULT_MEMORY_CONFIG },
+        archive: { ...DEFAULT_ARCHIVE_CONFIG },
+        proxy: { ...DEFAULT_PROXY_CONFIG },
+        quickReplies: {
+          global: createEmptyQuickReplies(),
+          accounts: {}
+        },
+        suggestionRules: {
+          accounts: {}
+        },
+        outgoingPolicy: {
+          rules: []
         }
       }
     });
@@ -61,7 +134,8 @@ class ConfigManager {
         engine: 'google', // 聊天窗口翻译引擎（接收消息）
         sourceLang: 'auto',
         targetLang: 'zh-CN',
-        groupTranslation: false
+        groupTranslation: false,
+        streaming: false // AI 引擎流式显示译文
       },
       inputBox: {
         enabled: false,
@@ -75,7 +149,11 @@ class ConfigManager {
         realtime: false,
         reverseTranslation: false,
         voiceTranslation: false,
-        imageTranslation: false
+        imageTranslation: false,
+        contextAware: false, // AI 翻译携带对话上下文
+        contextMessages: 5, // 上下文消息条数
+        contextTokenBudget: 500, // 上下文 token 预算
+        contextInCacheKey: false // 上下文是否参与缓存键
       },
       friendConfigs: {}
     };
@@ -193,6 +271,390 @@ class ConfigManager {
     this.store.delete(`accounts.${accountId}.friendConfigs.${contactId}`);
   }
 
+  /**
+   * 获取术语表
+   * @param {string|null} accountId - 账号ID（为空时返回全局术语表）
+   * @returns {Object} 术语表 { terms, doNotTranslate }
+   */
+  getGlossary(accountId = null) {
+    const key = accountId ? `glossary.accounts.${accountId}` : 'glossary.global';
+    return normalizeGlossary(this.store.get(key));
+  }
+
+  /**
+   * 保存术语表
+   * @param {string|null} accountId - 账号ID（为空时保存全局术语表）
+   * @param {Object} glossary - 术语表
+   * @returns {Object} 规范化后保存的术语表
+   */
+  saveGlossary(accountId, glossary) {
+    const key = accountId ? `glossary.accounts.${accountId}` : 'glossary.global';
+    const normalized = normalizeGlossary(glossary);
+    this.store.set(key, normalized);
+    return normalized;
+  }
+
+  /**
+   * 获取账号实际生效的术语表（全局 + 账号，账号优先）
+   * @param {string|null} accountId - 账号ID
+   * @returns {Object} 合并后的术语表
+   */
+  getEffectiveGlossary(accountId = null) {
+    const globalGlossary = this.getGlossary(null);
+    return accountId ? mergeGlossaries(globalGlossary, this.getGlossary(accountId)) : globalGlossary;
+  }
+
+  /**
+   * 导出术语表为 CSV
+   * @param {string|null} accountId - 账号ID（为空时导出全局术语表）
+   * @returns {string} CSV 内容
+   */
+  exportGlossaryCSV(accountId = null) {
+    return formatGlossaryCSV(this.getGlossary(accountId));
+  }
+
+  /**
+   * 从 CSV 导入术语表
+   * @param {string|null} accountId - 账号ID（为空时导入全局术语表）
+   * @param {string} csv - CSV 内容
+   * @param {Object} options - 导入选项
+   * @param {boolean} options.replace - 是否替换现有术语表（默认合并）
+   * @returns {{glossary: Object, imported: number, errors: string[]}} 导入结果
+   */
+  importGlossaryCSV(accountId, csv, options = {}) {
+    const { glossary: imported, errors } = parseGlossaryCSV(csv);
+    const glossary = options.replace
+      ? imported
+      : mergeGlossaries(this.getGlossary(accountId), imported);
+
+    return {
+      glossary: this.saveGlossary(accountId, glossary),
+      imported: imported.terms.length + imported.doNotTranslate.length,
+      errors
+    };
+  }
+
+  /**
+   * 获取快捷回复库
+   * @param {string|null} accountId - 账号ID（为空时返回全局快捷回复）
+   * @returns {Object} 快捷回复库 { groups }
+   */
+  getQuickReplies(accountId = null) {
+    const key = accountId ? `quickReplies.accounts.${accountId}` : 'quickReplies.global';
+    return normalizeQuickReplies(this.store.get(key));
+  }
+
+  /**
+   * 保存快捷回复库
+   * @param {string|null} accountId - 账号ID（为空时保存全局快捷回复）
+   * @param {Object} library - 快捷回复库
+   * @returns {Object} 规范化后保存的快捷回复库
+   */
+  saveQuickReplies(accountId, library) {
+    const key = accountId ? `quickReplies.accounts.${accountId}` : 'quickReplies.global';
+    const normalized = normalizeQuickReplies(library);
+    this.store.set(key, normalized);
+    return normalized;
+  }
+
+  /**
+   * 获取账号可用的快捷回复（账号分组在前，全局分组在后）
+   * @param {string|null} accountId - 账号ID
+   * @returns {Object} { groups }，每个分组带 scope: 'account' | 'global'
+   */
+  getEffectiveQuickReplies(accountId = null) {
+    const accountGroups = accountId
+      ? this.getQuickReplies(accountId).groups.map(group => ({ ...group, scope: 'account' }))
+      : [];
+    const globalGroups = this.getQuickReplies(null).groups.map(group => ({ ...group, scope: 'global' }));
+
+    return {
+      groups: [...accountGroups, ...globalGroups].filter(group => group.replies.length > 0)
+    };
+  }
+
+  /**
+   * 导出快捷回复为 JSON
+   * @param {string|null} accountId - 账号ID（为空时导出全局快捷回复）
+   * @returns {string} JSON 内容
+   */
+  exportQuickRepliesJSON(accountId = null) {
+    return formatQuickRepliesJSON(this.getQuickReplies(accountId));
+  }
+
+  /**
+   * 从 JSON 导入快捷回复
+   * @param {string|null} accountId - 账号ID（为空时导入全局快捷回复）
+   * @param {string} json - JSON 内容
+   * @param {Object} options - 导入选项
+   * @param {boolean} options.replace - 是否替换现有快捷回复（默认合并）
+   * @returns {{quickReplies: Object, imported: number}} 导入结果
+   */
+  importQuickRepliesJSON(accountId, json, options = {}) {
+    const { library, imported } = parseQuickRepliesJSON(json);
+    const merged = options.replace
+      ? library
+      : mergeQuickReplies(this.getQuickReplies(accountId), library);
+
+    return {
+      quickReplies: this.saveQuickReplies(accountId, merged),
+      imported
+    };
+  }
+
+  /**
+   * 获取账号的回复建议规则
+   * @param {string} accountId - 账号ID
+   * @returns {Array<Object>} 规则列表（contactId 为空的规则对账号下所有聊天生效）
+   */
+  getSuggestionRules(accountId) {
+    if (!accountId) {
+      return [];
+    }
+    return normalizeSuggestionRules(this.store.get(`suggestionRules.accounts.${accountId}`));
+  }
+
+  /**
+   * 保存账号的回复建议规则
+   * @param {string} accountId - 账号ID
+   * @param {Array<Object>} rules - 规则列表
+   * @returns {Array<Object>} 规范化后保存的规则列表
+   */
+  saveSuggestionRules(accountId, rules) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+
+    (Array.isArray(rules) ? rules : []).forEach(rule => {
+      const error = validateSuggestionPattern(rule && rule.pattern, rule && rule.isRegex === true);
+      if (error) {
+        throw new Error(error);
+      }
+    });
+
+    const normalized = normalizeSuggestionRules(rules);
+    this.store.set(`suggestionRules.accounts.${accountId}`, normalized);
+    return normalized;
+  }
+
+  /**
+   * 获取发送消息合规策略规则（对所有账号生效）
+   * @returns {Array<Object>} 规则列表
+   */
+  getPolicyRules() {
+    return normalizePolicyRules(this.store.get('outgoingPolicy.rules'));
+  }
+
+  /**
+   * 保存发送消息合规策略规则
+   * @param {Array<Object>} rules - 规则列表
+   * @returns {Array<Object>} 规范化后保存的规则列表
+   */
+  savePolicyRules(rules) {
+    (Array.isArray(rules) ? rules : []).forEach(rule => {
+      const error = validateSuggestionPattern(rule && rule.pattern, rule && rule.isRegex === true);
+      if (error) {
+        throw new Error(error);
+      }
+    });
+
+    const normalized = normalizePolicyRules(rules);
+    this.store.set('outgoingPolicy.rules', normalized);
+    return normalized;
+  }
+
+  /**
+   * 获取路由配置（降级链和路由规则）
+   * @param {string|null} accountId - 账号ID（为空时返回全局路由配置）
+   * @returns {Object|null} 路由配置；账号未单独配置时返回 null
+   */
+  getRouting(accountId = null) {
+    if (!accountId) {
+      return normalizeRouting(this.store.get('routing.global'));
+    }
+
+    const routing = this.store.get(`routing.accounts.${accountId}`);
+    return routing ? normalizeRouting(routing) : null;
+  }
+
+  /**
+   * 保存路由配置
+   * @param {string|null} accountId - 账号ID（为空时保存全局路由配置）
+   * @param {Object|null} routing - 路由配置；账号传 null 表示恢复使用全局配置
+   * @returns {Object|null} 规范化后保存的路由配置
+   */
+  saveRouting(accountId, routing) {
+    if (accountId && !routing) {
+      this.store.delete(`routing.accounts.${accountId}`);
+      return null;
+    }
+
+    const key = accountId ? `routing.accounts.${accountId}` : 'routing.global';
+    const normalized = normalizeRouting(routing);
+    this.store.set(key, normalized);
+    return normalized;
+  }
+
+  /**
+   * 获取账号实际生效的路由配置（账号配置优先，否则使用全局配置）
+   * @param {string|null} accountId - 账号ID
+   * @returns {Object} 路由配置
+   */
+  getEffectiveRouting(accountId = null) {
+    return (accountId && this.getRouting(accountId)) || this.getRouting(null);
+  }
+
+  /**
+   * 计算请求的路由决策
+   * @param {string|null} accountId - 账号ID
+   * @param {Object} context - 请求信息 { sourceLang, targetLang, textLength, chatType, direction }
+   * @param {string} requestedEngine - 请求指定的引擎
+   * @returns {{engine: string, chain: string[], ruleId: string|null, ruleName: string|null}}
+   */
+  resolveRoute(accountId, context, requestedEngine) {
+    return resolveRoute(this.getEffectiveRouting(accountId), context, requestedEngine);
+  }
+
+  /**
+   * 获取引擎价格表
+   * @returns {Object} { currency, engines: { engineName: { inputPerMillion, outputPerMillion, perMillionChars } } }
+   */
+  getPricing() {
+    return normalizePricing(this.store.get('pricing'));
+  }
+
+  /**
+   * 保存引擎价格表
+   * @param {Object} pricing - 价格表
+   * @returns {Object} 规范化后保存的价格表
+   */
+  savePricing(pricing) {
+    const normalized = normalizePricing(pricing);
+    this.store.set('pricing', normalized);
+    return normalized;
+  }
+
+  /**
+   * 获取单个引擎的价格
+   * @param {string} engineName - 引擎名称
+   * @returns {Object} 引擎价格（未配置时全部为 0）
+   */
+  getEnginePrice(engineName) {
+    return this.getPricing().engines[engineName] || { inputPerMillion: 0, outputPerMillion: 0, perMillionChars: 0 };
+  }
+
+  /**
+   * 获取账号月度预算
+   * @param {string} accountId - 账号ID
+   * @returns {{monthlyLimit: number, fallbackEngine: string}|null} 未设置预算时返回 null
+   */
+  getBudget(accountId) {
+    if (!accountId) return null;
+    return this.store.get(`budgets.accounts.${accountId}`) || null;
+  }
+
+  /**
+   * 保存账号月度预算
+   * @param {string} accountId - 账号ID
+   * @param {Object|null} budget - { monthlyLimit, fallbackEngine }；传 null 或上限为 0 表示取消预算
+   * @returns {Object|null} 保存后的预算
+   */
+  saveBudget(accountId, budget) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+
+    const monthlyLimit = Number(budget && budget.monthlyLimit);
+    if (!Number.isFinite(monthlyLimit) || monthlyLimit <= 0) {
+      this.store.delete(`budgets.accounts.${accountId}`);
+      return null;
+    }
+
+    const saved = {
+      monthlyLimit,
+      fallbackEngine: (budget.fallbackEngine && String(budget.fallbackEngine).trim()) || 'google'
+    };
+    this.store.set(`budgets.accounts.${accountId}`, saved);
+    return saved;
+  }
+
+  /**
+   * 获取翻译记忆库设置
+   * @returns {{enabled: boolean, autoSave: boolean, fuzzyReuse: boolean, minSimilarity: number}}
+   */
+  getMemoryConfig() {
+    return { ...DEFAULT_MEMORY_CONFIG, ...(this.store.get('memory') || {}) };
+  }
+
+  /**
+   * 保存翻译记忆库设置
+   * @param {Object} config - { enabled, autoSave, fuzzyReuse, minSimilarity }
+   * @returns {Object} 保存后的设置（相似度限制在 0.5-1 之间）
+   */
+  saveMemoryConfig(config = {}) {
+    const current = this.getMemoryConfig();
+    const minSimilarity = Number(config.minSimilarity);
+    const saved = {
+      enabled: config.enabled !== undefined ? Boolean(config.enabled) : current.enabled,
+      autoSave: config.autoSave !== undefined ? Boolean(config.autoSave) : current.autoSave,
+      fuzzyReuse: config.fuzzyReuse !== undefined ? Boolean(config.fuzzyReuse) : current.fuzzyReuse,
+      minSimilarity: Number.isFinite(minSimilarity)
+        ? Math.min(1, Math.max(0.5, minSimilarity))
+        : current.minSimilarity
+    };
+    this.store.set('memory', saved);
+    return saved;
+  }
+
+  /**
+   * 获取聊天记录归档设置
+   * @returns {{enabled: boolean, retentionDays: number}}
+   */
+  getArchiveConfig() {
+    return { ...DEFAULT_ARCHIVE_CONFIG, ...(this.store.get('archive') || {}) };
+  }
+
+  /**
+   * 保存聊天记录归档设置
+   * @param {Object} config - { enabled, retentionDays }
+   * @returns {Object} 保存后的设置（保留天数限制在 1-3650 之间）
+   */
+  saveArchiveConfig(config = {}) {
+    const current = this.getArchiveConfig();
+    const retentionDays = Math.round(Number(config.retentionDays));
+    const saved = {
+      enabled: config.enabled !== undefined ? Boolean(config.enabled) : current.enabled,
+      retentionDays: Number.isFinite(retentionDays)
+        ? Math.min(3650, Math.max(1, retentionDays))
+        : current.retentionDays
+    };
+    this.store.set('archive', saved);
+    return saved;
+  }
+
+  /**
+   * 获取翻译请求代理设置
+   * @returns {{useAccountProxy: boolean, profileId: string}}
+   */
+  getProxyConfig() {
+    return { ...DEFAULT_PROXY_CONFIG, ...(this.store.get('proxy') || {}) };
+  }
+
+  /**
+   * 保存翻译请求代理设置
+   * @param {Object} config - { useAccountProxy, profileId }
+   * @returns {Object} 保存后的设置
+   */
+  saveProxyConfig(config = {}) {
+    const current = this.getProxyConfig();
+    const saved = {
+      useAccountProxy: config.useAccountProxy !== undefined ? Boolean(config.useAccountProxy) : current.useAccountProxy,
+      profileId: config.profileId !== undefined ? String(config.profileId || '').trim() : current.profileId
+    };
+    this.store.set('proxy', saved);
+    return saved;
+  }
+
   /**
    * 清除所有配置
    */
@@ -209,6 +671,17 @@ class ConfigManager {
     
     // 删除所有账号配置
     this.store.delete('accounts');
+
+    // 删除账号术语表（保留全局术语表）
+    this.store.set('glossary.accounts', {});
+
+    // 删除账号路由配置和预算
+    this.store.set('routing.accounts', {});
+    this.store.set('budgets.accounts', {});
+
+    // 删除账号快捷回复（保留全局快捷回复）和回复建议规则
+    this.store.set('quickReplies.accounts', {});
+    this.store.set('suggestionRules.accounts', {});
     
     console.log('[ConfigManager] User data cleared successfully');
   }
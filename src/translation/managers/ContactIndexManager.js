@@ -0,0 +1,136 @@
+/**
+ * 联系人号码索引管理器
+ * 记录各账号打开过的联系人（按 E.164 号码索引），用于发现多个账号同时跟进同一客户
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { formatCSV } = require('../../utils/csvUtils');
+
+const DUPLICATE_CSV_HEADER = ['phone', 'accountId', 'accountName', 'contactId', 'lastSeenAt'];
+
+class ContactIndexManager {
+  constructor() {
+    try {
+      this.indexFile = path.join(app.getPath('userData'), 'contact-index.json');
+    } catch (error) {
+      console.warn('[ContactIndexManager] Could not get userData path:', error.message);
+      this.indexFile = null;
+    }
+
+    // { phone: { accountId: { contactId, lastSeenAt } } }
+    this.phones = this.loadIndex();
+  }
+
+  /**
+   * 加载号码索引
+   * @returns {Object} 号码索引
+   */
+  loadIndex() {
+    if (!this.indexFile) {
+      return {};
+    }
+
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        const data = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+        return data.phones && typeof data.phones === 'object' ? data.phones : {};
+      }
+    } catch (error) {
+      console.error('[ContactIndexManager] Failed to load contact index:', error);
+    }
+
+    return {};
+  }
+
+  /**
+   * 保存号码索引
+   */
+  saveIndex() {
+    if (!this.indexFile) return;
+
+    try {
+      fs.writeFileSync(this.indexFile, JSON.stringify({ version: 1, phones: this.phones }));
+    } catch (error) {
+      console.error('[ContactIndexManager] Failed to save contact index:', error);
+    }
+  }
+
+  /**
+   * 记录账号与号码的联系
+   * @param {string} accountId - 账号ID
+   * @param {string} phone - E.164 号码
+   * @param {string} contactId - 联系人ID
+   * @param {number} [timestamp] - 联系时间，默认当前时间
+   */
+  recordContact(accountId, phone, contactId, timestamp = Date.now()) {
+    this.phones[phone] = this.phones[phone] || {};
+    this.phones[phone][accountId] = { contactId, lastSeenAt: timestamp };
+    this.saveIndex();
+  }
+
+  /**
+   * 查找其他账号中的同一号码
+   * @param {string} accountId - 当前账号ID
+   * @param {string} phone - E.164 号码
+   * @returns {Array<{accountId: string, contactId: string, lastSeenAt: number}>} 按最近联系时间倒序
+   */
+  findDuplicates(accountId, phone) {
+    return Object.entries(this.phones[phone] || {})
+      .filter(([id]) => id !== accountId)
+      .map(([id, entry]) => ({ accountId: id, ...entry }))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  }
+
+  /**
+   * 获取所有在两个及以上账号中出现的号码
+   * @returns {Array<{phone: string, accounts: Array<Object>, lastSeenAt: number}>} 按最近联系时间倒序
+   */
+  getDuplicateReport() {
+    return Object.keys(this.phones)
+      .map(phone => {
+        const accounts = this.findDuplicates(null, phone);
+        return { phone, accounts, lastSeenAt: accounts.length > 0 ? accounts[0].lastSeenAt : 0 };
+      })
+      .filter(item => item.accounts.length > 1)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  }
+
+  /**
+   * 导出重复客户报表为 CSV（每个号码的每个账号一行）
+   * @param {Array<Object>} report - getDuplicateReport 的结果（账号可带 accountName）
+   * @returns {string} CSV 内容
+   */
+  formatDuplicateCSV(report) {
+    const rows = report.flatMap(item => item.accounts.map(account => [
+      item.phone,
+      account.accountId,
+      account.accountName || '',
+      account.contactId,
+      new Date(account.lastSeenAt).toISOString()
+    ]));
+
+    return formatCSV([DUPLICATE_CSV_HEADER, ...rows]);
+  }
+
+  /**
+   * 清除号码索引
+   * @param {string} [accountId] - 账号ID（为空时清除全部）
+   */
+  clear(accountId) {
+    if (accountId) {
+      Object.keys(this.phones).forEach(phone => {
+        delete this.phones[phone][accountId];
+        if (Object.keys(this.phones[phone]).length === 0) {
+          delete this.phones[phone];
+        }
+      });
+    } else {
+      this.phones = {};
+    }
+    this.saveIndex();
+  }
+}
+
+module.exports = ContactIndexManager;
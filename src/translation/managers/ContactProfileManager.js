@@ -0,0 +1,241 @@
+/**
+ * 客户画像管理器
+ * 按账号 + 联系人ID（contentScript.getCurrentContactId 解析的 ID）保存客户资料和备注录
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const {
+  NOTE_MAX_LENGTH,
+  createNoteId,
+  normalizeContactProfile,
+  matchesProfile,
+  formatContactProfilesCSV
+} = require('../utils/contactProfileUtils');
+
+class ContactProfileManager {
+  constructor() {
+    try {
+      this.profilesFile = path.join(app.getPath('userData'), 'contact-profiles.json');
+    } catch (error) {
+      console.warn('[ContactProfileManager] Could not get userData path:', error.message);
+      this.profilesFile = null;
+    }
+
+    // { accountId: { contactId: profile } }
+    this.profiles = this.loadProfiles();
+  }
+
+  /**
+   * 加载客户资料
+   * @returns {Object} 客户资料
+   */
+  loadProfiles() {
+    if (!this.profilesFile) {
+      return {};
+    }
+
+    try {
+      if (fs.existsSync(this.profilesFile)) {
+        const data = JSON.parse(fs.readFileSync(this.profilesFile, 'utf8'));
+        return data.accounts && typeof data.accounts === 'object' ? data.accounts : {};
+      }
+    } catch (error) {
+      console.error('[ContactProfileManager] Failed to load contact profiles:', error);
+    }
+
+    return {};
+  }
+
+  /**
+   * 保存客户资料
+   */
+  saveProfiles() {
+    if (!this.profilesFile) return;
+
+    try {
+      fs.writeFileSync(this.profilesFile, JSON.stringify({ version: 1, accounts: this.profiles }, null, 2));
+    } catch (error) {
+      console.error('[ContactProfileManager] Failed to save contact profiles:', error);
+    }
+  }
+
+  /**
+   * 检查账号和联系人ID
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   */
+  validateKey(accountId, contactId) {
+    if (!accountId || !contactId) {
+      throw new Error('Account ID and contact ID are required');
+    }
+  }
+
+  /**
+   * 获取客户资料
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @returns {Object|null} 客户资料，不存在时返回 null
+   */
+  getProfile(accountId, contactId) {
+    const profile = this.profiles[accountId] && this.profiles[accountId][contactId];
+    return profile ? { ...profile, accountId, contactId } : null;
+  }
+
+  /**
+   * 保存客户资料（备注录只能通过 addNote / removeNote 修改）
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {Object} data - 客户资料字段
+   * @returns {Object} 保存后的客户资料
+   */
+  saveProfile(accountId, contactId, data) {
+    this.validateKey(accountId, contactId);
+
+    const existing = this.profiles[accountId] && this.profiles[accountId][contactId];
+    const now = Date.now();
+    const profile = {
+      ...normalizeContactProfile(data),
+      notes: existing ? existing.notes : [],
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.profiles[accountId] = this.profiles[accountId] || {};
+    this.profiles[accountId][contactId] = profile;
+    this.saveProfiles();
+
+    return { ...profile, accountId, contactId };
+  }
+
+  /**
+   * 删除客户资料
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @returns {boolean} 是否删除成功
+   */
+  deleteProfile(accountId, contactId) {
+    if (!this.profiles[accountId] || !this.profiles[accountId][contactId]) {
+      return false;
+    }
+
+    delete this.profiles[accountId][contactId];
+    if (Object.keys(this.profiles[accountId]).length === 0) {
+      delete this.profiles[accountId];
+    }
+    this.saveProfiles();
+    return true;
+  }
+
+  /**
+   * 添加备注（客户资料不存在时自动创建）
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {string} text - 备注内容
+   * @returns {Object} 更新后的客户资料
+   */
+  addNote(accountId, contactId, text) {
+    this.validateKey(accountId, contactId);
+
+    const content = typeof text === 'string' ? text.trim() : '';
+    if (!content) {
+      throw new Error('Note text is required');
+    }
+    if (content.length > NOTE_MAX_LENGTH) {
+      throw new Error(`Note must be at most ${NOTE_MAX_LENGTH} characters`);
+    }
+
+    if (!this.getProfile(accountId, contactId)) {
+      this.saveProfile(accountId, contactId, {});
+    }
+
+    const profile = this.profiles[accountId][contactId];
+    profile.notes.unshift({ id: createNoteId(), text: content, createdAt: Date.now() });
+    profile.updatedAt = Date.now();
+    this.saveProfiles();
+
+    return { ...profile, accountId, contactId };
+  }
+
+  /**
+   * 删除备注
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {string} noteId - 备注ID
+   * @returns {Object|null} 更新后的客户资料，备注不存在时返回 null
+   */
+  removeNote(accountId, contactId, noteId) {
+    const profile = this.profiles[accountId] && this.profiles[accountId][contactId];
+    const index = profile ? profile.notes.findIndex(note => note.id === noteId) : -1;
+    if (index === -1) {
+      return null;
+    }
+
+    profile.notes.splice(index, 1);
+    profile.updatedAt = Date.now();
+    this.saveProfiles();
+
+    return { ...profile, accountId, contactId };
+  }
+
+  /**
+   * 列出客户资料
+   * @param {string} [accountId] - 账号ID（为空时列出所有账号）
+   * @returns {Array<Object>} 客户资料列表（含 accountId、contactId）
+   */
+  listProfiles(accountId) {
+    const accountIds = accountId ? [accountId] : Object.keys(this.profiles);
+    return accountIds.flatMap(id => Object.entries(this.profiles[id] || {})
+      .map(([contactId, profile]) => ({ ...profile, accountId: id, contactId })));
+  }
+
+  /**
+   * 搜索客户资料
+   * @param {string} query - 关键词（匹配联系人ID、昵称、电话、公司、备注和标签）
+   * @param {Object} options - { accountId, tag, valueTier, salesStage, limit }
+   * @returns {{profiles: Array<Object>, total: number}} 按更新时间倒序的客户资料及匹配总数
+   */
+  search(query = '', options = {}) {
+    const keyword = String(query || '').trim().toLowerCase();
+    const limit = options.limit || 50;
+
+    const matched = this.listProfiles(options.accountId)
+      .filter(profile => matchesProfile(profile, keyword, options));
+
+    return {
+      profiles: matched.sort((a, b) => b.updatedAt - a.updatedAt).slice(0, limit),
+      total: matched.length
+    };
+  }
+
+  /**
+   * 导出客户资料
+   * @param {Object} options - { accountId, format: 'csv' | 'json' }
+   * @returns {string} 导出内容
+   */
+  exportProfiles(options = {}) {
+    const profiles = this.listProfiles(options.accountId)
+      .sort((a, b) => a.accountId.localeCompare(b.accountId) || a.contactId.localeCompare(b.contactId));
+
+    if (options.format === 'json') {
+      return JSON.stringify({ version: 1, profiles }, null, 2);
+    }
+    return formatContactProfilesCSV(profiles);
+  }
+
+  /**
+   * 清除客户资料
+   * @param {string} [accountId] - 账号ID（为空时清除全部）
+   */
+  clear(accountId) {
+    if (accountId) {
+      delete this.profiles[accountId];
+    } else {
+      this.profiles = {};
+    }
+    this.saveProfiles();
+  }
+}
+
+module.exports = ContactProfileManager;
@@ -0,0 +1,206 @@
+/**
+ * 联系人标签管理器
+ * 按账号保存彩色标签定义和联系人的标签分配，同一账号的所有视图共用主进程中的这份数据
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { normalizeTag } = require('../utils/tagUtils');
+
+class ContactTagManager {
+  constructor() {
+    try {
+      this.tagsFile = path.join(app.getPath('userData'), 'contact-tags.json');
+    } catch (error) {
+      console.warn('[ContactTagManager] Could not get userData path:', error.message);
+      this.tagsFile = null;
+    }
+
+    // { accountId: { tags: [{ id, name, color, createdAt }], contacts: { contactId: [tagId] } } }
+    this.accounts = this.loadTags();
+  }
+
+  /**
+   * 加载标签数据
+   * @returns {Object} 标签数据
+   */
+  loadTags() {
+    if (!this.tagsFile) {
+      return {};
+    }
+
+    try {
+      if (fs.existsSync(this.tagsFile)) {
+        const data = JSON.parse(fs.readFileSync(this.tagsFile, 'utf8'));
+        return data.accounts && typeof data.accounts === 'object' ? data.accounts : {};
+      }
+    } catch (error) {
+      console.error('[ContactTagManager] Failed to load contact tags:', error);
+    }
+
+    return {};
+  }
+
+  /**
+   * 保存标签数据
+   */
+  saveTags() {
+    if (!this.tagsFile) return;
+
+    try {
+      fs.writeFileSync(this.tagsFile, JSON.stringify({ version: 1, accounts: this.accounts }, null, 2));
+    } catch (error) {
+      console.error('[ContactTagManager] Failed to save contact tags:', error);
+    }
+  }
+
+  /**
+   * 获取账号的标签数据（不存在时创建）
+   * @param {string} accountId - 账号ID
+   * @returns {{tags: Array<Object>, contacts: Object}}
+   */
+  getAccount(accountId) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    this.accounts[accountId] = this.accounts[accountId] || { tags: [], contacts: {} };
+    return this.accounts[accountId];
+  }
+
+  /**
+   * 获取账号的标签定义和分配
+   * @param {string} accountId - 账号ID
+   * @returns {{tags: Array<Object>, assignments: Object}} assignments 为 { contactId: [tagId] }
+   */
+  getTags(accountId) {
+    const account = this.accounts[accountId] || { tags: [], contacts: {} };
+    return {
+      tags: account.tags.map(tag => ({ ...tag })),
+      assignments: JSON.parse(JSON.stringify(account.contacts))
+    };
+  }
+
+  /**
+   * 创建或更新标签（按 ID 匹配，名称在账号内不能重复）
+   * @param {string} accountId - 账号ID
+   * @param {Object} data - { id, name, color }
+   * @returns {Object} 保存后的标签
+   */
+  saveTag(accountId, data) {
+    const account = this.getAccount(accountId);
+    const index = data && data.id ? account.tags.findIndex(tag => tag.id === data.id) : -1;
+    const tag = normalizeTag(data, index === -1 ? account.tags.length : index);
+    if (!tag) {
+      throw new Error('Tag name is required');
+    }
+
+    const duplicate = account.tags.find(item => item.id !== tag.id && item.name.toLowerCase() === tag.name.toLowerCase());
+    if (duplicate) {
+      throw new Error(`Tag "${tag.name}" already exists`);
+    }
+
+    if (index === -1) {
+      account.tags.push({ ...tag, createdAt: Date.now() });
+    } else {
+      account.tags[index] = { ...account.tags[index], ...tag };
+    }
+    this.saveTags();
+
+    return { ...account.tags.find(item => item.id === tag.id) };
+  }
+
+  /**
+   * 删除标签（同时从所有联系人移除）
+   * @param {string} accountId - 账号ID
+   * @param {string} tagId - 标签ID
+   * @returns {boolean} 是否删除成功
+   */
+  deleteTag(accountId, tagId) {
+    const account = this.accounts[accountId];
+    const index = account ? account.tags.findIndex(tag => tag.id === tagId) : -1;
+    if (index === -1) {
+      return false;
+    }
+
+    account.tags.splice(index, 1);
+    Object.keys(account.contacts).forEach(contactId => {
+      this.assign(account, contactId, account.contacts[contactId].filter(id => id !== tagId));
+    });
+    this.saveTags();
+    return true;
+  }
+
+  /**
+   * 写入联系人的标签（没有标签时删除联系人条目）
+   * @param {Object} account - 账号标签数据
+   * @param {string} contactId - 联系人ID
+   * @param {string[]} tagIds - 标签ID列表
+   */
+  assign(account, contactId, tagIds) {
+    if (tagIds.length > 0) {
+      account.contacts[contactId] = tagIds;
+    } else {
+      delete account.contacts[contactId];
+    }
+  }
+
+  /**
+   * 设置联系人的标签（忽略不存在的标签）
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @param {string[]} tagIds - 标签ID列表
+   * @returns {string[]} 保存后的标签ID列表
+   */
+  setContactTags(accountId, contactId, tagIds) {
+    if (!contactId) {
+      throw new Error('Contact ID is required');
+    }
+
+    const account = this.getAccount(accountId);
+    const known = new Set(account.tags.map(tag => tag.id));
+    const saved = Array.from(new Set(Array.isArray(tagIds) ? tagIds : [])).filter(id => known.has(id));
+
+    this.assign(account, contactId, saved);
+    this.saveTags();
+    return saved;
+  }
+
+  /**
+   * 获取标签使用统计
+   * @param {string} [accountId] - 账号ID（为空时统计所有账号）
+   * @returns {Array<{accountId: string, id: string, name: string, color: string, count: number}>} 按使用次数倒序
+   */
+  getTagStats(accountId) {
+    const accountIds = accountId ? [accountId] : Object.keys(this.accounts);
+
+    return accountIds.flatMap(id => {
+      const account = this.accounts[id];
+      if (!account) return [];
+
+      const counts = {};
+      Object.values(account.contacts).forEach(tagIds => {
+        tagIds.forEach(tagId => {
+          counts[tagId] = (counts[tagId] || 0) + 1;
+        });
+      });
+
+      return account.tags.map(tag => ({ accountId: id, id: tag.id, name: tag.name, color: tag.color, count: counts[tag.id] || 0 }));
+    }).sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * 清除标签数据
+   * @param {string} [accountId] - 账号ID（为空时清除全部）
+   */
+  clear(accountId) {
+    if (accountId) {
+      delete this.accounts[accountId];
+    } else {
+      this.accounts = {};
+    }
+    this.saveTags();
+  }
+}
+
+module.exports = ContactTagManager;
@@ -0,0 +1,145 @@
+/**
+ * 合规策略事件日志管理器
+ * 记录发出的消息触发敏感词规则的事件（账号、联系人、时间、规则和处理结果），不保存消息正文
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { formatCSV } = require('../../utils/csvUtils');
+
+const MAX_EVENTS = 5000;
+const OUTCOMES = ['blocked', 'cancelled', 'sent'];
+
+class PolicyEventManager {
+  constructor() {
+    try {
+      this.eventsFile = path.join(app.getPath('userData'), 'policy-events.json');
+    } catch (error) {
+      console.warn('[PolicyEventManager] Could not get userData path:', error.message);
+      this.eventsFile = null;
+    }
+
+    // [{ id, accountId, contactId, ruleId, ruleName, action, outcome, timestamp }]，按时间正序
+    this.events = this.loadEvents();
+  }
+
+  /**
+   * 加载事件日志
+   * @returns {Array<Object>} 事件列表
+   */
+  loadEvents() {
+    if (!this.eventsFile) {
+      return [];
+    }
+
+    try {
+      if (fs.existsSync(this.eventsFile)) {
+        const data = JSON.parse(fs.readFileSync(this.eventsFile, 'utf8'));
+        return Array.isArray(data.events) ? data.events : [];
+      }
+    } catch (error) {
+      console.error('[PolicyEventManager] Failed to load policy events:', error);
+    }
+
+    return [];
+  }
+
+  /**
+   * 保存事件日志
+   */
+  saveEvents() {
+    if (!this.eventsFile) return;
+
+    try {
+      fs.writeFileSync(this.eventsFile, JSON.stringify({ version: 1, events: this.events }, null, 2));
+    } catch (error) {
+      console.error('[PolicyEventManager] Failed to save policy events:', error);
+    }
+  }
+
+  /**
+   * 记录一次发送触发的规则（每条命中的规则一条事件，超出上限时丢弃最早的事件）
+   * @param {string} accountId - 账号ID
+   * @param {Object} event - { contactId, rules: [{ id, name, action }], outcome: 'blocked' | 'cancelled' | 'sent', timestamp }
+   * @returns {Array<Object>} 新增的事件
+   */
+  logEvent(accountId, event = {}) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    if (!OUTCOMES.includes(event.outcome)) {
+      throw new Error(`Invalid policy outcome: ${event.outcome}`);
+    }
+
+    const timestamp = Number.isFinite(event.timestamp) ? event.timestamp : Date.now();
+    const added = (Array.isArray(event.rules) ? event.rules : []).map((rule, index) => ({
+      id: `${timestamp.toString(36)}_${index}_${Math.random().toString(36).slice(2, 6)}`,
+      accountId,
+      contactId: typeof event.contactId === 'string' ? event.contactId : '',
+      ruleId: String(rule.id || ''),
+      ruleName: String(rule.name || rule.pattern || ''),
+      action: String(rule.action || ''),
+      outcome: event.outcome,
+      timestamp
+    }));
+
+    if (added.length > 0) {
+      this.events.push(...added);
+      if (this.events.length > MAX_EVENTS) {
+        this.events.splice(0, this.events.length - MAX_EVENTS);
+      }
+      this.saveEvents();
+    }
+
+    return added;
+  }
+
+  /**
+   * 查询事件（按时间倒序）
+   * @param {Object} [filter] - { accountId, from, to, limit }
+   * @returns {Array<Object>} 事件列表
+   */
+  getEvents(filter = {}) {
+    const limit = filter.limit > 0 ? filter.limit : 200;
+
+    return this.events
+      .filter(event => !filter.accountId || event.accountId === filter.accountId)
+      .filter(event => !Number.isFinite(filter.from) || event.timestamp >= filter.from)
+      .filter(event => !Number.isFinite(filter.to) || event.timestamp <= filter.to)
+      .reverse()
+      .slice(0, limit)
+      .map(event => ({ ...event }));
+  }
+
+  /**
+   * 导出事件为 CSV
+   * @param {Array<Object>} events - 事件列表（可带 accountName）
+   * @returns {string} CSV 内容
+   */
+  formatEventsCSV(events) {
+    const header = ['time', 'accountId', 'accountName', 'contactId', 'rule', 'action', 'outcome'];
+    const rows = events.map(event => [
+      new Date(event.timestamp).toISOString(),
+      event.accountId,
+      event.accountName || '',
+      event.contactId,
+      event.ruleName,
+      event.action,
+      event.outcome
+    ]);
+
+    return formatCSV([header, ...rows]);
+  }
+
+  /**
+   * 清除事件日志
+   * @param {string} [accountId] - 账号ID（为空时清除所有账号）
+   */
+  clear(accountId) {
+    this.events = accountId ? this.events.filter(event => event.accountId !== accountId) : [];
+    this.saveEvents();
+  }
+}
+
+module.exports = PolicyEventManager;
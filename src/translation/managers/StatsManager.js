@@ -30,7 +30,15 @@ class StatsManager {
     try {
       if (fs.existsSync(this.statsFile)) {
         const data = fs.readFileSync(this.statsFile, 'utf8');
-        return JSON.parse(data);
+        // 旧版本统计文件没有按月用量和配额字段
+        return {
+          monthly: {},
+          quota: {},
+          routing: this.getDefaultRoutingStats(),
+          costs: this.getDefaultCostStats(),
+          suggestions: {},
+          ...JSON.parse(data)
+        };
       }
     } catch (error) {
       console.error('Failed to load stats:', error);
@@ -47,6 +55,11 @@ class StatsManager {
     return {
       daily: {},
       engines: {},
+      monthly: {}, // 按月统计各引擎字符数 { 'YYYY-MM': { engineName: chars } }
+      quota: {}, // 各引擎最近一次的用量配额
+      routing: this.getDefaultRoutingStats(), // 路由决策统计
+      costs: this.getDefaultCostStats(), // 按账号、引擎统计的 token 用量和费用
+      suggestions: {}, // 回复建议规则命中统计 { accountId: { ruleId: { hits, uses, lastHitAt } } }
       total: {
         requests: 0,
         success: 0,
@@ -56,6 +69,30 @@ class StatsManager {
     };
   }
 
+  /**
+   * 获取默认路由统计
+   * @returns {Object} 路由统计
+   */
+  getDefaultRoutingStats() {
+    return {
+      rules: {}, // 各规则命中次数（未命中规则记为"默认"）
+      fallbacks: 0, // 降级次数
+      circuitSkips: {}, // 各引擎因熔断被跳过的次数
+      recent: [] // 最近的路由决策
+    };
+  }
+
+  /**
+   * 获取默认费用统计
+   * @returns {Object} 费用统计
+   */
+  getDefaultCostStats() {
+    return {
+      daily: {}, // { 'YYYY-MM-DD': { accountId: { engineName: entry } } }
+      monthly: {} // { 'YYYY-MM': { accountId: { engineName: entry } } }
+    };
+  }
+
   /**
    * 保存统计数据
    */
@@ -75,8 +112,9 @@ class StatsManager {
    * @param {boolean} success - 是否成功
    * @param {number} charCount - 字符数
    * @param {number} responseTime - 响应时间（毫秒）
+   * @param {Object} route - 路由决策（可选）
    */
-  recordTranslation(engineName, success, charCount, responseTime) {
+  recordTranslation(engineName, success, charCount, responseTime, route = null) {
     const today = new Date().toISOString().split('T')[0];
 
     // 初始化今日统计
@@ -126,6 +164,10 @@ class StatsManager {
       this.stats.daily[today].chars += charCount;
       this.stats.engines[engineName].chars += charCount;
 
+      const month = today.slice(0, 7);
+      this.stats.monthly[month] = this.stats.monthly[month] || {};
+      this.stats.monthly[month][engineName] = (this.stats.monthly[month][engineName] || 0) + charCount;
+
       // 更新平均响应时间
       const engineStats = this.stats.engines[engineName];
       engineStats.avgResponseTime = 
@@ -141,9 +183,194 @@ class StatsManager {
       this.stats.daily[today].engines[engineName].failure++;
     }
 
+    if (route) {
+      this.recordRoute(route, success);
+    }
+
     this.saveStats();
   }
 
+  /**
+   * 记录路由决策
+   * @param {Object} route - { requestedEngine, engine, ruleId, ruleName, fallback, skipped }
+   * @param {boolean} success - 是否成功
+   */
+  recordRoute(route, success) {
+    const routing = this.stats.routing;
+    const ruleKey = route.ruleName || '默认';
+
+    routing.rules[ruleKey] = (routing.rules[ruleKey] || 0) + 1;
+    if (route.fallback) {
+      routing.fallbacks++;
+    }
+    (route.skipped || []).forEach(engine => {
+      routing.circuitSkips[engine] = (routing.circuitSkips[engine] || 0) + 1;
+    });
+
+    routing.recent.unshift({
+      time: Date.now(),
+      requestedEngine: route.requestedEngine,
+      engine: route.engine,
+      rule: ruleKey,
+      fallback: !!route.fallback,
+      skipped: route.skipped || [],
+      budgetCapped: route.budgetCapped === true,
+      success
+    });
+    routing.recent = routing.recent.slice(0, 20);
+  }
+
+  /**
+   * 记录翻译的 token 用量和费用
+   * @param {string} accountId - 账号ID
+   * @param {string} engineName - 引擎名称
+   * @param {Object} usage - { promptTokens, completionTokens, chars, cost, estimated }
+   */
+  recordCost(accountId, engineName, usage) {
+    const today = new Date().toISOString().split('T')[0];
+    const month = today.slice(0, 7);
+
+    [['daily', today], ['monthly', month]].forEach(([period, key]) => {
+      const bucket = this.stats.costs[period];
+      bucket[key] = bucket[key] || {};
+      bucket[key][accountId] = bucket[key][accountId] || {};
+
+      const entry = bucket[key][accountId][engineName] || {
+        requests: 0,
+        chars: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        estimatedRequests: 0,
+        cost: 0
+      };
+      entry.requests++;
+      entry.chars += usage.chars || 0;
+      entry.promptTokens += usage.promptTokens || 0;
+      entry.completionTokens += usage.completionTokens || 0;
+      entry.cost = Math.round((entry.cost + (usage.cost || 0)) * 1000000) / 1000000;
+      if (usage.estimated) {
+        entry.estimatedRequests++;
+      }
+      bucket[key][accountId][engineName] = entry;
+    });
+
+    this.saveStats();
+  }
+
+  /**
+   * 获取账号某月的总费用
+   * @param {string} accountId - 账号ID
+   * @param {string} month - 月份 (YYYY-MM)，默认当月
+   * @returns {number} 费用
+   */
+  getAccountMonthlyCost(accountId, month = new Date().toISOString().slice(0, 7)) {
+    const engines = this.stats.costs.monthly[month]?.[accountId] || {};
+    return Object.values(engines).reduce((total, entry) => total + entry.cost, 0);
+  }
+
+  /**
+   * 获取某月的费用汇总（按账号、引擎和日期）
+   * @param {string} month - 月份 (YYYY-MM)，默认当月
+   * @returns {Object} { month, total, accounts, engines, daily }
+   */
+  getCostStats(month = new Date().toISOString().slice(0, 7)) {
+    const result = { month, total: 0, accounts: {}, engines: {}, daily: {} };
+    const round = value => Math.round(value * 1000000) / 1000000;
+
+    Object.entries(this.stats.costs.monthly[month] || {}).forEach(([accountId, engines]) => {
+      result.accounts[accountId] = { cost: 0, engines };
+
+      Object.entries(engines).forEach(([engineName, entry]) => {
+        result.total = round(result.total + entry.cost);
+        result.accounts[accountId].cost = round(result.accounts[accountId].cost + entry.cost);
+
+        const engineTotal = result.engines[engineName] || {
+          requests: 0, promptTokens: 0, completionTokens: 0, chars: 0, estimatedRequests: 0, cost: 0
+        };
+        engineTotal.requests += entry.requests;
+        engineTotal.estimatedRequests += entry.estimatedRequests;
+        engineTotal.promptTokens += entry.promptTokens;
+        engineTotal.completionTokens += entry.completionTokens;
+        engineTotal.chars += entry.chars;
+        engineTotal.cost = round(engineTotal.cost + entry.cost);
+        result.engines[engineName] = engineTotal;
+      });
+    });
+
+    Object.entries(this.stats.costs.daily).forEach(([date, accounts]) => {
+      if (!date.startsWith(month)) return;
+      result.daily[date] = round(Object.values(accounts)
+        .flatMap(engines => Object.values(engines))
+        .reduce((total, entry) => total + entry.cost, 0));
+    });
+
+    return result;
+  }
+
+  /**
+   * 获取每日费用明细（用于导出报表）
+   * @param {string} month - 月份 (YYYY-MM)，为空时返回全部保留的日期
+   * @returns {Object} { 'YYYY-MM-DD': { accountId: { engineName: entry } } }
+   */
+  getDailyCosts(month = null) {
+    if (!month) {
+      return this.stats.costs.daily;
+    }
+    return Object.fromEntries(Object.entries(this.stats.costs.daily).filter(([date]) => date.startsWith(month)));
+  }
+
+  /**
+   * 记录回复建议规则命中
+   * @param {string} accountId - 账号ID
+   * @param {string} ruleId - 规则ID
+   */
+  recordSuggestionHit(accountId, ruleId) {
+    const entry = this.getSuggestionEntry(accountId, ruleId);
+    entry.hits++;
+    entry.lastHitAt = Date.now();
+    this.saveStats();
+  }
+
+  /**
+   * 记录回复建议被采用（点击建议插入到输入框）
+   * @param {string} accountId - 账号ID
+   * @param {string} ruleId - 规则ID
+   */
+  recordSuggestionUse(accountId, ruleId) {
+    this.getSuggestionEntry(accountId, ruleId).uses++;
+    this.saveStats();
+  }
+
+  /**
+   * 获取（不存在时创建）规则的命中统计
+   * @param {string} accountId - 账号ID
+   * @param {string} ruleId - 规则ID
+   * @returns {Object} { hits, uses, lastHitAt }
+   */
+  getSuggestionEntry(accountId, ruleId) {
+    this.stats.suggestions[accountId] = this.stats.suggestions[accountId] || {};
+    const rules = this.stats.suggestions[accountId];
+    rules[ruleId] = rules[ruleId] || { hits: 0, uses: 0, lastHitAt: null };
+    return rules[ruleId];
+  }
+
+  /**
+   * 获取账号的回复建议规则命中统计
+   * @param {string} accountId - 账号ID
+   * @returns {Object} { ruleId: { hits, uses, lastHitAt } }
+   */
+  getSuggestionStats(accountId) {
+    return this.stats.suggestions[accountId] || {};
+  }
+
+  /**
+   * 获取路由统计
+   * @returns {Object} 路由统计
+   */
+  getRoutingStats() {
+    return this.stats.routing;
+  }
+
   /**
    * 获取今日统计
    * @returns {Object} 今日统计
@@ -175,6 +402,43 @@ class StatsManager {
     };
   }
 
+  /**
+   * 获取引擎本月已翻译的字符数
+   * @param {string} engineName - 引擎名称
+   * @returns {number} 字符数
+   */
+  getMonthlyChars(engineName) {
+    const month = new Date().toISOString().slice(0, 7);
+    return this.stats.monthly[month]?.[engineName] || 0;
+  }
+
+  /**
+   * 记录引擎用量配额
+   * 引擎未返回已用字符数时使用本地按月统计的字符数
+   * @param {string} engineName - 引擎名称
+   * @param {Object} usage - { characterCount, characterLimit }
+   */
+  recordQuota(engineName, usage) {
+    const fromApi = typeof usage.characterCount === 'number';
+
+    this.stats.quota[engineName] = {
+      characterCount: fromApi ? usage.characterCount : this.getMonthlyChars(engineName),
+      characterLimit: usage.characterLimit || 0,
+      source: fromApi ? 'api' : 'local',
+      updatedAt: Date.now()
+    };
+
+    this.saveStats();
+  }
+
+  /**
+   * 获取各引擎用量配额
+   * @returns {Object} { engineName: { characterCount, characterLimit, source, updatedAt } }
+   */
+  getQuotaStats() {
+    return this.stats.quota;
+  }
+
   /**
    * 获取总统计
    * @returns {Object} 总统计
@@ -233,6 +497,29 @@ class StatsManager {
       }
     }
 
+    // 按月用量只保留当月和上月
+    const cutoffMonth = cutoffStr.slice(0, 7);
+    for (const month in this.stats.monthly) {
+      if (month < cutoffMonth) {
+        delete this.stats.monthly[month];
+      }
+    }
+
+    // 每日费用明细保留 30 天，按月费用保留 12 个月供对账
+    for (const date in this.stats.costs.daily) {
+      if (date < cutoffStr) {
+        delete this.stats.costs.daily[date];
+      }
+    }
+    const costCutoff = new Date();
+    costCutoff.setMonth(costCutoff.getMonth() - 12);
+    const costCutoffMonth = costCutoff.toISOString().slice(0, 7);
+    for (const month in this.stats.costs.monthly) {
+      if (month < costCutoffMonth) {
+        delete this.stats.costs.monthly[month];
+      }
+    }
+
     this.saveStats();
   }
 
@@ -243,6 +530,11 @@ class StatsManager {
     this.stats = {
       daily: {},
       engines: {},
+      monthly: {},
+      quota: {},
+      routing: this.getDefaultRoutingStats(),
+      costs: this.getDefaultCostStats(),
+      suggestions: {},
       total: {
         requests: 0,
         success: 0,
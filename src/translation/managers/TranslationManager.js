@@ -4,8 +4,20 @@
  */
 
 const EventEmitter = require('events');
+const crypto = require('crypto');
 const ContentSecurity = require('../utils/ContentSecurity');
 const { PerformanceOptimizer } = require('../utils/PerformanceOptimizer');
+const CircuitBreaker = require('../utils/CircuitBreaker');
+const { sumUsage } = require('../utils/costUtils');
+const { DEFAULT_FALLBACK_CHAIN, resolveRoute } = require('../utils/routingUtils');
+const { detectLanguageSimple } = require('../utils/languageUtils');
+const {
+  findGlossaryMatches,
+  maskGlossaryTerms,
+  restoreGlossaryTerms,
+  enforceGlossaryTerms,
+  getGlossaryDigest
+} = require('../utils/glossaryUtils');
 
 class TranslationManager extends EventEmitter {
   constructor(configManager, cacheManager) {
@@ -21,6 +33,19 @@ class TranslationManager extends EventEmitter {
       cacheTimeout: 5000
     });
     
+    // 每个引擎一个熔断器，连续失败后暂时跳过该引擎
+    this.circuitBreakers = new Map();
+    this.circuitBreakerOptions = {
+      failureThreshold: 3,
+      cooldownMs: 60000
+    };
+
+    // 预算检查（由翻译服务注入），账号超出预算时改写路由决策
+    this.budgetGuard = null;
+
+    // 翻译记忆库（由翻译服务注入），命中时复用已保存的译文
+    this.translationMemory = null;
+    
     this.stats = {
       totalRequests: 0,
       successCount: 0,
@@ -29,6 +54,22 @@ class TranslationManager extends EventEmitter {
     };
   }
 
+  /**
+   * 设置预算检查函数
+   * @param {Function|null} guard - (accountId, route) => route，返回改写后的路由决策
+   */
+  setBudgetGuard(guard) {
+    this.budgetGuard = typeof guard === 'function' ? guard : null;
+  }
+
+  /**
+   * 设置翻译记忆库
+   * @param {TranslationMemoryManager|null} memory - 翻译记忆库
+   */
+  setTranslationMemory(memory) {
+    this.translationMemory = memory || null;
+  }
+
   /**
    * 注册翻译引擎
    * @param {string} name - 引擎名称
@@ -83,7 +124,11 @@ class TranslationManager extends EventEmitter {
     
     // 生成请求唯一标识（用于去重）- 包含风格参数
     const styleKey = options.style || 'default';
-    const requestKey = `${cleanedText}:${sourceLang}:${targetLang}:${engineName}:${styleKey}`;
+    // 流式请求绑定到具体的消息气泡，不与其他请求合并
+    const streamKey = options.stream ? `:stream:${options.requestId || startTime}` : '';
+    // 使用不同代理的账号不合并请求，请求始终从本账号的代理发出
+    const proxyKey = options.proxy ? `:proxy:${options.proxy.host}:${options.proxy.port}` : '';
+    const requestKey = `${cleanedText}:${sourceLang}:${targetLang}:${engineName}:${styleKey}${this.getContextCacheKey(options)}${streamKey}${proxyKey}`;
     
     // 使用性能优化器执行请求（带队列和去重）
     return this.performanceOptimizer.executeRequest(requestKey, async () => {
@@ -97,18 +142,61 @@ class TranslationManager extends EventEmitter {
    */
   async _executeTranslation(cleanedText, sourceLang, targetLang, engineName, options, startTime) {
     const maxRetries = 3;
-    let currentEngine = engineName;
     let lastError = null;
     
     // Extract accountId from options for per-account cache isolation
     const accountId = options.accountId || null;
 
-    // 尝试使用指定引擎和降级引擎
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    // 术语表匹配（术语表变更后缓存键和记忆库条目随之变化）
+    const glossaryMatches = this.getGlossaryMatches(cleanedText, targetLang, accountId);
+    const glossaryKey = glossaryMatches ? `:g${getGlossaryDigest(glossaryMatches)}` : '';
+
+    // 翻译记忆库命中时直接复用译文（人工维护的译文优先于缓存和引擎）
+    const memoryResult = this.lookupMemory(cleanedText, sourceLang, targetLang, options, glossaryMatches);
+    if (memoryResult) {
+      // 流式请求一次性回传完整译文
+      if (typeof options.onChunk === 'function') {
+        options.onChunk(memoryResult.translatedText, memoryResult.translatedText);
+      }
+      return memoryResult;
+    }
+    // 只是相似的记忆条目作为参考随译文返回，不替代引擎译文
+    const memorySuggestion = this.getMemorySuggestion(cleanedText, sourceLang, targetLang, options, glossaryMatches);
+    const suggestionFields = memorySuggestion ? { memorySuggestion } : {};
+
+    // 路由决策：按规则选择首选引擎和降级链，跳过已熔断的引擎
+    const route = this.resolveRoute(cleanedText, sourceLang, targetLang, engineName, options);
+    const skipped = [];
+    let currentEngine = this.selectRouteEngine(route, skipped);
+    const getDecision = () => ({
+      requestedEngine: engineName,
+      engine: currentEngine,
+      ruleId: route.ruleId,
+      ruleName: route.ruleName,
+      fallback: currentEngine !== route.engine,
+      skipped: [...skipped],
+      budgetCapped: route.budgetCapped === true
+    });
+
+    if (!currentEngine) {
+      lastError = new Error(skipped.length > 0
+        ? `All translation engines are unavailable (circuit open: ${skipped.join(', ')})`
+        : `Translation engine not found: ${route.engine}`);
+      currentEngine = route.engine;
+    }
+
+    // 对话上下文默认不参与缓存键，除非显式开启
+    const contextKey = this.getContextCacheKey(options);
+
+    // 尝试使用首选引擎和降级链中的引擎
+    const maxAttempts = lastError ? 0 : Math.max(maxRetries, route.chain.length);
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      // 本次尝试是否已经占用熔断器（半开状态下的试探请求）
+      let acquired = false;
       try {
         // 检查缓存 - 包含风格参数和账号ID
         const styleKey = options.style || 'default';
-        const cacheKey = this.cacheManager.generateKey(cleanedText, sourceLang, targetLang, currentEngine, accountId) + `:${styleKey}`;
+        const cacheKey = this.cacheManager.generateKey(cleanedText, sourceLang, targetLang, currentEngine, accountId) + `:${styleKey}${glossaryKey}${contextKey}`;
         const cached = await this.cacheManager.get(cacheKey);
         
         if (cached) {
@@ -122,7 +210,7 @@ class TranslationManager extends EventEmitter {
             ...cached,
             translatedText: this.contentSecurity.cleanTranslationOutput(cached.translatedText)
           };
-          return { ...safeCached, cached: true };
+          return { ...safeCached, ...suggestionFields, cached: true };
         }
 
         // 获取引擎
@@ -135,17 +223,38 @@ class TranslationManager extends EventEmitter {
           throw new Error(`Translation engine not available: ${currentEngine}`);
         }
 
-        // 执行翻译
-        const result = await engine.translate(cleanedText, sourceLang, targetLang, options);
+        // 只在真正调用引擎时占用熔断器，缓存命中不消耗试探请求
+        if (!this.getCircuitBreaker(currentEngine).acquire()) {
+          const circuitError = new Error(`Circuit open for engine: ${currentEngine}`);
+          circuitError.code = 'CIRCUIT_OPEN';
+          throw circuitError;
+        }
+        acquired = true;
+
+        // 应用术语表（AI 引擎写入提示词，其他引擎使用占位符遮蔽）
+        const glossary = this.applyGlossary(cleanedText, glossaryMatches, engine, options);
+
+        // 执行翻译（流式模式下对部分译文做与最终结果相同的输出清理）
+        const engineOptions = typeof options.onChunk === 'function'
+          ? {
+            ...glossary.options,
+            onChunk: (partialText, delta) => {
+              options.onChunk(this.contentSecurity.cleanTranslationOutput(partialText), delta);
+            }
+          }
+          : glossary.options;
+        const { usage = null, ...result } = await engine.translate(glossary.text, sourceLang, targetLang, engineOptions);
         
-        // 清理翻译结果
+        // 清理翻译结果（token 用量只用于费用统计，不写入缓存）
         const safeResult = {
           ...result,
-          translatedText: this.contentSecurity.cleanTranslationOutput(result.translatedText)
+          translatedText: this.contentSecurity.cleanTranslationOutput(glossary.finalize(result.translatedText))
         };
       
         // 缓存结果 - 包含账号ID用于隔离
         await this.cacheManager.set(cacheKey, safeResult, accountId);
+        this.rememberTranslation(cleanedText, sourceLang, targetLang, safeResult, currentEngine, options, glossaryMatches);
+        this.getCircuitBreaker(currentEngine).recordSuccess();
         
         // 更新统计
         this.stats.successCount++;
@@ -157,25 +266,46 @@ class TranslationManager extends EventEmitter {
           engineName: currentEngine, 
           responseTime,
           charCount: cleanedText.length,
-          accountId
+          accountId,
+          usage,
+          route: getDecision()
         });
 
-        return { ...safeResult, cached: false, responseTime };
+        return { ...safeResult, ...suggestionFields, cached: false, responseTime };
 
       } catch (error) {
+        // 已取消的流式翻译不重试、不降级，也不计入熔断
+        if (error.code === 'TRANSLATION_CANCELLED') {
+          if (acquired) {
+            this.getCircuitBreaker(currentEngine).release();
+          }
+          throw error;
+        }
+
         lastError = error;
+        if (error.code === 'CIRCUIT_OPEN') {
+          // 其他请求正在试探该引擎
+          if (!skipped.includes(currentEngine)) {
+            skipped.push(currentEngine);
+          }
+        } else {
+          this.getCircuitBreaker(currentEngine).recordFailure();
+        }
         // 使用安全的日志消息
         const safeMessage = this.contentSecurity.sanitizeLogMessage(error.message);
         console.error(`[TranslationManager] Attempt ${attempt + 1} failed with ${currentEngine}:`, safeMessage);
 
-        // 如果是第一次失败，尝试降级到备用引擎
-        if (attempt === 0) {
-          const fallbackEngine = this.getFallbackEngine(currentEngine);
-          if (fallbackEngine) {
-            console.log(`[TranslationManager] Falling back to ${fallbackEngine}`);
-            currentEngine = fallbackEngine;
-            continue;
-          }
+        // 优先降级到降级链中的下一个引擎
+        const fallbackEngine = this.getFallbackEngine(currentEngine, route.chain, skipped);
+        if (fallbackEngine) {
+          console.log(`[TranslationManager] Falling back to ${fallbackEngine}`);
+          currentEngine = fallbackEngine;
+          continue;
+        }
+
+        // 当前引擎已熔断或正在被试探时不再重试
+        if (error.code === 'CIRCUIT_OPEN' || this.getCircuitBreaker(currentEngine).getState() === 'open') {
+          break;
         }
 
         // 如果还有重试次数，等待后重试
@@ -193,34 +323,533 @@ class TranslationManager extends EventEmitter {
       text: this.contentSecurity.truncateText(cleanedText, 50), 
       engineName, 
       error: this.contentSecurity.sanitizeLogMessage(lastError.message),
-      accountId
+      accountId,
+      route: getDecision()
     });
     throw lastError;
   }
 
+  /**
+   * 批量翻译（一次引擎调用翻译多条消息）
+   * 每条结果单独写入缓存；批量调用失败时逐条走 translate() 的重试和降级流程
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {string} engineName - 引擎名称
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 与输入顺序一致的结果列表，失败项为 { error }
+   */
+  async translateBatch(texts, sourceLang, targetLang, engineName, options = {}) {
+    if (!Array.isArray(texts)) {
+      throw new Error('Texts must be an array');
+    }
+
+    if (!this.contentSecurity.validateLanguageCode(sourceLang)) {
+      throw new Error(`Invalid source language code: ${sourceLang}`);
+    }
+    if (!this.contentSecurity.validateLanguageCode(targetLang)) {
+      throw new Error(`Invalid target language code: ${targetLang}`);
+    }
+
+    const startTime = Date.now();
+    const accountId = options.accountId || null;
+    const styleKey = options.style || 'default';
+    const contextKey = this.getContextCacheKey(options);
+    const results = new Array(texts.length);
+    // 按路由结果分组，同一引擎和规则的消息合并为一次调用
+    const groups = new Map();
+
+    // 1. 逐条计算路由并检查缓存
+    for (let index = 0; index < texts.length; index++) {
+      const cleanInput = this.contentSecurity.cleanTranslationInput(texts[index]);
+      if (!cleanInput.valid) {
+        results[index] = { error: `Invalid input: ${cleanInput.error}` };
+        continue;
+      }
+
+      const cleanedText = cleanInput.text;
+      const glossaryMatches = this.getGlossaryMatches(cleanedText, targetLang, accountId);
+      const memoryResult = this.lookupMemory(cleanedText, sourceLang, targetLang, options, glossaryMatches);
+      if (memoryResult) {
+        this.stats.totalRequests++;
+        results[index] = memoryResult;
+        continue;
+      }
+      const memorySuggestion = this.getMemorySuggestion(cleanedText, sourceLang, targetLang, options, glossaryMatches);
+
+      const route = this.resolveRoute(cleanedText, sourceLang, targetLang, engineName, options);
+      const glossaryKey = glossaryMatches ? `:g${getGlossaryDigest(glossaryMatches)}` : '';
+      const cacheKey = this.cacheManager.generateKey(cleanedText, sourceLang, targetLang, route.engine, accountId) + `:${styleKey}${glossaryKey}${contextKey}`;
+      const cached = await this.cacheManager.get(cacheKey);
+
+      if (cached) {
+        this.stats.totalRequests++;
+        this.emit('cache-hit', {
+          text: this.contentSecurity.truncateText(cleanedText, 50),
+          engineName: route.engine,
+          accountId
+        });
+        results[index] = {
+          ...cached,
+          translatedText: this.contentSecurity.cleanTranslationOutput(cached.translatedText),
+          ...(memorySuggestion ? { memorySuggestion } : {}),
+          cached: true
+        };
+      } else {
+        const groupKey = `${route.engine}|${route.ruleId || ''}`;
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, { route, items: [] });
+        }
+        groups.get(groupKey).items.push({ index, text: cleanedText, cacheKey, glossaryMatches, memorySuggestion });
+      }
+    }
+
+    // 2. 未命中缓存的消息按分组合并为一次引擎调用
+    for (const { route, items } of groups.values()) {
+      await this._translateBatchGroup(items, route, sourceLang, targetLang, engineName, options, results, startTime);
+    }
+
+    return results;
+  }
+
+  /**
+   * 翻译批量请求中路由到同一引擎的一组消息
+   * 引擎已熔断或批量调用失败时逐条走 translate() 的路由、重试和降级流程
+   * @private
+   */
+  async _translateBatchGroup(pending, route, sourceLang, targetLang, requestedEngine, options, results, startTime) {
+    const engineName = route.engine;
+    const accountId = options.accountId || null;
+    const breaker = this.getCircuitBreaker(engineName);
+
+    try {
+      const engine = this.getEngine(engineName);
+      if (!engine) {
+        throw new Error(`Translation engine not found: ${engineName}`);
+      }
+
+      if (!engine.isAvailable()) {
+        throw new Error(`Translation engine not available: ${engineName}`);
+      }
+
+      if (!breaker.acquire()) {
+        throw new Error(`Circuit open for engine: ${engineName}`);
+      }
+
+      // 逐条应用术语表；AI 引擎的提示词携带所有消息匹配到的术语
+      const glossaries = pending.map(item => this.applyGlossary(item.text, item.glossaryMatches, engine, options));
+      const combinedMatches = this.combineGlossaryMatches(pending.map(item => item.glossaryMatches));
+      const batchOptions = combinedMatches && engine.supportsGlossaryPrompt && engine.supportsGlossaryPrompt()
+        ? { ...options, glossary: combinedMatches }
+        : options;
+      const engineTexts = glossaries.map(glossary => glossary.text);
+
+      let engineResults;
+      try {
+        engineResults = typeof engine.translateBatch === 'function'
+          ? await engine.translateBatch(engineTexts, sourceLang, targetLang, batchOptions)
+          : await Promise.all(engineTexts.map(text => engine.translate(text, sourceLang, targetLang, batchOptions)));
+      } catch (engineError) {
+        breaker.recordFailure();
+        throw engineError;
+      }
+
+      if (!Array.isArray(engineResults) || engineResults.length !== pending.length) {
+        breaker.recordFailure();
+        throw new Error('Batch result count does not match request');
+      }
+      breaker.recordSuccess();
+
+      const responseTime = Date.now() - startTime;
+      let charCount = 0;
+
+      for (let i = 0; i < pending.length; i++) {
+        const { index, text, cacheKey, glossaryMatches, memorySuggestion } = pending[i];
+        const { usage, ...engineResult } = engineResults[i];
+        const safeResult = {
+          ...engineResult,
+          translatedText: this.contentSecurity.cleanTranslationOutput(glossaries[i].finalize(engineResult.translatedText))
+        };
+
+        await this.cacheManager.set(cacheKey, safeResult, accountId);
+        this.rememberTranslation(text, sourceLang, targetLang, safeResult, engineName, options, glossaryMatches);
+        results[index] = { ...safeResult, ...(memorySuggestion ? { memorySuggestion } : {}), cached: false, responseTime };
+        charCount += text.length;
+      }
+
+      this.stats.totalRequests += pending.length;
+      this.stats.successCount += pending.length;
+      this.stats.totalChars += charCount;
+
+      this.emit('translation-success', {
+        text: this.contentSecurity.truncateText(pending[0].text, 50),
+        engineName,
+        responseTime,
+        charCount,
+        accountId,
+        batchSize: pending.length,
+        usage: sumUsage(engineResults.map(result => result.usage)),
+        route: {
+          requestedEngine,
+          engine: engineName,
+          ruleId: route.ruleId,
+          ruleName: route.ruleName,
+          fallback: false,
+          skipped: [],
+          budgetCapped: route.budgetCapped === true
+        }
+      });
+
+    } catch (error) {
+      const safeMessage = this.contentSecurity.sanitizeLogMessage(error.message);
+      console.error(`[TranslationManager] Batch translation failed with ${engineName}, translating individually:`, safeMessage);
+
+      await Promise.all(pending.map(async ({ index, text }) => {
+        try {
+          results[index] = await this.translate(text, sourceLang, targetLang, requestedEngine, options);
+        } catch (itemError) {
+          results[index] = { error: itemError.message };
+        }
+      }));
+    }
+  }
+
+  /**
+   * 获取生效的翻译记忆库设置
+   * 未注入记忆库、记忆库已关闭或上下文参与缓存键（译文依赖上下文）时返回 null
+   * @param {Object} options - 翻译选项
+   * @returns {Object|null} 记忆库设置
+   */
+  getMemoryConfig(options) {
+    if (!this.translationMemory || options.contextInCacheKey ||
+      !this.configManager || typeof this.configManager.getMemoryConfig !== 'function') {
+      return null;
+    }
+
+    try {
+      const config = this.configManager.getMemoryConfig();
+      return config && config.enabled ? config : null;
+    } catch (error) {
+      console.error('[TranslationManager] Failed to load memory config:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 获取记忆库条目的查找键（账号、翻译风格和术语表）
+   * @param {Object} options - 翻译选项
+   * @param {Object|null} glossaryMatches - 文本命中的术语
+   * @returns {{accountId: string|null, style: string|null, glossary: string|null}}
+   */
+  getMemoryKey(options, glossaryMatches) {
+    return {
+      accountId: options.accountId || null,
+      style: options.style || null,
+      glossary: glossaryMatches ? getGlossaryDigest(glossaryMatches) : null
+    };
+  }
+
+  /**
+   * 在翻译记忆库中查找可直接复用的译文
+   * 只复用原文完全相同的条目；相似条目只有开启 fuzzyReuse 时才直接复用
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @param {Object|null} [glossaryMatches] - 文本命中的术语
+   * @returns {Object|null} 翻译结果（memoryMatch 为命中的条目和相似度）
+   */
+  lookupMemory(text, sourceLang, targetLang, options, glossaryMatches = null) {
+    const config = this.getMemoryConfig(options);
+    if (!config) return null;
+
+    const key = this.getMemoryKey(options, glossaryMatches);
+    const exact = this.translationMemory.findExact(text, sourceLang, targetLang, key);
+    const match = exact
+      ? { segment: exact, similarity: 1 }
+      : config.fuzzyReuse && this.translationMemory.lookup(text, sourceLang, targetLang, {
+        ...key,
+        minSimilarity: config.minSimilarity
+      });
+    if (!match) return null;
+
+    const accountId = key.accountId;
+
+    this.emit('memory-hit', {
+      text: this.contentSecurity.truncateText(text, 50),
+      similarity: match.similarity,
+      accountId
+    });
+
+    return {
+      translatedText: this.contentSecurity.cleanTranslationOutput(match.segment.target),
+      detectedLang: match.segment.sourceLang,
+      engineUsed: 'Translation Memory',
+      memoryMatch: {
+        id: match.segment.id,
+        source: match.segment.source,
+        similarity: match.similarity
+      },
+      cached: true
+    };
+  }
+
+  /**
+   * 查找相似的记忆条目作为参考译文（未开启 fuzzyReuse 时）
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - 翻译选项
+   * @param {Object|null} [glossaryMatches] - 文本命中的术语
+   * @returns {Object|null} { id, source, target, similarity }
+   */
+  getMemorySuggestion(text, sourceLang, targetLang, options, glossaryMatches = null) {
+    const config = this.getMemoryConfig(options);
+    if (!config || config.fuzzyReuse) return null;
+
+    const match = this.translationMemory.lookup(text, sourceLang, targetLang, {
+      ...this.getMemoryKey(options, glossaryMatches),
+      minSimilarity: config.minSimilarity,
+      recordUsage: false
+    });
+    if (!match) return null;
+
+    return {
+      id: match.segment.id,
+      source: match.segment.source,
+      target: this.contentSecurity.cleanTranslationOutput(match.segment.target),
+      similarity: match.similarity
+    };
+  }
+
+  /**
+   * 将引擎译文自动保存到翻译记忆库
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 源语言（auto 时使用检测到的语言）
+   * @param {string} targetLang - 目标语言
+   * @param {Object} result - 翻译结果
+   * @param {string} engineName - 引擎名称
+   * @param {Object} options - 翻译选项
+   * @param {Object|null} [glossaryMatches] - 文本命中的术语
+   */
+  rememberTranslation(text, sourceLang, targetLang, result, engineName, options, glossaryMatches = null) {
+    const config = this.getMemoryConfig(options);
+    if (!config || !config.autoSave) return;
+
+    const detectedLang = sourceLang === 'auto' ? result.detectedLang : sourceLang;
+    if (!detectedLang || detectedLang === 'auto' || detectedLang === targetLang || !result.translatedText) {
+      return;
+    }
+
+    try {
+      this.translationMemory.addSegment({
+        ...this.getMemoryKey(options, glossaryMatches),
+        sourceLang: detectedLang,
+        targetLang,
+        source: text,
+        target: result.translatedText,
+        origin: 'auto',
+        engine: engineName
+      });
+    } catch (error) {
+      console.error('[TranslationManager] Failed to save translation memory:', error.message);
+    }
+  }
+
+  /**
+   * 获取对话上下文的缓存键片段
+   * 只有 options.contextInCacheKey 为 true 时上下文才参与缓存键
+   * @param {Object} options - 翻译选项
+   * @returns {string} 缓存键片段（未启用时为空字符串）
+   */
+  getContextCacheKey(options) {
+    if (!options.contextInCacheKey || !Array.isArray(options.context) || options.context.length === 0) {
+      return '';
+    }
+
+    const digest = crypto.createHash('md5').update(JSON.stringify(options.context)).digest('hex').slice(0, 8);
+    return `:c${digest}`;
+  }
+
+  /**
+   * 查找文本中命中的术语（全局 + 账号术语表）
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目标语言
+   * @param {string|null} accountId - 账号ID
+   * @returns {Object|null} 匹配结果
+   */
+  getGlossaryMatches(text, targetLang, accountId) {
+    if (!this.configManager || typeof this.configManager.getEffectiveGlossary !== 'function') {
+      return null;
+    }
+
+    try {
+      return findGlossaryMatches(text, this.configManager.getEffectiveGlossary(accountId), targetLang);
+    } catch (error) {
+      console.error('[TranslationManager] Failed to load glossary:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 在引擎调用前后应用术语表
+   * @param {string} text - 原文
+   * @param {Object|null} matches - 命中的术语
+   * @param {TranslationAdapter} engine - 翻译引擎
+   * @param {Object} options - 翻译选项
+   * @returns {{text: string, options: Object, finalize: Function}} 发送给引擎的文本/选项及译文后处理函数
+   */
+  applyGlossary(text, matches, engine, options) {
+    if (!matches) {
+      return { text, options, finalize: translated => translated };
+    }
+
+    if (typeof engine.supportsGlossaryPrompt === 'function' && engine.supportsGlossaryPrompt()) {
+      return {
+        text,
+        options: { ...options, glossary: matches },
+        finalize: translated => enforceGlossaryTerms(translated, matches)
+      };
+    }
+
+    const masked = maskGlossaryTerms(text, matches);
+    return {
+      text: masked.text,
+      options,
+      finalize: translated => enforceGlossaryTerms(restoreGlossaryTerms(translated, masked.placeholders), matches)
+    };
+  }
+
+  /**
+   * 合并多条消息的术语匹配结果（批量翻译的提示词使用）
+   * @param {Array<Object|null>} matchesList - 匹配结果列表
+   * @returns {Object|null} 合并后的匹配结果
+   */
+  combineGlossaryMatches(matchesList) {
+    const terms = new Map();
+    const doNotTranslate = new Set();
+
+    matchesList.filter(Boolean).forEach(matches => {
+      matches.terms.forEach(term => terms.set(`${term.source}|${term.target}`, term));
+      matches.doNotTranslate.forEach(token => doNotTranslate.add(token));
+    });
+
+    if (terms.size === 0 && doNotTranslate.size === 0) {
+      return null;
+    }
+
+    return { terms: Array.from(terms.values()), doNotTranslate: Array.from(doNotTranslate) };
+  }
+
+  /**
+   * 计算请求的路由决策
+   * 自动检测的源语言使用字符集检测结果匹配规则
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {string} engineName - 请求指定的引擎
+   * @param {Object} options - 翻译选项（accountId, chatType, direction）
+   * @returns {{engine: string, chain: string[], ruleId: string|null, ruleName: string|null}}
+   */
+  resolveRoute(text, sourceLang, targetLang, engineName, options = {}) {
+    const context = {
+      sourceLang: sourceLang === 'auto' ? detectLanguageSimple(text) : sourceLang,
+      targetLang,
+      textLength: text.length,
+      chatType: options.chatType || null,
+      direction: options.direction || null
+    };
+
+    let route = null;
+    if (this.configManager && typeof this.configManager.resolveRoute === 'function') {
+      try {
+        route = this.configManager.resolveRoute(options.accountId || null, context, engineName);
+      } catch (error) {
+        console.error('[TranslationManager] Failed to resolve route:', error.message);
+      }
+    }
+    if (!route) {
+      route = resolveRoute(null, context, engineName);
+    }
+
+    // 账号超出月度预算时切换到更便宜的引擎
+    if (this.budgetGuard) {
+      try {
+        route = this.budgetGuard(options.accountId || null, route) || route;
+      } catch (error) {
+        console.error('[TranslationManager] Budget check failed:', error.message);
+      }
+    }
+
+    // 本地引擎不降级，避免消息被发送到云端
+    const preferred = this.getEngine(route.engine);
+    if (preferred && preferred.isLocal()) {
+      return { ...route, chain: [route.engine] };
+    }
+
+    return route;
+  }
+
+  /**
+   * 选择路由的首个可用引擎（首选引擎不可用或已熔断时沿降级链查找）
+   * @param {Object} route - 路由决策
+   * @param {string[]} skipped - 因熔断被跳过的引擎（会被追加）
+   * @returns {string|null} 引擎名称
+   */
+  selectRouteEngine(route, skipped = []) {
+    const preferred = this.getEngine(route.engine);
+    if (preferred && preferred.isAvailable()) {
+      if (this.getCircuitBreaker(route.engine).canRequest()) {
+        return route.engine;
+      }
+      skipped.push(route.engine);
+    }
+
+    return this.getFallbackEngine(route.engine, route.chain, skipped);
+  }
+
+  /**
+   * 获取引擎的熔断器
+   * @param {string} engineName - 引擎名称
+   * @returns {CircuitBreaker} 熔断器
+   */
+  getCircuitBreaker(engineName) {
+    if (!this.circuitBreakers.has(engineName)) {
+      this.circuitBreakers.set(engineName, new CircuitBreaker(this.circuitBreakerOptions));
+    }
+    return this.circuitBreakers.get(engineName);
+  }
+
   /**
    * 获取降级引擎
    * @param {string} currentEngine - 当前引擎
+   * @param {string[]} chain - 降级链（默认使用内置顺序）
+   * @param {string[]} skipped - 因熔断被跳过的引擎（会被追加）
    * @returns {string|null} 降级引擎名称
    */
-  getFallbackEngine(currentEngine) {
-    const fallbackOrder = ['google', 'gpt4', 'gemini', 'deepseek'];
-    const currentIndex = fallbackOrder.indexOf(currentEngine);
-    
-    // 从当前引擎之后开始查找可用引擎
-    for (let i = currentIndex + 1; i < fallbackOrder.length; i++) {
-      const engine = this.getEngine(fallbackOrder[i]);
-      if (engine && engine.isAvailable()) {
-        return fallbackOrder[i];
-      }
+  getFallbackEngine(currentEngine, chain = DEFAULT_FALLBACK_CHAIN, skipped = []) {
+    // 本地引擎不降级，避免消息被发送到云端
+    const current = this.getEngine(currentEngine);
+    if (current && current.isLocal()) {
+      return null;
     }
 
-    // 如果当前引擎不在列表中，尝试使用 Google
-    if (currentIndex === -1) {
-      const googleEngine = this.getEngine('google');
-      if (googleEngine && googleEngine.isAvailable()) {
-        return 'google';
+    // 从当前引擎之后开始查找；当前引擎不在降级链中时从头查找
+    const currentIndex = chain.indexOf(currentEngine);
+    const candidates = chain.slice(currentIndex + 1);
+
+    for (const name of candidates) {
+      const engine = this.getEngine(name);
+      if (name === currentEngine || !engine || !engine.isAvailable()) {
+        continue;
+      }
+      if (!this.getCircuitBreaker(name).canRequest()) {
+        if (!skipped.includes(name)) {
+          skipped.push(name);
+        }
+        continue;
       }
+      return name;
     }
 
     return null;
@@ -284,7 +913,10 @@ class TranslationManager extends EventEmitter {
       ...this.stats,
       cacheStats: this.cacheManager.getStats(),
       performanceStats: this.performanceOptimizer.getStats(),
-      engines: Array.from(this.engines.keys())
+      engines: Array.from(this.engines.keys()),
+      circuitBreakers: Object.fromEntries(
+        Array.from(this.circuitBreakers.entries()).map(([name, breaker]) => [name, breaker.getSnapshot()])
+      )
     };
   }
 
@@ -319,6 +951,10 @@ class TranslationManager extends EventEmitter {
     console.log('[TranslationManager] Clearing translation history...');
     
     await this.cacheManager.clearTranslationHistory();
+    // 自动保存的译文属于翻译历史，人工维护和导入的记忆条目保留
+    if (this.translationMemory) {
+      this.translationMemory.clear({ origin: 'auto' });
+    }
     this.resetStats();
     
     this.emit('history-cleared');
@@ -335,8 +971,11 @@ class TranslationManager extends EventEmitter {
     // 清除翻译历史
     await this.cacheManager.clearTranslationHistory();
     
-    // 清除用户配置
+    // 清除用户配置和翻译记忆库
     this.configManager.clearUserData();
+    if (this.translationMemory) {
+      this.translationMemory.clear();
+    }
     
     // 重置统计
     this.resetStats();
@@ -354,8 +993,11 @@ class TranslationManager extends EventEmitter {
     // 清除翻译历史
     await this.cacheManager.clearTranslationHistory();
     
-    // 清除所有配置
+    // 清除所有配置和翻译记忆库
     this.configManager.clearAllSensitiveData();
+    if (this.translationMemory) {
+      this.translationMemory.clear();
+    }
     
     // 重置统计
     this.resetStats();
@@ -378,6 +1020,7 @@ class TranslationManager extends EventEmitter {
     return {
       config: configSummary,
       cache: cacheSize,
+      memory: this.translationMemory ? this.translationMemory.getStats() : null,
       stats: this.stats,
       dataLocations: {
         config: configSummary.storageLocation,
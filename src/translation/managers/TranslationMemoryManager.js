@@ -0,0 +1,396 @@
+/**
+ * 翻译记忆库管理器
+ * 按语言对和账号持久化保存原文/译文句段，支持模糊匹配和 TMX 导入导出
+ * 与 CacheManager 不同，记忆条目不过期，也不会被缓存清理删除
+ * 条目按翻译风格和术语表区分（style / glossary 为空表示默认风格、未命中术语）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { normalizeForSimilarity, normalizedSimilarity } = require('../utils/similarityUtils');
+const { formatTMX, parseTMX } = require('../utils/tmxUtils');
+
+// 人工维护的条目不会被自动学习的译文覆盖，也不会在超出容量时被淘汰
+const CURATED_ORIGINS = ['manual', 'tmx'];
+
+// 规范化后短于该长度的文本不做模糊匹配（只有数字或表情的短消息规范化后几乎相同）
+const MIN_FUZZY_LENGTH = 4;
+
+class TranslationMemoryManager {
+  constructor(options = {}) {
+    this.maxSegments = options.maxSegments || 20000;
+    this.saveDelay = options.saveDelay || 2000;
+
+    try {
+      this.memoryFile = path.join(app.getPath('userData'), 'translation-memory.json');
+    } catch (error) {
+      console.warn('[TranslationMemoryManager] Could not get userData path:', error.message);
+      this.memoryFile = null;
+    }
+
+    this.segments = this.loadSegments();
+    // 规范化后的原文（按条目 ID 缓存，避免每次查找都重新规范化）
+    this.normalizedSources = new Map();
+    this.saveTimer = null;
+  }
+
+  /**
+   * 加载记忆条目
+   * @returns {Array<Object>} 记忆条目
+   */
+  loadSegments() {
+    if (!this.memoryFile) {
+      return [];
+    }
+
+    try {
+      if (fs.existsSync(this.memoryFile)) {
+        const data = JSON.parse(fs.readFileSync(this.memoryFile, 'utf8'));
+        return Array.isArray(data.segments) ? data.segments : [];
+      }
+    } catch (error) {
+      console.error('[TranslationMemoryManager] Failed to load translation memory:', error);
+    }
+
+    return [];
+  }
+
+  /**
+   * 立即保存记忆条目
+   */
+  saveSegments() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.memoryFile) return;
+
+    try {
+      fs.writeFileSync(this.memoryFile, JSON.stringify({ version: 1, segments: this.segments }));
+    } catch (error) {
+      console.error('[TranslationMemoryManager] Failed to save translation memory:', error);
+    }
+  }
+
+  /**
+   * 延迟保存（自动学习的译文频繁写入时合并为一次磁盘写入）
+   */
+  scheduleSave() {
+    if (!this.memoryFile || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.saveSegments(), this.saveDelay);
+    if (typeof this.saveTimer.unref === 'function') {
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * 获取条目规范化后的原文
+   * @param {Object} segment - 记忆条目
+   * @returns {string} 规范化后的原文
+   */
+  getNormalizedSource(segment) {
+    let normalized = this.normalizedSources.get(segment.id);
+    if (normalized === undefined) {
+      normalized = normalizeForSimilarity(segment.source);
+      this.normalizedSources.set(segment.id, normalized);
+    }
+    return normalized;
+  }
+
+  /**
+   * 判断条目是否在账号的查找范围内（账号条目 + 共享条目）
+   * @param {Object} segment - 记忆条目
+   * @param {string|null} accountId - 账号ID
+   * @returns {boolean}
+   */
+  isVisibleTo(segment, accountId) {
+    return segment.accountId === null || segment.accountId === accountId;
+  }
+
+  /**
+   * 判断条目是否属于请求的翻译风格和术语表
+   * @param {Object} segment - 记忆条目
+   * @param {Object} options - { style, glossary }
+   * @returns {boolean}
+   */
+  isSameVariant(segment, options) {
+    return (segment.style || null) === (options.style || null) &&
+      (segment.glossary || null) === (options.glossary || null);
+  }
+
+  /**
+   * 添加或更新记忆条目（同一账号、语言对、风格、术语表和原文只保留一条）
+   * @param {Object} entry - { accountId, sourceLang, targetLang, source, target, origin, engine, style, glossary }
+   * @returns {Object|null} 保存后的条目；自动学习的译文不会覆盖人工条目，此时返回 null
+   */
+  addSegment(entry) {
+    const source = typeof entry.source === 'string' ? entry.source.trim() : '';
+    const target = typeof entry.target === 'string' ? entry.target.trim() : '';
+    if (!source || !target || !entry.sourceLang || !entry.targetLang || entry.sourceLang === 'auto') {
+      throw new Error('Source, target and language pair are required');
+    }
+
+    const accountId = entry.accountId || null;
+    const origin = entry.origin || 'manual';
+    const now = Date.now();
+    const existing = this.segments.find(segment => segment.accountId === accountId &&
+      segment.sourceLang === entry.sourceLang &&
+      segment.targetLang === entry.targetLang &&
+      this.isSameVariant(segment, entry) &&
+      segment.source === source);
+
+    if (existing) {
+      if (origin === 'auto' && CURATED_ORIGINS.includes(existing.origin)) {
+        return null;
+      }
+      existing.target = target;
+      existing.origin = origin;
+      existing.engine = entry.engine || null;
+      existing.updatedAt = entry.updatedAt || now;
+      this.scheduleSave();
+      return existing;
+    }
+
+    const segment = {
+      id: `tm_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      accountId,
+      sourceLang: entry.sourceLang,
+      targetLang: entry.targetLang,
+      source,
+      target,
+      origin,
+      engine: entry.engine || null,
+      style: entry.style || null,
+      glossary: entry.glossary || null,
+      createdAt: entry.createdAt || now,
+      updatedAt: entry.updatedAt || entry.createdAt || now,
+      usageCount: 0,
+      lastUsedAt: null
+    };
+    this.segments.push(segment);
+    this.enforceLimit();
+    this.scheduleSave();
+    return segment;
+  }
+
+  /**
+   * 超出容量时按最近使用时间淘汰自动学习的条目
+   */
+  enforceLimit() {
+    const overflow = this.segments.length - this.maxSegments;
+    if (overflow <= 0) return;
+
+    const evicted = new Set(this.segments
+      .filter(segment => !CURATED_ORIGINS.includes(segment.origin))
+      .sort((a, b) => (a.lastUsedAt || a.updatedAt) - (b.lastUsedAt || b.updatedAt))
+      .slice(0, overflow)
+      .map(segment => segment.id));
+
+    this.segments = this.segments.filter(segment => !evicted.has(segment.id));
+    evicted.forEach(id => this.normalizedSources.delete(id));
+  }
+
+  /**
+   * 记录条目被使用
+   * @param {Object} segment - 记忆条目
+   */
+  recordUsage(segment) {
+    segment.usageCount = (segment.usageCount || 0) + 1;
+    segment.lastUsedAt = Date.now();
+    this.scheduleSave();
+  }
+
+  /**
+   * 判断条目是否可用于查找（语言对、账号、风格和术语表都一致）
+   * @param {Object} segment - 记忆条目
+   * @param {string} sourceLang - 源语言（auto 时匹配所有源语言）
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - { accountId, style, glossary }
+   * @returns {boolean}
+   */
+  isCandidate(segment, sourceLang, targetLang, options) {
+    return segment.targetLang === targetLang &&
+      (sourceLang === 'auto' || segment.sourceLang === sourceLang) &&
+      this.isVisibleTo(segment, options.accountId || null) &&
+      this.isSameVariant(segment, options);
+  }
+
+  /**
+   * 查找原文完全相同的记忆条目（比较原文本身，不做规范化）
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 源语言（auto 时匹配所有源语言）
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - { accountId, style, glossary }
+   * @returns {Object|null} 命中的条目（账号条目优先于共享条目）
+   */
+  findExact(text, sourceLang, targetLang, options = {}) {
+    const source = String(text || '').trim();
+    let found = null;
+    for (const segment of this.segments) {
+      if (segment.source !== source || !this.isCandidate(segment, sourceLang, targetLang, options)) continue;
+
+      found = segment;
+      if (segment.accountId !== null) break;
+    }
+
+    if (found) {
+      this.recordUsage(found);
+    }
+    return found;
+  }
+
+  /**
+   * 模糊查找最相似的记忆条目
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 源语言（auto 时匹配所有源语言）
+   * @param {string} targetLang - 目标语言
+   * @param {Object} options - { accountId, minSimilarity, style, glossary, recordUsage }（recordUsage 为 false 时只查找，不计入使用次数）
+   * @returns {{segment: Object, similarity: number}|null} 最佳匹配（相似度相同时账号条目优先于共享条目）
+   */
+  lookup(text, sourceLang, targetLang, options = {}) {
+    const accountId = options.accountId || null;
+    const minSimilarity = options.minSimilarity || 0.9;
+    const normalized = normalizeForSimilarity(text);
+    if (normalized.length < MIN_FUZZY_LENGTH) return null;
+
+    let best = null;
+    for (const segment of this.segments) {
+      if (!this.isCandidate(segment, sourceLang, targetLang, options)) continue;
+
+      // 长度差异已经超出阈值时无需计算编辑距离
+      const candidate = this.getNormalizedSource(segment);
+      if (candidate.length < MIN_FUZZY_LENGTH) continue;
+      const lengthRatio = Math.min(candidate.length, normalized.length) / Math.max(candidate.length, normalized.length, 1);
+      if (lengthRatio < minSimilarity) continue;
+
+      const similarity = normalizedSimilarity(normalized, candidate);
+      if (similarity < minSimilarity) continue;
+
+      if (!best || similarity > best.similarity ||
+        (similarity === best.similarity && segment.accountId !== null && best.segment.accountId === null)) {
+        best = { segment, similarity };
+      }
+      if (similarity === 1 && segment.accountId === accountId) break;
+    }
+
+    if (best && options.recordUsage !== false) {
+      this.recordUsage(best.segment);
+    }
+
+    return best;
+  }
+
+  /**
+   * 搜索记忆条目
+   * @param {string} query - 关键词（匹配原文或译文，为空时返回全部）
+   * @param {Object} options - { accountId（undefined 为全部，null 为共享条目）, sourceLang, targetLang, limit }
+   * @returns {{segments: Array<Object>, total: number}} 按更新时间倒序的条目及匹配总数
+   */
+  search(query = '', options = {}) {
+    const keyword = String(query || '').trim().toLowerCase();
+    const limit = options.limit || 50;
+
+    const matched = this.segments.filter(segment => {
+      if (options.accountId !== undefined && segment.accountId !== (options.accountId || null)) return false;
+      if (options.sourceLang && segment.sourceLang !== options.sourceLang) return false;
+      if (options.targetLang && segment.targetLang !== options.targetLang) return false;
+      return !keyword ||
+        segment.source.toLowerCase().includes(keyword) ||
+        segment.target.toLowerCase().includes(keyword);
+    });
+
+    return {
+      segments: matched.sort((a, b) => b.updatedAt - a.updatedAt).slice(0, limit),
+      total: matched.length
+    };
+  }
+
+  /**
+   * 删除记忆条目
+   * @param {string} id - 条目ID
+   * @returns {boolean} 是否删除成功
+   */
+  removeSegment(id) {
+    const index = this.segments.findIndex(segment => segment.id === id);
+    if (index === -1) return false;
+
+    this.segments.splice(index, 1);
+    this.normalizedSources.delete(id);
+    this.saveSegments();
+    return true;
+  }
+
+  /**
+   * 清除记忆条目
+   * @param {Object} filter - { accountId, origin }，为空时清除全部
+   * @returns {number} 清除的条目数
+   */
+  clear(filter = {}) {
+    const before = this.segments.length;
+    this.segments = this.segments.filter(segment =>
+      (filter.accountId !== undefined && segment.accountId !== (filter.accountId || null)) ||
+      (filter.origin !== undefined && segment.origin !== filter.origin));
+    this.normalizedSources.clear();
+    this.saveSegments();
+    return before - this.segments.length;
+  }
+
+  /**
+   * 导出为 TMX
+   * @param {Object} options - { accountId, sourceLang, targetLang }
+   * @returns {string} TMX 内容
+   */
+  exportTMX(options = {}) {
+    const { segments } = this.search('', { ...options, limit: Infinity });
+    return formatTMX(segments.sort((a, b) => a.createdAt - b.createdAt));
+  }
+
+  /**
+   * 从 TMX 导入
+   * @param {string} xml - TMX 内容
+   * @param {string|null} accountId - 导入到的账号（为空时为共享条目）
+   * @returns {{imported: number, errors: string[]}} 导入结果
+   */
+  importTMX(xml, accountId = null) {
+    const { segments, errors } = parseTMX(xml);
+    let imported = 0;
+
+    segments.forEach((segment, index) => {
+      try {
+        this.addSegment({
+          ...segment,
+          accountId,
+          origin: CURATED_ORIGINS.includes(segment.origin) ? segment.origin : 'tmx',
+          createdAt: segment.createdAt || undefined,
+          updatedAt: segment.updatedAt || undefined
+        });
+        imported++;
+      } catch (error) {
+        errors.push(`第 ${index + 1} 条：${error.message}`);
+      }
+    });
+
+    this.saveSegments();
+    return { imported, errors };
+  }
+
+  /**
+   * 获取记忆库统计
+   * @returns {{total: number, origins: Object, languagePairs: Object}}
+   */
+  getStats() {
+    const origins = {};
+    const languagePairs = {};
+    this.segments.forEach(segment => {
+      origins[segment.origin] = (origins[segment.origin] || 0) + 1;
+      const pair = `${segment.sourceLang}→${segment.targetLang}`;
+      languagePairs[pair] = (languagePairs[pair] || 0) + 1;
+    });
+
+    return { total: this.segments.length, origins, languagePairs };
+  }
+}
+
+module.exports = TranslationMemoryManager;
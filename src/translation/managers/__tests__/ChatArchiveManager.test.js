@@ -0,0 +1,122 @@
+/**
+ * ChatArchiveManager 测试
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: () => {
+      throw new Error('not available in tests');
+    }
+  }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChatArchiveManager = require('../ChatArchiveManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ChatArchiveManager', () => {
+  let archive;
+
+  beforeEach(() => {
+    archive = new ChatArchiveManager();
+    archive.addMessages('acc1', [
+      { id: 'm1', contactId: 'alice', direction: 'in', original: 'Hello, what is the price?', timestamp: 1000, sourceLang: 'en' },
+      { id: 'm2', contactId: 'alice', direction: 'out', sender: '我', original: '价格是 20 美元', timestamp: 2000 }
+    ]);
+    archive.addMessages('acc2', [
+      { id: 'm3', contactId: 'bob', direction: 'in', original: 'Precio por favor', timestamp: 3000, sourceLang: 'es' }
+    ]);
+  });
+
+  test('同一消息再次归档时应该补充译文而不是重复记录', () => {
+    expect(archive.addMessages('acc1', [
+      { id: 'm1', contactId: 'alice', original: 'Hello, what is the price?', translation: '你好，价格是多少？', sourceLang: 'en', targetLang: 'zh-CN' }
+    ])).toBe(1);
+    expect(archive.addMessages('acc1', [
+      { id: 'm1', contactId: 'alice', original: 'Hello, what is the price?' }
+    ])).toBe(0);
+
+    const { messages, total } = archive.search('价格是多少', { accountId: 'acc1' });
+    expect(total).toBe(1);
+    expect(messages[0]).toMatchObject({ id: 'm1', accountId: 'acc1', timestamp: 1000, translation: '你好，价格是多少？' });
+  });
+
+  test('应该跨账号搜索并支持联系人、日期、语言和方向筛选', () => {
+    expect(archive.search('').messages.map(message => message.id)).toEqual(['m3', 'm2', 'm1']);
+    expect(archive.search('price PRECIO').total).toBe(0);
+    expect(archive.search('precio').messages[0].accountId).toBe('acc2');
+    expect(archive.search('', { contactId: 'alice', direction: 'out' }).messages[0].id).toBe('m2');
+    expect(archive.search('', { from: 1500, to: 2500 }).messages.map(message => message.id)).toEqual(['m2']);
+    expect(archive.search('', { language: 'es' }).messages.map(message => message.id)).toEqual(['m3']);
+    expect(archive.search('', { limit: 1, offset: 1 })).toEqual(expect.objectContaining({ total: 3 }));
+  });
+
+  test('应该按筛选条件删除、按保留期限清理和按账号清除', () => {
+    expect(archive.deleteMessages({ accountId: 'acc1', query: 'price' })).toBe(1);
+    expect(archive.getStats()).toEqual({ accounts: 2, messages: 2 });
+
+    expect(archive.purgeExpired(30, 2500 + 30 * DAY_MS)).toBe(1);
+    expect(archive.search('').messages.map(message => message.id)).toEqual(['m3']);
+
+    archive.clear('acc2');
+    expect(archive.getStats().messages).toBe(0);
+  });
+
+  describe('磁盘写入', () => {
+    let tempDir;
+
+    const createArchive = () => {
+      const manager = new ChatArchiveManager({ saveDelay: 60000 });
+      manager.archiveDir = tempDir;
+      return manager;
+    };
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-archive-test-'));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('连续归档的消息应该合并为一次写入', () => {
+      const manager = createArchive();
+      const writeSpy = jest.spyOn(fs, 'writeFileSync');
+
+      manager.addMessages('acc1', [{ id: 'm1', contactId: 'alice', original: 'Hello', timestamp: 1000 }]);
+      manager.addMessages('acc1', [{ id: 'm2', contactId: 'alice', original: 'World', timestamp: 2000 }]);
+      expect(writeSpy).not.toHaveBeenCalled();
+
+      manager.flush();
+      expect(writeSpy).toHaveBeenCalledTimes(1);
+      expect(manager.saveTimer).toBeNull();
+      expect(createArchive().search('').total).toBe(2);
+    });
+
+    test('账号列表应该只在首次使用时读取归档文件', () => {
+      const writer = createArchive();
+      writer.addMessages('user@example.com', [{ id: 'm1', contactId: 'alice', original: 'Hello', timestamp: 1000 }]);
+      writer.addMessages('acc2', [{ id: 'm2', contactId: 'alice', original: 'Hola', timestamp: 2000 }]);
+      writer.flush();
+
+      const manager = createArchive();
+      const readSpy = jest.spyOn(fs, 'readFileSync');
+      expect(manager.listAccountIds().sort()).toEqual(['acc2', 'user@example.com']);
+      const reads = readSpy.mock.calls.length;
+
+      manager.search('hello');
+      manager.getStats();
+      manager.listAccountIds();
+      expect(readSpy.mock.calls.length).toBe(reads + 2);
+
+      manager.clear('acc2');
+      expect(fs.readdirSync(tempDir)).toEqual(['user_example.com.json']);
+      manager.accounts.clear();
+      expect(manager.listAccountIds()).toEqual(['user@example.com']);
+    });
+  });
+});
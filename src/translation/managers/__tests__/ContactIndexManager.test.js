@@ -0,0 +1,54 @@
+/**
+ * ContactIndexManager 测试
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: () => {
+      throw new Error('not available in tests');
+    }
+  }
+}));
+
+const ContactIndexManager = require('../ContactIndexManager');
+const { parseCSV } = require('../../../utils/csvUtils');
+
+describe('ContactIndexManager', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new ContactIndexManager();
+    index.recordContact('acc1', '+8613800000000', '+86 138 0000 0000', 1000);
+    index.recordContact('acc2', '+8613800000000', '王总', 3000);
+    index.recordContact('acc3', '+8613800000000', '8613800000000@c.us', 2000);
+    index.recordContact('acc1', '+14155552671', '+1 415 555 2671', 4000);
+  });
+
+  test('应该返回其他账号中的同一号码并按最近联系时间排序', () => {
+    expect(index.findDuplicates('acc1', '+8613800000000')).toEqual([
+      { accountId: 'acc2', contactId: '王总', lastSeenAt: 3000 },
+      { accountId: 'acc3', contactId: '8613800000000@c.us', lastSeenAt: 2000 }
+    ]);
+    expect(index.findDuplicates('acc1', '+14155552671')).toEqual([]);
+  });
+
+  test('报表应该只包含多个账号中出现的号码，并可导出 CSV', () => {
+    const report = index.getDuplicateReport();
+
+    expect(report).toHaveLength(1);
+    expect(report[0]).toMatchObject({ phone: '+8613800000000', lastSeenAt: 3000 });
+    expect(report[0].accounts.map(account => account.accountId)).toEqual(['acc2', 'acc3', 'acc1']);
+
+    const rows = parseCSV(index.formatDuplicateCSV(report));
+    expect(rows).toHaveLength(4);
+    expect(rows[1].slice(0, 4)).toEqual(['+8613800000000', 'acc2', '', '王总']);
+  });
+
+  test('按账号清除后号码不再重复', () => {
+    index.clear('acc2');
+    index.clear('acc3');
+
+    expect(index.getDuplicateReport()).toEqual([]);
+    expect(Object.keys(index.phones)).toEqual(['+8613800000000', '+14155552671']);
+  });
+});
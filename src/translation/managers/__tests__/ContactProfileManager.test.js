@@ -0,0 +1,79 @@
+/**
+ * ContactProfileManager 测试
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: () => {
+      throw new Error('not available in tests');
+    }
+  }
+}));
+
+const ContactProfileManager = require('../ContactProfileManager');
+const { parseCSV } = require('../../../utils/csvUtils');
+
+describe('ContactProfileManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ContactProfileManager();
+  });
+
+  test('应该按账号和联系人保存规范化后的客户资料', () => {
+    const saved = manager.saveProfile('acc1', '+86 138 0000 0000', {
+      nickname: '  王总  ',
+      gender: 'unknown',
+      birthday: '1990-05-01',
+      valueTier: 'high',
+      tags: ['VIP', ' VIP ', ''],
+      remark: 'x'.repeat(300),
+      notes: [{ text: '不应通过 saveProfile 写入' }],
+      extra: 'ignored'
+    });
+
+    expect(saved).toMatchObject({ accountId: 'acc1', contactId: '+86 138 0000 0000', nickname: '王总', gender: '', valueTier: 'high', tags: ['VIP'] });
+    expect(saved.remark).toHaveLength(200);
+    expect(saved.notes).toEqual([]);
+    expect(saved.extra).toBeUndefined();
+    expect(manager.getProfile('acc2', '+86 138 0000 0000')).toBeNull();
+    expect(() => manager.saveProfile('acc1', '', {})).toThrow('Account ID and contact ID are required');
+  });
+
+  test('备注录应该按时间倒序保存，更新资料时保留备注', () => {
+    manager.addNote('acc1', 'alice', '首次询价');
+    const profile = manager.addNote('acc1', 'alice', '已发送报价单');
+    manager.saveProfile('acc1', 'alice', { salesStage: 'following' });
+
+    const updated = manager.getProfile('acc1', 'alice');
+    expect(updated.salesStage).toBe('following');
+    expect(updated.notes.map(note => note.text)).toEqual(['已发送报价单', '首次询价']);
+
+    expect(manager.removeNote('acc1', 'alice', profile.notes[0].id).notes).toHaveLength(1);
+    expect(manager.removeNote('acc1', 'alice', 'missing')).toBeNull();
+    expect(() => manager.addNote('acc1', 'alice', 'x'.repeat(301))).toThrow('at most 300');
+  });
+
+  test('应该按关键词和筛选条件跨账号搜索并导出 CSV', () => {
+    manager.saveProfile('acc1', 'alice', { nickname: 'Alice', company: 'Acme', tags: ['VIP'], valueTier: 'high' });
+    manager.saveProfile('acc2', 'bob', { nickname: 'Bob', company: 'ACME Ltd', valueTier: 'low' });
+    manager.saveProfile('acc2', 'carol', { nickname: 'Carol' });
+
+    expect(manager.search('acme').total).toBe(2);
+    expect(manager.search('acme', { accountId: 'acc2' }).profiles.map(profile => profile.contactId)).toEqual(['bob']);
+    expect(manager.search('', { tag: 'VIP' }).profiles.map(profile => profile.contactId)).toEqual(['alice']);
+    expect(manager.search('', { valueTier: 'low' }).total).toBe(1);
+
+    manager.addNote('acc1', 'alice', '第一行, 含逗号');
+    const rows = parseCSV(manager.exportProfiles({ accountId: 'acc1' }));
+    expect(rows[0].slice(0, 3)).toEqual(['accountId', 'contactId', 'nickname']);
+    expect(rows[1][8]).toBe('VIP');
+    expect(rows[1][16]).toMatch(/第一行, 含逗号$/);
+
+    const json = JSON.parse(manager.exportProfiles({ format: 'json' }));
+    expect(json.profiles.map(profile => profile.contactId)).toEqual(['alice', 'bob', 'carol']);
+
+    manager.clear('acc2');
+    expect(manager.listProfiles().map(profile => profile.contactId)).toEqual(['alice']);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * ContactTagManager 测试
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: () => {
+      throw new Error('not available in tests');
+    }
+  }
+}));
+
+const ContactTagManager = require('../ContactTagManager');
+const { TAG_COLORS } = require('../../utils/tagUtils');
+
+describe('ContactTagManager', () => {
+  let manager;
+  let vip;
+  let lead;
+
+  beforeEach(() => {
+    manager = new ContactTagManager();
+    vip = manager.saveTag('acc1', { name: ' VIP ', color: '#FF0000' });
+    lead = manager.saveTag('acc1', { name: '意向客户', color: 'red' });
+  });
+
+  test('应该规范化标签并拒绝重复名称', () => {
+    expect(vip).toMatchObject({ name: 'VIP', color: '#ff0000' });
+    expect(lead.color).toBe(TAG_COLORS[1]);
+    expect(() => manager.saveTag('acc1', { name: 'vip' })).toThrow('already exists');
+    expect(() => manager.saveTag('acc1', { name: '  ' })).toThrow('Tag name is required');
+
+    const renamed = manager.saveTag('acc1', { id: lead.id, name: '成交客户', color: '#00ff00' });
+    expect(renamed).toMatchObject({ id: lead.id, name: '成交客户', color: '#00ff00', createdAt: lead.createdAt });
+    expect(manager.getTags('acc1').tags).toHaveLength(2);
+  });
+
+  test('应该分配标签并统计使用次数', () => {
+    expect(manager.setContactTags('acc1', 'Alice', [vip.id, lead.id, vip.id, 'unknown'])).toEqual([vip.id, lead.id]);
+    manager.setContactTags('acc1', 'Bob', [lead.id]);
+    manager.saveTag('acc2', { name: 'VIP' });
+
+    expect(manager.getTags('acc1').assignments).toEqual({ Alice: [vip.id, lead.id], Bob: [lead.id] });
+    expect(manager.getTagStats('acc1').map(tag => [tag.name, tag.count])).toEqual([['意向客户', 2], ['VIP', 1]]);
+    expect(manager.getTagStats()).toHaveLength(3);
+  });
+
+  test('删除标签应该从联系人移除，清空标签的联系人不再保留', () => {
+    manager.setContactTags('acc1', 'Alice', [vip.id]);
+    manager.setContactTags('acc1', 'Bob', [vip.id, lead.id]);
+
+    expect(manager.deleteTag('acc1', vip.id)).toBe(true);
+    expect(manager.deleteTag('acc1', vip.id)).toBe(false);
+    expect(manager.getTags('acc1').assignments).toEqual({ Bob: [lead.id] });
+
+    manager.clear('acc1');
+    expect(manager.getTags('acc1')).toEqual({ tags: [], assignments: {} });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * PolicyEventManager 测试
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: () => {
+      throw new Error('not available in tests');
+    }
+  }
+}));
+
+const PolicyEventManager = require('../PolicyEventManager');
+
+describe('PolicyEventManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new PolicyEventManager();
+  });
+
+  test('应该为每条命中的规则记录一条事件并按时间倒序查询', () => {
+    const rules = [{ id: 'r1', name: '转账', action: 'block' }, { id: 'r2', pattern: 'card', action: 'warn' }];
+    expect(manager.logEvent('acc1', { contactId: 'Alice', rules, outcome: 'blocked', timestamp: 1000 })).toHaveLength(2);
+    manager.logEvent('acc2', { contactId: 'Bob', rules: [rules[1]], outcome: 'sent', timestamp: 2000 });
+
+    expect(manager.getEvents().map(event => event.timestamp)).toEqual([2000, 1000, 1000]);
+    expect(manager.getEvents({ accountId: 'acc1' })[0]).toMatchObject({
+      accountId: 'acc1', contactId: 'Alice', ruleId: 'r2', ruleName: 'card', action: 'warn', outcome: 'blocked'
+    });
+    expect(manager.getEvents({ from: 1500 })).toHaveLength(1);
+    expect(manager.getEvents({ limit: 1 })).toHaveLength(1);
+    expect(() => manager.logEvent('acc1', { rules, outcome: 'deleted' })).toThrow('Invalid policy outcome');
+    expect(() => manager.logEvent('', { rules, outcome: 'sent' })).toThrow('Account ID is required');
+  });
+
+  test('应该导出 CSV 并按账号清除事件', () => {
+    manager.logEvent('acc1', { contactId: 'Alice', rules: [{ id: 'r1', name: '转账', action: 'warn' }], outcome: 'cancelled', timestamp: 0 });
+    manager.logEvent('acc2', { contactId: 'Bob', rules: [{ id: 'r1', name: '转账', action: 'warn' }], outcome: 'sent', timestamp: 0 });
+
+    const csv = manager.formatEventsCSV(manager.getEvents({ accountId: 'acc1' }).map(event => ({ ...event, accountName: '销售一号' })));
+    expect(csv.split(/\r?\n/)[0]).toBe('time,accountId,accountName,contactId,rule,action,outcome');
+    expect(csv).toContain('1970-01-01T00:00:00.000Z,acc1,销售一号,Alice,转账,warn,cancelled');
+
+    manager.clear('acc1');
+    expect(manager.getEvents().map(event => event.accountId)).toEqual(['acc2']);
+    manager.clear();
+    expect(manager.getEvents()).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * StatsManager 用量配额、费用和回复建议统计测试
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: () => {
+      throw new Error('not available in tests');
+    }
+  }
+}));
+
+const StatsManager = require('../StatsManager');
+
+describe('StatsManager 用量配额', () => {
+  let stats;
+
+  beforeEach(() => {
+    stats = new StatsManager();
+  });
+
+  test('应该按月累计各引擎的字符数', () => {
+    stats.recordTranslation('microsoft', true, 120, 50);
+    stats.recordTranslation('microsoft', true, 30, 50);
+    stats.recordTranslation('microsoft', false, 999, 0);
+
+    expect(stats.getMonthlyChars('microsoft')).toBe(150);
+    expect(stats.getMonthlyChars('deepl')).toBe(0);
+  });
+
+  test('引擎返回用量时应该直接记录', () => {
+    stats.recordQuota('deepl', { characterCount: 1200, characterLimit: 500000 });
+
+    expect(stats.getQuotaStats().deepl).toMatchObject({ characterCount: 1200, characterLimit: 500000, source: 'api' });
+  });
+
+  test('引擎不提供用量时应该使用本地统计', () => {
+    stats.recordTranslation('microsoft', true, 80, 50);
+    stats.recordQuota('microsoft', { characterCount: null, characterLimit: 2000000 });
+
+    expect(stats.getQuotaStats().microsoft).toMatchObject({ characterCount: 80, source: 'local' });
+  });
+});
+
+describe('StatsManager 费用统计', () => {
+  let stats;
+
+  beforeEach(() => {
+    stats = new StatsManager();
+  });
+
+  test('应该按账号和引擎累计 token 用量和费用', () => {
+    stats.recordCost('acc1', 'gpt4', { promptTokens: 100, completionTokens: 40, chars: 20, cost: 0.0054 });
+    stats.recordCost('acc1', 'gpt4', { promptTokens: 50, completionTokens: 10, chars: 10, cost: 0.0021, estimated: true });
+    stats.recordCost('acc2', 'deepl', { chars: 400, cost: 0.01 });
+
+    const month = new Date().toISOString().slice(0, 7);
+    const costStats = stats.getCostStats(month);
+
+    expect(costStats.total).toBe(0.0175);
+    expect(costStats.accounts.acc1.cost).toBe(0.0075);
+    expect(costStats.engines.gpt4).toMatchObject({ requests: 2, promptTokens: 150, completionTokens: 50, estimatedRequests: 1 });
+    expect(stats.getAccountMonthlyCost('acc2')).toBe(0.01);
+    expect(stats.getAccountMonthlyCost('acc3')).toBe(0);
+  });
+
+  test('应该记录每日费用明细', () => {
+    stats.recordCost('acc1', 'gemini', { promptTokens: 10, completionTokens: 5, cost: 0.001 });
+
+    const today = new Date().toISOString().split('T')[0];
+    const daily = stats.getDailyCosts(today.slice(0, 7));
+
+    expect(daily[today].acc1.gemini).toMatchObject({ requests: 1, promptTokens: 10, cost: 0.001 });
+  });
+});
+
+describe('StatsManager 回复建议统计', () => {
+  test('应该按账号和规则记录命中和采用次数', () => {
+    const stats = new StatsManager();
+    stats.recordSuggestionHit('acc1', 'sr_1');
+    stats.recordSuggestionHit('acc1', 'sr_1');
+    stats.recordSuggestionUse('acc1', 'sr_1');
+
+    expect(stats.getSuggestionStats('acc1').sr_1).toMatchObject({ hits: 2, uses: 1 });
+    expect(stats.getSuggestionStats('acc1').sr_1.lastHitAt).toEqual(expect.any(Number));
+    expect(stats.getSuggestionStats('acc2')).toEqual({});
+  });
+});
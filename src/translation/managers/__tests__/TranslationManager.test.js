@@ -0,0 +1,403 @@
+/**
+ * TranslationManager 测试
+ */
+
+const TranslationManager = require('../TranslationManager');
+const TranslationAdapter = require('../../adapters/TranslationAdapter');
+
+/**
+ * 内存缓存（替代依赖 Electron 的 CacheManager）
+ */
+function createMemoryCache() {
+  const store = new Map();
+  return {
+    store,
+    generateKey: (text, sourceLang, targetLang, engine, accountId) =>
+      `${accountId}:${text}:${sourceLang}:${targetLang}:${engine}`,
+    get: jest.fn(async (key) => store.get(key) || null),
+    set: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    getStats: () => ({}),
+    cleanup: async () => {}
+  };
+}
+
+class MockAdapter extends TranslationAdapter {
+  constructor() {
+    super({ name: 'Mock', type: 'mock' });
+    this.translate = jest.fn(async (text) => ({
+      translatedText: `[${text}]`,
+      detectedLang: 'en',
+      engineUsed: this.name
+    }));
+    this.translateBatch = jest.fn(async (texts) => texts.map(text => ({
+      translatedText: `[${text}]`,
+      detectedLang: 'en',
+      engineUsed: this.name
+    })));
+  }
+}
+
+describe('TranslationManager', () => {
+  let manager;
+  let cache;
+  let adapter;
+
+  beforeEach(() => {
+    cache = createMemoryCache();
+    manager = new TranslationManager({}, cache);
+    adapter = new MockAdapter();
+    manager.registerEngine('mock', adapter);
+    manager.delay = () => Promise.resolve();
+  });
+
+  afterEach(() => {
+    manager.performanceOptimizer.cleanup();
+  });
+
+  describe('translateBatch', () => {
+    test('应该用一次引擎调用翻译所有消息并按顺序返回', async () => {
+      const results = await manager.translateBatch(['a', 'b', 'c'], 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translateBatch).toHaveBeenCalledTimes(1);
+      expect(adapter.translate).not.toHaveBeenCalled();
+      expect(results.map(r => r.translatedText)).toEqual(['[a]', '[b]', '[c]']);
+      expect(results.every(r => r.cached === false)).toBe(true);
+    });
+
+    test('应该逐条写入缓存并只请求未命中的消息', async () => {
+      await manager.translateBatch(['a', 'b'], 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+      expect(cache.set).toHaveBeenCalledTimes(2);
+
+      adapter.translateBatch.mockClear();
+      const results = await manager.translateBatch(['a', 'new', 'b'], 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translateBatch).toHaveBeenCalledWith(['new'], 'en', 'zh-CN', expect.any(Object));
+      expect(results.map(r => r.cached)).toEqual([true, false, true]);
+      expect(results[1].translatedText).toBe('[new]');
+    });
+
+    test('批量调用失败时应该逐条翻译', async () => {
+      adapter.translateBatch.mockRejectedValue(new Error('boom'));
+
+      const results = await manager.translateBatch(['x', 'y'], 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translate).toHaveBeenCalledTimes(2);
+      expect(results.map(r => r.translatedText)).toEqual(['[x]', '[y]']);
+    });
+
+    test('无效输入应该返回单项错误而不影响其他消息', async () => {
+      const results = await manager.translateBatch(['ok', ''], 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(results[0].translatedText).toBe('[ok]');
+      expect(results[1].error).toBeDefined();
+    });
+
+    test('应该拒绝非数组输入', async () => {
+      await expect(manager.translateBatch('text', 'en', 'zh-CN', 'mock')).rejects.toThrow('Texts must be an array');
+    });
+  });
+
+  describe('降级引擎', () => {
+    test('本地引擎失败时不应该降级到云端引擎', () => {
+      const cloud = new MockAdapter();
+      manager.registerEngine('google', cloud);
+      adapter.isLocal = () => true;
+
+      expect(manager.getFallbackEngine('mock')).toBeNull();
+    });
+  });
+
+  describe('熔断器', () => {
+    let breaker;
+
+    beforeEach(async () => {
+      await manager.translate('cached', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+      // 只保留翻译缓存，去掉请求去重的短期缓存
+      manager.performanceOptimizer.requestCache.clear();
+      breaker = manager.getCircuitBreaker('mock');
+      for (let i = 0; i < breaker.failureThreshold; i++) {
+        breaker.recordFailure();
+      }
+      // 冷却结束，进入半开状态
+      breaker.openedAt = Date.now() - breaker.cooldownMs;
+      adapter.translate.mockClear();
+    });
+
+    test('半开状态下缓存命中不应该占用试探请求', async () => {
+      const cached = await manager.translate('cached', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+      expect(cached.cached).toBe(true);
+      expect(breaker.canRequest()).toBe(true);
+
+      const result = await manager.translate('fresh', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translate).toHaveBeenCalledTimes(1);
+      expect(result.translatedText).toBe('[fresh]');
+      expect(breaker.getState()).toBe('closed');
+    });
+
+    test('取消的流式翻译应该释放试探请求且不计入失败', async () => {
+      const cancelled = Object.assign(new Error('Translation cancelled'), { code: 'TRANSLATION_CANCELLED' });
+      adapter.translate.mockRejectedValueOnce(cancelled);
+
+      await expect(manager.translate('stream', 'en', 'zh-CN', 'mock', { accountId: 'acc1', onChunk: jest.fn() }))
+        .rejects.toMatchObject({ code: 'TRANSLATION_CANCELLED' });
+      expect(breaker.getState()).toBe('half-open');
+      expect(breaker.canRequest()).toBe(true);
+
+      const result = await manager.translate('fresh', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(result.translatedText).toBe('[fresh]');
+      expect(breaker.getState()).toBe('closed');
+    });
+
+    test('试探请求进行中时其他请求不应该调用引擎', async () => {
+      expect(breaker.acquire()).toBe(true);
+
+      await expect(manager.translate('other', 'en', 'zh-CN', 'mock', { accountId: 'acc1' }))
+        .rejects.toThrow('circuit open: mock');
+      expect(adapter.translate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('路由规则', () => {
+    let deepl;
+
+    beforeEach(() => {
+      deepl = new MockAdapter();
+      manager.registerEngine('deepl', deepl);
+      manager.configManager = {
+        resolveRoute: (accountId, context, requestedEngine) => (
+          context.sourceLang === 'ja' && context.direction === 'inbound'
+            ? { engine: 'deepl', chain: ['deepl', 'mock'], ruleId: 'ja', ruleName: '日语' }
+            : { engine: requestedEngine, chain: [requestedEngine, 'deepl'], ruleId: null, ruleName: null }
+        )
+      };
+    });
+
+    test('应该按匹配的规则选择引擎并在事件中报告路由决策', async () => {
+      const events = [];
+      manager.on('translation-success', (data) => events.push(data));
+
+      await manager.translate('こんにちは', 'auto', 'zh-CN', 'mock', { accountId: 'acc1', direction: 'inbound' });
+
+      expect(deepl.translate).toHaveBeenCalledTimes(1);
+      expect(adapter.translate).not.toHaveBeenCalled();
+      expect(events[0].route).toMatchObject({ requestedEngine: 'mock', engine: 'deepl', ruleName: '日语', fallback: false });
+    });
+
+    test('引擎连续失败后应该熔断并直接使用降级链中的下一个引擎', async () => {
+      adapter.translate.mockRejectedValue(new Error('HTTP 500'));
+
+      for (const text of ['a', 'b', 'c']) {
+        await manager.translate(text, 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+      }
+      expect(manager.getCircuitBreaker('mock').getState()).toBe('open');
+
+      adapter.translate.mockClear();
+      const result = await manager.translate('d', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translate).not.toHaveBeenCalled();
+      expect(result.translatedText).toBe('[d]');
+      expect(manager.getStats().circuitBreakers.mock.state).toBe('open');
+    });
+  });
+
+  describe('预算', () => {
+    test('预算守卫应该改写路由并在事件中标记 budgetCapped', async () => {
+      const cheap = new MockAdapter();
+      manager.registerEngine('google', cheap);
+      manager.setBudgetGuard((accountId, route) => (
+        accountId === 'acc1' ? { ...route, engine: 'google', chain: ['google'], budgetCapped: true } : route
+      ));
+      const events = [];
+      manager.on('translation-success', (data) => events.push(data));
+
+      await manager.translate('hello', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translate).not.toHaveBeenCalled();
+      expect(cheap.translate).toHaveBeenCalledTimes(1);
+      expect(events[0].route).toMatchObject({ engine: 'google', budgetCapped: true });
+    });
+
+    test('应该在成功事件中报告 token 用量且不写入缓存', async () => {
+      adapter.translate.mockResolvedValue({
+        translatedText: '你好',
+        detectedLang: 'en',
+        engineUsed: 'Mock',
+        usage: { promptTokens: 12, completionTokens: 3 }
+      });
+      const events = [];
+      manager.on('translation-success', (data) => events.push(data));
+
+      const result = await manager.translate('hello', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(events[0].usage).toEqual({ promptTokens: 12, completionTokens: 3 });
+      expect(result.usage).toBeUndefined();
+      expect([...cache.store.values()][0].usage).toBeUndefined();
+    });
+  });
+
+  describe('翻译记忆库', () => {
+    let memory;
+    let memoryConfig;
+    const segment = { id: 'tm_1', source: 'see you tomorrow', target: '明天见', sourceLang: 'en' };
+
+    beforeEach(() => {
+      memory = {
+        segments: [],
+        findExact: jest.fn((text, sourceLang, targetLang, options) => (
+          text === 'see you tomorrow' && !options.style ? segment : null
+        )),
+        lookup: jest.fn((text) => (text === 'see you tomorrow!' ? { segment, similarity: 0.94 } : null)),
+        addSegment: jest.fn((entry) => memory.segments.push(entry))
+      };
+      memoryConfig = { enabled: true, autoSave: true, fuzzyReuse: false, minSimilarity: 0.9 };
+      manager.setTranslationMemory(memory);
+      manager.configManager = {
+        getMemoryConfig: () => memoryConfig
+      };
+    });
+
+    test('原文完全相同时应该直接返回记忆译文而不调用引擎', async () => {
+      const result = await manager.translate('see you tomorrow', 'auto', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translate).not.toHaveBeenCalled();
+      expect(result.translatedText).toBe('明天见');
+      expect(result.memoryMatch).toMatchObject({ id: 'tm_1', similarity: 1 });
+      expect(memory.findExact.mock.calls[0][3]).toEqual({ accountId: 'acc1', style: null, glossary: null });
+    });
+
+    test('相似条目默认只作为参考译文返回，不替代引擎译文', async () => {
+      const result = await manager.translate('see you tomorrow!', 'auto', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translate).toHaveBeenCalledTimes(1);
+      expect(result.translatedText).toBe('[see you tomorrow!]');
+      expect(result.memoryMatch).toBeUndefined();
+      expect(result.memorySuggestion).toEqual({
+        id: 'tm_1',
+        source: 'see you tomorrow',
+        target: '明天见',
+        similarity: 0.94
+      });
+      expect(memory.lookup.mock.calls[0][3]).toMatchObject({ minSimilarity: 0.9, recordUsage: false });
+    });
+
+    test('开启 fuzzyReuse 后应该直接复用相似条目', async () => {
+      memoryConfig.fuzzyReuse = true;
+
+      const result = await manager.translate('see you tomorrow!', 'auto', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translate).not.toHaveBeenCalled();
+      expect(result.translatedText).toBe('明天见');
+      expect(result.memoryMatch).toMatchObject({ similarity: 0.94 });
+    });
+
+    test('翻译风格应该参与记忆库查找和保存', async () => {
+      const result = await manager.translate('see you tomorrow', 'en', 'zh-CN', 'mock', { accountId: 'acc1', style: 'formal' });
+
+      expect(memory.findExact.mock.calls[0][3]).toMatchObject({ style: 'formal' });
+      expect(adapter.translate).toHaveBeenCalledTimes(1);
+      expect(result.translatedText).toBe('[see you tomorrow]');
+      expect(memory.addSegment).toHaveBeenCalledWith(expect.objectContaining({ style: 'formal', glossary: null }));
+    });
+
+    test('流式请求命中记忆库时应该回传完整译文', async () => {
+      const onChunk = jest.fn();
+
+      await manager.translate('see you tomorrow', 'en', 'zh-CN', 'mock', { accountId: 'acc1', onChunk });
+
+      expect(onChunk).toHaveBeenCalledWith('明天见', '明天见');
+    });
+
+    test('应该自动保存引擎译文（源语言为 auto 时使用检测到的语言）', async () => {
+      await manager.translateBatch(['hello', 'see you tomorrow'], 'auto', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      expect(adapter.translateBatch.mock.calls[0][0]).toEqual(['hello']);
+      expect(memory.addSegment).toHaveBeenCalledWith(expect.objectContaining({
+        accountId: 'acc1',
+        sourceLang: 'en',
+        targetLang: 'zh-CN',
+        source: 'hello',
+        target: '[hello]',
+        origin: 'auto'
+      }));
+    });
+
+    test('上下文参与缓存键时不应该使用记忆库', async () => {
+      await manager.translate('see you tomorrow!', 'en', 'zh-CN', 'mock', {
+        accountId: 'acc1',
+        contextInCacheKey: true,
+        context: ['对方: bye']
+      });
+
+      expect(memory.lookup).not.toHaveBeenCalled();
+      expect(adapter.translate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('对话上下文', () => {
+    test('默认不应该让上下文参与缓存键', async () => {
+      await manager.translate('it', 'en', 'zh-CN', 'mock', { accountId: 'acc1', context: ['我: the box'] });
+      const result = await manager.translate('it', 'en', 'zh-CN', 'mock', { accountId: 'acc1', context: ['我: the car'] });
+
+      expect(adapter.translate).toHaveBeenCalledTimes(1);
+      expect(result.translatedText).toBe('[it]');
+    });
+
+    test('开启 contextInCacheKey 时不同上下文应该分别翻译', async () => {
+      const options = { accountId: 'acc1', contextInCacheKey: true };
+      await manager.translate('it', 'en', 'zh-CN', 'mock', { ...options, context: ['我: the box'] });
+      await manager.translate('it', 'en', 'zh-CN', 'mock', { ...options, context: ['我: the car'] });
+
+      expect(adapter.translate).toHaveBeenCalledTimes(2);
+      expect(adapter.translate.mock.calls[1][3].context).toEqual(['我: the car']);
+    });
+
+    test('批量翻译应该把上下文传给引擎并在开启时参与缓存键', async () => {
+      const options = { accountId: 'acc1', contextInCacheKey: true };
+      await manager.translateBatch(['a', 'b'], 'en', 'zh-CN', 'mock', { ...options, context: ['我: the box'] });
+      await manager.translateBatch(['a', 'b'], 'en', 'zh-CN', 'mock', { ...options, context: ['我: the car'] });
+
+      expect(adapter.translateBatch).toHaveBeenCalledTimes(2);
+      expect(adapter.translateBatch.mock.calls[1][3].context).toEqual(['我: the car']);
+    });
+  });
+
+  describe('术语表', () => {
+    beforeEach(() => {
+      manager.configManager = {
+        getEffectiveGlossary: () => ({
+          terms: [{ source: 'Widget', target: '小部件' }],
+          doNotTranslate: ['SKU-1']
+        })
+      };
+    });
+
+    test('不支持提示词的引擎应该收到遮蔽后的文本并还原术语', async () => {
+      adapter.translate.mockImplementation(async (text) => ({
+        translatedText: text.replace('buy', '购买'),
+        detectedLang: 'en',
+        engineUsed: 'Mock'
+      }));
+
+      const result = await manager.translate('buy Widget SKU-1', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      const sentText = adapter.translate.mock.calls[0][0];
+      expect(sentText).not.toContain('Widget');
+      expect(sentText).not.toContain('SKU-1');
+      expect(result.translatedText).toBe('购买 小部件 SKU-1');
+    });
+
+    test('支持提示词的引擎应该通过 options.glossary 收到匹配的术语', async () => {
+      adapter.supportsGlossaryPrompt = () => true;
+
+      await manager.translate('Widget', 'en', 'zh-CN', 'mock', { accountId: 'acc1' });
+
+      const [sentText, , , options] = adapter.translate.mock.calls[0];
+      expect(sentText).toBe('Widget');
+      expect(options.glossary.terms[0].target).toBe('小部件');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * TranslationMemoryManager 测试
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: () => {
+      throw new Error('not available in tests');
+    }
+  }
+}));
+
+const TranslationMemoryManager = require('../TranslationMemoryManager');
+
+describe('TranslationMemoryManager', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = new TranslationMemoryManager();
+    memory.addSegment({
+      accountId: null,
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'Your order has been shipped today',
+      target: '您的订单今天已发货'
+    });
+  });
+
+  test('应该模糊匹配轻微修改过的原文', () => {
+    const match = memory.lookup('Your order has been shipped today!!', 'en', 'zh-CN', { minSimilarity: 0.9 });
+    const fuzzy = memory.lookup('your order has been shipped toda', 'auto', 'zh-CN', { minSimilarity: 0.9 });
+
+    expect(match.similarity).toBe(1);
+    expect(fuzzy.similarity).toBeGreaterThan(0.9);
+    expect(fuzzy.similarity).toBeLessThan(1);
+    expect(fuzzy.segment.usageCount).toBe(2);
+    expect(memory.lookup('Your order was cancelled', 'en', 'zh-CN', { minSimilarity: 0.9 })).toBeNull();
+    expect(memory.lookup('Your order has been shipped today', 'en', 'ja', { minSimilarity: 0.9 })).toBeNull();
+  });
+
+  test('精确查找只命中原文完全相同的条目', () => {
+    memory.addSegment({
+      accountId: null,
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'We will ship 30 boxes',
+      target: '我们将发货 30 箱'
+    });
+
+    expect(memory.findExact('We will ship 30 boxes', 'en', 'zh-CN').target).toBe('我们将发货 30 箱');
+    expect(memory.findExact('We will ship 80 boxes', 'en', 'zh-CN')).toBeNull();
+    expect(memory.lookup('We will ship 80 boxes', 'en', 'zh-CN', { minSimilarity: 0.9 })).not.toBeNull();
+  });
+
+  test('条目应该按翻译风格和术语表区分', () => {
+    memory.addSegment({
+      accountId: null,
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'Your order has been shipped today',
+      target: '尊敬的客户，您的订单已于今日发出',
+      style: 'formal'
+    });
+
+    expect(memory.findExact('Your order has been shipped today', 'en', 'zh-CN').target).toBe('您的订单今天已发货');
+    expect(memory.findExact('Your order has been shipped today', 'en', 'zh-CN', { style: 'formal' }).target)
+      .toBe('尊敬的客户，您的订单已于今日发出');
+    expect(memory.findExact('Your order has been shipped today', 'en', 'zh-CN', { glossary: 'abc123' })).toBeNull();
+    expect(memory.lookup('Your order has been shipped today', 'en', 'zh-CN', { style: 'casual' })).toBeNull();
+  });
+
+  test('非拉丁文字的不同消息不应该模糊命中，过短的文本只做精确匹配', () => {
+    memory.addSegment({ accountId: null, sourceLang: 'ru', targetLang: 'zh-CN', source: 'Да, 2 штуки', target: '是的，2 件' });
+    memory.addSegment({ accountId: null, sourceLang: 'ar', targetLang: 'zh-CN', source: 'نعم، قطعتان', target: '是的，两件' });
+    memory.addSegment({ accountId: null, sourceLang: 'en', targetLang: 'zh-CN', source: '👍', target: '好的' });
+
+    expect(memory.lookup('Нет, 2 коробки', 'ru', 'zh-CN', { minSimilarity: 0.5 })).toBeNull();
+    expect(memory.lookup('لا، صندوقان', 'ar', 'zh-CN', { minSimilarity: 0.5 })).toBeNull();
+    expect(memory.lookup('Да, 2 штуки!', 'ru', 'zh-CN').similarity).toBe(1);
+    expect(memory.lookup('❤️', 'en', 'zh-CN', { minSimilarity: 0.5 })).toBeNull();
+  });
+
+  test('recordUsage 为 false 时查找不应该计入使用次数', () => {
+    const match = memory.lookup('Your order has been shipped today', 'en', 'zh-CN', { recordUsage: false });
+
+    expect(match.segment.usageCount).toBe(0);
+  });
+
+  test('账号条目应该只对该账号可见并优先于共享条目', () => {
+    memory.addSegment({
+      accountId: 'acc1',
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'Your order has been shipped today',
+      target: '亲，您的宝贝今天已发货'
+    });
+
+    expect(memory.lookup('Your order has been shipped today', 'en', 'zh-CN', { accountId: 'acc1' }).segment.target)
+      .toBe('亲，您的宝贝今天已发货');
+    expect(memory.lookup('Your order has been shipped today', 'en', 'zh-CN', { accountId: 'acc2' }).segment.target)
+      .toBe('您的订单今天已发货');
+  });
+
+  test('自动保存的译文不应该覆盖人工条目', () => {
+    const result = memory.addSegment({
+      accountId: null,
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'Your order has been shipped today',
+      target: '你的订单今天被运送了',
+      origin: 'auto'
+    });
+
+    expect(result).toBeNull();
+    expect(memory.search('shipped').segments[0].target).toBe('您的订单今天已发货');
+  });
+
+  test('TMX 导出后应该能导入到其他账号', () => {
+    const xml = memory.exportTMX({ accountId: null });
+    const other = new TranslationMemoryManager();
+
+    const { imported, errors } = other.importTMX(xml, 'acc2');
+
+    expect(imported).toBe(1);
+    expect(errors).toEqual([]);
+    expect(other.search('', { accountId: 'acc2' }).segments[0]).toMatchObject({
+      accountId: 'acc2',
+      source: 'Your order has been shipped today',
+      target: '您的订单今天已发货',
+      origin: 'manual'
+    });
+  });
+
+  test('TMX 导入导出应该保留不同风格的条目', () => {
+    memory.addSegment({
+      accountId: null,
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'Your order has been shipped today',
+      target: '尊敬的客户，您的订单已于今日发出',
+      style: 'formal'
+    });
+    const other = new TranslationMemoryManager();
+
+    expect(other.importTMX(memory.exportTMX({ accountId: null })).imported).toBe(2);
+    expect(other.findExact('Your order has been shipped today', 'en', 'zh-CN').target).toBe('您的订单今天已发货');
+    expect(other.findExact('Your order has been shipped today', 'en', 'zh-CN', { style: 'formal' }).target)
+      .toBe('尊敬的客户，您的订单已于今日发出');
+  });
+
+  test('清除自动条目时应该保留人工条目', () => {
+    memory.addSegment({ sourceLang: 'en', targetLang: 'zh-CN', source: 'hi', target: '嗨', origin: 'auto' });
+
+    expect(memory.clear({ origin: 'auto' })).toBe(1);
+    expect(memory.getStats()).toMatchObject({ total: 1, origins: { manual: 1 } });
+  });
+});
@@ -9,17 +9,44 @@ const {
   CacheManager,
   GoogleTranslateAdapter,
   AITranslationAdapter,
-  CustomAPIAdapter
+  CustomAPIAdapter,
+  LibreTranslateAdapter,
+  DeepLAdapter,
+  MicrosoftTranslatorAdapter
 } = require('./index');
 const StatsManager = require('./managers/StatsManager');
+const TranslationMemoryManager = require('./managers/TranslationMemoryManager');
+const ContactProfileManager = require('./managers/ContactProfileManager');
+const ContactIndexManager = require('./managers/ContactIndexManager');
+const ChatArchiveManager = require('./managers/ChatArchiveManager');
+const ContactTagManager = require('./managers/ContactTagManager');
+const PolicyEventManager = require('./managers/PolicyEventManager');
+const { calculateCost, isPaidEngine, formatCostCSV } = require('./utils/costUtils');
+const { matchSuggestionRules } = require('./utils/suggestionUtils');
+const { normalizePhoneNumber } = require('./utils/phoneUtils');
+const { TRANSCRIPT_FORMATS, redactTranscript, formatTranscript } = require('./utils/transcriptUtils');
+const PrivacyProtection = require('./utils/PrivacyProtection');
+const { selectTranslationProxy, describeTranslationProxy, clearProxyAgents } = require('./utils/proxyAgentUtils');
+
+// 用量配额刷新间隔
+const QUOTA_REFRESH_INTERVAL = 5 * 60 * 1000;
 
 class TranslationService {
   constructor() {
     this.configManager = null;
     this.cacheManager = null;
     this.statsManager = null;
+    this.memoryManager = null;
+    this.contactProfileManager = null;
+    this.contactIndexManager = null;
+    this.archiveManager = null;
+    this.contactTagManager = null;
+    this.policyEventManager = null;
     this.translationManager = null;
+    this.accountNameResolver = null;
+    this.proxyResolver = null;
     this.initialized = false;
+    this._quotaRefreshedAt = 0;
   }
 
   /**
@@ -41,14 +68,24 @@ class TranslationService {
         ttl: 7 * 24 * 60 * 60 * 1000 // 7 days
       });
       this.statsManager = new StatsManager();
+      this.memoryManager = new TranslationMemoryManager();
+      this.contactProfileManager = new ContactProfileManager();
+      this.contactIndexManager = new ContactIndexManager();
+      this.archiveManager = new ChatArchiveManager();
+      this.contactTagManager = new ContactTagManager();
+      this.policyEventManager = new PolicyEventManager();
       this.translationManager = new TranslationManager(
         this.configManager,
         this.cacheManager
       );
+      this.translationManager.setTranslationMemory(this.memoryManager);
 
       // 注册翻译引擎
       this.registerEngines();
 
+      // 账号超出月度预算时切换到更便宜的引擎
+      this.translationManager.setBudgetGuard((accountId, route) => this.applyBudgetCap(accountId, route));
+
       // 监听翻译事件
       this.setupEventListeners();
 
@@ -130,6 +167,7 @@ class TranslationService {
         name: engineConfigs.custom.name,
         endpoint: engineConfigs.custom.endpoint,
         model: engineConfigs.custom.model,
+        apiFormat: engineConfigs.custom.apiFormat,
         hasApiKey: !!engineConfigs.custom.apiKey
       });
       
@@ -139,6 +177,7 @@ class TranslationService {
         apiKey: engineConfigs.custom.apiKey,
         endpoint: engineConfigs.custom.endpoint,
         model: engineConfigs.custom.model,
+        apiFormat: engineConfigs.custom.apiFormat || 'openai',
         enabled: true
       });
       this.translationManager.registerEngine('custom', customAdapter);
@@ -146,6 +185,45 @@ class TranslationService {
     } else {
       console.log('[TranslationService] Custom API 未启用或配置缺失');
     }
+
+    // DeepL
+    if (engineConfigs.deepl && engineConfigs.deepl.enabled && engineConfigs.deepl.apiKey) {
+      const deeplAdapter = new DeepLAdapter({
+        apiKey: engineConfigs.deepl.apiKey,
+        endpoint: engineConfigs.deepl.endpoint,
+        glossaryIds: engineConfigs.deepl.glossaryIds,
+        enabled: true
+      });
+      this.translationManager.registerEngine('deepl', deeplAdapter);
+      console.log('[TranslationService] Registered DeepL');
+    }
+
+    // Microsoft Translator
+    if (engineConfigs.microsoft && engineConfigs.microsoft.enabled && engineConfigs.microsoft.apiKey) {
+      const microsoftAdapter = new MicrosoftTranslatorAdapter({
+        apiKey: engineConfigs.microsoft.apiKey,
+        region: engineConfigs.microsoft.region,
+        endpoint: engineConfigs.microsoft.endpoint,
+        category: engineConfigs.microsoft.category,
+        formalCategory: engineConfigs.microsoft.formalCategory,
+        informalCategory: engineConfigs.microsoft.informalCategory,
+        monthlyCharLimit: engineConfigs.microsoft.monthlyCharLimit,
+        enabled: true
+      });
+      this.translationManager.registerEngine('microsoft', microsoftAdapter);
+      console.log('[TranslationService] Registered Microsoft Translator');
+    }
+
+    // LibreTranslate（自建本地翻译服务）
+    if (engineConfigs.libretranslate && engineConfigs.libretranslate.enabled && engineConfigs.libretranslate.endpoint) {
+      const libreAdapter = new LibreTranslateAdapter({
+        endpoint: engineConfigs.libretranslate.endpoint,
+        apiKey: engineConfigs.libretranslate.apiKey,
+        enabled: true
+      });
+      this.translationManager.registerEngine('libretranslate', libreAdapter);
+      console.log('[TranslationService] Registered LibreTranslate:', engineConfigs.libretranslate.endpoint);
+    }
   }
 
   /**
@@ -158,8 +236,10 @@ class TranslationService {
         data.engineName,
         true,
         data.charCount,
-        data.responseTime
+        data.responseTime,
+        data.route
       );
+      this.recordCost(data);
     });
 
     // 监听翻译失败事件
@@ -168,7 +248,8 @@ class TranslationService {
         data.engineName,
         false,
         data.text.length,
-        0
+        0,
+        data.route
       );
     });
 
@@ -176,17 +257,378 @@ class TranslationService {
     this.translationManager.on('cache-hit', (data) => {
       console.log(`[TranslationService] Cache hit for engine: ${data.engineName}`);
     });
+
+    // 监听翻译记忆库命中事件
+    this.translationManager.on('memory-hit', (data) => {
+      console.log(`[TranslationService] Translation memory hit (${Math.round(data.similarity * 100)}%)`);
+    });
+  }
+
+  /**
+   * 按价格表计算并记录一次翻译的费用
+   * @param {Object} data - translation-success 事件数据
+   */
+  recordCost(data) {
+    const usage = data.usage || {};
+    const chars = data.charCount || 0;
+
+    this.statsManager.recordCost(data.accountId || 'default', data.engineName, {
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      chars,
+      estimated: usage.estimated === true,
+      cost: calculateCost(this.configManager.getEnginePrice(data.engineName), { ...usage, chars })
+    });
+  }
+
+  /**
+   * 检查账号月度预算，超出时把路由切换到预算配置的备用引擎
+   * 降级链中只保留免费引擎，避免继续产生费用
+   * @param {string|null} accountId - 账号ID
+   * @param {Object} route - 路由决策
+   * @returns {Object} 路由决策
+   */
+  applyBudgetCap(accountId, route) {
+    const budget = this.configManager.getBudget(accountId);
+    if (!budget) {
+      return route;
+    }
+
+    const isPaid = engineName => isPaidEngine(this.configManager.getEnginePrice(engineName));
+    if (!isPaid(route.engine)) {
+      return route;
+    }
+
+    const spent = this.statsManager.getAccountMonthlyCost(accountId);
+    if (spent < budget.monthlyLimit) {
+      return route;
+    }
+
+    const engine = budget.fallbackEngine;
+    console.log(`[TranslationService] Budget cap reached for ${accountId} (${spent}/${budget.monthlyLimit}), using ${engine} instead of ${route.engine}`);
+
+    return {
+      ...route,
+      engine,
+      chain: [engine, ...route.chain.filter(name => name !== engine && !isPaid(name))],
+      budgetCapped: true
+    };
+  }
+
+  /**
+   * 获取费用汇总
+   * @param {string} month - 月份 (YYYY-MM)，默认当月
+   * @returns {Object} { month, currency, total, accounts, engines, daily, budgets }
+   */
+  getCostStats(month) {
+    const stats = this.statsManager.getCostStats(month);
+    const budgets = {};
+    Object.keys(stats.accounts).forEach(accountId => {
+      const budget = this.configManager.getBudget(accountId);
+      if (budget) {
+        budgets[accountId] = budget;
+      }
+    });
+
+    return {
+      ...stats,
+      currency: this.configManager.getPricing().currency,
+      budgets
+    };
+  }
+
+  /**
+   * 导出每日费用明细 CSV
+   * @param {string} month - 月份 (YYYY-MM)，为空时导出全部保留的明细
+   * @returns {string} CSV 内容
+   */
+  exportCostReport(month = null) {
+    return formatCostCSV(this.statsManager.getDailyCosts(month));
+  }
+
+  /**
+   * 匹配收到的消息对应的回复建议，并记录规则命中
+   * @param {string} accountId - 账号ID
+   * @param {Object} message - { original, translated, contactId }
+   * @returns {Array<Object>} 建议列表 [{ ruleId, ruleName, matchedOn, reply: { id, title, text } }]
+   */
+  matchReplySuggestions(accountId, message) {
+    const rules = this.configManager.getSuggestionRules(accountId);
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const replies = new Map();
+    this.configManager.getEffectiveQuickReplies(accountId).groups.forEach(group => {
+      group.replies.forEach(reply => {
+        if (!replies.has(reply.id)) {
+          replies.set(reply.id, reply);
+        }
+      });
+    });
+
+    // 引用的模板已被删除的规则不再建议
+    return matchSuggestionRules(rules.filter(rule => replies.has(rule.replyId)), message || {})
+      .map(({ rule, matchedOn }) => {
+        this.statsManager.recordSuggestionHit(accountId, rule.id);
+        return {
+          ruleId: rule.id,
+          ruleName: rule.name || rule.pattern,
+          matchedOn,
+          reply: replies.get(rule.replyId)
+        };
+      });
+  }
+
+  /**
+   * 设置账号名称解析函数（重复客户提醒中显示账号名称）
+   * @param {Function} resolver - async (accountId) => string|null
+   */
+  setAccountNameResolver(resolver) {
+    this.accountNameResolver = resolver;
+  }
+
+  /**
+   * 设置代理解析函数（翻译请求使用账号代理或全局翻译代理）
+   * @param {Object} resolver
+   * @param {Function} resolver.account - async (accountId) => 账号解析后的代理配置|null
+   * @param {Function} resolver.profile - (profileId) => 代理配置库中解析后的代理配置|null
+   * @param {Function} resolver.profiles - () => 代理配置库列表（不含密码）
+   */
+  setProxyResolver(resolver) {
+    this.proxyResolver = resolver;
+  }
+
+  /**
+   * 解析账号翻译请求使用的代理
+   * @param {string} accountId - 账号ID
+   * @returns {Promise<{proxy: Object|null, source: string}>} source 为 account、global 或 direct
+   */
+  async resolveTranslationProxy(accountId) {
+    if (!this.proxyResolver) {
+      return { proxy: null, source: 'direct' };
+    }
+
+    const settings = this.configManager.getProxyConfig();
+    let accountProxy = null;
+    if (settings.useAccountProxy && accountId) {
+      try {
+        accountProxy = await this.proxyResolver.account(accountId);
+      } catch (error) {
+        console.warn('[TranslationService] Failed to resolve account proxy:', error.message);
+      }
+    }
+
+    const globalProxy = settings.profileId
+      ? this.proxyResolver.profile(settings.profileId)
+      : null;
+
+    return selectTranslationProxy(accountProxy, globalProxy, settings);
+  }
+
+  /**
+   * 获取翻译代理设置和账号当前使用的代理（设置面板显示）
+   * @param {string} accountId - 账号ID
+   * @returns {Promise<{config: Object, profiles: Array<Object>, current: {source: string, description: string}}>}
+   */
+  async getProxySettings(accountId) {
+    const { proxy, source } = await this.resolveTranslationProxy(accountId);
+    return {
+      config: this.configManager.getProxyConfig(),
+      profiles: this.proxyResolver ? this.proxyResolver.profiles() : [],
+      current: { source, description: describeTranslationProxy(proxy) }
+    };
+  }
+
+  /**
+   * 保存翻译代理设置
+   * @param {Object} config - { useAccountProxy, profileId }
+   * @returns {Object} 保存后的设置
+   */
+  saveProxySettings(config) {
+    const saved = this.configManager.saveProxyConfig(config);
+    clearProxyAgents();
+    return saved;
+  }
+
+  /**
+   * 为翻译请求补充账号使用的代理（调用方已指定代理时保留）
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object>} 翻译选项
+   */
+  async withTranslationProxy(options) {
+    if (options.proxy !== undefined || !options.accountId) {
+      return options;
+    }
+    const { proxy } = await this.resolveTranslationProxy(options.accountId);
+    return proxy ? { ...options, proxy } : options;
+  }
+
+  /**
+   * 为账号列表补充账号名称
+   * @param {Array<Object>} accounts - [{ accountId, ... }]
+   * @returns {Promise<Array<Object>>} [{ accountId, accountName, ... }]
+   */
+  async withAccountNames(accounts) {
+    // 每个账号只解析一次（归档消息列表中同一账号会重复出现）
+    const names = new Map();
+    await Promise.all(Array.from(new Set(accounts.map(account => account.accountId))).map(async accountId => {
+      let accountName = null;
+      if (this.accountNameResolver) {
+        try {
+          accountName = await this.accountNameResolver(accountId);
+        } catch (error) {
+          console.warn('[TranslationService] Failed to resolve account name:', error.message);
+        }
+      }
+      names.set(accountId, accountName || accountId);
+    }));
+
+    return accounts.map(account => ({ ...account, accountName: names.get(account.accountId) }));
+  }
+
+  /**
+   * 记录账号打开的联系人，并查找正在其他账号中跟进的同一号码
+   * 联系人ID不是号码（已保存的联系人显示名称）时使用客户资料中的电话
+   * @param {string} accountId - 账号ID
+   * @param {string} contactId - 联系人ID
+   * @returns {Promise<{phone: string|null, duplicates: Array<Object>}>} duplicates 按最近联系时间倒序
+   */
+  async checkDuplicateContact(accountId, contactId) {
+    const profile = this.contactProfileManager.getProfile(accountId, contactId);
+    const phone = normalizePhoneNumber(contactId) || normalizePhoneNumber(profile ? profile.phone : null);
+    if (!phone) {
+      return { phone: null, duplicates: [] };
+    }
+
+    // 先查找再记录，避免把当前账号本次的联系时间计入
+    const duplicates = this.contactIndexManager.findDuplicates(accountId, phone);
+    this.contactIndexManager.recordContact(accountId, phone, contactId);
+
+    return { phone, duplicates: await this.withAccountNames(duplicates) };
+  }
+
+  /**
+   * 获取重复客户报表（在两个及以上账号中出现的号码）
+   * @returns {Promise<Array<{phone: string, accounts: Array<Object>, lastSeenAt: number}>>}
+   */
+  async getDuplicateReport() {
+    return Promise.all(this.contactIndexManager.getDuplicateReport().map(async item => ({
+      ...item,
+      accounts: await this.withAccountNames(item.accounts)
+    })));
+  }
+
+  /**
+   * 导出重复客户报表 CSV
+   * @returns {Promise<string>} CSV 内容
+   */
+  async exportDuplicateReport() {
+    return this.contactIndexManager.formatDuplicateCSV(await this.getDuplicateReport());
+  }
+
+  /**
+   * 查询敏感词策略事件（带账号名称）
+   * @param {Object} [filter] - { accountId, from, to, limit }
+   * @returns {Promise<Array<Object>>} 事件列表（按时间倒序）
+   */
+  async getPolicyEvents(filter = {}) {
+    return this.withAccountNames(this.policyEventManager.getEvents(filter));
+  }
+
+  /**
+   * 导出敏感词策略事件 CSV
+   * @param {Object} [filter] - { accountId, from, to, limit }
+   * @returns {Promise<string>} CSV 内容
+   */
+  async exportPolicyEvents(filter = {}) {
+    return this.policyEventManager.formatEventsCSV(await this.getPolicyEvents({ limit: Infinity, ...filter }));
+  }
+
+  /**
+   * 归档聊天消息（归档关闭时忽略）
+   * @param {string} accountId - 账号ID
+   * @param {Array<Object>} records - 消息列表
+   * @returns {number} 新增或更新的消息数
+   */
+  archiveMessages(accountId, records) {
+    if (!this.configManager.getArchiveConfig().enabled) {
+      return 0;
+    }
+    return this.archiveManager.addMessages(accountId, records);
+  }
+
+  /**
+   * 搜索归档消息（结果补充账号名称）
+   * @param {string} query - 关键词
+   * @param {Object} options - { accountId, contactId, from, to, language, direction, limit, offset }
+   * @returns {Promise<{messages: Array<Object>, total: number}>}
+   */
+  async searchArchive(query, options = {}) {
+    const result = this.archiveManager.search(query, options);
+    return { ...result, messages: await this.withAccountNames(result.messages) };
+  }
+
+  /**
+   * 导出聊天记录（按聊天或按账号）
+   * @param {Object} options - { accountId, contactId, from, to, format: 'html' | 'csv' | 'json', redact }
+   * @returns {Promise<{content: string, format: string, count: number}>}
+   */
+  async exportTranscript(options = {}) {
+    const format = options.format || 'html';
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported transcript format: ${format}`);
+    }
+
+    const filters = {
+      accountId: options.accountId || undefined,
+      contactId: options.contactId || undefined,
+      from: options.from || undefined,
+      to: options.to || undefined
+    };
+    const { messages: found } = this.archiveManager.search('', { ...filters, limit: Infinity });
+
+    let messages = (await this.withAccountNames(found)).reverse();
+    let meta = filters;
+    if (options.redact) {
+      const privacy = new PrivacyProtection();
+      const redact = text => privacy.removeSensitiveInfo(text);
+      messages = redactTranscript(messages, redact);
+      // 导出条件中的联系人同样脱敏（JSON 会写出导出条件）
+      meta = { ...filters, contactId: filters.contactId ? redact(filters.contactId) : undefined };
+    }
+
+    return {
+      content: formatTranscript(messages, format, { ...meta, redacted: Boolean(options.redact) }),
+      format,
+      count: messages.length
+    };
+  }
+
+  /**
+   * 按保留期限清理归档消息
+   * @returns {number} 删除的消息数
+   */
+  purgeArchive() {
+    const removed = this.archiveManager.purgeExpired(this.configManager.getArchiveConfig().retentionDays);
+    if (removed > 0) {
+      console.log(`[TranslationService] Purged ${removed} archived messages`);
+    }
+    return removed;
   }
 
   /**
    * 启动定期清理任务
    */
   startCleanupSchedule() {
+    this.purgeArchive();
+
     // 每天清理一次过期缓存
     setInterval(() => {
       console.log('[TranslationService] Running scheduled cleanup...');
       this.cacheManager.cleanup();
       this.statsManager.cleanup();
+      this.purgeArchive();
     }, 24 * 60 * 60 * 1000); // 24 hours
   }
 
@@ -220,7 +662,30 @@ class TranslationService {
       sourceLang,
       targetLang,
       engineName,
-      options
+      await this.withTranslationProxy(options)
+    );
+  }
+
+  /**
+   * 批量翻译文本
+   * @param {string[]} texts - 待翻译文本列表
+   * @param {string} sourceLang - 源语言
+   * @param {string} targetLang - 目标语言
+   * @param {string} engineName - 引擎名称
+   * @param {Object} options - 翻译选项
+   * @returns {Promise<Object[]>} 翻译结果列表
+   */
+  async translateBatch(texts, sourceLang, targetLang, engineName, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return await this.translationManager.translateBatch(
+      texts,
+      sourceLang,
+      targetLang,
+      engineName,
+      await this.withTranslationProxy(options)
     );
   }
 
@@ -237,6 +702,45 @@ class TranslationService {
     return await this.translationManager.detectLanguage(text);
   }
 
+  /**
+   * 检查引擎健康状态
+   * @param {string} engineName - 引擎名称
+   * @returns {Promise<Object>} { healthy, latency, languageCount, error }
+   */
+  async checkEngineHealth(engineName) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const engine = this.translationManager.getEngine(engineName);
+    if (!engine) {
+      throw new Error(`Engine not registered: ${engineName}`);
+    }
+    if (typeof engine.checkHealth !== 'function') {
+      throw new Error(`Engine does not support health check: ${engineName}`);
+    }
+
+    return await engine.checkHealth();
+  }
+
+  /**
+   * 获取引擎支持的语言列表
+   * @param {string} engineName - 引擎名称
+   * @returns {Promise<Array>} 语言列表
+   */
+  async getEngineLanguages(engineName) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const engine = this.translationManager.getEngine(engineName);
+    if (!engine || typeof engine.getLanguages !== 'function') {
+      throw new Error(`Engine does not support language listing: ${engineName}`);
+    }
+
+    return await engine.getLanguages();
+  }
+
   /**
    * 获取配置
    * @param {string} accountId - 账号ID
@@ -263,10 +767,42 @@ class TranslationService {
     return {
       translation: this.translationManager.getStats(),
       today: this.statsManager.getTodayStats(),
-      total: this.statsManager.getTotalStats()
+      total: this.statsManager.getTotalStats(),
+      quota: this.statsManager.getQuotaStats(),
+      routing: this.statsManager.getRoutingStats(),
+      costs: this.getCostStats(),
+      memory: this.memoryManager.getStats()
     };
   }
 
+  /**
+   * 刷新各引擎的用量配额（带节流，查询失败不影响其他引擎）
+   * @param {boolean} force - 是否忽略刷新间隔
+   */
+  async refreshUsageQuota(force = false) {
+    if (!this.initialized) {
+      return;
+    }
+    if (!force && Date.now() - this._quotaRefreshedAt < QUOTA_REFRESH_INTERVAL) {
+      return;
+    }
+    this._quotaRefreshedAt = Date.now();
+
+    // 用量配额不属于某个账号，通过全局翻译代理查询
+    const { proxy } = await this.resolveTranslationProxy(null);
+
+    for (const [engineName, engine] of this.translationManager.engines) {
+      try {
+        const usage = await engine.getUsage({ proxy });
+        if (usage) {
+          this.statsManager.recordQuota(engineName, usage);
+        }
+      } catch (error) {
+        console.warn(`[TranslationService] Failed to get usage for ${engineName}:`, error.message);
+      }
+    }
+  }
+
   /**
    * 清理资源
    */
@@ -280,6 +816,18 @@ class TranslationService {
       await this.translationManager.cleanup();
     }
 
+    // 写入尚未保存的记忆条目
+    if (this.memoryManager) {
+      this.memoryManager.saveSegments();
+    }
+
+    // 写入尚未保存的归档消息
+    if (this.archiveManager) {
+      this.archiveManager.flush();
+    }
+
+    clearProxyAgents();
+
     this.initialized = false;
     console.log('[TranslationService] Cleaned up');
   }
@@ -303,7 +851,12 @@ class TranslationService {
       throw new Error('Translation service not initialized');
     }
 
-    return await this.translationManager.clearAllUserData();
+    await this.translationManager.clearAllUserData();
+    this.contactProfileManager.clear();
+    this.contactIndexManager.clear();
+    this.archiveManager.clear();
+    this.contactTagManager.clear();
+    this.policyEventManager.clear();
   }
 
   /**
@@ -314,7 +867,12 @@ class TranslationService {
       throw new Error('Translation service not initialized');
     }
 
-    return await this.translationManager.clearAllData();
+    await this.translationManager.clearAllData();
+    this.contactProfileManager.clear();
+    this.contactIndexManager.clear();
+    this.archiveManager.clear();
+    this.contactTagManager.clear();
+    this.policyEventManager.clear();
   }
 
   /**
@@ -325,7 +883,14 @@ class TranslationService {
       throw new Error('Translation service not initialized');
     }
 
-    return this.translationManager.getPrivacyReport();
+    return {
+      ...this.translationManager.getPrivacyReport(),
+      contactProfiles: this.contactProfileManager.listProfiles().length,
+      taggedContacts: Object.values(this.contactTagManager.accounts)
+        .reduce((sum, account) => sum + Object.keys(account.contacts).length, 0),
+      archivedMessages: this.archiveManager.getStats().messages,
+      policyEvents: this.policyEventManager.events.length
+    };
   }
 }
 
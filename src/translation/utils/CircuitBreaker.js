@@ -0,0 +1,97 @@
+/**
+ * 熔断器
+ * 引擎连续失败达到阈值后暂时跳过该引擎，冷却结束后放行一次试探请求
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - 连续失败多少次后熔断
+   * @param {number} options.cooldownMs - 熔断持续时间（毫秒）
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = false;
+  }
+
+  /**
+   * 获取当前状态
+   * @returns {string} 'closed' | 'open' | 'half-open'
+   */
+  getState() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * 是否允许请求（半开状态下试探请求未结束时不允许），不改变熔断器状态
+   * @returns {boolean}
+   */
+  canRequest() {
+    const state = this.getState();
+    if (state === 'closed') return true;
+    if (state === 'open') return false;
+    return !this.halfOpenInFlight;
+  }
+
+  /**
+   * 即将调用引擎时申请请求（半开状态下占用唯一的试探请求）
+   * 申请成功后必须调用 recordSuccess / recordFailure / release 之一
+   * @returns {boolean} 是否允许调用引擎
+   */
+  acquire() {
+    if (!this.canRequest()) return false;
+    if (this.getState() === 'half-open') {
+      this.halfOpenInFlight = true;
+    }
+    return true;
+  }
+
+  /**
+   * 释放试探请求（请求被取消，既不算成功也不算失败）
+   */
+  release() {
+    this.halfOpenInFlight = false;
+  }
+
+  /**
+   * 记录成功（关闭熔断）
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = false;
+  }
+
+  /**
+   * 记录失败（达到阈值或试探失败时熔断）
+   */
+  recordFailure() {
+    this.failures++;
+    this.halfOpenInFlight = false;
+
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * 获取状态快照（用于统计展示）
+   * @returns {{state: string, failures: number, openedAt: number|null}}
+   */
+  getSnapshot() {
+    return {
+      state: this.getState(),
+      failures: this.failures,
+      openedAt: this.openedAt
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
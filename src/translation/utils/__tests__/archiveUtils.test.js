@@ -0,0 +1,43 @@
+/**
+ * archiveUtils 测试
+ */
+
+const { parsePrePlainText, normalizeArchiveRecord } = require('../archiveUtils');
+
+describe('archiveUtils', () => {
+  test('应该解析不同语言格式的 data-pre-plain-text', () => {
+    expect(parsePrePlainText('[10:32, 10/18/2026] Alice: ')).toEqual({
+      sender: 'Alice',
+      timestamp: new Date(2026, 9, 18, 10, 32).getTime()
+    });
+    expect(parsePrePlainText('[3:05 PM, 18/10/2026] +1 415 555 2671: ').timestamp)
+      .toBe(new Date(2026, 9, 18, 15, 5).getTime());
+    expect(parsePrePlainText('[下午3:05, 2026/10/18] 张三: ')).toEqual({
+      sender: '张三',
+      timestamp: new Date(2026, 9, 18, 15, 5).getTime()
+    });
+    expect(parsePrePlainText('no metadata')).toEqual({ sender: '', timestamp: null });
+  });
+
+  test('应该规范化归档消息并丢弃无效消息', () => {
+    expect(normalizeArchiveRecord({
+      contactId: 'alice',
+      prePlainText: '[10:32, 10/18/2026] Alice: ',
+      direction: 'sideways',
+      original: '  Hi  '
+    }, 5000)).toEqual({
+      id: 'alice|in|Hi',
+      contactId: 'alice',
+      sender: 'Alice',
+      timestamp: new Date(2026, 9, 18, 10, 32).getTime(),
+      direction: 'in',
+      original: 'Hi',
+      translation: '',
+      sourceLang: '',
+      targetLang: ''
+    });
+    expect(normalizeArchiveRecord({ contactId: 'alice', original: 'Hi' }, 5000).timestamp).toBe(5000);
+    expect(normalizeArchiveRecord({ contactId: 'alice', original: '   ' })).toBeNull();
+    expect(normalizeArchiveRecord({ original: 'Hi' })).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * costUtils 测试
+ */
+
+const {
+  normalizePricing,
+  isPaidEngine,
+  sumUsage,
+  calculateCost,
+  formatCostCSV
+} = require('../costUtils');
+
+describe('costUtils', () => {
+  test('应该按输入/输出 token 和字符数分别计价', () => {
+    const aiPrice = { inputPerMillion: 30, outputPerMillion: 60 };
+    const mtPrice = { perMillionChars: 25 };
+
+    expect(calculateCost(aiPrice, { promptTokens: 1000, completionTokens: 500 })).toBe(0.06);
+    expect(calculateCost(mtPrice, { chars: 2000 })).toBe(0.05);
+    expect(calculateCost(null, { promptTokens: 1000 })).toBe(0);
+  });
+
+  test('应该汇总用量并保留估算标记', () => {
+    expect(sumUsage([null, undefined])).toBeNull();
+    expect(sumUsage([
+      { promptTokens: 10, completionTokens: 5 },
+      null,
+      { promptTokens: 3, completionTokens: 2, estimated: true }
+    ])).toEqual({ promptTokens: 13, completionTokens: 7, estimated: true });
+  });
+
+  test('应该合并默认价格并忽略无效价格', () => {
+    const pricing = normalizePricing({
+      currency: 'cny',
+      engines: { gpt4: { inputPerMillion: -1, outputPerMillion: 'abc' }, local: { perMillionChars: 2 } }
+    });
+
+    expect(pricing.currency).toBe('CNY');
+    expect(isPaidEngine(pricing.engines.gpt4)).toBe(false);
+    expect(isPaidEngine(pricing.engines.local)).toBe(true);
+    expect(isPaidEngine(pricing.engines.deepl)).toBe(true);
+    expect(isPaidEngine(pricing.engines.google)).toBe(false);
+  });
+
+  test('应该按日期排序导出费用明细 CSV', () => {
+    const entry = { requests: 2, chars: 40, promptTokens: 100, completionTokens: 50, estimatedRequests: 0, cost: 0.0045 };
+    const csv = formatCostCSV({
+      '2024-05-02': { acc1: { gpt4: entry } },
+      '2024-05-01': { acc2: { deepl: { ...entry, promptTokens: 0, completionTokens: 0 } } }
+    });
+
+    const lines = csv.trim().split(/\r?\n/);
+    expect(lines[0]).toBe('date,accountId,engine,requests,chars,promptTokens,completionTokens,cost');
+    expect(lines[1]).toBe('2024-05-01,acc2,deepl,2,40,0,0,0.004500');
+    expect(lines[2]).toBe('2024-05-02,acc1,gpt4,2,40,100,50,0.004500');
+  });
+});
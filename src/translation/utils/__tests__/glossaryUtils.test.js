@@ -0,0 +1,108 @@
+/**
+ * 术语表工具函数测试
+ */
+
+const {
+  mergeGlossaries,
+  findGlossaryMatches,
+  maskGlossaryTerms,
+  restoreGlossaryTerms,
+  enforceGlossaryTerms,
+  buildGlossaryPrompt,
+  parseGlossaryCSV,
+  formatGlossaryCSV
+} = require('../glossaryUtils');
+
+describe('glossaryUtils', () => {
+  const glossary = {
+    terms: [
+      { source: 'Widget Pro', target: '小部件 Pro' },
+      { source: 'Pro', target: '专业版', targetLang: 'ja' }
+    ],
+    doNotTranslate: ['SKU-1001']
+  };
+
+  describe('findGlossaryMatches', () => {
+    test('应该只返回文本中出现的术语', () => {
+      const matches = findGlossaryMatches('Order the widget pro, SKU-1001', glossary, 'zh-CN');
+
+      expect(matches.terms).toEqual([
+        { source: 'Widget Pro', target: '小部件 Pro', targetLang: '', caseSensitive: false }
+      ]);
+      expect(matches.doNotTranslate).toEqual(['SKU-1001']);
+    });
+
+    test('应该遵守词边界和目标语言限制', () => {
+      expect(findGlossaryMatches('Product launch', { terms: [{ source: 'Pro', target: 'X' }] }, 'en')).toBeNull();
+      expect(findGlossaryMatches('Pro plan', glossary, 'zh-CN')).toBeNull();
+      expect(findGlossaryMatches('Pro plan', glossary, 'ja').terms[0].target).toBe('专业版');
+    });
+  });
+
+  describe('占位符遮蔽', () => {
+    test('应该遮蔽术语并还原为目标译法，禁译词还原为原文', () => {
+      const text = 'Widget Pro ships as SKU-1001';
+      const matches = findGlossaryMatches(text, glossary, 'zh-CN');
+      const masked = maskGlossaryTerms(text, matches);
+
+      expect(masked.text).not.toContain('Widget Pro');
+      expect(masked.text).not.toContain('SKU-1001');
+
+      // 模拟引擎在占位符中插入空格
+      const translated = masked.text
+        .replace('ships as', '发货型号为')
+        .replace('__GLS1__', '__ GLS1 __');
+      const restored = restoreGlossaryTerms(translated, masked.placeholders);
+
+      expect(restored).toBe('小部件 Pro 发货型号为 SKU-1001');
+    });
+  });
+
+  test('enforceGlossaryTerms 应该替换译文中残留的术语原文', () => {
+    const matches = { terms: [{ source: 'Widget Pro', target: '小部件 Pro', caseSensitive: false }], doNotTranslate: [] };
+    expect(enforceGlossaryTerms('购买 Widget Pro', matches)).toBe('购买 小部件 Pro');
+    expect(enforceGlossaryTerms('购买 小部件 Pro', matches)).toBe('购买 小部件 Pro');
+  });
+
+  test('buildGlossaryPrompt 应该列出术语和禁译词', () => {
+    const prompt = buildGlossaryPrompt(findGlossaryMatches('Widget Pro SKU-1001', glossary, 'zh-CN'));
+
+    expect(prompt).toContain('"Widget Pro" → "小部件 Pro"');
+    expect(prompt).toContain('- SKU-1001');
+    expect(buildGlossaryPrompt(null)).toBe('');
+  });
+
+  test('mergeGlossaries 应该让账号术语覆盖全局术语', () => {
+    const merged = mergeGlossaries(
+      { terms: [{ source: 'Hub', target: '中心' }], doNotTranslate: ['ACME'] },
+      { terms: [{ source: 'hub', target: '枢纽' }], doNotTranslate: ['ACME', 'X1'] }
+    );
+
+    expect(merged.terms).toHaveLength(1);
+    expect(merged.terms[0].target).toBe('枢纽');
+    expect(merged.doNotTranslate).toEqual(['ACME', 'X1']);
+  });
+
+  describe('CSV 导入导出', () => {
+    test('导出后再导入应该得到相同的术语表', () => {
+      const source = {
+        terms: [{ source: 'Say "hi", friend', target: '打招呼', targetLang: 'zh-CN', caseSensitive: true }],
+        doNotTranslate: ['SKU-1001']
+      };
+
+      const { glossary: parsed, errors } = parseGlossaryCSV(formatGlossaryCSV(source));
+
+      expect(errors).toEqual([]);
+      expect(parsed).toEqual(source);
+    });
+
+    test('应该逐行报告错误并保留有效行', () => {
+      const csv = 'type,source,target\nterm,Hub,\nfoo,bar,baz\nterm,Hub,中心';
+      const { glossary: parsed, errors } = parseGlossaryCSV(csv);
+
+      expect(parsed.terms).toHaveLength(1);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toContain('第 2 行');
+    });
+  });
+});
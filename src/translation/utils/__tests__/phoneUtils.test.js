@@ -0,0 +1,25 @@
+/**
+ * phoneUtils 测试
+ */
+
+const { normalizePhoneNumber } = require('../phoneUtils');
+
+describe('phoneUtils', () => {
+  test('应该把带格式的号码和 WhatsApp JID 规范化为 E.164', () => {
+    expect(normalizePhoneNumber('+86 138-0000-0000')).toBe('+8613800000000');
+    expect(normalizePhoneNumber('+1 (415) 555.2671')).toBe('+14155552671');
+    expect(normalizePhoneNumber('0044 20 7946 0958')).toBe('+442079460958');
+    expect(normalizePhoneNumber('8613800000000@c.us')).toBe('+8613800000000');
+    expect(normalizePhoneNumber(' 14155552671@s.whatsapp.net ')).toBe('+14155552671');
+  });
+
+  test('联系人名称、群组和无效号码应该返回 null', () => {
+    expect(normalizePhoneNumber('王总')).toBeNull();
+    expect(normalizePhoneNumber('Alice 2')).toBeNull();
+    expect(normalizePhoneNumber('120363025246125486@g.us')).toBeNull();
+    expect(normalizePhoneNumber('020 7946 0958')).toBeNull();
+    expect(normalizePhoneNumber('+123')).toBeNull();
+    expect(normalizePhoneNumber('+1234567890123456')).toBeNull();
+    expect(normalizePhoneNumber(null)).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * policyUtils 测试
+ */
+
+const { normalizePolicyRules, evaluatePolicy } = require('../policyUtils');
+
+describe('policyUtils', () => {
+  test('应该过滤正则无效的规则并补全默认值', () => {
+    const rules = normalizePolicyRules([
+      { name: ' 转账 ', pattern: ' 转账,银行卡 ' },
+      { pattern: '(unclosed', isRegex: true },
+      { pattern: 'wire', action: 'unknown', enabled: false }
+    ]);
+
+    expect(rules).toHaveLength(2);
+    expect(rules[0]).toMatchObject({ name: '转账', pattern: '转账,银行卡', isRegex: false, caseSensitive: false, action: 'block', enabled: true });
+    expect(rules[0].id).toMatch(/^pr_/);
+    expect(rules[1]).toMatchObject({ action: 'block', enabled: false });
+  });
+
+  test('应该返回命中规则中最严重的动作', () => {
+    const rules = [
+      { id: 'r1', pattern: 'password', action: 'log' },
+      { id: 'r2', pattern: '\\b\\d{16}\\b', isRegex: true, action: 'warn' },
+      { id: 'r3', pattern: 'SECRET', caseSensitive: true, action: 'block' },
+      { id: 'r4', pattern: 'refund', action: 'block', enabled: false }
+    ];
+
+    expect(evaluatePolicy(rules, 'hello')).toEqual({ action: null, rules: [] });
+    expect(evaluatePolicy(rules, 'My PASSWORD is 1234567812345678').action).toBe('warn');
+    expect(evaluatePolicy(rules, 'My PASSWORD is 1234567812345678').rules.map(rule => rule.id)).toEqual(['r1', 'r2']);
+    expect(evaluatePolicy(rules, 'a secret refund').action).toBeNull();
+    expect(evaluatePolicy(rules, 'a SECRET password').action).toBe('block');
+  });
+});
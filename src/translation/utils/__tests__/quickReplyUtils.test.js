@@ -0,0 +1,57 @@
+/**
+ * quickReplyUtils 测试
+ */
+
+const {
+  normalizeQuickReplies,
+  mergeQuickReplies,
+  formatQuickRepliesJSON,
+  parseQuickRepliesJSON
+} = require('../quickReplyUtils');
+
+describe('quickReplyUtils', () => {
+  test('应该过滤空模板、合并同名分组并补全标题', () => {
+    const library = normalizeQuickReplies({
+      groups: [
+        { name: ' 售后 ', replies: [{ text: '  您好 {name}，您的订单已发货  ' }, { title: '空', text: '   ' }] },
+        { name: '售后', replies: [{ title: '退款', text: '退款将在 3 个工作日内到账' }] },
+        { replies: [{ title: '问候', text: 'Hi' }] }
+      ]
+    });
+
+    expect(library.groups.map(group => group.name)).toEqual(['售后', '默认']);
+    expect(library.groups[0].replies.map(reply => reply.title)).toEqual(['您好 {name}，您的订单已发货', '退款']);
+    expect(library.groups[0].replies.every(reply => reply.id)).toBe(true);
+  });
+
+  test('合并时同分组同标题的模板应该被覆盖并保留原 ID', () => {
+    const base = normalizeQuickReplies({ groups: [{ name: '售后', replies: [{ id: 'qr_1', title: '退款', text: '旧内容' }] }] });
+    const merged = mergeQuickReplies(base, {
+      groups: [
+        { name: '售后', replies: [{ title: '退款', text: '新内容' }, { title: '换货', text: '请寄回商品' }] },
+        { name: '销售', replies: [{ title: '报价', text: '报价单见附件' }] }
+      ]
+    });
+
+    expect(merged.groups[0].replies).toEqual([
+      { id: 'qr_1', title: '退款', text: '新内容' },
+      expect.objectContaining({ title: '换货' })
+    ]);
+    expect(merged.groups[1].name).toBe('销售');
+  });
+
+  test('导出的 JSON 应该能重新导入', () => {
+    const json = formatQuickRepliesJSON({ groups: [{ name: '售后', replies: [{ id: 'qr_1', title: '退款', text: '退款已处理' }] }] });
+
+    const { library, imported } = parseQuickRepliesJSON('\uFEFF' + json);
+
+    expect(JSON.parse(json).groups[0].replies[0]).toEqual({ title: '退款', text: '退款已处理' });
+    expect(imported).toBe(1);
+    expect(library.groups[0].replies[0].id).not.toBe('qr_1');
+  });
+
+  test('格式无效时应该抛出错误', () => {
+    expect(() => parseQuickRepliesJSON('not json')).toThrow('Invalid JSON');
+    expect(() => parseQuickRepliesJSON('{"replies": []}')).toThrow('groups array');
+  });
+});
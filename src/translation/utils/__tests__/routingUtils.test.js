@@ -0,0 +1,70 @@
+/**
+ * routingUtils 测试
+ */
+
+const {
+  DEFAULT_FALLBACK_CHAIN,
+  normalizeRouting,
+  resolveRoute
+} = require('../routingUtils');
+
+const baseContext = {
+  sourceLang: 'ja',
+  targetLang: 'zh-CN',
+  textLength: 20,
+  chatType: 'private',
+  direction: 'inbound'
+};
+
+describe('routingUtils', () => {
+  test('没有匹配规则时应该使用请求的引擎和默认降级链', () => {
+    const route = resolveRoute(null, baseContext, 'gpt4');
+
+    expect(route.engine).toBe('gpt4');
+    expect(route.ruleId).toBeNull();
+    expect(route.chain).toEqual(['gpt4', ...DEFAULT_FALLBACK_CHAIN.filter(name => name !== 'gpt4')]);
+  });
+
+  test('应该按顺序使用第一条匹配的规则', () => {
+    const routing = {
+      fallbackChain: ['google'],
+      rules: [
+        { id: 'short', engine: 'google', match: { maxLength: 10 } },
+        { id: 'ja', name: '日语', engine: 'deepl', match: { sourceLang: 'ja' } },
+        { id: 'all', engine: 'gpt4' }
+      ]
+    };
+
+    const route = resolveRoute(routing, baseContext, 'microsoft');
+
+    expect(route).toEqual({ engine: 'deepl', chain: ['deepl', 'google'], ruleId: 'ja', ruleName: '日语' });
+  });
+
+  test('应该按聊天类型和方向匹配并跳过停用的规则', () => {
+    const routing = {
+      rules: [
+        { id: 'off', enabled: false, engine: 'google' },
+        { id: 'group', engine: 'gemini', match: { chatType: 'group' } },
+        { id: 'out', engine: 'gpt4', fallbackChain: ['deepseek'], match: { direction: 'outbound' } }
+      ]
+    };
+
+    expect(resolveRoute(routing, baseContext, 'microsoft').ruleId).toBeNull();
+    expect(resolveRoute(routing, { ...baseContext, chatType: 'group' }, 'microsoft').engine).toBe('gemini');
+
+    const outbound = resolveRoute(routing, { ...baseContext, direction: 'outbound' }, 'microsoft');
+    expect(outbound.chain).toEqual(['gpt4', 'deepseek']);
+  });
+
+  test('规范化时应该丢弃缺少引擎的规则并去重降级链', () => {
+    const routing = normalizeRouting({
+      fallbackChain: ['google', ' google ', '', 'deepl'],
+      rules: [{ match: { sourceLang: 'en' } }, { engine: 'deepl', match: { chatType: 'channel', minLength: '-1' } }]
+    });
+
+    expect(routing.fallbackChain).toEqual(['google', 'deepl']);
+    expect(routing.rules).toHaveLength(1);
+    expect(routing.rules[0].match.chatType).toBe('any');
+    expect(routing.rules[0].match.minLength).toBeNull();
+  });
+});
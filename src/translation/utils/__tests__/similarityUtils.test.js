@@ -0,0 +1,20 @@
+/**
+ * similarityUtils 测试
+ */
+
+const { normalizeForSimilarity, calculateSimilarity } = require('../similarityUtils');
+
+describe('similarityUtils', () => {
+  test('规范化应该保留所有语言的字母和数字，只去除标点', () => {
+    expect(normalizeForSimilarity('Да, 2 штуки!')).toBe('да 2 штуки');
+    expect(normalizeForSimilarity('نعم، قطعتان')).toBe('نعم قطعتان');
+    expect(normalizeForSimilarity('Hello,   world!')).toBe('hello world');
+    expect(normalizeForSimilarity('你好，世界')).toBe('你好世界');
+  });
+
+  test('西里尔文和阿拉伯文的不同消息不应该被判定为相同', () => {
+    expect(calculateSimilarity('Да, 2 штуки', 'Нет, 2 коробки')).toBeLessThan(0.5);
+    expect(calculateSimilarity('نعم، قطعتان', 'لا، صندوقان')).toBeLessThan(0.5);
+    expect(calculateSimilarity('Спасибо!', 'спасибо')).toBe(1);
+  });
+});
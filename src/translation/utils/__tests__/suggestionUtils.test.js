@@ -0,0 +1,55 @@
+/**
+ * suggestionUtils 测试
+ */
+
+const {
+  validateSuggestionPattern,
+  normalizeSuggestionRules,
+  matchSuggestionRules
+} = require('../suggestionUtils');
+
+describe('suggestionUtils', () => {
+  test('应该过滤没有模板或正则无效的规则', () => {
+    const rules = normalizeSuggestionRules([
+      { pattern: ' 价格 ', replyId: 'qr_1' },
+      { pattern: '(unclosed', isRegex: true, replyId: 'qr_2' },
+      { pattern: '发货' },
+      { pattern: 'refund', replyId: 'qr_3', matchOn: 'unknown' }
+    ]);
+
+    expect(rules).toHaveLength(2);
+    expect(rules[0]).toMatchObject({ pattern: '价格', isRegex: false, matchOn: 'any', contactId: '', enabled: true });
+    expect(rules[1].matchOn).toBe('any');
+    expect(validateSuggestionPattern('(unclosed', true)).toMatch(/Invalid regular expression/);
+    expect(validateSuggestionPattern('  ', false)).toBe('Pattern is required');
+  });
+
+  test('应该按逗号分隔的关键词和正则匹配原文或译文', () => {
+    const rules = [
+      { id: 'r1', pattern: 'price, 多少钱', replyId: 'qr_price' },
+      { id: 'r2', pattern: '\\border\\s*#?\\d+', isRegex: true, matchOn: 'original', replyId: 'qr_order' },
+      { id: 'r3', pattern: '退款', matchOn: 'translated', replyId: 'qr_refund' }
+    ];
+
+    expect(matchSuggestionRules(rules, { original: 'What is the PRICE?' }).map(match => match.rule.id)).toEqual(['r1']);
+    expect(matchSuggestionRules(rules, { original: 'Where is Order #123', translated: '订单 123 在哪里' })
+      .map(match => [match.rule.id, match.matchedOn])).toEqual([['r2', 'original']]);
+    expect(matchSuggestionRules(rules, { original: '退款', translated: '' })).toEqual([]);
+    expect(matchSuggestionRules(rules, { original: 'Quiero un reembolso', translated: '我想退款' })
+      .map(match => [match.rule.id, match.matchedOn])).toEqual([['r3', 'translated']]);
+  });
+
+  test('联系人规则应该只对该联系人生效且优先于账号规则', () => {
+    const rules = [
+      { id: 'account', pattern: 'hello', replyId: 'qr_1' },
+      { id: 'contact', pattern: 'hello', replyId: 'qr_1', contactId: 'alice' },
+      { id: 'disabled', pattern: 'hello', replyId: 'qr_2', enabled: false },
+      { id: 'case', pattern: 'Hello', caseSensitive: true, replyId: 'qr_3' }
+    ];
+
+    expect(matchSuggestionRules(rules, { original: 'hello there', contactId: 'alice' }).map(match => match.rule.id))
+      .toEqual(['contact']);
+    expect(matchSuggestionRules(rules, { original: 'Hello there', contactId: 'bob' }).map(match => match.rule.id))
+      .toEqual(['account', 'case']);
+  });
+});
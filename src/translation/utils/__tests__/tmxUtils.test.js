@@ -0,0 +1,82 @@
+/**
+ * tmxUtils 测试
+ */
+
+const { formatTMX, parseTMX } = require('../tmxUtils');
+
+describe('tmxUtils', () => {
+  test('导出的 TMX 应该能原样导入（包括特殊字符）', () => {
+    const createdAt = Date.UTC(2024, 4, 1, 8, 30, 0);
+    const xml = formatTMX([{
+      id: 'tm_1',
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'Price < $5 & "free" shipping',
+      target: '价格 < 5 美元，"免费"送货',
+      origin: 'manual',
+      createdAt,
+      updatedAt: createdAt,
+      usageCount: 3
+    }]);
+
+    const { segments, errors } = parseTMX(xml);
+
+    expect(errors).toEqual([]);
+    expect(segments).toEqual([{
+      sourceLang: 'en',
+      targetLang: 'zh-CN',
+      source: 'Price < $5 & "free" shipping',
+      target: '价格 < 5 美元，"免费"送货',
+      origin: 'manual',
+      style: null,
+      glossary: null,
+      createdAt,
+      updatedAt: createdAt
+    }]);
+  });
+
+  test('应该导出并导入条目的翻译风格和术语表', () => {
+    const createdAt = Date.UTC(2024, 4, 1, 8, 30, 0);
+    const base = { sourceLang: 'en', targetLang: 'zh-CN', source: 'Thanks', origin: 'manual', createdAt, updatedAt: createdAt };
+    const xml = formatTMX([
+      { ...base, id: 'tm_1', target: '谢谢' },
+      { ...base, id: 'tm_2', target: '非常感谢您', style: 'formal', glossary: 'a1b2c3d4' }
+    ]);
+
+    const { segments } = parseTMX(xml);
+
+    expect(xml).toContain('<prop type="x-style">formal</prop>');
+    expect(segments.map(s => [s.target, s.style, s.glossary])).toEqual([
+      ['谢谢', null, null],
+      ['非常感谢您', 'formal', 'a1b2c3d4']
+    ]);
+  });
+
+  test('应该按 header 的 srclang 选择原文并规范化语言代码', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <tmx version="1.4">
+        <header srclang="en-US" datatype="plaintext"/>
+        <body>
+          <tu>
+            <tuv xml:lang="ZH-Hans"><seg>订单已发货</seg></tuv>
+            <tuv xml:lang="en-US"><seg>Your order <ph x="1">&lt;b&gt;</ph>has shipped</seg></tuv>
+            <tuv lang="ja"><seg>ご注文は発送されました</seg></tuv>
+          </tu>
+          <tu><tuv xml:lang="en"><seg>orphan</seg></tuv></tu>
+        </body>
+      </tmx>`;
+
+    const { segments, errors } = parseTMX(xml);
+
+    expect(segments.map(s => [s.sourceLang, s.targetLang, s.source, s.target])).toEqual([
+      ['en', 'zh-CN', 'Your order has shipped', '订单已发货'],
+      ['en', 'ja', 'Your order has shipped', 'ご注文は発送されました']
+    ]);
+    expect(segments[0].origin).toBe('tmx');
+    expect(errors).toHaveLength(1);
+  });
+
+  test('非 TMX 内容应该抛出错误', () => {
+    expect(() => parseTMX('source,target\na,b')).toThrow('Not a TMX file');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * transcriptUtils 测试
+ */
+
+const { redactTranscript, formatTranscript } = require('../transcriptUtils');
+const PrivacyProtection = require('../PrivacyProtection');
+const { parseCSV } = require('../../../utils/csvUtils');
+
+const messages = [
+  { id: 'm1', accountId: 'acc1', accountName: '客服一号', contactId: 'alice', direction: 'in', sender: 'Alice', timestamp: 1000, original: 'Call me at +14155552671 <b>now</b>', translation: '打 +14155552671 给我', sourceLang: 'en', targetLang: 'zh-CN' },
+  { id: 'm2', accountId: 'acc1', accountName: '客服一号', contactId: 'alice', direction: 'out', sender: '我', timestamp: 2000, original: '好的', translation: '', sourceLang: '', targetLang: '' }
+];
+
+describe('transcriptUtils', () => {
+  test('应该导出包含原文和译文的 CSV 与 JSON', () => {
+    const rows = parseCSV(formatTranscript(messages, 'csv'));
+    expect(rows).toHaveLength(3);
+    expect(rows[1].slice(1, 8)).toEqual([
+      'acc1', '客服一号', 'alice', 'in', 'Alice', 'Call me at +14155552671 <b>now</b>', '打 +14155552671 给我'
+    ]);
+
+    const json = JSON.parse(formatTranscript(messages, 'json', { accountId: 'acc1', redacted: false }));
+    expect(json.filters).toEqual({ accountId: 'acc1', redacted: false });
+    expect(json.messages.map(message => message.id)).toEqual(['m1', 'm2']);
+  });
+
+  test('HTML 应该转义消息内容并按方向显示气泡', () => {
+    const html = formatTranscript(messages, 'html', {});
+
+    expect(html).toContain('&lt;b&gt;now&lt;/b&gt;');
+    expect(html).not.toContain('<b>now</b>');
+    expect(html).toContain('<div class="bubble in">');
+    expect(html).toContain('<div class="bubble out">');
+    expect(html).toContain('<div class="translation">打 +14155552671 给我</div>');
+    expect(() => formatTranscript(messages, 'pdf')).toThrow('Unsupported transcript format');
+  });
+
+  test('脱敏应该处理原文、译文、发送者和联系人', () => {
+    const privacy = new PrivacyProtection();
+    const [redacted] = redactTranscript([{ ...messages[0], contactId: '+14155552671' }], text => privacy.removeSensitiveInfo(text));
+
+    expect(redacted.original).not.toContain('4155552671');
+    expect(redacted.translation).not.toContain('4155552671');
+    expect(redacted.contactId).not.toContain('4155552671');
+    expect(redacted.sender).toBe('Alice');
+    expect(messages[0].original).toContain('+14155552671');
+  });
+
+  test('脱敏后的 HTML 应该仍按原联系人分段', () => {
+    const privacy = new PrivacyProtection();
+    const redacted = redactTranscript([
+      { ...messages[0], contactId: '+14155552671' },
+      { ...messages[1], contactId: '+8613800000000' },
+      { ...messages[1], id: 'm3', contactId: '+14155552671', timestamp: 3000 }
+    ], text => privacy.removeSensitiveInfo(text));
+
+    const html = formatTranscript(redacted, 'html', { redacted: true });
+
+    expect(redacted.map(message => message.contactId)).toEqual(['+***', '+*** #2', '+***']);
+    expect(html.match(/<section>/g)).toHaveLength(2);
+    expect(html).not.toContain('4155552671');
+    expect(html).not.toContain('13800000000');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * 聊天记录归档工具函数
+ * 负责归档消息的规范化、WhatsApp 消息元数据解析以及搜索匹配
+ */
+
+const DIRECTIONS = ['in', 'out'];
+const TEXT_MAX_LENGTH = 10000;
+
+/**
+ * 解析 WhatsApp 消息的 data-pre-plain-text 属性
+ * 格式如 "[10:32, 10/18/2026] Alice: " 或 "[下午3:05, 2026/10/18] 张三: "
+ * 日期顺序随系统语言变化：首段为 4 位时按 年/月/日，首段大于 12 时按 日/月/年，其余按 月/日/年
+ * @param {string} value - data-pre-plain-text 属性值
+ * @returns {{sender: string, timestamp: number|null}} 发送者和时间戳，无法解析时时间戳为 null
+ */
+function parsePrePlainText(value) {
+  const match = typeof value === 'string' && value.match(/^\s*\[([^,\]]+),\s*([^\]]+)\]\s*(.*?):?\s*$/);
+  if (!match) {
+    return { sender: '', timestamp: null };
+  }
+
+  const sender = match[3].trim();
+  const time = match[1].match(/(\d{1,2})[:.](\d{2})/);
+  const date = match[2].match(/(\d{1,4})\D+(\d{1,2})\D+(\d{1,4})/);
+  if (!time || !date) {
+    return { sender, timestamp: null };
+  }
+
+  let hours = Number(time[1]);
+  const minutes = Number(time[2]);
+  const isPm = /pm|下午|晚上/i.test(match[1]);
+  const isAm = /am|上午|凌晨|早上/i.test(match[1]);
+  if (isPm && hours < 12) hours += 12;
+  if (isAm && hours === 12) hours = 0;
+
+  const parts = date.slice(1).map(Number);
+  let year;
+  let month;
+  let day;
+  if (date[1].length === 4) {
+    [year, month, day] = parts;
+  } else if (parts[0] > 12) {
+    [day, month, year] = parts;
+  } else {
+    [month, day, year] = parts;
+  }
+  if (year < 100) year += 2000;
+
+  const timestamp = new Date(year, month - 1, day, hours, minutes).getTime();
+  return { sender, timestamp: Number.isFinite(timestamp) ? timestamp : null };
+}
+
+/**
+ * 截断文本字段
+ * @param {*} value - 字段值
+ * @param {number} maxLength - 最大长度
+ * @returns {string} 截断后的文本
+ */
+function toText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * 规范化归档消息，无效消息返回 null
+ * 消息 ID 优先使用 WhatsApp 的 data-id，缺失时按联系人、方向和内容生成
+ * @param {Object} record - { id, contactId, sender, prePlainText, timestamp, direction, original, translation, sourceLang, targetLang }
+ * @param {number} [now] - 无法确定消息时间时使用的时间戳
+ * @returns {Object|null} 规范化后的消息
+ */
+function normalizeArchiveRecord(record, now = Date.now()) {
+  if (!record || typeof record !== 'object') return null;
+
+  const original = toText(record.original, TEXT_MAX_LENGTH);
+  const contactId = toText(record.contactId, 200);
+  if (!original || !contactId) return null;
+
+  const direction = DIRECTIONS.includes(record.direction) ? record.direction : 'in';
+  const meta = parsePrePlainText(record.prePlainText);
+  const timestamp = Number.isFinite(record.timestamp) ? record.timestamp : (meta.timestamp || now);
+
+  return {
+    id: toText(record.id, 200) || `${contactId}|${direction}|${original}`,
+    contactId,
+    sender: toText(record.sender, 100) || meta.sender,
+    timestamp,
+    direction,
+    original,
+    translation: toText(record.translation, TEXT_MAX_LENGTH),
+    sourceLang: toText(record.sourceLang, 16),
+    targetLang: toText(record.targetLang, 16)
+  };
+}
+
+/**
+ * 判断归档消息是否匹配搜索条件
+ * @param {Object} record - 归档消息
+ * @param {string[]} terms - 小写关键词（需全部出现在原文、译文或发送者中）
+ * @param {Object} filters - { contactId, from, to, language, direction }
+ * @returns {boolean}
+ */
+function matchesArchiveRecord(record, terms, filters = {}) {
+  if (filters.contactId && record.contactId !== filters.contactId) return false;
+  if (filters.from && record.timestamp < filters.from) return false;
+  if (filters.to && record.timestamp > filters.to) return false;
+  if (filters.direction && record.direction !== filters.direction) return false;
+  if (filters.language && record.sourceLang !== filters.language && record.targetLang !== filters.language) {
+    return false;
+  }
+  if (terms.length === 0) return true;
+
+  const haystack = `${record.original}\n${record.translation}\n${record.sender}`.toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * 拆分搜索关键词
+ * @param {string} query - 搜索文本（空格分隔多个关键词）
+ * @returns {string[]} 小写关键词
+ */
+function splitSearchTerms(query) {
+  return String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+module.exports = {
+  parsePrePlainText,
+  normalizeArchiveRecord,
+  matchesArchiveRecord,
+  splitSearchTerms
+};
@@ -0,0 +1,156 @@
+/**
+ * 客户画像工具函数
+ * 负责客户资料字段的规范化、搜索匹配以及 CSV 导出
+ */
+
+const { formatCSV } = require('../../utils/csvUtils');
+
+const GENDERS = ['', 'female', 'male', 'other'];
+const VALUE_TIERS = ['', 'high', 'medium', 'low'];
+const SALES_STAGES = ['', 'initial', 'following', 'closed', 'repurchase'];
+
+// 文本字段及最大长度（与需求文档一致）
+const TEXT_FIELDS = {
+  nickname: 100,
+  phone: 32,
+  address: 200,
+  country: 64,
+  remark: 200,
+  source: 32,
+  company: 100,
+  department: 100,
+  position: 100
+};
+
+const NOTE_MAX_LENGTH = 300;
+
+const PROFILE_CSV_HEADER = [
+  'accountId', 'contactId', 'nickname', 'phone', 'address', 'birthday', 'gender', 'country',
+  'tags', 'valueTier', 'salesStage', 'source', 'company', 'department', 'position', 'remark',
+  'notes', 'updatedAt'
+];
+
+/**
+ * 截断文本字段
+ * @param {*} value - 字段值
+ * @param {number} maxLength - 最大长度
+ * @returns {string} 去除首尾空白并截断后的文本
+ */
+function toText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * 规范化标签列表（去重、去空）
+ * @param {*} tags - 标签列表
+ * @returns {string[]} 规范化后的标签
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return Array.from(new Set(tags
+    .map(tag => toText(tag, 32))
+    .filter(Boolean)));
+}
+
+/**
+ * 规范化备注录（按时间倒序）
+ * @param {*} notes - 备注列表 [{ id, text, createdAt }]
+ * @returns {Array<Object>} 规范化后的备注
+ */
+function normalizeNotes(notes) {
+  if (!Array.isArray(notes)) return [];
+  return notes
+    .filter(note => note && toText(note.text, NOTE_MAX_LENGTH))
+    .map(note => ({
+      id: typeof note.id === 'string' && note.id ? note.id : createNoteId(),
+      text: toText(note.text, NOTE_MAX_LENGTH),
+      createdAt: Number.isFinite(note.createdAt) ? note.createdAt : Date.now()
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * 生成备注 ID
+ * @returns {string} ID
+ */
+function createNoteId() {
+  return `note_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 规范化客户资料（未知字段丢弃，枚举字段取值无效时置空）
+ * @param {Object} profile - 客户资料
+ * @returns {Object} 规范化后的客户资料
+ */
+function normalizeContactProfile(profile) {
+  const source = profile && typeof profile === 'object' ? profile : {};
+  const result = {};
+
+  Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+    result[field] = toText(source[field], maxLength);
+  });
+
+  result.birthday = /^\d{4}-\d{2}-\d{2}$/.test(source.birthday) ? source.birthday : '';
+  result.gender = GENDERS.includes(source.gender) ? source.gender : '';
+  result.valueTier = VALUE_TIERS.includes(source.valueTier) ? source.valueTier : '';
+  result.salesStage = SALES_STAGES.includes(source.salesStage) ? source.salesStage : '';
+  result.tags = normalizeTags(source.tags);
+  result.notes = normalizeNotes(source.notes);
+
+  return result;
+}
+
+/**
+ * 判断客户资料是否匹配搜索条件
+ * @param {Object} profile - 客户资料（含 contactId）
+ * @param {string} keyword - 小写关键词（匹配联系人ID、昵称、电话、公司、备注和标签）
+ * @param {Object} filters - { tag, valueTier, salesStage }
+ * @returns {boolean}
+ */
+function matchesProfile(profile, keyword, filters = {}) {
+  if (filters.tag && !profile.tags.includes(filters.tag)) return false;
+  if (filters.valueTier && profile.valueTier !== filters.valueTier) return false;
+  if (filters.salesStage && profile.salesStage !== filters.salesStage) return false;
+  if (!keyword) return true;
+
+  return [profile.contactId, profile.nickname, profile.phone, profile.company, profile.remark, ...profile.tags]
+    .some(value => value && value.toLowerCase().includes(keyword));
+}
+
+/**
+ * 导出客户资料为 CSV（备注录按"时间 内容"逐行合并到一个单元格）
+ * @param {Array<Object>} profiles - 客户资料列表（含 accountId、contactId）
+ * @returns {string} CSV 内容
+ */
+function formatContactProfilesCSV(profiles) {
+  const rows = (profiles || []).map(profile => [
+    profile.accountId,
+    profile.contactId,
+    profile.nickname,
+    profile.phone,
+    profile.address,
+    profile.birthday,
+    profile.gender,
+    profile.country,
+    profile.tags.join(';'),
+    profile.valueTier,
+    profile.salesStage,
+    profile.source,
+    profile.company,
+    profile.department,
+    profile.position,
+    profile.remark,
+    profile.notes.map(note => `${new Date(note.createdAt).toISOString()} ${note.text}`).join('\n'),
+    profile.updatedAt ? new Date(profile.updatedAt).toISOString() : ''
+  ]);
+
+  return formatCSV([PROFILE_CSV_HEADER, ...rows]);
+}
+
+module.exports = {
+  NOTE_MAX_LENGTH,
+  createNoteId,
+  normalizeContactProfile,
+  matchesProfile,
+  formatContactProfilesCSV
+};
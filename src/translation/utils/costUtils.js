@@ -0,0 +1,165 @@
+/**
+ * 翻译费用工具函数
+ * 负责 token 估算、用量汇总、按引擎价格表计算费用以及费用报表 CSV 导出
+ */
+
+const { formatCSV } = require('../../utils/csvUtils');
+
+// 默认价格表（美元）：AI 引擎按每百万 token 计价，机器翻译按每百万字符计价
+const DEFAULT_ENGINE_PRICES = {
+  gpt4: { inputPerMillion: 30, outputPerMillion: 60, perMillionChars: 0 },
+  gemini: { inputPerMillion: 0.5, outputPerMillion: 1.5, perMillionChars: 0 },
+  deepseek: { inputPerMillion: 0.27, outputPerMillion: 1.1, perMillionChars: 0 },
+  custom: { inputPerMillion: 0, outputPerMillion: 0, perMillionChars: 0 },
+  deepl: { inputPerMillion: 0, outputPerMillion: 0, perMillionChars: 25 },
+  microsoft: { inputPerMillion: 0, outputPerMillion: 0, perMillionChars: 10 },
+  google: { inputPerMillion: 0, outputPerMillion: 0, perMillionChars: 0 },
+  libretranslate: { inputPerMillion: 0, outputPerMillion: 0, perMillionChars: 0 }
+};
+
+const COST_CSV_HEADER = ['date', 'accountId', 'engine', 'requests', 'chars', 'promptTokens', 'completionTokens', 'cost'];
+
+/**
+ * 创建默认价格表
+ * @returns {Object} { currency, engines }
+ */
+function createDefaultPricing() {
+  return {
+    currency: 'USD',
+    engines: JSON.parse(JSON.stringify(DEFAULT_ENGINE_PRICES))
+  };
+}
+
+/**
+ * 规范化单个引擎的价格（负数和非数字按 0 处理）
+ * @param {Object} price - 引擎价格
+ * @returns {{inputPerMillion: number, outputPerMillion: number, perMillionChars: number}}
+ */
+function normalizePrice(price) {
+  const toPrice = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : 0);
+  const source = price || {};
+
+  return {
+    inputPerMillion: toPrice(source.inputPerMillion),
+    outputPerMillion: toPrice(source.outputPerMillion),
+    perMillionChars: toPrice(source.perMillionChars)
+  };
+}
+
+/**
+ * 规范化价格表
+ * @param {Object} pricing - 价格表
+ * @returns {Object} 规范化后的价格表
+ */
+function normalizePricing(pricing) {
+  const defaults = createDefaultPricing();
+  if (!pricing || typeof pricing !== 'object') {
+    return defaults;
+  }
+
+  const engines = {};
+  Object.entries({ ...defaults.engines, ...(pricing.engines || {}) }).forEach(([engineName, price]) => {
+    engines[engineName] = normalizePrice(price);
+  });
+
+  return {
+    currency: typeof pricing.currency === 'string' && pricing.currency.trim()
+      ? pricing.currency.trim().toUpperCase()
+      : defaults.currency,
+    engines
+  };
+}
+
+/**
+ * 判断引擎是否收费
+ * @param {Object} price - 引擎价格
+ * @returns {boolean}
+ */
+function isPaidEngine(price) {
+  const normalized = normalizePrice(price);
+  return normalized.inputPerMillion > 0 || normalized.outputPerMillion > 0 || normalized.perMillionChars > 0;
+}
+
+/**
+ * 估算文本的 token 数
+ * 中日韩字符约 1 token/字，其他文字约 4 字符/token
+ * @param {string} text - 文本
+ * @returns {number} 估算的 token 数
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * 汇总多次请求的 token 用量
+ * @param {Array<Object|null>} usages - 用量列表 { promptTokens, completionTokens, estimated }
+ * @returns {Object|null} 汇总后的用量（全部为空时返回 null）
+ */
+function sumUsage(usages) {
+  const valid = (usages || []).filter(Boolean);
+  if (valid.length === 0) {
+    return null;
+  }
+
+  return valid.reduce((total, usage) => ({
+    promptTokens: total.promptTokens + (usage.promptTokens || 0),
+    completionTokens: total.completionTokens + (usage.completionTokens || 0),
+    estimated: total.estimated || usage.estimated === true
+  }), { promptTokens: 0, completionTokens: 0, estimated: false });
+}
+
+/**
+ * 计算单次翻译的费用
+ * @param {Object} price - 引擎价格
+ * @param {Object} usage - { promptTokens, completionTokens, chars }
+ * @returns {number} 费用（保留 6 位小数）
+ */
+function calculateCost(price, usage = {}) {
+  const normalized = normalizePrice(price);
+  const cost = ((usage.promptTokens || 0) * normalized.inputPerMillion +
+    (usage.completionTokens || 0) * normalized.outputPerMillion +
+    (usage.chars || 0) * normalized.perMillionChars) / 1000000;
+
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * 导出每日费用明细为 CSV
+ * @param {Object} dailyCosts - { 'YYYY-MM-DD': { accountId: { engineName: entry } } }
+ * @returns {string} CSV 内容
+ */
+function formatCostCSV(dailyCosts) {
+  const rows = [];
+
+  Object.keys(dailyCosts || {}).sort().forEach(date => {
+    Object.entries(dailyCosts[date]).forEach(([accountId, engines]) => {
+      Object.entries(engines).forEach(([engineName, entry]) => {
+        rows.push([
+          date,
+          accountId,
+          engineName,
+          String(entry.requests),
+          String(entry.chars),
+          String(entry.promptTokens),
+          String(entry.completionTokens),
+          entry.cost.toFixed(6)
+        ]);
+      });
+    });
+  });
+
+  return formatCSV([COST_CSV_HEADER, ...rows]);
+}
+
+module.exports = {
+  createDefaultPricing,
+  normalizePrice,
+  normalizePricing,
+  isPaidEngine,
+  estimateTokens,
+  sumUsage,
+  calculateCost,
+  formatCostCSV
+};
@@ -0,0 +1,298 @@
+/**
+ * 术语表工具函数
+ * 负责术语匹配、占位符遮蔽/还原、AI 提示词生成以及 CSV 导入导出
+ */
+
+const crypto = require('crypto');
+const { parseCSV, formatCSV } = require('../../utils/csvUtils');
+
+// 占位符格式（Google 翻译会原样保留下划线标识符）
+const PLACEHOLDER_PREFIX = '__GLS';
+const PLACEHOLDER_PATTERN = /_\s*_\s*GLS\s*(\d+)\s*_\s*_/g;
+
+const CSV_HEADER = ['type', 'source', 'target', 'targetLang', 'caseSensitive'];
+
+/**
+ * 创建空术语表
+ * @returns {Object} { terms: [], doNotTranslate: [] }
+ */
+function createEmptyGlossary() {
+  return {
+    terms: [],
+    doNotTranslate: []
+  };
+}
+
+/**
+ * 规范化术语表结构，过滤无效条目
+ * @param {Object} glossary - 术语表
+ * @returns {Object} 规范化后的术语表
+ */
+function normalizeGlossary(glossary) {
+  const result = createEmptyGlossary();
+  if (!glossary || typeof glossary !== 'object') {
+    return result;
+  }
+
+  (Array.isArray(glossary.terms) ? glossary.terms : []).forEach(term => {
+    if (!term || typeof term.source !== 'string' || typeof term.target !== 'string') return;
+    const source = term.source.trim();
+    const target = term.target.trim();
+    if (!source || !target) return;
+
+    result.terms.push({
+      source,
+      target,
+      targetLang: term.targetLang ? String(term.targetLang).trim() : '',
+      caseSensitive: term.caseSensitive === true
+    });
+  });
+
+  (Array.isArray(glossary.doNotTranslate) ? glossary.doNotTranslate : []).forEach(token => {
+    const value = typeof token === 'string' ? token.trim() : '';
+    if (value && !result.doNotTranslate.includes(value)) {
+      result.doNotTranslate.push(value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * 合并全局术语表和账号术语表（账号中同名术语覆盖全局）
+ * @param {Object} globalGlossary - 全局术语表
+ * @param {Object} accountGlossary - 账号术语表
+ * @returns {Object} 合并后的术语表
+ */
+function mergeGlossaries(globalGlossary, accountGlossary) {
+  const base = normalizeGlossary(globalGlossary);
+  const override = normalizeGlossary(accountGlossary);
+
+  const termKey = term => `${term.source.toLowerCase()}|${term.targetLang}`;
+  const overrideKeys = new Set(override.terms.map(termKey));
+
+  return {
+    terms: [
+      ...base.terms.filter(term => !overrideKeys.has(termKey(term))),
+      ...override.terms
+    ],
+    doNotTranslate: Array.from(new Set([...base.doNotTranslate, ...override.doNotTranslate]))
+  };
+}
+
+/**
+ * 转义正则特殊字符
+ * @param {string} str - 字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 生成术语匹配正则
+ * 以字母数字开头/结尾的术语要求词边界，避免 "Pro" 匹配到 "Product"
+ * @param {string} term - 术语
+ * @param {boolean} caseSensitive - 是否区分大小写
+ * @returns {RegExp} 正则
+ */
+function buildTermRegExp(term, caseSensitive) {
+  const start = /^[A-Za-z0-9]/.test(term) ? '(?<![A-Za-z0-9])' : '';
+  const end = /[A-Za-z0-9]$/.test(term) ? '(?![A-Za-z0-9])' : '';
+  return new RegExp(`${start}${escapeRegExp(term)}${end}`, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * 查找文本中出现的术语
+ * @param {string} text - 原文
+ * @param {Object} glossary - 术语表
+ * @param {string} targetLang - 目标语言（用于筛选限定语言的术语）
+ * @returns {Object|null} 匹配到的 { terms, doNotTranslate }，无匹配时返回 null
+ */
+function findGlossaryMatches(text, glossary, targetLang) {
+  if (!text || !glossary) return null;
+
+  const normalized = normalizeGlossary(glossary);
+  const terms = normalized.terms.filter(term =>
+    (!term.targetLang || term.targetLang === targetLang) &&
+    buildTermRegExp(term.source, term.caseSensitive).test(text)
+  );
+  const doNotTranslate = normalized.doNotTranslate.filter(token =>
+    buildTermRegExp(token, true).test(text)
+  );
+
+  if (terms.length === 0 && doNotTranslate.length === 0) {
+    return null;
+  }
+
+  return { terms, doNotTranslate };
+}
+
+/**
+ * 用占位符遮蔽术语（用于不支持提示词的机器翻译引擎）
+ * 术语占位符还原为目标译法，禁译词还原为原文
+ * @param {string} text - 原文
+ * @param {Object} matches - findGlossaryMatches 的结果
+ * @returns {{text: string, placeholders: Array<{placeholder: string, replacement: string}>}}
+ */
+function maskGlossaryTerms(text, matches) {
+  const placeholders = [];
+  if (!matches) {
+    return { text, placeholders };
+  }
+
+  const entries = [
+    ...matches.doNotTranslate.map(token => ({ pattern: token, caseSensitive: true, replacement: null })),
+    ...matches.terms.map(term => ({ pattern: term.source, caseSensitive: term.caseSensitive, replacement: term.target }))
+  ].sort((a, b) => b.pattern.length - a.pattern.length); // 长词优先，避免部分重叠
+
+  let masked = text;
+  entries.forEach(entry => {
+    masked = masked.replace(buildTermRegExp(entry.pattern, entry.caseSensitive), (matched) => {
+      const placeholder = `${PLACEHOLDER_PREFIX}${placeholders.length}__`;
+      placeholders.push({
+        placeholder,
+        replacement: entry.replacement === null ? matched : entry.replacement
+      });
+      return placeholder;
+    });
+  });
+
+  return { text: masked, placeholders };
+}
+
+/**
+ * 还原占位符（容忍引擎在占位符中插入空格）
+ * @param {string} text - 译文
+ * @param {Array} placeholders - maskGlossaryTerms 返回的占位符
+ * @returns {string} 还原后的译文
+ */
+function restoreGlossaryTerms(text, placeholders) {
+  if (!text || !placeholders || placeholders.length === 0) {
+    return text;
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (matched, index) => {
+    const entry = placeholders[Number(index)];
+    return entry ? entry.replacement : matched;
+  });
+}
+
+/**
+ * 译后校正：译文中仍残留的术语原文替换为目标译法
+ * @param {string} text - 译文
+ * @param {Object} matches - findGlossaryMatches 的结果
+ * @returns {string} 校正后的译文
+ */
+function enforceGlossaryTerms(text, matches) {
+  if (!text || !matches) return text;
+
+  let result = text;
+  matches.terms.forEach(term => {
+    if (term.source === term.target || result.includes(term.target)) return;
+    result = result.replace(buildTermRegExp(term.source, term.caseSensitive), term.target);
+  });
+  return result;
+}
+
+/**
+ * 生成 AI 提示词中的术语说明
+ * @param {Object} matches - findGlossaryMatches 的结果
+ * @returns {string} 提示词片段（无匹配时为空字符串）
+ */
+function buildGlossaryPrompt(matches) {
+  if (!matches) return '';
+
+  const lines = [];
+  if (matches.terms.length > 0) {
+    lines.push('术语表（必须严格使用以下译法）：');
+    matches.terms.forEach(term => lines.push(`- "${term.source}" → "${term.target}"`));
+  }
+  if (matches.doNotTranslate.length > 0) {
+    lines.push('以下内容必须保持原样，不要翻译：');
+    matches.doNotTranslate.forEach(token => lines.push(`- ${token}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 计算匹配术语的摘要（用于缓存键，术语表变更后不命中旧缓存）
+ * @param {Object} matches - findGlossaryMatches 的结果
+ * @returns {string} 摘要，无匹配时为空字符串
+ */
+function getGlossaryDigest(matches) {
+  if (!matches) return '';
+  return crypto.createHash('md5').update(JSON.stringify(matches)).digest('hex').slice(0, 8);
+}
+
+/**
+ * 解析术语表 CSV
+ * 列：type(term|dnt), source, target, targetLang, caseSensitive
+ * @param {string} csv - CSV 内容
+ * @returns {{glossary: Object, errors: string[]}} 解析结果及逐行错误
+ */
+function parseGlossaryCSV(csv) {
+  const glossary = createEmptyGlossary();
+  const errors = [];
+  const rows = parseCSV(csv);
+
+  if (rows.length > 0 && rows[0][0].trim().toLowerCase() === 'type') {
+    rows.shift();
+  }
+
+  rows.forEach((row, index) => {
+    const [type = '', source = '', target = '', targetLang = '', caseSensitive = ''] = row.map(cell => cell.trim());
+    const line = index + 2;
+
+    if (type === 'dnt') {
+      if (!source) {
+        errors.push(`第 ${line} 行：禁译词不能为空`);
+        return;
+      }
+      glossary.doNotTranslate.push(source);
+    } else if (type === 'term' || type === '') {
+      if (!source || !target) {
+        errors.push(`第 ${line} 行：术语原文和译文不能为空`);
+        return;
+      }
+      glossary.terms.push({
+        source,
+        target,
+        targetLang,
+        caseSensitive: ['true', '1', 'yes'].includes(caseSensitive.toLowerCase())
+      });
+    } else {
+      errors.push(`第 ${line} 行：未知类型 "${type}"`);
+    }
+  });
+
+  return { glossary: normalizeGlossary(glossary), errors };
+}
+
+/**
+ * 导出术语表为 CSV
+ * @param {Object} glossary - 术语表
+ * @returns {string} CSV 内容
+ */
+function formatGlossaryCSV(glossary) {
+  const normalized = normalizeGlossary(glossary);
+  return formatCSV([
+    CSV_HEADER,
+    ...normalized.terms.map(term => ['term', term.source, term.target, term.targetLang, term.caseSensitive ? 'true' : 'false']),
+    ...normalized.doNotTranslate.map(token => ['dnt', token, '', '', 'true'])
+  ]);
+}
+
+module.exports = {
+  createEmptyGlossary,
+  normalizeGlossary,
+  mergeGlossaries,
+  findGlossaryMatches,
+  maskGlossaryTerms,
+  restoreGlossaryTerms,
+  enforceGlossaryTerms,
+  buildGlossaryPrompt,
+  getGlossaryDigest,
+  parseGlossaryCSV,
+  formatGlossaryCSV
+};
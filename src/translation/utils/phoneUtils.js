@@ -0,0 +1,41 @@
+/**
+ * 电话号码工具函数
+ * 把联系人ID（WhatsApp JID、带格式的号码）规范化为 E.164 格式，用于跨账号识别同一客户
+ */
+
+// E.164 号码最多 15 位（含国家码），国家码 + 用户号码至少按 8 位处理
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+/**
+ * 规范化电话号码为 E.164 格式
+ * WhatsApp 号码总是带国家码，因此不带 + 的纯数字也按国际号码处理
+ * @param {string} value - 联系人ID或电话号码，如 "+86 138-0000-0000"、"8613800000000@c.us"、"0044 20 7946 0958"
+ * @returns {string|null} E.164 号码（如 "+8613800000000"），不是电话号码（联系人名称、群组ID）时返回 null
+ */
+function normalizePhoneNumber(value) {
+  if (typeof value !== 'string') return null;
+
+  let raw = value.trim();
+
+  // WhatsApp JID：个人聊天为 @c.us / @s.whatsapp.net，群组（@g.us）不是电话号码
+  const jidMatch = raw.match(/^([^@]+)@(c\.us|s\.whatsapp\.net|g\.us)$/i);
+  if (jidMatch) {
+    if (jidMatch[2].toLowerCase() === 'g.us') return null;
+    raw = jidMatch[1];
+  }
+
+  // 只允许数字和常见的号码格式字符，其余视为联系人名称
+  if (!/^(\+|00)?[\d\s().\-/]+$/.test(raw)) return null;
+
+  const digits = raw.replace(/^(\+|00)/, '').replace(/\D/g, '');
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS || digits.startsWith('0')) {
+    return null;
+  }
+
+  return `+${digits}`;
+}
+
+module.exports = {
+  normalizePhoneNumber
+};
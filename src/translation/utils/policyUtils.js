@@ -0,0 +1,75 @@
+/**
+ * 发送消息合规策略工具函数
+ * 负责"发出的消息匹配关键词/正则 → 拦截 / 提醒 / 放行并记录"规则的规范化和匹配
+ */
+
+const { validateSuggestionPattern, matchesPattern } = require('./suggestionUtils');
+
+// 按严重程度从高到低排列
+const POLICY_ACTIONS = ['block', 'warn', 'log'];
+
+/**
+ * 生成规则 ID
+ * @returns {string} ID
+ */
+function createPolicyRuleId() {
+  return `pr_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 规范化单条策略规则，无效规则返回 null
+ * @param {Object} rule - 规则 { id, name, pattern, isRegex, caseSensitive, action, enabled }
+ * @returns {Object|null} 规范化后的规则
+ */
+function normalizePolicyRule(rule) {
+  if (!rule) {
+    return null;
+  }
+
+  const isRegex = rule.isRegex === true;
+  const pattern = typeof rule.pattern === 'string' ? (isRegex ? rule.pattern : rule.pattern.trim()) : '';
+  if (validateSuggestionPattern(pattern, isRegex)) {
+    return null;
+  }
+
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : createPolicyRuleId(),
+    name: typeof rule.name === 'string' ? rule.name.trim() : '',
+    pattern,
+    isRegex,
+    caseSensitive: rule.caseSensitive === true,
+    action: POLICY_ACTIONS.includes(rule.action) ? rule.action : 'block',
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * 规范化规则列表
+ * @param {Array<Object>} rules - 规则列表
+ * @returns {Array<Object>} 规范化后的规则列表
+ */
+function normalizePolicyRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .map(normalizePolicyRule)
+    .filter(Boolean);
+}
+
+/**
+ * 检查发出的消息
+ * @param {Array<Object>} rules - 规则列表
+ * @param {string} text - 消息文本
+ * @returns {{action: string|null, rules: Array<Object>}} 命中规则中最严重的动作（未命中为 null）和所有命中的规则
+ */
+function evaluatePolicy(rules, text) {
+  const matched = normalizePolicyRules(rules)
+    .filter(rule => rule.enabled && matchesPattern(rule, text));
+
+  const action = POLICY_ACTIONS.find(item => matched.some(rule => rule.action === item)) || null;
+  return { action, rules: matched };
+}
+
+module.exports = {
+  POLICY_ACTIONS,
+  normalizePolicyRules,
+  evaluatePolicy
+};
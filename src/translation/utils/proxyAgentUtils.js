@@ -0,0 +1,129 @@
+/**
+ * 翻译请求代理工具函数
+ * 翻译请求由主进程的 http/https 模块发出，不经过账号 session 的代理设置，
+ * 这里为请求选择代理并创建对应的 Agent：HTTP/HTTPS 代理使用 http(s)-proxy-agent，SOCKS 代理使用 socks-proxy-agent
+ */
+
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { getProxyMode, getProxyAction } = require('../../utils/proxyRules');
+
+// SOCKS5 使用 socks5h，由代理端解析域名，与账号 session 的行为一致
+const SOCKS_SCHEMES = {
+  socks4: 'socks4',
+  socks5: 'socks5h'
+};
+
+// 已创建的 Agent（按代理地址和目标协议复用）
+const agents = new Map();
+
+/**
+ * 代理配置能否用于主进程发出的请求
+ * PAC 脚本只在账号 session 中执行，主进程无法按 PAC 选择代理
+ * @param {Object|null} proxy - 解析后的代理配置
+ * @returns {boolean}
+ */
+function isUsableProxy(proxy) {
+  return Boolean(proxy && proxy.enabled !== false && getProxyMode(proxy) !== 'pac' && proxy.host && proxy.port);
+}
+
+/**
+ * 选择翻译请求使用的代理
+ * 开启“通过账号代理发送”时优先使用账号代理；账号未配置代理或使用 PAC 时使用全局翻译代理
+ * @param {Object|null} accountProxy - 账号解析后的代理配置
+ * @param {Object|null} globalProxy - 全局翻译代理（解析后的代理配置）
+ * @param {Object} settings - 翻译代理设置 { useAccountProxy }
+ * @returns {{proxy: Object|null, source: string}} source 为 account、global 或 direct
+ */
+function selectTranslationProxy(accountProxy, globalProxy, settings = {}) {
+  if (settings.useAccountProxy && isUsableProxy(accountProxy)) {
+    return { proxy: accountProxy, source: 'account' };
+  }
+  if (isUsableProxy(globalProxy)) {
+    return { proxy: globalProxy, source: 'global' };
+  }
+  return { proxy: null, source: 'direct' };
+}
+
+/**
+ * 构建代理地址（用户名和密码经过 URL 编码）
+ * @param {Object} proxy - 代理配置
+ * @returns {string}
+ */
+function buildProxyUrl(proxy) {
+  const protocol = String(proxy.protocol || 'http').toLowerCase();
+  const scheme = SOCKS_SCHEMES[protocol] || protocol;
+  const auth = proxy.username
+    ? `${encodeURIComponent(proxy.username)}:${encodeURIComponent(proxy.password || '')}@`
+    : '';
+  return `${scheme}://${auth}${proxy.host}:${proxy.port}`;
+}
+
+/**
+ * 获取请求使用的 Agent
+ * 按域名规则直连的地址和本机地址不使用代理
+ * @param {Object|null} proxy - 解析后的代理配置
+ * @param {URL|string} target - 请求地址
+ * @returns {Object|undefined} 不使用代理时返回 undefined（使用默认 Agent）
+ */
+function getProxyAgent(proxy, target) {
+  if (!isUsableProxy(proxy)) {
+    return undefined;
+  }
+
+  const url = typeof target === 'string' ? new URL(target) : target;
+  if (getProxyAction(proxy, url.hostname) === 'direct') {
+    return undefined;
+  }
+
+  const proxyUrl = buildProxyUrl(proxy);
+  const secure = url.protocol !== 'http:';
+  const key = `${proxyUrl}|${secure ? 'https' : 'http'}`;
+
+  if (!agents.has(key)) {
+    let agent;
+    if (proxyUrl.startsWith('socks')) {
+      agent = new SocksProxyAgent(proxyUrl);
+    } else {
+      agent = secure ? new HttpsProxyAgent(proxyUrl) : new HttpProxyAgent(proxyUrl);
+    }
+    agents.set(key, agent);
+  }
+
+  return agents.get(key);
+}
+
+/**
+ * 描述翻译请求的代理（不含认证信息，用于设置面板和日志）
+ * @param {Object|null} proxy - 解析后的代理配置
+ * @returns {string}
+ */
+function describeTranslationProxy(proxy) {
+  if (!isUsableProxy(proxy)) {
+    return '直连';
+  }
+  const server = `${String(proxy.protocol || 'http').toLowerCase()}://${proxy.host}:${proxy.port}`;
+  return getProxyMode(proxy) === 'rules' ? `${server}（按域名规则）` : server;
+}
+
+/**
+ * 释放已创建的 Agent（代理配置修改后调用）
+ */
+function clearProxyAgents() {
+  agents.forEach(agent => {
+    if (typeof agent.destroy === 'function') {
+      agent.destroy();
+    }
+  });
+  agents.clear();
+}
+
+module.exports = {
+  isUsableProxy,
+  selectTranslationProxy,
+  buildProxyUrl,
+  getProxyAgent,
+  describeTranslationProxy,
+  clearProxyAgents
+};
@@ -0,0 +1,149 @@
+/**
+ * 快捷回复工具函数
+ * 负责快捷回复模板的规范化、全局/账号合并以及 JSON 导入导出
+ */
+
+const QUICK_REPLY_EXPORT_VERSION = 1;
+
+/**
+ * 创建空的快捷回复库
+ * @returns {Object} { groups: [] }
+ */
+function createEmptyQuickReplies() {
+  return {
+    groups: []
+  };
+}
+
+/**
+ * 生成 ID
+ * @param {string} prefix - 前缀
+ * @returns {string} ID
+ */
+function createId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 规范化快捷回复库（过滤空模板，合并同名分组）
+ * @param {Object} library - 快捷回复库 { groups: [{ id, name, replies: [{ id, title, text }] }] }
+ * @returns {Object} 规范化后的快捷回复库
+ */
+function normalizeQuickReplies(library) {
+  const result = createEmptyQuickReplies();
+  if (!library || !Array.isArray(library.groups)) {
+    return result;
+  }
+
+  library.groups.forEach(group => {
+    if (!group || typeof group !== 'object') return;
+    const name = typeof group.name === 'string' && group.name.trim() ? group.name.trim() : '默认';
+
+    const replies = (Array.isArray(group.replies) ? group.replies : [])
+      .filter(reply => reply && typeof reply.text === 'string' && reply.text.trim())
+      .map(reply => {
+        const text = reply.text.trim();
+        return {
+          id: typeof reply.id === 'string' && reply.id ? reply.id : createId('qr'),
+          title: typeof reply.title === 'string' && reply.title.trim() ? reply.title.trim() : text.slice(0, 20),
+          text
+        };
+      });
+
+    const existing = result.groups.find(item => item.name === name);
+    if (existing) {
+      existing.replies.push(...replies);
+    } else {
+      result.groups.push({
+        id: typeof group.id === 'string' && group.id ? group.id : createId('qrg'),
+        name,
+        replies
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * 合并两个快捷回复库（同名分组合并，同标题模板以 override 为准）
+ * @param {Object} base - 原快捷回复库
+ * @param {Object} override - 新快捷回复库
+ * @returns {Object} 合并后的快捷回复库
+ */
+function mergeQuickReplies(base, override) {
+  const result = normalizeQuickReplies(base);
+
+  normalizeQuickReplies(override).groups.forEach(group => {
+    const existing = result.groups.find(item => item.name === group.name);
+    if (!existing) {
+      result.groups.push(group);
+      return;
+    }
+
+    group.replies.forEach(reply => {
+      const index = existing.replies.findIndex(item => item.title === reply.title);
+      if (index === -1) {
+        existing.replies.push(reply);
+      } else {
+        existing.replies[index] = { ...reply, id: existing.replies[index].id };
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 导出快捷回复库为 JSON
+ * @param {Object} library - 快捷回复库
+ * @returns {string} JSON 内容
+ */
+function formatQuickRepliesJSON(library) {
+  return JSON.stringify({
+    version: QUICK_REPLY_EXPORT_VERSION,
+    groups: normalizeQuickReplies(library).groups.map(group => ({
+      name: group.name,
+      replies: group.replies.map(reply => ({ title: reply.title, text: reply.text }))
+    }))
+  }, null, 2);
+}
+
+/**
+ * 解析导入的快捷回复 JSON（导入的模板重新生成 ID，避免与现有模板冲突）
+ * @param {string} json - JSON 内容
+ * @returns {{library: Object, imported: number}} 快捷回复库及模板数量
+ */
+function parseQuickRepliesJSON(json) {
+  let data;
+  try {
+    data = JSON.parse(String(json || '').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (!data || !Array.isArray(data.groups)) {
+    throw new Error('Quick reply file must contain a groups array');
+  }
+
+  const library = normalizeQuickReplies({
+    groups: data.groups.map(group => ({
+      name: group && group.name,
+      replies: (group && Array.isArray(group.replies) ? group.replies : [])
+        .map(reply => ({ title: reply && reply.title, text: reply && reply.text }))
+    }))
+  });
+
+  return {
+    library,
+    imported: library.groups.reduce((total, group) => total + group.replies.length, 0)
+  };
+}
+
+module.exports = {
+  createEmptyQuickReplies,
+  normalizeQuickReplies,
+  mergeQuickReplies,
+  formatQuickRepliesJSON,
+  parseQuickRepliesJSON
+};
@@ -0,0 +1,135 @@
+/**
+ * 翻译路由规则工具函数
+ * 根据语言对、文本长度、聊天类型和翻译方向为请求选择引擎及降级链
+ */
+
+// 默认降级链（机器翻译优先，AI 引擎其次）
+const DEFAULT_FALLBACK_CHAIN = ['google', 'deepl', 'microsoft', 'gpt4', 'gemini', 'deepseek'];
+
+const CHAT_TYPES = ['any', 'group', 'private'];
+const DIRECTIONS = ['any', 'inbound', 'outbound'];
+
+/**
+ * 创建默认路由配置
+ * @returns {Object} { fallbackChain, rules }
+ */
+function createDefaultRouting() {
+  return {
+    fallbackChain: [...DEFAULT_FALLBACK_CHAIN],
+    rules: []
+  };
+}
+
+/**
+ * 规范化引擎列表（去重、去空）
+ * @param {*} chain - 引擎列表
+ * @returns {string[]} 规范化后的引擎列表
+ */
+function normalizeChain(chain) {
+  if (!Array.isArray(chain)) return [];
+  return Array.from(new Set(chain
+    .map(engine => (typeof engine === 'string' ? engine.trim() : ''))
+    .filter(Boolean)));
+}
+
+/**
+ * 规范化单条路由规则，无效规则返回 null
+ * @param {Object} rule - 路由规则
+ * @param {number} index - 规则序号（用于生成默认 ID）
+ * @returns {Object|null} 规范化后的规则
+ */
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule.engine !== 'string' || !rule.engine.trim()) {
+    return null;
+  }
+
+  const match = rule.match || {};
+  const toLength = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+
+  return {
+    id: rule.id || `rule_${index + 1}`,
+    name: rule.name ? String(rule.name).trim() : '',
+    enabled: rule.enabled !== false,
+    engine: rule.engine.trim(),
+    fallbackChain: normalizeChain(rule.fallbackChain),
+    match: {
+      sourceLang: match.sourceLang ? String(match.sourceLang).trim() : '',
+      targetLang: match.targetLang ? String(match.targetLang).trim() : '',
+      minLength: toLength(match.minLength),
+      maxLength: toLength(match.maxLength),
+      chatType: CHAT_TYPES.includes(match.chatType) ? match.chatType : 'any',
+      direction: DIRECTIONS.includes(match.direction) ? match.direction : 'any'
+    }
+  };
+}
+
+/**
+ * 规范化路由配置
+ * @param {Object} routing - 路由配置
+ * @returns {Object} 规范化后的路由配置
+ */
+function normalizeRouting(routing) {
+  if (!routing || typeof routing !== 'object') {
+    return createDefaultRouting();
+  }
+
+  const fallbackChain = normalizeChain(routing.fallbackChain);
+
+  return {
+    fallbackChain: fallbackChain.length > 0 ? fallbackChain : [...DEFAULT_FALLBACK_CHAIN],
+    rules: (Array.isArray(routing.rules) ? routing.rules : [])
+      .map(normalizeRule)
+      .filter(Boolean)
+  };
+}
+
+/**
+ * 判断规则是否匹配请求
+ * @param {Object} rule - 规范化后的规则
+ * @param {Object} context - 请求信息 { sourceLang, targetLang, textLength, chatType, direction }
+ * @returns {boolean} 是否匹配
+ */
+function matchesRule(rule, context) {
+  if (!rule.enabled) return false;
+
+  const { match } = rule;
+  if (match.sourceLang && match.sourceLang !== context.sourceLang) return false;
+  if (match.targetLang && match.targetLang !== context.targetLang) return false;
+  if (match.minLength && context.textLength < match.minLength) return false;
+  if (match.maxLength && context.textLength > match.maxLength) return false;
+  if (match.chatType !== 'any' && match.chatType !== context.chatType) return false;
+  if (match.direction !== 'any' && match.direction !== context.direction) return false;
+
+  return true;
+}
+
+/**
+ * 计算请求的路由决策（按顺序取第一条匹配的规则）
+ * @param {Object} routing - 路由配置
+ * @param {Object} context - 请求信息
+ * @param {string} requestedEngine - 请求指定的引擎（无规则匹配时使用）
+ * @returns {{engine: string, chain: string[], ruleId: string|null, ruleName: string|null}}
+ *   chain 为完整的尝试顺序（首项为首选引擎）
+ */
+function resolveRoute(routing, context, requestedEngine) {
+  const normalized = normalizeRouting(routing);
+  const rule = normalized.rules.find(item => matchesRule(item, context)) || null;
+
+  const engine = rule ? rule.engine : requestedEngine;
+  const fallbackChain = rule && rule.fallbackChain.length > 0 ? rule.fallbackChain : normalized.fallbackChain;
+
+  return {
+    engine,
+    chain: [engine, ...fallbackChain.filter(name => name !== engine)],
+    ruleId: rule ? rule.id : null,
+    ruleName: rule ? (rule.name || rule.id) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_FALLBACK_CHAIN,
+  createDefaultRouting,
+  normalizeRouting,
+  matchesRule,
+  resolveRoute
+};
@@ -0,0 +1,75 @@
+/**
+ * 文本相似度工具函数
+ * 与 contentScript.calculateSimilarity 使用相同的算法（内容脚本通过 executeJavaScript 注入，无法共享模块）
+ */
+
+/**
+ * 规范化文本（转小写、去除标点和符号、合并空白）
+ * 保留所有语言的字母、组合附加符号（泰文、阿拉伯文等的元音符号）和数字
+ * @param {string} text - 文本
+ * @returns {string} 规范化后的文本
+ */
+function normalizeForSimilarity(text) {
+  return String(text || '').toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 计算 Levenshtein 距离（滚动数组，内存占用与较短文本成正比）
+ * @param {string} s1 - 文本1
+ * @param {string} s2 - 文本2
+ * @returns {number} 编辑距离
+ */
+function levenshteinDistance(s1, s2) {
+  if (s1.length < s2.length) {
+    return levenshteinDistance(s2, s1);
+  }
+
+  let previous = Array.from({ length: s2.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s1.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= s2.length; j++) {
+      const cost = s1[i - 1] === s2[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,      // 删除
+        current[j - 1] + 1,   // 插入
+        previous[j - 1] + cost // 替换
+      );
+    }
+    previous = current;
+  }
+
+  return previous[s2.length];
+}
+
+/**
+ * 计算两个已规范化文本的相似度
+ * @param {string} s1 - 规范化后的文本1
+ * @param {string} s2 - 规范化后的文本2
+ * @returns {number} 相似度（0-1）
+ */
+function normalizedSimilarity(s1, s2) {
+  if (s1 === s2) return 1.0;
+  if (s1.length === 0 || s2.length === 0) return 0.0;
+
+  return 1 - (levenshteinDistance(s1, s2) / Math.max(s1.length, s2.length));
+}
+
+/**
+ * 计算两个文本的相似度
+ * @param {string} text1 - 文本1
+ * @param {string} text2 - 文本2
+ * @returns {number} 相似度（0-1）
+ */
+function calculateSimilarity(text1, text2) {
+  return normalizedSimilarity(normalizeForSimilarity(text1), normalizeForSimilarity(text2));
+}
+
+module.exports = {
+  normalizeForSimilarity,
+  levenshteinDistance,
+  normalizedSimilarity,
+  calculateSimilarity
+};
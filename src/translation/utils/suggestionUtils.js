@@ -0,0 +1,134 @@
+/**
+ * 回复建议规则工具函数
+ * 负责"收到的消息匹配关键词/正则 → 建议快捷回复模板"规则的规范化和匹配
+ */
+
+const MATCH_TARGETS = ['any', 'original', 'translated'];
+
+/**
+ * 生成规则 ID
+ * @returns {string} ID
+ */
+function createRuleId() {
+  return `sr_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 检查规则的匹配模式
+ * @param {string} pattern - 关键词（多个关键词用英文逗号分隔）或正则表达式
+ * @param {boolean} isRegex - 是否为正则表达式
+ * @returns {string|null} 错误信息，模式有效时返回 null
+ */
+function validateSuggestionPattern(pattern, isRegex) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return 'Pattern is required';
+  }
+  if (isRegex) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 规范化单条回复建议规则，无效规则返回 null
+ * @param {Object} rule - 规则 { id, name, pattern, isRegex, caseSensitive, matchOn, replyId, contactId, enabled }
+ * @returns {Object|null} 规范化后的规则
+ */
+function normalizeSuggestionRule(rule) {
+  if (!rule || typeof rule.replyId !== 'string' || !rule.replyId) {
+    return null;
+  }
+
+  const isRegex = rule.isRegex === true;
+  const pattern = typeof rule.pattern === 'string' ? (isRegex ? rule.pattern : rule.pattern.trim()) : '';
+  if (validateSuggestionPattern(pattern, isRegex)) {
+    return null;
+  }
+
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : createRuleId(),
+    name: typeof rule.name === 'string' ? rule.name.trim() : '',
+    pattern,
+    isRegex,
+    caseSensitive: rule.caseSensitive === true,
+    matchOn: MATCH_TARGETS.includes(rule.matchOn) ? rule.matchOn : 'any',
+    replyId: rule.replyId,
+    contactId: typeof rule.contactId === 'string' ? rule.contactId.trim() : '',
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * 规范化规则列表
+ * @param {Array<Object>} rules - 规则列表
+ * @returns {Array<Object>} 规范化后的规则列表
+ */
+function normalizeSuggestionRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .map(normalizeSuggestionRule)
+    .filter(Boolean);
+}
+
+/**
+ * 判断文本是否匹配规则的模式
+ * @param {Object} rule - 规范化后的规则
+ * @param {string} text - 文本
+ * @returns {boolean}
+ */
+function matchesPattern(rule, text) {
+  if (!text) return false;
+
+  if (rule.isRegex) {
+    return new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i').test(text);
+  }
+
+  const haystack = rule.caseSensitive ? text : text.toLowerCase();
+  return rule.pattern.split(',')
+    .map(keyword => keyword.trim())
+    .filter(Boolean)
+    .some(keyword => haystack.includes(rule.caseSensitive ? keyword : keyword.toLowerCase()));
+}
+
+/**
+ * 匹配收到的消息（联系人规则优先于账号规则，同一模板只建议一次）
+ * @param {Array<Object>} rules - 规则列表
+ * @param {Object} message - { original, translated, contactId }
+ * @returns {Array<{rule: Object, matchedOn: string}>} 命中的规则及命中的文本（original | translated）
+ */
+function matchSuggestionRules(rules, message) {
+  const contactId = message.contactId || '';
+  const candidates = normalizeSuggestionRules(rules)
+    .filter(rule => rule.enabled && (!rule.contactId || rule.contactId === contactId))
+    .sort((a, b) => Number(Boolean(b.contactId)) - Number(Boolean(a.contactId)));
+
+  const matches = [];
+  const replyIds = new Set();
+  candidates.forEach(rule => {
+    if (replyIds.has(rule.replyId)) return;
+
+    let matchedOn = null;
+    if (rule.matchOn !== 'translated' && matchesPattern(rule, message.original)) {
+      matchedOn = 'original';
+    } else if (rule.matchOn !== 'original' && matchesPattern(rule, message.translated)) {
+      matchedOn = 'translated';
+    }
+
+    if (matchedOn) {
+      replyIds.add(rule.replyId);
+      matches.push({ rule, matchedOn });
+    }
+  });
+
+  return matches;
+}
+
+module.exports = {
+  validateSuggestionPattern,
+  normalizeSuggestionRules,
+  matchesPattern,
+  matchSuggestionRules
+};
@@ -0,0 +1,39 @@
+/**
+ * 联系人标签工具函数
+ * 负责彩色标签定义的规范化
+ */
+
+// 默认调色板（新标签依次使用）
+const TAG_COLORS = ['#e53935', '#fb8c00', '#fdd835', '#43a047', '#00acc1', '#1e88e5', '#8e24aa', '#6d4c41'];
+
+const TAG_NAME_MAX_LENGTH = 32;
+
+/**
+ * 生成标签 ID
+ * @returns {string} ID
+ */
+function createTagId() {
+  return `tag_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 规范化标签定义
+ * @param {Object} tag - { id, name, color }
+ * @param {number} [index] - 标签序号（颜色无效时按序号从调色板取色）
+ * @returns {Object|null} 规范化后的标签，名称为空时返回 null
+ */
+function normalizeTag(tag, index = 0) {
+  const name = tag && typeof tag.name === 'string' ? tag.name.trim().slice(0, TAG_NAME_MAX_LENGTH) : '';
+  if (!name) return null;
+
+  return {
+    id: typeof tag.id === 'string' && tag.id ? tag.id : createTagId(),
+    name,
+    color: /^#[0-9a-f]{6}$/i.test(tag.color) ? tag.color.toLowerCase() : TAG_COLORS[index % TAG_COLORS.length]
+  };
+}
+
+module.exports = {
+  TAG_COLORS,
+  normalizeTag
+};
@@ -0,0 +1,198 @@
+/**
+ * TMX 工具函数
+ * 翻译记忆库与 TMX 1.4 文件之间的导入导出
+ */
+
+const { normalizeLanguageCode } = require('./languageUtils');
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+/**
+ * 转义 XML 文本
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+/**
+ * 还原 XML 实体
+ * @param {string} text - XML 文本
+ * @returns {string} 原始文本
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 时间戳转换为 TMX 日期格式（YYYYMMDDThhmmssZ）
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {string} TMX 日期
+ */
+function toTMXDate(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * TMX 日期转换为时间戳
+ * @param {string} value - TMX 日期
+ * @returns {number|null} 毫秒时间戳（格式无效时为 null）
+ */
+function fromTMXDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+}
+
+/**
+ * 读取标签属性
+ * @param {string} attributes - 标签属性文本
+ * @param {string} name - 属性名
+ * @returns {string|null} 属性值
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(attributes);
+  if (!match) return null;
+  return unescapeXml(match[2] !== undefined ? match[2] : match[3]);
+}
+
+/**
+ * 读取翻译单元的 <prop> 值
+ * @param {string} body - tu 内容
+ * @param {string} type - prop 类型
+ * @returns {string|null} 值（不存在时为 null）
+ */
+function getProp(body, type) {
+  const match = new RegExp(`<prop\\s+type\\s*=\\s*"${type}"\\s*>([^<]*)</prop>`, 'i').exec(body);
+  return match ? unescapeXml(match[1].trim()) : null;
+}
+
+/**
+ * 提取 <seg> 的纯文本（去除 bpt/ept/ph 等行内标记）
+ * @param {string} content - seg 内容
+ * @returns {string} 文本
+ */
+function extractSegText(content) {
+  const withoutCode = content
+    .replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => escapeXml(text))
+    .replace(/<[^>]+>/g, '');
+  return unescapeXml(withoutCode).trim();
+}
+
+/**
+ * 将翻译记忆导出为 TMX
+ * 翻译风格和术语表摘要写入 x-style / x-glossary（默认风格、未命中术语时省略）
+ * @param {Array<Object>} segments - 记忆条目 { id, sourceLang, targetLang, source, target, origin, style, glossary, createdAt, updatedAt, usageCount }
+ * @param {Object} options - { toolVersion }
+ * @returns {string} TMX 内容
+ */
+function formatTMX(segments, options = {}) {
+  const units = (segments || []).map(segment => [
+    `    <tu tuid="${escapeXml(segment.id)}" creationdate="${toTMXDate(segment.createdAt)}" changedate="${toTMXDate(segment.updatedAt)}" usagecount="${segment.usageCount || 0}">`,
+    `      <prop type="x-origin">${escapeXml(segment.origin || 'manual')}</prop>`,
+    ...(segment.style ? [`      <prop type="x-style">${escapeXml(segment.style)}</prop>`] : []),
+    ...(segment.glossary ? [`      <prop type="x-glossary">${escapeXml(segment.glossary)}</prop>`] : []),
+    `      <tuv xml:lang="${escapeXml(segment.sourceLang)}"><seg>${escapeXml(segment.source)}</seg></tuv>`,
+    `      <tuv xml:lang="${escapeXml(segment.targetLang)}"><seg>${escapeXml(segment.target)}</seg></tuv>`,
+    '    </tu>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="WhatsApp Desktop Translation" creationtoolversion="${escapeXml(options.toolVersion || '1.0')}" datatype="plaintext" segtype="sentence" adminlang="en" srclang="*all*" o-tmf="translation-memory"/>`,
+    '  <body>',
+    ...units,
+    '  </body>',
+    '</tmx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * 解析 TMX 文件
+ * 每个 <tu> 以 header 的 srclang（为 *all* 时取第一个 tuv）为原文，其余每个 tuv 生成一条记忆
+ * @param {string} xml - TMX 内容
+ * @returns {{segments: Array<Object>, errors: string[]}} 解析出的记忆条目和错误信息
+ */
+function parseTMX(xml) {
+  const input = String(xml || '').replace(/^\uFEFF/, '');
+  const segments = [];
+  const errors = [];
+
+  if (!/<tmx\b/i.test(input)) {
+    throw new Error('Not a TMX file');
+  }
+
+  const header = /<header\b([^>]*)>/i.exec(input);
+  const headerSrcLang = header ? getAttribute(header[1], 'srclang') : null;
+  const srcLang = headerSrcLang && headerSrcLang !== '*all*' ? normalizeLanguageCode(headerSrcLang) : null;
+
+  const unitPattern = /<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi;
+  let unit;
+  let unitIndex = 0;
+  while ((unit = unitPattern.exec(input)) !== null) {
+    unitIndex++;
+    const [, attributes, body] = unit;
+    const variants = [];
+    const variantPattern = /<tuv\b([^>]*)>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/gi;
+    let variant;
+    while ((variant = variantPattern.exec(body)) !== null) {
+      const lang = getAttribute(variant[1], 'xml:lang') || getAttribute(variant[1], 'lang');
+      const text = extractSegText(variant[2]);
+      if (lang && text) {
+        variants.push({ lang: normalizeLanguageCode(lang), text });
+      }
+    }
+
+    const sourceVariant = (srcLang && variants.find(item => item.lang === srcLang)) || variants[0];
+    if (!sourceVariant || variants.length < 2) {
+      errors.push(`第 ${unitIndex} 个翻译单元缺少原文或译文`);
+      continue;
+    }
+
+    const origin = getProp(body, 'x-origin');
+    const style = getProp(body, 'x-style');
+    const glossary = getProp(body, 'x-glossary');
+    const createdAt = fromTMXDate(getAttribute(attributes, 'creationdate'));
+    const updatedAt = fromTMXDate(getAttribute(attributes, 'changedate'));
+
+    variants.filter(item => item !== sourceVariant).forEach(targetVariant => {
+      segments.push({
+        sourceLang: sourceVariant.lang,
+        targetLang: targetVariant.lang,
+        source: sourceVariant.text,
+        target: targetVariant.text,
+        origin: origin || 'tmx',
+        style: style || null,
+        glossary: glossary || null,
+        createdAt,
+        updatedAt: updatedAt || createdAt
+      });
+    });
+  }
+
+  return { segments, errors };
+}
+
+module.exports = {
+  escapeXml,
+  formatTMX,
+  parseTMX
+};
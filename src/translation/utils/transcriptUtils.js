@@ -0,0 +1,178 @@
+/**
+ * 聊天记录导出工具函数
+ * 把归档消息格式化为 HTML（气泡布局，译文内嵌）、CSV 或 JSON，供合规和客服质检使用
+ */
+
+const { formatCSV } = require('../../utils/csvUtils');
+
+const TRANSCRIPT_FORMATS = ['html', 'csv', 'json'];
+
+const TRANSCRIPT_CSV_HEADER = [
+  'time', 'accountId', 'accountName', 'contactId', 'direction', 'sender',
+  'original', 'translation', 'sourceLang', 'targetLang'
+];
+
+/**
+ * 对消息中的文本字段脱敏
+ * 不同联系人脱敏后可能相同（如号码都变成 +***），重复的名称按出现顺序加上 #2、#3 区分，导出后仍能按聊天分段
+ * @param {Array<Object>} messages - 归档消息
+ * @param {Function} redact - (text) => string，如 PrivacyProtection.removeSensitiveInfo
+ * @returns {Array<Object>} 脱敏后的消息副本
+ */
+function redactTranscript(messages, redact) {
+  const contactLabels = new Map();
+  const labelCounts = new Map();
+  const redactContact = contactId => {
+    if (!contactLabels.has(contactId)) {
+      const label = redact(contactId);
+      const count = (labelCounts.get(label) || 0) + 1;
+      labelCounts.set(label, count);
+      contactLabels.set(contactId, count > 1 ? `${label} #${count}` : label);
+    }
+    return contactLabels.get(contactId);
+  };
+
+  return messages.map(message => ({
+    ...message,
+    contactId: redactContact(message.contactId),
+    sender: message.sender ? redact(message.sender) : '',
+    original: redact(message.original),
+    translation: message.translation ? redact(message.translation) : ''
+  }));
+}
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 导出为 CSV
+ * @param {Array<Object>} messages - 按时间正序的消息（可带 accountName）
+ * @returns {string} CSV 内容
+ */
+function formatTranscriptCSV(messages) {
+  const rows = messages.map(message => [
+    new Date(message.timestamp).toISOString(),
+    message.accountId,
+    message.accountName || '',
+    message.contactId,
+    message.direction,
+    message.sender || '',
+    message.original,
+    message.translation || '',
+    message.sourceLang || '',
+    message.targetLang || ''
+  ]);
+
+  return formatCSV([TRANSCRIPT_CSV_HEADER, ...rows]);
+}
+
+/**
+ * 导出为 JSON
+ * @param {Array<Object>} messages - 按时间正序的消息
+ * @param {Object} meta - 导出条件 { accountId, contactId, from, to, redacted }
+ * @returns {string} JSON 内容
+ */
+function formatTranscriptJSON(messages, meta = {}) {
+  return JSON.stringify({
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    filters: meta,
+    messages
+  }, null, 2);
+}
+
+/**
+ * 导出为独立的 HTML 文件（按账号 + 联系人分段，收到的消息在左、发出的在右）
+ * @param {Array<Object>} messages - 按时间正序的消息（可带 accountName）
+ * @param {Object} meta - 导出条件 { from, to, redacted }
+ * @returns {string} HTML 内容
+ */
+function formatTranscriptHTML(messages, meta = {}) {
+  const chats = new Map();
+  messages.forEach(message => {
+    const key = `${message.accountId}\n${message.contactId}`;
+    if (!chats.has(key)) chats.set(key, []);
+    chats.get(key).push(message);
+  });
+
+  const sections = Array.from(chats.values()).map(chatMessages => {
+    const first = chatMessages[0];
+    const bubbles = chatMessages.map(message => `
+      <div class="bubble ${message.direction === 'out' ? 'out' : 'in'}">
+        <div class="meta">${escapeHtml(message.sender)} · ${escapeHtml(new Date(message.timestamp).toLocaleString())}${message.sourceLang ? ` · ${escapeHtml(message.sourceLang)}` : ''}</div>
+        <div class="original">${escapeHtml(message.original)}</div>${message.translation ? `
+        <div class="translation">${escapeHtml(message.translation)}</div>` : ''}
+      </div>`).join('');
+
+    return `
+    <section>
+      <h2>${escapeHtml(first.accountName || first.accountId)} · ${escapeHtml(first.contactId)}</h2>${bubbles}
+    </section>`;
+  }).join('');
+
+  const range = [meta.from, meta.to]
+    .map(value => (value ? new Date(value).toLocaleDateString() : '…'))
+    .join(' – ');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>聊天记录</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; background: #efeae2; margin: 0; padding: 24px; color: #111; }
+    header { margin-bottom: 16px; color: #555; font-size: 13px; }
+    section { max-width: 820px; margin: 0 auto 32px; }
+    h2 { font-size: 16px; padding: 8px 12px; background: #fff; border-radius: 6px; }
+    .bubble { max-width: 70%; margin: 6px 0; padding: 8px 10px; border-radius: 8px; background: #fff; box-shadow: 0 1px 1px rgba(0,0,0,0.08); clear: both; }
+    .bubble.in { float: left; }
+    .bubble.out { float: right; background: #d9fdd3; }
+    section::after { content: ''; display: block; clear: both; }
+    .meta { font-size: 11px; color: #667781; margin-bottom: 4px; }
+    .original, .translation { white-space: pre-wrap; word-break: break-word; }
+    .translation { margin-top: 6px; padding-top: 6px; border-top: 1px dashed #b6c2bf; color: #3b4a54; }
+  </style>
+</head>
+<body>
+  <header>导出时间：${escapeHtml(new Date().toLocaleString())} · 日期范围：${escapeHtml(range)} · 共 ${messages.length} 条${meta.redacted ? ' · 已脱敏' : ''}</header>${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * 按格式导出聊天记录
+ * @param {Array<Object>} messages - 按时间正序的消息
+ * @param {string} format - 'html' | 'csv' | 'json'
+ * @param {Object} meta - 导出条件
+ * @returns {string} 导出内容
+ */
+function formatTranscript(messages, format, meta = {}) {
+  switch (format) {
+    case 'csv':
+      return formatTranscriptCSV(messages);
+    case 'json':
+      return formatTranscriptJSON(messages, meta);
+    case 'html':
+      return formatTranscriptHTML(messages, meta);
+    default:
+      throw new Error(`Unsupported transcript format: ${format}`);
+  }
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  redactTranscript,
+  formatTranscript
+};
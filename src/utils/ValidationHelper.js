@@ -5,6 +5,8 @@
  * network operations, and other edge cases in the single-window architecture.
  */
 
+const { validateProxyMode, getProxyMode } = require('./proxyRules');
+
 /**
  * Validate account configuration before saving
  * @param {Object} config - Account configuration object
@@ -110,6 +112,40 @@ function validateProxyConfig(proxyConfig) {
     errors.push('enabled must be a boolean');
   }
 
+  // PAC script and per-host rule fields
+  if (proxyConfig.enabled) {
+    errors.push(...validateProxyMode(proxyConfig).errors);
+  }
+
+  // Backup proxy profiles, tried in order when the proxy keeps failing
+  if (proxyConfig.backupProfileIds !== undefined) {
+    const backupIds = proxyConfig.backupProfileIds;
+    if (!Array.isArray(backupIds) || backupIds.some(id => typeof id !== 'string' || !id)) {
+      errors.push('backupProfileIds must be an array of proxy profile IDs');
+    } else if (new Set(backupIds).size !== backupIds.length) {
+      errors.push('backupProfileIds must not contain duplicates');
+    } else if (proxyConfig.profileId && backupIds.includes(proxyConfig.profileId)) {
+      errors.push('backupProfileIds must not include the primary proxy profile');
+    }
+  }
+
+  if (proxyConfig.allowDirectFallback !== undefined && typeof proxyConfig.allowDirectFallback !== 'boolean') {
+    errors.push('allowDirectFallback must be a boolean');
+  }
+
+  // Accounts that reference a shared proxy profile carry no inline connection fields,
+  // and a PAC script picks its own proxy servers
+  if (proxyConfig.profileId || getProxyMode(proxyConfig) === 'pac') {
+    if (proxyConfig.profileId && typeof proxyConfig.profileId !== 'string') {
+      errors.push('profileId must be a string');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
   // Only validate other fields if proxy is enabled
   if (proxyConfig.enabled) {
     // Validate protocol
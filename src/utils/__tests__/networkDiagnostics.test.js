@@ -0,0 +1,35 @@
+/**
+ * networkDiagnostics 测试
+ */
+
+const { normalizeIpInfo, extractResolvers, getDnsLeakStatus } = require('../networkDiagnostics');
+
+describe('networkDiagnostics', () => {
+  test('应该统一不同 IP 信息接口的返回格式', () => {
+    expect(normalizeIpInfo({ ip: '1.2.3.4', country: 'us', city: 'Dallas', org: 'AS1 Example' })).toEqual({
+      ip: '1.2.3.4', country: 'US', countryCode: 'US', city: 'Dallas', org: 'AS1 Example'
+    });
+    expect(normalizeIpInfo({ query: '5.6.7.8', country: 'Germany', countryCode: 'DE', isp: 'Hetzner' })).toMatchObject({
+      ip: '5.6.7.8', country: 'Germany', countryCode: 'DE', org: 'Hetzner'
+    });
+    expect(normalizeIpInfo(null)).toMatchObject({ ip: '', countryCode: '' });
+
+    expect(extractResolvers([
+      { ip: '8.8.8.8', country: 'US', type: 'dns' },
+      { ip: '1.2.3.4', type: 'ip' },
+      { type: 'conclusion' }
+    ])).toHaveLength(1);
+    expect(extractResolvers({ resolvers: [{ ip: '9.9.9.9', country_code: 'CH' }] })[0].countryCode).toBe('CH');
+  });
+
+  test('应该根据代理协议和解析器国家判断 DNS 泄露', () => {
+    const exitInfo = { ip: '1.2.3.4', countryCode: 'US' };
+
+    expect(getDnsLeakStatus(null, exitInfo)).toBe('direct');
+    expect(getDnsLeakStatus({ protocol: 'socks5' }, exitInfo)).toBe('protected');
+    expect(getDnsLeakStatus({ protocol: 'socks4' }, exitInfo)).toBe('leak');
+    expect(getDnsLeakStatus({ protocol: 'socks5' }, exitInfo, [{ ip: '8.8.8.8', countryCode: 'US' }])).toBe('protected');
+    expect(getDnsLeakStatus({ protocol: 'socks5' }, exitInfo, [{ ip: '114.114.114.114', countryCode: 'CN' }])).toBe('leak');
+    expect(getDnsLeakStatus({ protocol: 'http' }, { ip: '1.2.3.4', countryCode: '' }, [{ ip: '8.8.8.8', countryCode: 'US' }])).toBe('unknown');
+  });
+});
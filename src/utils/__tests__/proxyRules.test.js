@@ -0,0 +1,101 @@
+/**
+ * proxyRules 测试
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { validateProxyMode, buildRulesPacScript, buildProxySettings, getProxyAction } = require('../proxyRules');
+
+// 在沙箱中执行生成的 PAC 脚本（只提供用到的 PAC 辅助函数）
+function runPac(script, host) {
+  const context = {
+    isPlainHostName: value => !value.includes('.'),
+    dnsDomainIs: (value, domain) => value.endsWith(domain),
+    shExpMatch: (value, pattern) => new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '.*')}$`).test(value)
+  };
+  vm.runInNewContext(script, context);
+  return context.FindProxyForURL(`https://${host}/`, host);
+}
+
+describe('proxyRules', () => {
+  const proxy = { protocol: 'socks5', host: '1.2.3.4', port: 1080, bypass: '<local>,intranet.example.com' };
+
+  test('应该把按域名规则编译为 PAC 脚本', () => {
+    const script = buildRulesPacScript({
+      ...proxy,
+      mode: 'rules',
+      rules: [
+        { pattern: 'translate.googleapis.com', action: 'direct' },
+        { pattern: '*.whatsapp.net', action: 'proxy' }
+      ],
+      defaultAction: 'direct'
+    });
+
+    expect(runPac(script, 'media.whatsapp.net')).toBe('SOCKS5 1.2.3.4:1080');
+    expect(runPac(script, 'translate.googleapis.com')).toBe('DIRECT');
+    expect(runPac(script, 'api.openai.com')).toBe('DIRECT');
+    expect(runPac(script, 'wiki.intranet.example.com')).toBe('DIRECT');
+    expect(runPac(script, 'printer')).toBe('DIRECT');
+
+    const reversed = buildRulesPacScript({ ...proxy, rules: [{ pattern: 'googleapis.com', action: 'direct' }], defaultAction: 'proxy' });
+    expect(runPac(reversed, 'web.whatsapp.com')).toBe('SOCKS5 1.2.3.4:1080');
+    expect(runPac(reversed, 'translate.googleapis.com')).toBe('DIRECT');
+  });
+
+  test('应该为每种代理方式生成 setProxy 参数', () => {
+    expect(buildProxySettings(proxy)).toEqual({ proxyRules: 'socks5://1.2.3.4:1080', proxyBypassRules: '<local>,intranet.example.com' });
+
+    const pacScript = 'function FindProxyForURL(url, host) { return "PROXY 5.6.7.8:3128"; }';
+    const settings = buildProxySettings({ mode: 'pac', pacScript });
+    expect(settings.pacScript).toMatch(/^data:application\/x-ns-proxy-autoconfig;base64,/);
+    expect(Buffer.from(settings.pacScript.split(',')[1], 'base64').toString('utf8')).toBe(pacScript);
+
+    const rules = buildProxySettings({ ...proxy, mode: 'rules', rules: [{ pattern: 'whatsapp.com', action: 'proxy' }] });
+    expect(rules.proxyRules).toBeUndefined();
+    expect(rules.pacScript).toMatch(/^data:/);
+  });
+
+  test('应该在保存前校验 PAC 脚本和域名规则', () => {
+    const pacFile = path.join(os.tmpdir(), `proxy-rules-test-${Date.now()}.pac`);
+    fs.writeFileSync(pacFile, 'function FindProxyForURL(url, host) { return "DIRECT"; }');
+
+    try {
+      expect(validateProxyMode({ mode: 'pac', pacFile }).valid).toBe(true);
+      expect(validateProxyMode({ mode: 'pac', pacFile: 'relative.pac' }).errors).toEqual(['pacFile must be an absolute path']);
+      expect(validateProxyMode({ mode: 'pac', pacFile: `${pacFile}.missing` }).errors[0]).toMatch(/PAC file could not be read/);
+      expect(validateProxyMode({ mode: 'pac' }).errors).toEqual(['pacScript or pacFile is required in PAC mode']);
+      expect(validateProxyMode({ mode: 'pac', pacScript: 'function FindProxyForURL(url, host) {' }).errors[0]).toMatch(/syntax error/);
+      expect(validateProxyMode({ mode: 'pac', pacScript: 'var x = 1;' }).errors).toEqual(['PAC script must define FindProxyForURL(url, host)']);
+    } finally {
+      fs.unlinkSync(pacFile);
+    }
+
+    expect(validateProxyMode({ mode: 'rules', rules: [] }).errors).toEqual(['at least one host rule is required in rules mode']);
+    expect(validateProxyMode({ mode: 'rules', rules: [{ pattern: 'a.com"; alert(1)', action: 'proxy' }, { pattern: 'b.com', action: 'block' }] }).errors).toHaveLength(2);
+    expect(validateProxyMode({ mode: 'other' }).valid).toBe(false);
+    expect(validateProxyMode({ protocol: 'socks5' }).valid).toBe(true);
+  });
+
+  test('主进程请求应该按相同的规则选择代理或直连', () => {
+    const rules = {
+      ...proxy,
+      mode: 'rules',
+      rules: [
+        { pattern: '*.googleapis.com', action: 'direct' },
+        { pattern: 'openai.com', action: 'proxy' }
+      ],
+      defaultAction: 'direct'
+    };
+
+    expect(getProxyAction(rules, 'translate.googleapis.com')).toBe('direct');
+    expect(getProxyAction(rules, 'api.openai.com')).toBe('proxy');
+    expect(getProxyAction(rules, 'api.deepl.com')).toBe('direct');
+    expect(getProxyAction(proxy, 'api.deepl.com')).toBe('proxy');
+    expect(getProxyAction(proxy, 'intranet.example.com')).toBe('direct');
+    expect(getProxyAction(proxy, 'printer')).toBe('direct');
+    expect(getProxyAction(proxy, '127.0.0.1')).toBe('direct');
+    expect(() => getProxyAction({ mode: 'pac', pacScript: 'x' }, 'a.com')).toThrow();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * csvUtils - CSV parsing and formatting helpers
+ *
+ * Implements RFC 4180 style quoting (double quotes, doubled quote escapes,
+ * embedded commas and line breaks) for import/export features.
+ */
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {string} text - CSV content
+ * @returns {string[][]} Parsed rows (empty lines are skipped)
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM written by spreadsheet applications
+  const input = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      if (row.some(value => value !== '')) {
+        rows.push(row);
+      }
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some(value => value !== '')) {
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Escape a single CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCSVCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const str = String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Format rows into CSV text
+ * @param {Array<Array<*>>} rows - Rows including header row
+ * @returns {string} CSV content (CRLF line endings)
+ */
+function formatCSV(rows) {
+  return rows.map(row => row.map(escapeCSVCell).join(',')).join('\r\n');
+}
+
+module.exports = {
+  parseCSV,
+  formatCSV,
+  escapeCSVCell
+};
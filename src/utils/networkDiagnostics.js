@@ -0,0 +1,100 @@
+/**
+ * networkDiagnostics - Interpreting network health check responses
+ *
+ * Normalizes the JSON returned by IP-info endpoints (ipinfo.io, ip-api.com,
+ * ipapi.co, ipwho.is or a local mock) and decides the DNS leak status of a
+ * connection. The requests themselves are made by SessionManager through the
+ * account's session.
+ */
+
+const DNS_LEAK_STATUS = {
+  DIRECT: 'direct',       // No proxy, DNS leak does not apply
+  PROTECTED: 'protected', // Hostnames are resolved on the proxy side
+  LEAK: 'leak',           // Hostnames are resolved outside the proxy
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Normalize an IP-info response
+ * @param {Object} data - Parsed JSON response
+ * @returns {{ip: string, country: string, countryCode: string, city: string, org: string}}
+ */
+function normalizeIpInfo(data) {
+  const info = data && typeof data === 'object' ? data : {};
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  // "country" is a code on ipinfo.io and a name on ip-api.com
+  const country = text(info.country);
+  const countryCode = (text(info.country_code) || text(info.countryCode) || (country.length === 2 ? country : '')).toUpperCase();
+
+  return {
+    ip: text(info.ip) || text(info.query) || text(info.ip_address),
+    country: text(info.country_name) || text(info.countryName) || (country.length > 2 ? country : '') || countryCode,
+    countryCode,
+    city: text(info.city),
+    org: text(info.org) || text(info.isp) || text(info.asn_org)
+  };
+}
+
+/**
+ * Extract the resolvers reported by a DNS leak endpoint
+ * Accepts an array, { resolvers: [...] } or { dns: [...] }; entries with a
+ * type other than "dns" (e.g. bash.ws "ip" / "conclusion" rows) are skipped
+ * @param {Object|Array} data - Parsed JSON response
+ * @returns {Array<Object>} Normalized resolvers (see normalizeIpInfo)
+ */
+function extractResolvers(data) {
+  let entries = [];
+  if (Array.isArray(data)) {
+    entries = data;
+  } else if (data && Array.isArray(data.resolvers)) {
+    entries = data.resolvers;
+  } else if (data && Array.isArray(data.dns)) {
+    entries = data.dns;
+  }
+
+  return entries
+    .filter(entry => entry && typeof entry === 'object' && (!entry.type || entry.type === 'dns'))
+    .map(normalizeIpInfo)
+    .filter(resolver => resolver.ip);
+}
+
+/**
+ * Decide the DNS leak status of a connection
+ * Without a DNS leak endpoint the status follows how Chromium resolves
+ * hostnames: remotely for HTTP(S) and SOCKS5 proxies, locally for SOCKS4.
+ * A PAC script picks its own proxies, so its status stays unknown
+ * @param {Object|null} proxyConfig - Applied proxy config (null for a direct connection)
+ * @param {Object} exitInfo - Normalized exit IP info
+ * @param {Array<Object>|null} [resolvers] - Resolvers seen by the DNS leak endpoint
+ * @returns {string} One of DNS_LEAK_STATUS
+ */
+function getDnsLeakStatus(proxyConfig, exitInfo, resolvers = null) {
+  if (!proxyConfig || proxyConfig.enabled === false) {
+    return DNS_LEAK_STATUS.DIRECT;
+  }
+
+  if (Array.isArray(resolvers) && resolvers.length > 0) {
+    if (!exitInfo || !exitInfo.countryCode || resolvers.some(resolver => !resolver.countryCode)) {
+      return DNS_LEAK_STATUS.UNKNOWN;
+    }
+    return resolvers.every(resolver => resolver.countryCode === exitInfo.countryCode)
+      ? DNS_LEAK_STATUS.PROTECTED
+      : DNS_LEAK_STATUS.LEAK;
+  }
+
+  if (proxyConfig.mode === 'pac') {
+    return DNS_LEAK_STATUS.UNKNOWN;
+  }
+
+  return String(proxyConfig.protocol || '').toLowerCase() === 'socks4'
+    ? DNS_LEAK_STATUS.LEAK
+    : DNS_LEAK_STATUS.PROTECTED;
+}
+
+module.exports = {
+  DNS_LEAK_STATUS,
+  normalizeIpInfo,
+  extractResolvers,
+  getDnsLeakStatus
+};
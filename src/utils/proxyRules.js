@@ -0,0 +1,277 @@
+/**
+ * proxyRules - Proxy modes beyond a single fixed proxy
+ *
+ * An account proxy config can use one of three modes:
+ * - fixed: all traffic goes through protocol://host:port, except the bypass list
+ * - rules: per-host rules choose between the proxy and a direct connection
+ * - pac:   a PAC script (inline or from a file) picks the proxy for each URL
+ *
+ * Rules are compiled into a PAC script, and PAC files are read when the proxy
+ * is applied, so both reach session.setProxy as a data: URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROXY_MODES = ['fixed', 'rules', 'pac'];
+const RULE_ACTIONS = ['proxy', 'direct'];
+
+const PAC_MAX_LENGTH = 1024 * 1024;
+const RULE_PATTERN = /^[a-zA-Z0-9.*-]+$/;
+
+const PAC_PROXY_TYPES = {
+  http: 'PROXY',
+  https: 'HTTPS',
+  socks4: 'SOCKS4',
+  socks5: 'SOCKS5'
+};
+
+/**
+ * Get the mode of a proxy config (configs saved before modes existed are fixed)
+ * @param {Object} proxyConfig - Proxy config
+ * @returns {string}
+ */
+function getProxyMode(proxyConfig) {
+  return (proxyConfig && proxyConfig.mode) || 'fixed';
+}
+
+/**
+ * Check that a PAC script compiles and defines FindProxyForURL
+ * The script is compiled but never run in the main process
+ * @param {string} script - PAC script
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validatePacScript(script) {
+  const errors = [];
+  const source = String(script || '');
+
+  if (!source.trim()) {
+    errors.push('PAC script is empty');
+  } else if (source.length > PAC_MAX_LENGTH) {
+    errors.push('PAC script must be at most 1 MB');
+  } else {
+    try {
+      new vm.Script(source, { filename: 'proxy.pac' });
+      if (!/\bFindProxyForURL\b/.test(source)) {
+        errors.push('PAC script must define FindProxyForURL(url, host)');
+      }
+    } catch (error) {
+      errors.push(`PAC script has a syntax error: ${error.message}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read the PAC script of a proxy config (the file wins over the inline script)
+ * @param {Object} proxyConfig - Proxy config in PAC mode
+ * @returns {string}
+ */
+function readPacScript(proxyConfig) {
+  const pacFile = String(proxyConfig.pacFile || '').trim();
+  if (!pacFile) {
+    return String(proxyConfig.pacScript || '');
+  }
+
+  try {
+    return fs.readFileSync(pacFile, 'utf8').replace(/^\uFEFF/, '');
+  } catch (error) {
+    throw new Error(`PAC file could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the mode-specific fields of a proxy config
+ * Connection fields (protocol, host, port) are validated by ValidationHelper
+ * @param {Object} proxyConfig - Proxy config
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateProxyMode(proxyConfig) {
+  const errors = [];
+  const mode = getProxyMode(proxyConfig);
+
+  if (!PROXY_MODES.includes(mode)) {
+    errors.push(`mode must be one of: ${PROXY_MODES.join(', ')}`);
+  } else if (mode === 'pac') {
+    const pacFile = String(proxyConfig.pacFile || '').trim();
+    if (!pacFile && !String(proxyConfig.pacScript || '').trim()) {
+      errors.push('pacScript or pacFile is required in PAC mode');
+    } else if (pacFile && !path.isAbsolute(pacFile)) {
+      errors.push('pacFile must be an absolute path');
+    } else {
+      try {
+        errors.push(...validatePacScript(readPacScript(proxyConfig)).errors);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  } else if (mode === 'rules') {
+    if (!Array.isArray(proxyConfig.rules) || proxyConfig.rules.length === 0) {
+      errors.push('at least one host rule is required in rules mode');
+    } else {
+      proxyConfig.rules.forEach((rule, index) => {
+        if (!rule || typeof rule.pattern !== 'string' || !RULE_PATTERN.test(rule.pattern.trim())) {
+          errors.push(`rule ${index + 1}: pattern must be a host name, optionally with * wildcards`);
+        }
+        if (!rule || !RULE_ACTIONS.includes(rule.action)) {
+          errors.push(`rule ${index + 1}: action must be one of: ${RULE_ACTIONS.join(', ')}`);
+        }
+      });
+    }
+
+    if (proxyConfig.defaultAction !== undefined && !RULE_ACTIONS.includes(proxyConfig.defaultAction)) {
+      errors.push(`defaultAction must be one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build the PAC condition matching a host pattern
+ * "*.example.com" is a shell glob; "example.com" also matches its subdomains
+ * @param {string} pattern - Host pattern
+ * @returns {string}
+ */
+function toPacCondition(pattern) {
+  const value = pattern.trim().toLowerCase();
+  if (value.includes('*')) {
+    return `shExpMatch(host, ${JSON.stringify(value)})`;
+  }
+  return `host === ${JSON.stringify(value)} || dnsDomainIs(host, ${JSON.stringify(`.${value}`)})`;
+}
+
+/**
+ * Compile per-host rules into a PAC script
+ * Entries of the bypass list always go direct; rules are checked in order
+ * @param {Object} proxyConfig - Proxy config in rules mode with resolved connection fields
+ * @returns {string}
+ */
+function buildRulesPacScript(proxyConfig) {
+  const proxy = `${PAC_PROXY_TYPES[String(proxyConfig.protocol).toLowerCase()] || 'PROXY'} ${proxyConfig.host}:${proxyConfig.port}`;
+  const results = { proxy: JSON.stringify(proxy), direct: JSON.stringify('DIRECT') };
+  const lines = ['function FindProxyForURL(url, host) {', '  host = host.toLowerCase();'];
+
+  String(proxyConfig.bypass || '').split(/[,;\s]+/).filter(Boolean).forEach(entry => {
+    if (entry === '<local>') {
+      lines.push(`  if (isPlainHostName(host)) return ${results.direct};`);
+    } else if (RULE_PATTERN.test(entry)) {
+      lines.push(`  if (${toPacCondition(entry)}) return ${results.direct};`);
+    }
+  });
+
+  (proxyConfig.rules || []).forEach(rule => {
+    lines.push(`  if (${toPacCondition(rule.pattern)}) return ${results[rule.action]};`);
+  });
+
+  lines.push(`  return ${results[proxyConfig.defaultAction === 'direct' ? 'direct' : 'proxy']};`, '}');
+  return lines.join('\n');
+}
+
+/**
+ * Check whether a host matches a host pattern, the same way toPacCondition does
+ * @param {string} host - Lower-case host name
+ * @param {string} pattern - Host pattern
+ * @returns {boolean}
+ */
+function matchesHostPattern(host, pattern) {
+  const value = pattern.trim().toLowerCase();
+  if (value.includes('*')) {
+    const source = value.split('*').map(part => part.replace(/[.\-]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(host);
+  }
+  return host === value || host.endsWith(`.${value}`);
+}
+
+/**
+ * Decide whether a request to a host goes through the proxy or direct
+ * For requests made outside Chromium (e.g. from the main process with Node's
+ * http/https). Loopback hosts and bypass entries always go direct; rules mode
+ * then checks the rules in order. PAC scripts are never run in the main process
+ * @param {Object} proxyConfig - Proxy config in fixed or rules mode
+ * @param {string} hostname - Target host name
+ * @returns {string} One of RULE_ACTIONS
+ */
+function getProxyAction(proxyConfig, hostname) {
+  const mode = getProxyMode(proxyConfig);
+  if (mode === 'pac') {
+    throw new Error('PAC proxies can only be applied to a session');
+  }
+
+  const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host === '::1' || /^127\./.test(host)) {
+    return 'direct';
+  }
+
+  const bypass = proxyConfig.bypass || (mode === 'fixed' ? '<local>' : '');
+  const bypassed = String(bypass).split(/[,;\s]+/).filter(Boolean).some(entry => {
+    if (entry === '<local>') {
+      return !host.includes('.') && !host.includes(':');
+    }
+    return RULE_PATTERN.test(entry) && matchesHostPattern(host, entry);
+  });
+  if (bypassed) {
+    return 'direct';
+  }
+
+  if (mode === 'rules') {
+    const rule = (proxyConfig.rules || []).find(item => matchesHostPattern(host, item.pattern));
+    if (rule) {
+      return rule.action;
+    }
+    return proxyConfig.defaultAction === 'direct' ? 'direct' : 'proxy';
+  }
+
+  return 'proxy';
+}
+
+/**
+ * Build the options for session.setProxy from a resolved proxy config
+ * @param {Object} proxyConfig - Proxy config with resolved connection fields
+ * @returns {Electron.ProxyConfig}
+ */
+function buildProxySettings(proxyConfig) {
+  const mode = getProxyMode(proxyConfig);
+
+  if (mode === 'fixed') {
+    return {
+      proxyRules: `${proxyConfig.protocol}://${proxyConfig.host}:${proxyConfig.port}`,
+      proxyBypassRules: proxyConfig.bypass || '<local>'
+    };
+  }
+
+  const script = mode === 'pac' ? readPacScript(proxyConfig) : buildRulesPacScript(proxyConfig);
+  return {
+    pacScript: `data:application/x-ns-proxy-autoconfig;base64,${Buffer.from(script, 'utf8').toString('base64')}`
+  };
+}
+
+/**
+ * Describe a proxy config for logs and status displays (without credentials)
+ * @param {Object} proxyConfig - Proxy config
+ * @returns {string}
+ */
+function describeProxyConfig(proxyConfig) {
+  const mode = getProxyMode(proxyConfig);
+  if (mode === 'pac') {
+    const pacFile = String(proxyConfig.pacFile || '').trim();
+    return pacFile ? `PAC ${path.basename(pacFile)}` : 'PAC script';
+  }
+
+  const server = `${proxyConfig.protocol}://${proxyConfig.host}:${proxyConfig.port}`;
+  return mode === 'rules' ? `${server} (${(proxyConfig.rules || []).length} host rules)` : server;
+}
+
+module.exports = {
+  PROXY_MODES,
+  RULE_ACTIONS,
+  getProxyMode,
+  validatePacScript,
+  validateProxyMode,
+  buildRulesPacScript,
+  buildProxySettings,
+  getProxyAction,
+  describeProxyConfig
+};